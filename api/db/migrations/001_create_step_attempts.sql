@@ -0,0 +1,20 @@
+-- 001_create_step_attempts.sql
+-- One row per answered step of a scenario submission.
+-- Lets us see which questions trainees get wrong, time out on, or answer slowly.
+
+CREATE TABLE IF NOT EXISTS step_attempts (
+  step_attempt_id INT AUTO_INCREMENT PRIMARY KEY,
+  attempt_id      INT NOT NULL,
+  step_id         INT NOT NULL,
+  user_action     VARCHAR(10) NULL,
+  is_correct      TINYINT(1) NOT NULL DEFAULT 0,
+  timed_out       TINYINT(1) NOT NULL DEFAULT 0,
+  response_ms     INT UNSIGNED NULL,
+  created_at      TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_step_attempts_attempt (attempt_id),
+  KEY idx_step_attempts_step (step_id),
+  CONSTRAINT fk_step_attempts_attempt
+    FOREIGN KEY (attempt_id) REFERENCES attempts (attempt_id) ON DELETE CASCADE,
+  CONSTRAINT fk_step_attempts_step
+    FOREIGN KEY (step_id) REFERENCES scenario_steps (step_id) ON DELETE CASCADE
+);
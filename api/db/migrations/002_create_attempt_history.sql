@@ -0,0 +1,30 @@
+-- 002_create_attempt_history.sql
+-- Append-only log of every scenario try. `attempts` keeps one row per
+-- (user, scenario) holding the best score, now derived from this table.
+
+CREATE TABLE IF NOT EXISTS attempt_history (
+  history_id  INT AUTO_INCREMENT PRIMARY KEY,
+  user_id     INT NOT NULL,
+  scenario_id INT NOT NULL,
+  score       INT NOT NULL,
+  started_at  DATETIME NULL,
+  finished_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  duration_ms INT UNSIGNED NULL,
+  KEY idx_attempt_history_user_scenario (user_id, scenario_id, finished_at),
+  CONSTRAINT fk_attempt_history_user
+    FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE,
+  CONSTRAINT fk_attempt_history_scenario
+    FOREIGN KEY (scenario_id) REFERENCES scenarios (scenario_id) ON DELETE CASCADE
+);
+
+-- Seed the history with the best scores we already have so nothing is lost
+INSERT INTO attempt_history (user_id, scenario_id, score, finished_at)
+SELECT user_id, scenario_id, score, COALESCE(completed_at, CURRENT_TIMESTAMP)
+FROM attempts;
+
+-- Tie each answered step to the individual try it belongs to
+ALTER TABLE step_attempts
+  ADD COLUMN history_id INT NULL AFTER attempt_id,
+  ADD KEY idx_step_attempts_history (history_id),
+  ADD CONSTRAINT fk_step_attempts_history
+    FOREIGN KEY (history_id) REFERENCES attempt_history (history_id) ON DELETE CASCADE;
@@ -0,0 +1,29 @@
+-- 003_create_level_prerequisites.sql
+-- Levels declare what unlocks them. A level is unlocked once ALL of its rows
+-- are satisfied; a level with no rows is an entry point, open to everyone.
+--   min_score IS NULL     -> required_level_id must be completed
+--   min_score IS NOT NULL -> average best score across required_level_id's
+--                            scenarios must reach min_score (0-100)
+
+CREATE TABLE IF NOT EXISTS level_prerequisites (
+  prerequisite_id   INT AUTO_INCREMENT PRIMARY KEY,
+  level_id          INT NOT NULL,
+  required_level_id INT NOT NULL,
+  min_score         TINYINT UNSIGNED NULL,
+  UNIQUE KEY uq_level_prerequisite (level_id, required_level_id),
+  CONSTRAINT fk_level_prerequisites_level
+    FOREIGN KEY (level_id) REFERENCES levels (level_id) ON DELETE CASCADE,
+  CONSTRAINT fk_level_prerequisites_required
+    FOREIGN KEY (required_level_id) REFERENCES levels (level_id) ON DELETE CASCADE
+);
+
+-- Preserve today's linear path: each level requires the one before it
+INSERT IGNORE INTO level_prerequisites (level_id, required_level_id)
+SELECT l.level_id,
+       (SELECT p.level_id
+          FROM levels p
+         WHERE p.difficulty_order < l.difficulty_order
+         ORDER BY p.difficulty_order DESC
+         LIMIT 1) AS required_level_id
+FROM levels l
+WHERE EXISTS (SELECT 1 FROM levels p WHERE p.difficulty_order < l.difficulty_order);
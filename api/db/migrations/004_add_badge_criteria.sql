@@ -0,0 +1,24 @@
+-- 004_add_badge_criteria.sql
+-- Badges carry declarative award criteria evaluated on the server after every
+-- submission (see src/utils/badgeCriteria.js for the supported rule types).
+-- level_id becomes optional: it only groups a badge under a level for display.
+
+ALTER TABLE badges
+  MODIFY COLUMN level_id INT NULL,
+  ADD COLUMN criteria JSON NULL AFTER icon_url;
+
+-- Keep today's behaviour: a level's badge is earned by perfecting that level
+UPDATE badges
+   SET criteria = JSON_OBJECT('type', 'perfect_level', 'level_id', level_id)
+ WHERE criteria IS NULL AND level_id IS NOT NULL;
+
+-- Awarding is idempotent: a user holds each badge at most once
+DELETE ub
+  FROM user_badges ub
+  JOIN user_badges keep
+    ON keep.user_id = ub.user_id
+   AND keep.badge_id = ub.badge_id
+   AND keep.user_badge_id < ub.user_badge_id;
+
+ALTER TABLE user_badges
+  ADD UNIQUE KEY uq_user_badge (user_id, badge_id);
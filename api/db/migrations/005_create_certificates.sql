@@ -0,0 +1,21 @@
+-- 005_create_certificates.sql
+-- Certificates are issued by the server once a user completes every level.
+-- The serial embeds the first characters of an HMAC signature over the
+-- certificate's fields (see src/utils/certificateSerial.js); the full
+-- signature is stored so GET /api/certificates/verify/:serial can prove the
+-- row was issued by us and has not been edited since.
+
+CREATE TABLE IF NOT EXISTS certificates (
+  certificate_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id        INT NOT NULL,
+  serial         VARCHAR(40) NOT NULL,
+  signature      CHAR(64) NOT NULL,
+  title          VARCHAR(150) NOT NULL,
+  issued_at      DATETIME NOT NULL,
+  expires_at     DATETIME NOT NULL,
+  revoked_at     DATETIME NULL,
+  UNIQUE KEY uq_certificates_serial (serial),
+  KEY idx_certificates_user (user_id),
+  CONSTRAINT fk_certificates_user
+    FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE
+);
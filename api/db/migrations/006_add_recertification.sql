@@ -0,0 +1,38 @@
+-- 006_add_recertification.sql
+-- First-aid qualifications expire. A completed level is valid for
+-- LEVEL_VALID_DAYS (see src/services/RecertificationService.js); it is renewed
+-- by passing the level's refresher scenarios once the renewal window opens.
+-- A scheduled job flags users whose levels or certificate are about to expire.
+
+ALTER TABLE user_levels
+  ADD COLUMN completed_at DATETIME NULL AFTER completed,
+  ADD COLUMN expires_at   DATETIME NULL AFTER completed_at,
+  ADD KEY idx_user_levels_expires (expires_at);
+
+-- Existing completions start their validity period now
+UPDATE user_levels
+   SET completed_at = NOW(),
+       expires_at   = NOW() + INTERVAL 730 DAY
+ WHERE completed = 1 AND completed_at IS NULL;
+
+-- Scenarios that make up a level's refresher set (every scenario of the level
+-- when none is flagged)
+ALTER TABLE scenarios
+  ADD COLUMN is_refresher TINYINT(1) NOT NULL DEFAULT 0 AFTER image_url;
+
+ALTER TABLE certificates
+  ADD KEY idx_certificates_expires (expires_at);
+
+-- One reminder per subject and expiry date, so renewing starts a new cycle
+CREATE TABLE IF NOT EXISTS expiry_reminders (
+  reminder_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id     INT NOT NULL,
+  subject     ENUM('level', 'certificate') NOT NULL,
+  subject_id  INT NOT NULL,
+  expires_at  DATETIME NOT NULL,
+  flagged_at  DATETIME NOT NULL,
+  UNIQUE KEY uq_expiry_reminder (subject, subject_id, expires_at),
+  KEY idx_expiry_reminders_user (user_id),
+  CONSTRAINT fk_expiry_reminders_user
+    FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE
+);
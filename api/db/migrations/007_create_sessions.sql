@@ -0,0 +1,33 @@
+-- 007_create_sessions.sql
+-- Login sessions with rotating refresh tokens.
+-- Every login opens a session; access tokens are short-lived JWTs that carry
+-- the session id (`sid`) and are rejected once the session is revoked. Refresh
+-- tokens are stored as SHA-256 hashes and are single-use: each refresh swaps
+-- the presented token for a new one, and presenting a used token again
+-- revokes the whole session (token theft detection).
+
+CREATE TABLE IF NOT EXISTS sessions (
+  session_id   CHAR(36) PRIMARY KEY,
+  user_id      INT NOT NULL,
+  user_agent   VARCHAR(255) NULL,
+  created_at   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at   DATETIME NOT NULL,
+  revoked_at   DATETIME NULL,
+  KEY idx_sessions_user (user_id),
+  CONSTRAINT fk_sessions_user
+    FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  token_id   INT AUTO_INCREMENT PRIMARY KEY,
+  session_id CHAR(36) NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  used_at    DATETIME NULL,
+  UNIQUE KEY uq_refresh_tokens_hash (token_hash),
+  KEY idx_refresh_tokens_session (session_id),
+  CONSTRAINT fk_refresh_tokens_session
+    FOREIGN KEY (session_id) REFERENCES sessions (session_id) ON DELETE CASCADE
+);
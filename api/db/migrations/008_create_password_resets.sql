@@ -0,0 +1,18 @@
+-- 008_create_password_resets.sql
+-- Single-use password reset tokens. The emailed token is stored as a SHA-256
+-- hash and expires after PASSWORD_RESET_TTL_MINUTES (see
+-- src/services/AuthService.js). Requesting a new link or resetting the
+-- password marks every outstanding token of the user as used.
+
+CREATE TABLE IF NOT EXISTS password_resets (
+  reset_id   INT AUTO_INCREMENT PRIMARY KEY,
+  user_id    INT NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  used_at    DATETIME NULL,
+  UNIQUE KEY uq_password_resets_hash (token_hash),
+  KEY idx_password_resets_user (user_id),
+  CONSTRAINT fk_password_resets_user
+    FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE
+);
@@ -0,0 +1,24 @@
+-- 009_add_email_verification.sql
+-- New accounts start unverified and receive an emailed, single-use
+-- verification link (token stored as a SHA-256 hash, valid for
+-- EMAIL_VERIFICATION_TTL_HOURS). EMAIL_VERIFICATION_POLICY decides what an
+-- unverified account may not do (see src/utils/emailVerification.js).
+
+ALTER TABLE users
+  ADD COLUMN email_verified_at DATETIME NULL AFTER email;
+
+-- Accounts that existed before verification was introduced are trusted
+UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS email_verifications (
+  verification_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id         INT NOT NULL,
+  token_hash      CHAR(64) NOT NULL,
+  created_at      DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at      DATETIME NOT NULL,
+  used_at         DATETIME NULL,
+  UNIQUE KEY uq_email_verifications_hash (token_hash),
+  KEY idx_email_verifications_user (user_id),
+  CONSTRAINT fk_email_verifications_user
+    FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE
+);
@@ -0,0 +1,27 @@
+-- 010_add_login_protection.sql
+-- Brute-force protection for logins (see src/services/LoginThrottleService.js).
+-- Each account counts consecutive failed logins; past LOGIN_MAX_FAILURES it is
+-- locked for LOGIN_LOCKOUT_MINUTES, and earlier failures impose growing waits.
+-- Every login attempt is written to an audit trail, which also drives the
+-- per-IP limit.
+
+ALTER TABLE users
+  ADD COLUMN failed_login_count   INT NOT NULL DEFAULT 0 AFTER role,
+  ADD COLUMN last_failed_login_at DATETIME NULL AFTER failed_login_count,
+  ADD COLUMN locked_until         DATETIME NULL AFTER last_failed_login_at;
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  attempt_id   BIGINT AUTO_INCREMENT PRIMARY KEY,
+  email        VARCHAR(255) NOT NULL,
+  user_id      INT NULL,
+  ip           VARCHAR(45) NULL,
+  user_agent   VARCHAR(255) NULL,
+  succeeded    TINYINT(1) NOT NULL,
+  reason       VARCHAR(32) NULL,
+  attempted_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_login_attempts_email (email, attempted_at),
+  KEY idx_login_attempts_ip (ip, attempted_at),
+  KEY idx_login_attempts_user (user_id),
+  CONSTRAINT fk_login_attempts_user
+    FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE SET NULL
+);
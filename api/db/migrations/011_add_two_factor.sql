@@ -0,0 +1,27 @@
+-- 011_add_two_factor.sql
+-- Optional TOTP two-factor authentication (RFC 6238, see
+-- src/services/TwoFactorService.js). The shared secret is stored encrypted;
+-- it is pending until the user confirms a first code (totp_enabled_at).
+-- totp_last_step remembers the last accepted time step so a code cannot be
+-- replayed. Recovery codes are single-use and stored as SHA-256 hashes.
+-- TWO_FACTOR_REQUIRED_ROLES makes 2FA mandatory for admin routes of those roles.
+
+ALTER TABLE users
+  ADD COLUMN totp_secret     VARCHAR(255) NULL AFTER locked_until,
+  ADD COLUMN totp_enabled_at DATETIME NULL AFTER totp_secret,
+  ADD COLUMN totp_last_step  BIGINT NULL AFTER totp_enabled_at;
+
+-- Sessions opened with a second factor (or confirmed by enrolling)
+ALTER TABLE sessions
+  ADD COLUMN two_factor_verified TINYINT(1) NOT NULL DEFAULT 0 AFTER user_agent;
+
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+  code_id    INT AUTO_INCREMENT PRIMARY KEY,
+  user_id    INT NOT NULL,
+  code_hash  CHAR(64) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  used_at    DATETIME NULL,
+  UNIQUE KEY uq_recovery_codes_user_hash (user_id, code_hash),
+  CONSTRAINT fk_recovery_codes_user
+    FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE
+);
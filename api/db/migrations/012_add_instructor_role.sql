@@ -0,0 +1,8 @@
+-- 012_add_instructor_role.sql
+-- Adds the `instructor` role (see src/utils/permissions.js). Routes check
+-- permissions granted to a role rather than the role itself, so the column
+-- only has to accept the role names; make it a plain string in case it was
+-- created as ENUM('user','admin').
+
+ALTER TABLE users
+  MODIFY COLUMN role VARCHAR(20) NOT NULL DEFAULT 'user';
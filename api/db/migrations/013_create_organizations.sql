@@ -0,0 +1,25 @@
+-- 013_create_organizations.sql
+-- Organizations (client companies) with their own members. Users with an
+-- organization only see their organization's users and progress; users
+-- without one are platform accounts. Scenarios with an organization are
+-- private to it, the others are shared by everyone.
+
+CREATE TABLE IF NOT EXISTS organizations (
+  organization_id INT AUTO_INCREMENT PRIMARY KEY,
+  name            VARCHAR(150) NOT NULL,
+  slug            VARCHAR(64) NOT NULL,
+  created_at      DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_organizations_slug (slug)
+);
+
+ALTER TABLE users
+  ADD COLUMN organization_id INT NULL AFTER role,
+  ADD KEY idx_users_organization (organization_id),
+  ADD CONSTRAINT fk_users_organization
+    FOREIGN KEY (organization_id) REFERENCES organizations (organization_id);
+
+ALTER TABLE scenarios
+  ADD COLUMN organization_id INT NULL AFTER level_id,
+  ADD KEY idx_scenarios_organization (organization_id),
+  ADD CONSTRAINT fk_scenarios_organization
+    FOREIGN KEY (organization_id) REFERENCES organizations (organization_id);
@@ -0,0 +1,53 @@
+-- 014_create_classes_and_assignments.sql
+-- Classes group learners under an instructor. An assignment asks every
+-- member of a class to pass one scenario, or every scenario of one level,
+-- with at least `min_score` by `due_at`. Completion is read from `attempts`
+-- (best score per scenario); nothing is stored per learner. A class created
+-- by a member of an organization belongs to that organization and can only
+-- enroll its members.
+
+CREATE TABLE IF NOT EXISTS classes (
+  class_id        INT AUTO_INCREMENT PRIMARY KEY,
+  name            VARCHAR(150) NOT NULL,
+  organization_id INT NULL,
+  created_by      INT NULL,
+  created_at      DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_classes_organization (organization_id),
+  CONSTRAINT fk_classes_organization
+    FOREIGN KEY (organization_id) REFERENCES organizations (organization_id) ON DELETE CASCADE,
+  CONSTRAINT fk_classes_creator
+    FOREIGN KEY (created_by) REFERENCES users (user_id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS class_members (
+  class_id    INT NOT NULL,
+  user_id     INT NOT NULL,
+  enrolled_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (class_id, user_id),
+  KEY idx_class_members_user (user_id),
+  CONSTRAINT fk_class_members_class
+    FOREIGN KEY (class_id) REFERENCES classes (class_id) ON DELETE CASCADE,
+  CONSTRAINT fk_class_members_user
+    FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE
+);
+
+-- Exactly one of scenario_id / level_id is set (enforced by the API)
+CREATE TABLE IF NOT EXISTS assignments (
+  assignment_id INT AUTO_INCREMENT PRIMARY KEY,
+  class_id      INT NOT NULL,
+  scenario_id   INT NULL,
+  level_id      INT NULL,
+  due_at        DATETIME NOT NULL,
+  min_score     TINYINT UNSIGNED NOT NULL,
+  created_by    INT NULL,
+  created_at    DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_assignments_class (class_id),
+  CONSTRAINT fk_assignments_class
+    FOREIGN KEY (class_id) REFERENCES classes (class_id) ON DELETE CASCADE,
+  CONSTRAINT fk_assignments_scenario
+    FOREIGN KEY (scenario_id) REFERENCES scenarios (scenario_id) ON DELETE CASCADE,
+  CONSTRAINT fk_assignments_level
+    FOREIGN KEY (level_id) REFERENCES levels (level_id) ON DELETE CASCADE,
+  CONSTRAINT fk_assignments_creator
+    FOREIGN KEY (created_by) REFERENCES users (user_id) ON DELETE SET NULL
+);
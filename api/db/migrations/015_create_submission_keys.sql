@@ -0,0 +1,19 @@
+-- 015_create_submission_keys.sql
+-- Idempotency keys of scenario submissions. A client sends an
+-- `Idempotency-Key` header with each submission; the result is stored with
+-- the key in the submission's transaction, so a retried request with the
+-- same key gets the original result back instead of being graded again.
+
+CREATE TABLE IF NOT EXISTS submission_keys (
+  user_id         INT NOT NULL,
+  idempotency_key VARCHAR(255) NOT NULL,
+  scenario_id     INT NOT NULL,
+  response        JSON NOT NULL,
+  created_at      DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, idempotency_key),
+  KEY idx_submission_keys_created (created_at),
+  CONSTRAINT fk_submission_keys_user
+    FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE,
+  CONSTRAINT fk_submission_keys_scenario
+    FOREIGN KEY (scenario_id) REFERENCES scenarios (scenario_id) ON DELETE CASCADE
+);
@@ -0,0 +1,28 @@
+-- 016_add_step_types.sql
+-- Steps are no longer limited to four-option multiple choice: a step has a
+-- type (single_choice, true_false, multi_select, ordering or numeric) that
+-- sets the shape of its `options` and `answer` (see src/utils/stepTypes.js).
+-- The fixed option_a–option_d / correct_action columns move into JSON; every
+-- existing step becomes a single_choice step with the same options and answer.
+
+ALTER TABLE scenario_steps
+  ADD COLUMN step_type VARCHAR(20) NOT NULL DEFAULT 'single_choice' AFTER question_text,
+  ADD COLUMN options   JSON NULL AFTER step_type,
+  ADD COLUMN answer    JSON NULL AFTER options,
+  ADD COLUMN unit      VARCHAR(30) NULL AFTER answer;
+
+UPDATE scenario_steps
+   SET options = JSON_OBJECT('A', option_a, 'B', option_b, 'C', option_c, 'D', option_d),
+       answer  = JSON_QUOTE(UPPER(correct_action));
+
+ALTER TABLE scenario_steps
+  MODIFY COLUMN answer JSON NOT NULL,
+  DROP COLUMN option_a,
+  DROP COLUMN option_b,
+  DROP COLUMN option_c,
+  DROP COLUMN option_d,
+  DROP COLUMN correct_action;
+
+-- Answers are stored in their text form ("B", "TRUE", "A,C", "C,A,B", "110")
+ALTER TABLE step_attempts
+  MODIFY COLUMN user_action VARCHAR(100) NULL;
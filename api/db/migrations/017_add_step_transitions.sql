@@ -0,0 +1,8 @@
+-- 017_add_step_transitions.sql
+-- Scenarios can branch: a step's `transitions` send the learner to another
+-- (later) step, or end the scenario with an outcome, depending on the answer
+-- (see src/utils/scenarioGraph.js). Steps without transitions keep going in
+-- step_order, so existing scenarios stay linear.
+
+ALTER TABLE scenario_steps
+  ADD COLUMN transitions JSON NULL AFTER unit;
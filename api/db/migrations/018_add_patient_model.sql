@@ -0,0 +1,12 @@
+-- 018_add_patient_model.sql
+-- Scenarios can simulate a casualty: `scenarios.patient` holds the initial
+-- vitals (consciousness, breathing, pulse, bleeding, SpO2), how they drift
+-- over time and how much the final state counts towards the score;
+-- `scenario_steps.effects` holds how each answer changes them
+-- (see src/utils/patientModel.js). Both stay NULL for plain quizzes.
+
+ALTER TABLE scenarios
+  ADD COLUMN patient JSON NULL AFTER image_url;
+
+ALTER TABLE scenario_steps
+  ADD COLUMN effects JSON NULL AFTER transitions;
@@ -0,0 +1,8 @@
+-- 019_add_step_images.sql
+-- Steps can show an image, which hotspot steps need: the learner taps a
+-- point on it and is graded against the author's polygon regions, stored in
+-- `answer` (see src/utils/stepTypes.js). Tapped points are stored as "x,y"
+-- in step_attempts.user_action, which already fits them.
+
+ALTER TABLE scenario_steps
+  ADD COLUMN image_url VARCHAR(255) NULL AFTER question_text;
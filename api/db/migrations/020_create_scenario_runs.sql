@@ -0,0 +1,33 @@
+-- 020_create_scenario_runs.sql
+-- A learner's play-through of a scenario, recorded as it is played.
+-- Checking a step's answer reveals its correct action, so the server keeps
+-- the first answer given to each step of the run and ignores any later one;
+-- submitting grades the stored answers (never answers sent with the
+-- submission) and closes the run. The next step check opens a new run.
+
+CREATE TABLE IF NOT EXISTS scenario_runs (
+  run_id       INT AUTO_INCREMENT PRIMARY KEY,
+  user_id      INT NOT NULL,
+  scenario_id  INT NOT NULL,
+  started_at   DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  submitted_at DATETIME NULL,
+  KEY idx_scenario_runs_open (user_id, scenario_id, submitted_at),
+  CONSTRAINT fk_scenario_runs_user
+    FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE,
+  CONSTRAINT fk_scenario_runs_scenario
+    FOREIGN KEY (scenario_id) REFERENCES scenarios (scenario_id) ON DELETE CASCADE
+);
+
+-- One row per step answered in a run, in the order played (`position`).
+CREATE TABLE IF NOT EXISTS run_answers (
+  run_id      INT NOT NULL,
+  step_id     INT NOT NULL,
+  position    SMALLINT UNSIGNED NOT NULL,
+  answer      JSON NULL,
+  answered_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  PRIMARY KEY (run_id, step_id),
+  CONSTRAINT fk_run_answers_run
+    FOREIGN KEY (run_id) REFERENCES scenario_runs (run_id) ON DELETE CASCADE,
+  CONSTRAINT fk_run_answers_step
+    FOREIGN KEY (step_id) REFERENCES scenario_steps (step_id) ON DELETE CASCADE
+);
@@ -0,0 +1,8 @@
+-- 021_add_step_image_alt.sql
+-- A step's image needs a text alternative for screen readers, and a hotspot
+-- step's image is the question itself: its steps must describe it
+-- (image_alt, validated in src/utils/stepTypes.js). Existing hotspot steps
+-- need one the next time they are edited.
+
+ALTER TABLE scenario_steps
+  ADD COLUMN image_alt VARCHAR(255) NULL AFTER image_url;
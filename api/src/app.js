@@ -2,8 +2,12 @@ import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
 import { healthCheck } from "./config/db.js";
+import { errorHandler } from "./middlewares/errorHandler.js";
+import { optionalAuth } from "./middlewares/optionalAuth.js";
+import { createGraphQLHandler } from "./graphql/server.js";
 
 // 🧩 Import route modules
+import { authRoutes } from "./routes/authRoutes.js";
 import { userRoutes } from "./routes/userRoutes.js";
 import { levelRoutes } from "./routes/levelRoutes.js";
 import { scenarioRoutes } from "./routes/scenarioRoutes.js";
@@ -12,6 +16,12 @@ import { badgeRoutes } from "./routes/badgesRoutes.js";
 import { attemptRoutes } from "./routes/attemptRoutes.js";
 import { userLevelRoutes } from "./routes/userLevelRoutes.js";
 import { userBadgeRoutes } from "./routes/userBadgeRoutes.js";
+import { stepAttemptRoutes } from "./routes/stepAttemptRoutes.js";
+import { certificateRoutes } from "./routes/certificateRoutes.js";
+import { recertificationRoutes } from "./routes/recertificationRoutes.js";
+import { organizationRoutes } from "./routes/organizationRoutes.js";
+import { classRoutes } from "./routes/classRoutes.js";
+import { assignmentRoutes } from "./routes/assignmentRoutes.js";
 
 dotenv.config();
 
@@ -27,6 +37,10 @@ dotenv.config();
  * @requires cors
  * @requires dotenv
  * @requires ./config/db.js
+ * @requires ./middlewares/errorHandler.js
+ * @requires ./middlewares/optionalAuth.js
+ * @requires ./graphql/server.js
+ * @requires ./routes/authRoutes.js
  * @requires ./routes/userRoutes.js
  * @requires ./routes/levelRoutes.js
  * @requires ./routes/scenarioRoutes.js
@@ -35,6 +49,12 @@ dotenv.config();
  * @requires ./routes/attemptRoutes.js
  * @requires ./routes/userLevelRoutes.js
  * @requires ./routes/userBadgeRoutes.js
+ * @requires ./routes/stepAttemptRoutes.js
+ * @requires ./routes/certificateRoutes.js
+ * @requires ./routes/recertificationRoutes.js
+ * @requires ./routes/organizationRoutes.js
+ * @requires ./routes/classRoutes.js
+ * @requires ./routes/assignmentRoutes.js
  */
 export const app = express();
 
@@ -70,6 +90,7 @@ app.get("/health", async (req, res) => {
  * 🛣️ Main API route registration
  * All routes are namespaced under `/api/...`
  */
+app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/levels", levelRoutes);
 app.use("/api/scenarios", scenarioRoutes);
@@ -78,6 +99,22 @@ app.use("/api/badges", badgeRoutes);
 app.use("/api/attempts", attemptRoutes);
 app.use("/api/user-levels", userLevelRoutes);
 app.use("/api/user-badges", userBadgeRoutes);
+app.use("/api/step-attempts", stepAttemptRoutes);
+app.use("/api/certificates", certificateRoutes);
+app.use("/api/recertification", recertificationRoutes);
+app.use("/api/organizations", organizationRoutes);
+app.use("/api/classes", classRoutes);
+app.use("/api/assignments", assignmentRoutes);
+
+/**
+ * 🔗 GraphQL endpoint
+ * Serves `schema.gql` on the same services and auth rules as the REST API;
+ * a Bearer token is optional, as for public REST routes.
+ * See `graphql/server.js`.
+ *
+ * @route POST /graphql
+ */
+app.use("/graphql", optionalAuth, await createGraphQLHandler());
 
 /**
  * 🧾 Fallback handler for unknown routes
@@ -91,15 +128,8 @@ app.use((req, res) => {
 
 /**
  * ⚙️ Global error handler
- * Logs and returns a consistent 500 response for uncaught errors.
- *
- * @param {Error} err - The error object.
- * @param {express.Request} req
- * @param {express.Response} res
- * @param {express.NextFunction} next
- * @returns {object} JSON error payload `{ message, error }`.
+ * `AppError`s keep their status and details (e.g. 401, 423 with `retry_after`);
+ * database and unexpected errors map to 4xx/5xx responses.
+ * See `middlewares/errorHandler.js`.
  */
-app.use((err, req, res, next) => {
-  console.error("Server error:", err);
-  res.status(500).json({ message: "Internal Server Error", error: err.message });
-});
+app.use(errorHandler);
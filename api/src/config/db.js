@@ -1,3 +1,4 @@
+import { AsyncLocalStorage } from "node:async_hooks";
 import mysql from "mysql2/promise";
 import dotenv from "dotenv";
 dotenv.config();
@@ -23,6 +24,91 @@ const pool = mysql.createPool({
   database: process.env.DB_NAME,
 });
 
+/**
+ * The transaction the current async call chain runs in, if any (see
+ * {@link withTransaction}): its connection and the callbacks to run once it
+ * is committed.
+ * @type {AsyncLocalStorage<{connection: import('mysql2/promise').PoolConnection, afterCommit: Function[]}>}
+ */
+const currentTransaction = new AsyncLocalStorage();
+
+// Repositories call `pool.query`; inside `withTransaction` it runs on the
+// transaction's connection, so they join the transaction without changes.
+const poolQuery = pool.query.bind(pool);
+pool.query = (...args) => {
+  const transaction = currentTransaction.getStore();
+  return transaction ? transaction.connection.query(...args) : poolQuery(...args);
+};
+
+/**
+ * Runs `work` in a single database transaction.
+ *
+ * Every `pool.query` made while `work` runs (including in the repositories
+ * and services it calls) uses the transaction's connection. The transaction
+ * is committed when `work` resolves and rolled back when it throws. A nested
+ * call joins the outer transaction.
+ *
+ * @async
+ * @function withTransaction
+ * @template T
+ * @param {() => Promise<T>} work - The queries to run atomically.
+ * @returns {Promise<T>} What `work` resolved with.
+ * @throws {Error} Whatever `work` threw, after rolling back.
+ * @example
+ * await withTransaction(async () => {
+ *   await attemptRepo.upsertBestScore(...);
+ *   await userLevelRepo.upsertProgress(...);
+ * });
+ */
+export async function withTransaction(work) {
+  if (currentTransaction.getStore()) return work();
+
+  const connection = await pool.getConnection();
+  const transaction = { connection, afterCommit: [] };
+  let result;
+  try {
+    await connection.beginTransaction();
+    result = await currentTransaction.run(transaction, work);
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  transaction.afterCommit.forEach(runSafely);
+  return result;
+}
+
+/**
+ * Runs `callback` once the current transaction is committed, or right away
+ * outside a transaction. Callbacks of a rolled-back transaction never run.
+ * A throwing callback is logged and does not affect the others.
+ *
+ * @function afterCommit
+ * @param {() => void} callback
+ * @returns {void}
+ * @example
+ * afterCommit(() => domainEvents.emit("badge.awarded", { user_id, badge_id }));
+ */
+export function afterCommit(callback) {
+  const transaction = currentTransaction.getStore();
+  if (transaction) transaction.afterCommit.push(callback);
+  else runSafely(callback);
+}
+
+/**
+ * @param {() => void} callback
+ */
+function runSafely(callback) {
+  try {
+    callback();
+  } catch (error) {
+    console.error("❌ After-commit callback failed:", error);
+  }
+}
+
 /**
  * Performs a simple MySQL health check by running `SELECT 1`.
  *
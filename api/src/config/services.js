@@ -0,0 +1,150 @@
+import { AssignmentRepository } from "../domain/repositories/AssignmentRepository.js";
+import { AttemptHistoryRepository } from "../domain/repositories/AttemptHistoryRepository.js";
+import { AttemptRepository } from "../domain/repositories/AttemptRepository.js";
+import { BadgesRepository } from "../domain/repositories/BadgesRepository.js";
+import { CertificateRepository } from "../domain/repositories/CertificateRepository.js";
+import { ClassRepository } from "../domain/repositories/ClassRepository.js";
+import { EmailVerificationRepository } from "../domain/repositories/EmailVerificationRepository.js";
+import { ExpiryReminderRepository } from "../domain/repositories/ExpiryReminderRepository.js";
+import { LevelPrerequisiteRepository } from "../domain/repositories/LevelPrerequisiteRepository.js";
+import { LevelRepository } from "../domain/repositories/LevelRepository.js";
+import { LoginAttemptRepository } from "../domain/repositories/LoginAttemptRepository.js";
+import { OrganizationRepository } from "../domain/repositories/OrganizationRepository.js";
+import { PasswordResetRepository } from "../domain/repositories/PasswordResetRepository.js";
+import { RecoveryCodeRepository } from "../domain/repositories/RecoveryCodeRepository.js";
+import { RefreshTokenRepository } from "../domain/repositories/RefreshTokenRepository.js";
+import { ScenarioRepository } from "../domain/repositories/ScenarioRepository.js";
+import { ScenarioRunRepository } from "../domain/repositories/ScenarioRunRepository.js";
+import { ScenarioStepRepository } from "../domain/repositories/ScenarioStepRepository.js";
+import { SessionRepository } from "../domain/repositories/SessionRepository.js";
+import { StepAttemptRepository } from "../domain/repositories/StepAttemptRepository.js";
+import { SubmissionKeyRepository } from "../domain/repositories/SubmissionKeyRepository.js";
+import { UserBadgeRepository } from "../domain/repositories/UserBadgeRepository.js";
+import { UserLevelRepository } from "../domain/repositories/UserLevelRepository.js";
+import { UserRepository } from "../domain/repositories/UserRepository.js";
+import { AssignmentService } from "../services/AssignmentService.js";
+import { AttemptService } from "../services/AttemptService.js";
+import { AuthService } from "../services/AuthService.js";
+import { BadgeRuleEngine } from "../services/BadgeRuleEngine.js";
+import { BadgesService } from "../services/BadgesService.js";
+import { CertificateService } from "../services/CertificateService.js";
+import { ClassService } from "../services/ClassService.js";
+import { LevelService } from "../services/LevelService.js";
+import { LevelUnlockService } from "../services/LevelUnlockService.js";
+import { LoginThrottleService } from "../services/LoginThrottleService.js";
+import { OrganizationService } from "../services/OrganizationService.js";
+import { ProgressionService } from "../services/ProgressionService.js";
+import { RecertificationService } from "../services/RecertificationService.js";
+import { ScenarioRunService } from "../services/ScenarioRunService.js";
+import { ScenarioService } from "../services/ScenarioService.js";
+import { ScenarioStepService } from "../services/ScenarioStepService.js";
+import { SessionService } from "../services/SessionService.js";
+import { StepAttemptService } from "../services/StepAttemptService.js";
+import { SubmissionService } from "../services/SubmissionService.js";
+import { TwoFactorService } from "../services/TwoFactorService.js";
+import { UserBadgeService } from "../services/UserBadgeService.js";
+import { UserLevelService } from "../services/UserLevelService.js";
+import { UserService } from "../services/UserService.js";
+import { Mailer } from "../utils/mailer.js";
+
+/**
+ * The application's services, wired once.
+ *
+ * The REST routers, the GraphQL resolvers and the background jobs import
+ * their services from here, so every entry point runs on the same object
+ * graph: a constructor change is made in this file only. Repositories hold
+ * no state and are shared between the services that need them.
+ *
+ * @module config/services
+ *
+ * @example
+ * import { scenarioService, submissionService } from "../config/services.js";
+ */
+
+// ---- 🗃️ Repositories ----
+const userRepo = new UserRepository();
+const levelRepo = new LevelRepository();
+const prerequisiteRepo = new LevelPrerequisiteRepository();
+const scenarioRepo = new ScenarioRepository();
+const attemptRepo = new AttemptRepository();
+const attemptHistoryRepo = new AttemptHistoryRepository();
+const userLevelRepo = new UserLevelRepository();
+const badgesRepo = new BadgesRepository();
+const userBadgeRepo = new UserBadgeRepository();
+const certificateRepo = new CertificateRepository();
+const scenarioRunRepo = new ScenarioRunRepository();
+
+// ---- 🔐 Accounts and sessions ----
+export const sessionService = new SessionService(new SessionRepository(), new RefreshTokenRepository(), userRepo);
+export const loginThrottleService = new LoginThrottleService(userRepo, new LoginAttemptRepository());
+export const twoFactorService = new TwoFactorService(userRepo, new RecoveryCodeRepository(), sessionService);
+export const authService = new AuthService(
+  userRepo,
+  sessionService,
+  new PasswordResetRepository(),
+  new EmailVerificationRepository(),
+  Mailer.fromEnv(),
+  loginThrottleService,
+  twoFactorService
+);
+export const userService = new UserService(userRepo);
+export const organizationService = new OrganizationService(new OrganizationRepository(), userRepo);
+
+// ---- 🧭 Catalog ----
+export const levelService = new LevelService(levelRepo, prerequisiteRepo);
+export const levelUnlockService = new LevelUnlockService(levelRepo, prerequisiteRepo, userLevelRepo, attemptRepo);
+export const scenarioService = new ScenarioService(scenarioRepo);
+export const scenarioStepService = new ScenarioStepService(new ScenarioStepRepository());
+export const badgesService = new BadgesService(badgesRepo);
+
+// ---- 📈 Progress ----
+export const attemptService = new AttemptService(attemptRepo, attemptHistoryRepo);
+export const stepAttemptService = new StepAttemptService(new StepAttemptRepository());
+export const userLevelService = new UserLevelService(userLevelRepo);
+export const userBadgeService = new UserBadgeService(userBadgeRepo, userRepo);
+export const certificateService = new CertificateService(certificateRepo, levelRepo, userLevelRepo, userRepo);
+export const recertificationService = new RecertificationService(
+  userLevelRepo,
+  levelRepo,
+  scenarioRepo,
+  attemptHistoryRepo,
+  certificateRepo,
+  new ExpiryReminderRepository()
+);
+
+// ---- 🎮 Playing and submitting ----
+export const progressionService = new ProgressionService(
+  scenarioStepService,
+  scenarioRepo,
+  attemptService,
+  stepAttemptService,
+  userLevelRepo,
+  levelUnlockService,
+  recertificationService,
+  certificateService,
+  new BadgeRuleEngine(badgesRepo, userBadgeRepo, attemptHistoryRepo, scenarioRepo)
+);
+export const submissionService = new SubmissionService(
+  scenarioService,
+  levelUnlockService,
+  progressionService,
+  userRepo,
+  new SubmissionKeyRepository(),
+  scenarioRunRepo
+);
+export const scenarioRunService = new ScenarioRunService(
+  scenarioRunRepo,
+  scenarioStepService,
+  userRepo,
+  levelUnlockService
+);
+
+// ---- 🏫 Classes ----
+export const classService = new ClassService(new ClassRepository(), userRepo);
+export const assignmentService = new AssignmentService(
+  new AssignmentRepository(),
+  classService,
+  scenarioRepo,
+  levelRepo,
+  attemptRepo
+);
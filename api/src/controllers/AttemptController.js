@@ -1,4 +1,5 @@
 import { validationResult } from 'express-validator';
+import { organizationScope, progressScope } from '../utils/tenancy.js';
 
 /**
  * Controller class responsible for handling HTTP requests related to user attempts.
@@ -32,7 +33,24 @@ export class AttemptController {
   }
 
   /**
-   * Retrieves and returns a list of all attempts.
+   * Reads `page` and `limit` from the query string (already validated), plus
+   * the caller's organization so staff only read their own members' history.
+   *
+   * @private
+   * @param {import('express').Request} req
+   * @returns {{page: number, limit: number, organization_id?: number}}
+   */
+  _pagination(req) {
+    return {
+      page: Number(req.query.page) || 1,
+      limit: Number(req.query.limit) || 20,
+      organization_id: organizationScope(req.user),
+    };
+  }
+
+  /**
+   * Retrieves and returns every attempt the caller may read: only their own
+   * unless they hold `reports:read` (see `progressScope`).
    *
    * @async
    * @method list
@@ -42,7 +60,7 @@ export class AttemptController {
    */
   list = async (req, res, next) => {
     try {
-      const attempts = await this.attemptService.listAttempts();
+      const attempts = await this.attemptService.listAttempts(progressScope(req.user));
       res.json(attempts);
     } catch (e) {
       next(e);
@@ -61,7 +79,7 @@ export class AttemptController {
   get = async (req, res, next) => {
     try {
       if (this._validate(req, res)) return;
-      const attempt = await this.attemptService.getAttempt(req.params.id);
+      const attempt = await this.attemptService.getAttempt(req.params.id, progressScope(req.user));
       if (!attempt) return res.status(404).json({ message: 'Attempt not found' });
       res.json(attempt);
     } catch (e) {
@@ -90,7 +108,7 @@ export class AttemptController {
   };
 
   /**
-   * Creates or updates a user's best score for a scenario.
+   * Records a new try for a scenario and returns the resulting best score.
    *
    * @async
    * @method save
@@ -101,9 +119,64 @@ export class AttemptController {
   save = async (req, res, next) => {
     try {
       if (this._validate(req, res)) return;
-      const { user_id, scenario_id, score } = req.body;
-      const newAttempt = await this.attemptService.saveBestScore({ user_id, scenario_id, score });
-      res.status(201).json(newAttempt);
+      const { user_id, scenario_id, score, started_at } = req.body;
+      const { best } = await this.attemptService.recordAttempt({
+        user_id,
+        scenario_id,
+        score,
+        started_at,
+      });
+      res.status(201).json(best);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Lists a user's attempt history for one scenario (paginated, newest first).
+   * Reading another user's history is gated by `requireSelfOrPermission` on the route.
+   *
+   * @async
+   * @method getScenarioHistory
+   * @param {import('express').Request} req - Query accepts `page` and `limit`.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   */
+  getScenarioHistory = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+      const { user_id, scenario_id } = req.params;
+      const history = await this.attemptService.getScenarioHistory(
+        user_id,
+        scenario_id,
+        this._pagination(req)
+      );
+      res.json(history);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Lists a user's attempt history across a level (paginated, newest first).
+   * Reading another user's history is gated by `requireSelfOrPermission` on the route.
+   *
+   * @async
+   * @method getLevelHistory
+   * @param {import('express').Request} req - Query accepts `page` and `limit`.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   */
+  getLevelHistory = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+      const { user_id, level_id } = req.params;
+      const history = await this.attemptService.getLevelHistory(
+        user_id,
+        level_id,
+        this._pagination(req)
+      );
+      res.json(history);
     } catch (e) {
       next(e);
     }
@@ -4,7 +4,7 @@ import { validationResult } from 'express-validator';
  * Controller class for handling authentication-related requests.
  * 
  * Provides methods for registering new users, logging in existing users,
- * and retrieving the authenticated user's profile information.
+ * and retrieving or updating the authenticated user's profile and password.
  */
 export class AuthController {
   /**
@@ -33,7 +33,7 @@ export class AuthController {
   }
 
   /**
-   * Registers a new user.
+   * Registers a new user and logs them in.
    *
    * @async
    * @method register
@@ -44,7 +44,7 @@ export class AuthController {
    * @example
    * POST /auth/register
    * {
-   *   "username": "john_doe",
+   *   "full_name": "John Doe",
    *   "email": "john@example.com",
    *   "password": "securePassword123"
    * }
@@ -52,7 +52,9 @@ export class AuthController {
   register = async (req, res, next) => {
     try {
       if (this._handleValidation(req, res)) return;
-      const result = await this.authService.register(req.body);
+      const result = await this.authService.register(req.body, {
+        user_agent: req.get('user-agent'),
+      });
       res.status(201).json(result);
     } catch (e) {
       next(e);
@@ -78,7 +80,37 @@ export class AuthController {
   login = async (req, res, next) => {
     try {
       if (this._handleValidation(req, res)) return;
-      const result = await this.authService.login(req.body);
+      const result = await this.authService.login(req.body, {
+        user_agent: req.get('user-agent'),
+        ip: req.ip,
+      });
+      res.json(result);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Completes a login with a two-factor code (or recovery code) and the
+   * challenge token returned by the password step.
+   *
+   * @async
+   * @method verifyTwoFactor
+   * @param {import('express').Request} req - Body contains `challengeToken` and `code` or `recovery_code`.
+   * @param {import('express').Response} res - The Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @example
+   * POST /auth/2fa/verify
+   * { "challengeToken": "eyJhbGciOi...", "code": "492039" }
+   */
+  verifyTwoFactor = async (req, res, next) => {
+    try {
+      if (this._handleValidation(req, res)) return;
+      const result = await this.authService.completeTwoFactorLogin(req.body, {
+        user_agent: req.get('user-agent'),
+        ip: req.ip,
+      });
       res.json(result);
     } catch (e) {
       next(e);
@@ -106,4 +138,151 @@ export class AuthController {
       next(e);
     }
   };
+
+  /**
+   * Updates the authenticated user's name and/or email.
+   *
+   * @async
+   * @method updateProfile
+   * @param {import('express').Request} req - The Express request object (expects `req.user.id` to be set).
+   * @param {import('express').Response} res - The Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @example
+   * PATCH /auth/me
+   * { "full_name": "John Smith" }
+   */
+  updateProfile = async (req, res, next) => {
+    try {
+      if (this._handleValidation(req, res)) return;
+      const user = await this.authService.updateProfile(req.user.id, {
+        full_name: req.body.full_name,
+        email: req.body.email,
+      });
+      res.json(user);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Changes the authenticated user's password and ends their other sessions.
+   *
+   * @async
+   * @method changePassword
+   * @param {import('express').Request} req - The Express request object (expects `req.user.id` to be set).
+   * @param {import('express').Response} res - The Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @example
+   * POST /auth/change-password
+   * { "current_password": "securePassword123", "new_password": "evenMoreSecure456" }
+   */
+  changePassword = async (req, res, next) => {
+    try {
+      if (this._handleValidation(req, res)) return;
+      const result = await this.authService.changePassword(req.user.id, req.body, {
+        session_id: req.user.sid,
+      });
+      res.json(result);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Emails a password reset link. Always responds 202 with the same message,
+   * whether or not the email is registered.
+   *
+   * @async
+   * @method forgotPassword
+   * @param {import('express').Request} req - The Express request object containing the email.
+   * @param {import('express').Response} res - The Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @example
+   * POST /auth/forgot-password
+   * { "email": "john@example.com" }
+   */
+  forgotPassword = async (req, res, next) => {
+    try {
+      if (this._handleValidation(req, res)) return;
+      await this.authService.requestPasswordReset(req.body.email);
+      res.status(202).json({
+        message: 'If an account exists for that email, a reset link is on its way.',
+      });
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Sets a new password using the token from a reset link.
+   *
+   * @async
+   * @method resetPassword
+   * @param {import('express').Request} req - The Express request object containing the token and new password.
+   * @param {import('express').Response} res - The Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @example
+   * POST /auth/reset-password
+   * { "token": "q3V...", "new_password": "evenMoreSecure456" }
+   */
+  resetPassword = async (req, res, next) => {
+    try {
+      if (this._handleValidation(req, res)) return;
+      const result = await this.authService.resetPassword(req.body.token, req.body.new_password);
+      res.json({ message: 'Your password has been reset. Please log in.', ...result });
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Verifies the user's email address with the token from the emailed link.
+   *
+   * @async
+   * @method verifyEmail
+   * @param {import('express').Request} req - The Express request object (token in the path).
+   * @param {import('express').Response} res - The Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @example
+   * GET /auth/verify/q3V...
+   */
+  verifyEmail = async (req, res, next) => {
+    try {
+      if (this._handleValidation(req, res)) return;
+      const user = await this.authService.verifyEmail(req.params.token);
+      res.json({ message: 'Your email address is verified.', user });
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Sends a new verification link. Always responds 202 with the same message.
+   *
+   * @async
+   * @method resendVerification
+   * @param {import('express').Request} req - The Express request object containing the email.
+   * @param {import('express').Response} res - The Express response object.
+   * @param {Function} next - Express next middleware function.
+   * @returns {Promise<void>}
+   * @example
+   * POST /auth/verify/resend
+   * { "email": "john@example.com" }
+   */
+  resendVerification = async (req, res, next) => {
+    try {
+      if (this._handleValidation(req, res)) return;
+      await this.authService.resendVerification(req.body.email);
+      res.status(202).json({
+        message: 'If that account still needs verifying, a new link is on its way.',
+      });
+    } catch (e) {
+      next(e);
+    }
+  };
 }
@@ -0,0 +1,182 @@
+import { validationResult } from 'express-validator';
+import { organizationScope } from '../utils/tenancy.js';
+
+/**
+ * Controller class responsible for certificate HTTP requests: issuing the
+ * completion certificate, listing certificates, and public verification.
+ */
+export class CertificateController {
+  /**
+   * @param {object} certificateService - Instance of the CertificateService.
+   */
+  constructor(certificateService) {
+    this.certificateService = certificateService;
+  }
+
+  /**
+   * Validates incoming request using express-validator.
+   * Sends a 400 response if validation errors are found.
+   *
+   * @private
+   * @param {import('express').Request} req - The Express request object.
+   * @param {import('express').Response} res - The Express response object.
+   * @returns {boolean} Returns true if validation failed and response is sent, otherwise false.
+   */
+  _validate(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      res.status(400).json({ errors: errors.array() });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Retrieves all certificates (admin); organization staff get their members' certificates.
+   *
+   * @async
+   * @method list
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /certificates
+   */
+  list = async (req, res, next) => {
+    try {
+      const certificates = await this.certificateService.listCertificates({
+        organization_id: organizationScope(req.user),
+      });
+      res.json(certificates);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Retrieves the authenticated user's certificates.
+   *
+   * @async
+   * @method mine
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /certificates/me
+   */
+  mine = async (req, res, next) => {
+    try {
+      const certificates = await this.certificateService.listByUser(req.user.id);
+      res.json(certificates);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Issues the completion certificate to the authenticated user.
+   * Responds 201 with a new certificate, 200 with the current one if already
+   * issued, or 403 if not every level is completed yet.
+   *
+   * @async
+   * @method issue
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /certificates
+   */
+  issue = async (req, res, next) => {
+    try {
+      const issued = await this.certificateService.issueIfEligible(req.user.id);
+      if (!issued) {
+        return res
+          .status(403)
+          .json({ message: 'Complete (or renew) every level to earn the certificate' });
+      }
+      res.status(issued.created ? 201 : 200).json(issued.certificate);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Publicly verifies a certificate serial.
+   *
+   * @async
+   * @method verify
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /certificates/verify/SIM-7F3A9C21B04E-5D1E88A0
+   */
+  verify = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const result = await this.certificateService.verify(req.params.serial);
+      res.status(result.status === 'not_found' ? 404 : 200).json(result);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Streams a certificate as a PDF download.
+   * Responds 404 for unknown serials and 410 for revoked or tampered ones.
+   *
+   * @async
+   * @method pdf
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /certificates/SIM-7F3A9C21B04E-5D1E88A0/pdf
+   */
+  pdf = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const { status, pdf, filename } = await this.certificateService.renderPdf(req.params.serial);
+      if (status === 'not_found') return res.status(404).json({ message: 'Certificate not found' });
+      if (!pdf) return res.status(410).json({ message: 'Certificate is no longer valid', status });
+
+      res
+        .type('application/pdf')
+        .set('Content-Disposition', `attachment; filename="${filename}"`)
+        .send(pdf);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Revokes a certificate (admin).
+   *
+   * @async
+   * @method revoke
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /certificates/SIM-7F3A9C21B04E-5D1E88A0/revoke
+   */
+  revoke = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const certificate = await this.certificateService.revoke(req.params.serial);
+      if (!certificate) return res.status(404).json({ message: 'Certificate not found' });
+      res.json(certificate);
+    } catch (e) {
+      next(e);
+    }
+  };
+}
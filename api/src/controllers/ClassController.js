@@ -0,0 +1,355 @@
+import { validationResult } from 'express-validator';
+import { organizationScope } from '../utils/tenancy.js';
+
+/**
+ * Controller class for classes, their members and assignments.
+ */
+export class ClassController {
+  /**
+   * @param {object} classService - Instance of the ClassService.
+   * @param {object} assignmentService - Instance of the AssignmentService.
+   */
+  constructor(classService, assignmentService) {
+    this.classService = classService;
+    this.assignmentService = assignmentService;
+  }
+
+  /**
+   * Validates incoming request using express-validator.
+   * Sends a 400 response if validation errors are found.
+   *
+   * @private
+   * @param {import('express').Request} req - The Express request object.
+   * @param {import('express').Response} res - The Express response object.
+   * @returns {boolean} Returns true if validation failed and response is sent, otherwise false.
+   */
+  _validate(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      res.status(400).json({ errors: errors.array() });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Classes the caller's organization scope allows.
+   *
+   * @private
+   * @param {import('express').Request} req
+   * @returns {{organization_id: number|undefined}}
+   */
+  _scope(req) {
+    return { organization_id: organizationScope(req.user) };
+  }
+
+  /**
+   * Lists classes with their member counts.
+   *
+   * @async
+   * @method list
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /classes
+   */
+  list = async (req, res, next) => {
+    try {
+      res.json(await this.classService.listClasses(this._scope(req)));
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Returns one class.
+   *
+   * @async
+   * @method get
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /classes/3
+   */
+  get = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      res.json(await this.classService.getClass(req.params.id, this._scope(req)));
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Creates a class in the caller's organization.
+   *
+   * @async
+   * @method create
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /classes
+   * { "name": "Night shift" }
+   */
+  create = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const cls = await this.classService.createClass({ name: req.body.name }, req.user);
+      res.status(201).json(cls);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Renames a class.
+   *
+   * @async
+   * @method update
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * PUT /classes/3
+   * { "name": "Night shift B" }
+   */
+  update = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const cls = await this.classService.renameClass(
+        req.params.id,
+        { name: req.body.name },
+        this._scope(req)
+      );
+      res.json(cls);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Deletes a class with its enrollments and assignments.
+   *
+   * @async
+   * @method delete
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * DELETE /classes/3
+   */
+  delete = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      await this.classService.deleteClass(req.params.id, this._scope(req));
+      res.status(204).send();
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Lists the users enrolled in a class.
+   *
+   * @async
+   * @method members
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /classes/3/members
+   */
+  members = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      res.json(await this.classService.listMembers(req.params.id, this._scope(req)));
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Enrolls a user in a class.
+   *
+   * @async
+   * @method enroll
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * PUT /classes/3/members/14
+   */
+  enroll = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const members = await this.classService.enroll(
+        req.params.id,
+        Number(req.params.user_id),
+        this._scope(req)
+      );
+      res.json(members);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Removes a user from a class.
+   *
+   * @async
+   * @method unenroll
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * DELETE /classes/3/members/14
+   */
+  unenroll = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      await this.classService.unenroll(req.params.id, Number(req.params.user_id), this._scope(req));
+      res.status(204).send();
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Lists the assignments of a class.
+   *
+   * @async
+   * @method assignments
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /classes/3/assignments
+   */
+  assignments = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      res.json(await this.assignmentService.listAssignments(req.params.id, this._scope(req)));
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Assigns a scenario or a level to a class.
+   *
+   * @async
+   * @method createAssignment
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /classes/3/assignments
+   * { "level_id": 2, "due_at": "2026-11-01T17:00:00Z", "min_score": 80 }
+   */
+  createAssignment = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const { scenario_id, level_id, due_at, min_score } = req.body;
+      const assignment = await this.assignmentService.createAssignment(
+        req.params.id,
+        { scenario_id, level_id, due_at, min_score },
+        req.user,
+        this._scope(req)
+      );
+      res.status(201).json(assignment);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Removes an assignment from a class.
+   *
+   * @async
+   * @method deleteAssignment
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * DELETE /classes/3/assignments/5
+   */
+  deleteAssignment = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      await this.assignmentService.deleteAssignment(
+        req.params.id,
+        Number(req.params.assignment_id),
+        this._scope(req)
+      );
+      res.status(204).send();
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Returns the class's completion matrix (member × assignment).
+   *
+   * @async
+   * @method progress
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /classes/3/progress
+   */
+  progress = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      res.json(await this.assignmentService.getClassProgress(req.params.id, this._scope(req)));
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Returns the caller's own assignments with their progress.
+   *
+   * @async
+   * @method mine
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /assignments/me
+   */
+  mine = async (req, res, next) => {
+    try {
+      res.json(await this.assignmentService.listForUser(req.user.id));
+    } catch (e) {
+      next(e);
+    }
+  };
+}
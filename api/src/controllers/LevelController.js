@@ -1,16 +1,20 @@
 import { validationResult } from 'express-validator';
+import { AppError } from '../utils/error.js';
 
 /**
  * Controller class responsible for handling all level-related HTTP requests.
  * 
- * Provides endpoints to list, retrieve, create, update, and delete levels.
+ * Provides endpoints to list, retrieve, create, update, and delete levels,
+ * configure their prerequisites, and report a user's progress through them.
  */
 export class LevelController {
   /**
    * @param {object} levelService - Instance of the LevelService that manages business logic for level operations.
+   * @param {object} levelUnlockService - Instance of the LevelUnlockService that evaluates the level graph per user.
    */
-  constructor(levelService) {
+  constructor(levelService, levelUnlockService) {
     this.levelService = levelService;
+    this.levelUnlockService = levelUnlockService;
   }
 
   /**
@@ -52,6 +56,28 @@ export class LevelController {
     }
   };
 
+  /**
+   * Retrieves the authenticated user's level map: every level in difficulty
+   * order with its prerequisites and whether it is unlocked or completed.
+   *
+   * @async
+   * @method progress
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /levels/progress
+   */
+  progress = async (req, res, next) => {
+    try {
+      const levels = await this.levelUnlockService.getLevelMap(req.user.id);
+      res.json(levels);
+    } catch (e) {
+      next(e);
+    }
+  };
+
   /**
    * Retrieves a specific level by ID.
    *
@@ -127,6 +153,35 @@ export class LevelController {
     }
   };
 
+  /**
+   * Replaces the prerequisites of a level.
+   * Responds with 400 if the rules reference unknown levels or would create a cycle.
+   *
+   * @async
+   * @method setPrerequisites
+   * @param {import('express').Request} req - The Express request object containing `prerequisites`.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * PUT /levels/:id/prerequisites
+   * {
+   *   "prerequisites": [{ "required_level_id": 2 }, { "required_level_id": 3, "min_score": 80 }]
+   * }
+   */
+  setPrerequisites = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const level = await this.levelService.setPrerequisites(req.params.id, req.body.prerequisites);
+      if (!level) return res.status(404).json({ message: 'Level not found' });
+      res.status(200).json(level);
+    } catch (e) {
+      if (e instanceof AppError) return res.status(e.status).json({ message: e.message });
+      next(e);
+    }
+  };
+
   /**
    * Deletes a level by its ID.
    *
@@ -0,0 +1,110 @@
+import { validationResult } from 'express-validator';
+
+/**
+ * Controller class for the admin side of login protection: checking and
+ * lifting account lockouts and reading the login audit trail.
+ */
+export class LoginSecurityController {
+  /**
+   * @param {object} loginThrottleService - Instance of the LoginThrottleService.
+   */
+  constructor(loginThrottleService) {
+    this.loginThrottleService = loginThrottleService;
+  }
+
+  /**
+   * Validates incoming request using express-validator.
+   * Sends a 400 response if validation errors are found.
+   *
+   * @private
+   * @param {import('express').Request} req - The Express request object.
+   * @param {import('express').Response} res - The Express response object.
+   * @returns {boolean} Returns true if validation failed and response is sent, otherwise false.
+   */
+  _validate(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      res.status(400).json({ errors: errors.array() });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Shows whether a user's account is locked and how many logins failed.
+   *
+   * @async
+   * @method lockStatus
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /auth/users/4/lockout
+   */
+  lockStatus = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const status = await this.loginThrottleService.getStatus(Number(req.params.id));
+      res.json(status);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Unlocks a user's account and resets its failed login count.
+   *
+   * @async
+   * @method unlock
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * DELETE /auth/users/4/lockout
+   */
+  unlock = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const result = await this.loginThrottleService.unlock(Number(req.params.id));
+      res.json(result);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Lists recent login attempts, newest first. Only failures unless
+   * `?all=true`.
+   *
+   * @async
+   * @method listAttempts
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /auth/login-attempts?email=jane@example.com&limit=20
+   */
+  listAttempts = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const { email, user_id, ip, since, all, limit } = req.query;
+      const attempts = await this.loginThrottleService.listAttempts({
+        email,
+        ip,
+        user_id: user_id ? Number(user_id) : undefined,
+        since: since ? new Date(since) : undefined,
+        failed_only: all !== 'true',
+        limit: limit ? Number(limit) : 100,
+      });
+      res.json(attempts);
+    } catch (e) {
+      next(e);
+    }
+  };
+}
@@ -0,0 +1,230 @@
+import { validationResult } from 'express-validator';
+import { organizationScope } from '../utils/tenancy.js';
+
+/**
+ * Controller class for organizations and their members.
+ */
+export class OrganizationController {
+  /**
+   * @param {object} organizationService - Instance of the OrganizationService.
+   */
+  constructor(organizationService) {
+    this.organizationService = organizationService;
+  }
+
+  /**
+   * Validates incoming request using express-validator.
+   * Sends a 400 response if validation errors are found.
+   *
+   * @private
+   * @param {import('express').Request} req - The Express request object.
+   * @param {import('express').Response} res - The Express response object.
+   * @returns {boolean} Returns true if validation failed and response is sent, otherwise false.
+   */
+  _validate(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      res.status(400).json({ errors: errors.array() });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Lists every organization with its member count.
+   *
+   * @async
+   * @method list
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /organizations
+   */
+  list = async (req, res, next) => {
+    try {
+      res.json(await this.organizationService.listOrganizations());
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Returns one organization; members can only read their own.
+   *
+   * @async
+   * @method get
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /organizations/2
+   */
+  get = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const organization = await this.organizationService.getOrganization(req.params.id, {
+        organization_id: organizationScope(req.user),
+      });
+      res.json(organization);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Creates an organization.
+   *
+   * @async
+   * @method create
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /organizations
+   * { "name": "Acme Logistics", "slug": "acme" }
+   */
+  create = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const { name, slug } = req.body;
+      const organization = await this.organizationService.createOrganization({ name, slug });
+      res.status(201).json(organization);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Renames an organization or changes its slug.
+   *
+   * @async
+   * @method update
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * PUT /organizations/2
+   * { "name": "Acme Logistics Ltd" }
+   */
+  update = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const { name, slug } = req.body;
+      const organization = await this.organizationService.updateOrganization(req.params.id, {
+        name,
+        slug,
+      });
+      res.json(organization);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Deletes an empty organization.
+   *
+   * @async
+   * @method delete
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * DELETE /organizations/2
+   */
+  delete = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      await this.organizationService.deleteOrganization(req.params.id);
+      res.status(204).send();
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Lists the members of an organization.
+   *
+   * @async
+   * @method members
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /organizations/2/members
+   */
+  members = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const members = await this.organizationService.listMembers(req.params.id, {
+        organization_id: organizationScope(req.user),
+      });
+      res.json(members);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Moves a user into the organization.
+   *
+   * @async
+   * @method addMember
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * PUT /organizations/2/members/14
+   */
+  addMember = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const user = await this.organizationService.addMember(
+        req.params.id,
+        Number(req.params.user_id)
+      );
+      res.json(user);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Takes a user out of the organization.
+   *
+   * @async
+   * @method removeMember
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * DELETE /organizations/2/members/14
+   */
+  removeMember = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const user = await this.organizationService.removeMember(
+        req.params.id,
+        Number(req.params.user_id)
+      );
+      res.json(user);
+    } catch (e) {
+      next(e);
+    }
+  };
+}
@@ -0,0 +1,106 @@
+import { validationResult } from 'express-validator';
+import { organizationScope } from '../utils/tenancy.js';
+
+const DEFAULT_LOOKBACK_DAYS = 30;
+
+/**
+ * Controller class responsible for recertification HTTP requests: the
+ * user's validity status and refresher path, and expiry reminders for admins.
+ */
+export class RecertificationController {
+  /**
+   * @param {object} recertificationService - Instance of the RecertificationService.
+   */
+  constructor(recertificationService) {
+    this.recertificationService = recertificationService;
+  }
+
+  /**
+   * Validates incoming request using express-validator.
+   * Sends a 400 response if validation errors are found.
+   *
+   * @private
+   * @param {import('express').Request} req - The Express request object.
+   * @param {import('express').Response} res - The Express response object.
+   * @returns {boolean} Returns true if validation failed and response is sent, otherwise false.
+   */
+  _validate(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      res.status(400).json({ errors: errors.array() });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Retrieves the authenticated user's level and certificate validity,
+   * refresher progress and reminders.
+   *
+   * @async
+   * @method mine
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /recertification/me
+   */
+  mine = async (req, res, next) => {
+    try {
+      const status = await this.recertificationService.getStatus(req.user.id);
+      res.json(status);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Lists expiry reminders flagged since `?since` (default: the last 30 days).
+   *
+   * @async
+   * @method reminders
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /recertification/reminders?since=2025-01-01
+   */
+  reminders = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const since = req.query.since
+        ? new Date(req.query.since)
+        : new Date(Date.now() - DEFAULT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+      const reminders = await this.recertificationService.listReminders(since, {
+        organization_id: organizationScope(req.user),
+      });
+      res.json(reminders);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Runs the expiry scan immediately instead of waiting for the scheduled job.
+   *
+   * @async
+   * @method runReminders
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /recertification/reminders/run
+   */
+  runReminders = async (req, res, next) => {
+    try {
+      const flagged = await this.recertificationService.flagExpiring();
+      res.json({ flagged: flagged.length, reminders: flagged });
+    } catch (e) {
+      next(e);
+    }
+  };
+}
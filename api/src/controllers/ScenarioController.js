@@ -1,5 +1,7 @@
 import { validationResult } from "express-validator";
 import { generateScenarioFeedback } from "../utils/generateScenarioFeedback.js";
+import { checkPermission } from "../middlewares/requirePermission.js";
+import { scenarioVisibility } from "../utils/tenancy.js";
 
 /**
  * Controller for scenario-related endpoints.
@@ -12,25 +14,14 @@ export class ScenarioController {
   /**
    * @param {object} scenarioService
    * @param {object} scenarioStepService
-   * @param {object} attemptRepo
-   * @param {object} badgeRepo
-   * @param {object} userBadgeRepo
-   * @param {object} userLevelRepo
+   * @param {object} submissionService - Grades submissions and records their effects atomically.
+   * @param {object} scenarioRunService - Checks step answers and stores them in the learner's run.
    */
-  constructor(
-    scenarioService,
-    scenarioStepService,
-    attemptRepo,
-    badgeRepo,
-    userBadgeRepo,
-    userLevelRepo
-  ) {
+  constructor(scenarioService, scenarioStepService, submissionService, scenarioRunService) {
     this.scenarioService = scenarioService;
     this.scenarioStepService = scenarioStepService;
-    this.attemptRepo = attemptRepo;
-    this.badgeRepo = badgeRepo;
-    this.userBadgeRepo = userBadgeRepo;
-    this.userLevelRepo = userLevelRepo;
+    this.submissionService = submissionService;
+    this.scenarioRunService = scenarioRunService;
   }
 
   /**
@@ -52,7 +43,8 @@ export class ScenarioController {
   }
 
   /**
-   * Lists all scenarios.
+   * Lists all scenarios the caller may see (shared ones plus their
+   * organization's private scenarios).
    *
    * @async
    * @method list
@@ -64,7 +56,9 @@ export class ScenarioController {
    */
   list = async (req, res, next) => {
     try {
-      const scenarios = await this.scenarioService.listScenarios();
+      const scenarios = await this.scenarioService.listScenarios({
+        organization_id: scenarioVisibility(req.user),
+      });
       res.json(scenarios);
     } catch (e) {
       next(e);
@@ -74,6 +68,11 @@ export class ScenarioController {
   /**
    * Gets a single scenario by ID and returns it with its ordered steps.
    *
+   * Roles granted `content:read` receive the full view (including
+   * `correct_action` and `feedback_message`) once they meet the
+   * `TWO_FACTOR_REQUIRED_ROLES` policy; everyone else receives the player view, in which
+   * answers are stripped and must be checked via {@link ScenarioController#answer}.
+   *
    * @async
    * @method get
    * @param {import('express').Request} req
@@ -86,19 +85,99 @@ export class ScenarioController {
     try {
       if (this._validate(req, res)) return;
 
-      const scenario = await this.scenarioService.getScenario(req.params.id);
+      const scenario = await this.scenarioService.getScenario(req.params.id, {
+        organization_id: scenarioVisibility(req.user),
+      });
       if (!scenario)
         return res.status(404).json({ message: "Scenario not found" });
 
-      const steps = await this.scenarioStepService.getStepsByScenario(
-        req.params.id
-      );
+      const steps =
+        !checkPermission(req.user, "content:read")
+          ? await this.scenarioStepService.getStepsByScenario(req.params.id)
+          : await this.scenarioStepService.getPlayerStepsByScenario(
+              req.params.id
+            );
       res.json({ ...scenario, steps });
     } catch (e) {
       next(e);
     }
   };
 
+  /**
+   * Starts the learner's run of a scenario, so the time taken on its first
+   * step is measured from now. A run with answers already is resumed
+   * instead (`answered` > 0).
+   *
+   * @async
+   * @method start
+   * @param {import('express').Request} req - Path contains :id.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example POST /scenarios/:id/start
+   */
+  start = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const scenario = await this.scenarioService.getScenario(req.params.id, {
+        organization_id: scenarioVisibility(req.user),
+      });
+      if (!scenario)
+        return res.status(404).json({ message: "Scenario not found" });
+
+      res.json(await this.scenarioRunService.start(req.user, scenario));
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Checks a learner's committed answer for a single step and reveals the
+   * correct action and feedback for that step only.
+   *
+   * The answer is stored in the learner's run of the scenario and is the one
+   * graded on submit; checking the step again returns the stored result
+   * (`already_answered: true`). Steps are answered in the order reached.
+   * Send `answer: null` when the step timer expires; it is graded as incorrect.
+   * In a scenario with a simulated casualty, the result includes the vitals
+   * after the action, with the time taken measured by the server.
+   *
+   * @async
+   * @method answer
+   * @param {import('express').Request} req - Path contains :id and :stepId; body contains { answer }.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /scenarios/:id/steps/:stepId/answer
+   * { "answer": "B" }
+   */
+  answer = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const scenario = await this.scenarioService.getScenario(req.params.id, {
+        organization_id: scenarioVisibility(req.user),
+      });
+      if (!scenario)
+        return res.status(404).json({ message: "Scenario not found" });
+
+      const result = await this.scenarioRunService.answerStep(
+        req.user,
+        scenario,
+        req.params.stepId,
+        req.body.answer ?? null
+      );
+      if (!result)
+        return res.status(404).json({ message: "Scenario step not found" });
+
+      res.json(result);
+    } catch (e) {
+      next(e);
+    }
+  };
+
   /**
    * Lists scenarios by level ID.
    *
@@ -113,7 +192,9 @@ export class ScenarioController {
     const levelId = Number(req.params.levelId);
     if (!levelId) return res.status(400).json({ message: "Invalid level ID" });
     try {
-      const scenarios = await this.scenarioService.listByLevel(levelId);
+      const scenarios = await this.scenarioService.listByLevel(levelId, {
+        organization_id: scenarioVisibility(req.user),
+      });
       return res.json(scenarios);
     } catch (err) {
       return res.status(500).json({ message: err.message });
@@ -191,147 +272,39 @@ export class ScenarioController {
   };
 
   /**
-   * Submits user answers for a scenario, calculates score and correctness,
-   * upserts the user's best score, updates level progress (including unlocking the next level),
-   * and awards a level-completion badge when applicable.
+   * Submits the learner's run of a scenario: the answers stored by
+   * {@link ScenarioController#answer} are graded, never answers sent here.
+   * Grading and every write it causes (attempt history and best score, step
+   * answers, level progress and validity, unlocked levels, certificate,
+   * badges) run in one transaction in {@link SubmissionService}.
+   *
+   * With an `Idempotency-Key` header, a retried request returns the original
+   * result (marked with an `Idempotent-Replayed: true` header) instead of
+   * being graded again.
    *
-   * Response includes score, flags, level progress, optional awarded badge,
+   * Response includes score, flags, level progress, awarded badges,
    * and an updated scenario snapshot.
    *
    * @async
    * @method submit
-   * @param {import('express').Request} req - Body contains { userAnswers: string[] }; expects authenticated user (req.user?.id).
+   * @param {import('express').Request} req - Body contains { stepResults?: { step_id, timed_out, response_ms }[] }; expects authenticated user (req.user?.id).
    * @param {import('express').Response} res
    * @param {Function} next
    * @returns {Promise<void>}
    * @example
    * POST /scenarios/:id/submit
-   * { "userAnswers": ["A","C","B","D"] }
+   * Idempotency-Key: 5b0e7c1e-1f4e-4c39-9a55-0f1b3f3a2d11
+   * {
+   *   "stepResults": [{ "step_id": 11, "timed_out": false, "response_ms": 5230 }]
+   * }
    */
   submit = async (req, res, next) => {
     try {
-      const { userAnswers } = req.body;
-      const scenarioId = parseInt(req.params.id, 10);
-
-      if (!userAnswers || !Array.isArray(userAnswers)) {
-        return res.status(400).json({ message: "userAnswers must be an array." });
-      }
-
-      const scenario = await this.scenarioService.getScenario(scenarioId);
-      if (!scenario)
-        return res.status(404).json({ message: "Scenario not found" });
-
-      const steps = await this.scenarioStepService.getStepsByScenario(
-        scenarioId
-      );
-      if (!steps || steps.length === 0) {
-        return res
-          .status(404)
-          .json({ message: "No steps found for this scenario." });
-      }
-
-      const total = steps.length;
-      let correctCount = 0;
-
-      steps
-        .sort((a, b) => Number(a.step_order) - Number(b.step_order))
-        .forEach((step, i) => {
-          const picked = (userAnswers[i] || "").toString().toUpperCase();
-          const correct = (step.correct_action || "").toString().toUpperCase();
-          if (picked && picked === correct) correctCount += 1;
-        });
-
-      const score = Math.round((correctCount / total) * 100);
-      const allCorrect = correctCount === total;
-
-      const result = {
-        score,
-        all_correct: allCorrect,
-        level_id: scenario.level_id,
-        scenario_id: scenarioId,
-      };
-
-      const userId = req.user?.id;
-      if (userId) {
-        await this.attemptRepo.upsertBestScore({
-          user_id: userId,
-          scenario_id: scenarioId,
-          score,
-          all_correct: allCorrect,
-        });
-
-        const perfectInLevel =
-          await this.attemptRepo.countPerfectByUserInLevel(
-            userId,
-            scenario.level_id
-          );
-        const totalInLevel =
-          await this.scenarioService.scenarioRepository.countByLevel(
-            scenario.level_id
-          );
-
-        const completedThisLevel =
-          totalInLevel > 0 && perfectInLevel === totalInLevel;
-
-        await this.userLevelRepo.upsertProgress({
-          user_id: userId,
-          level_id: scenario.level_id,
-          unlocked: true,
-          completed: completedThisLevel,
-        });
-
-        if (completedThisLevel) {
-          const nextLevelId = scenario.level_id + 1;
-          if (scenario.level_id < 6) {
-            await this.userLevelRepo.upsertProgress({
-              user_id: userId,
-              level_id: nextLevelId,
-              unlocked: true,
-              completed: false,
-            });
-          }
-
-          result.level_progress = {
-            level_id: scenario.level_id,
-            completed: true,
-            next_level_unlocked: nextLevelId,
-          };
-
-          const badge = await this.badgeRepo.findByLevel(scenario.level_id);
-          if (badge) {
-            const existing = await this.userBadgeRepo.findByUserAndBadge(
-              userId,
-              badge.badge_id
-            );
-            if (!existing) {
-              await this.userBadgeRepo.create({
-                user_id: userId,
-                badge_id: badge.badge_id,
-              });
-              result.awarded_badge = {
-                badge_id: badge.badge_id,
-                name: badge.name,
-                description: badge.description,
-                icon_url: badge.icon_url,
-              };
-            }
-          }
-        } else {
-          result.level_progress = {
-            level_id: scenario.level_id,
-            completed: false,
-            perfect_in_level: perfectInLevel,
-            total_in_level: totalInLevel,
-          };
-        }
-
-        // Include updated scenario snapshot with any relevant progress flags
-        const updatedScenario = await this.scenarioService.getScenario(
-          scenarioId
-        );
-        result.updated_scenario = updatedScenario;
-      }
-
+      const { result, replayed } = await this.submissionService.submit(req.params.id, req.body, {
+        user: req.user,
+        idempotencyKey: req.get("Idempotency-Key"),
+      });
+      if (replayed) res.set("Idempotent-Replayed", "true");
       return res.status(200).json(result);
     } catch (e) {
       next(e);
@@ -1,4 +1,6 @@
 import { validationResult } from "express-validator";
+import { scenarioVisibility } from "../utils/tenancy.js";
+import { stepFromBody } from "../utils/stepTypes.js";
 
 /**
  * Controller responsible for managing scenario steps.
@@ -48,7 +50,9 @@ export class ScenarioStepController {
    */
   list = async (req, res, next) => {
     try {
-      const steps = await this.stepService.listScenarioSteps();
+      const steps = await this.stepService.listScenarioSteps({
+        organization_id: scenarioVisibility(req.user),
+      });
       res.json(steps);
     } catch (e) {
       next(e);
@@ -71,7 +75,9 @@ export class ScenarioStepController {
     try {
       if (this._validate(req, res)) return;
 
-      const step = await this.stepService.getScenarioStep(req.params.id);
+      const step = await this.stepService.getScenarioStep(req.params.id, {
+        organization_id: scenarioVisibility(req.user),
+      });
       if (!step) return res.status(404).json({ message: "Step not found" });
       res.json(step);
     } catch (e) {
@@ -80,11 +86,13 @@ export class ScenarioStepController {
   };
 
   /**
-   * Creates a new multiple-choice scenario step.
+   * Creates a new scenario step of any step type (see `utils/stepTypes.js`).
    *
    * @async
    * @method create
-   * @param {import('express').Request} req - The request body should include scenario_id, step_order, question_text, options, and correct_action.
+   * @param {import('express').Request} req - The request body should include scenario_id, step_order, question_text,
+   *   step_type, options (or the legacy option_a–option_d), correct_action and, for numeric steps, unit
+   *   (hotspot steps also need image_url and its image_alt description).
    * @param {import('express').Response} res
    * @param {Function} next
    * @returns {Promise<void>}
@@ -106,29 +114,13 @@ export class ScenarioStepController {
     try {
       if (this._validate(req, res)) return;
 
-      const {
-        scenario_id,
-        step_order,
-        question_text,
-        option_a,
-        option_b,
-        option_c,
-        option_d,
-        correct_action,
-        feedback_message,
-      } = req.body;
+      const { scenario_id, step_order, question_text, feedback_message } = req.body;
 
       const newStep = await this.stepService.createScenarioStep({
         scenario_id,
         step_order,
         question_text,
-        options: {
-          A: option_a,
-          B: option_b,
-          C: option_c,
-          D: option_d,
-        },
-        correct_action,
+        ...stepFromBody(req.body),
         feedback_message,
       });
 
@@ -154,29 +146,14 @@ export class ScenarioStepController {
     try {
       if (this._validate(req, res)) return;
 
-      const {
-        step_order,
-        question_text,
-        option_a,
-        option_b,
-        option_c,
-        option_d,
-        correct_action,
-        feedback_message,
-      } = req.body;
+      const { step_order, question_text, feedback_message } = req.body;
 
       const updatedStep = await this.stepService.updateScenarioStep(
         req.params.id,
         {
           step_order,
           question_text,
-          options: {
-            A: option_a,
-            B: option_b,
-            C: option_c,
-            D: option_d,
-          },
-          correct_action,
+          ...stepFromBody(req.body),
           feedback_message,
         }
       );
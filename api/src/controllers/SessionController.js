@@ -0,0 +1,113 @@
+import { validationResult } from 'express-validator';
+import { AppError } from '../utils/error.js';
+
+/**
+ * Controller class responsible for session HTTP requests: refreshing the
+ * access token, logging out, and revoking a user's sessions.
+ */
+export class SessionController {
+  /**
+   * @param {object} sessionService - Instance of the SessionService.
+   */
+  constructor(sessionService) {
+    this.sessionService = sessionService;
+  }
+
+  /**
+   * Validates incoming request using express-validator.
+   * Sends a 400 response if validation errors are found.
+   *
+   * @private
+   * @param {import('express').Request} req - The Express request object.
+   * @param {import('express').Response} res - The Express response object.
+   * @returns {boolean} Returns true if validation failed and response is sent, otherwise false.
+   */
+  _validate(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      res.status(400).json({ errors: errors.array() });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Exchanges a refresh token for a new access token and refresh token.
+   * Responds 401 when the refresh token is invalid, expired, reused or revoked.
+   *
+   * @async
+   * @method refresh
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /auth/refresh
+   * { "refreshToken": "..." }
+   */
+  refresh = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const tokens = await this.sessionService.refresh(req.body.refreshToken);
+      res.json(tokens);
+    } catch (e) {
+      if (e instanceof AppError) return res.status(e.status).json({ message: e.message });
+      next(e);
+    }
+  };
+
+  /**
+   * Ends the current session, identified by the refresh token in the body or,
+   * failing that, by the Bearer access token.
+   *
+   * @async
+   * @method logout
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /auth/logout
+   * { "refreshToken": "..." }
+   */
+  logout = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      if (req.body.refreshToken) {
+        await this.sessionService.end(req.body.refreshToken);
+      } else if (req.user?.sid) {
+        await this.sessionService.endById(req.user.sid);
+      } else {
+        return res.status(400).json({ message: "refreshToken or a valid access token is required" });
+      }
+      res.status(204).send();
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Revokes every session of a user (admin).
+   *
+   * @async
+   * @method revokeUserSessions
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * DELETE /auth/users/4/sessions
+   */
+  revokeUserSessions = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const revoked = await this.sessionService.revokeAllForUser(Number(req.params.id));
+      res.json({ user_id: Number(req.params.id), revoked });
+    } catch (e) {
+      next(e);
+    }
+  };
+}
@@ -0,0 +1,144 @@
+import { validationResult } from 'express-validator';
+import { organizationScope } from '../utils/tenancy.js';
+
+/**
+ * Controller class responsible for handling HTTP requests related to step attempts
+ * (a user's answer to a single scenario step).
+ */
+export class StepAttemptController {
+  /**
+   * @param {object} stepAttemptService - Instance of the StepAttemptService.
+   */
+  constructor(stepAttemptService) {
+    this.stepAttemptService = stepAttemptService;
+  }
+
+  /**
+   * Validates incoming request using express-validator.
+   * Sends a 400 response if validation errors are found.
+   *
+   * @private
+   * @param {import('express').Request} req - The Express request object.
+   * @param {import('express').Response} res - The Express response object.
+   * @returns {boolean} Returns true if validation failed and response is sent, otherwise false.
+   */
+  _validate(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      res.status(400).json({ errors: errors.array() });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Retrieves and returns all step attempts.
+   *
+   * @async
+   * @method list
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   */
+  list = async (req, res, next) => {
+    try {
+      const stepAttempts = await this.stepAttemptService.listStepAttempts({
+        organization_id: organizationScope(req.user),
+      });
+      res.json(stepAttempts);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Retrieves a single step attempt by its ID.
+   *
+   * @async
+   * @method get
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   */
+  get = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+      const stepAttempt = await this.stepAttemptService.getStepAttempt(req.params.id, {
+        organization_id: organizationScope(req.user),
+      });
+      if (!stepAttempt) return res.status(404).json({ message: 'Step attempt not found' });
+      res.json(stepAttempt);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Retrieves all step attempts recorded for a scenario attempt.
+   *
+   * @async
+   * @method getByAttempt
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   */
+  getByAttempt = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+      const stepAttempts = await this.stepAttemptService.getByAttempt(req.params.attempt_id, {
+        organization_id: organizationScope(req.user),
+      });
+      res.json(stepAttempts);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Records a new step attempt.
+   *
+   * @async
+   * @method create
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   */
+  create = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+      const { attempt_id, history_id, step_id, user_action, is_correct, timed_out, response_ms } = req.body;
+      const stepAttempt = await this.stepAttemptService.createStepAttempt({
+        attempt_id,
+        history_id,
+        step_id,
+        user_action,
+        is_correct,
+        timed_out,
+        response_ms,
+      });
+      res.status(201).json(stepAttempt);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Deletes a step attempt by its ID.
+   *
+   * @async
+   * @method delete
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   */
+  delete = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+      const ok = await this.stepAttemptService.deleteStepAttempt(req.params.id);
+      if (!ok) return res.status(404).json({ message: 'Step attempt not found' });
+      res.status(204).send();
+    } catch (e) {
+      next(e);
+    }
+  };
+}
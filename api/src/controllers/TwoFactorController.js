@@ -0,0 +1,172 @@
+import { validationResult } from 'express-validator';
+
+/**
+ * Controller class for managing the signed-in user's two-factor
+ * authentication (status, enrollment, recovery codes, turning it off) and
+ * for the admin reset of a user's 2FA.
+ */
+export class TwoFactorController {
+  /**
+   * @param {object} twoFactorService - Instance of the TwoFactorService.
+   */
+  constructor(twoFactorService) {
+    this.twoFactorService = twoFactorService;
+  }
+
+  /**
+   * Validates incoming request using express-validator.
+   * Sends a 400 response if validation errors are found.
+   *
+   * @private
+   * @param {import('express').Request} req - The Express request object.
+   * @param {import('express').Response} res - The Express response object.
+   * @returns {boolean} Returns true if validation failed and response is sent, otherwise false.
+   */
+  _validate(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      res.status(400).json({ errors: errors.array() });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Shows whether 2FA is on, pending or required, and how many recovery codes are left.
+   *
+   * @async
+   * @method status
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /auth/2fa
+   */
+  status = async (req, res, next) => {
+    try {
+      const status = await this.twoFactorService.getStatus(req.user.id);
+      res.json(status);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Starts enrollment and returns the secret, provisioning URI and QR code.
+   *
+   * @async
+   * @method setup
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /auth/2fa/setup
+   */
+  setup = async (req, res, next) => {
+    try {
+      const provisioning = await this.twoFactorService.beginSetup(req.user.id);
+      res.json(provisioning);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Confirms enrollment with a first code and returns the recovery codes.
+   *
+   * @async
+   * @method enable
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /auth/2fa/enable
+   * { "code": "492039" }
+   */
+  enable = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const result = await this.twoFactorService.enable(req.user.id, req.body.code, {
+        session_id: req.user.sid,
+      });
+      res.json(result);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Turns 2FA off after checking the password and a code.
+   *
+   * @async
+   * @method disable
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /auth/2fa/disable
+   * { "password": "secret123", "code": "492039" }
+   */
+  disable = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      await this.twoFactorService.disable(req.user.id, req.body);
+      res.status(204).send();
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Replaces the recovery codes.
+   *
+   * @async
+   * @method regenerateRecoveryCodes
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /auth/2fa/recovery-codes
+   * { "code": "492039" }
+   */
+  regenerateRecoveryCodes = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const result = await this.twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
+      res.json(result);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Turns 2FA off for a user who lost their device (admin).
+   *
+   * @async
+   * @method reset
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * DELETE /auth/users/4/2fa
+   */
+  reset = async (req, res, next) => {
+    try {
+      if (this._validate(req, res)) return;
+
+      const result = await this.twoFactorService.reset(Number(req.params.id));
+      res.json(result);
+    } catch (e) {
+      next(e);
+    }
+  };
+}
@@ -1,4 +1,5 @@
 import { validationResult } from 'express-validator';
+import { organizationScope, progressScope } from '../utils/tenancy.js';
 
 /**
  * Controller responsible for managing user badges.
@@ -33,20 +34,29 @@ export class UserBadgeController {
   }
 
   /**
-   * Retrieves and returns a list of all user badges.
+   * Lists user badges.
+   *
+   * - With a `user_id` query param, returns that user's badges (gated by
+   *   `requireSelfOrPermission` on the route).
+   * - Otherwise, returns every badge the caller may read: only their own
+   *   unless they hold `reports:read` (see `progressScope`).
    *
    * @async
    * @method list
-   * @param {import('express').Request} req
+   * @param {import('express').Request} req - Optional query: `user_id`.
    * @param {import('express').Response} res
    * @param {Function} next - Express middleware function.
    * @returns {Promise<void>}
    * @example
    * GET /user-badges
+   * GET /user-badges?user_id=12
    */
   list = async (req, res, next) => {
     try {
-      const badges = await this.userBadgeService.listUserBadges();
+      const { user_id } = req.query || {};
+      const badges = user_id
+        ? await this.userBadgeService.getUserBadges(user_id)
+        : await this.userBadgeService.listUserBadges(progressScope(req.user));
       res.json(badges);
     } catch (e) {
       next(e);
@@ -54,7 +64,8 @@ export class UserBadgeController {
   };
 
   /**
-   * Retrieves a single user badge by ID.
+   * Retrieves a single user badge by ID; badges the caller may not read are
+   * reported as not found.
    *
    * @async
    * @method get
@@ -69,7 +80,7 @@ export class UserBadgeController {
     try {
       if (this._validate(req, res)) return;
 
-      const badge = await this.userBadgeService.getUserBadge(req.params.id);
+      const badge = await this.userBadgeService.getUserBadgeById(req.params.id, progressScope(req.user));
       if (!badge)
         return res.status(404).json({ message: 'User badge not found' });
       res.json(badge);
@@ -98,7 +109,9 @@ export class UserBadgeController {
     try {
       if (this._validate(req, res)) return;
 
-      const newBadge = await this.userBadgeService.createUserBadge(req.body);
+      const newBadge = await this.userBadgeService.createUserBadge(req.body, {
+        organization_id: organizationScope(req.user),
+      });
       res.status(201).json(newBadge);
     } catch (e) {
       next(e);
@@ -152,7 +165,9 @@ export class UserBadgeController {
     try {
       if (this._validate(req, res)) return;
 
-      const ok = await this.userBadgeService.deleteUserBadge(req.params.id);
+      const ok = await this.userBadgeService.deleteUserBadge(req.params.id, {
+        organization_id: organizationScope(req.user),
+      });
       if (!ok)
         return res.status(404).json({ message: 'User badge not found' });
       res.status(204).send();
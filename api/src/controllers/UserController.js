@@ -1,17 +1,21 @@
 import { validationResult } from "express-validator";
+import { organizationScope } from "../utils/tenancy.js";
 
 /**
  * Controller responsible for handling user-related operations.
  *
- * Provides routes for registration, login, listing user badges,
- * and performing standard CRUD operations on users.
+ * Provides routes for registration, login, and performing standard CRUD
+ * operations on users. Callers who belong to an organization only reach
+ * its members.
  */
 export class UserController {
   /**
    * @param {object} service - The UserService instance handling user-related business logic.
+   * @param {object} authService - The AuthService instance behind the deprecated register/login aliases.
    */
-  constructor(service) {
+  constructor(service, authService) {
     this.service = service;
+    this.authService = authService;
   }
 
   /**
@@ -33,9 +37,11 @@ export class UserController {
   }
 
   /**
-   * Registers a new user.
+   * Registers a new user (deprecated alias of `POST /auth/register`).
+   * Responds with the user only; no session is opened.
    *
    * @async
+   * @deprecated Use `AuthController.register`.
    * @method register
    * @param {import('express').Request} req - Body should include user registration details.
    * @param {import('express').Response} res
@@ -52,7 +58,7 @@ export class UserController {
   register = async (req, res, next) => {
     try {
       if (this._validate(req, res)) return;
-      const user = await this.service.register(req.body);
+      const user = await this.authService.createAccount(req.body);
       res.status(201).json(user);
     } catch (e) {
       next(e);
@@ -60,9 +66,11 @@ export class UserController {
   };
 
   /**
-   * Authenticates a user and returns a token.
+   * Authenticates a user and returns an access token and a refresh token
+   * (deprecated alias of `POST /auth/login`).
    *
    * @async
+   * @deprecated Use `AuthController.login`.
    * @method login
    * @param {import('express').Request} req - Body should contain email and password.
    * @param {import('express').Response} res
@@ -78,33 +86,33 @@ export class UserController {
   login = async (req, res, next) => {
     try {
       if (this._validate(req, res)) return;
-      const token = await this.service.login(req.body.email, req.body.password);
-      res.status(200).json(token);
+      const session = await this.authService.login(req.body, {
+        user_agent: req.get("user-agent"),
+        ip: req.ip,
+      });
+      res.status(200).json(session);
     } catch (e) {
       next(e);
     }
   };
 
   /**
-   * Lists all badges associated with the authenticated user.
+   * Lists users: everyone for platform staff, the caller's organization
+   * otherwise.
    *
    * @async
    * @method list
-   * @param {import('express').Request} req - Expects authenticated user (req.user.id).
+   * @param {import('express').Request} req - Expects authenticated user (req.user).
    * @param {import('express').Response} res
    * @param {Function} next
    * @returns {Promise<void>}
    * @example
-   * GET /users/badges
+   * GET /users
    */
   list = async (req, res, next) => {
     try {
-      const userId = req.user?.id;
-      if (!userId) return res.status(401).json({ message: "Unauthorized" });
-
-      // Assuming userBadgeService is available within the same context
-      const badges = await this.userBadgeService.listUserBadgesByUserId(userId);
-      res.json(badges);
+      const users = await this.service.listUsers({ organization_id: organizationScope(req.user) });
+      res.json(users);
     } catch (e) {
       next(e);
     }
@@ -126,7 +134,9 @@ export class UserController {
     try {
       if (this._validate(req, res)) return;
 
-      const user = await this.service.getUser(req.params.id);
+      const user = await this.service.getUser(req.params.id, {
+        organization_id: organizationScope(req.user),
+      });
       if (!user) return res.status(404).json({ message: "User not found" });
       res.status(200).json(user);
     } catch (e) {
@@ -150,7 +160,9 @@ export class UserController {
     try {
       if (this._validate(req, res)) return;
 
-      const newUser = await this.service.createUser(req.body);
+      const newUser = await this.service.createUser(req.body, {
+        organization_id: organizationScope(req.user),
+      });
       res.status(201).json(newUser);
     } catch (e) {
       next(e);
@@ -173,7 +185,9 @@ export class UserController {
     try {
       if (this._validate(req, res)) return;
 
-      const updatedUser = await this.service.updateUser(req.params.id, req.body);
+      const updatedUser = await this.service.updateUser(req.params.id, req.body, {
+        organization_id: organizationScope(req.user),
+      });
       if (!updatedUser)
         return res.status(404).json({ message: "User not found" });
       res.status(200).json(updatedUser);
@@ -198,7 +212,9 @@ export class UserController {
     try {
       if (this._validate(req, res)) return;
 
-      const ok = await this.service.deleteUser(req.params.id);
+      const ok = await this.service.deleteUser(req.params.id, {
+        organization_id: organizationScope(req.user),
+      });
       if (!ok) return res.status(404).json({ message: "User not found" });
       res.status(204).send();
     } catch (e) {
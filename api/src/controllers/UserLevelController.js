@@ -1,4 +1,5 @@
 import { validationResult } from "express-validator";
+import { progressScope } from "../utils/tenancy.js";
 
 /**
  * Controller responsible for managing user level progress.
@@ -37,7 +38,10 @@ export class UserLevelController {
    *
    * - If both `user_id` and `level_id` query params are provided, returns a single record.
    * - If only `user_id` is provided, returns all levels for that user.
-   * - Otherwise, returns all records (admin use).
+   * - Otherwise, returns every record the caller may read: only their own
+   *   unless they hold `reports:read` (see `progressScope`).
+   *
+   * Reading another user's records is gated by `requireSelfOrPermission` on the route.
    *
    * @async
    * @method list
@@ -65,7 +69,7 @@ export class UserLevelController {
         return res.json(rows);
       }
 
-      const levels = await this.userLevelService.listUserLevels();
+      const levels = await this.userLevelService.listUserLevels(progressScope(req.user));
       res.json(levels);
     } catch (e) {
       next(e);
@@ -87,7 +91,7 @@ export class UserLevelController {
   getById = async (req, res, next) => {
     try {
       if (this._validate(req, res)) return;
-      const level = await this.userLevelService.getById(req.params.id);
+      const level = await this.userLevelService.getById(req.params.id, progressScope(req.user));
       if (!level) return res.status(404).json({ message: "User level not found" });
       res.json(level);
     } catch (e) {
@@ -0,0 +1,48 @@
+/**
+ * Data Transfer Object (DTO) representing one entry of a user's attempt history.
+ *
+ * Each entry is a single try at a scenario with its score and timing.
+ */
+export default class AttemptHistoryDTO {
+  /**
+   * @param {object} params - Attempt history properties.
+   * @param {number} params.history_id - Unique identifier of the history entry.
+   * @param {number} params.user_id - ID of the user who made the try.
+   * @param {number} params.scenario_id - ID of the scenario that was played.
+   * @param {number} params.score - Score obtained in this try.
+   * @param {string|Date|null} params.started_at - When the try started, if known.
+   * @param {string|Date} params.finished_at - When the try was submitted.
+   * @param {number|null} params.duration_ms - Duration of the try in milliseconds.
+   */
+  constructor({
+    history_id,
+    user_id,
+    scenario_id,
+    score,
+    started_at,
+    finished_at,
+    duration_ms,
+  }) {
+    this.history_id = history_id;
+    this.user_id = user_id;
+    this.scenario_id = scenario_id;
+    this.score = score;
+    this.started_at = started_at;
+    this.finished_at = finished_at;
+    this.duration_ms = duration_ms;
+  }
+
+  /**
+   * Creates an AttemptHistoryDTO instance from a plain entity object.
+   *
+   * @static
+   * @method fromEntity
+   * @param {object} entity - The attempt history entity object.
+   * @returns {AttemptHistoryDTO} A new AttemptHistoryDTO instance.
+   * @example
+   * const dto = AttemptHistoryDTO.fromEntity(dbRecord);
+   */
+  static fromEntity(entity) {
+    return new AttemptHistoryDTO(entity);
+  }
+}
@@ -10,15 +10,17 @@ export default class BadgeDTO {
    * @param {number} params.badge_id - Unique identifier of the badge.
    * @param {string} params.name - Name of the badge.
    * @param {string} params.description - Description of the badge.
-   * @param {number} params.level_id - Associated level ID for which this badge applies.
+   * @param {number|null} params.level_id - Level this badge is shown under, if any.
    * @param {string} [params.icon_url] - Optional URL for the badge icon.
+   * @param {object|null} [params.criteria] - Award rule evaluated on the server.
    */
-  constructor({ badge_id, name, description, level_id, icon_url }) {
+  constructor({ badge_id, name, description, level_id, icon_url, criteria = null }) {
     this.badge_id = badge_id;
     this.name = name;
     this.description = description;
     this.level_id = level_id;
     this.icon_url = icon_url;
+    this.criteria = criteria;
   }
 
   /**
@@ -0,0 +1,55 @@
+/**
+ * Data Transfer Object (DTO) representing an issued certificate.
+ *
+ * Never exposes the stored signature; the serial is what holders share.
+ */
+export default class CertificateDTO {
+  /**
+   * @param {object} params - Certificate properties.
+   * @param {number} params.certificate_id - Unique identifier of the certificate.
+   * @param {number} params.user_id - ID of the certificate holder.
+   * @param {string} params.serial - Public, signed serial number.
+   * @param {string} params.title - Title printed on the certificate.
+   * @param {string|Date} params.issued_at - Issue date.
+   * @param {string|Date} params.expires_at - Expiry date.
+   * @param {string|Date|null} params.revoked_at - Revocation date, if any.
+   * @param {string} [params.holder_name] - Holder's full name.
+   * @param {string} [params.verify_url] - Public verification URL.
+   */
+  constructor({
+    certificate_id,
+    user_id,
+    serial,
+    title,
+    issued_at,
+    expires_at,
+    revoked_at,
+    holder_name,
+    verify_url,
+  }) {
+    this.certificate_id = certificate_id;
+    this.user_id = user_id;
+    this.serial = serial;
+    this.title = title;
+    this.issued_at = issued_at;
+    this.expires_at = expires_at;
+    this.revoked_at = revoked_at ?? null;
+    this.holder_name = holder_name;
+    this.verify_url = verify_url;
+  }
+
+  /**
+   * Creates a CertificateDTO instance from a plain entity object.
+   *
+   * @static
+   * @method fromEntity
+   * @param {object} entity - The certificate entity object.
+   * @param {string} [verify_url] - Public verification URL for the serial.
+   * @returns {CertificateDTO} A new CertificateDTO instance.
+   * @example
+   * const dto = CertificateDTO.fromEntity(dbRecord, "https://simaid.app/verify/SIM-...");
+   */
+  static fromEntity(entity, verify_url) {
+    return new CertificateDTO({ ...entity, verify_url });
+  }
+}
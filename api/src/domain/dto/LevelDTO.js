@@ -1,37 +1,44 @@
 /**
- * Data Transfer Object (DTO) representing a badge record.
+ * Data Transfer Object (DTO) representing a level record.
  *
- * Used to transfer badge data between layers of the application,
+ * Used to transfer level data between layers of the application,
  * ensuring a consistent structure for responses and logic handling.
  */
-export default class BadgeDTO {
+export default class LevelDTO {
   /**
-   * @param {object} params - Badge properties.
-   * @param {number} params.badge_id - Unique identifier of the badge.
-   * @param {string} params.name - Name of the badge.
-   * @param {string} params.description - Description of the badge.
-   * @param {number} params.level_id - Associated level ID for which this badge applies.
-   * @param {string} [params.icon_url] - Optional URL for the badge icon.
+   * @param {object} params - Level properties.
+   * @param {number} params.level_id - Unique identifier of the level.
+   * @param {string} params.title - Title of the level.
+   * @param {string} [params.description] - Description of the level.
+   * @param {number} params.difficulty_order - Position of the level in the progression.
+   * @param {Array<{required_level_id: number, min_score: number|null}>} [params.prerequisites] - Unlock rules for the level.
    */
-  constructor({ badge_id, name, description, level_id, icon_url }) {
-    this.badge_id = badge_id;
-    this.name = name;
-    this.description = description;
+  constructor({ level_id, title, description, difficulty_order, prerequisites = [] }) {
     this.level_id = level_id;
-    this.icon_url = icon_url;
+    this.title = title;
+    this.description = description;
+    this.difficulty_order = difficulty_order;
+    this.prerequisites = prerequisites;
   }
 
   /**
-   * Creates a BadgeDTO instance from a plain entity object.
+   * Creates a LevelDTO instance from a plain entity object.
    *
    * @static
    * @method fromEntity
-   * @param {object} entity - The badge entity object.
-   * @returns {BadgeDTO} A new BadgeDTO instance.
+   * @param {object} entity - The level entity object.
+   * @param {Array<object>} [prerequisites=[]] - The level's prerequisite entities.
+   * @returns {LevelDTO} A new LevelDTO instance.
    * @example
-   * const dto = BadgeDTO.fromEntity(dbRecord);
+   * const dto = LevelDTO.fromEntity(dbRecord, prerequisites);
    */
-  static fromEntity(entity) {
-    return new BadgeDTO(entity);
+  static fromEntity(entity, prerequisites = []) {
+    return new LevelDTO({
+      ...entity,
+      prerequisites: prerequisites.map(p => ({
+        required_level_id: p.required_level_id,
+        min_score: p.min_score ?? null,
+      })),
+    });
   }
 }
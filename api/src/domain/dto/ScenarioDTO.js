@@ -12,13 +12,28 @@ export default class ScenarioDTO {
    * @param {string} params.title - Title of the scenario.
    * @param {string} [params.description] - Detailed description of the scenario.
    * @param {string} [params.image_url] - Optional image URL representing the scenario.
+   * @param {boolean} [params.is_refresher] - Whether the scenario belongs to the level's refresher set.
+   * @param {number|null} [params.organization_id] - Owning organization of a private scenario (null when shared).
+   * @param {object|null} [params.patient] - Simulated casualty, if any (see `utils/patientModel.js`).
    */
-  constructor({ scenario_id, level_id, title, description, image_url }) {
+  constructor({
+    scenario_id,
+    level_id,
+    title,
+    description,
+    image_url,
+    is_refresher = false,
+    organization_id = null,
+    patient = null,
+  }) {
     this.scenario_id = scenario_id;
     this.level_id = level_id;
     this.title = title;
     this.description = description;
     this.image_url = image_url;
+    this.is_refresher = is_refresher;
+    this.organization_id = organization_id;
+    this.patient = patient;
   }
 
   /**
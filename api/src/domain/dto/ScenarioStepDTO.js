@@ -1,8 +1,10 @@
+import { shuffleOptions } from "../../utils/stepTypes.js";
+
 /**
  * Data Transfer Object (DTO) representing a single step within a scenario.
  *
- * Each step includes a question, multiple-choice options, the correct action,
- * and an optional feedback message. Used to structure step data between
+ * Each step includes a question, its type with the matching options (see
+ * `utils/stepTypes.js`), the correct action, and an optional feedback message. Used to structure step data between
  * the database layer, services, and controllers.
  */
 export default class ScenarioStepDTO {
@@ -12,8 +14,14 @@ export default class ScenarioStepDTO {
    * @param {number} params.scenario_id - ID of the scenario this step belongs to.
    * @param {number} params.step_order - Step sequence order within the scenario.
    * @param {string} params.question_text - Text of the question or prompt for this step.
-   * @param {object} params.options - Object containing the multiple-choice options (A–D).
-   * @param {string} params.correct_action - The correct answer/action for the step.
+   * @param {string|null} [params.image_url] - Image shown with the question (required by hotspot steps).
+   * @param {string|null} [params.image_alt] - Text alternative of the image (required by hotspot steps).
+   * @param {string} params.step_type - How the step is asked and graded (see `STEP_TYPES`).
+   * @param {object|null} params.options - Options keyed 'A', 'B', ... (null for true/false, numeric and hotspot steps).
+   * @param {string|boolean|string[]|{min: number, max: number}} params.correct_action - The correct answer, shaped by the step type.
+   * @param {string|null} [params.unit] - Unit of a numeric answer.
+   * @param {object|null} [params.transitions] - Next step or outcome per answer (see `utils/scenarioGraph.js`).
+   * @param {object|null} [params.effects] - Change to the casualty's vitals per answer (see `utils/patientModel.js`).
    * @param {string} [params.feedback_message] - Optional feedback shown after answering.
    */
   constructor({
@@ -21,16 +29,28 @@ export default class ScenarioStepDTO {
     scenario_id,
     step_order,
     question_text,
+    image_url,
+    image_alt,
+    step_type,
     options,
     correct_action,
+    unit,
+    transitions,
+    effects,
     feedback_message,
   }) {
     this.step_id = step_id;
     this.scenario_id = scenario_id;
     this.step_order = step_order;
     this.question_text = question_text;
+    this.image_url = image_url ?? null;
+    this.image_alt = image_alt ?? null;
+    this.step_type = step_type;
     this.options = options;
     this.correct_action = correct_action;
+    this.unit = unit;
+    this.transitions = transitions;
+    this.effects = effects;
     this.feedback_message = feedback_message;
   }
 
@@ -50,9 +70,46 @@ export default class ScenarioStepDTO {
       scenario_id: entity.scenario_id,
       step_order: entity.step_order,
       question_text: entity.question_text,
+      image_url: entity.image_url,
+      image_alt: entity.image_alt,
+      step_type: entity.step_type,
       options: entity.options,
       correct_action: entity.correct_action,
+      unit: entity.unit,
+      transitions: entity.transitions,
+      effects: entity.effects,
       feedback_message: entity.feedback_message,
     });
   }
+
+  /**
+   * Builds the learner-facing "player view" of a step.
+   *
+   * Strips `correct_action`, `feedback_message`, `transitions` and `effects`
+   * so answers (and where they lead) can only be obtained from the server after the
+   * learner commits to a choice; `branching` only tells whether the step has
+   * transitions. The items of an ordering step come in random order.
+   *
+   * @static
+   * @method toPlayerView
+   * @param {object} step - A `ScenarioStepDTO` or scenario step entity.
+   * @returns {{ step_id: number, scenario_id: number, step_order: number, question_text: string, image_url: string|null, image_alt: string|null, step_type: string, options: object|null, unit: string|null, branching: boolean }}
+   * @example
+   * const safeSteps = steps.map(ScenarioStepDTO.toPlayerView);
+   */
+  static toPlayerView(step) {
+    return {
+      step_id: step.step_id,
+      scenario_id: step.scenario_id,
+      step_order: step.step_order,
+      question_text: step.question_text,
+      image_url: step.image_url ?? null,
+      image_alt: step.image_alt ?? null,
+      step_type: step.step_type,
+      options:
+        step.step_type === "ordering" && step.options ? shuffleOptions(step.options) : step.options,
+      unit: step.unit ?? null,
+      branching: step.transitions != null,
+    };
+  }
 }
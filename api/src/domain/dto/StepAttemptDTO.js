@@ -2,23 +2,42 @@
  * Data Transfer Object (DTO) representing a single step attempt within a scenario attempt.
  *
  * Encapsulates data about the user’s response to an individual step,
- * including which action they chose and whether it was correct.
+ * including which action they chose, whether it was correct, and how
+ * long it took (or whether the step timed out).
  */
 export default class StepAttemptDTO {
   /**
    * @param {object} params - Step attempt properties.
    * @param {number} params.step_attempt_id - Unique identifier for this step attempt.
    * @param {number} params.attempt_id - Identifier of the parent attempt record.
+   * @param {number|null} params.history_id - Identifier of the individual try in the attempt history.
    * @param {number} params.step_id - Identifier of the related scenario step.
-   * @param {string} params.user_action - The user’s selected answer/action.
+   * @param {string|null} params.user_action - The user’s selected answer/action.
    * @param {boolean} params.is_correct - Indicates whether the user’s action was correct.
+   * @param {boolean} params.timed_out - Indicates whether the step timer expired.
+   * @param {number|null} params.response_ms - Time taken to answer, in milliseconds.
+   * @param {string|Date} params.created_at - Timestamp when the step attempt was recorded.
    */
-  constructor({ step_attempt_id, attempt_id, step_id, user_action, is_correct }) {
+  constructor({
+    step_attempt_id,
+    attempt_id,
+    history_id,
+    step_id,
+    user_action,
+    is_correct,
+    timed_out,
+    response_ms,
+    created_at,
+  }) {
     this.step_attempt_id = step_attempt_id;
     this.attempt_id = attempt_id;
+    this.history_id = history_id;
     this.step_id = step_id;
     this.user_action = user_action;
     this.is_correct = is_correct;
+    this.timed_out = timed_out;
+    this.response_ms = response_ms;
+    this.created_at = created_at;
   }
 
   /**
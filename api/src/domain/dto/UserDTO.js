@@ -1,3 +1,5 @@
+import { permissionsFor } from '../../utils/permissions.js';
+
 /**
  * Data Transfer Object (DTO) representing a user.
  *
@@ -10,10 +12,13 @@ export default class UserDTO {
    * @param {number} params.user_id - Unique identifier of the user.
    * @param {string} params.full_name - Full name of the user.
    * @param {string} params.email - Email address of the user.
-   * @param {string} params.role - User role (e.g., "admin", "student", "instructor").
+   * @param {string|Date|null} [params.email_verified_at] - When the email was verified.
+   * @param {string|Date|null} [params.totp_enabled_at] - When two-factor authentication was turned on.
+   * @param {string} params.role - User role ("user", "instructor", "org_admin" or "admin").
+   * @param {number|null} [params.organization_id] - Organization the user belongs to.
    * @param {string|Date} params.created_at - Timestamp when the user was created.
    */
-  constructor({ user_id, full_name, email, role, created_at }) {
+  constructor({ user_id, full_name, email, email_verified_at = null, totp_enabled_at = null, role, organization_id = null, created_at }) {
     /**
      * Unique identifier for the user.
      * @type {number}
@@ -33,11 +38,35 @@ export default class UserDTO {
     this.email = email;
 
     /**
-     * The user's role within the system (e.g., admin, learner).
+     * Whether the user has verified their email address.
+     * @type {boolean}
+     */
+    this.email_verified = email_verified_at != null;
+
+    /**
+     * Whether two-factor authentication is turned on.
+     * @type {boolean}
+     */
+    this.two_factor_enabled = totp_enabled_at != null;
+
+    /**
+     * The user's role within the system (`user`, `instructor`, `org_admin` or `admin`).
      * @type {string}
      */
     this.role = role;
 
+    /**
+     * Permissions granted by the role, so clients can show or hide features.
+     * @type {string[]}
+     */
+    this.permissions = permissionsFor(role);
+
+    /**
+     * Organization the user belongs to (null for platform accounts).
+     * @type {number|null}
+     */
+    this.organization_id = organization_id;
+
     /**
      * The date and time the user record was created.
      * @type {string|Date}
@@ -58,7 +87,16 @@ export default class UserDTO {
   static fromEntity(entity) {
     if (!entity) return null;
 
-    const { user_id, full_name, email, role, created_at } = entity;
-    return new UserDTO({ user_id, full_name, email, role, created_at });
+    const { user_id, full_name, email, email_verified_at, totp_enabled_at, role, organization_id, created_at } = entity;
+    return new UserDTO({
+      user_id,
+      full_name,
+      email,
+      email_verified_at,
+      totp_enabled_at,
+      role,
+      organization_id,
+      created_at,
+    });
   }
 }
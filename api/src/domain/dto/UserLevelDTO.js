@@ -12,8 +12,10 @@ export default class UserLevelDTO {
    * @param {number} params.level_id - ID of the level associated with the user.
    * @param {boolean} params.unlocked - Whether the level has been unlocked for the user.
    * @param {boolean} params.completed - Whether the user has completed the level.
+   * @param {Date|null} [params.completed_at] - When the level was last completed or renewed.
+   * @param {Date|null} [params.expires_at] - When the completion expires and a refresher is due.
    */
-  constructor({ user_level_id, user_id, level_id, unlocked, completed }) {
+  constructor({ user_level_id, user_id, level_id, unlocked, completed, completed_at = null, expires_at = null }) {
     /**
      * Unique ID for this user-level record.
      * @type {number}
@@ -43,6 +45,18 @@ export default class UserLevelDTO {
      * @type {boolean}
      */
     this.completed = completed;
+
+    /**
+     * When the level was last completed or renewed by a refresher.
+     * @type {Date|null}
+     */
+    this.completed_at = completed_at;
+
+    /**
+     * When the completion expires (null for completions that predate expiry tracking).
+     * @type {Date|null}
+     */
+    this.expires_at = expires_at;
   }
 
   /**
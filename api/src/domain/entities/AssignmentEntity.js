@@ -0,0 +1,99 @@
+/**
+ * Entity class representing an assignment: one scenario, or every scenario
+ * of one level, that a class must pass with a minimum score by a due date.
+ */
+export default class AssignmentEntity {
+  /**
+   * @param {object} params - Assignment properties.
+   * @param {number} params.assignment_id - Unique identifier of the assignment.
+   * @param {number} params.class_id - Class the assignment was given to.
+   * @param {string} [params.class_name] - Name of the class, when joined.
+   * @param {number|null} [params.scenario_id] - Assigned scenario (null for a level assignment).
+   * @param {number|null} [params.level_id] - Assigned level (null for a scenario assignment).
+   * @param {string} [params.title] - Title of the assigned scenario or level, when joined.
+   * @param {number|null} [params.scenario_level_id] - Level of the assigned scenario, when joined.
+   * @param {string|Date} params.due_at - Due date.
+   * @param {number} params.min_score - Minimum score (0–100) that counts as done.
+   * @param {number|null} [params.created_by] - User who created the assignment.
+   * @param {string|Date} params.created_at - When the assignment was created.
+   */
+  constructor({
+    assignment_id,
+    class_id,
+    class_name,
+    scenario_id,
+    level_id,
+    title,
+    scenario_level_id,
+    due_at,
+    min_score,
+    created_by,
+    created_at,
+  }) {
+    /**
+     * Unique ID of the assignment.
+     * @type {number}
+     */
+    this.assignment_id = assignment_id;
+
+    /**
+     * Class the assignment was given to.
+     * @type {number}
+     */
+    this.class_id = class_id;
+
+    /**
+     * Name of the class (only set by queries that join it).
+     * @type {string|undefined}
+     */
+    if (class_name !== undefined) this.class_name = class_name;
+
+    /**
+     * Assigned scenario; null when a whole level is assigned.
+     * @type {number|null}
+     */
+    this.scenario_id = scenario_id ?? null;
+
+    /**
+     * Assigned level; null when a single scenario is assigned.
+     * @type {number|null}
+     */
+    this.level_id = level_id ?? null;
+
+    /**
+     * Title of the assigned scenario or level (only set by queries that join it).
+     * @type {string|undefined}
+     */
+    if (title !== undefined) this.title = title;
+
+    /**
+     * Level the assigned scenario belongs to (only set for joined scenario assignments).
+     * @type {number|undefined}
+     */
+    if (scenario_level_id != null) this.scenario_level_id = scenario_level_id;
+
+    /**
+     * Due date.
+     * @type {string|Date}
+     */
+    this.due_at = due_at;
+
+    /**
+     * Minimum score (0–100) every assigned scenario must reach.
+     * @type {number}
+     */
+    this.min_score = Number(min_score);
+
+    /**
+     * User who created the assignment (null once that user is deleted).
+     * @type {number|null}
+     */
+    this.created_by = created_by ?? null;
+
+    /**
+     * When the assignment was created.
+     * @type {string|Date}
+     */
+    this.created_at = created_at;
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * Entity class representing a single entry in the attempt history.
+ *
+ * Unlike {@link AttemptEntity}, which holds only the best score per
+ * user and scenario, a history entry is written for every try and never
+ * updated, so progress can be followed over time.
+ */
+export default class AttemptHistoryEntity {
+  /**
+   * @param {object} params - Attempt history properties.
+   * @param {number} params.history_id - Unique identifier of the history entry.
+   * @param {number} params.user_id - ID of the user who made the try.
+   * @param {number} params.scenario_id - ID of the scenario that was played.
+   * @param {number} params.score - Score obtained in this try.
+   * @param {string|Date|null} params.started_at - When the try started, if known.
+   * @param {string|Date} params.finished_at - When the try was submitted.
+   * @param {number|null} params.duration_ms - Time between start and finish, in milliseconds.
+   */
+  constructor({
+    history_id,
+    user_id,
+    scenario_id,
+    score,
+    started_at,
+    finished_at,
+    duration_ms,
+  }) {
+    /**
+     * Unique ID of the history entry.
+     * @type {number}
+     */
+    this.history_id = history_id;
+
+    /**
+     * ID of the user who made the try.
+     * @type {number}
+     */
+    this.user_id = user_id;
+
+    /**
+     * ID of the scenario that was played.
+     * @type {number}
+     */
+    this.scenario_id = scenario_id;
+
+    /**
+     * Score obtained in this try.
+     * @type {number}
+     */
+    this.score = score;
+
+    /**
+     * Date and time the try started (null for entries seeded from best scores).
+     * @type {string|Date|null}
+     */
+    this.started_at = started_at ?? null;
+
+    /**
+     * Date and time the try was submitted.
+     * @type {string|Date}
+     */
+    this.finished_at = finished_at;
+
+    /**
+     * Duration of the try in milliseconds.
+     * @type {number|null}
+     */
+    this.duration_ms = duration_ms ?? null;
+  }
+}
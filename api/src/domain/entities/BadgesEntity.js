@@ -2,19 +2,20 @@
  * Entity class representing a badge record in the database.
  *
  * Encapsulates the raw data structure for badges,
- * which are typically associated with specific levels and awarded to users
- * as recognition for completing achievements or milestones.
+ * which are awarded to users by the server when their declarative `criteria`
+ * are met (see `utils/badgeCriteria.js`).
  */
 export default class BadgesEntity {
   /**
    * @param {object} params - Badge entity properties.
    * @param {number} params.badge_id - Unique identifier for the badge.
-   * @param {number} params.level_id - ID of the level associated with this badge.
+   * @param {number|null} params.level_id - ID of the level this badge is shown under, if any.
    * @param {string} params.name - Name of the badge.
    * @param {string} params.description - Description of what the badge represents.
    * @param {string} [params.icon_url] - Optional URL to the badge icon image.
+   * @param {object|null} [params.criteria] - Award rule, e.g. `{ type: "perfect_streak", count: 5 }`.
    */
-  constructor({ badge_id, level_id, name, description, icon_url }) {
+  constructor({ badge_id, level_id, name, description, icon_url, criteria = null }) {
     /**
      * Unique ID of the badge.
      * @type {number}
@@ -22,8 +23,8 @@ export default class BadgesEntity {
     this.badge_id = badge_id;
 
     /**
-     * ID of the level this badge is linked to.
-     * @type {number}
+     * ID of the level this badge is linked to (display grouping only).
+     * @type {number|null}
      */
     this.level_id = level_id;
 
@@ -44,5 +45,12 @@ export default class BadgesEntity {
      * @type {string|undefined}
      */
     this.icon_url = icon_url;
+
+    /**
+     * Declarative award rule evaluated by the BadgeRuleEngine, or null
+     * for badges that are never awarded automatically.
+     * @type {object|null}
+     */
+    this.criteria = criteria;
   }
 }
@@ -0,0 +1,86 @@
+/**
+ * Entity class representing a certificate record in the database.
+ *
+ * A certificate is issued by the server when a user completes every level.
+ * Its serial and signature let anyone verify it through the public
+ * verification endpoint.
+ */
+export default class CertificateEntity {
+  /**
+   * @param {object} params - Certificate properties.
+   * @param {number} params.certificate_id - Unique identifier of the certificate.
+   * @param {number} params.user_id - ID of the certificate holder.
+   * @param {string} params.serial - Public, signed serial number.
+   * @param {string} params.signature - Full HMAC signature over the certificate fields.
+   * @param {string} params.title - Title printed on the certificate.
+   * @param {string|Date} params.issued_at - When the certificate was issued.
+   * @param {string|Date} params.expires_at - When the certificate stops being valid.
+   * @param {string|Date|null} [params.revoked_at] - When an admin revoked it, if ever.
+   * @param {string} [params.holder_name] - Holder's full name (joined from `users`).
+   */
+  constructor({
+    certificate_id,
+    user_id,
+    serial,
+    signature,
+    title,
+    issued_at,
+    expires_at,
+    revoked_at = null,
+    holder_name,
+  }) {
+    /**
+     * Unique ID of the certificate.
+     * @type {number}
+     */
+    this.certificate_id = certificate_id;
+
+    /**
+     * ID of the user the certificate was issued to.
+     * @type {number}
+     */
+    this.user_id = user_id;
+
+    /**
+     * Public serial number, e.g. "SIM-7F3A9C21B04E-5D1E88A0".
+     * @type {string}
+     */
+    this.serial = serial;
+
+    /**
+     * HMAC-SHA256 signature (hex) over serial body, holder, title and dates.
+     * @type {string}
+     */
+    this.signature = signature;
+
+    /**
+     * Title printed on the certificate.
+     * @type {string}
+     */
+    this.title = title;
+
+    /**
+     * Date and time of issue.
+     * @type {string|Date}
+     */
+    this.issued_at = issued_at;
+
+    /**
+     * Date and time after which the certificate is no longer valid.
+     * @type {string|Date}
+     */
+    this.expires_at = expires_at;
+
+    /**
+     * Date and time of revocation, or null.
+     * @type {string|Date|null}
+     */
+    this.revoked_at = revoked_at;
+
+    /**
+     * Holder's full name, when joined from the users table.
+     * @type {string|undefined}
+     */
+    this.holder_name = holder_name;
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Entity class representing a class: a group of learners an instructor
+ * hands assignments to.
+ */
+export default class ClassEntity {
+  /**
+   * @param {object} params - Class properties.
+   * @param {number} params.class_id - Unique identifier of the class.
+   * @param {string} params.name - Display name.
+   * @param {number|null} [params.organization_id] - Organization the class belongs to (null for platform classes).
+   * @param {number|null} [params.created_by] - User who created the class.
+   * @param {number} [params.member_count] - Number of enrolled users, when counted.
+   * @param {string|Date} params.created_at - When the class was created.
+   */
+  constructor({ class_id, name, organization_id, created_by, member_count, created_at }) {
+    /**
+     * Unique ID of the class.
+     * @type {number}
+     */
+    this.class_id = class_id;
+
+    /**
+     * Display name.
+     * @type {string}
+     */
+    this.name = name;
+
+    /**
+     * Organization the class belongs to; only its members can be enrolled.
+     * @type {number|null}
+     */
+    this.organization_id = organization_id ?? null;
+
+    /**
+     * User who created the class (null once that user is deleted).
+     * @type {number|null}
+     */
+    this.created_by = created_by ?? null;
+
+    /**
+     * Number of enrolled users (only set by queries that count them).
+     * @type {number|undefined}
+     */
+    if (member_count !== undefined) this.member_count = Number(member_count);
+
+    /**
+     * When the class was created.
+     * @type {string|Date}
+     */
+    this.created_at = created_at;
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * Entity class representing an email verification token.
+ *
+ * Only the SHA-256 hash of the emailed token is stored. A token works once,
+ * until `expires_at`.
+ */
+export default class EmailVerificationEntity {
+  /**
+   * @param {object} params - Email verification properties.
+   * @param {number} params.verification_id - Unique identifier of the verification request.
+   * @param {number} params.user_id - User whose email is being verified.
+   * @param {string} params.token_hash - SHA-256 hash of the emailed token.
+   * @param {string|Date} params.created_at - When the link was sent.
+   * @param {string|Date} params.expires_at - When the token stops being accepted.
+   * @param {string|Date|null} [params.used_at] - When the token was used or invalidated, if ever.
+   */
+  constructor({ verification_id, user_id, token_hash, created_at, expires_at, used_at = null }) {
+    /**
+     * Unique ID of the verification request.
+     * @type {number}
+     */
+    this.verification_id = verification_id;
+
+    /**
+     * ID of the user the token belongs to.
+     * @type {number}
+     */
+    this.user_id = user_id;
+
+    /**
+     * SHA-256 hash of the emailed token.
+     * @type {string}
+     */
+    this.token_hash = token_hash;
+
+    /**
+     * When the link was sent.
+     * @type {string|Date}
+     */
+    this.created_at = created_at;
+
+    /**
+     * When the token stops being accepted.
+     * @type {string|Date}
+     */
+    this.expires_at = expires_at;
+
+    /**
+     * When the token was used or invalidated (null while outstanding).
+     * @type {string|Date|null}
+     */
+    this.used_at = used_at;
+  }
+}
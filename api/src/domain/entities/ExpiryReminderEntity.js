@@ -0,0 +1,86 @@
+/**
+ * Entity class representing an expiry reminder in the database.
+ *
+ * A reminder is stored when the scheduled job finds a completed level or a
+ * certificate that expires soon (or already has), so each expiry is flagged
+ * once and can be shown to the user and to admins.
+ */
+export default class ExpiryReminderEntity {
+  /**
+   * @param {object} params - Reminder properties.
+   * @param {number} params.reminder_id - Unique identifier of the reminder.
+   * @param {number} params.user_id - ID of the user being reminded.
+   * @param {'level'|'certificate'} params.subject - What is expiring.
+   * @param {number} params.subject_id - `user_level_id` or `certificate_id` of the expiring record.
+   * @param {string|Date} params.expires_at - When the subject expires.
+   * @param {string|Date} params.flagged_at - When the job flagged it.
+   * @param {string} [params.full_name] - User's full name (joined from `users`).
+   * @param {string} [params.email] - User's email (joined from `users`).
+   * @param {string} [params.label] - Level title or certificate title.
+   */
+  constructor({
+    reminder_id,
+    user_id,
+    subject,
+    subject_id,
+    expires_at,
+    flagged_at,
+    full_name,
+    email,
+    label,
+  }) {
+    /**
+     * Unique ID of the reminder.
+     * @type {number}
+     */
+    this.reminder_id = reminder_id;
+
+    /**
+     * ID of the user being reminded.
+     * @type {number}
+     */
+    this.user_id = user_id;
+
+    /**
+     * What is expiring: a level completion or a certificate.
+     * @type {'level'|'certificate'}
+     */
+    this.subject = subject;
+
+    /**
+     * ID of the expiring `user_levels` or `certificates` row.
+     * @type {number}
+     */
+    this.subject_id = subject_id;
+
+    /**
+     * When the subject expires.
+     * @type {string|Date}
+     */
+    this.expires_at = expires_at;
+
+    /**
+     * When the scheduled job flagged it.
+     * @type {string|Date}
+     */
+    this.flagged_at = flagged_at;
+
+    /**
+     * User's full name.
+     * @type {string|undefined}
+     */
+    this.full_name = full_name;
+
+    /**
+     * User's email address.
+     * @type {string|undefined}
+     */
+    this.email = email;
+
+    /**
+     * Human-readable name of the subject (level or certificate title).
+     * @type {string|undefined}
+     */
+    this.label = label;
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * Entity class representing a level prerequisite record in the database.
+ *
+ * Each prerequisite ties a level to another level that must be completed first,
+ * or — when `min_score` is set — in which the user must reach a minimum
+ * average best score.
+ */
+export default class LevelPrerequisiteEntity {
+  /**
+   * @param {object} params - Prerequisite properties.
+   * @param {number} params.prerequisite_id - Unique identifier of the prerequisite.
+   * @param {number} params.level_id - ID of the level being unlocked.
+   * @param {number} params.required_level_id - ID of the level the rule refers to.
+   * @param {number|null} params.min_score - Minimum average score (0–100), or null to require completion.
+   */
+  constructor({ prerequisite_id, level_id, required_level_id, min_score }) {
+    /**
+     * Unique ID of the prerequisite.
+     * @type {number}
+     */
+    this.prerequisite_id = prerequisite_id;
+
+    /**
+     * ID of the level this prerequisite guards.
+     * @type {number}
+     */
+    this.level_id = level_id;
+
+    /**
+     * ID of the level that must be completed (or scored in).
+     * @type {number}
+     */
+    this.required_level_id = required_level_id;
+
+    /**
+     * Minimum average best score in the required level, or null when
+     * the required level must be fully completed.
+     * @type {number|null}
+     */
+    this.min_score = min_score ?? null;
+  }
+}
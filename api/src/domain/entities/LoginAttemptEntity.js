@@ -0,0 +1,79 @@
+/**
+ * Entity class representing one login attempt in the audit trail.
+ *
+ * Every attempt is recorded, successful or not, including attempts for
+ * emails that match no account (`user_id` is then null).
+ */
+export default class LoginAttemptEntity {
+  /**
+   * @param {object} params - Login attempt properties.
+   * @param {number} params.attempt_id - Unique identifier of the attempt.
+   * @param {string} params.email - Email address that was typed.
+   * @param {number|null} [params.user_id] - Account the email belongs to, if any.
+   * @param {string|null} [params.ip] - Client IP address.
+   * @param {string|null} [params.user_agent] - Client description (User-Agent header).
+   * @param {boolean|number} params.succeeded - Whether the login succeeded.
+   * @param {string|null} [params.reason] - Why a failed attempt was refused.
+   * @param {string|Date} params.attempted_at - When the attempt was made.
+   */
+  constructor({
+    attempt_id,
+    email,
+    user_id = null,
+    ip = null,
+    user_agent = null,
+    succeeded,
+    reason = null,
+    attempted_at,
+  }) {
+    /**
+     * Unique ID of the attempt.
+     * @type {number}
+     */
+    this.attempt_id = attempt_id;
+
+    /**
+     * Email address that was typed.
+     * @type {string}
+     */
+    this.email = email;
+
+    /**
+     * ID of the matching account (null for unknown emails).
+     * @type {number|null}
+     */
+    this.user_id = user_id;
+
+    /**
+     * Client IP address.
+     * @type {string|null}
+     */
+    this.ip = ip;
+
+    /**
+     * Client description (User-Agent header).
+     * @type {string|null}
+     */
+    this.user_agent = user_agent;
+
+    /**
+     * Whether the login succeeded.
+     * @type {boolean}
+     */
+    this.succeeded = Boolean(succeeded);
+
+    /**
+     * Why a failed attempt was refused: `unknown_email`, `bad_password`,
+     * `bad_code` (second factor), `locked`, `throttled` or `ip_throttled`
+     * (null on success).
+     * @type {string|null}
+     */
+    this.reason = reason;
+
+    /**
+     * When the attempt was made.
+     * @type {string|Date}
+     */
+    this.attempted_at = attempted_at;
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Entity class representing an organization (a client company) whose staff
+ * train on the platform.
+ */
+export default class OrganizationEntity {
+  /**
+   * @param {object} params - Organization properties.
+   * @param {number} params.organization_id - Unique identifier of the organization.
+   * @param {string} params.name - Display name.
+   * @param {string} params.slug - Short unique handle (lowercase letters, digits and dashes).
+   * @param {number} [params.member_count] - Number of users in the organization, when counted.
+   * @param {string|Date} params.created_at - When the organization was created.
+   */
+  constructor({ organization_id, name, slug, member_count, created_at }) {
+    /**
+     * Unique ID of the organization.
+     * @type {number}
+     */
+    this.organization_id = organization_id;
+
+    /**
+     * Display name.
+     * @type {string}
+     */
+    this.name = name;
+
+    /**
+     * Short unique handle.
+     * @type {string}
+     */
+    this.slug = slug;
+
+    /**
+     * Number of members (only set by queries that count them).
+     * @type {number|undefined}
+     */
+    if (member_count !== undefined) this.member_count = Number(member_count);
+
+    /**
+     * When the organization was created.
+     * @type {string|Date}
+     */
+    this.created_at = created_at;
+  }
+}
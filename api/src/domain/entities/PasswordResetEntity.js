@@ -0,0 +1,54 @@
+/**
+ * Entity class representing a password reset token.
+ *
+ * Only the SHA-256 hash of the emailed token is stored. A token works once,
+ * until `expires_at`.
+ */
+export default class PasswordResetEntity {
+  /**
+   * @param {object} params - Password reset properties.
+   * @param {number} params.reset_id - Unique identifier of the reset request.
+   * @param {number} params.user_id - User whose password may be reset.
+   * @param {string} params.token_hash - SHA-256 hash of the emailed token.
+   * @param {string|Date} params.created_at - When the reset was requested.
+   * @param {string|Date} params.expires_at - When the token stops being accepted.
+   * @param {string|Date|null} [params.used_at] - When the token was used or invalidated, if ever.
+   */
+  constructor({ reset_id, user_id, token_hash, created_at, expires_at, used_at = null }) {
+    /**
+     * Unique ID of the reset request.
+     * @type {number}
+     */
+    this.reset_id = reset_id;
+
+    /**
+     * ID of the user the token belongs to.
+     * @type {number}
+     */
+    this.user_id = user_id;
+
+    /**
+     * SHA-256 hash of the emailed token.
+     * @type {string}
+     */
+    this.token_hash = token_hash;
+
+    /**
+     * When the reset was requested.
+     * @type {string|Date}
+     */
+    this.created_at = created_at;
+
+    /**
+     * When the token stops being accepted.
+     * @type {string|Date}
+     */
+    this.expires_at = expires_at;
+
+    /**
+     * When the token was used or invalidated (null while outstanding).
+     * @type {string|Date|null}
+     */
+    this.used_at = used_at;
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * Entity class representing a stored refresh token.
+ *
+ * Only the SHA-256 hash of the token is stored. Tokens are single-use: a used
+ * token presented again marks the session as compromised, unless it comes back
+ * within `REFRESH_TOKEN_REUSE_GRACE_SECONDS` of its use.
+ */
+export default class RefreshTokenEntity {
+  /**
+   * @param {object} params - Refresh token properties.
+   * @param {number} params.token_id - Unique identifier of the token.
+   * @param {string} params.session_id - Session the token belongs to.
+   * @param {string} params.token_hash - SHA-256 hash of the token.
+   * @param {string|Date} params.created_at - When the token was issued.
+   * @param {string|Date} params.expires_at - When the token stops being accepted.
+   * @param {string|Date|null} [params.used_at] - When the token was exchanged, if ever.
+   */
+  constructor({ token_id, session_id, token_hash, created_at, expires_at, used_at = null }) {
+    /**
+     * Unique ID of the token.
+     * @type {number}
+     */
+    this.token_id = token_id;
+
+    /**
+     * ID of the session the token keeps alive.
+     * @type {string}
+     */
+    this.session_id = session_id;
+
+    /**
+     * SHA-256 hash of the token.
+     * @type {string}
+     */
+    this.token_hash = token_hash;
+
+    /**
+     * When the token was issued.
+     * @type {string|Date}
+     */
+    this.created_at = created_at;
+
+    /**
+     * When the token stops being accepted.
+     * @type {string|Date}
+     */
+    this.expires_at = expires_at;
+
+    /**
+     * When the token was exchanged for a new one (null if unused).
+     * @type {string|Date|null}
+     */
+    this.used_at = used_at;
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Entity class representing the answer a learner gave to one step of a
+ * scenario run. Only the first answer to each step of a run is stored.
+ */
+export default class RunAnswerEntity {
+  /**
+   * @param {object} params - Answer properties.
+   * @param {number} params.run_id - ID of the run.
+   * @param {number} params.step_id - ID of the answered step.
+   * @param {number} params.position - 0-based position of the step in the order played.
+   * @param {any} params.answer - The normalized answer, or null when the step timed out.
+   * @param {string|Date} params.answered_at - When the answer was checked.
+   * @param {number} [params.elapsed_ms] - Time taken on the step, from server timestamps.
+   */
+  constructor({ run_id, step_id, position, answer, answered_at, elapsed_ms = 0 }) {
+    /**
+     * ID of the run.
+     * @type {number}
+     */
+    this.run_id = run_id;
+
+    /**
+     * ID of the answered step.
+     * @type {number}
+     */
+    this.step_id = step_id;
+
+    /**
+     * Position of the step in the order played, from 0.
+     * @type {number}
+     */
+    this.position = position;
+
+    /**
+     * The answer, shaped by the step type (see `utils/stepTypes.js`); null when the step timed out.
+     * @type {any}
+     */
+    this.answer = answer ?? null;
+
+    /**
+     * When the answer was checked (server time).
+     * @type {string|Date}
+     */
+    this.answered_at = answered_at;
+
+    /**
+     * Time taken on the step: since the previous answer, or since the run was
+     * opened for the first step (server time).
+     * @type {number}
+     */
+    this.elapsed_ms = elapsed_ms;
+  }
+}
@@ -3,6 +3,8 @@
  *
  * A scenario defines a specific challenge or learning situation
  * associated with a level, including its descriptive content and optional media.
+ * It may simulate a casualty whose vitals the learner's actions change (see
+ * `utils/patientModel.js`).
  */
 export default class ScenarioEntity {
   /**
@@ -12,8 +14,11 @@ export default class ScenarioEntity {
    * @param {string} params.title - Title or short name of the scenario.
    * @param {string} [params.description] - Optional detailed description of the scenario.
    * @param {string} [params.image_url] - Optional URL of an image representing the scenario.
+   * @param {boolean} [params.is_refresher] - Whether the scenario belongs to the level's refresher set.
+   * @param {number|null} [params.organization_id] - Owning organization of a private scenario (null when shared).
+   * @param {{initial: object, trend?: object, outcome_weight?: number}|null} [params.patient] - Simulated casualty, if any.
    */
-  constructor({ scenario_id, level_id, title, description, image_url }) {
+  constructor({ scenario_id, level_id, title, description, image_url, is_refresher, organization_id, patient = null }) {
     /**
      * Unique ID of the scenario.
      * @type {number}
@@ -43,5 +48,24 @@ export default class ScenarioEntity {
      * @type {string|undefined}
      */
     this.image_url = image_url;
+
+    /**
+     * Whether passing this scenario counts towards renewing the level.
+     * @type {boolean}
+     */
+    this.is_refresher = Boolean(is_refresher);
+
+    /**
+     * Organization the scenario is private to; null when every organization can play it.
+     * @type {number|null}
+     */
+    this.organization_id = organization_id == null ? null : Number(organization_id);
+
+    /**
+     * Simulated casualty: initial vitals, their drift per minute and the
+     * share of the score that comes from the final status; null for a plain quiz.
+     * @type {{initial: object, trend?: object, outcome_weight?: number}|null}
+     */
+    this.patient = patient;
   }
 }
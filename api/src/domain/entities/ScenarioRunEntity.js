@@ -0,0 +1,47 @@
+/**
+ * Entity class representing a learner's run (play-through) of a scenario.
+ *
+ * A run is open until it is submitted; the answers given in it are stored
+ * as {@link RunAnswerEntity} rows.
+ */
+export default class ScenarioRunEntity {
+  /**
+   * @param {object} params - Run properties.
+   * @param {number} params.run_id - Unique identifier of the run.
+   * @param {number} params.user_id - ID of the learner.
+   * @param {number} params.scenario_id - ID of the scenario played.
+   * @param {string|Date} params.started_at - When the run was opened.
+   * @param {string|Date|null} [params.submitted_at] - When the run was submitted, if it was.
+   */
+  constructor({ run_id, user_id, scenario_id, started_at, submitted_at = null }) {
+    /**
+     * Unique ID of the run.
+     * @type {number}
+     */
+    this.run_id = run_id;
+
+    /**
+     * ID of the learner playing the scenario.
+     * @type {number}
+     */
+    this.user_id = user_id;
+
+    /**
+     * ID of the scenario played.
+     * @type {number}
+     */
+    this.scenario_id = scenario_id;
+
+    /**
+     * When the run was opened (server time).
+     * @type {string|Date}
+     */
+    this.started_at = started_at;
+
+    /**
+     * When the run was submitted; null while it is open.
+     * @type {string|Date|null}
+     */
+    this.submitted_at = submitted_at ?? null;
+  }
+}
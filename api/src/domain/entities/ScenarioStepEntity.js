@@ -1,8 +1,9 @@
 /**
  * Entity class representing a single step within a scenario in the database.
  *
- * Each scenario step corresponds to one interactive question or action point,
- * containing multiple-choice options, the correct answer, and feedback messaging.
+ * Each scenario step corresponds to one interactive question or action point.
+ * Its `step_type` sets the shape of its options and correct answer (see
+ * `utils/stepTypes.js`).
  */
 export default class ScenarioStepEntity {
   /**
@@ -11,11 +12,14 @@ export default class ScenarioStepEntity {
    * @param {number} params.scenario_id - ID of the scenario this step belongs to.
    * @param {number} params.step_order - The sequential order of the step within the scenario.
    * @param {string} params.question_text - The main question or prompt displayed to the user.
-   * @param {string} params.option_a - Text for option A.
-   * @param {string} params.option_b - Text for option B.
-   * @param {string} params.option_c - Text for option C.
-   * @param {string} params.option_d - Text for option D.
-   * @param {string} params.correct_action - The correct option key ('A', 'B', 'C', or 'D').
+   * @param {string|null} [params.image_url] - Image shown with the question (required by hotspot steps).
+   * @param {string|null} [params.image_alt] - Text alternative of the image (required by hotspot steps).
+   * @param {string} [params.step_type='single_choice'] - One of `STEP_TYPES`.
+   * @param {Record<string, string>|null} [params.options] - Options keyed 'A', 'B', ... (choice, multi-select and ordering steps).
+   * @param {string|boolean|string[]|{min: number, max: number}} params.correct_action - The correct answer, shaped by the step type.
+   * @param {string|null} [params.unit] - Unit of a numeric answer, e.g. "cm".
+   * @param {Record<string, number|{outcome: string}>|null} [params.transitions] - Where the scenario goes next, per answer.
+   * @param {Record<string, object>|null} [params.effects] - Change to the simulated casualty's vitals, per answer.
    * @param {string} [params.feedback_message] - Optional feedback message shown after answering.
    */
   constructor({
@@ -23,11 +27,14 @@ export default class ScenarioStepEntity {
     scenario_id,
     step_order,
     question_text,
-    option_a,
-    option_b,
-    option_c,
-    option_d,
+    image_url = null,
+    image_alt = null,
+    step_type = 'single_choice',
+    options = null,
     correct_action,
+    unit = null,
+    transitions = null,
+    effects = null,
     feedback_message,
   }) {
     /**
@@ -55,22 +62,57 @@ export default class ScenarioStepEntity {
     this.question_text = question_text;
 
     /**
-     * Available multiple-choice options for the step.
-     * @type {{A: string, B: string, C: string, D: string}}
+     * Image shown with the question; the image tapped in a hotspot step.
+     * @type {string|null}
      */
-    this.options = {
-      A: option_a,
-      B: option_b,
-      C: option_c,
-      D: option_d,
-    };
+    this.image_url = image_url;
 
     /**
-     * The correct answer option key ('A', 'B', 'C', or 'D').
+     * Text alternative of the image, read out by screen readers.
+     * @type {string|null}
+     */
+    this.image_alt = image_alt;
+
+    /**
+     * How the step is asked and graded ('single_choice', 'true_false',
+     * 'multi_select', 'ordering', 'numeric' or 'hotspot').
      * @type {string}
      */
+    this.step_type = step_type;
+
+    /**
+     * Options keyed 'A', 'B', ...; null for true/false, numeric and hotspot steps.
+     * @type {Record<string, string>|null}
+     */
+    this.options = options;
+
+    /**
+     * The correct answer: an option key, true/false, the keys to select or
+     * in order, the accepted `{ min, max }` range, or the hotspot regions.
+     * @type {string|boolean|string[]|{min: number, max: number}|Array<Array<[number, number]>>}
+     */
     this.correct_action = correct_action;
 
+    /**
+     * Unit shown next to a numeric answer.
+     * @type {string|null}
+     */
+    this.unit = unit;
+
+    /**
+     * Next step (`step_id`) or ending (`{ outcome }`) per answer key, option
+     * key, `correct` or `incorrect`; null for a linear step (see `utils/scenarioGraph.js`).
+     * @type {Record<string, number|{outcome: string}>|null}
+     */
+    this.transitions = transitions;
+
+    /**
+     * Change to the scenario's simulated casualty per answer, keyed like
+     * `transitions`; null when the step does not affect it (see `utils/patientModel.js`).
+     * @type {Record<string, object>|null}
+     */
+    this.effects = effects;
+
     /**
      * Optional feedback message to display after the user's response.
      * @type {string|undefined}
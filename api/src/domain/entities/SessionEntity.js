@@ -0,0 +1,78 @@
+/**
+ * Entity class representing a login session in the database.
+ *
+ * A session is opened at login and kept alive by rotating refresh tokens.
+ * Access tokens carry the session ID, so revoking the session rejects them.
+ */
+export default class SessionEntity {
+  /**
+   * @param {object} params - Session properties.
+   * @param {string} params.session_id - Unique identifier (UUID) of the session.
+   * @param {number} params.user_id - ID of the signed-in user.
+   * @param {string|null} [params.user_agent] - Client that opened the session.
+   * @param {boolean|number} [params.two_factor_verified=false] - Whether the user passed a second factor in this session.
+   * @param {string|Date} params.created_at - When the user logged in.
+   * @param {string|Date} params.last_used_at - When the session was last refreshed.
+   * @param {string|Date} params.expires_at - When the session ends without a refresh.
+   * @param {string|Date|null} [params.revoked_at] - When the session was logged out or revoked.
+   */
+  constructor({
+    session_id,
+    user_id,
+    user_agent = null,
+    two_factor_verified = false,
+    created_at,
+    last_used_at,
+    expires_at,
+    revoked_at = null,
+  }) {
+    /**
+     * Unique ID (UUID) of the session; the `sid` claim of access tokens.
+     * @type {string}
+     */
+    this.session_id = session_id;
+
+    /**
+     * ID of the signed-in user.
+     * @type {number}
+     */
+    this.user_id = user_id;
+
+    /**
+     * Client (User-Agent header) that opened the session.
+     * @type {string|null}
+     */
+    this.user_agent = user_agent;
+
+    /**
+     * Whether the user passed a second factor in this session; carried as the
+     * `mfa` claim of its access tokens.
+     * @type {boolean}
+     */
+    this.two_factor_verified = Boolean(two_factor_verified);
+
+    /**
+     * When the user logged in.
+     * @type {string|Date}
+     */
+    this.created_at = created_at;
+
+    /**
+     * When the session was last refreshed.
+     * @type {string|Date}
+     */
+    this.last_used_at = last_used_at;
+
+    /**
+     * When the session ends unless it is refreshed.
+     * @type {string|Date}
+     */
+    this.expires_at = expires_at;
+
+    /**
+     * When the session was logged out or revoked (null while active).
+     * @type {string|Date|null}
+     */
+    this.revoked_at = revoked_at;
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Entity class representing a step attempt record in the database.
+ *
+ * A step attempt stores a user's answer to a single scenario step as part of
+ * a scenario attempt, including correctness and timing information.
+ */
+export default class StepAttemptEntity {
+  /**
+   * @param {object} params - Step attempt properties.
+   * @param {number} params.step_attempt_id - Unique identifier of the step attempt record.
+   * @param {number} params.attempt_id - ID of the parent scenario attempt.
+   * @param {number|null} params.history_id - ID of the attempt history entry (the individual try).
+   * @param {number} params.step_id - ID of the answered scenario step.
+   * @param {string|null} params.user_action - The selected action, or null if none was chosen.
+   * @param {boolean|number} params.is_correct - Whether the selected action was correct.
+   * @param {boolean|number} params.timed_out - Whether the step timer expired before answering.
+   * @param {number|null} params.response_ms - Time taken to answer, in milliseconds.
+   * @param {string|Date} params.created_at - Timestamp when the step attempt was recorded.
+   */
+  constructor({
+    step_attempt_id,
+    attempt_id,
+    history_id,
+    step_id,
+    user_action,
+    is_correct,
+    timed_out,
+    response_ms,
+    created_at,
+  }) {
+    /**
+     * Unique ID of the step attempt record.
+     * @type {number}
+     */
+    this.step_attempt_id = step_attempt_id;
+
+    /**
+     * ID of the parent scenario attempt.
+     * @type {number}
+     */
+    this.attempt_id = attempt_id;
+
+    /**
+     * ID of the attempt history entry this answer was given in.
+     * @type {number|null}
+     */
+    this.history_id = history_id ?? null;
+
+    /**
+     * ID of the answered scenario step.
+     * @type {number}
+     */
+    this.step_id = step_id;
+
+    /**
+     * The action the user selected (e.g. "A"), or null when none was chosen.
+     * @type {string|null}
+     */
+    this.user_action = user_action ?? null;
+
+    /**
+     * Whether the selected action was correct.
+     * @type {boolean}
+     */
+    this.is_correct = Boolean(is_correct);
+
+    /**
+     * Whether the step timer ran out before the user answered.
+     * @type {boolean}
+     */
+    this.timed_out = Boolean(timed_out);
+
+    /**
+     * Time taken to answer the step, in milliseconds.
+     * @type {number|null}
+     */
+    this.response_ms = response_ms ?? null;
+
+    /**
+     * Date and time when the step attempt was recorded.
+     * @type {string|Date}
+     */
+    this.created_at = created_at;
+  }
+}
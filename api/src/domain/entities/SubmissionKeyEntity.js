@@ -0,0 +1,47 @@
+/**
+ * Entity class representing a stored scenario submission in the database.
+ *
+ * Each row keeps the result of one submission under the client's
+ * idempotency key, so a retried request can be answered with it.
+ */
+export default class SubmissionKeyEntity {
+  /**
+   * @param {object} params - Submission key properties.
+   * @param {number} params.user_id - ID of the submitting user.
+   * @param {string} params.idempotency_key - Key sent in the `Idempotency-Key` header.
+   * @param {number} params.scenario_id - ID of the submitted scenario.
+   * @param {object|string} params.response - The submission result (JSON).
+   * @param {string|Date} params.created_at - When the submission was graded.
+   */
+  constructor({ user_id, idempotency_key, scenario_id, response, created_at }) {
+    /**
+     * ID of the submitting user.
+     * @type {number}
+     */
+    this.user_id = user_id;
+
+    /**
+     * Key the client sent with the submission.
+     * @type {string}
+     */
+    this.idempotency_key = idempotency_key;
+
+    /**
+     * ID of the submitted scenario.
+     * @type {number}
+     */
+    this.scenario_id = scenario_id;
+
+    /**
+     * The submission result, as returned to the client.
+     * @type {object}
+     */
+    this.response = typeof response === 'string' ? JSON.parse(response) : response;
+
+    /**
+     * When the submission was graded.
+     * @type {string|Date}
+     */
+    this.created_at = created_at;
+  }
+}
@@ -11,11 +11,34 @@ export default class UserEntity {
    * @param {number} params.user_id - Unique identifier for the user.
    * @param {string} params.full_name - Full name of the user.
    * @param {string} params.email - Email address of the user (must be unique).
+   * @param {string|Date|null} [params.email_verified_at] - When the email was verified (null until then).
    * @param {string} params.password - Hashed password for authentication.
    * @param {string} params.role - Role assigned to the user (e.g., 'admin', 'student', 'instructor').
+   * @param {number|null} [params.organization_id] - Organization the user belongs to (null for platform accounts).
+   * @param {number} [params.failed_login_count=0] - Consecutive failed logins since the last success or lock.
+   * @param {string|Date|null} [params.last_failed_login_at] - When the last failed login happened.
+   * @param {string|Date|null} [params.locked_until] - Logins are refused until this time.
+   * @param {string|null} [params.totp_secret] - Encrypted TOTP secret (pending until `totp_enabled_at`).
+   * @param {string|Date|null} [params.totp_enabled_at] - When two-factor authentication was turned on.
+   * @param {number|null} [params.totp_last_step] - Last accepted TOTP time step (replay protection).
    * @param {string|Date} params.created_at - Timestamp indicating when the user was created.
    */
-  constructor({ user_id, full_name, email, password, role, created_at }) {
+  constructor({
+    user_id,
+    full_name,
+    email,
+    email_verified_at = null,
+    password,
+    role,
+    organization_id = null,
+    failed_login_count = 0,
+    last_failed_login_at = null,
+    locked_until = null,
+    totp_secret = null,
+    totp_enabled_at = null,
+    totp_last_step = null,
+    created_at,
+  }) {
     /**
      * Unique ID for the user.
      * @type {number}
@@ -34,6 +57,12 @@ export default class UserEntity {
      */
     this.email = email;
 
+    /**
+     * When the user proved they own the email (null while unverified).
+     * @type {string|Date|null}
+     */
+    this.email_verified_at = email_verified_at;
+
     /**
      * Hashed password of the user.
      * Note: This should never be returned in API responses.
@@ -47,6 +76,48 @@ export default class UserEntity {
      */
     this.role = role;
 
+    /**
+     * Organization the user belongs to (null for platform accounts).
+     * @type {number|null}
+     */
+    this.organization_id = organization_id == null ? null : Number(organization_id);
+
+    /**
+     * Consecutive failed logins since the last success or lock.
+     * @type {number}
+     */
+    this.failed_login_count = Number(failed_login_count) || 0;
+
+    /**
+     * When the last failed login happened.
+     * @type {string|Date|null}
+     */
+    this.last_failed_login_at = last_failed_login_at;
+
+    /**
+     * Logins are refused until this time (null when not locked).
+     * @type {string|Date|null}
+     */
+    this.locked_until = locked_until;
+
+    /**
+     * Encrypted TOTP secret. Note: never returned in API responses.
+     * @type {string|null}
+     */
+    this.totp_secret = totp_secret;
+
+    /**
+     * When two-factor authentication was turned on (null while off or pending).
+     * @type {string|Date|null}
+     */
+    this.totp_enabled_at = totp_enabled_at;
+
+    /**
+     * Last accepted TOTP time step, so a code works only once.
+     * @type {number|null}
+     */
+    this.totp_last_step = totp_last_step == null ? null : Number(totp_last_step);
+
     /**
      * Date and time when the user record was created.
      * @type {string|Date}
@@ -13,8 +13,10 @@ export default class UserLevelEntity {
    * @param {number} params.level_id - ID of the level this record corresponds to.
    * @param {boolean} params.unlocked - Indicates whether the user has unlocked this level.
    * @param {boolean} params.completed - Indicates whether the user has completed this level.
+   * @param {Date|null} [params.completed_at] - When the level was last completed or renewed.
+   * @param {Date|null} [params.expires_at] - When the completion expires and a refresher is due.
    */
-  constructor({ user_level_id, user_id, level_id, unlocked, completed }) {
+  constructor({ user_level_id, user_id, level_id, unlocked, completed, completed_at = null, expires_at = null }) {
     /**
      * Unique ID for this user-level record.
      * @type {number}
@@ -44,5 +46,17 @@ export default class UserLevelEntity {
      * @type {boolean}
      */
     this.completed = completed;
+
+    /**
+     * When the level was last completed or renewed by a refresher.
+     * @type {Date|null}
+     */
+    this.completed_at = completed_at;
+
+    /**
+     * When the completion expires (null for completions that predate expiry tracking).
+     * @type {Date|null}
+     */
+    this.expires_at = expires_at;
   }
 }
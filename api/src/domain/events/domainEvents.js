@@ -0,0 +1,55 @@
+import { EventEmitter } from "node:events";
+import { afterCommit } from "../../config/db.js";
+
+/**
+ * Names and payloads of the domain events published by the progression
+ * pipeline (see `ProgressionService`).
+ *
+ * - `submission.graded`: `{ user_id, scenario_id, level_id, history_id, score, all_correct }`
+ * - `level.completed`: `{ user_id, level_id }` — the level was not completed before.
+ * - `level.unlocked`: `{ user_id, level_id }`
+ * - `certificate.issued`: `{ user_id, serial, expires_at }`
+ * - `badge.awarded`: `{ user_id, badge_id, name }`
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const DOMAIN_EVENTS = Object.freeze({
+  SUBMISSION_GRADED: "submission.graded",
+  LEVEL_COMPLETED: "level.completed",
+  LEVEL_UNLOCKED: "level.unlocked",
+  CERTIFICATE_ISSUED: "certificate.issued",
+  BADGE_AWARDED: "badge.awarded",
+});
+
+/**
+ * Process-wide bus for domain events. Integrations subscribe with
+ * `domainEvents.on(DOMAIN_EVENTS.BADGE_AWARDED, listener)`; listeners run
+ * synchronously after the change is committed and must handle their own
+ * async errors.
+ *
+ * @type {EventEmitter}
+ *
+ * @example
+ * domainEvents.on(DOMAIN_EVENTS.LEVEL_COMPLETED, ({ user_id, level_id }) => {
+ *   console.log(`User ${user_id} completed level ${level_id}`);
+ * });
+ */
+export const domainEvents = new EventEmitter();
+
+/**
+ * Publishes a domain event once the current transaction is committed (right
+ * away outside a transaction). Events of a rolled-back transaction are
+ * dropped, so listeners never see changes that did not happen.
+ *
+ * @function publish
+ * @param {string} name - One of {@link DOMAIN_EVENTS}.
+ * @param {object} payload - Event data (see {@link DOMAIN_EVENTS}).
+ * @returns {void}
+ *
+ * @example
+ * publish(DOMAIN_EVENTS.LEVEL_UNLOCKED, { user_id: 4, level_id: 3 });
+ */
+export function publish(name, payload) {
+  afterCommit(() => domainEvents.emit(name, payload));
+}
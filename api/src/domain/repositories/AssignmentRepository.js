@@ -0,0 +1,137 @@
+import { pool } from "../../config/db.js";
+import AssignmentEntity from "../entities/AssignmentEntity.js";
+
+/** Columns of an assignment, with the title of what was assigned (and the level of an assigned scenario). */
+const COLUMNS = `
+  a.assignment_id, a.class_id, a.scenario_id, a.level_id, a.due_at, a.min_score,
+  a.created_by, a.created_at, COALESCE(s.title, l.title) AS title, s.level_id AS scenario_level_id
+`;
+
+/** Joins that resolve the assigned scenario or level. */
+const TARGET_JOINS = `
+  LEFT JOIN scenarios s ON s.scenario_id = a.scenario_id
+  LEFT JOIN levels l ON l.level_id = a.level_id
+`;
+
+/**
+ * Repository class for the `assignments` table.
+ *
+ * Every assignment targets either one scenario or one whole level; the
+ * joined `title` is that scenario's or level's title.
+ */
+export class AssignmentRepository {
+  /**
+   * Lists the assignments of a class, soonest due first.
+   *
+   * @async
+   * @method findByClass
+   * @param {number} class_id - The class ID.
+   * @returns {Promise<AssignmentEntity[]>}
+   * @example
+   * const assignments = await assignmentRepo.findByClass(3);
+   */
+  async findByClass(class_id) {
+    const sql = `
+      SELECT ${COLUMNS}
+      FROM assignments a
+      ${TARGET_JOINS}
+      WHERE a.class_id = ?
+      ORDER BY a.due_at ASC, a.assignment_id ASC;
+    `;
+    const [rows] = await pool.query(sql, [class_id]);
+    return rows.map(row => new AssignmentEntity(row));
+  }
+
+  /**
+   * Lists the assignments of every class a user is enrolled in, soonest due
+   * first, with the class name.
+   *
+   * @async
+   * @method findByUser
+   * @param {number} user_id - The learner.
+   * @returns {Promise<AssignmentEntity[]>}
+   * @example
+   * const mine = await assignmentRepo.findByUser(14);
+   */
+  async findByUser(user_id) {
+    const sql = `
+      SELECT ${COLUMNS}, c.name AS class_name
+      FROM assignments a
+      JOIN class_members m ON m.class_id = a.class_id
+      JOIN classes c ON c.class_id = a.class_id
+      ${TARGET_JOINS}
+      WHERE m.user_id = ?
+      ORDER BY a.due_at ASC, a.assignment_id ASC;
+    `;
+    const [rows] = await pool.query(sql, [user_id]);
+    return rows.map(row => new AssignmentEntity(row));
+  }
+
+  /**
+   * Finds an assignment by ID.
+   *
+   * @async
+   * @method findById
+   * @param {number} id - The assignment ID.
+   * @returns {Promise<AssignmentEntity|null>}
+   */
+  async findById(id) {
+    const sql = `
+      SELECT ${COLUMNS}
+      FROM assignments a
+      ${TARGET_JOINS}
+      WHERE a.assignment_id = ?
+      LIMIT 1;
+    `;
+    const [rows] = await pool.query(sql, [id]);
+    return rows.length ? new AssignmentEntity(rows[0]) : null;
+  }
+
+  /**
+   * Creates an assignment. Exactly one of `scenario_id` and `level_id`
+   * should be set.
+   *
+   * @async
+   * @method create
+   * @param {object} params
+   * @param {number} params.class_id - Class to assign to.
+   * @param {number|null} [params.scenario_id=null] - Assigned scenario.
+   * @param {number|null} [params.level_id=null] - Assigned level.
+   * @param {Date} params.due_at - Due date.
+   * @param {number} params.min_score - Minimum score (0–100).
+   * @param {number|null} [params.created_by=null] - Creating user.
+   * @returns {Promise<AssignmentEntity>}
+   * @example
+   * const assignment = await assignmentRepo.create({
+   *   class_id: 3, level_id: 2, due_at: new Date("2026-11-01"), min_score: 80, created_by: 7,
+   * });
+   */
+  async create({ class_id, scenario_id = null, level_id = null, due_at, min_score, created_by = null }) {
+    const sql = `
+      INSERT INTO assignments (class_id, scenario_id, level_id, due_at, min_score, created_by)
+      VALUES (?, ?, ?, ?, ?, ?);
+    `;
+    const [result] = await pool.query(sql, [
+      class_id,
+      scenario_id,
+      level_id,
+      due_at,
+      min_score,
+      created_by,
+    ]);
+    return this.findById(result.insertId);
+  }
+
+  /**
+   * Deletes an assignment.
+   *
+   * @async
+   * @method delete
+   * @param {number} id - The assignment ID.
+   * @returns {Promise<boolean>} True if deleted.
+   */
+  async delete(id) {
+    const [result] = await pool.query(`DELETE FROM assignments WHERE assignment_id = ?`, [id]);
+    return result.affectedRows > 0;
+  }
+}
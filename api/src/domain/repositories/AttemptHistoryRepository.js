@@ -0,0 +1,184 @@
+import { pool } from "../../config/db.js";
+import AttemptHistoryEntity from "../entities/AttemptHistoryEntity.js";
+
+/**
+ * SQL condition keeping rows whose user belongs to the organization bound as the next parameter.
+ * @param {string} column - The user ID column to test.
+ * @returns {string}
+ */
+const IN_ORGANIZATION = (column) =>
+  `${column} IN (SELECT user_id FROM users WHERE organization_id = ?)`;
+
+/**
+ * Repository class for the append-only attempt history.
+ *
+ * Every scenario submission inserts one row; rows are never updated.
+ * Methods return {@link AttemptHistoryEntity} instances.
+ */
+export class AttemptHistoryRepository {
+  /**
+   * Appends a new try to the history.
+   *
+   * `duration_ms` is derived from `started_at` and `finished_at` when both are known.
+   *
+   * @async
+   * @method create
+   * @param {object} params - History entry data.
+   * @param {number} params.user_id - The user ID.
+   * @param {number} params.scenario_id - The scenario ID.
+   * @param {number} params.score - The score achieved.
+   * @param {Date|null} [params.started_at=null] - When the try started.
+   * @param {Date} [params.finished_at=new Date()] - When the try was submitted.
+   * @returns {Promise<AttemptHistoryEntity>} The inserted history entry.
+   * @example
+   * const entry = await historyRepo.create({ user_id: 1, scenario_id: 3, score: 80, started_at: new Date(Date.now() - 90000) });
+   */
+  async create({ user_id, scenario_id, score, started_at = null, finished_at = new Date() }) {
+    const duration_ms = started_at ? Math.max(0, finished_at - started_at) : null;
+
+    const sql = `
+      INSERT INTO attempt_history (user_id, scenario_id, score, started_at, finished_at, duration_ms)
+      VALUES (?, ?, ?, ?, ?, ?);
+    `;
+    const [result] = await pool.query(sql, [
+      user_id,
+      scenario_id,
+      score,
+      started_at,
+      finished_at,
+      duration_ms,
+    ]);
+
+    return new AttemptHistoryEntity({
+      history_id: result.insertId,
+      user_id,
+      scenario_id,
+      score,
+      started_at,
+      finished_at,
+      duration_ms,
+    });
+  }
+
+  /**
+   * Finds the best score and latest finish time of a user for a scenario.
+   *
+   * @async
+   * @method findBestByUserAndScenario
+   * @param {number} user_id - The user ID.
+   * @param {number} scenario_id - The scenario ID.
+   * @returns {Promise<{score: number, completed_at: Date}|null>} The best score, or null if no tries exist.
+   * @example
+   * const best = await historyRepo.findBestByUserAndScenario(1, 3);
+   */
+  async findBestByUserAndScenario(user_id, scenario_id) {
+    const sql = `
+      SELECT MAX(score) AS score, MAX(finished_at) AS completed_at
+      FROM attempt_history
+      WHERE user_id = ? AND scenario_id = ?;
+    `;
+    const [rows] = await pool.query(sql, [user_id, scenario_id]);
+    return rows[0]?.score == null ? null : rows[0];
+  }
+
+  /**
+   * Retrieves one page of a user's tries at a scenario, newest first.
+   *
+   * @async
+   * @method findPageByUserAndScenario
+   * @param {number} user_id - The user ID.
+   * @param {number} scenario_id - The scenario ID.
+   * @param {{limit: number, offset: number, organization_id?: number}} page - Page window; with
+   * `organization_id`, users outside that organization have no history.
+   * @returns {Promise<{items: AttemptHistoryEntity[], total: number}>} The page and the total row count.
+   * @example
+   * const { items, total } = await historyRepo.findPageByUserAndScenario(1, 3, { limit: 20, offset: 0 });
+   */
+  async findPageByUserAndScenario(user_id, scenario_id, { limit, offset, organization_id }) {
+    const scoped = organization_id !== undefined;
+    const where = `WHERE user_id = ? AND scenario_id = ? ${scoped ? `AND ${IN_ORGANIZATION("user_id")}` : ""}`;
+    const params = scoped ? [user_id, scenario_id, organization_id] : [user_id, scenario_id];
+
+    const sql = `
+      SELECT history_id, user_id, scenario_id, score, started_at, finished_at, duration_ms
+      FROM attempt_history
+      ${where}
+      ORDER BY finished_at DESC, history_id DESC
+      LIMIT ? OFFSET ?;
+    `;
+    const [rows] = await pool.query(sql, [...params, limit, offset]);
+
+    const [countRows] = await pool.query(
+      `SELECT COUNT(*) AS total FROM attempt_history ${where}`,
+      params
+    );
+
+    return {
+      items: rows.map(row => new AttemptHistoryEntity(row)),
+      total: parseInt(countRows[0].total || 0, 10),
+    };
+  }
+
+  /**
+   * Retrieves one page of a user's tries across all scenarios of a level, newest first.
+   *
+   * @async
+   * @method findPageByUserAndLevel
+   * @param {number} user_id - The user ID.
+   * @param {number} level_id - The level ID.
+   * @param {{limit: number, offset: number, organization_id?: number}} page - Page window; with
+   * `organization_id`, users outside that organization have no history.
+   * @returns {Promise<{items: AttemptHistoryEntity[], total: number}>} The page and the total row count.
+   * @example
+   * const { items, total } = await historyRepo.findPageByUserAndLevel(1, 2, { limit: 20, offset: 20 });
+   */
+  async findPageByUserAndLevel(user_id, level_id, { limit, offset, organization_id }) {
+    const scoped = organization_id !== undefined;
+    const from = `
+      FROM attempt_history h
+      JOIN scenarios s ON s.scenario_id = h.scenario_id
+      WHERE h.user_id = ? AND s.level_id = ? ${scoped ? `AND ${IN_ORGANIZATION("h.user_id")}` : ""}`;
+    const params = scoped ? [user_id, level_id, organization_id] : [user_id, level_id];
+
+    const sql = `
+      SELECT h.history_id, h.user_id, h.scenario_id, h.score,
+             h.started_at, h.finished_at, h.duration_ms
+      ${from}
+      ORDER BY h.finished_at DESC, h.history_id DESC
+      LIMIT ? OFFSET ?;
+    `;
+    const [rows] = await pool.query(sql, [...params, limit, offset]);
+
+    const [countRows] = await pool.query(`SELECT COUNT(*) AS total ${from}`, params);
+
+    return {
+      items: rows.map(row => new AttemptHistoryEntity(row)),
+      total: parseInt(countRows[0].total || 0, 10),
+    };
+  }
+
+  /**
+   * Retrieves every try of a user, oldest first, with each scenario's level.
+   *
+   * @async
+   * @method findAllByUser
+   * @param {number} user_id - The user ID.
+   * @returns {Promise<Array<AttemptHistoryEntity & {level_id: number}>>} The user's full history.
+   * @example
+   * const history = await historyRepo.findAllByUser(1);
+   */
+  async findAllByUser(user_id) {
+    const sql = `
+      SELECT h.history_id, h.user_id, h.scenario_id, h.score,
+             h.started_at, h.finished_at, h.duration_ms, s.level_id
+      FROM attempt_history h
+      JOIN scenarios s ON s.scenario_id = h.scenario_id
+      WHERE h.user_id = ?
+      ORDER BY h.finished_at ASC, h.history_id ASC;
+    `;
+    const [rows] = await pool.query(sql, [user_id]);
+    return rows.map(row =>
+      Object.assign(new AttemptHistoryEntity(row), { level_id: Number(row.level_id) })
+    );
+  }
+}
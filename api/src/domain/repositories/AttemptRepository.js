@@ -4,26 +4,44 @@ import AttemptEntity from "../entities/AttemptEntity.js";
 /**
  * Repository class responsible for managing database operations related to user attempts.
  *
+ * An attempt row holds a user's best score for one scenario; every individual
+ * try lives in the append-only `attempt_history` table (see {@link AttemptHistoryRepository}).
  * Handles queries for retrieving, inserting, updating, and counting attempt records.
  * Each method returns raw data wrapped as an {@link AttemptEntity} instance.
  */
 export class AttemptRepository {
   /**
-   * Retrieves all attempts from the database.
+   * Retrieves all attempts from the database, optionally only those of one
+   * organization's members or of one user.
    *
    * @async
    * @method findAll
+   * @param {object} [options]
+   * @param {number} [options.organization_id] - Only attempts by members of this organization (no filter when undefined).
+   * @param {number} [options.user_id] - Only attempts by this user (no filter when undefined).
    * @returns {Promise<AttemptEntity[]>} A list of all attempts ordered by completion time.
    * @example
    * const attempts = await attemptRepo.findAll();
+   * const orgAttempts = await attemptRepo.findAll({ organization_id: 2 });
+   * const own = await attemptRepo.findAll({ user_id: 14 });
    */
-  async findAll() {
+  async findAll({ organization_id, user_id } = {}) {
+    const where = [];
+    const params = [];
+
+    if (organization_id !== undefined) {
+      where.push("a.user_id IN (SELECT user_id FROM users WHERE organization_id = ?)");
+      params.push(organization_id);
+    }
+    if (user_id !== undefined) { where.push("a.user_id = ?"); params.push(user_id); }
+
     const sql = `
-      SELECT attempt_id, user_id, scenario_id, score, completed_at
-      FROM attempts
-      ORDER BY completed_at DESC;
+      SELECT a.attempt_id, a.user_id, a.scenario_id, a.score, a.completed_at
+      FROM attempts a
+      ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY a.completed_at DESC;
     `;
-    const [rows] = await pool.query(sql);
+    const [rows] = await pool.query(sql, params);
     return rows.map(row => new AttemptEntity(row));
   }
 
@@ -33,17 +51,29 @@ export class AttemptRepository {
    * @async
    * @method findById
    * @param {number} id - The ID of the attempt to find.
+   * @param {object} [options]
+   * @param {number} [options.organization_id] - Only match an attempt by a member of this organization (no filter when undefined).
+   * @param {number} [options.user_id] - Only match an attempt by this user (no filter when undefined).
    * @returns {Promise<AttemptEntity|null>} The matching attempt or null if not found.
    * @example
    * const attempt = await attemptRepo.findById(10);
    */
-  async findById(id) {
+  async findById(id, { organization_id, user_id } = {}) {
+    const where = ["a.attempt_id = ?"];
+    const params = [id];
+
+    if (organization_id !== undefined) {
+      where.push("a.user_id IN (SELECT user_id FROM users WHERE organization_id = ?)");
+      params.push(organization_id);
+    }
+    if (user_id !== undefined) { where.push("a.user_id = ?"); params.push(user_id); }
+
     const sql = `
-      SELECT attempt_id, user_id, scenario_id, score, completed_at
-      FROM attempts
-      WHERE attempt_id = ?;
+      SELECT a.attempt_id, a.user_id, a.scenario_id, a.score, a.completed_at
+      FROM attempts a
+      WHERE ${where.join(" AND ")};
     `;
-    const [rows] = await pool.query(sql, [id]);
+    const [rows] = await pool.query(sql, params);
     return rows.length ? new AttemptEntity(rows[0]) : null;
   }
 
@@ -69,40 +99,37 @@ export class AttemptRepository {
   }
 
   /**
-   * Inserts or updates a user’s best score for a scenario.
-   * If an attempt already exists, the higher score is kept and the timestamp updated.
+   * Stores a user’s best score for a scenario as derived from the attempt history.
+   * The row is inserted on the first try and overwritten afterwards; callers
+   * pass the value computed by {@link AttemptHistoryRepository#findBestByUserAndScenario}.
    *
    * @async
-   * @method upsertBestScore
-   * @param {object} params - Score update parameters.
+   * @method saveBestScore
+   * @param {object} params - Best score parameters.
    * @param {number} params.user_id - The user ID.
    * @param {number} params.scenario_id - The scenario ID.
-   * @param {number} params.score - The score achieved.
-   * @returns {Promise<AttemptEntity|null>} The updated or inserted attempt.
+   * @param {number} params.score - The best score across all tries.
+   * @param {string|Date} params.completed_at - When the latest try finished.
+   * @returns {Promise<AttemptEntity|null>} The stored best-score attempt.
    * @example
-   * const attempt = await attemptRepo.upsertBestScore({ user_id: 1, scenario_id: 3, score: 95 });
+   * const attempt = await attemptRepo.saveBestScore({ user_id: 1, scenario_id: 3, score: 95, completed_at: new Date() });
    */
-  async upsertBestScore({ user_id, scenario_id, score }) {
+  async saveBestScore({ user_id, scenario_id, score, completed_at }) {
     const sql = `
-      INSERT INTO attempts (user_id, scenario_id, score)
-      VALUES (?, ?, ?)
+      INSERT INTO attempts (user_id, scenario_id, score, completed_at)
+      VALUES (?, ?, ?, ?)
       ON DUPLICATE KEY UPDATE
-        score = GREATEST(score, VALUES(score)),
-        completed_at = CURRENT_TIMESTAMP;
+        score = VALUES(score),
+        completed_at = VALUES(completed_at);
     `;
-    await pool.query(sql, [user_id, scenario_id, score]);
+    await pool.query(sql, [user_id, scenario_id, score, completed_at]);
 
-    const [rows] = await pool.query(
-      `SELECT attempt_id, user_id, scenario_id, score, completed_at
-       FROM attempts
-       WHERE user_id = ? AND scenario_id = ?`,
-      [user_id, scenario_id]
-    );
-    return rows.length ? new AttemptEntity(rows[0]) : null;
+    return this.findByUserAndScenario(user_id, scenario_id);
   }
 
   /**
-   * Counts the number of perfect attempts (score = 100) by a user in a specific level.
+   * Counts the number of perfect attempts (score = 100) by a user in a specific level,
+   * over the scenarios the user can see.
    *
    * @async
    * @method countPerfectByUserInLevel
@@ -117,7 +144,9 @@ export class AttemptRepository {
       SELECT COUNT(*) AS perfect_count
       FROM attempts sa
       JOIN scenarios s ON s.scenario_id = sa.scenario_id
-      WHERE sa.user_id = ? AND s.level_id = ? AND sa.score = 100;
+      WHERE sa.user_id = ? AND s.level_id = ? AND sa.score = 100
+        AND (s.organization_id IS NULL
+             OR s.organization_id = (SELECT organization_id FROM users WHERE user_id = sa.user_id));
     `;
     const [rows] = await pool.query(sql, [user_id, level_id]);
     return parseInt(rows[0].perfect_count || 0, 10);
@@ -139,6 +168,68 @@ export class AttemptRepository {
     return parseInt(rows[0].total || 0, 10);
   }
 
+  /**
+   * Summarises a user's best scores per level, counting unplayed scenarios as 0.
+   * Only scenarios the user can see count (shared ones and those private to
+   * the user's organization). Used to evaluate minimum-score unlock rules.
+   *
+   * @async
+   * @method getLevelScoresByUser
+   * @param {number} user_id - The user ID.
+   * @returns {Promise<Array<{level_id: number, total_scenarios: number, avg_score: number}>>}
+   * One row per level that has scenarios.
+   * @example
+   * const scores = await attemptRepo.getLevelScoresByUser(5);
+   * // [{ level_id: 1, total_scenarios: 4, avg_score: 87.5 }, ...]
+   */
+  async getLevelScoresByUser(user_id) {
+    const sql = `
+      SELECT s.level_id,
+             COUNT(*) AS total_scenarios,
+             COALESCE(SUM(a.score), 0) / COUNT(*) AS avg_score
+      FROM scenarios s
+      LEFT JOIN attempts a
+        ON a.scenario_id = s.scenario_id AND a.user_id = ?
+      WHERE s.organization_id IS NULL
+         OR s.organization_id = (SELECT organization_id FROM users WHERE user_id = ?)
+      GROUP BY s.level_id;
+    `;
+    const [rows] = await pool.query(sql, [user_id, user_id]);
+    return rows.map(r => ({
+      level_id: Number(r.level_id),
+      total_scenarios: Number(r.total_scenarios),
+      avg_score: Number(r.avg_score),
+    }));
+  }
+
+  /**
+   * Retrieves the best score of every member of a class on every scenario
+   * they attempted, in one query (class progress reports).
+   *
+   * @async
+   * @method findBestScoresByClass
+   * @param {number} class_id - The class ID.
+   * @returns {Promise<Array<{user_id: number, scenario_id: number, score: number}>>}
+   * One row per member and attempted scenario.
+   * @example
+   * const scores = await attemptRepo.findBestScoresByClass(3);
+   */
+  async findBestScoresByClass(class_id) {
+    const sql = `
+      SELECT a.user_id, a.scenario_id, MAX(a.score) AS score
+      FROM attempts a
+      JOIN class_members cm ON cm.user_id = a.user_id
+      WHERE cm.class_id = ?
+      GROUP BY a.user_id, a.scenario_id;
+    `;
+    const [rows] = await pool.query(sql, [class_id]);
+    return rows.map((r) => ({
+      user_id: Number(r.user_id),
+      scenario_id: Number(r.scenario_id),
+      score: Number(r.score),
+    }));
+  }
+
   /**
    * Retrieves all user attempts and scores for a specific level.
    *
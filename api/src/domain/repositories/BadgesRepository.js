@@ -1,6 +1,19 @@
 import { pool } from "../../config/db.js";
 import BadgesEntity from "../entities/BadgesEntity.js";
 
+const COLUMNS = `badge_id, level_id, name, description, icon_url, criteria`;
+
+/**
+ * Maps a row to an entity, parsing `criteria` when the driver returns JSON as text.
+ * @param {object} row - Raw `badges` row.
+ * @returns {BadgesEntity}
+ */
+function toEntity(row) {
+  const criteria =
+    typeof row.criteria === "string" ? JSON.parse(row.criteria) : row.criteria ?? null;
+  return new BadgesEntity({ ...row, criteria });
+}
+
 /**
  * Repository class for managing CRUD operations on the `badges` table.
  *
@@ -19,12 +32,12 @@ export class BadgesRepository {
    */
   async findAll() {
     const sql = `
-      SELECT badge_id, level_id, name, description, icon_url
+      SELECT ${COLUMNS}
       FROM badges
       ORDER BY badge_id DESC;
     `;
     const [rows] = await pool.query(sql);
-    return rows.map(row => new BadgesEntity(row));
+    return rows.map(toEntity);
   }
 
   /**
@@ -39,12 +52,12 @@ export class BadgesRepository {
    */
   async findById(id) {
     const sql = `
-      SELECT badge_id, level_id, name, description, icon_url
+      SELECT ${COLUMNS}
       FROM badges
       WHERE badge_id = ?;
     `;
     const [rows] = await pool.query(sql, [id]);
-    return rows.length ? new BadgesEntity(rows[0]) : null;
+    return rows.length ? toEntity(rows[0]) : null;
   }
 
   /**
@@ -60,13 +73,33 @@ export class BadgesRepository {
    */
   async findByLevel(level_id) {
     const sql = `
-      SELECT badge_id, level_id, name, description, icon_url
+      SELECT ${COLUMNS}
       FROM badges
       WHERE level_id = ?
       LIMIT 1;
     `;
     const [rows] = await pool.query(sql, [level_id]);
-    return rows.length ? new BadgesEntity(rows[0]) : null;
+    return rows.length ? toEntity(rows[0]) : null;
+  }
+
+  /**
+   * Retrieves every badge that has award criteria.
+   *
+   * @async
+   * @method findWithCriteria
+   * @returns {Promise<BadgesEntity[]>} Automatically awarded badges, ordered by badge ID.
+   * @example
+   * const rules = await badgesRepo.findWithCriteria();
+   */
+  async findWithCriteria() {
+    const sql = `
+      SELECT ${COLUMNS}
+      FROM badges
+      WHERE criteria IS NOT NULL
+      ORDER BY badge_id ASC;
+    `;
+    const [rows] = await pool.query(sql);
+    return rows.map(toEntity);
   }
 
   /**
@@ -75,27 +108,35 @@ export class BadgesRepository {
    * @async
    * @method create
    * @param {object} params - Badge creation properties.
-   * @param {number} params.level_id - The level ID this badge is linked to.
+   * @param {number|null} [params.level_id] - The level ID this badge is shown under.
    * @param {string} params.name - The badge name.
    * @param {string} params.description - Description of the badge.
    * @param {string} [params.icon_url] - Optional icon URL for the badge.
+   * @param {object|null} [params.criteria] - Award rule for the badge.
    * @returns {Promise<BadgesEntity|null>} The newly created badge entity or null if creation failed.
    * @example
    * const newBadge = await badgesRepo.create({
    *   level_id: 3,
    *   name: "Master Explorer",
    *   description: "Awarded for completing level 3",
-   *   icon_url: "https://cdn.example.com/icons/master.png"
+   *   icon_url: "https://cdn.example.com/icons/master.png",
+   *   criteria: { type: "perfect_level", level_id: 3 }
    * });
    */
-  async create({ level_id, name, description, icon_url }) {
+  async create({ level_id = null, name, description, icon_url, criteria = null }) {
     const sql = `
-      INSERT INTO badges (level_id, name, description, icon_url)
-      VALUES (?, ?, ?, ?)
-      RETURNING badge_id, level_id, name, description, icon_url;
+      INSERT INTO badges (level_id, name, description, icon_url, criteria)
+      VALUES (?, ?, ?, ?, ?)
+      RETURNING ${COLUMNS};
     `;
-    const [rows] = await pool.query(sql, [level_id, name, description, icon_url]);
-    return rows.length ? new BadgesEntity(rows[0]) : null;
+    const [rows] = await pool.query(sql, [
+      level_id,
+      name,
+      description,
+      icon_url,
+      criteria ? JSON.stringify(criteria) : null,
+    ]);
+    return rows.length ? toEntity(rows[0]) : null;
   }
 
   /**
@@ -105,10 +146,11 @@ export class BadgesRepository {
    * @method update
    * @param {number} id - The ID of the badge to update.
    * @param {object} params - Updated badge fields.
-   * @param {number} params.level_id - Level associated with the badge.
+   * @param {number|null} [params.level_id] - Level associated with the badge.
    * @param {string} params.name - Updated badge name.
    * @param {string} params.description - Updated badge description.
    * @param {string} [params.icon_url] - Updated badge icon URL.
+   * @param {object|null} [params.criteria] - Updated award rule.
    * @returns {Promise<BadgesEntity|null>} The updated badge entity or null if not found.
    * @example
    * const updated = await badgesRepo.update(4, {
@@ -118,15 +160,22 @@ export class BadgesRepository {
    *   icon_url: "https://cdn.example.com/icons/expert.png"
    * });
    */
-  async update(id, { level_id, name, description, icon_url }) {
+  async update(id, { level_id = null, name, description, icon_url, criteria = null }) {
     const sql = `
       UPDATE badges
-      SET level_id = ?, name = ?, description = ?, icon_url = ?
+      SET level_id = ?, name = ?, description = ?, icon_url = ?, criteria = ?
       WHERE badge_id = ?
-      RETURNING badge_id, level_id, name, description, icon_url;
+      RETURNING ${COLUMNS};
     `;
-    const [rows] = await pool.query(sql, [level_id, name, description, icon_url, id]);
-    return rows.length ? new BadgesEntity(rows[0]) : null;
+    const [rows] = await pool.query(sql, [
+      level_id,
+      name,
+      description,
+      icon_url,
+      criteria ? JSON.stringify(criteria) : null,
+      id,
+    ]);
+    return rows.length ? toEntity(rows[0]) : null;
   }
 
   /**
@@ -0,0 +1,126 @@
+import { pool } from "../../config/db.js";
+import CertificateEntity from "../entities/CertificateEntity.js";
+
+const COLUMNS = `
+  c.certificate_id, c.user_id, c.serial, c.signature, c.title,
+  c.issued_at, c.expires_at, c.revoked_at, u.full_name AS holder_name
+`;
+
+/**
+ * Repository class for the `certificates` table.
+ *
+ * Rows are joined with `users` to carry the holder's name.
+ * Methods return {@link CertificateEntity} instances.
+ */
+export class CertificateRepository {
+  /**
+   * Retrieves all certificates, newest first.
+   *
+   * @async
+   * @method findAll
+   * @param {object} [options]
+   * @param {number} [options.organization_id] - Only certificates of this organization's members (no filter when undefined).
+   * @returns {Promise<CertificateEntity[]>} All certificates.
+   * @example
+   * const certificates = await certificateRepo.findAll();
+   */
+  async findAll({ organization_id } = {}) {
+    const scoped = organization_id !== undefined;
+    const sql = `
+      SELECT ${COLUMNS}
+      FROM certificates c
+      JOIN users u ON u.user_id = c.user_id
+      ${scoped ? "WHERE u.organization_id = ?" : ""}
+      ORDER BY c.issued_at DESC, c.certificate_id DESC;
+    `;
+    const [rows] = await pool.query(sql, scoped ? [organization_id] : []);
+    return rows.map(row => new CertificateEntity(row));
+  }
+
+  /**
+   * Retrieves a user's certificates, newest first.
+   *
+   * @async
+   * @method findByUser
+   * @param {number} user_id - The holder's user ID.
+   * @returns {Promise<CertificateEntity[]>} The user's certificates.
+   * @example
+   * const mine = await certificateRepo.findByUser(4);
+   */
+  async findByUser(user_id) {
+    const sql = `
+      SELECT ${COLUMNS}
+      FROM certificates c
+      JOIN users u ON u.user_id = c.user_id
+      WHERE c.user_id = ?
+      ORDER BY c.issued_at DESC, c.certificate_id DESC;
+    `;
+    const [rows] = await pool.query(sql, [user_id]);
+    return rows.map(row => new CertificateEntity(row));
+  }
+
+  /**
+   * Finds a certificate by its public serial.
+   *
+   * @async
+   * @method findBySerial
+   * @param {string} serial - The certificate serial.
+   * @returns {Promise<CertificateEntity|null>} The certificate, or null if unknown.
+   * @example
+   * const cert = await certificateRepo.findBySerial("SIM-7F3A9C21B04E-5D1E88A0");
+   */
+  async findBySerial(serial) {
+    const sql = `
+      SELECT ${COLUMNS}
+      FROM certificates c
+      JOIN users u ON u.user_id = c.user_id
+      WHERE c.serial = ?
+      LIMIT 1;
+    `;
+    const [rows] = await pool.query(sql, [serial]);
+    return rows.length ? new CertificateEntity(rows[0]) : null;
+  }
+
+  /**
+   * Stores a newly issued certificate.
+   *
+   * @async
+   * @method create
+   * @param {object} params - Certificate data.
+   * @param {number} params.user_id - The holder's user ID.
+   * @param {string} params.serial - Signed serial.
+   * @param {string} params.signature - Full signature.
+   * @param {string} params.title - Certificate title.
+   * @param {Date} params.issued_at - Issue date.
+   * @param {Date} params.expires_at - Expiry date.
+   * @returns {Promise<CertificateEntity>} The stored certificate.
+   * @example
+   * const cert = await certificateRepo.create({ user_id: 4, serial, signature, title, issued_at, expires_at });
+   */
+  async create({ user_id, serial, signature, title, issued_at, expires_at }) {
+    const sql = `
+      INSERT INTO certificates (user_id, serial, signature, title, issued_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?);
+    `;
+    await pool.query(sql, [user_id, serial, signature, title, issued_at, expires_at]);
+    return this.findBySerial(serial);
+  }
+
+  /**
+   * Marks a certificate as revoked.
+   *
+   * @async
+   * @method revoke
+   * @param {string} serial - The certificate serial.
+   * @returns {Promise<CertificateEntity|null>} The revoked certificate, or null if unknown.
+   * @example
+   * await certificateRepo.revoke("SIM-7F3A9C21B04E-5D1E88A0");
+   */
+  async revoke(serial) {
+    const [result] = await pool.query(
+      `UPDATE certificates SET revoked_at = COALESCE(revoked_at, NOW()) WHERE serial = ?`,
+      [serial]
+    );
+    return result.affectedRows ? this.findBySerial(serial) : null;
+  }
+}
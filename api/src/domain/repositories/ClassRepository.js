@@ -0,0 +1,170 @@
+import { pool } from "../../config/db.js";
+import ClassEntity from "../entities/ClassEntity.js";
+
+/**
+ * Repository class for the `classes` and `class_members` tables.
+ *
+ * Reads take an optional `organization_id`; when it is set, classes of
+ * other organizations are treated as not found.
+ */
+export class ClassRepository {
+  /**
+   * Retrieves all classes with their member counts, by name.
+   *
+   * @async
+   * @method findAll
+   * @param {object} [options]
+   * @param {number} [options.organization_id] - Only this organization's classes (no filter when undefined).
+   * @returns {Promise<ClassEntity[]>}
+   * @example
+   * const classes = await classRepo.findAll({ organization_id: 2 });
+   */
+  async findAll({ organization_id } = {}) {
+    const scoped = organization_id !== undefined;
+    const sql = `
+      SELECT c.class_id, c.name, c.organization_id, c.created_by, c.created_at,
+             COUNT(m.user_id) AS member_count
+      FROM classes c
+      LEFT JOIN class_members m ON m.class_id = c.class_id
+      ${scoped ? "WHERE c.organization_id = ?" : ""}
+      GROUP BY c.class_id
+      ORDER BY c.name ASC;
+    `;
+    const [rows] = await pool.query(sql, scoped ? [organization_id] : []);
+    return rows.map(row => new ClassEntity(row));
+  }
+
+  /**
+   * Finds a class by ID, with its member count.
+   *
+   * @async
+   * @method findById
+   * @param {number} id - The class ID.
+   * @param {object} [options]
+   * @param {number} [options.organization_id] - Only match a class of this organization (no filter when undefined).
+   * @returns {Promise<ClassEntity|null>}
+   * @example
+   * const cls = await classRepo.findById(3);
+   */
+  async findById(id, { organization_id } = {}) {
+    const scoped = organization_id !== undefined;
+    const sql = `
+      SELECT c.class_id, c.name, c.organization_id, c.created_by, c.created_at,
+             (SELECT COUNT(*) FROM class_members m WHERE m.class_id = c.class_id) AS member_count
+      FROM classes c
+      WHERE c.class_id = ? ${scoped ? "AND c.organization_id = ?" : ""}
+      LIMIT 1;
+    `;
+    const [rows] = await pool.query(sql, scoped ? [id, organization_id] : [id]);
+    return rows.length ? new ClassEntity(rows[0]) : null;
+  }
+
+  /**
+   * Creates a class.
+   *
+   * @async
+   * @method create
+   * @param {object} params
+   * @param {string} params.name - Display name.
+   * @param {number|null} [params.organization_id=null] - Organization the class belongs to.
+   * @param {number|null} [params.created_by=null] - Creating user.
+   * @returns {Promise<ClassEntity>}
+   * @example
+   * const cls = await classRepo.create({ name: "Night shift", organization_id: 2, created_by: 7 });
+   */
+  async create({ name, organization_id = null, created_by = null }) {
+    const [result] = await pool.query(
+      `INSERT INTO classes (name, organization_id, created_by) VALUES (?, ?, ?);`,
+      [name, organization_id, created_by]
+    );
+    return this.findById(result.insertId);
+  }
+
+  /**
+   * Renames a class.
+   *
+   * @async
+   * @method update
+   * @param {number} id - The class ID.
+   * @param {object} params
+   * @param {string} params.name - New display name.
+   * @returns {Promise<ClassEntity|null>} The updated class, or null if not found.
+   */
+  async update(id, { name }) {
+    const [result] = await pool.query(
+      `UPDATE classes SET name = ? WHERE class_id = ?;`,
+      [name, id]
+    );
+    if (result.affectedRows === 0) return null;
+    return this.findById(id);
+  }
+
+  /**
+   * Deletes a class with its enrollments and assignments.
+   *
+   * @async
+   * @method delete
+   * @param {number} id - The class ID.
+   * @returns {Promise<boolean>} True if deleted.
+   */
+  async delete(id) {
+    const [result] = await pool.query(`DELETE FROM classes WHERE class_id = ?`, [id]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Lists the users enrolled in a class, by name.
+   *
+   * @async
+   * @method findMembers
+   * @param {number} class_id - The class ID.
+   * @returns {Promise<Array<{user_id: number, full_name: string, email: string, organization_id: number|null, enrolled_at: Date}>>}
+   * @example
+   * const members = await classRepo.findMembers(3);
+   */
+  async findMembers(class_id) {
+    const sql = `
+      SELECT u.user_id, u.full_name, u.email, u.organization_id, m.enrolled_at
+      FROM class_members m
+      JOIN users u ON u.user_id = m.user_id
+      WHERE m.class_id = ?
+      ORDER BY u.full_name ASC, u.user_id ASC;
+    `;
+    const [rows] = await pool.query(sql, [class_id]);
+    return rows;
+  }
+
+  /**
+   * Enrolls a user in a class; enrolling twice is a no-op.
+   *
+   * @async
+   * @method addMember
+   * @param {number} class_id - The class ID.
+   * @param {number} user_id - The user to enroll.
+   * @returns {Promise<boolean>} True if the user was not enrolled yet.
+   */
+  async addMember(class_id, user_id) {
+    const [result] = await pool.query(
+      `INSERT IGNORE INTO class_members (class_id, user_id) VALUES (?, ?);`,
+      [class_id, user_id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Removes a user from a class.
+   *
+   * @async
+   * @method removeMember
+   * @param {number} class_id - The class ID.
+   * @param {number} user_id - The member to remove.
+   * @returns {Promise<boolean>} True if the user was enrolled.
+   */
+  async removeMember(class_id, user_id) {
+    const [result] = await pool.query(
+      `DELETE FROM class_members WHERE class_id = ? AND user_id = ?`,
+      [class_id, user_id]
+    );
+    return result.affectedRows > 0;
+  }
+}
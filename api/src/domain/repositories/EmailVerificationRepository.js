@@ -0,0 +1,85 @@
+import { pool } from "../../config/db.js";
+import EmailVerificationEntity from "../entities/EmailVerificationEntity.js";
+
+/**
+ * Repository class for the `email_verifications` table.
+ *
+ * Tokens are looked up by hash only; the plain token is never stored.
+ * Methods return {@link EmailVerificationEntity} instances.
+ */
+export class EmailVerificationRepository {
+  /**
+   * Stores a newly issued verification token.
+   *
+   * @async
+   * @method create
+   * @param {object} params - Token data.
+   * @param {number} params.user_id - User the token belongs to.
+   * @param {string} params.token_hash - SHA-256 hash of the token.
+   * @param {Date} params.expires_at - When the token stops being accepted.
+   * @returns {Promise<void>}
+   * @example
+   * await emailVerificationRepo.create({ user_id: 4, token_hash: hash, expires_at });
+   */
+  async create({ user_id, token_hash, expires_at }) {
+    const sql = `
+      INSERT INTO email_verifications (user_id, token_hash, expires_at)
+      VALUES (?, ?, ?);
+    `;
+    await pool.query(sql, [user_id, token_hash, expires_at]);
+  }
+
+  /**
+   * Finds a verification token by its hash.
+   *
+   * @async
+   * @method findByHash
+   * @param {string} token_hash - SHA-256 hash of the presented token.
+   * @returns {Promise<EmailVerificationEntity|null>} The token, or null if unknown.
+   * @example
+   * const stored = await emailVerificationRepo.findByHash(hashOpaqueToken(token));
+   */
+  async findByHash(token_hash) {
+    const sql = `
+      SELECT verification_id, user_id, token_hash, created_at, expires_at, used_at
+      FROM email_verifications
+      WHERE token_hash = ?
+      LIMIT 1;
+    `;
+    const [rows] = await pool.query(sql, [token_hash]);
+    return rows.length ? new EmailVerificationEntity(rows[0]) : null;
+  }
+
+  /**
+   * Marks a token as used. Only the first caller wins.
+   *
+   * @async
+   * @method markUsed
+   * @param {number} verification_id - The verification ID.
+   * @returns {Promise<boolean>} True if this call marked the token.
+   */
+  async markUsed(verification_id) {
+    const [result] = await pool.query(
+      `UPDATE email_verifications SET used_at = NOW() WHERE verification_id = ? AND used_at IS NULL`,
+      [verification_id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Marks every outstanding token of a user as used, so only the newest link
+   * (or none, once verified) works.
+   *
+   * @async
+   * @method invalidateForUser
+   * @param {number} user_id - The user ID.
+   * @returns {Promise<number>} How many tokens were invalidated.
+   */
+  async invalidateForUser(user_id) {
+    const [result] = await pool.query(
+      `UPDATE email_verifications SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL`,
+      [user_id]
+    );
+    return result.affectedRows;
+  }
+}
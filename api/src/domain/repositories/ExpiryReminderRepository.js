@@ -0,0 +1,159 @@
+import { pool } from "../../config/db.js";
+import ExpiryReminderEntity from "../entities/ExpiryReminderEntity.js";
+
+const COLUMNS = `
+  r.reminder_id, r.user_id, r.subject, r.subject_id, r.expires_at, r.flagged_at,
+  u.full_name, u.email, COALESCE(l.title, c.title) AS label
+`;
+
+const JOINS = `
+  JOIN users u ON u.user_id = r.user_id
+  LEFT JOIN user_levels ul ON r.subject = 'level' AND ul.user_level_id = r.subject_id
+  LEFT JOIN levels l ON l.level_id = ul.level_id
+  LEFT JOIN certificates c ON r.subject = 'certificate' AND c.certificate_id = r.subject_id
+`;
+
+/**
+ * Repository class for the `expiry_reminders` table.
+ *
+ * Also finds the level completions and certificates that are due a reminder.
+ * Methods return {@link ExpiryReminderEntity} instances.
+ */
+export class ExpiryReminderRepository {
+  /**
+   * Finds completed levels expiring before a cutoff that have not been
+   * flagged for their current expiry date yet.
+   *
+   * @async
+   * @method findDueLevels
+   * @param {Date} cutoff - Flag everything expiring at or before this time.
+   * @returns {Promise<Array<{user_id: number, subject_id: number, expires_at: Date}>>} Due level completions (`subject_id` is the `user_level_id`).
+   * @example
+   * const due = await reminderRepo.findDueLevels(inSixtyDays);
+   */
+  async findDueLevels(cutoff) {
+    const sql = `
+      SELECT ul.user_id, ul.user_level_id AS subject_id, ul.expires_at
+      FROM user_levels ul
+      WHERE ul.completed = 1
+        AND ul.expires_at IS NOT NULL
+        AND ul.expires_at <= ?
+        AND NOT EXISTS (
+          SELECT 1 FROM expiry_reminders r
+          WHERE r.subject = 'level'
+            AND r.subject_id = ul.user_level_id
+            AND r.expires_at = ul.expires_at
+        )
+      ORDER BY ul.expires_at ASC;
+    `;
+    const [rows] = await pool.query(sql, [cutoff]);
+    return rows;
+  }
+
+  /**
+   * Finds each user's latest unrevoked certificate when it expires before a
+   * cutoff and has not been flagged yet.
+   *
+   * @async
+   * @method findDueCertificates
+   * @param {Date} cutoff - Flag everything expiring at or before this time.
+   * @returns {Promise<Array<{user_id: number, subject_id: number, expires_at: Date}>>} Due certificates (`subject_id` is the `certificate_id`).
+   * @example
+   * const due = await reminderRepo.findDueCertificates(inSixtyDays);
+   */
+  async findDueCertificates(cutoff) {
+    const sql = `
+      SELECT c.user_id, c.certificate_id AS subject_id, c.expires_at
+      FROM certificates c
+      WHERE c.revoked_at IS NULL
+        AND c.expires_at <= ?
+        AND NOT EXISTS (
+          SELECT 1 FROM certificates newer
+          WHERE newer.user_id = c.user_id
+            AND newer.revoked_at IS NULL
+            AND newer.issued_at > c.issued_at
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM expiry_reminders r
+          WHERE r.subject = 'certificate'
+            AND r.subject_id = c.certificate_id
+            AND r.expires_at = c.expires_at
+        )
+      ORDER BY c.expires_at ASC;
+    `;
+    const [rows] = await pool.query(sql, [cutoff]);
+    return rows;
+  }
+
+  /**
+   * Stores a reminder. A reminder that already exists for the same subject
+   * and expiry date is left untouched.
+   *
+   * @async
+   * @method create
+   * @param {object} params - Reminder data.
+   * @param {number} params.user_id - The user being reminded.
+   * @param {'level'|'certificate'} params.subject - What is expiring.
+   * @param {number} params.subject_id - `user_level_id` or `certificate_id`.
+   * @param {Date} params.expires_at - When the subject expires.
+   * @param {Date} params.flagged_at - When it was flagged.
+   * @returns {Promise<boolean>} True if a new reminder was stored.
+   * @example
+   * await reminderRepo.create({ user_id: 4, subject: "level", subject_id: 12, expires_at, flagged_at: new Date() });
+   */
+  async create({ user_id, subject, subject_id, expires_at, flagged_at }) {
+    const sql = `
+      INSERT IGNORE INTO expiry_reminders (user_id, subject, subject_id, expires_at, flagged_at)
+      VALUES (?, ?, ?, ?, ?);
+    `;
+    const [result] = await pool.query(sql, [user_id, subject, subject_id, expires_at, flagged_at]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Retrieves reminders flagged since a given time, soonest expiry first.
+   *
+   * @async
+   * @method findFlaggedSince
+   * @param {Date} since - Only reminders flagged at or after this time.
+   * @param {object} [options]
+   * @param {number} [options.organization_id] - Only reminders of this organization's members (no filter when undefined).
+   * @returns {Promise<ExpiryReminderEntity[]>} Matching reminders with user and subject details.
+   * @example
+   * const recent = await reminderRepo.findFlaggedSince(lastWeek);
+   */
+  async findFlaggedSince(since, { organization_id } = {}) {
+    const scoped = organization_id !== undefined;
+    const sql = `
+      SELECT ${COLUMNS}
+      FROM expiry_reminders r
+      ${JOINS}
+      WHERE r.flagged_at >= ? ${scoped ? "AND u.organization_id = ?" : ""}
+      ORDER BY r.expires_at ASC, r.reminder_id ASC;
+    `;
+    const [rows] = await pool.query(sql, scoped ? [since, organization_id] : [since]);
+    return rows.map(row => new ExpiryReminderEntity(row));
+  }
+
+  /**
+   * Retrieves a user's reminders, newest first.
+   *
+   * @async
+   * @method findByUser
+   * @param {number} user_id - The user ID.
+   * @returns {Promise<ExpiryReminderEntity[]>} The user's reminders.
+   * @example
+   * const mine = await reminderRepo.findByUser(4);
+   */
+  async findByUser(user_id) {
+    const sql = `
+      SELECT ${COLUMNS}
+      FROM expiry_reminders r
+      ${JOINS}
+      WHERE r.user_id = ?
+      ORDER BY r.flagged_at DESC, r.reminder_id DESC;
+    `;
+    const [rows] = await pool.query(sql, [user_id]);
+    return rows.map(row => new ExpiryReminderEntity(row));
+  }
+}
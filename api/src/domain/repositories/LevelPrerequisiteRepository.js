@@ -0,0 +1,93 @@
+import { pool } from "../../config/db.js";
+import LevelPrerequisiteEntity from "../entities/LevelPrerequisiteEntity.js";
+
+/**
+ * Repository class for the `level_prerequisites` table.
+ *
+ * Stores the edges of the level graph: which levels (or score thresholds)
+ * unlock which. Methods return {@link LevelPrerequisiteEntity} instances.
+ */
+export class LevelPrerequisiteRepository {
+  /**
+   * Retrieves every prerequisite in the level graph.
+   *
+   * @async
+   * @method findAll
+   * @returns {Promise<LevelPrerequisiteEntity[]>} All prerequisites, grouped by level.
+   * @example
+   * const edges = await prerequisiteRepo.findAll();
+   */
+  async findAll() {
+    const sql = `
+      SELECT prerequisite_id, level_id, required_level_id, min_score
+      FROM level_prerequisites
+      ORDER BY level_id ASC, prerequisite_id ASC
+    `;
+    const [rows] = await pool.query(sql);
+    return rows.map(r => new LevelPrerequisiteEntity(r));
+  }
+
+  /**
+   * Retrieves the prerequisites of a single level.
+   *
+   * @async
+   * @method findByLevel
+   * @param {number} level_id - The level being unlocked.
+   * @returns {Promise<LevelPrerequisiteEntity[]>} The level's prerequisites.
+   * @example
+   * const rules = await prerequisiteRepo.findByLevel(3);
+   */
+  async findByLevel(level_id) {
+    const sql = `
+      SELECT prerequisite_id, level_id, required_level_id, min_score
+      FROM level_prerequisites
+      WHERE level_id = ?
+      ORDER BY prerequisite_id ASC
+    `;
+    const [rows] = await pool.query(sql, [level_id]);
+    return rows.map(r => new LevelPrerequisiteEntity(r));
+  }
+
+  /**
+   * Replaces all prerequisites of a level with the given list.
+   *
+   * @async
+   * @method replaceForLevel
+   * @param {number} level_id - The level being unlocked.
+   * @param {Array<{required_level_id: number, min_score?: number|null}>} prerequisites - The new rules (empty makes it an entry level).
+   * @returns {Promise<LevelPrerequisiteEntity[]>} The stored prerequisites.
+   * @example
+   * await prerequisiteRepo.replaceForLevel(7, [
+   *   { required_level_id: 2 },
+   *   { required_level_id: 3, min_score: 80 },
+   * ]);
+   */
+  async replaceForLevel(level_id, prerequisites) {
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      await conn.query(`DELETE FROM level_prerequisites WHERE level_id = ?`, [level_id]);
+
+      if (prerequisites.length) {
+        const values = prerequisites.map(p => [
+          level_id,
+          p.required_level_id,
+          p.min_score ?? null,
+        ]);
+        await conn.query(
+          `INSERT INTO level_prerequisites (level_id, required_level_id, min_score) VALUES ?`,
+          [values]
+        );
+      }
+
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+
+    return this.findByLevel(level_id);
+  }
+}
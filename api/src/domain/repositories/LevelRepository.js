@@ -29,7 +29,7 @@ export class LevelRepository {
   }
 
   /**
-   * Finds the next level’s ID that comes after the current level.
+   * Finds the ID of the level that follows the current one in difficulty order.
    *
    * @async
    * @method findNextLevelId
@@ -40,9 +40,12 @@ export class LevelRepository {
    */
   async findNextLevelId(currentLevelId) {
     const [rows] = await pool.query(
-      `SELECT MIN(level_id) AS next_level
-         FROM levels
-        WHERE level_id > ?`,
+      `SELECT n.level_id AS next_level
+         FROM levels c
+         JOIN levels n ON n.difficulty_order > c.difficulty_order
+        WHERE c.level_id = ?
+        ORDER BY n.difficulty_order ASC
+        LIMIT 1`,
       [currentLevelId]
     );
     const next = rows?.[0]?.next_level;
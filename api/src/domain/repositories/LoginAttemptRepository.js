@@ -0,0 +1,118 @@
+import { pool } from "../../config/db.js";
+import LoginAttemptEntity from "../entities/LoginAttemptEntity.js";
+
+/**
+ * Repository class for the `login_attempts` audit table.
+ *
+ * Rows are only ever inserted; they record who tried to log in, from where,
+ * and why a failed attempt was refused. Methods return
+ * {@link LoginAttemptEntity} instances.
+ */
+export class LoginAttemptRepository {
+  /**
+   * Records a login attempt.
+   *
+   * @async
+   * @method create
+   * @param {object} params - Attempt data.
+   * @param {string} params.email - Email address that was typed.
+   * @param {number|null} [params.user_id=null] - Matching account, if any.
+   * @param {string|null} [params.ip=null] - Client IP address.
+   * @param {string|null} [params.user_agent=null] - Client description.
+   * @param {boolean} params.succeeded - Whether the login succeeded.
+   * @param {string|null} [params.reason=null] - Why a failed attempt was refused.
+   * @param {Date} [params.attempted_at=new Date()] - When the attempt was made.
+   * @returns {Promise<void>}
+   * @example
+   * await loginAttemptRepo.create({ email, user_id: 4, ip: "10.0.0.7", succeeded: false, reason: "bad_password" });
+   */
+  async create({
+    email,
+    user_id = null,
+    ip = null,
+    user_agent = null,
+    succeeded,
+    reason = null,
+    attempted_at = new Date(),
+  }) {
+    const sql = `
+      INSERT INTO login_attempts (email, user_id, ip, user_agent, succeeded, reason, attempted_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?);
+    `;
+    await pool.query(sql, [
+      String(email).slice(0, 255),
+      user_id,
+      ip ? String(ip).slice(0, 45) : null,
+      user_agent ? String(user_agent).slice(0, 255) : null,
+      succeeded ? 1 : 0,
+      reason,
+      attempted_at,
+    ]);
+  }
+
+  /**
+   * Counts failed attempts from one IP address since a given time.
+   *
+   * Attempts refused by the IP limit itself are not counted, so a blocked
+   * client cannot keep extending its own block.
+   *
+   * @async
+   * @method countFailuresByIpSince
+   * @param {string} ip - Client IP address.
+   * @param {Date} since - Start of the window.
+   * @returns {Promise<{failures: number, first_at: Date|null}>} Failure count and the oldest failure in the window.
+   * @example
+   * const { failures } = await loginAttemptRepo.countFailuresByIpSince("10.0.0.7", windowStart);
+   */
+  async countFailuresByIpSince(ip, since) {
+    const sql = `
+      SELECT COUNT(*) AS failures, MIN(attempted_at) AS first_at
+      FROM login_attempts
+      WHERE ip = ? AND succeeded = 0 AND reason <> 'ip_throttled' AND attempted_at >= ?;
+    `;
+    const [rows] = await pool.query(sql, [ip, since]);
+    return {
+      failures: Number(rows[0]?.failures ?? 0),
+      first_at: rows[0]?.first_at ?? null,
+    };
+  }
+
+  /**
+   * Lists recent attempts, newest first (admin audit).
+   *
+   * @async
+   * @method findRecent
+   * @param {object} [filters]
+   * @param {string} [filters.email] - Only attempts with this email.
+   * @param {number} [filters.user_id] - Only attempts on this account.
+   * @param {string} [filters.ip] - Only attempts from this IP address.
+   * @param {boolean} [filters.failed_only=true] - Leave out successful logins.
+   * @param {Date} [filters.since] - Only attempts at or after this time.
+   * @param {number} [filters.limit=100] - Maximum number of rows.
+   * @returns {Promise<LoginAttemptEntity[]>}
+   * @example
+   * const attempts = await loginAttemptRepo.findRecent({ user_id: 4, limit: 20 });
+   */
+  async findRecent({ email, user_id, ip, failed_only = true, since, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+
+    if (email)   { where.push("email = ?");        params.push(email); }
+    if (user_id) { where.push("user_id = ?");      params.push(user_id); }
+    if (ip)      { where.push("ip = ?");           params.push(ip); }
+    if (since)   { where.push("attempted_at >= ?"); params.push(since); }
+    if (failed_only) where.push("succeeded = 0");
+
+    const sql = `
+      SELECT attempt_id, email, user_id, ip, user_agent, succeeded, reason, attempted_at
+      FROM login_attempts
+      ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY attempted_at DESC, attempt_id DESC
+      LIMIT ?;
+    `;
+    params.push(Number(limit));
+
+    const [rows] = await pool.query(sql, params);
+    return rows.map(row => new LoginAttemptEntity(row));
+  }
+}
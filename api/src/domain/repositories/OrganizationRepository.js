@@ -0,0 +1,132 @@
+import { pool } from "../../config/db.js";
+import OrganizationEntity from "../entities/OrganizationEntity.js";
+
+/**
+ * Repository class for the `organizations` table.
+ *
+ * Membership itself lives on `users.organization_id`; see
+ * {@link UserRepository} for member queries.
+ */
+export class OrganizationRepository {
+  /**
+   * Retrieves all organizations with their member counts, by name.
+   *
+   * @async
+   * @method findAll
+   * @returns {Promise<OrganizationEntity[]>}
+   * @example
+   * const organizations = await organizationRepo.findAll();
+   */
+  async findAll() {
+    const sql = `
+      SELECT o.organization_id, o.name, o.slug, o.created_at,
+             COUNT(u.user_id) AS member_count
+      FROM organizations o
+      LEFT JOIN users u ON u.organization_id = o.organization_id
+      GROUP BY o.organization_id
+      ORDER BY o.name ASC;
+    `;
+    const [rows] = await pool.query(sql);
+    return rows.map(row => new OrganizationEntity(row));
+  }
+
+  /**
+   * Finds an organization by ID, with its member count.
+   *
+   * @async
+   * @method findById
+   * @param {number} id - The organization ID.
+   * @returns {Promise<OrganizationEntity|null>}
+   * @example
+   * const organization = await organizationRepo.findById(2);
+   */
+  async findById(id) {
+    const sql = `
+      SELECT o.organization_id, o.name, o.slug, o.created_at,
+             (SELECT COUNT(*) FROM users u WHERE u.organization_id = o.organization_id) AS member_count
+      FROM organizations o
+      WHERE o.organization_id = ?
+      LIMIT 1;
+    `;
+    const [rows] = await pool.query(sql, [id]);
+    return rows.length ? new OrganizationEntity(rows[0]) : null;
+  }
+
+  /**
+   * Finds an organization by slug.
+   *
+   * @async
+   * @method findBySlug
+   * @param {string} slug - The organization's handle.
+   * @returns {Promise<OrganizationEntity|null>}
+   */
+  async findBySlug(slug) {
+    const sql = `
+      SELECT organization_id, name, slug, created_at
+      FROM organizations
+      WHERE slug = ?
+      LIMIT 1;
+    `;
+    const [rows] = await pool.query(sql, [slug]);
+    return rows.length ? new OrganizationEntity(rows[0]) : null;
+  }
+
+  /**
+   * Creates an organization.
+   *
+   * @async
+   * @method create
+   * @param {object} params
+   * @param {string} params.name - Display name.
+   * @param {string} params.slug - Unique handle.
+   * @returns {Promise<OrganizationEntity>}
+   * @example
+   * const organization = await organizationRepo.create({ name: "Acme Logistics", slug: "acme" });
+   */
+  async create({ name, slug }) {
+    const [result] = await pool.query(
+      `INSERT INTO organizations (name, slug) VALUES (?, ?);`,
+      [name, slug]
+    );
+    return this.findById(result.insertId);
+  }
+
+  /**
+   * Renames an organization or changes its slug; omitted fields are kept.
+   *
+   * @async
+   * @method update
+   * @param {number} id - The organization ID.
+   * @param {object} params
+   * @param {string} [params.name] - New display name.
+   * @param {string} [params.slug] - New handle.
+   * @returns {Promise<OrganizationEntity|null>} The updated organization, or null if not found.
+   */
+  async update(id, { name, slug }) {
+    const sql = `
+      UPDATE organizations
+      SET name = COALESCE(?, name), slug = COALESCE(?, slug)
+      WHERE organization_id = ?;
+    `;
+    const [result] = await pool.query(sql, [name ?? null, slug ?? null, id]);
+    if (result.affectedRows === 0) return null;
+    return this.findById(id);
+  }
+
+  /**
+   * Deletes an organization. Fails on the foreign keys while it still has
+   * members or private scenarios.
+   *
+   * @async
+   * @method delete
+   * @param {number} id - The organization ID.
+   * @returns {Promise<boolean>} True if deleted.
+   */
+  async delete(id) {
+    const [result] = await pool.query(
+      `DELETE FROM organizations WHERE organization_id = ?`,
+      [id]
+    );
+    return result.affectedRows > 0;
+  }
+}
@@ -0,0 +1,86 @@
+import { pool } from "../../config/db.js";
+import PasswordResetEntity from "../entities/PasswordResetEntity.js";
+
+/**
+ * Repository class for the `password_resets` table.
+ *
+ * Tokens are looked up by hash only; the plain token is never stored.
+ * Methods return {@link PasswordResetEntity} instances.
+ */
+export class PasswordResetRepository {
+  /**
+   * Stores a newly issued reset token.
+   *
+   * @async
+   * @method create
+   * @param {object} params - Token data.
+   * @param {number} params.user_id - User the token belongs to.
+   * @param {string} params.token_hash - SHA-256 hash of the token.
+   * @param {Date} params.expires_at - When the token stops being accepted.
+   * @returns {Promise<void>}
+   * @example
+   * await passwordResetRepo.create({ user_id: 4, token_hash: hash, expires_at });
+   */
+  async create({ user_id, token_hash, expires_at }) {
+    const sql = `
+      INSERT INTO password_resets (user_id, token_hash, expires_at)
+      VALUES (?, ?, ?);
+    `;
+    await pool.query(sql, [user_id, token_hash, expires_at]);
+  }
+
+  /**
+   * Finds a reset token by its hash.
+   *
+   * @async
+   * @method findByHash
+   * @param {string} token_hash - SHA-256 hash of the presented token.
+   * @returns {Promise<PasswordResetEntity|null>} The token, or null if unknown.
+   * @example
+   * const stored = await passwordResetRepo.findByHash(hashOpaqueToken(token));
+   */
+  async findByHash(token_hash) {
+    const sql = `
+      SELECT reset_id, user_id, token_hash, created_at, expires_at, used_at
+      FROM password_resets
+      WHERE token_hash = ?
+      LIMIT 1;
+    `;
+    const [rows] = await pool.query(sql, [token_hash]);
+    return rows.length ? new PasswordResetEntity(rows[0]) : null;
+  }
+
+  /**
+   * Marks a token as used. Only the first caller wins, so the same link
+   * cannot reset the password twice.
+   *
+   * @async
+   * @method markUsed
+   * @param {number} reset_id - The reset ID.
+   * @returns {Promise<boolean>} True if this call marked the token.
+   */
+  async markUsed(reset_id) {
+    const [result] = await pool.query(
+      `UPDATE password_resets SET used_at = NOW() WHERE reset_id = ? AND used_at IS NULL`,
+      [reset_id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Marks every outstanding token of a user as used, so only the newest link
+   * (or none, after a reset) works.
+   *
+   * @async
+   * @method invalidateForUser
+   * @param {number} user_id - The user ID.
+   * @returns {Promise<number>} How many tokens were invalidated.
+   */
+  async invalidateForUser(user_id) {
+    const [result] = await pool.query(
+      `UPDATE password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL`,
+      [user_id]
+    );
+    return result.affectedRows;
+  }
+}
@@ -0,0 +1,88 @@
+import { pool } from "../../config/db.js";
+
+/**
+ * Repository class for the `two_factor_recovery_codes` table.
+ *
+ * Recovery codes are stored as SHA-256 hashes and work once each. A user has
+ * one set at a time; issuing a new set replaces the old one.
+ */
+export class RecoveryCodeRepository {
+  /**
+   * Replaces a user's recovery codes with a new set.
+   *
+   * @async
+   * @method replaceForUser
+   * @param {number} user_id - The user ID.
+   * @param {string[]} hashes - Hashes of the new codes.
+   * @returns {Promise<void>}
+   * @example
+   * await recoveryCodeRepo.replaceForUser(4, hashes);
+   */
+  async replaceForUser(user_id, hashes) {
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      await conn.query(`DELETE FROM two_factor_recovery_codes WHERE user_id = ?`, [user_id]);
+      if (hashes.length) {
+        await conn.query(
+          `INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ?`,
+          [hashes.map((hash) => [user_id, hash])]
+        );
+      }
+      await conn.commit();
+    } catch (error) {
+      await conn.rollback();
+      throw error;
+    } finally {
+      conn.release();
+    }
+  }
+
+  /**
+   * Uses up a recovery code. Only the first caller succeeds.
+   *
+   * @async
+   * @method markUsed
+   * @param {number} user_id - The user ID.
+   * @param {string} code_hash - Hash of the presented code.
+   * @returns {Promise<boolean>} True if the code was valid and unused.
+   * @example
+   * const ok = await recoveryCodeRepo.markUsed(4, hashRecoveryCode(code));
+   */
+  async markUsed(user_id, code_hash) {
+    const [result] = await pool.query(
+      `UPDATE two_factor_recovery_codes SET used_at = NOW()
+        WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+      [user_id, code_hash]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Counts a user's unused recovery codes.
+   *
+   * @async
+   * @method countUnused
+   * @param {number} user_id - The user ID.
+   * @returns {Promise<number>}
+   */
+  async countUnused(user_id) {
+    const [rows] = await pool.query(
+      `SELECT COUNT(*) AS remaining FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL`,
+      [user_id]
+    );
+    return Number(rows[0]?.remaining ?? 0);
+  }
+
+  /**
+   * Deletes every recovery code of a user (2FA turned off).
+   *
+   * @async
+   * @method deleteForUser
+   * @param {number} user_id - The user ID.
+   * @returns {Promise<void>}
+   */
+  async deleteForUser(user_id) {
+    await pool.query(`DELETE FROM two_factor_recovery_codes WHERE user_id = ?`, [user_id]);
+  }
+}
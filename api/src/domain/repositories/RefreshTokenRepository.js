@@ -0,0 +1,74 @@
+import { pool } from "../../config/db.js";
+import RefreshTokenEntity from "../entities/RefreshTokenEntity.js";
+
+/**
+ * Repository class for the `refresh_tokens` table.
+ *
+ * Tokens are looked up by hash only; the plain token is never stored.
+ * Methods return {@link RefreshTokenEntity} instances.
+ */
+export class RefreshTokenRepository {
+  /**
+   * Stores a newly issued refresh token.
+   *
+   * @async
+   * @method create
+   * @param {object} params - Token data.
+   * @param {string} params.session_id - Session the token belongs to.
+   * @param {string} params.token_hash - SHA-256 hash of the token.
+   * @param {Date} params.expires_at - When the token stops being accepted.
+   * @returns {Promise<void>}
+   * @example
+   * await refreshTokenRepo.create({ session_id, token_hash: hash, expires_at });
+   */
+  async create({ session_id, token_hash, expires_at }) {
+    const sql = `
+      INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+      VALUES (?, ?, ?);
+    `;
+    await pool.query(sql, [session_id, token_hash, expires_at]);
+  }
+
+  /**
+   * Finds a refresh token by its hash.
+   *
+   * @async
+   * @method findByHash
+   * @param {string} token_hash - SHA-256 hash of the presented token.
+   * @param {object} [options]
+   * @param {boolean} [options.forUpdate=false] - Lock the row until the current transaction ends
+   *   (see `withTransaction`), so concurrent refreshes with the token run one after the other.
+   * @returns {Promise<RefreshTokenEntity|null>} The token, or null if unknown.
+   * @example
+   * const stored = await refreshTokenRepo.findByHash(hashRefreshToken(token));
+   */
+  async findByHash(token_hash, { forUpdate = false } = {}) {
+    const sql = `
+      SELECT token_id, session_id, token_hash, created_at, expires_at, used_at
+      FROM refresh_tokens
+      WHERE token_hash = ?
+      LIMIT 1${forUpdate ? " FOR UPDATE" : ""};
+    `;
+    const [rows] = await pool.query(sql, [token_hash]);
+    return rows.length ? new RefreshTokenEntity(rows[0]) : null;
+  }
+
+  /**
+   * Marks a token as used. Only the first caller wins, so two concurrent
+   * refreshes with the same token cannot both succeed.
+   *
+   * @async
+   * @method markUsed
+   * @param {number} token_id - The token ID.
+   * @returns {Promise<boolean>} True if this call marked the token.
+   * @example
+   * if (!(await refreshTokenRepo.markUsed(stored.token_id))) { ...reuse... }
+   */
+  async markUsed(token_id) {
+    const [result] = await pool.query(
+      `UPDATE refresh_tokens SET used_at = NOW() WHERE token_id = ? AND used_at IS NULL`,
+      [token_id]
+    );
+    return result.affectedRows > 0;
+  }
+}
@@ -2,6 +2,45 @@
 import { pool } from "../../config/db.js";
 import ScenarioEntity from "../entities/ScenarioEntity.js";
 
+const COLUMNS = `scenario_id, level_id, title, description, image_url, is_refresher, organization_id, patient`;
+
+/**
+ * Maps a row to an entity, parsing `patient` when the driver returns JSON as text.
+ * @param {object} row - Raw `scenarios` row.
+ * @returns {ScenarioEntity}
+ */
+function toEntity(row) {
+  const patient = typeof row.patient === "string" ? JSON.parse(row.patient) : row.patient ?? null;
+  return new ScenarioEntity({ ...row, patient });
+}
+
+/**
+ * Builds the condition limiting scenarios to those a caller may see.
+ *
+ * Shared scenarios (`organization_id IS NULL`) are always visible. With
+ * `user_id`, the user's organization decides; with `organization_id`, that
+ * organization's private scenarios are added (`null` adds none). Without
+ * either, every scenario is visible.
+ *
+ * @param {{organization_id?: number|null, user_id?: number}} [visibility]
+ * @returns {{sql: string, params: Array<number>}} SQL condition (empty when unrestricted) and its parameters.
+ */
+function visibleTo({ organization_id, user_id } = {}) {
+  if (user_id !== undefined) {
+    return {
+      sql: `(scenarios.organization_id IS NULL
+             OR scenarios.organization_id = (SELECT u.organization_id FROM users u WHERE u.user_id = ?))`,
+      params: [user_id],
+    };
+  }
+  if (organization_id === undefined) return { sql: "", params: [] };
+  if (organization_id === null) return { sql: "scenarios.organization_id IS NULL", params: [] };
+  return {
+    sql: "(scenarios.organization_id IS NULL OR scenarios.organization_id = ?)",
+    params: [organization_id],
+  };
+}
+
 /**
  * Repository class responsible for managing CRUD operations on the `scenarios` table.
  *
@@ -14,18 +53,24 @@ export class ScenarioRepository {
    *
    * @async
    * @method findAll
+   * @param {object} [visibility] - Which private scenarios to include (see {@link visibleTo}).
+   * @param {number|null} [visibility.organization_id] - Shared scenarios plus this organization's; `null` for shared only.
+   * @param {number} [visibility.user_id] - Scenarios visible to this user (takes precedence).
    * @returns {Promise<ScenarioEntity[]>} A list of all scenarios.
    * @example
    * const scenarios = await scenarioRepo.findAll();
+   * const forMember = await scenarioRepo.findAll({ organization_id: 2 });
    */
-  async findAll() {
+  async findAll(visibility = {}) {
+    const visible = visibleTo(visibility);
     const sql = `
-      SELECT scenario_id, level_id, title, description, image_url
+      SELECT ${COLUMNS}
       FROM scenarios
+      ${visible.sql ? `WHERE ${visible.sql}` : ""}
       ORDER BY scenario_id DESC;
     `;
-    const [rows] = await pool.query(sql);
-    return rows.map(row => new ScenarioEntity(row));
+    const [rows] = await pool.query(sql, visible.params);
+    return rows.map(toEntity);
   }
 
   /**
@@ -34,18 +79,22 @@ export class ScenarioRepository {
    * @async
    * @method findById
    * @param {number} id - The scenario ID to search for.
-   * @returns {Promise<ScenarioEntity|null>} The matching scenario or null if not found.
+   * @param {object} [visibility] - Which private scenarios to include (see {@link visibleTo}).
+   * @param {number|null} [visibility.organization_id] - Shared scenarios plus this organization's; `null` for shared only.
+   * @param {number} [visibility.user_id] - Scenarios visible to this user (takes precedence).
+   * @returns {Promise<ScenarioEntity|null>} The matching scenario or null if not found (or not visible).
    * @example
    * const scenario = await scenarioRepo.findById(12);
    */
-  async findById(id) {
+  async findById(id, visibility = {}) {
+    const visible = visibleTo(visibility);
     const sql = `
-      SELECT scenario_id, level_id, title, description, image_url
+      SELECT ${COLUMNS}
       FROM scenarios
-      WHERE scenario_id = ?;
+      WHERE scenario_id = ? ${visible.sql ? `AND ${visible.sql}` : ""};
     `;
-    const [rows] = await pool.query(sql, [id]);
-    return rows.length ? new ScenarioEntity(rows[0]) : null;
+    const [rows] = await pool.query(sql, [id, ...visible.params]);
+    return rows.length ? toEntity(rows[0]) : null;
   }
 
   /**
@@ -54,19 +103,24 @@ export class ScenarioRepository {
    * @async
    * @method listByLevel
    * @param {number} level_id - The level ID to filter by.
+   * @param {object} [visibility] - Which private scenarios to include (see {@link visibleTo}).
+   * @param {number|null} [visibility.organization_id] - Shared scenarios plus this organization's; `null` for shared only.
+   * @param {number} [visibility.user_id] - Scenarios visible to this user (takes precedence).
    * @returns {Promise<ScenarioEntity[]>} A list of scenarios belonging to the given level.
    * @example
    * const levelScenarios = await scenarioRepo.listByLevel(2);
+   * const userScenarios = await scenarioRepo.listByLevel(2, { user_id: 7 });
    */
-  async listByLevel(level_id) {
+  async listByLevel(level_id, visibility = {}) {
+    const visible = visibleTo(visibility);
     const sql = `
-      SELECT scenario_id, level_id, title, description, image_url
+      SELECT ${COLUMNS}
       FROM scenarios
-      WHERE level_id = ?
+      WHERE level_id = ? ${visible.sql ? `AND ${visible.sql}` : ""}
       ORDER BY scenario_id ASC;
     `;
-    const [rows] = await pool.query(sql, [level_id]);
-    return rows.map(row => new ScenarioEntity(row));
+    const [rows] = await pool.query(sql, [level_id, ...visible.params]);
+    return rows.map(toEntity);
   }
 
   /**
@@ -79,6 +133,9 @@ export class ScenarioRepository {
    * @param {string} params.title - Title of the scenario.
    * @param {string} [params.description] - Optional scenario description.
    * @param {string} [params.image_url] - Optional URL to an image representing the scenario.
+   * @param {boolean} [params.is_refresher=false] - Whether the scenario is part of the level's refresher set.
+   * @param {number|null} [params.organization_id=null] - Organization the scenario is private to (null for shared).
+   * @param {object|null} [params.patient=null] - Simulated casualty (see `utils/patientModel.js`).
    * @returns {Promise<ScenarioEntity>} The newly created scenario entity.
    * @example
    * const newScenario = await scenarioRepo.create({
@@ -88,12 +145,28 @@ export class ScenarioRepository {
    *   image_url: "/images/scenario3.png"
    * });
    */
-  async create({ level_id, title, description, image_url }) {
+  async create({
+    level_id,
+    title,
+    description,
+    image_url,
+    is_refresher = false,
+    organization_id = null,
+    patient = null,
+  }) {
     const insertSql = `
-      INSERT INTO scenarios (level_id, title, description, image_url)
-      VALUES (?, ?, ?, ?);
+      INSERT INTO scenarios (level_id, title, description, image_url, is_refresher, organization_id, patient)
+      VALUES (?, ?, ?, ?, ?, ?, ?);
     `;
-    const [result] = await pool.query(insertSql, [level_id, title, description, image_url]);
+    const [result] = await pool.query(insertSql, [
+      level_id,
+      title,
+      description,
+      image_url,
+      Boolean(is_refresher),
+      organization_id,
+      patient ? JSON.stringify(patient) : null,
+    ]);
     return this.findById(result.insertId);
   }
 
@@ -108,6 +181,9 @@ export class ScenarioRepository {
    * @param {string} params.title - Updated title.
    * @param {string} [params.description] - Updated description.
    * @param {string} [params.image_url] - Updated image URL.
+   * @param {boolean} [params.is_refresher] - Refresher flag; left unchanged when omitted.
+   * @param {number|null} [params.organization_id] - Owning organization (null makes it shared); left unchanged when omitted.
+   * @param {object|null} [params.patient] - Simulated casualty (null removes it); left unchanged when omitted.
    * @returns {Promise<ScenarioEntity|null>} The updated scenario or null if not found.
    * @example
    * const updatedScenario = await scenarioRepo.update(5, {
@@ -117,13 +193,27 @@ export class ScenarioRepository {
    *   image_url: "/assets/scenario5.png"
    * });
    */
-  async update(id, { level_id, title, description, image_url }) {
+  async update(id, { level_id, title, description, image_url, is_refresher, organization_id, patient }) {
+    const setOrganization = organization_id !== undefined;
+    const setPatient = patient !== undefined;
     const updateSql = `
       UPDATE scenarios
-      SET level_id = ?, title = ?, description = ?, image_url = ?
+      SET level_id = ?, title = ?, description = ?, image_url = ?,
+          is_refresher = COALESCE(?, is_refresher)
+          ${setOrganization ? ", organization_id = ?" : ""}
+          ${setPatient ? ", patient = ?" : ""}
       WHERE scenario_id = ?;
     `;
-    const [result] = await pool.query(updateSql, [level_id, title, description, image_url, id]);
+    const [result] = await pool.query(updateSql, [
+      level_id,
+      title,
+      description,
+      image_url,
+      is_refresher == null ? null : Boolean(is_refresher),
+      ...(setOrganization ? [organization_id] : []),
+      ...(setPatient ? [patient ? JSON.stringify(patient) : null] : []),
+      id,
+    ]);
     if (result.affectedRows === 0) return null;
     return this.findById(id);
   }
@@ -152,13 +242,21 @@ export class ScenarioRepository {
    * @async
    * @method countByLevel
    * @param {number} level_id - The level ID to count scenarios for.
+   * @param {object} [visibility] - Which private scenarios to include (see {@link visibleTo}).
+   * @param {number|null} [visibility.organization_id] - Shared scenarios plus this organization's; `null` for shared only.
+   * @param {number} [visibility.user_id] - Scenarios visible to this user (takes precedence).
    * @returns {Promise<number>} The total number of scenarios in the specified level.
    * @example
    * const count = await scenarioRepo.countByLevel(4);
+   * const forUser = await scenarioRepo.countByLevel(4, { user_id: 7 });
    */
-  async countByLevel(level_id) {
-    const sql = `SELECT COUNT(*) AS total FROM scenarios WHERE level_id = ?;`;
-    const [rows] = await pool.query(sql, [level_id]);
+  async countByLevel(level_id, visibility = {}) {
+    const visible = visibleTo(visibility);
+    const sql = `
+      SELECT COUNT(*) AS total FROM scenarios
+      WHERE level_id = ? ${visible.sql ? `AND ${visible.sql}` : ""};
+    `;
+    const [rows] = await pool.query(sql, [level_id, ...visible.params]);
     return parseInt(rows[0].total, 10);
   }
 }
@@ -0,0 +1,156 @@
+import { pool } from "../../config/db.js";
+import ScenarioRunEntity from "../entities/ScenarioRunEntity.js";
+import RunAnswerEntity from "../entities/RunAnswerEntity.js";
+
+/**
+ * Maps a `run_answers` row to an entity, parsing `answer` when the driver
+ * returns JSON as text.
+ * @param {object} row - Raw `run_answers` row.
+ * @returns {RunAnswerEntity}
+ */
+function toAnswerEntity(row) {
+  return new RunAnswerEntity({
+    ...row,
+    answer: typeof row.answer === "string" ? JSON.parse(row.answer) : row.answer ?? null,
+    elapsed_ms: Number(row.elapsed_ms),
+  });
+}
+
+/**
+ * Repository class for the `scenario_runs` and `run_answers` tables.
+ *
+ * A run is a learner's play-through of a scenario, open until submitted,
+ * with the answers given in it. Methods return {@link ScenarioRunEntity} and
+ * {@link RunAnswerEntity} instances.
+ */
+export class ScenarioRunRepository {
+  /**
+   * Finds a learner's open (not yet submitted) run of a scenario.
+   *
+   * @async
+   * @method findOpen
+   * @param {number} user_id - The learner.
+   * @param {number} scenario_id - The scenario.
+   * @returns {Promise<ScenarioRunEntity|null>} The open run, or null if there is none.
+   * @example
+   * const run = await scenarioRunRepo.findOpen(4, 3);
+   */
+  async findOpen(user_id, scenario_id) {
+    const sql = `
+      SELECT run_id, user_id, scenario_id, started_at, submitted_at
+      FROM scenario_runs
+      WHERE user_id = ? AND scenario_id = ? AND submitted_at IS NULL
+      ORDER BY run_id DESC
+      LIMIT 1;
+    `;
+    const [rows] = await pool.query(sql, [user_id, scenario_id]);
+    return rows.length ? new ScenarioRunEntity(rows[0]) : null;
+  }
+
+  /**
+   * Opens a new run, started now.
+   *
+   * @async
+   * @method create
+   * @param {object} params
+   * @param {number} params.user_id - The learner.
+   * @param {number} params.scenario_id - The scenario.
+   * @returns {Promise<ScenarioRunEntity>} The new run.
+   * @example
+   * const run = await scenarioRunRepo.create({ user_id: 4, scenario_id: 3 });
+   */
+  async create({ user_id, scenario_id }) {
+    const [result] = await pool.query(
+      `INSERT INTO scenario_runs (user_id, scenario_id) VALUES (?, ?);`,
+      [user_id, scenario_id]
+    );
+    const [rows] = await pool.query(
+      `SELECT run_id, user_id, scenario_id, started_at, submitted_at FROM scenario_runs WHERE run_id = ?;`,
+      [result.insertId]
+    );
+    return new ScenarioRunEntity(rows[0]);
+  }
+
+  /**
+   * Restarts the clock of a run: it is now started.
+   *
+   * @async
+   * @method restart
+   * @param {number} run_id - The run.
+   * @returns {Promise<void>}
+   * @example
+   * await scenarioRunRepo.restart(run.run_id);
+   */
+  async restart(run_id) {
+    await pool.query(`UPDATE scenario_runs SET started_at = CURRENT_TIMESTAMP(3) WHERE run_id = ?;`, [run_id]);
+  }
+
+  /**
+   * Closes a run once it has been submitted.
+   *
+   * @async
+   * @method markSubmitted
+   * @param {number} run_id - The run.
+   * @returns {Promise<boolean>} True if the run was open.
+   * @example
+   * await scenarioRunRepo.markSubmitted(run.run_id);
+   */
+  async markSubmitted(run_id) {
+    const [result] = await pool.query(
+      `UPDATE scenario_runs SET submitted_at = NOW() WHERE run_id = ? AND submitted_at IS NULL;`,
+      [run_id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Retrieves the answers given in a run, in the order played, each with the
+   * time taken on its step: since the previous answer, or since the run was
+   * opened for the first one (server timestamps only).
+   *
+   * @async
+   * @method findAnswers
+   * @param {number} run_id - The run.
+   * @returns {Promise<RunAnswerEntity[]>} The run's answers.
+   * @example
+   * const answers = await scenarioRunRepo.findAnswers(run.run_id);
+   */
+  async findAnswers(run_id) {
+    const sql = `
+      SELECT a.run_id, a.step_id, a.position, a.answer, a.answered_at,
+             TIMESTAMPDIFF(
+               MICROSECOND,
+               COALESCE(LAG(a.answered_at) OVER (ORDER BY a.position), r.started_at),
+               a.answered_at
+             ) DIV 1000 AS elapsed_ms
+      FROM run_answers a
+      JOIN scenario_runs r ON r.run_id = a.run_id
+      WHERE a.run_id = ?
+      ORDER BY a.position ASC;
+    `;
+    const [rows] = await pool.query(sql, [run_id]);
+    return rows.map(toAnswerEntity);
+  }
+
+  /**
+   * Stores the answer to a step of a run, checked now.
+   *
+   * @async
+   * @method addAnswer
+   * @param {object} params
+   * @param {number} params.run_id - The run.
+   * @param {number} params.step_id - The answered step.
+   * @param {number} params.position - Position of the step in the order played, from 0.
+   * @param {any} params.answer - The normalized answer, or null.
+   * @returns {Promise<void>}
+   * @example
+   * await scenarioRunRepo.addAnswer({ run_id: 12, step_id: 9, position: 0, answer: "B" });
+   */
+  async addAnswer({ run_id, step_id, position, answer }) {
+    const sql = `
+      INSERT INTO run_answers (run_id, step_id, position, answer)
+      VALUES (?, ?, ?, ?);
+    `;
+    await pool.query(sql, [run_id, step_id, position, answer == null ? null : JSON.stringify(answer)]);
+  }
+}
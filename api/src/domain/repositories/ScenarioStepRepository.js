@@ -1,6 +1,44 @@
 import { pool } from "../../config/db.js";
 import ScenarioStepEntity from "../entities/ScenarioStepEntity.js";
 
+const COLUMNS = `
+  step_id, scenario_id, step_order, question_text, image_url, image_alt,
+  step_type, options, answer, unit, transitions, effects, feedback_message
+`;
+
+/**
+ * Maps a row to an entity, parsing `options`, `answer`, `transitions` and
+ * `effects` when the driver returns JSON as text.
+ * @param {object} row - Raw `scenario_steps` row.
+ * @returns {ScenarioStepEntity}
+ */
+function toEntity(row) {
+  const json = (value) => (typeof value === "string" ? JSON.parse(value) : value ?? null);
+  return new ScenarioStepEntity({
+    ...row,
+    options: json(row.options),
+    correct_action: json(row.answer),
+    transitions: json(row.transitions),
+    effects: json(row.effects),
+  });
+}
+
+/**
+ * Condition keeping steps of scenarios visible to an organization, plus its parameters.
+ * @param {number|null|undefined} organization_id - See `scenarioVisibility`.
+ * @returns {{sql: string, params: Array<number>}} Empty `sql` when unrestricted.
+ */
+function visibleTo(organization_id) {
+  if (organization_id === undefined) return { sql: "", params: [] };
+  return {
+    sql: `scenario_id IN (
+      SELECT s.scenario_id FROM scenarios s
+      WHERE s.organization_id IS NULL ${organization_id === null ? "" : "OR s.organization_id = ?"}
+    )`,
+    params: organization_id === null ? [] : [organization_id],
+  };
+}
+
 /**
  * Repository class responsible for managing CRUD operations on the `scenario_steps` table.
  *
@@ -14,20 +52,23 @@ export class ScenarioStepRepository {
    *
    * @async
    * @method findAll
+   * @param {object} [visibility]
+   * @param {number|null} [visibility.organization_id] - Only steps of shared scenarios and this organization's
+   * private ones (`null` for shared only); no filter when undefined.
    * @returns {Promise<ScenarioStepEntity[]>} A list of all scenario step entities.
    * @example
    * const steps = await scenarioStepRepo.findAll();
    */
-  async findAll() {
+  async findAll({ organization_id } = {}) {
+    const visible = visibleTo(organization_id);
     const sql = `
-      SELECT step_id, scenario_id, step_order, question_text,
-             option_a, option_b, option_c, option_d,
-             correct_action, feedback_message
+      SELECT ${COLUMNS}
       FROM scenario_steps
+      ${visible.sql ? `WHERE ${visible.sql}` : ""}
       ORDER BY scenario_id, step_order ASC;
     `;
-    const [rows] = await pool.query(sql);
-    return rows.map(row => new ScenarioStepEntity(row));
+    const [rows] = await pool.query(sql, visible.params);
+    return rows.map(toEntity);
   }
 
   /**
@@ -36,20 +77,22 @@ export class ScenarioStepRepository {
    * @async
    * @method findById
    * @param {number} id - The ID of the step to retrieve.
+   * @param {object} [visibility]
+   * @param {number|null} [visibility.organization_id] - Only steps of shared scenarios and this organization's
+   * private ones (`null` for shared only); no filter when undefined.
    * @returns {Promise<ScenarioStepEntity|null>} The matching step entity, or null if not found.
    * @example
    * const step = await scenarioStepRepo.findById(15);
    */
-  async findById(id) {
+  async findById(id, { organization_id } = {}) {
+    const visible = visibleTo(organization_id);
     const sql = `
-      SELECT step_id, scenario_id, step_order, question_text,
-             option_a, option_b, option_c, option_d,
-             correct_action, feedback_message
+      SELECT ${COLUMNS}
       FROM scenario_steps
-      WHERE step_id = ?;
+      WHERE step_id = ? ${visible.sql ? `AND ${visible.sql}` : ""};
     `;
-    const [rows] = await pool.query(sql, [id]);
-    return rows.length ? new ScenarioStepEntity(rows[0]) : null;
+    const [rows] = await pool.query(sql, [id, ...visible.params]);
+    return rows.length ? toEntity(rows[0]) : null;
   }
 
   /**
@@ -64,19 +107,17 @@ export class ScenarioStepRepository {
    */
   async findByScenario(scenario_id) {
     const sql = `
-      SELECT step_id, scenario_id, step_order, question_text,
-             option_a, option_b, option_c, option_d,
-             correct_action, feedback_message
+      SELECT ${COLUMNS}
       FROM scenario_steps
       WHERE scenario_id = ?
       ORDER BY step_order ASC;
     `;
     const [rows] = await pool.query(sql, [scenario_id]);
-    return rows.map(row => new ScenarioStepEntity(row));
+    return rows.map(toEntity);
   }
 
   /**
-   * Creates a new multiple-choice scenario step.
+   * Creates a new scenario step.
    *
    * @async
    * @method create
@@ -84,8 +125,14 @@ export class ScenarioStepRepository {
    * @param {number} params.scenario_id - ID of the scenario the step belongs to.
    * @param {number} params.step_order - The sequence order of the step.
    * @param {string} params.question_text - The question text for this step.
-   * @param {{A: string, B: string, C: string, D: string}} params.options - Multiple-choice options.
-   * @param {string} params.correct_action - The correct answer option ('A', 'B', 'C', or 'D').
+   * @param {string} [params.step_type='single_choice'] - One of `STEP_TYPES` (see `utils/stepTypes.js`).
+   * @param {Record<string, string>|null} [params.options] - Options keyed 'A', 'B', ... (choice, multi-select and ordering steps).
+   * @param {string|boolean|string[]|{min: number, max: number}} params.correct_action - The correct answer, shaped by the step type.
+   * @param {string|null} [params.unit] - Unit of a numeric answer.
+   * @param {string|null} [params.image_url] - Image shown with the question (required by hotspot steps).
+   * @param {string|null} [params.image_alt] - Text alternative of the image (required by hotspot steps).
+   * @param {object|null} [params.transitions] - Next step or outcome per answer (see `utils/scenarioGraph.js`).
+   * @param {object|null} [params.effects] - Change to the casualty's vitals per answer (see `utils/patientModel.js`).
    * @param {string} [params.feedback_message] - Optional feedback to display after answering.
    * @returns {Promise<ScenarioStepEntity|null>} The newly created step entity or null if creation failed.
    * @example
@@ -98,30 +145,43 @@ export class ScenarioStepRepository {
    *   feedback_message: "Always assess before acting."
    * });
    */
-  async create({ scenario_id, step_order, question_text, options, correct_action, feedback_message }) {
+  async create({
+    scenario_id,
+    step_order,
+    question_text,
+    image_url = null,
+    image_alt = null,
+    step_type = "single_choice",
+    options = null,
+    correct_action,
+    unit = null,
+    transitions = null,
+    effects = null,
+    feedback_message
+  }) {
     const sql = `
       INSERT INTO scenario_steps (
-        scenario_id, step_order, question_text,
-        option_a, option_b, option_c, option_d,
-        correct_action, feedback_message
+        scenario_id, step_order, question_text, image_url, image_alt,
+        step_type, options, answer, unit, transitions, effects, feedback_message
       )
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      RETURNING step_id, scenario_id, step_order, question_text,
-                option_a, option_b, option_c, option_d,
-                correct_action, feedback_message;
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      RETURNING ${COLUMNS};
     `;
     const [rows] = await pool.query(sql, [
       scenario_id,
       step_order,
       question_text,
-      options.A,
-      options.B,
-      options.C,
-      options.D,
-      correct_action,
+      image_url,
+      image_alt,
+      step_type,
+      options ? JSON.stringify(options) : null,
+      JSON.stringify(correct_action),
+      unit,
+      transitions ? JSON.stringify(transitions) : null,
+      effects ? JSON.stringify(effects) : null,
       feedback_message
     ]);
-    return rows.length ? new ScenarioStepEntity(rows[0]) : null;
+    return rows.length ? toEntity(rows[0]) : null;
   }
 
   /**
@@ -133,8 +193,14 @@ export class ScenarioStepRepository {
    * @param {object} params - Updated step data.
    * @param {number} params.step_order - Updated step order.
    * @param {string} params.question_text - Updated question text.
-   * @param {{A: string, B: string, C: string, D: string}} params.options - Updated options.
-   * @param {string} params.correct_action - Updated correct answer ('A', 'B', 'C', or 'D').
+   * @param {string} [params.step_type='single_choice'] - Updated step type.
+   * @param {Record<string, string>|null} [params.options] - Updated options.
+   * @param {string|boolean|string[]|{min: number, max: number}} params.correct_action - Updated correct answer.
+   * @param {string|null} [params.unit] - Updated unit of a numeric answer.
+   * @param {string|null} [params.image_url] - Updated image.
+   * @param {string|null} [params.image_alt] - Updated text alternative of the image.
+   * @param {object|null} [params.transitions] - Updated next step or outcome per answer.
+   * @param {object|null} [params.effects] - Updated change to the casualty's vitals per answer.
    * @param {string} [params.feedback_message] - Updated feedback message.
    * @returns {Promise<ScenarioStepEntity|null>} The updated step entity or null if not found.
    * @example
@@ -146,34 +212,50 @@ export class ScenarioStepRepository {
    *   feedback_message: "Checking vitals comes next."
    * });
    */
-  async update(id, { step_order, question_text, options, correct_action, feedback_message }) {
+  async update(id, {
+    step_order,
+    question_text,
+    image_url = null,
+    image_alt = null,
+    step_type = "single_choice",
+    options = null,
+    correct_action,
+    unit = null,
+    transitions = null,
+    effects = null,
+    feedback_message
+  }) {
     const sql = `
       UPDATE scenario_steps
       SET step_order = ?,
           question_text = ?,
-          option_a = ?,
-          option_b = ?,
-          option_c = ?,
-          option_d = ?,
-          correct_action = ?,
+          image_url = ?,
+          image_alt = ?,
+          step_type = ?,
+          options = ?,
+          answer = ?,
+          unit = ?,
+          transitions = ?,
+          effects = ?,
           feedback_message = ?
       WHERE step_id = ?
-      RETURNING step_id, scenario_id, step_order, question_text,
-                option_a, option_b, option_c, option_d,
-                correct_action, feedback_message;
+      RETURNING ${COLUMNS};
     `;
     const [rows] = await pool.query(sql, [
       step_order,
       question_text,
-      options.A,
-      options.B,
-      options.C,
-      options.D,
-      correct_action,
+      image_url,
+      image_alt,
+      step_type,
+      options ? JSON.stringify(options) : null,
+      JSON.stringify(correct_action),
+      unit,
+      transitions ? JSON.stringify(transitions) : null,
+      effects ? JSON.stringify(effects) : null,
       feedback_message,
       id
     ]);
-    return rows.length ? new ScenarioStepEntity(rows[0]) : null;
+    return rows.length ? toEntity(rows[0]) : null;
   }
 
   /**
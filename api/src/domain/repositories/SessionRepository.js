@@ -0,0 +1,147 @@
+import { pool } from "../../config/db.js";
+import SessionEntity from "../entities/SessionEntity.js";
+
+/**
+ * Repository class for the `sessions` table.
+ *
+ * Methods return {@link SessionEntity} instances.
+ */
+export class SessionRepository {
+  /**
+   * Opens a new session.
+   *
+   * @async
+   * @method create
+   * @param {object} params - Session data.
+   * @param {string} params.session_id - New session UUID.
+   * @param {number} params.user_id - The signed-in user.
+   * @param {string|null} [params.user_agent] - Client description.
+   * @param {boolean} [params.two_factor_verified=false] - Whether the login passed a second factor.
+   * @param {Date} params.expires_at - When the session ends without a refresh.
+   * @returns {Promise<SessionEntity>} The stored session.
+   * @example
+   * const session = await sessionRepo.create({ session_id: randomUUID(), user_id: 4, expires_at });
+   */
+  async create({ session_id, user_id, user_agent = null, two_factor_verified = false, expires_at }) {
+    const sql = `
+      INSERT INTO sessions (session_id, user_id, user_agent, two_factor_verified, expires_at)
+      VALUES (?, ?, ?, ?, ?);
+    `;
+    await pool.query(sql, [session_id, user_id, user_agent, two_factor_verified ? 1 : 0, expires_at]);
+    return this.findById(session_id);
+  }
+
+  /**
+   * Finds a session by ID.
+   *
+   * @async
+   * @method findById
+   * @param {string} session_id - The session UUID.
+   * @returns {Promise<SessionEntity|null>} The session, or null if unknown.
+   * @example
+   * const session = await sessionRepo.findById(sid);
+   */
+  async findById(session_id) {
+    const sql = `
+      SELECT session_id, user_id, user_agent, two_factor_verified, created_at, last_used_at, expires_at, revoked_at
+      FROM sessions
+      WHERE session_id = ?
+      LIMIT 1;
+    `;
+    const [rows] = await pool.query(sql, [session_id]);
+    return rows.length ? new SessionEntity(rows[0]) : null;
+  }
+
+  /**
+   * Checks whether a session exists, is not revoked and has not expired.
+   *
+   * @async
+   * @method isActive
+   * @param {string} session_id - The session UUID.
+   * @returns {Promise<boolean>} True if access tokens of the session are still accepted.
+   * @example
+   * if (!(await sessionRepo.isActive(payload.sid))) return res.status(401)...
+   */
+  async isActive(session_id) {
+    const sql = `
+      SELECT 1
+      FROM sessions
+      WHERE session_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+      LIMIT 1;
+    `;
+    const [rows] = await pool.query(sql, [session_id]);
+    return rows.length > 0;
+  }
+
+  /**
+   * Records a refresh and extends the session.
+   *
+   * @async
+   * @method touch
+   * @param {string} session_id - The session UUID.
+   * @param {Date} expires_at - New end of the session.
+   * @returns {Promise<void>}
+   */
+  async touch(session_id, expires_at) {
+    await pool.query(
+      `UPDATE sessions SET last_used_at = NOW(), expires_at = ? WHERE session_id = ?`,
+      [expires_at, session_id]
+    );
+  }
+
+  /**
+   * Marks a session as having passed a second factor (after enrolling 2FA
+   * while logged in).
+   *
+   * @async
+   * @method markTwoFactorVerified
+   * @param {string} session_id - The session UUID.
+   * @returns {Promise<boolean>} True if an active session was updated.
+   */
+  async markTwoFactorVerified(session_id) {
+    const [result] = await pool.query(
+      `UPDATE sessions SET two_factor_verified = 1 WHERE session_id = ? AND revoked_at IS NULL`,
+      [session_id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Revokes a single session.
+   *
+   * @async
+   * @method revoke
+   * @param {string} session_id - The session UUID.
+   * @returns {Promise<boolean>} True if an active session was revoked.
+   * @example
+   * await sessionRepo.revoke(sid);
+   */
+  async revoke(session_id) {
+    const [result] = await pool.query(
+      `UPDATE sessions SET revoked_at = NOW() WHERE session_id = ? AND revoked_at IS NULL`,
+      [session_id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Revokes every active session of a user, optionally keeping one.
+   *
+   * @async
+   * @method revokeAllForUser
+   * @param {number} user_id - The user ID.
+   * @param {object} [options]
+   * @param {string|null} [options.except=null] - Session UUID to leave active.
+   * @returns {Promise<number>} How many sessions were revoked.
+   * @example
+   * const count = await sessionRepo.revokeAllForUser(4);
+   */
+  async revokeAllForUser(user_id, { except = null } = {}) {
+    const [result] = await pool.query(
+      `UPDATE sessions SET revoked_at = NOW()
+        WHERE user_id = ? AND revoked_at IS NULL AND (? IS NULL OR session_id <> ?)`,
+      [user_id, except, except]
+    );
+    return result.affectedRows;
+  }
+}
@@ -0,0 +1,190 @@
+import { pool } from "../../config/db.js";
+import StepAttemptEntity from "../entities/StepAttemptEntity.js";
+
+const COLUMNS = `
+  step_attempt_id, attempt_id, history_id, step_id, user_action,
+  is_correct, timed_out, response_ms, created_at
+`;
+
+/** Keeps step attempts whose attempt belongs to a member of the organization bound next. */
+const IN_ORGANIZATION = `
+  attempt_id IN (
+    SELECT a.attempt_id FROM attempts a
+    JOIN users u ON u.user_id = a.user_id
+    WHERE u.organization_id = ?
+  )
+`;
+
+/**
+ * Repository class responsible for database operations on step attempts.
+ *
+ * Each row records a user's answer to one scenario step as part of a
+ * scenario attempt. Methods return {@link StepAttemptEntity} instances.
+ */
+export class StepAttemptRepository {
+  /**
+   * Retrieves all step attempts, newest first.
+   *
+   * @async
+   * @method findAll
+   * @param {object} [options]
+   * @param {number} [options.organization_id] - Only answers by members of this organization (no filter when undefined).
+   * @returns {Promise<StepAttemptEntity[]>} A list of all step attempts.
+   * @example
+   * const stepAttempts = await stepAttemptRepo.findAll();
+   */
+  async findAll({ organization_id } = {}) {
+    const scoped = organization_id !== undefined;
+    const sql = `
+      SELECT ${COLUMNS}
+      FROM step_attempts
+      ${scoped ? `WHERE ${IN_ORGANIZATION}` : ""}
+      ORDER BY created_at DESC, step_attempt_id DESC;
+    `;
+    const [rows] = await pool.query(sql, scoped ? [organization_id] : []);
+    return rows.map(row => new StepAttemptEntity(row));
+  }
+
+  /**
+   * Finds a step attempt by its ID.
+   *
+   * @async
+   * @method findById
+   * @param {number} id - The step attempt ID.
+   * @param {object} [options]
+   * @param {number} [options.organization_id] - Only match an answer by a member of this organization (no filter when undefined).
+   * @returns {Promise<StepAttemptEntity|null>} The step attempt or null if not found.
+   * @example
+   * const stepAttempt = await stepAttemptRepo.findById(3);
+   */
+  async findById(id, { organization_id } = {}) {
+    const scoped = organization_id !== undefined;
+    const sql = `
+      SELECT ${COLUMNS}
+      FROM step_attempts
+      WHERE step_attempt_id = ? ${scoped ? `AND ${IN_ORGANIZATION}` : ""};
+    `;
+    const [rows] = await pool.query(sql, scoped ? [id, organization_id] : [id]);
+    return rows.length ? new StepAttemptEntity(rows[0]) : null;
+  }
+
+  /**
+   * Retrieves all step attempts belonging to a scenario attempt,
+   * ordered by the step order within the scenario.
+   *
+   * @async
+   * @method findByAttempt
+   * @param {number} attempt_id - The parent attempt ID.
+   * @param {object} [options]
+   * @param {number} [options.organization_id] - Only if the attempt belongs to a member of this organization (no filter when undefined).
+   * @returns {Promise<StepAttemptEntity[]>} Step attempts for that attempt.
+   * @example
+   * const stepAttempts = await stepAttemptRepo.findByAttempt(10);
+   */
+  async findByAttempt(attempt_id, { organization_id } = {}) {
+    const scoped = organization_id !== undefined;
+    const sql = `
+      SELECT sa.step_attempt_id, sa.attempt_id, sa.history_id, sa.step_id, sa.user_action,
+             sa.is_correct, sa.timed_out, sa.response_ms, sa.created_at
+      FROM step_attempts sa
+      JOIN scenario_steps ss ON ss.step_id = sa.step_id
+      WHERE sa.attempt_id = ? ${scoped ? `AND sa.${IN_ORGANIZATION.trim()}` : ""}
+      ORDER BY sa.created_at ASC, ss.step_order ASC;
+    `;
+    const [rows] = await pool.query(sql, scoped ? [attempt_id, organization_id] : [attempt_id]);
+    return rows.map(row => new StepAttemptEntity(row));
+  }
+
+  /**
+   * Inserts a single step attempt.
+   *
+   * @async
+   * @method create
+   * @param {object} params - Step attempt data.
+   * @param {number} params.attempt_id - The parent attempt ID.
+   * @param {number|null} [params.history_id=null] - The attempt history entry (individual try).
+   * @param {number} params.step_id - The answered step ID.
+   * @param {string|null} params.user_action - The selected action.
+   * @param {boolean} params.is_correct - Whether the action was correct.
+   * @param {boolean} [params.timed_out=false] - Whether the step timed out.
+   * @param {number|null} [params.response_ms=null] - Time taken to answer, in milliseconds.
+   * @returns {Promise<StepAttemptEntity>} The newly created step attempt.
+   * @example
+   * const sa = await stepAttemptRepo.create({ attempt_id: 10, step_id: 4, user_action: "B", is_correct: true });
+   */
+  async create({
+    attempt_id,
+    history_id = null,
+    step_id,
+    user_action,
+    is_correct,
+    timed_out = false,
+    response_ms = null,
+  }) {
+    const sql = `
+      INSERT INTO step_attempts
+        (attempt_id, history_id, step_id, user_action, is_correct, timed_out, response_ms)
+      VALUES (?, ?, ?, ?, ?, ?, ?);
+    `;
+    const [result] = await pool.query(sql, [
+      attempt_id,
+      history_id,
+      step_id,
+      user_action ?? null,
+      is_correct ? 1 : 0,
+      timed_out ? 1 : 0,
+      response_ms ?? null,
+    ]);
+    return this.findById(result.insertId);
+  }
+
+  /**
+   * Inserts several step attempts in a single statement.
+   *
+   * @async
+   * @method createMany
+   * @param {Array<object>} stepAttempts - Rows shaped like the {@link StepAttemptRepository#create} params.
+   * @returns {Promise<number>} The number of inserted rows.
+   * @example
+   * await stepAttemptRepo.createMany([
+   *   { attempt_id: 10, history_id: 31, step_id: 4, user_action: "B", is_correct: true, response_ms: 5400 },
+   *   { attempt_id: 10, history_id: 31, step_id: 5, user_action: null, is_correct: false, timed_out: true },
+   * ]);
+   */
+  async createMany(stepAttempts) {
+    if (!stepAttempts.length) return 0;
+
+    const sql = `
+      INSERT INTO step_attempts
+        (attempt_id, history_id, step_id, user_action, is_correct, timed_out, response_ms)
+      VALUES ?;
+    `;
+    const values = stepAttempts.map(sa => [
+      sa.attempt_id,
+      sa.history_id ?? null,
+      sa.step_id,
+      sa.user_action ?? null,
+      sa.is_correct ? 1 : 0,
+      sa.timed_out ? 1 : 0,
+      sa.response_ms ?? null,
+    ]);
+    const [result] = await pool.query(sql, [values]);
+    return result.affectedRows;
+  }
+
+  /**
+   * Deletes a step attempt by its ID.
+   *
+   * @async
+   * @method delete
+   * @param {number} id - The step attempt ID.
+   * @returns {Promise<boolean>} True if a row was deleted, otherwise false.
+   * @example
+   * const deleted = await stepAttemptRepo.delete(5);
+   */
+  async delete(id) {
+    const sql = `DELETE FROM step_attempts WHERE step_attempt_id = ? LIMIT 1;`;
+    const [result] = await pool.query(sql, [id]);
+    return result.affectedRows > 0;
+  }
+}
@@ -0,0 +1,60 @@
+import { pool } from "../../config/db.js";
+import SubmissionKeyEntity from "../entities/SubmissionKeyEntity.js";
+
+/**
+ * Repository class for the `submission_keys` table.
+ *
+ * Stores the result of each scenario submission under the client's
+ * idempotency key. Methods return {@link SubmissionKeyEntity} instances.
+ */
+export class SubmissionKeyRepository {
+  /**
+   * Finds the stored submission of a user under a key.
+   *
+   * @async
+   * @method find
+   * @param {number} user_id - The submitting user's ID.
+   * @param {string} idempotency_key - The client's key.
+   * @returns {Promise<SubmissionKeyEntity|null>} The stored submission, or null if the key is unused.
+   * @example
+   * const stored = await submissionKeyRepo.find(4, "6f1c…");
+   */
+  async find(user_id, idempotency_key) {
+    const sql = `
+      SELECT user_id, idempotency_key, scenario_id, response, created_at
+      FROM submission_keys
+      WHERE user_id = ? AND idempotency_key = ?
+      LIMIT 1
+    `;
+    const [rows] = await pool.query(sql, [user_id, idempotency_key]);
+    return rows.length ? new SubmissionKeyEntity(rows[0]) : null;
+  }
+
+  /**
+   * Stores a submission result under a key, replacing an expired entry for
+   * the same key.
+   *
+   * @async
+   * @method save
+   * @param {object} params
+   * @param {number} params.user_id - The submitting user's ID.
+   * @param {string} params.idempotency_key - The client's key.
+   * @param {number} params.scenario_id - The submitted scenario.
+   * @param {object} params.response - The result returned to the client.
+   * @param {Date} [params.created_at=new Date()] - When the submission was graded.
+   * @returns {Promise<void>}
+   * @example
+   * await submissionKeyRepo.save({ user_id: 4, idempotency_key: "6f1c…", scenario_id: 3, response: result });
+   */
+  async save({ user_id, idempotency_key, scenario_id, response, created_at = new Date() }) {
+    const sql = `
+      INSERT INTO submission_keys (user_id, idempotency_key, scenario_id, response, created_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        scenario_id = VALUES(scenario_id),
+        response = VALUES(response),
+        created_at = VALUES(created_at)
+    `;
+    await pool.query(sql, [user_id, idempotency_key, scenario_id, JSON.stringify(response), created_at]);
+  }
+}
@@ -13,20 +13,66 @@ export class UserBadgeRepository {
    *
    * @async
    * @method findAll
+   * @param {object} [options]
+   * @param {number} [options.organization_id] - Only badges of this organization's members (no filter when undefined).
+   * @param {number} [options.user_id] - Only badges of this user (no filter when undefined).
    * @returns {Promise<UserBadgeEntity[]>} A list of all user-badge entities, ordered by most recent.
    * @example
    * const allUserBadges = await userBadgeRepo.findAll();
    */
-  async findAll() {
+  async findAll({ organization_id, user_id } = {}) {
+    const where = [];
+    const params = [];
+
+    if (organization_id !== undefined) {
+      where.push("user_id IN (SELECT user_id FROM users WHERE organization_id = ?)");
+      params.push(organization_id);
+    }
+    if (user_id !== undefined) { where.push("user_id = ?"); params.push(user_id); }
+
     const sql = `
       SELECT user_badge_id, user_id, badge_id, earned_at
       FROM user_badges
+      ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
       ORDER BY user_badge_id DESC
     `;
-    const [rows] = await pool.query(sql);
+    const [rows] = await pool.query(sql, params);
     return rows.map(row => new UserBadgeEntity(row));
   }
 
+  /**
+   * Finds a user-badge record by its unique ID.
+   *
+   * @async
+   * @method findById
+   * @param {number} user_badge_id - The user-badge record ID.
+   * @param {object} [options]
+   * @param {number} [options.organization_id] - Only match a badge of a member of this organization (no filter when undefined).
+   * @param {number} [options.user_id] - Only match a badge of this user (no filter when undefined).
+   * @returns {Promise<UserBadgeEntity|null>} The record, or null if not found.
+   * @example
+   * const userBadge = await userBadgeRepo.findById(3, { user_id: 14 });
+   */
+  async findById(user_badge_id, { organization_id, user_id } = {}) {
+    const where = ["user_badge_id = ?"];
+    const params = [user_badge_id];
+
+    if (organization_id !== undefined) {
+      where.push("user_id IN (SELECT user_id FROM users WHERE organization_id = ?)");
+      params.push(organization_id);
+    }
+    if (user_id !== undefined) { where.push("user_id = ?"); params.push(user_id); }
+
+    const sql = `
+      SELECT user_badge_id, user_id, badge_id, earned_at
+      FROM user_badges
+      WHERE ${where.join(" AND ")}
+      LIMIT 1
+    `;
+    const [rows] = await pool.query(sql, params);
+    return rows.length ? new UserBadgeEntity(rows[0]) : null;
+  }
+
   /**
    * Retrieves all badges earned by a specific user.
    *
@@ -119,20 +165,59 @@ export class UserBadgeRepository {
     }
   }
 
+  /**
+   * Awards a badge to a user unless they already hold it.
+   *
+   * Relies on the UNIQUE KEY (user_id, badge_id), so concurrent or repeated
+   * calls never create duplicates.
+   *
+   * @async
+   * @method award
+   * @param {number} user_id - The ID of the user earning the badge.
+   * @param {number} badge_id - The ID of the badge earned.
+   * @returns {Promise<UserBadgeEntity|null>} The new user-badge entity, or null if the user already had it.
+   * @example
+   * const awarded = await userBadgeRepo.award(1, 4);
+   * if (awarded) console.log("New badge!");
+   */
+  async award(user_id, badge_id) {
+    const sql = `
+      INSERT IGNORE INTO user_badges (user_id, badge_id, earned_at)
+      VALUES (?, ?, NOW())
+    `;
+    const [result] = await pool.query(sql, [user_id, badge_id]);
+    if (!result.affectedRows) return null;
+
+    return new UserBadgeEntity({
+      user_badge_id: result.insertId,
+      user_id,
+      badge_id,
+      earned_at: new Date(),
+    });
+  }
+
   /**
    * Deletes a user-badge record from the database by its unique ID.
    *
    * @async
    * @method delete
    * @param {number} user_badge_id - The ID of the user-badge record to delete.
+   * @param {object} [options]
+   * @param {number} [options.organization_id] - Only delete a badge of a member of this organization (no filter when undefined).
    * @returns {Promise<boolean>} True if the record was successfully deleted, otherwise false.
    * @example
    * const deleted = await userBadgeRepo.delete(12);
    * if (deleted) console.log("User badge removed successfully.");
    */
-  async delete(user_badge_id) {
-    const sql = `DELETE FROM user_badges WHERE user_badge_id = ? LIMIT 1`;
-    const [result] = await pool.query(sql, [user_badge_id]);
+  async delete(user_badge_id, { organization_id } = {}) {
+    const scoped = organization_id !== undefined;
+    const sql = `
+      DELETE FROM user_badges
+      WHERE user_badge_id = ?
+        ${scoped ? "AND user_id IN (SELECT user_id FROM users WHERE organization_id = ?)" : ""}
+      LIMIT 1
+    `;
+    const [result] = await pool.query(sql, scoped ? [user_badge_id, organization_id] : [user_badge_id]);
     return result.affectedRows > 0;
   }
 }
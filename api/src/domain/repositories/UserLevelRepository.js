@@ -9,26 +9,42 @@ import UserLevelEntity from "../entities/UserLevelEntity.js";
  */
 export class UserLevelRepository {
   /**
-   * Retrieves all user-level records, ordered by user and level ID.
+   * Retrieves all user-level records, ordered by user and level difficulty order.
    *
    * @async
    * @method findAll
+   * @param {object} [options]
+   * @param {number} [options.organization_id] - Only progress of this organization's members (no filter when undefined).
+   * @param {number} [options.user_id] - Only progress of this user (no filter when undefined).
    * @returns {Promise<UserLevelEntity[]>} A list of all user-level entities.
    * @example
    * const allProgress = await userLevelRepo.findAll();
+   * const orgProgress = await userLevelRepo.findAll({ organization_id: 2 });
    */
-  async findAll() {
+  async findAll({ organization_id, user_id } = {}) {
+    const where = [];
+    const params = [];
+
+    if (organization_id !== undefined) {
+      where.push("ul.user_id IN (SELECT user_id FROM users WHERE organization_id = ?)");
+      params.push(organization_id);
+    }
+    if (user_id !== undefined) { where.push("ul.user_id = ?"); params.push(user_id); }
+
     const sql = `
-      SELECT user_level_id, user_id, level_id, unlocked, completed
-      FROM user_levels
-      ORDER BY user_id ASC, level_id ASC
+      SELECT ul.user_level_id, ul.user_id, ul.level_id, ul.unlocked, ul.completed,
+             ul.completed_at, ul.expires_at
+      FROM user_levels ul
+      JOIN levels l ON l.level_id = ul.level_id
+      ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+      ORDER BY ul.user_id ASC, l.difficulty_order ASC
     `;
-    const [rows] = await pool.query(sql);
+    const [rows] = await pool.query(sql, params);
     return rows.map((r) => new UserLevelEntity(r));
   }
 
   /**
-   * Retrieves all level progress records for a specific user.
+   * Retrieves all level progress records for a specific user, ordered by level difficulty order.
    *
    * @async
    * @method findByUser
@@ -39,10 +55,12 @@ export class UserLevelRepository {
    */
   async findByUser(user_id) {
     const sql = `
-      SELECT user_level_id, user_id, level_id, unlocked, completed
-      FROM user_levels
-      WHERE user_id = ?
-      ORDER BY level_id ASC
+      SELECT ul.user_level_id, ul.user_id, ul.level_id, ul.unlocked, ul.completed,
+             ul.completed_at, ul.expires_at
+      FROM user_levels ul
+      JOIN levels l ON l.level_id = ul.level_id
+      WHERE ul.user_id = ?
+      ORDER BY l.difficulty_order ASC
     `;
     const [rows] = await pool.query(sql, [user_id]);
     return rows.map((r) => new UserLevelEntity(r));
@@ -61,7 +79,7 @@ export class UserLevelRepository {
    */
   async findByUserAndLevel(user_id, level_id) {
     const sql = `
-      SELECT user_level_id, user_id, level_id, unlocked, completed
+      SELECT user_level_id, user_id, level_id, unlocked, completed, completed_at, expires_at
       FROM user_levels
       WHERE user_id = ? AND level_id = ?
       LIMIT 1
@@ -76,18 +94,30 @@ export class UserLevelRepository {
    * @async
    * @method findById
    * @param {number} user_level_id - The unique ID of the user-level record.
+   * @param {object} [options]
+   * @param {number} [options.organization_id] - Only match progress of a member of this organization (no filter when undefined).
+   * @param {number} [options.user_id] - Only match progress of this user (no filter when undefined).
    * @returns {Promise<UserLevelEntity|null>} The corresponding user-level entity or null if not found.
    * @example
    * const record = await userLevelRepo.findById(15);
    */
-  async findById(user_level_id) {
+  async findById(user_level_id, { organization_id, user_id } = {}) {
+    const where = ["user_level_id = ?"];
+    const params = [user_level_id];
+
+    if (organization_id !== undefined) {
+      where.push("user_id IN (SELECT user_id FROM users WHERE organization_id = ?)");
+      params.push(organization_id);
+    }
+    if (user_id !== undefined) { where.push("user_id = ?"); params.push(user_id); }
+
     const sql = `
-      SELECT user_level_id, user_id, level_id, unlocked, completed
+      SELECT user_level_id, user_id, level_id, unlocked, completed, completed_at, expires_at
       FROM user_levels
-      WHERE user_level_id = ?
+      WHERE ${where.join(" AND ")}
       LIMIT 1
     `;
-    const [rows] = await pool.query(sql, [user_level_id]);
+    const [rows] = await pool.query(sql, params);
     return rows.length ? new UserLevelEntity(rows[0]) : null;
   }
 
@@ -190,6 +220,53 @@ export class UserLevelRepository {
     return this.findByUserAndLevel(user_id, level_id);
   }
 
+  /**
+   * Marks a level as unlocked for a user without touching its completion flag.
+   *
+   * @async
+   * @method unlock
+   * @param {number} user_id - The user ID.
+   * @param {number} level_id - The level ID to unlock.
+   * @returns {Promise<UserLevelEntity>} The inserted or updated user-level entity.
+   * @example
+   * await userLevelRepo.unlock(2, 4);
+   */
+  async unlock(user_id, level_id) {
+    const sql = `
+      INSERT INTO user_levels (user_id, level_id, unlocked, completed)
+      VALUES (?, ?, 1, 0)
+      ON DUPLICATE KEY UPDATE unlocked = 1
+    `;
+    await pool.query(sql, [user_id, level_id]);
+    return this.findByUserAndLevel(user_id, level_id);
+  }
+
+  /**
+   * Sets when a completed level was (re)certified and when it expires.
+   *
+   * @async
+   * @method setValidity
+   * @param {number} user_id - The user ID.
+   * @param {number} level_id - The level ID.
+   * @param {object} params - Validity window.
+   * @param {Date} params.completed_at - Completion (or renewal) time.
+   * @param {Date} params.expires_at - When the completion expires.
+   * @returns {Promise<UserLevelEntity|null>} The updated entity, or null if the user has no record for the level.
+   * @example
+   * await userLevelRepo.setValidity(2, 4, { completed_at: now, expires_at: inTwoYears });
+   */
+  async setValidity(user_id, level_id, { completed_at, expires_at }) {
+    const sql = `
+      UPDATE user_levels
+      SET completed_at = ?, expires_at = ?
+      WHERE user_id = ? AND level_id = ?
+      LIMIT 1
+    `;
+    const [result] = await pool.query(sql, [completed_at, expires_at, user_id, level_id]);
+    if (result.affectedRows === 0) return null;
+    return this.findByUserAndLevel(user_id, level_id);
+  }
+
   /**
    * Deletes a user-level record from the database.
    *
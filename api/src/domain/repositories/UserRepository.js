@@ -10,46 +10,80 @@ import UserEntity from "../entities/UserEntity.js";
  */
 export class UserRepository {
   /**
-   * Retrieves all users from the database.
-   * Typically used by administrators.
+   * Retrieves all users from the database, optionally only the members of
+   * one organization. Typically used by administrators.
    *
    * @async
    * @method findAll
+   * @param {object} [options]
+   * @param {number} [options.organization_id] - Only members of this organization (no filter when undefined).
    * @returns {Promise<UserEntity[]>} A list of all user entities.
    * @example
    * const users = await userRepo.findAll();
+   * const members = await userRepo.findAll({ organization_id: 2 });
    */
-  async findAll() {
+  async findAll({ organization_id } = {}) {
+    const scoped = organization_id !== undefined;
     const sql = `
-      SELECT user_id, full_name, email, password, role, created_at
+      SELECT user_id, full_name, email, email_verified_at, password, role, organization_id,
+             failed_login_count, last_failed_login_at, locked_until,
+             totp_secret, totp_enabled_at, totp_last_step, created_at
       FROM users
+      ${scoped ? "WHERE organization_id = ?" : ""}
       ORDER BY user_id DESC
     `;
-    const [rows] = await pool.query(sql);
+    const [rows] = await pool.query(sql, scoped ? [organization_id] : []);
     return rows.map(row => new UserEntity(row));
   }
 
   /**
-   * Finds a user by their unique ID.
+   * Finds a user by their unique ID. With `organization_id`, users of other
+   * organizations are treated as not found.
    *
    * @async
    * @method findById
    * @param {number} id - The unique user ID.
+   * @param {object} [options]
+   * @param {number} [options.organization_id] - Only match a member of this organization (no filter when undefined).
    * @returns {Promise<UserEntity|null>} The matching user entity or null if not found.
    * @example
    * const user = await userRepo.findById(10);
+   * const member = await userRepo.findById(10, { organization_id: 2 });
    */
-  async findById(id) {
+  async findById(id, { organization_id } = {}) {
+    const scoped = organization_id !== undefined;
     const sql = `
-      SELECT user_id, full_name, email, password, role, created_at
+      SELECT user_id, full_name, email, email_verified_at, password, role, organization_id,
+             failed_login_count, last_failed_login_at, locked_until,
+             totp_secret, totp_enabled_at, totp_last_step, created_at
       FROM users
-      WHERE user_id = ?
+      WHERE user_id = ? ${scoped ? "AND organization_id = ?" : ""}
       LIMIT 1
     `;
-    const [rows] = await pool.query(sql, [id]);
+    const [rows] = await pool.query(sql, scoped ? [id, organization_id] : [id]);
     return rows.length ? new UserEntity(rows[0]) : null;
   }
 
+  /**
+   * Locks a user's row until the current transaction ends, so concurrent
+   * transactions that lock the same user run one after the other. Must run
+   * inside `withTransaction`.
+   *
+   * @async
+   * @method lockForUpdate
+   * @param {number} id - The user ID.
+   * @returns {Promise<boolean>} true if the user exists (and is now locked).
+   * @example
+   * await withTransaction(async () => {
+   *   await userRepo.lockForUpdate(4);
+   *   // ...read and write the user's progress
+   * });
+   */
+  async lockForUpdate(id) {
+    const [rows] = await pool.query(`SELECT user_id FROM users WHERE user_id = ? FOR UPDATE`, [id]);
+    return rows.length > 0;
+  }
+
   /**
    * Finds a user by their email address.
    * Commonly used during authentication (login/register).
@@ -63,7 +97,9 @@ export class UserRepository {
    */
   async findByEmail(email) {
     const sql = `
-      SELECT user_id, full_name, email, password, role, created_at
+      SELECT user_id, full_name, email, email_verified_at, password, role, organization_id,
+             failed_login_count, last_failed_login_at, locked_until,
+             totp_secret, totp_enabled_at, totp_last_step, created_at
       FROM users
       WHERE email = ?
       LIMIT 1
@@ -85,6 +121,8 @@ export class UserRepository {
    * @param {string} params.email - The user’s email address.
    * @param {string} params.password - The user’s hashed password.
    * @param {string} [params.role="user"] - The user’s assigned role.
+   * @param {number|null} [params.organization_id=null] - Organization the user belongs to.
+   * @param {Date|null} [params.email_verified_at=null] - Set when the email is already trusted (admin-created accounts).
    * @returns {Promise<UserEntity>} The newly created user entity.
    * @example
    * const newUser = await userRepo.create({
@@ -94,14 +132,29 @@ export class UserRepository {
    *   role: "admin"
    * });
    */
-  async create({ name, full_name, email, password, role = "user" }) {
+  async create({
+    name,
+    full_name,
+    email,
+    password,
+    role = "user",
+    organization_id = null,
+    email_verified_at = null,
+  }) {
     const finalName = full_name ?? name ?? null;
 
     const insertSql = `
-      INSERT INTO users (full_name, email, password, role)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO users (full_name, email, email_verified_at, password, role, organization_id)
+      VALUES (?, ?, ?, ?, ?, ?)
     `;
-    const [result] = await pool.query(insertSql, [finalName, email, password, role]);
+    const [result] = await pool.query(insertSql, [
+      finalName,
+      email,
+      email_verified_at,
+      password,
+      role,
+      organization_id,
+    ]);
 
     return await this.findById(result.insertId);
   }
@@ -121,6 +174,8 @@ export class UserRepository {
    * @param {string} [params.email] - Updated email.
    * @param {string} [params.password] - Updated (hashed) password.
    * @param {string} [params.role] - Updated role (e.g., `user`, `admin`).
+   * @param {number|null} [params.organization_id] - Updated organization (null makes it a platform account).
+   * @param {Date|null} [params.email_verified_at] - Verification time (null marks the email unverified).
    * @returns {Promise<UserEntity|null>} The updated user or null if not found.
    * @example
    * const updatedUser = await userRepo.update(4, {
@@ -128,7 +183,7 @@ export class UserRepository {
    *   email: "bob.smith@example.com"
    * });
    */
-  async update(id, { full_name, name, email, password, role }) {
+  async update(id, { full_name, name, email, password, role, organization_id, email_verified_at }) {
     const finalName = full_name ?? name;
 
     const fields = [];
@@ -138,6 +193,14 @@ export class UserRepository {
     if (typeof email !== "undefined")     { fields.push("email = ?");     params.push(email); }
     if (typeof password !== "undefined")  { fields.push("password = ?");  params.push(password); }
     if (typeof role !== "undefined")      { fields.push("role = ?");      params.push(role); }
+    if (typeof organization_id !== "undefined") {
+      fields.push("organization_id = ?");
+      params.push(organization_id);
+    }
+    if (typeof email_verified_at !== "undefined") {
+      fields.push("email_verified_at = ?");
+      params.push(email_verified_at);
+    }
 
     if (fields.length === 0) {
       return await this.findById(id); // Nothing to update
@@ -155,6 +218,153 @@ export class UserRepository {
     return await this.findById(id);
   }
 
+  /**
+   * Records a failed login on an account: bumps the consecutive failure
+   * count and remembers when it happened.
+   *
+   * @async
+   * @method recordLoginFailure
+   * @param {number} id - The user ID.
+   * @param {Date} [at=new Date()] - When the attempt failed.
+   * @returns {Promise<UserEntity|null>} The user with the new count, or null if not found.
+   * @example
+   * const user = await userRepo.recordLoginFailure(4);
+   * console.log(user.failed_login_count);
+   */
+  async recordLoginFailure(id, at = new Date()) {
+    const sql = `
+      UPDATE users
+      SET failed_login_count = failed_login_count + 1,
+          last_failed_login_at = ?
+      WHERE user_id = ?
+    `;
+    const [result] = await pool.query(sql, [at, id]);
+    if (result.affectedRows === 0) return null;
+    return await this.findById(id);
+  }
+
+  /**
+   * Locks an account until the given time and starts a fresh failure count
+   * for when the lock ends.
+   *
+   * @async
+   * @method lock
+   * @param {number} id - The user ID.
+   * @param {Date} until - When logins are accepted again.
+   * @returns {Promise<boolean>} True if the user exists.
+   * @example
+   * await userRepo.lock(4, new Date(Date.now() + 15 * 60 * 1000));
+   */
+  async lock(id, until) {
+    const sql = `
+      UPDATE users
+      SET locked_until = ?, failed_login_count = 0
+      WHERE user_id = ?
+    `;
+    const [result] = await pool.query(sql, [until, id]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Clears an account's failed login count and lock (successful login,
+   * password reset or admin unlock).
+   *
+   * @async
+   * @method clearLoginFailures
+   * @param {number} id - The user ID.
+   * @returns {Promise<boolean>} True if the user exists.
+   * @example
+   * await userRepo.clearLoginFailures(4);
+   */
+  async clearLoginFailures(id) {
+    const sql = `
+      UPDATE users
+      SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+      WHERE user_id = ?
+    `;
+    const [result] = await pool.query(sql, [id]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Stores a new, not yet confirmed TOTP secret (2FA stays off until
+   * {@link UserRepository#enableTotp}).
+   *
+   * @async
+   * @method setPendingTotpSecret
+   * @param {number} id - The user ID.
+   * @param {string} encryptedSecret - The encrypted shared secret.
+   * @returns {Promise<boolean>} True if the user exists.
+   */
+  async setPendingTotpSecret(id, encryptedSecret) {
+    const sql = `
+      UPDATE users
+      SET totp_secret = ?, totp_enabled_at = NULL, totp_last_step = NULL
+      WHERE user_id = ?
+    `;
+    const [result] = await pool.query(sql, [encryptedSecret, id]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Turns on 2FA with the pending secret, remembering the step of the code
+   * that confirmed it.
+   *
+   * @async
+   * @method enableTotp
+   * @param {number} id - The user ID.
+   * @param {number} step - Time step of the confirming code.
+   * @param {Date} [at=new Date()] - When 2FA was turned on.
+   * @returns {Promise<boolean>} True if a pending secret was enabled.
+   */
+  async enableTotp(id, step, at = new Date()) {
+    const sql = `
+      UPDATE users
+      SET totp_enabled_at = ?, totp_last_step = ?
+      WHERE user_id = ? AND totp_secret IS NOT NULL AND totp_enabled_at IS NULL
+    `;
+    const [result] = await pool.query(sql, [at, step, id]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Records the time step of an accepted TOTP code. Only moves forward, so
+   * the same code (or an older one) is refused when presented again.
+   *
+   * @async
+   * @method useTotpStep
+   * @param {number} id - The user ID.
+   * @param {number} step - Time step of the accepted code.
+   * @returns {Promise<boolean>} True if the step had not been used yet.
+   */
+  async useTotpStep(id, step) {
+    const sql = `
+      UPDATE users
+      SET totp_last_step = ?
+      WHERE user_id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)
+    `;
+    const [result] = await pool.query(sql, [step, id, step]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Turns off 2FA and forgets the secret.
+   *
+   * @async
+   * @method clearTotp
+   * @param {number} id - The user ID.
+   * @returns {Promise<boolean>} True if the user exists.
+   */
+  async clearTotp(id) {
+    const sql = `
+      UPDATE users
+      SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+      WHERE user_id = ?
+    `;
+    const [result] = await pool.query(sql, [id]);
+    return result.affectedRows > 0;
+  }
+
   /**
    * Deletes a user record by ID.
    *
@@ -0,0 +1,78 @@
+import { AppError } from '../utils/error.js';
+import { checkPermission } from '../middlewares/requirePermission.js';
+import { checkSelfOrPermission } from '../middlewares/requireSelfOrPermission.js';
+import { checkVerifiedEmail } from '../middlewares/requireVerifiedEmail.js';
+
+/**
+ * Auth guards for the GraphQL resolvers.
+ *
+ * Each guard mirrors a REST middleware and reuses its check, so both APIs
+ * answer the same requests the same way. A refused request throws an
+ * `AppError` carrying the REST status and code; `formatError` (see
+ * `graphql/server.js`) turns it into a GraphQL error.
+ *
+ * @module graphql/guards
+ */
+
+/**
+ * Throw a denial returned by one of the middleware checks.
+ * @param {{status: number, code?: string, message: string}|null} denial
+ * @throws {AppError} When there is a denial.
+ */
+function refuse(denial) {
+  if (denial) throw new AppError(denial.message, denial.status, denial.code ? { code: denial.code } : undefined);
+}
+
+/**
+ * The signed-in user (like `requireAuth`).
+ * @param {{user?: object}} context - The GraphQL context.
+ * @returns {{id: number, role: string, organization_id?: number|null, mfa?: boolean}}
+ * @throws {AppError} 401 when the request carries no valid token.
+ */
+export function requireUser(context) {
+  if (!context.user) throw new AppError('Authentication required', 401, { code: 'UNAUTHENTICATED' });
+  return context.user;
+}
+
+/**
+ * Require one of `permissions` (like `requirePermission`).
+ * @param {{user?: object}} context - The GraphQL context.
+ * @param {...string} permissions
+ * @returns {object} The signed-in user.
+ * @throws {AppError} 401 when signed out, 403 when not allowed.
+ */
+export function requirePermission(context, ...permissions) {
+  const user = requireUser(context);
+  refuse(checkPermission(user, ...permissions));
+  return user;
+}
+
+/**
+ * Allow reading `target`'s data to themselves or to holders of `permission`
+ * (like `requireSelfOrPermission`).
+ * @async
+ * @param {{user?: object}} context - The GraphQL context.
+ * @param {number} target - The user whose data is read.
+ * @param {string} permission
+ * @returns {Promise<object>} The signed-in user.
+ * @throws {AppError} 401 when signed out, 403 when not allowed, 404 outside the caller's organization.
+ */
+export async function requireSelfOrPermission(context, target, permission) {
+  const user = requireUser(context);
+  refuse(await checkSelfOrPermission(user, target, permission));
+  return user;
+}
+
+/**
+ * Require a verified email address for `action` (like `requireVerifiedEmail`).
+ * @async
+ * @param {{user?: object}} context - The GraphQL context.
+ * @param {string} action
+ * @returns {Promise<object>} The signed-in user.
+ * @throws {AppError} 401 when signed out, 403 when the address is not verified.
+ */
+export async function requireVerifiedEmail(context, action) {
+  const user = requireUser(context);
+  refuse(await checkVerifiedEmail(user, action));
+  return user;
+}
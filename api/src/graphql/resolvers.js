@@ -0,0 +1,168 @@
+import {
+  attemptService,
+  badgesService,
+  levelService,
+  scenarioRunService,
+  scenarioService,
+  scenarioStepService,
+  submissionService,
+  userLevelService,
+} from "../config/services.js";
+import { AppError } from "../utils/error.js";
+import { checkPermission } from "../middlewares/requirePermission.js";
+import { scenarioVisibility } from "../utils/tenancy.js";
+import { formatAnswer } from "../utils/stepTypes.js";
+import { requireSelfOrPermission, requireVerifiedEmail } from "./guards.js";
+
+/**
+ * Resolvers for the GraphQL schema in `schema.gql`.
+ *
+ * Built on the same service instances as the REST routes
+ * (`config/services.js`) and guarded by the same rules:
+ * - Levels and badges are public.
+ * - Scenarios follow `scenarioVisibility`; steps are the player view (no
+ *   `correct_action` or `feedback_message`) unless the caller has `content:read`.
+ * - Attempts and level progress of a user need that user, or `reports:read`
+ *   within the caller's organization.
+ * - `startScenario`, `answerStep` and `submitScenario` need a verified email
+ *   and act for the caller only. `answerStep` stores the answer in the caller's run like
+ *   `POST /scenarios/:id/steps/:stepId/answer`; answers come in their text
+ *   form ("B", "TRUE", "A,C", "110", "0.5,0.42"), which grading accepts for
+ *   every step type. `submitScenario` grades the stored answers through
+ *   `SubmissionService` like `POST /scenarios/:id/submit`, `Idempotency-Key`
+ *   header included.
+ *
+ * @module graphql/resolvers
+ */
+
+/**
+ * Throw a 404 when a non-null field has nothing to return.
+ * @param {object|null} value
+ * @param {string} message
+ * @returns {object} `value`
+ * @throws {AppError} 404 when `value` is missing.
+ */
+const found = (value, message) => {
+  if (!value) throw new AppError(message, 404, { code: "NOT_FOUND" });
+  return value;
+};
+
+/**
+ * @typedef {object} GraphQLContext
+ * @property {{id: number, role: string, organization_id?: number|null, mfa?: boolean}} [user] - Set by `optionalAuth`.
+ * @property {string} [idempotencyKey] - The `Idempotency-Key` header, if sent.
+ */
+
+export const resolvers = {
+  Query: {
+    // ---- 🧭 Catalog (public) ----
+    levels: () => levelService.listLevels(),
+    level: async (_, { id }) => found(await levelService.getLevel(id), "Level not found"),
+    badges: () => badgesService.listBadges(),
+    badge: async (_, { id }) => found(await badgesService.getBadge(id), "Badge not found"),
+
+    // ---- 🎬 Scenarios (visibility as in REST) ----
+    scenarios: (_, __, ctx) =>
+      scenarioService.listScenarios({ organization_id: scenarioVisibility(ctx.user) }),
+    scenario: async (_, { id }, ctx) =>
+      found(
+        await scenarioService.getScenario(id, { organization_id: scenarioVisibility(ctx.user) }),
+        "Scenario not found"
+      ),
+    scenariosByLevel: (_, { levelId }, ctx) =>
+      scenarioService.listByLevel(levelId, { organization_id: scenarioVisibility(ctx.user) }),
+
+    // ---- 📈 Progress (self or reports:read) ----
+    attemptsForUserLevel: async (_, { levelId, userId }, ctx) => {
+      await requireSelfOrPermission(ctx, userId, "reports:read");
+      return attemptService.getUserAttemptsByLevel(userId, levelId);
+    },
+    userLevelsByUser: async (_, { userId }, ctx) => {
+      await requireSelfOrPermission(ctx, userId, "reports:read");
+      return userLevelService.getUserLevels(userId);
+    },
+    userLevelsByUserLevel: async (_, { levelId, userId }, ctx) => {
+      await requireSelfOrPermission(ctx, userId, "reports:read");
+      return found(await userLevelService.getUserLevel(userId, levelId), "User level not found");
+    },
+  },
+
+  Mutation: {
+    /**
+     * Check the caller's answer to a step and store it in their run.
+     * @param {unknown} _
+     * @param {{scenarioId: number, stepId: number, answer?: string|null}} args
+     * @param {GraphQLContext} ctx
+     */
+    answerStep: async (_, { scenarioId, stepId, answer }, ctx) => {
+      const user = await requireVerifiedEmail(ctx, "submission");
+      const scenario = found(
+        await scenarioService.getScenario(scenarioId, { organization_id: scenarioVisibility(user) }),
+        "Scenario not found"
+      );
+      const check = found(
+        await scenarioRunService.answerStep(user, scenario, stepId, answer ?? null),
+        "Scenario step not found"
+      );
+
+      const { step_type } = await scenarioStepService.getScenarioStep(stepId);
+      return {
+        ...check,
+        answer: check.answer == null ? null : formatAnswer(step_type, check.answer),
+        correct_action: check.correct_action == null ? null : formatAnswer(step_type, check.correct_action),
+      };
+    },
+
+    /**
+     * Open (or resume) the caller's run of a scenario.
+     * @param {unknown} _
+     * @param {{scenarioId: number}} args
+     * @param {GraphQLContext} ctx
+     */
+    startScenario: async (_, { scenarioId }, ctx) => {
+      const user = await requireVerifiedEmail(ctx, "submission");
+      const scenario = found(
+        await scenarioService.getScenario(scenarioId, { organization_id: scenarioVisibility(user) }),
+        "Scenario not found"
+      );
+      const run = await scenarioRunService.start(user, scenario);
+      return { ...run, started_at: new Date(run.started_at).toISOString() };
+    },
+
+    /**
+     * Grade and record the caller's run of a scenario.
+     * @param {unknown} _
+     * @param {{scenarioId: number, userId: number}} args
+     * @param {GraphQLContext} ctx
+     */
+    submitScenario: async (_, { scenarioId, userId }, ctx) => {
+      const user = await requireVerifiedEmail(ctx, "submission");
+      if (Number(userId) !== Number(user.id)) {
+        throw new AppError("You can only submit your own answers", 403, { code: "FORBIDDEN" });
+      }
+
+      const { result } = await submissionService.submit(
+        scenarioId,
+        {},
+        { user, idempotencyKey: ctx.idempotencyKey }
+      );
+      return result;
+    },
+  },
+
+  ScenarioEntity: {
+    /** Full steps for `content:read` (with the 2FA policy met), the player view for everyone else. */
+    steps: (scenario, _, ctx) =>
+      !checkPermission(ctx.user, "content:read")
+        ? scenarioStepService.getStepsByScenario(scenario.scenario_id)
+        : scenarioStepService.getPlayerStepsByScenario(scenario.scenario_id),
+  },
+
+  ScenarioStepEntity: {
+    /** Set in the player view; derived from the transitions otherwise. */
+    branching: (step) => step.branching ?? step.transitions != null,
+    /** Text form of the correct answer (absent from the player view). */
+    correct_action: (step) =>
+      step.correct_action == null ? null : formatAnswer(step.step_type, step.correct_action),
+  },
+};
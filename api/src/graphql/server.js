@@ -0,0 +1,99 @@
+import { readFileSync } from "node:fs";
+import { ApolloServer } from "@apollo/server";
+import { expressMiddleware } from "@apollo/server/express4";
+import { unwrapResolverError } from "@apollo/server/errors";
+import { AppError } from "../utils/error.js";
+import { resolvers } from "./resolvers.js";
+
+/**
+ * GraphQL endpoint.
+ *
+ * Serves the schema in `schema.gql` (API root) with the resolvers from
+ * `graphql/resolvers.js`. Mounted by `app.js` behind `optionalAuth`, so the
+ * resolvers see the same `req.user` as the REST routes.
+ *
+ * @module graphql/server
+ */
+
+/** Error code per HTTP status, for `AppError`s that carry none. */
+const CODE_BY_STATUS = {
+  400: "BAD_USER_INPUT",
+  401: "UNAUTHENTICATED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  422: "UNPROCESSABLE_ENTITY",
+  429: "TOO_MANY_REQUESTS",
+};
+
+const typeDefs = readFileSync(new URL("../../schema.gql", import.meta.url), "utf8");
+
+/**
+ * Shape errors like `errorHandler` does for REST: an `AppError` keeps its
+ * message, status and details (`extensions.code` from its `code`, or one
+ * derived from the status); any other resolver error is logged and masked as
+ * "Internal server error" outside development. GraphQL's own errors (syntax,
+ * validation) pass through.
+ *
+ * @param {import('graphql').GraphQLFormattedError} formatted
+ * @param {unknown} error
+ * @returns {import('graphql').GraphQLFormattedError}
+ */
+function formatError(formatted, error) {
+  const original = unwrapResolverError(error);
+
+  if (original instanceof AppError) {
+    return {
+      ...formatted,
+      message: original.message,
+      extensions: {
+        ...original.details,
+        code: original.details?.code ?? CODE_BY_STATUS[original.status] ?? "BAD_REQUEST",
+        status: original.status,
+      },
+    };
+  }
+
+  if (original === error) return formatted;
+
+  console.error(`[${new Date().toISOString()}] GraphQL ${formatted.path?.join(".") ?? ""}`);
+  console.error("Error:", original);
+  return {
+    message: "Internal server error",
+    path: formatted.path,
+    extensions: {
+      code: "INTERNAL_SERVER_ERROR",
+      ...(process.env.NODE_ENV === "development" && { details: original?.message }),
+    },
+  };
+}
+
+/**
+ * Start the Apollo server and return its Express handler.
+ *
+ * The resolver context carries `user` (set by `optionalAuth`) and the
+ * `Idempotency-Key` header for `submitScenario`.
+ *
+ * @async
+ * @function createGraphQLHandler
+ * @returns {Promise<import('express').RequestHandler>}
+ *
+ * @example
+ * app.use("/graphql", optionalAuth, await createGraphQLHandler());
+ */
+export async function createGraphQLHandler() {
+  const server = new ApolloServer({
+    typeDefs,
+    resolvers,
+    formatError,
+    includeStacktraceInErrorResponses: process.env.NODE_ENV === "development",
+  });
+  await server.start();
+
+  return expressMiddleware(server, {
+    context: async ({ req }) => ({
+      user: req.user,
+      idempotencyKey: req.get("Idempotency-Key"),
+    }),
+  });
+}
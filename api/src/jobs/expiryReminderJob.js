@@ -0,0 +1,51 @@
+import { recertificationService } from "../config/services.js";
+
+/**
+ * ⏰ Expiry reminder job
+ *
+ * Periodically flags users whose level completions or certificate expire
+ * within the renewal window. Each expiry is flagged once; the flags are shown
+ * on the learner's profile and listed for admins at
+ * `GET /api/recertification/reminders`.
+ *
+ * The interval comes from `EXPIRY_REMINDER_INTERVAL_MINUTES` (default 60);
+ * set it to 0 to disable the job.
+ *
+ * @module expiryReminderJob
+ */
+const INTERVAL_MINUTES = Number(process.env.EXPIRY_REMINDER_INTERVAL_MINUTES ?? 60);
+
+/**
+ * Run one expiry scan and log the outcome. Never throws, so a failing run
+ * does not stop the schedule.
+ *
+ * @async
+ * @returns {Promise<number>} How many expiries were newly flagged.
+ */
+export async function runExpiryReminders() {
+  try {
+    const flagged = await recertificationService.flagExpiring();
+    if (flagged.length) console.log(`Expiry reminders: flagged ${flagged.length}`);
+    return flagged.length;
+  } catch (e) {
+    console.error("Expiry reminder job failed:", e.message);
+    return 0;
+  }
+}
+
+/**
+ * Start the schedule: one scan now, then one every interval.
+ *
+ * @returns {NodeJS.Timeout|null} The interval handle, or null if the job is disabled.
+ * @example
+ * import { scheduleExpiryReminders } from "./jobs/expiryReminderJob.js";
+ * scheduleExpiryReminders();
+ */
+export function scheduleExpiryReminders() {
+  if (!(INTERVAL_MINUTES > 0)) return null;
+
+  runExpiryReminders();
+  const timer = setInterval(runExpiryReminders, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
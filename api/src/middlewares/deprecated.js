@@ -0,0 +1,21 @@
+/**
+ * Express middleware factory that marks a route as deprecated.
+ *
+ * The route keeps working, but every response carries a `Deprecation` header
+ * and a `Link` header pointing at the replacement, so clients can migrate
+ * before the alias is removed.
+ *
+ * @function deprecated
+ * @param {string} successor - Path of the endpoint that replaces this route.
+ * @returns {import('express').RequestHandler} Middleware that sets the headers and continues.
+ *
+ * @example
+ * import { deprecated } from './middlewares/deprecated.js';
+ *
+ * router.post('/login', deprecated('/api/auth/login'), controller.login);
+ */
+export const deprecated = (successor) => (req, res, next) => {
+  res.set('Deprecation', 'true');
+  res.set('Link', `<${successor}>; rel="successor-version"`);
+  next();
+};
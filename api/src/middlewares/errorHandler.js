@@ -33,9 +33,13 @@ export function errorHandler(err, req, res, next) {
    * Example: throw new AppError('Unauthorized access', 401);
    */
   if (err instanceof AppError) {
+    if (err.details?.retry_after != null) {
+      res.set('Retry-After', String(err.details.retry_after));
+    }
     return res.status(err.status).json({
       error: true,
       message: err.message,
+      ...err.details,
     });
   }
 
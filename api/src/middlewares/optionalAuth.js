@@ -0,0 +1,51 @@
+import { verifyAccess } from '../utils/jwt.js';
+import { SessionRepository } from '../domain/repositories/SessionRepository.js';
+
+const sessions = new SessionRepository();
+
+/**
+ * Express middleware that attaches the caller's identity when a valid Bearer
+ * JWT is present, without rejecting anonymous requests.
+ *
+ * Use it on public routes whose response depends on who is asking (e.g. the
+ * admin vs. player view of a scenario). A missing, malformed, expired, or
+ * revoked token simply leaves `req.user` undefined; it never produces a `401`.
+ *
+ * @function optionalAuth
+ * @param {import('express').Request} req - The Express request object.
+ * @param {import('express').Response} res - The Express response object.
+ * @param {import('express').NextFunction} next - The next middleware function.
+ * @returns {void}
+ *
+ * @example
+ * import { optionalAuth } from './middlewares/optionalAuth.js';
+ * import { checkPermission } from './middlewares/requirePermission.js';
+ *
+ * router.get('/scenarios/:id', optionalAuth, (req, res) => {
+ *   const fullView = !checkPermission(req.user, 'content:read');
+ *   // ...
+ * });
+ */
+export const optionalAuth = async (req, res, next) => {
+  const authHeader = req.headers.authorization || '';
+  const [scheme, token] = authHeader.split(' ');
+
+  if (scheme === 'Bearer' && token) {
+    try {
+      const payload = verifyAccess(token);
+      if (payload.sid && (await sessions.isActive(payload.sid))) {
+        req.user = {
+          id: payload.sub,
+          role: payload.role,
+          organization_id: payload.org ?? null,
+          sid: payload.sid,
+          mfa: payload.mfa === true,
+        };
+      }
+    } catch {
+      // Treat an invalid token like an anonymous request
+    }
+  }
+
+  next();
+};
@@ -1,4 +1,7 @@
 import { verifyAccess } from '../utils/jwt.js';
+import { SessionRepository } from '../domain/repositories/SessionRepository.js';
+
+const sessions = new SessionRepository();
 
 /**
  * Express middleware that enforces authentication using a Bearer JWT token.
@@ -14,7 +17,9 @@ import { verifyAccess } from '../utils/jwt.js';
  * ```
  *
  * The JWT is verified using the `verifyAccess()` utility, which should validate
- * signature, expiration, and claims.
+ * signature, expiration, and claims. The token's session (`sid` claim) must
+ * still be active, so logged-out or revoked sessions are rejected even before
+ * their access tokens expire.
  *
  * @function requireAuth
  * @param {import('express').Request} req - The Express request object.
@@ -35,7 +40,7 @@ import { verifyAccess } from '../utils/jwt.js';
  *   res.json({ message: `Welcome user ${req.user.id}`, role: req.user.role });
  * });
  */
-export const requireAuth = (req, res, next) => {
+export const requireAuth = async (req, res, next) => {
   const authHeader = req.headers.authorization || '';
   const [scheme, token] = authHeader.split(' ');
 
@@ -47,11 +52,10 @@ export const requireAuth = (req, res, next) => {
     });
   }
 
+  let payload;
   try {
-    // Verify JWT and attach payload to request
-    const payload = verifyAccess(token);
-    req.user = { id: payload.sub, role: payload.role };
-    next();
+    // Verify JWT signature and expiry
+    payload = verifyAccess(token);
   } catch (err) {
     // Handle invalid or expired token
     return res.status(401).json({
@@ -59,4 +63,25 @@ export const requireAuth = (req, res, next) => {
       message: 'Invalid or expired token',
     });
   }
+
+  try {
+    if (!payload.sid || !(await sessions.isActive(payload.sid))) {
+      return res.status(401).json({
+        error: true,
+        message: 'Session has been revoked',
+      });
+    }
+  } catch (err) {
+    return next(err);
+  }
+
+  // Attach the caller's identity to the request
+  req.user = {
+    id: payload.sub,
+    role: payload.role,
+    organization_id: payload.org ?? null,
+    sid: payload.sid,
+    mfa: payload.mfa === true,
+  };
+  next();
 };
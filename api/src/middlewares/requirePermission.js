@@ -0,0 +1,69 @@
+import { PERMISSIONS, hasPermission } from '../utils/permissions.js';
+import { twoFactorRequiredFor } from '../utils/twoFactor.js';
+
+/**
+ * Why a user may not use a permission-protected feature, if anything (the
+ * check behind {@link requirePermission}, shared with the GraphQL resolvers
+ * and with the services whose result depends on a permission).
+ *
+ * @function checkPermission
+ * @param {{role?: string, mfa?: boolean}|null|undefined} user - `req.user`.
+ * @param {...string} permissions - Permissions the user must all hold.
+ * @returns {{status: number, code: string, message: string}|null} The denial, or null when allowed.
+ *
+ * @example
+ * const denial = checkPermission(req.user, 'reports:read');
+ * if (denial) throw new AppError(denial.message, denial.status, { code: denial.code });
+ */
+export function checkPermission(user, ...permissions) {
+  if (!hasPermission(user, ...permissions)) {
+    return {
+      status: 403,
+      code: 'FORBIDDEN',
+      message: `You do not have permission to do this (${permissions.join(', ')})`,
+    };
+  }
+  if (twoFactorRequiredFor(user.role) && !user.mfa) {
+    return {
+      status: 403,
+      code: 'TWO_FACTOR_REQUIRED',
+      message: 'Set up two-factor authentication and sign in with it to use this feature',
+    };
+  }
+  return null;
+}
+
+/**
+ * Express middleware factory that restricts a route to users whose role
+ * grants the given permissions (see `ROLE_PERMISSIONS` in `utils/permissions.js`).
+ *
+ * Responds `403` when a permission is missing. When `TWO_FACTOR_REQUIRED_ROLES`
+ * includes the user's role, the session must also have passed a second factor
+ * (`mfa` claim); otherwise the response is `403` with `code: "TWO_FACTOR_REQUIRED"`.
+ *
+ * This middleware assumes that `req.user` is already populated by `requireAuth`.
+ *
+ * @function requirePermission
+ * @param {...string} permissions - Permissions the caller must all hold.
+ * @returns {import('express').RequestHandler}
+ * @throws {Error} At startup, if a permission is not in the catalog (catches typos).
+ *
+ * @example
+ * import { requirePermission } from './middlewares/requirePermission.js';
+ *
+ * router.delete('/levels/:id', requireAuth, requirePermission('content:delete'), controller.delete);
+ */
+export const requirePermission = (...permissions) => {
+  const unknown = permissions.filter((permission) => !(permission in PERMISSIONS));
+  if (!permissions.length || unknown.length) {
+    throw new Error(`requirePermission: unknown permission(s) ${unknown.join(', ') || '(none given)'}`);
+  }
+
+  return (req, res, next) => {
+    const denial = checkPermission(req.user, ...permissions);
+    if (denial) {
+      return res.status(denial.status).json({ error: true, code: denial.code, message: denial.message });
+    }
+    next();
+  };
+};
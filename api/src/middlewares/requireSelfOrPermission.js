@@ -0,0 +1,71 @@
+import { UserRepository } from '../domain/repositories/UserRepository.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+import { organizationScope } from '../utils/tenancy.js';
+import { checkPermission } from './requirePermission.js';
+
+const users = new UserRepository();
+
+/**
+ * Express middleware factory for routes that read one user's progress
+ * (`:user_id` path param or `?user_id=` query).
+ *
+ * Callers may always read their own data. Reading someone else's requires
+ * `permission` (checked like {@link requirePermission}, including the
+ * two-factor policy); organization staff additionally only reach members of
+ * their own organization — anyone else is answered `404`, as if the user did
+ * not exist. Requests without a target user pass through, so the handler
+ * must scope them itself (see `progressScope` in `utils/tenancy.js`).
+ *
+ * This middleware assumes that `req.user` is already populated by `requireAuth`.
+ *
+ * @function requireSelfOrPermission
+ * @param {string} permission - Permission needed to read other users' data.
+ * @returns {import('express').RequestHandler}
+ * @throws {Error} At startup, if the permission is not in the catalog.
+ *
+ * @example
+ * import { requireSelfOrPermission } from './middlewares/requireSelfOrPermission.js';
+ *
+ * router.get('/by-user/:user_id/levels', requireAuth, requireSelfOrPermission('reports:read'), controller.listByUser);
+ */
+export const requireSelfOrPermission = (permission) => {
+  if (!(permission in PERMISSIONS)) {
+    throw new Error(`requireSelfOrPermission: unknown permission ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const denial = await checkSelfOrPermission(req.user, req.params.user_id ?? req.query.user_id, permission);
+      if (denial) {
+        return res.status(denial.status).json({ error: true, code: denial.code, message: denial.message });
+      }
+      next();
+    } catch (e) {
+      next(e);
+    }
+  };
+};
+
+/**
+ * Why a user may not read another user's data, if anything (the check
+ * behind {@link requireSelfOrPermission}, shared with the GraphQL resolvers).
+ *
+ * @async
+ * @function checkSelfOrPermission
+ * @param {{id: number, role?: string, organization_id?: number|null, mfa?: boolean}} user - `req.user`.
+ * @param {number|string|undefined} target - The user whose data is read (none: allowed).
+ * @param {string} permission - Permission needed to read other users' data.
+ * @returns {Promise<{status: number, code?: string, message: string}|null>} The denial, or null when allowed.
+ */
+export async function checkSelfOrPermission(user, target, permission) {
+  if (target === undefined || Number(target) === Number(user.id)) return null;
+
+  const denial = checkPermission(user, permission);
+  if (denial) return denial;
+
+  const organization_id = organizationScope(user);
+  if (organization_id !== undefined && !(await users.findById(target, { organization_id }))) {
+    return { status: 404, message: 'User not found' };
+  }
+  return null;
+}
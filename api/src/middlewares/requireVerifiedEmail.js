@@ -0,0 +1,58 @@
+import { UserRepository } from '../domain/repositories/UserRepository.js';
+import { EMAIL_VERIFICATION_POLICY, verificationRequiredFor } from '../utils/emailVerification.js';
+
+const users = new UserRepository();
+
+/**
+ * Express middleware factory that blocks an action for users whose email is
+ * not verified, when `EMAIL_VERIFICATION_POLICY` says the action needs it.
+ *
+ * Must run after `requireAuth` (it reads `req.user.id`). Responds with
+ * `403 Forbidden` and `code: "EMAIL_NOT_VERIFIED"` so clients can offer to
+ * resend the verification link.
+ *
+ * @function requireVerifiedEmail
+ * @param {'certificate'|'submission'} action - The gated action.
+ * @returns {import('express').RequestHandler}
+ *
+ * @example
+ * import { requireVerifiedEmail } from './middlewares/requireVerifiedEmail.js';
+ *
+ * router.post('/:id/submit', requireAuth, requireVerifiedEmail('submission'), controller.submit);
+ */
+export const requireVerifiedEmail = (action) => async (req, res, next) => {
+  try {
+    const denial = await checkVerifiedEmail(req.user, action);
+    if (denial) {
+      return res.status(denial.status).json({ error: true, code: denial.code, message: denial.message });
+    }
+  } catch (err) {
+    return next(err);
+  }
+  next();
+};
+
+/**
+ * Why a user may not perform `action` for lack of a verified email, if
+ * anything (the check behind {@link requireVerifiedEmail}, shared with the
+ * GraphQL resolvers).
+ *
+ * @async
+ * @function checkVerifiedEmail
+ * @param {{id: number}} user - `req.user`.
+ * @param {'certificate'|'submission'} action - The gated action.
+ * @returns {Promise<{status: number, code: string, message: string}|null>} The denial, or null when allowed.
+ */
+export async function checkVerifiedEmail(user, action) {
+  if (!verificationRequiredFor(action, EMAIL_VERIFICATION_POLICY)) return null;
+
+  const record = await users.findById(user.id);
+  if (!record?.email_verified_at) {
+    return {
+      status: 403,
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address first. Check your inbox or request a new link.',
+    };
+  }
+  return null;
+}
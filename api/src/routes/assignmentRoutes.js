@@ -0,0 +1,46 @@
+import { Router } from "express";
+import { assignmentService, classService } from "../config/services.js";
+import { ClassController } from "../controllers/ClassController.js";
+import { requireAuth } from "../middlewares/requireAuth.js";
+
+/**
+ * Express router module for the learner's side of class assignments.
+ *
+ * Classes and their assignments are managed under `/classes`
+ * (see {@link module:classRoutes}).
+ *
+ * @module assignmentRoutes
+ *
+ * @example
+ * import express from "express";
+ * import { assignmentRoutes } from "./routes/assignmentRoutes.js";
+ *
+ * const app = express();
+ * app.use("/assignments", assignmentRoutes);
+ */
+const controller = new ClassController(classService, assignmentService);
+
+/**
+ * Express Router instance for assignment routes.
+ * @type {import('express').Router}
+ */
+export const assignmentRoutes = Router();
+
+/*
+|--------------------------------------------------------------------------
+| AUTHENTICATED ROUTES
+|--------------------------------------------------------------------------
+*/
+
+/**
+ * @route GET /assignments/me
+ * @summary Assignments of every class the caller is enrolled in, with their progress.
+ * @access Authenticated
+ * @middleware requireAuth - Ensures authentication.
+ * @returns {object[]} 200 - Soonest due first: `[{ assignment_id, class_name, title, due_at, min_score, status, best_score | passed, total }]`,
+ *   where `status` is `completed`, `pending` or `overdue`.
+ * @example
+ * GET /assignments/me
+ * Response: [{ "assignment_id": 5, "class_name": "Night shift", "title": "Basics", "level_id": 1, "due_at": "...", "min_score": 80, "status": "pending", "passed": 2, "total": 4 }]
+ */
+assignmentRoutes.get("/me", requireAuth, controller.mine);
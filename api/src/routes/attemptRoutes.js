@@ -1,8 +1,10 @@
 import { Router } from "express";
-import { AttemptRepository } from "../domain/repositories/AttemptRepository.js";
-import { AttemptService } from "../services/AttemptService.js";
+import { attemptService } from "../config/services.js";
 import { AttemptController } from "../Controllers/AttemptController.js";
-import { body, param } from "express-validator";
+import { body, param, query } from "express-validator";
+import { requireAuth } from "../middlewares/requireAuth.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { requireSelfOrPermission } from "../middlewares/requireSelfOrPermission.js";
 
 /**
  * Express router module for handling attempt-related API routes.
@@ -16,6 +18,11 @@ import { body, param } from "express-validator";
  * - Service (`AttemptService`): business logic
  * - Controller (`AttemptController`): request handling and responses
  *
+ * Every route requires authentication. Users read their own attempts; reading
+ * anyone else's needs `reports:read` (organization staff: their members only).
+ * Scores are recorded by the game logic on scenario submission, so
+ * `POST /attempts` is reserved for corrections by holders of `attempts:manage`.
+ *
  * @module attemptRoutes
  *
  * @example
@@ -25,9 +32,7 @@ import { body, param } from "express-validator";
  * const app = express();
  * app.use("/attempts", attemptRoutes);
  */
-const repo = new AttemptRepository();
-const service = new AttemptService(repo);
-const controller = new AttemptController(service);
+const controller = new AttemptController(attemptService);
 
 /**
  * Express Router instance for attempt routes.
@@ -59,43 +64,126 @@ const upsertAttempt = [
   body("score")
     .isInt({ min: 0, max: 100 })
     .withMessage("score must be between 0 and 100"),
+  body("started_at")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("started_at must be a valid ISO 8601 date"),
+];
+
+/**
+ * Validation middleware for attempt history listings.
+ * Validates that:
+ * - `user_id` and `scenario_id` / `level_id` are positive integers.
+ * - `page` (optional) is a positive integer and `limit` (optional) is 1–100.
+ */
+const historyQuery = [
+  param("user_id")
+    .isInt({ gt: 0 })
+    .withMessage("user_id must be a positive integer"),
+  param("scenario_id")
+    .optional()
+    .isInt({ gt: 0 })
+    .withMessage("scenario_id must be a positive integer"),
+  param("level_id")
+    .optional()
+    .isInt({ gt: 0 })
+    .withMessage("level_id must be a positive integer"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("limit must be between 1 and 100"),
 ];
 
 /**
  * 📋 Attempt Routes
  *
  * @route GET /attempts
- * @summary Retrieve all attempts (admin/debug).
+ * @summary Retrieve the attempts the caller may read.
+ * @access Authenticated Users (own attempts) / `reports:read` (own organization's members)
  *
  * @route GET /attempts/:id
  * @summary Retrieve a single attempt by ID.
+ * @access Authenticated — attempts the caller may not read are reported as 404.
  * @param {number} id - Attempt ID.
  *
  * @route GET /attempts/user/:user_id/scenario/:scenario_id
  * @summary Retrieve a specific user's attempt for a given scenario.
+ * @access Authenticated Users (own attempts) / `reports:read` (own organization's members)
  * @param {number} user_id - User ID.
  * @param {number} scenario_id - Scenario ID.
  *
  * @route GET /attempts/user/:user_id/level/:level_id
  * @summary Retrieve all attempts by user for a given level.
+ * @access Authenticated Users (own attempts) / `reports:read` (own organization's members)
  * @param {number} user_id - User ID.
  * @param {number} level_id - Level ID.
  *
+ * @route GET /attempts/user/:user_id/scenario/:scenario_id/history
+ * @summary Retrieve a user's full attempt history for a scenario (newest first, paginated).
+ * @access Authenticated Users (own history) / `reports:read` (own organization's members)
+ * @param {number} user_id - User ID.
+ * @param {number} scenario_id - Scenario ID.
+ * @queryParam {number} [page=1] - 1-based page number.
+ * @queryParam {number} [limit=20] - Page size (max 100).
+ * @returns {object} 200 - `{ items, page, limit, total, total_pages }`.
+ *
+ * @route GET /attempts/user/:user_id/level/:level_id/history
+ * @summary Retrieve a user's full attempt history across a level (newest first, paginated).
+ * @access Authenticated Users (own history) / `reports:read` (own organization's members)
+ * @param {number} user_id - User ID.
+ * @param {number} level_id - Level ID.
+ * @queryParam {number} [page=1] - 1-based page number.
+ * @queryParam {number} [limit=20] - Page size (max 100).
+ * @returns {object} 200 - `{ items, page, limit, total, total_pages }`.
+ *
  * @route POST /attempts
- * @summary Create or update an attempt score (upsert behavior).
+ * @summary Record a new try for a scenario and return the resulting best score (corrections).
+ * @access Admin
+ * @middleware requirePermission("attempts:manage") - Restricts access to roles granted `attempts:manage`.
  * @bodyParam {number} user_id - The user's ID.
  * @bodyParam {number} scenario_id - The associated scenario ID.
  * @bodyParam {number} score - Score between 0 and 100.
+ * @bodyParam {string} [started_at] - ISO 8601 time the try started.
  */
+const selfOrReports = requireSelfOrPermission("reports:read");
+
 attemptRoutes.get(
   "/user/:user_id/level/:level_id",
+  requireAuth,
+  selfOrReports,
   controller.getUserAttemptsByLevel
 );
+attemptRoutes.get(
+  "/user/:user_id/level/:level_id/history",
+  requireAuth,
+  selfOrReports,
+  historyQuery,
+  controller.getLevelHistory
+);
+attemptRoutes.get(
+  "/user/:user_id/scenario/:scenario_id/history",
+  requireAuth,
+  selfOrReports,
+  historyQuery,
+  controller.getScenarioHistory
+);
 
-attemptRoutes.get("/", controller.list);
-attemptRoutes.get("/:id", idParam, controller.get);
+attemptRoutes.get("/", requireAuth, controller.list);
+attemptRoutes.get("/:id", requireAuth, idParam, controller.get);
 attemptRoutes.get(
   "/user/:user_id/scenario/:scenario_id",
+  requireAuth,
+  selfOrReports,
   controller.getUserAttempt
 );
-attemptRoutes.post("/", upsertAttempt, controller.save);
+attemptRoutes.post(
+  "/",
+  requireAuth,
+  requirePermission("attempts:manage"),
+  upsertAttempt,
+  controller.save
+);
@@ -0,0 +1,456 @@
+import { Router } from "express";
+import {
+  authService,
+  loginThrottleService,
+  sessionService,
+  twoFactorService,
+} from "../config/services.js";
+import { SessionController } from "../controllers/SessionController.js";
+import { AuthController } from "../controllers/AuthController.js";
+import { LoginSecurityController } from "../controllers/LoginSecurityController.js";
+import { TwoFactorController } from "../controllers/TwoFactorController.js";
+import {
+  registerBody,
+  loginBody,
+  updateProfileBody,
+  changePasswordBody,
+  forgotPasswordBody,
+  resetPasswordBody,
+  verifyTokenParam,
+  resendVerificationBody,
+  refreshBody,
+  logoutBody,
+  userIdParam,
+  loginAttemptsQuery,
+  twoFactorCodeBody,
+  twoFactorVerifyBody,
+  twoFactorDisableBody,
+} from "../validators/authValidator.js";
+import { requireAuth } from "../middlewares/requireAuth.js";
+import { optionalAuth } from "../middlewares/optionalAuth.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+
+/**
+ * Express router module for authentication and the signed-in account.
+ *
+ * Provides registration, login, the current user's profile and password,
+ * email verification, password recovery by email, and session handling. Logins return a short-lived access token and a refresh
+ * token. The refresh token is exchanged here for a new pair (rotation) and
+ * ends the session on logout; admins can revoke every session of a user.
+ * Repeated failed logins are delayed and then lock the account; admins can
+ * unlock accounts and read the login audit trail. Accounts with TOTP
+ * two-factor authentication finish logging in at `POST /auth/2fa/verify`.
+ *
+ * @module authRoutes
+ *
+ * @example
+ * import express from "express";
+ * import { authRoutes } from "./routes/authRoutes.js";
+ *
+ * const app = express();
+ * app.use("/auth", authRoutes);
+ */
+const authController = new AuthController(authService);
+const sessionController = new SessionController(sessionService);
+const loginSecurityController = new LoginSecurityController(loginThrottleService);
+const twoFactorController = new TwoFactorController(twoFactorService);
+
+/**
+ * Express Router instance for authentication routes.
+ * @type {import('express').Router}
+ */
+export const authRoutes = Router();
+
+/*
+|--------------------------------------------------------------------------
+| ACCOUNT ROUTES
+|--------------------------------------------------------------------------
+*/
+
+/**
+ * @route POST /auth/register
+ * @summary Create an account (role `user`) and log it in; a verification link is emailed.
+ * @access Public
+ * @middleware registerBody - Validates name, email and password.
+ * @bodyParam {string} full_name - The user's full name.
+ * @bodyParam {string} email - The user's email address.
+ * @bodyParam {string} password - At least 6 characters.
+ * @returns {object} 201 - `{ user, token, refreshToken }`.
+ * @returns {object} 409 - Email already in use.
+ * @example
+ * POST /auth/register
+ * Body: { "full_name": "John Doe", "email": "john@example.com", "password": "secret123" }
+ */
+authRoutes.post("/register", registerBody, authController.register);
+
+/**
+ * @route POST /auth/login
+ * @summary Authenticate a user and open a session (access token + refresh token).
+ * @access Public
+ * @middleware loginBody - Validates email and password.
+ * @bodyParam {string} email - User's registered email.
+ * @bodyParam {string} password - User's password.
+ * @returns {object} 200 - `{ user, token, refreshToken }` (plus `two_factor_setup_required` when the role requires 2FA
+ *   and it is not set up), or `{ two_factor_required: true, challengeToken, expires_in }` when 2FA is on.
+ * @returns {object} 401 - Invalid email or password.
+ * @returns {object} 429 - `{ code: "TOO_MANY_ATTEMPTS", retry_after }` after repeated failures from this account or IP (also `Retry-After` header).
+ * @returns {object} 423 - `{ code: "ACCOUNT_LOCKED", locked_until, retry_after }` after `LOGIN_MAX_FAILURES` failures.
+ * @example
+ * POST /auth/login
+ * Body: { "email": "john@example.com", "password": "secret123" }
+ */
+authRoutes.post("/login", loginBody, authController.login);
+
+/**
+ * @route GET /auth/me
+ * @summary Retrieve the signed-in user's profile.
+ * @access Authenticated
+ * @middleware requireAuth - Ensures authentication.
+ * @returns {User} 200 - `{ id, name, email, role, created_at }`.
+ * @example
+ * GET /auth/me
+ * Authorization: Bearer <token>
+ */
+authRoutes.get("/me", requireAuth, authController.me);
+
+/**
+ * @route PATCH /auth/me
+ * @summary Update the signed-in user's name and/or email.
+ * @access Authenticated
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware updateProfileBody - Validates the changed fields.
+ * @bodyParam {string} [full_name] - New full name.
+ * @bodyParam {string} [email] - New email address.
+ * @returns {User} 200 - The updated profile.
+ * @returns {object} 409 - Email already in use.
+ * @example
+ * PATCH /auth/me
+ * Body: { "full_name": "John Smith" }
+ */
+authRoutes.patch("/me", requireAuth, updateProfileBody, authController.updateProfile);
+
+/**
+ * @route POST /auth/change-password
+ * @summary Change the signed-in user's password; their other sessions are revoked.
+ * @access Authenticated
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware changePasswordBody - Validates both passwords.
+ * @bodyParam {string} current_password - The password in use now.
+ * @bodyParam {string} new_password - At least 6 characters, different from the current one.
+ * @returns {object} 200 - `{ revoked_sessions }`.
+ * @returns {object} 401 - Current password is incorrect.
+ * @example
+ * POST /auth/change-password
+ * Body: { "current_password": "secret123", "new_password": "newSecret456" }
+ * Response: { "revoked_sessions": 2 }
+ */
+authRoutes.post("/change-password", requireAuth, changePasswordBody, authController.changePassword);
+
+/*
+|--------------------------------------------------------------------------
+| EMAIL VERIFICATION ROUTES
+|--------------------------------------------------------------------------
+*/
+
+/**
+ * @route GET /auth/verify/:token
+ * @summary Verify the account's email address with the token from the emailed link.
+ * @access Public (requires a verification token)
+ * @middleware verifyTokenParam - Validates the token.
+ * @param {string} token - Token from the link (works once, expires after `EMAIL_VERIFICATION_TTL_HOURS`).
+ * @returns {object} 200 - `{ message, user }` with `user.email_verified: true`.
+ * @returns {object} 400 - The link is invalid, used or expired.
+ * @example
+ * GET /auth/verify/q3V...
+ */
+authRoutes.get("/verify/:token", verifyTokenParam, authController.verifyEmail);
+
+/**
+ * @route POST /auth/verify/resend
+ * @summary Email a new verification link to an unverified account.
+ * @access Public
+ * @middleware resendVerificationBody - Validates the email.
+ * @bodyParam {string} email - The address used to sign up.
+ * @returns {object} 202 - Same response whether or not the account exists or is verified.
+ * @example
+ * POST /auth/verify/resend
+ * Body: { "email": "john@example.com" }
+ */
+authRoutes.post("/verify/resend", resendVerificationBody, authController.resendVerification);
+
+/*
+|--------------------------------------------------------------------------
+| PASSWORD RECOVERY ROUTES
+|--------------------------------------------------------------------------
+*/
+
+/**
+ * @route POST /auth/forgot-password
+ * @summary Email a single-use password reset link.
+ * @access Public
+ * @middleware forgotPasswordBody - Validates the email.
+ * @bodyParam {string} email - The account's email address.
+ * @returns {object} 202 - Same response whether or not the email is registered.
+ * @example
+ * POST /auth/forgot-password
+ * Body: { "email": "john@example.com" }
+ * Response: { "message": "If an account exists for that email, a reset link is on its way." }
+ */
+authRoutes.post("/forgot-password", forgotPasswordBody, authController.forgotPassword);
+
+/**
+ * @route POST /auth/reset-password
+ * @summary Set a new password with the token from a reset link; all sessions are revoked.
+ * @access Public (requires a reset token)
+ * @middleware resetPasswordBody - Validates the token and new password.
+ * @bodyParam {string} token - Token from the emailed link (works once, expires after `PASSWORD_RESET_TTL_MINUTES`).
+ * @bodyParam {string} new_password - At least 6 characters.
+ * @returns {object} 200 - `{ message, revoked_sessions }`.
+ * @returns {object} 400 - The link is invalid, used or expired.
+ * @example
+ * POST /auth/reset-password
+ * Body: { "token": "q3V...", "new_password": "newSecret456" }
+ */
+authRoutes.post("/reset-password", resetPasswordBody, authController.resetPassword);
+
+/*
+|--------------------------------------------------------------------------
+| SESSION ROUTES
+|--------------------------------------------------------------------------
+*/
+
+/**
+ * @route POST /auth/refresh
+ * @summary Exchange a refresh token for a new access token and refresh token.
+ * @access Public (requires a refresh token)
+ * @bodyParam {string} refreshToken - The refresh token from login or the last refresh; it is single-use.
+ * @returns {object} 200 - `{ token, refreshToken }`. A token presented again within
+ *   `REFRESH_TOKEN_REUSE_GRACE_SECONDS` of its use (tabs refreshing together) gets the same new refresh token.
+ * @returns {object} 401 - Invalid, expired, reused (the session is then revoked) or revoked token.
+ * @example
+ * POST /auth/refresh
+ * Body: { "refreshToken": "..." }
+ * Response: { "token": "eyJhbGciOi...", "refreshToken": "..." }
+ */
+authRoutes.post("/refresh", refreshBody, sessionController.refresh);
+
+/**
+ * @route POST /auth/logout
+ * @summary End the current session so its tokens stop working.
+ * @access Public (requires a refresh token or a Bearer access token)
+ * @middleware optionalAuth - Identifies the session from the access token when no refresh token is sent.
+ * @bodyParam {string} [refreshToken] - The session's refresh token.
+ * @returns {void} 204 - Logged out (also when the session had already ended).
+ * @example
+ * POST /auth/logout
+ * Body: { "refreshToken": "..." }
+ */
+authRoutes.post("/logout", optionalAuth, logoutBody, sessionController.logout);
+
+/*
+|--------------------------------------------------------------------------
+| TWO-FACTOR AUTHENTICATION ROUTES
+|--------------------------------------------------------------------------
+*/
+
+/**
+ * @route POST /auth/2fa/verify
+ * @summary Second login step: exchange the challenge token and a TOTP or recovery code for a session.
+ * @access Public (requires a challenge token from `POST /auth/login`)
+ * @middleware twoFactorVerifyBody - Validates the challenge token and code.
+ * @bodyParam {string} challengeToken - From the login response; expires after `TWO_FACTOR_CHALLENGE_TTL_SECONDS`.
+ * @bodyParam {string} [code] - 6-digit code from the authenticator app.
+ * @bodyParam {string} [recovery_code] - One of the recovery codes (works once).
+ * @returns {object} 200 - `{ user, token, refreshToken }`, plus `recovery_codes_left` after a recovery code.
+ * @returns {object} 401 - Wrong code (counts as a failed login) or expired challenge.
+ * @returns {object} 429|423 - Throttled or locked, as for `POST /auth/login`.
+ * @example
+ * POST /auth/2fa/verify
+ * Body: { "challengeToken": "eyJhbGciOi...", "code": "492039" }
+ */
+authRoutes.post("/2fa/verify", twoFactorVerifyBody, authController.verifyTwoFactor);
+
+/**
+ * @route GET /auth/2fa
+ * @summary Two-factor status of the signed-in user.
+ * @access Authenticated
+ * @middleware requireAuth - Ensures authentication.
+ * @returns {object} 200 - `{ enabled, pending, required, recovery_codes_left }`.
+ * @example
+ * GET /auth/2fa
+ */
+authRoutes.get("/2fa", requireAuth, twoFactorController.status);
+
+/**
+ * @route POST /auth/2fa/setup
+ * @summary Start enrollment: create a pending secret for an authenticator app.
+ * @access Authenticated
+ * @middleware requireAuth - Ensures authentication.
+ * @returns {object} 200 - `{ secret, otpauth_url, qr_code }` (`qr_code` is a PNG data URL of `otpauth_url`).
+ * @returns {object} 409 - 2FA is already enabled.
+ * @example
+ * POST /auth/2fa/setup
+ */
+authRoutes.post("/2fa/setup", requireAuth, twoFactorController.setup);
+
+/**
+ * @route POST /auth/2fa/enable
+ * @summary Finish enrollment with a first code from the app.
+ * @access Authenticated
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware twoFactorCodeBody - Validates the code.
+ * @bodyParam {string} code - 6-digit code from the authenticator app.
+ * @returns {object} 200 - `{ recovery_codes, token }`; the codes are shown only once, and `token` is an access token for the now verified session.
+ * @returns {object} 400 - Setup not started, or wrong code.
+ * @example
+ * POST /auth/2fa/enable
+ * Body: { "code": "492039" }
+ */
+authRoutes.post("/2fa/enable", requireAuth, twoFactorCodeBody, twoFactorController.enable);
+
+/**
+ * @route POST /auth/2fa/recovery-codes
+ * @summary Replace the recovery codes.
+ * @access Authenticated
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware twoFactorCodeBody - Validates the code.
+ * @bodyParam {string} code - 6-digit code from the authenticator app.
+ * @returns {object} 200 - `{ recovery_codes }`.
+ * @returns {object} 401 - Wrong code.
+ * @example
+ * POST /auth/2fa/recovery-codes
+ * Body: { "code": "492039" }
+ */
+authRoutes.post("/2fa/recovery-codes", requireAuth, twoFactorCodeBody, twoFactorController.regenerateRecoveryCodes);
+
+/**
+ * @route POST /auth/2fa/disable
+ * @summary Turn two-factor authentication off.
+ * @access Authenticated
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware twoFactorDisableBody - Validates the password and code.
+ * @bodyParam {string} password - The account password.
+ * @bodyParam {string} [code] - 6-digit code from the authenticator app.
+ * @bodyParam {string} [recovery_code] - Or one of the recovery codes.
+ * @returns {void} 204 - 2FA is off.
+ * @returns {object} 401 - Wrong password or code.
+ * @returns {object} 403 - The user's role requires 2FA (`TWO_FACTOR_REQUIRED_ROLES`).
+ * @example
+ * POST /auth/2fa/disable
+ * Body: { "password": "secret123", "code": "492039" }
+ */
+authRoutes.post("/2fa/disable", requireAuth, twoFactorDisableBody, twoFactorController.disable);
+
+/*
+|--------------------------------------------------------------------------
+| PERMISSION-PROTECTED ROUTES
+|--------------------------------------------------------------------------
+*/
+
+/**
+ * @route DELETE /auth/users/:id/sessions
+ * @summary Revoke every session of a user; their access and refresh tokens stop working at once.
+ * @access Admin
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("security:manage") - Restricts access to roles granted `security:manage`.
+ * @param {number} id - The user ID.
+ * @returns {object} 200 - `{ user_id, revoked }` with the number of sessions revoked.
+ * @example
+ * DELETE /auth/users/4/sessions
+ * Response: { "user_id": 4, "revoked": 2 }
+ */
+authRoutes.delete(
+  "/users/:id/sessions",
+  requireAuth,
+  requirePermission("security:manage"),
+  userIdParam,
+  sessionController.revokeUserSessions
+);
+
+/**
+ * @route GET /auth/users/:id/lockout
+ * @summary Show whether a user's account is locked by failed logins.
+ * @access Admin
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("security:manage") - Restricts access to roles granted `security:manage`.
+ * @param {number} id - The user ID.
+ * @returns {object} 200 - `{ user_id, locked, locked_until, failed_login_count, last_failed_login_at }`.
+ * @returns {object} 404 - User not found.
+ * @example
+ * GET /auth/users/4/lockout
+ * Response: { "user_id": 4, "locked": true, "locked_until": "2025-03-01T10:15:00.000Z", "failed_login_count": 0, ... }
+ */
+authRoutes.get(
+  "/users/:id/lockout",
+  requireAuth,
+  requirePermission("security:manage"),
+  userIdParam,
+  loginSecurityController.lockStatus
+);
+
+/**
+ * @route DELETE /auth/users/:id/lockout
+ * @summary Unlock a user's account and reset its failed login count.
+ * @access Admin
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("security:manage") - Restricts access to roles granted `security:manage`.
+ * @param {number} id - The user ID.
+ * @returns {object} 200 - `{ user_id, was_locked }`.
+ * @returns {object} 404 - User not found.
+ * @example
+ * DELETE /auth/users/4/lockout
+ * Response: { "user_id": 4, "was_locked": true }
+ */
+authRoutes.delete(
+  "/users/:id/lockout",
+  requireAuth,
+  requirePermission("security:manage"),
+  userIdParam,
+  loginSecurityController.unlock
+);
+
+/**
+ * @route GET /auth/login-attempts
+ * @summary Audit trail of login attempts, newest first.
+ * @access Admin
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("security:manage") - Restricts access to roles granted `security:manage`.
+ * @queryParam {string} [email] - Only attempts with this email.
+ * @queryParam {number} [user_id] - Only attempts on this account.
+ * @queryParam {string} [ip] - Only attempts from this IP address.
+ * @queryParam {string} [since] - ISO 8601 date; only attempts at or after it.
+ * @queryParam {boolean} [all=false] - Include successful logins.
+ * @queryParam {number} [limit=100] - Maximum number of rows (1–500).
+ * @returns {object[]} 200 - `[{ attempt_id, email, user_id, ip, user_agent, succeeded, reason, attempted_at }]`;
+ *   `reason` is `unknown_email`, `bad_password`, `bad_code`, `locked`, `throttled` or `ip_throttled`.
+ * @example
+ * GET /auth/login-attempts?ip=203.0.113.9&since=2025-03-01
+ */
+authRoutes.get(
+  "/login-attempts",
+  requireAuth,
+  requirePermission("security:manage"),
+  loginAttemptsQuery,
+  loginSecurityController.listAttempts
+);
+
+/**
+ * @route DELETE /auth/users/:id/2fa
+ * @summary Turn off two-factor authentication for a user who lost their device.
+ * @access Admin
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("security:manage") - Restricts access to roles granted `security:manage`.
+ * @param {number} id - The user ID.
+ * @returns {object} 200 - `{ user_id, was_enabled }`.
+ * @returns {object} 404 - User not found.
+ * @example
+ * DELETE /auth/users/4/2fa
+ * Response: { "user_id": 4, "was_enabled": true }
+ */
+authRoutes.delete(
+  "/users/:id/2fa",
+  requireAuth,
+  requirePermission("security:manage"),
+  userIdParam,
+  twoFactorController.reset
+);
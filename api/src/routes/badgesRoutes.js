@@ -1,10 +1,9 @@
 import { Router } from "express";
-import { BadgesRepository } from "../domain/repositories/BadgesRepository.js";
-import { BadgesService } from "../services/BadgesService.js";
+import { badgesService } from "../config/services.js";
 import { BadgesController } from "../controllers/BadgesController.js";
 import { idParam, upsertBadge } from "../validators/badgeValidator.js";
 import { requireAuth } from "../middlewares/requireAuth.js";
-import { isAdmin } from "../middlewares/isAdmin.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 
 /**
  * Express router module for managing badge-related API routes.
@@ -22,9 +21,7 @@ import { isAdmin } from "../middlewares/isAdmin.js";
  * const app = express();
  * app.use("/badges", badgeRoutes);
  */
-const repo = new BadgesRepository();
-const service = new BadgesService(repo);
-const controller = new BadgesController(service);
+const controller = new BadgesController(badgesService);
 
 /**
  * Express Router instance for badge routes.
@@ -63,7 +60,7 @@ badgeRoutes.get("/:id", idParam, controller.get);
 
 /*
 |--------------------------------------------------------------------------
-| ADMIN-PROTECTED ROUTES
+| PERMISSION-PROTECTED ROUTES
 |--------------------------------------------------------------------------
 */
 
@@ -72,25 +69,29 @@ badgeRoutes.get("/:id", idParam, controller.get);
  * @summary Create a new badge (admin-only).
  * @access Admin
  * @middleware requireAuth - Ensures the user is authenticated.
- * @middleware isAdmin - Ensures the user has admin privileges.
+ * @middleware requirePermission("content:write") - Restricts access to roles granted `content:write`.
  * @middleware upsertBadge - Validates request body fields.
  * @bodyParam {string} name - The name of the badge.
  * @bodyParam {string} description - Description of the badge.
- * @bodyParam {number} level_id - Associated level ID.
+ * @bodyParam {number} [level_id] - Level the badge is shown under.
  * @bodyParam {string} [icon_url] - Optional icon URL.
+ * @bodyParam {object} [criteria] - Award rule checked after every submission, e.g.
+ * `{ type: "perfect_level", level_id }`, `{ type: "perfect_streak", count }`, `{ type: "daily_streak", days }`,
+ * `{ type: "time_budget", max_ms, level_id? }` or `{ type: "first_try_perfect", count? }`.
  * @returns {Badge} 201 - The created badge entity.
  * @example
  * POST /badges
- * Body: { "level_id": 3, "name": "Pro Explorer", "description": "Completed level 3" }
+ * Body: { "level_id": 3, "name": "Pro Explorer", "description": "Completed level 3",
+ *         "criteria": { "type": "perfect_level", "level_id": 3 } }
  */
-badgeRoutes.post("/", requireAuth, isAdmin, upsertBadge, controller.create);
+badgeRoutes.post("/", requireAuth, requirePermission("content:write"), upsertBadge, controller.create);
 
 /**
  * @route PUT /badges/:id
  * @summary Update an existing badge (admin-only).
  * @access Admin
  * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Ensures admin privileges.
+ * @middleware requirePermission("content:write") - Restricts access to roles granted `content:write`.
  * @middleware idParam - Validates badge ID.
  * @middleware upsertBadge - Validates request body.
  * @param {number} id - The badge ID to update.
@@ -98,6 +99,7 @@ badgeRoutes.post("/", requireAuth, isAdmin, upsertBadge, controller.create);
  * @bodyParam {string} [description] - New description.
  * @bodyParam {number} [level_id] - Updated level ID.
  * @bodyParam {string} [icon_url] - Updated icon URL.
+ * @bodyParam {object} [criteria] - Updated award rule (see POST /badges).
  * @returns {Badge} 200 - The updated badge entity.
  * @example
  * PUT /badges/2
@@ -106,7 +108,7 @@ badgeRoutes.post("/", requireAuth, isAdmin, upsertBadge, controller.create);
 badgeRoutes.put(
   "/:id",
   requireAuth,
-  isAdmin,
+  requirePermission("content:write"),
   [...idParam, ...upsertBadge],
   controller.update
 );
@@ -116,10 +118,10 @@ badgeRoutes.put(
  * @summary Delete a badge by its ID (admin-only).
  * @access Admin
  * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts to admins only.
+ * @middleware requirePermission("content:delete") - Restricts access to roles granted `content:delete`.
  * @param {number} id - The badge ID.
  * @returns {void} 204 - Successfully deleted, no content.
  * @example
  * DELETE /badges/4
  */
-badgeRoutes.delete("/:id", requireAuth, isAdmin, idParam, controller.delete);
+badgeRoutes.delete("/:id", requireAuth, requirePermission("content:delete"), idParam, controller.delete);
@@ -0,0 +1,128 @@
+import { Router } from "express";
+import { certificateService } from "../config/services.js";
+import { CertificateController } from "../controllers/CertificateController.js";
+import { serialParam } from "../validators/certificateValidator.js";
+import { requireAuth } from "../middlewares/requireAuth.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { requireVerifiedEmail } from "../middlewares/requireVerifiedEmail.js";
+
+/**
+ * Express router module for completion certificates.
+ *
+ * Certificates are issued by the server (never by the browser) once a user
+ * completes every level. Each carries a signed serial that anyone can check
+ * through the public verification route.
+ *
+ * @module certificateRoutes
+ *
+ * @example
+ * import express from "express";
+ * import { certificateRoutes } from "./routes/certificateRoutes.js";
+ *
+ * const app = express();
+ * app.use("/certificates", certificateRoutes);
+ */
+const controller = new CertificateController(certificateService);
+
+/**
+ * Express Router instance for certificate routes.
+ * @type {import('express').Router}
+ */
+export const certificateRoutes = Router();
+
+/*
+|--------------------------------------------------------------------------
+| PUBLIC ROUTES
+|--------------------------------------------------------------------------
+*/
+
+/**
+ * @route GET /certificates/verify/:serial
+ * @summary Confirm that a certificate is authentic and still valid.
+ * @access Public
+ * @param {string} serial - The certificate serial, e.g. "SIM-7F3A9C21B04E-5D1E88A0".
+ * @returns {object} 200 - `{ valid, status, certificate }`; status is valid, expired, revoked or invalid.
+ * @returns {object} 404 - `{ valid: false, status: "not_found" }`.
+ * @example
+ * GET /certificates/verify/SIM-7F3A9C21B04E-5D1E88A0
+ * Response: { valid: true, status: "valid", certificate: { serial: "SIM-...", holder_name: "Alex Johnson",
+ *             title: "First Aid Elite Responder Certificate", issued_at: "...", expires_at: "...", revoked_at: null } }
+ */
+certificateRoutes.get("/verify/:serial", serialParam, controller.verify);
+
+/**
+ * @route GET /certificates/:serial/pdf
+ * @summary Download a certificate as a vector PDF (holder, levels, serial and verification QR code).
+ * @access Public - the serial is what holders share with employers and LMS exports.
+ * @param {string} serial - The certificate serial.
+ * @returns {Buffer} 200 - `application/pdf` attachment named `<serial>.pdf`.
+ * @returns {object} 404 - Unknown serial.
+ * @returns {object} 410 - `{ message, status }` for revoked or tampered certificates.
+ * @example
+ * GET /certificates/SIM-7F3A9C21B04E-5D1E88A0/pdf
+ */
+certificateRoutes.get("/:serial/pdf", serialParam, controller.pdf);
+
+/*
+|--------------------------------------------------------------------------
+| AUTHENTICATED ROUTES
+|--------------------------------------------------------------------------
+*/
+
+/**
+ * @route GET /certificates/me
+ * @summary Retrieve the authenticated user's certificates.
+ * @access Authenticated
+ * @middleware requireAuth - Ensures the user is authenticated.
+ * @returns {Certificate[]} 200 - The user's certificates, newest first.
+ */
+certificateRoutes.get("/me", requireAuth, controller.mine);
+
+/**
+ * @route POST /certificates
+ * @summary Issue the completion certificate to the authenticated user.
+ * @access Authenticated
+ * @middleware requireAuth - Ensures the user is authenticated.
+ * @middleware requireVerifiedEmail - Requires a verified email unless `EMAIL_VERIFICATION_POLICY=none`.
+ * @returns {Certificate} 201 - Newly issued certificate.
+ * @returns {Certificate} 200 - The user's current certificate (already issued).
+ * @returns {object} 403 - Not every level is completed yet, or `code: "EMAIL_NOT_VERIFIED"`.
+ * @example
+ * POST /certificates
+ * Response: { certificate_id: 3, serial: "SIM-...", title: "...", issued_at: "...", expires_at: "...",
+ *             holder_name: "Alex Johnson", verify_url: "http://localhost:5173/verify/SIM-..." }
+ */
+certificateRoutes.post("/", requireAuth, requireVerifiedEmail("certificate"), controller.issue);
+
+/*
+|--------------------------------------------------------------------------
+| PERMISSION-PROTECTED ROUTES
+|--------------------------------------------------------------------------
+*/
+
+/**
+ * @route GET /certificates
+ * @summary Retrieve every issued certificate.
+ * @access Admin, Org admin, Instructor
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("reports:read") - Restricts access to roles granted `reports:read`.
+ * @returns {Certificate[]} 200 - All certificates, newest first.
+ */
+certificateRoutes.get("/", requireAuth, requirePermission("reports:read"), controller.list);
+
+/**
+ * @route POST /certificates/:serial/revoke
+ * @summary Revoke a certificate so verification reports it as revoked.
+ * @access Admin
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("certificates:revoke") - Restricts access to roles granted `certificates:revoke`.
+ * @param {string} serial - The certificate serial.
+ * @returns {Certificate} 200 - The revoked certificate.
+ */
+certificateRoutes.post(
+  "/:serial/revoke",
+  requireAuth,
+  requirePermission("certificates:revoke"),
+  serialParam,
+  controller.revoke
+);
@@ -0,0 +1,283 @@
+import { Router } from "express";
+import { assignmentService, classService } from "../config/services.js";
+import { ClassController } from "../controllers/ClassController.js";
+import {
+  idParam,
+  memberParams,
+  assignmentParams,
+  createClass,
+  updateClass,
+  createAssignment,
+} from "../validators/classValidator.js";
+import { requireAuth } from "../middlewares/requireAuth.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+
+/**
+ * Express router module for classes, enrollment and assignments.
+ *
+ * Instructors and organization admins group learners into classes and
+ * assign them scenarios or whole levels with a due date and a minimum
+ * score. Members of an organization only see and manage their
+ * organization's classes. Learners read their own assignments at
+ * `GET /assignments/me` (see {@link module:assignmentRoutes}).
+ *
+ * @module classRoutes
+ *
+ * @example
+ * import express from "express";
+ * import { classRoutes } from "./routes/classRoutes.js";
+ *
+ * const app = express();
+ * app.use("/classes", classRoutes);
+ */
+const controller = new ClassController(classService, assignmentService);
+
+/**
+ * Express Router instance for class routes.
+ * @type {import('express').Router}
+ */
+export const classRoutes = Router();
+
+/*
+|--------------------------------------------------------------------------
+| PERMISSION-PROTECTED ROUTES
+|--------------------------------------------------------------------------
+*/
+
+/**
+ * @route GET /classes
+ * @summary List classes with their member counts (own organization's only for its members).
+ * @access Admin, Org admin, Instructor
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("reports:read") - Restricts access to roles granted `reports:read`.
+ * @returns {Class[]} 200 - `[{ class_id, name, organization_id, created_by, member_count, created_at }]`.
+ * @example
+ * GET /classes
+ */
+classRoutes.get("/", requireAuth, requirePermission("reports:read"), controller.list);
+
+/**
+ * @route GET /classes/:id
+ * @summary Retrieve one class.
+ * @access Admin, Org admin, Instructor
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("reports:read") - Restricts access to roles granted `reports:read`.
+ * @param {number} id - The class ID.
+ * @returns {Class} 200 - The class.
+ * @returns {object} 404 - Not found, or another organization's class.
+ * @example
+ * GET /classes/3
+ */
+classRoutes.get("/:id", requireAuth, requirePermission("reports:read"), idParam, controller.get);
+
+/**
+ * @route GET /classes/:id/members
+ * @summary List the users enrolled in a class.
+ * @access Admin, Org admin, Instructor
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("reports:read") - Restricts access to roles granted `reports:read`.
+ * @param {number} id - The class ID.
+ * @returns {object[]} 200 - `[{ user_id, full_name, email, organization_id, enrolled_at }]`.
+ * @returns {object} 404 - Not found, or another organization's class.
+ * @example
+ * GET /classes/3/members
+ */
+classRoutes.get(
+  "/:id/members",
+  requireAuth,
+  requirePermission("reports:read"),
+  idParam,
+  controller.members
+);
+
+/**
+ * @route GET /classes/:id/assignments
+ * @summary List the assignments of a class, soonest due first.
+ * @access Admin, Org admin, Instructor
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("reports:read") - Restricts access to roles granted `reports:read`.
+ * @param {number} id - The class ID.
+ * @returns {Assignment[]} 200 - `[{ assignment_id, scenario_id, level_id, title, due_at, min_score, ... }]`.
+ * @returns {object} 404 - Not found, or another organization's class.
+ * @example
+ * GET /classes/3/assignments
+ */
+classRoutes.get(
+  "/:id/assignments",
+  requireAuth,
+  requirePermission("reports:read"),
+  idParam,
+  controller.assignments
+);
+
+/**
+ * @route GET /classes/:id/progress
+ * @summary Completion matrix of a class: every member × every assignment, from their best scores.
+ * @access Admin, Org admin, Instructor
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("reports:read") - Restricts access to roles granted `reports:read`.
+ * @param {number} id - The class ID.
+ * @returns {object} 200 - `{ class, assignments: [{ ..., completed_count }], members: [{ user_id, full_name, progress: [{ assignment_id, status, best_score | passed, total }] }] }`.
+ * @returns {object} 404 - Not found, or another organization's class.
+ * @example
+ * GET /classes/3/progress
+ * Response: { "class": { "class_id": 3, ... }, "assignments": [...], "members": [{ "user_id": 14, "progress": [{ "assignment_id": 5, "status": "overdue", "passed": 1, "total": 4 }] }] }
+ */
+classRoutes.get(
+  "/:id/progress",
+  requireAuth,
+  requirePermission("reports:read"),
+  idParam,
+  controller.progress
+);
+
+/**
+ * @route POST /classes
+ * @summary Create a class in the caller's organization (a platform class for platform staff).
+ * @access Admin, Org admin, Instructor
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("assignments:write") - Restricts access to roles granted `assignments:write`.
+ * @middleware createClass - Validates the request body.
+ * @bodyParam {string} name - Display name.
+ * @returns {Class} 201 - The new class.
+ * @example
+ * POST /classes
+ * Body: { "name": "Night shift" }
+ */
+classRoutes.post(
+  "/",
+  requireAuth,
+  requirePermission("assignments:write"),
+  createClass,
+  controller.create
+);
+
+/**
+ * @route PUT /classes/:id
+ * @summary Rename a class.
+ * @access Admin, Org admin, Instructor
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("assignments:write") - Restricts access to roles granted `assignments:write`.
+ * @middleware updateClass - Validates the ID and body.
+ * @param {number} id - The class ID.
+ * @bodyParam {string} name - New display name.
+ * @returns {Class} 200 - The updated class.
+ * @example
+ * PUT /classes/3
+ * Body: { "name": "Night shift B" }
+ */
+classRoutes.put(
+  "/:id",
+  requireAuth,
+  requirePermission("assignments:write"),
+  updateClass,
+  controller.update
+);
+
+/**
+ * @route DELETE /classes/:id
+ * @summary Delete a class with its enrollments and assignments (attempts are kept).
+ * @access Admin, Org admin, Instructor
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("assignments:write") - Restricts access to roles granted `assignments:write`.
+ * @param {number} id - The class ID.
+ * @returns {void} 204 - Deleted.
+ * @example
+ * DELETE /classes/3
+ */
+classRoutes.delete(
+  "/:id",
+  requireAuth,
+  requirePermission("assignments:write"),
+  idParam,
+  controller.delete
+);
+
+/**
+ * @route PUT /classes/:id/members/:user_id
+ * @summary Enroll a user; a class of an organization only takes its members. Enrolling twice is harmless.
+ * @access Admin, Org admin, Instructor
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("assignments:write") - Restricts access to roles granted `assignments:write`.
+ * @param {number} id - The class ID.
+ * @param {number} user_id - The user to enroll.
+ * @returns {object[]} 200 - The class's members.
+ * @returns {object} 404 - Class or user not found (or user outside the class's organization).
+ * @example
+ * PUT /classes/3/members/14
+ */
+classRoutes.put(
+  "/:id/members/:user_id",
+  requireAuth,
+  requirePermission("assignments:write"),
+  memberParams,
+  controller.enroll
+);
+
+/**
+ * @route DELETE /classes/:id/members/:user_id
+ * @summary Remove a user from a class.
+ * @access Admin, Org admin, Instructor
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("assignments:write") - Restricts access to roles granted `assignments:write`.
+ * @param {number} id - The class ID.
+ * @param {number} user_id - The member to remove.
+ * @returns {void} 204 - Removed.
+ * @returns {object} 404 - Class not found or user not enrolled.
+ * @example
+ * DELETE /classes/3/members/14
+ */
+classRoutes.delete(
+  "/:id/members/:user_id",
+  requireAuth,
+  requirePermission("assignments:write"),
+  memberParams,
+  controller.unenroll
+);
+
+/**
+ * @route POST /classes/:id/assignments
+ * @summary Assign one scenario, or every scenario of a level, with a due date and minimum score.
+ * @access Admin, Org admin, Instructor
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("assignments:write") - Restricts access to roles granted `assignments:write`.
+ * @middleware createAssignment - Validates the ID and body.
+ * @param {number} id - The class ID.
+ * @bodyParam {number} [scenario_id] - Scenario to assign (shared, or private to the class's organization).
+ * @bodyParam {number} [level_id] - Level to assign (exactly one of scenario_id / level_id).
+ * @bodyParam {string} due_at - Due date (ISO 8601).
+ * @bodyParam {number} min_score - Minimum score (0–100) that counts as done.
+ * @returns {Assignment} 201 - The new assignment.
+ * @returns {object} 404 - Class, scenario or level not found.
+ * @example
+ * POST /classes/3/assignments
+ * Body: { "level_id": 2, "due_at": "2026-11-01T17:00:00Z", "min_score": 80 }
+ */
+classRoutes.post(
+  "/:id/assignments",
+  requireAuth,
+  requirePermission("assignments:write"),
+  createAssignment,
+  controller.createAssignment
+);
+
+/**
+ * @route DELETE /classes/:id/assignments/:assignment_id
+ * @summary Remove an assignment from a class.
+ * @access Admin, Org admin, Instructor
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("assignments:write") - Restricts access to roles granted `assignments:write`.
+ * @param {number} id - The class ID.
+ * @param {number} assignment_id - The assignment ID.
+ * @returns {void} 204 - Removed.
+ * @returns {object} 404 - Class or assignment not found.
+ * @example
+ * DELETE /classes/3/assignments/5
+ */
+classRoutes.delete(
+  "/:id/assignments/:assignment_id",
+  requireAuth,
+  requirePermission("assignments:write"),
+  assignmentParams,
+  controller.deleteAssignment
+);
@@ -1,10 +1,9 @@
 import { Router } from "express";
-import { LevelRepository } from "../domain/repositories/LevelRepository.js";
-import { LevelService } from "../services/LevelService.js";
+import { levelService, levelUnlockService } from "../config/services.js";
 import { LevelController } from "../controllers/LevelController.js";
-import { idParam, upsertLevel } from "../validators/levelValidator.js";
+import { idParam, upsertLevel, setPrerequisites } from "../validators/levelValidator.js";
 import { requireAuth } from "../middlewares/requireAuth.js";
-import { isAdmin } from "../middlewares/isAdmin.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 
 /**
  * Express router module for managing game or course levels.
@@ -21,9 +20,7 @@ import { isAdmin } from "../middlewares/isAdmin.js";
  * const app = express();
  * app.use("/levels", levelRoutes);
  */
-const repo = new LevelRepository();
-const service = new LevelService(repo);
-const controller = new LevelController(service);
+const controller = new LevelController(levelService, levelUnlockService);
 
 /**
  * Express Router instance for level routes.
@@ -39,15 +36,41 @@ export const levelRoutes = Router();
 
 /**
  * @route GET /levels
- * @summary Retrieve a list of all available levels.
+ * @summary Retrieve a list of all available levels, ordered by difficulty order.
  * @access Public
- * @returns {Level[]} 200 - List of level entities.
+ * @returns {Level[]} 200 - List of level entities with their prerequisites.
  * @example
  * GET /levels
- * Response: [{ level_id: 1, title: "Beginner", description: "Introduction level" }]
+ * Response: [{ level_id: 1, title: "Beginner", description: "Introduction level", difficulty_order: 1, prerequisites: [] }]
  */
 levelRoutes.get("/", controller.list);
 
+/*
+|--------------------------------------------------------------------------
+| AUTHENTICATED ROUTES
+|--------------------------------------------------------------------------
+*/
+
+/**
+ * @route GET /levels/progress
+ * @summary Retrieve the authenticated user's level map.
+ * @access Authenticated
+ * @middleware requireAuth - Ensures the user is authenticated.
+ * @returns {object[]} 200 - Levels in difficulty order with `unlocked`, `completed`, `avg_score` and unmet prerequisites.
+ * @example
+ * GET /levels/progress
+ * Response: [{ level_id: 2, title: "Intermediate", unlocked: false, completed: false, avg_score: 0,
+ *              prerequisites: [{ required_level_id: 1, min_score: null }],
+ *              unmet: [{ required_level_id: 1, min_score: null, avg_score: 60 }] }]
+ */
+levelRoutes.get("/progress", requireAuth, controller.progress);
+
+/*
+|--------------------------------------------------------------------------
+| PUBLIC ROUTES (by ID)
+|--------------------------------------------------------------------------
+*/
+
 /**
  * @route GET /levels/:id
  * @summary Retrieve details of a specific level by its ID.
@@ -62,7 +85,7 @@ levelRoutes.get("/:id", idParam, controller.get);
 
 /*
 |--------------------------------------------------------------------------
-| ADMIN-PROTECTED ROUTES
+| PERMISSION-PROTECTED ROUTES
 |--------------------------------------------------------------------------
 */
 
@@ -71,7 +94,7 @@ levelRoutes.get("/:id", idParam, controller.get);
  * @summary Create a new level (admin-only).
  * @access Admin
  * @middleware requireAuth - Ensures the user is authenticated.
- * @middleware isAdmin - Ensures the user has administrative privileges.
+ * @middleware requirePermission("content:write") - Restricts access to roles granted `content:write`.
  * @middleware upsertLevel - Validates the request body.
  * @bodyParam {string} title - The level title.
  * @bodyParam {string} description - The level description.
@@ -81,14 +104,14 @@ levelRoutes.get("/:id", idParam, controller.get);
  * POST /levels
  * Body: { "title": "Expert", "description": "Hardest stage", "difficulty_order": 5 }
  */
-levelRoutes.post("/", requireAuth, isAdmin, upsertLevel, controller.create);
+levelRoutes.post("/", requireAuth, requirePermission("content:write"), upsertLevel, controller.create);
 
 /**
  * @route PUT /levels/:id
  * @summary Update an existing level (admin-only).
  * @access Admin
  * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts access to admins only.
+ * @middleware requirePermission("content:write") - Restricts access to roles granted `content:write`.
  * @middleware idParam - Validates the level ID parameter.
  * @middleware upsertLevel - Validates the request body.
  * @param {number} id - The ID of the level to update.
@@ -103,20 +126,45 @@ levelRoutes.post("/", requireAuth, isAdmin, upsertLevel, controller.create);
 levelRoutes.put(
   "/:id",
   requireAuth,
-  isAdmin,
+  requirePermission("content:write"),
   [...idParam, ...upsertLevel],
   controller.update
 );
 
+/**
+ * @route PUT /levels/:id/prerequisites
+ * @summary Replace the unlock rules of a level (admin-only).
+ * @access Admin
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("content:write") - Restricts access to roles granted `content:write`.
+ * @middleware idParam - Validates the level ID parameter.
+ * @middleware setPrerequisites - Validates the request body.
+ * @param {number} id - The ID of the level to configure.
+ * @bodyParam {Array<{required_level_id: number, min_score?: number|null}>} prerequisites - All rules must be met;
+ * `min_score` null requires completing the level, otherwise the average best score must reach it. Empty makes an entry level.
+ * @returns {Level} 200 - The level with its new prerequisites.
+ * @returns {object} 400 - Unknown or self-referencing level, or a cycle in the level graph.
+ * @example
+ * PUT /levels/7/prerequisites
+ * Body: { "prerequisites": [{ "required_level_id": 2 }, { "required_level_id": 3, "min_score": 80 }] }
+ */
+levelRoutes.put(
+  "/:id/prerequisites",
+  requireAuth,
+  requirePermission("content:write"),
+  [...idParam, ...setPrerequisites],
+  controller.setPrerequisites
+);
+
 /**
  * @route DELETE /levels/:id
  * @summary Delete a level by its ID (admin-only).
  * @access Admin
  * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts to admins only.
+ * @middleware requirePermission("content:delete") - Restricts access to roles granted `content:delete`.
  * @param {number} id - The ID of the level to delete.
  * @returns {void} 204 - Successfully deleted, no response body.
  * @example
  * DELETE /levels/4
  */
-levelRoutes.delete("/:id", requireAuth, isAdmin, idParam, controller.delete);
+levelRoutes.delete("/:id", requireAuth, requirePermission("content:delete"), idParam, controller.delete);
@@ -0,0 +1,197 @@
+import { Router } from "express";
+import { organizationService } from "../config/services.js";
+import { OrganizationController } from "../controllers/OrganizationController.js";
+import {
+  idParam,
+  memberParams,
+  createOrganization,
+  updateOrganization,
+} from "../validators/organizationValidator.js";
+import { requireAuth } from "../middlewares/requireAuth.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+
+/**
+ * Express router module for organizations (client companies).
+ *
+ * Platform admins manage organizations and their membership. Organization
+ * staff can read their own organization and its member list; they add
+ * members by creating users (`POST /users`), which places them in the
+ * creator's organization.
+ *
+ * @module organizationRoutes
+ *
+ * @example
+ * import express from "express";
+ * import { organizationRoutes } from "./routes/organizationRoutes.js";
+ *
+ * const app = express();
+ * app.use("/organizations", organizationRoutes);
+ */
+const controller = new OrganizationController(organizationService);
+
+/**
+ * Express Router instance for organization routes.
+ * @type {import('express').Router}
+ */
+export const organizationRoutes = Router();
+
+/*
+|--------------------------------------------------------------------------
+| PERMISSION-PROTECTED ROUTES
+|--------------------------------------------------------------------------
+*/
+
+/**
+ * @route GET /organizations
+ * @summary List every organization with its member count.
+ * @access Admin
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("organizations:manage") - Restricts access to roles granted `organizations:manage`.
+ * @returns {Organization[]} 200 - `[{ organization_id, name, slug, member_count, created_at }]`.
+ * @example
+ * GET /organizations
+ */
+organizationRoutes.get("/", requireAuth, requirePermission("organizations:manage"), controller.list);
+
+/**
+ * @route GET /organizations/:id
+ * @summary Retrieve one organization; members of an organization can only read their own.
+ * @access Admin, Org admin, Instructor
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("users:read") - Restricts access to roles granted `users:read`.
+ * @param {number} id - The organization ID.
+ * @returns {Organization} 200 - The organization.
+ * @returns {object} 404 - Not found, or another organization.
+ * @example
+ * GET /organizations/2
+ * Response: { "organization_id": 2, "name": "Acme Logistics", "slug": "acme", "member_count": 48, ... }
+ */
+organizationRoutes.get("/:id", requireAuth, requirePermission("users:read"), idParam, controller.get);
+
+/**
+ * @route GET /organizations/:id/members
+ * @summary List the members of an organization.
+ * @access Admin, Org admin, Instructor
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("users:read") - Restricts access to roles granted `users:read`.
+ * @param {number} id - The organization ID.
+ * @returns {User[]} 200 - The members.
+ * @returns {object} 404 - Not found, or another organization.
+ * @example
+ * GET /organizations/2/members
+ */
+organizationRoutes.get(
+  "/:id/members",
+  requireAuth,
+  requirePermission("users:read"),
+  idParam,
+  controller.members
+);
+
+/**
+ * @route POST /organizations
+ * @summary Create an organization.
+ * @access Admin
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("organizations:manage") - Restricts access to roles granted `organizations:manage`.
+ * @middleware createOrganization - Validates the request body.
+ * @bodyParam {string} name - Display name.
+ * @bodyParam {string} slug - Unique handle (lowercase letters, digits and dashes).
+ * @returns {Organization} 201 - The new organization.
+ * @returns {object} 409 - Slug already in use.
+ * @example
+ * POST /organizations
+ * Body: { "name": "Acme Logistics", "slug": "acme" }
+ */
+organizationRoutes.post(
+  "/",
+  requireAuth,
+  requirePermission("organizations:manage"),
+  createOrganization,
+  controller.create
+);
+
+/**
+ * @route PUT /organizations/:id
+ * @summary Rename an organization or change its slug.
+ * @access Admin
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("organizations:manage") - Restricts access to roles granted `organizations:manage`.
+ * @middleware updateOrganization - Validates the ID and body.
+ * @param {number} id - The organization ID.
+ * @bodyParam {string} [name] - New display name.
+ * @bodyParam {string} [slug] - New handle.
+ * @returns {Organization} 200 - The updated organization.
+ * @example
+ * PUT /organizations/2
+ * Body: { "name": "Acme Logistics Ltd" }
+ */
+organizationRoutes.put(
+  "/:id",
+  requireAuth,
+  requirePermission("organizations:manage"),
+  updateOrganization,
+  controller.update
+);
+
+/**
+ * @route DELETE /organizations/:id
+ * @summary Delete an organization without members or private scenarios.
+ * @access Admin
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("organizations:manage") - Restricts access to roles granted `organizations:manage`.
+ * @param {number} id - The organization ID.
+ * @returns {void} 204 - Deleted.
+ * @returns {object} 409 - The organization still has members or private scenarios.
+ * @example
+ * DELETE /organizations/2
+ */
+organizationRoutes.delete(
+  "/:id",
+  requireAuth,
+  requirePermission("organizations:manage"),
+  idParam,
+  controller.delete
+);
+
+/**
+ * @route PUT /organizations/:id/members/:user_id
+ * @summary Move a user into the organization (out of any previous one).
+ * @access Admin
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("organizations:manage") - Restricts access to roles granted `organizations:manage`.
+ * @param {number} id - The organization ID.
+ * @param {number} user_id - The user to add.
+ * @returns {User} 200 - The updated user.
+ * @returns {object} 409 - Platform admins cannot belong to an organization.
+ * @example
+ * PUT /organizations/2/members/14
+ */
+organizationRoutes.put(
+  "/:id/members/:user_id",
+  requireAuth,
+  requirePermission("organizations:manage"),
+  memberParams,
+  controller.addMember
+);
+
+/**
+ * @route DELETE /organizations/:id/members/:user_id
+ * @summary Take a user out of the organization (it becomes a platform account).
+ * @access Admin
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("organizations:manage") - Restricts access to roles granted `organizations:manage`.
+ * @param {number} id - The organization ID.
+ * @param {number} user_id - The member to remove.
+ * @returns {User} 200 - The updated user.
+ * @returns {object} 409 - Organization admins must get another role first.
+ * @example
+ * DELETE /organizations/2/members/14
+ */
+organizationRoutes.delete(
+  "/:id/members/:user_id",
+  requireAuth,
+  requirePermission("organizations:manage"),
+  memberParams,
+  controller.removeMember
+);
@@ -0,0 +1,78 @@
+import { Router } from "express";
+import { recertificationService } from "../config/services.js";
+import { RecertificationController } from "../controllers/RecertificationController.js";
+import { remindersQuery } from "../validators/recertificationValidator.js";
+import { requireAuth } from "../middlewares/requireAuth.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+
+/**
+ * Express router module for recertification.
+ *
+ * Completed levels and certificates expire. Learners see their validity and
+ * refresher path here; admins follow up on the expiries flagged by the
+ * scheduled reminder job (see `jobs/expiryReminderJob.js`).
+ *
+ * @module recertificationRoutes
+ *
+ * @example
+ * import express from "express";
+ * import { recertificationRoutes } from "./routes/recertificationRoutes.js";
+ *
+ * const app = express();
+ * app.use("/recertification", recertificationRoutes);
+ */
+const controller = new RecertificationController(recertificationService);
+
+/**
+ * Express Router instance for recertification routes.
+ * @type {import('express').Router}
+ */
+export const recertificationRoutes = Router();
+
+/*
+|--------------------------------------------------------------------------
+| AUTHENTICATED ROUTES
+|--------------------------------------------------------------------------
+*/
+
+/**
+ * @route GET /recertification/me
+ * @summary Validity of the user's levels and certificate, with the refresher path.
+ * @access Authenticated
+ * @middleware requireAuth - Ensures the user is authenticated.
+ * @returns {object} 200 - `{ levels, certificate, reminders, window_days }`; each level has
+ *   `status` (not_completed, current, expiring, expired), `expires_at`, `renewal_opens_at` and `refresher`.
+ * @example
+ * GET /recertification/me
+ * Response: { levels: [{ level_id: 1, title: "Basics", status: "expiring", expires_at: "...",
+ *             refresher: [{ scenario_id: 3, title: "Choking adult", passed: false }] }],
+ *             certificate: { serial: "SIM-...", expires_at: "...", status: "expiring" }, reminders: [...], window_days: 60 }
+ */
+recertificationRoutes.get("/me", requireAuth, controller.mine);
+
+/*
+|--------------------------------------------------------------------------
+| PERMISSION-PROTECTED ROUTES
+|--------------------------------------------------------------------------
+*/
+
+/**
+ * @route GET /recertification/reminders
+ * @summary List users flagged for an upcoming or past expiry.
+ * @access Admin, Org admin, Instructor
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("reports:read") - Restricts access to roles granted `reports:read`.
+ * @param {string} [since] - ISO date; only reminders flagged since then (default: last 30 days).
+ * @returns {ExpiryReminder[]} 200 - Reminders with user name, email and subject label, soonest expiry first.
+ */
+recertificationRoutes.get("/reminders", requireAuth, requirePermission("reports:read"), remindersQuery, controller.reminders);
+
+/**
+ * @route POST /recertification/reminders/run
+ * @summary Run the expiry scan now instead of waiting for the scheduled job.
+ * @access Admin
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("reminders:run") - Restricts access to roles granted `reminders:run`.
+ * @returns {object} 200 - `{ flagged, reminders }` for the newly flagged expiries.
+ */
+recertificationRoutes.post("/reminders/run", requireAuth, requirePermission("reminders:run"), controller.runReminders);
@@ -1,16 +1,17 @@
 import { Router } from "express";
 import { ScenarioRepository } from "../domain/repositories/ScenarioRepository.js";
-import { ScenarioService } from "../services/ScenarioService.js";
+import {
+  scenarioRunService,
+  scenarioService,
+  scenarioStepService,
+  submissionService,
+} from "../config/services.js";
 import { ScenarioController } from "../Controllers/ScenarioController.js";
-import { idParam, upsertScenario } from "../validators/scenarioValidator.js";
+import { idParam, upsertScenario, answerStep } from "../validators/scenarioValidator.js";
 import { requireAuth } from "../middlewares/requireAuth.js";
-import { isAdmin } from "../middlewares/isAdmin.js";
-import { ScenarioStepRepository } from "../domain/repositories/ScenarioStepRepository.js";
-import { ScenarioStepService } from "../services/ScenarioStepService.js";
-import { AttemptRepository } from "../domain/repositories/AttemptRepository.js";
-import { BadgesRepository } from "../domain/repositories/BadgesRepository.js";
-import { UserBadgeRepository } from "../domain/repositories/UserBadgeRepository.js";
-import { UserLevelRepository } from "../domain/repositories/UserLevelRepository.js";
+import { optionalAuth } from "../middlewares/optionalAuth.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { requireVerifiedEmail } from "../middlewares/requireVerifiedEmail.js";
 
 /**
  * Express router module for handling scenario-related routes.
@@ -18,10 +19,8 @@ import { UserLevelRepository } from "../domain/repositories/UserLevelRepository.
  * Provides public and admin-protected endpoints for listing, retrieving,
  * creating, updating, deleting, and submitting scenario answers.
  *
- * This module composes multiple dependencies:
- * - **Repositories** for database access (Scenario, Steps, Attempts, Badges, etc.)
- * - **Services** for domain logic and business rules
- * - **Controllers** for request/response handling
+ * The services come wired from `config/services.js`, shared with the
+ * GraphQL resolvers; this module only adds the controller and the routes.
  *
  * @module scenarioRoutes
  *
@@ -32,17 +31,6 @@ import { UserLevelRepository } from "../domain/repositories/UserLevelRepository.
  * const app = express();
  * app.use("/scenarios", scenarioRoutes);
  */
-const scenarioRepo = new ScenarioRepository();
-const scenarioSvc = new ScenarioService(scenarioRepo);
-
-const stepRepo = new ScenarioStepRepository();
-const stepSvc = new ScenarioStepService(stepRepo);
-
-const attemptRepo = new AttemptRepository();
-const badgeRepo = new BadgesRepository();
-const userBadgeRepo = new UserBadgeRepository();
-const userLevelRepo = new UserLevelRepository();
-
 // Debugging helper (optional)
 console.log("Repo methods:", Object.getOwnPropertyNames(ScenarioRepository.prototype));
 
@@ -50,14 +38,7 @@ console.log("Repo methods:", Object.getOwnPropertyNames(ScenarioRepository.proto
  * Initialize the controller with all required dependencies.
  * @type {ScenarioController}
  */
-const controller = new ScenarioController(
-  scenarioSvc,
-  stepSvc,
-  attemptRepo,
-  badgeRepo,
-  userBadgeRepo,
-  userLevelRepo
-);
+const controller = new ScenarioController(scenarioService, scenarioStepService, submissionService, scenarioRunService);
 
 /**
  * Express Router instance for scenario routes.
@@ -75,54 +56,133 @@ export const scenarioRoutes = Router();
  * @route GET /scenarios/level/:levelId
  * @summary Retrieve all scenarios that belong to a specific level.
  * @access Public
+ * @middleware optionalAuth - Adds the caller's organization's private scenarios.
  * @param {number} levelId - The ID of the level.
  * @returns {Scenario[]} 200 - A list of scenarios for the specified level.
  * @example
  * GET /scenarios/level/2
  * Response: [{ scenario_id: 5, level_id: 2, title: "Warehouse Fire" }]
  */
-scenarioRoutes.get("/level/:levelId", controller.listByLevel);
+scenarioRoutes.get("/level/:levelId", optionalAuth, controller.listByLevel);
 
 /**
  * @route GET /scenarios
  * @summary Retrieve all available scenarios.
  * @access Public
+ * @middleware optionalAuth - Adds the caller's organization's private scenarios.
  * @returns {Scenario[]} 200 - A list of all scenarios.
  * @example
  * GET /scenarios
  */
-scenarioRoutes.get("/", controller.list);
+scenarioRoutes.get("/", optionalAuth, controller.list);
 
 /**
  * @route GET /scenarios/:id
  * @summary Retrieve a scenario by its ID (including its steps).
- * @access Public
+ * @access Public (roles granted `content:read` receive the full view, once they meet the 2FA policy)
+ * @middleware optionalAuth - Identifies the caller when a token is sent.
  * @param {number} id - Scenario ID.
- * @returns {Scenario} 200 - The scenario object with ordered steps.
+ * @returns {Scenario} 200 - The scenario object with ordered steps. Callers without
+ * `content:read` get the player view, without `correct_action` or `feedback_message`.
+ * @returns {object} 404 - Not found, or private to another organization.
  * @example
  * GET /scenarios/4
- * Response: { scenario_id: 4, title: "Evacuation Drill", steps: [...] }
+ * Response: { scenario_id: 4, title: "Evacuation Drill", steps: [{ step_id: 9, question_text: "...", options: {...} }] }
  */
-scenarioRoutes.get("/:id", idParam, controller.get);
+scenarioRoutes.get("/:id", optionalAuth, idParam, controller.get);
+
+/**
+ * @route POST /scenarios/:id/start
+ * @summary Open the learner's run of a scenario (or resume the one they have answered steps in).
+ *   The time taken on the first step is measured from here; a run without answers restarts its clock.
+ * @access Authenticated Users
+ * @middleware requireAuth - Ensures the user is logged in.
+ * @middleware requireVerifiedEmail - Requires a verified email when `EMAIL_VERIFICATION_POLICY=submission`.
+ * @param {number} id - Scenario ID.
+ * @returns {object} 200 - `{ run_id, started_at, answered }`: `answered` steps were already answered in the run.
+ * @returns {object} 403 - The scenario's level is still locked for this user, or `code: "EMAIL_NOT_VERIFIED"`.
+ * @example
+ * POST /scenarios/4/start
+ * Response: { "run_id": 31, "started_at": "2025-01-12T09:30:00.000Z", "answered": 0 }
+ */
+scenarioRoutes.post(
+  "/:id/start",
+  requireAuth,
+  requireVerifiedEmail("submission"),
+  idParam,
+  controller.start
+);
+
+/**
+ * @route POST /scenarios/:id/steps/:stepId/answer
+ * @summary Check a committed answer for one step, store it in the learner's run and reveal its feedback.
+ *   The first answer to each step of a run is final: checking the step again returns the stored result
+ *   with `already_answered: true`. The first check opens the run; submitting closes it.
+ * @access Authenticated Users
+ * @middleware requireAuth - Ensures the user is logged in.
+ * @middleware requireVerifiedEmail - Requires a verified email when `EMAIL_VERIFICATION_POLICY=submission`.
+ * @middleware answerStep - Validates the step ID and the answer's shape.
+ * @param {number} id - Scenario ID.
+ * @param {number} stepId - Step ID (must belong to the scenario).
+ * @bodyParam {string|boolean|number|Array<string>|object|null} answer - The answer, shaped by the step type
+ *   (option key, true/false, number, option keys to select / in order, or the `{ x, y }` point tapped on a
+ *   hotspot image), or null if the step timed out.
+ * @returns {object} 200 - `{ step_id, answer, is_correct, correct_action, feedback_message, next_step_id, outcome,
+ *   already_answered }`: `next_step_id` is the step the answer leads to, or null (with the `outcome`, if any) when
+ *   the scenario ends.
+ *   With a simulated casualty, also `vitals` and `patient_status` after the action, the run so far played on
+ *   the casualty with the time taken on each step measured by the server.
+ * @returns {object} 403 - The scenario's level is still locked for this user, or `code: "EMAIL_NOT_VERIFIED"`.
+ * @returns {object} 409 - `code: "STEP_OUT_OF_ORDER"` (with `expected_step_id`): another step is due first;
+ *   `code: "RUN_ENDED"`: the run has reached the end of the scenario and only needs submitting.
+ * @example
+ * POST /scenarios/4/steps/9/answer
+ * Body: { "answer": "B" }
+ * Response: { "step_id": 9, "answer": "B", "is_correct": true, "correct_action": "B", "feedback_message": "...",
+ *             "next_step_id": 12, "outcome": null, "already_answered": false }
+ */
+scenarioRoutes.post(
+  "/:id/steps/:stepId/answer",
+  requireAuth,
+  requireVerifiedEmail("submission"),
+  [...idParam, ...answerStep],
+  controller.answer
+);
 
 /**
  * @route POST /scenarios/:id/submit
- * @summary Submit user answers for a scenario and update progress/badges.
+ * @summary Grade the learner's run of a scenario, close it and update progress/badges (in one transaction).
+ *   Grades the answers stored by `POST /scenarios/:id/steps/:stepId/answer`, in the order played; steps of
+ *   the path not answered yet count as wrong. The try's duration runs from the opening of the run.
  * @access Authenticated Users
  * @middleware requireAuth - Ensures the user is logged in.
+ * @middleware requireVerifiedEmail - Requires a verified email when `EMAIL_VERIFICATION_POLICY=submission`.
  * @param {number} id - Scenario ID.
- * @bodyParam {Array<string>} userAnswers - Array of selected actions ("A", "B", "C", or "D").
- * @returns {object} 200 - Submission result with score, progress, and badges.
+ * @header {string} [Idempotency-Key] - Client-generated key (max 255 chars); a retry with the same key
+ *   returns the original result with `Idempotent-Replayed: true` instead of grading again.
+ * @bodyParam {Array<object>} [stepResults] - Per-step timing: `{ step_id, timed_out, response_ms }`.
+ * @returns {object} 200 - Submission result with score, the `path` of step IDs taken and its `outcome`,
+ *   the simulated casualty's final state (`patient`) and the `answer_score` before it was blended in,
+ *   progress, newly unlocked levels, and badges.
+ * @returns {object} 403 - The scenario's level is still locked for this user, or `code: "EMAIL_NOT_VERIFIED"`.
+ * @returns {object} 409 - `code: "NO_ANSWERS"`: no step was checked since the last submission.
+ * @returns {object} 422 - `code: "IDEMPOTENCY_KEY_REUSED"`: the key was already used for another scenario.
  * @example
  * POST /scenarios/3/submit
- * Body: { "userAnswers": ["A", "C", "D"] }
- * Response: { "score": 100, "level_progress": {...}, "awarded_badge": {...} }
+ * Body: { "stepResults": [{ "step_id": 11, "timed_out": false, "response_ms": 5230 }] }
+ * Response: { "score": 100, "level_progress": {...}, "unlocked_levels": [4], "awarded_badges": [{...}],
+ *             "certificate": {...} }
  */
-scenarioRoutes.post("/:id/submit", requireAuth, controller.submit);
+scenarioRoutes.post(
+  "/:id/submit",
+  requireAuth,
+  requireVerifiedEmail("submission"),
+  controller.submit
+);
 
 /*
 |--------------------------------------------------------------------------
-| ADMIN-PROTECTED ROUTES
+| PERMISSION-PROTECTED ROUTES
 |--------------------------------------------------------------------------
 */
 
@@ -131,25 +191,37 @@ scenarioRoutes.post("/:id/submit", requireAuth, controller.submit);
  * @summary Create a new scenario (admin-only).
  * @access Admin
  * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts to admins.
+ * @middleware requirePermission("content:write") - Restricts access to roles granted `content:write`.
  * @middleware upsertScenario - Validates the scenario payload.
  * @bodyParam {number} level_id - Associated level ID.
  * @bodyParam {string} title - Scenario title.
  * @bodyParam {string} description - Scenario description.
  * @bodyParam {string} [image_url] - Optional scenario image URL.
+ * @bodyParam {number|null} [organization_id] - Make the scenario private to this organization.
+ * @bodyParam {object|null} [patient] - Simulated casualty: `{ initial, trend?, outcome_weight? }`
+ *   (see Casualty Simulation in the README).
  * @returns {Scenario} 201 - The newly created scenario.
  * @example
  * POST /scenarios
  * Body: { "level_id": 2, "title": "Factory Safety Drill", "description": "Handle emergencies safely" }
+ * Body: {
+ *   "level_id": 3,
+ *   "title": "Arterial Bleed",
+ *   "patient": {
+ *     "initial": { "consciousness": "voice", "breathing": 26, "pulse": 130, "bleeding": "severe", "spo2": 93 },
+ *     "trend": { "pulse": 6, "spo2": -2 },
+ *     "outcome_weight": 40
+ *   }
+ * }
  */
-scenarioRoutes.post("/", requireAuth, isAdmin, upsertScenario, controller.create);
+scenarioRoutes.post("/", requireAuth, requirePermission("content:write"), upsertScenario, controller.create);
 
 /**
  * @route PUT /scenarios/:id
  * @summary Update an existing scenario by its ID (admin-only).
  * @access Admin
  * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts to admins.
+ * @middleware requirePermission("content:write") - Restricts access to roles granted `content:write`.
  * @middleware idParam - Validates scenario ID.
  * @middleware upsertScenario - Validates payload.
  * @param {number} id - Scenario ID.
@@ -161,7 +233,7 @@ scenarioRoutes.post("/", requireAuth, isAdmin, upsertScenario, controller.create
 scenarioRoutes.put(
   "/:id",
   requireAuth,
-  isAdmin,
+  requirePermission("content:write"),
   [...idParam, ...upsertScenario],
   controller.update
 );
@@ -171,10 +243,10 @@ scenarioRoutes.put(
  * @summary Delete a scenario by its ID (admin-only).
  * @access Admin
  * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts access to admins.
+ * @middleware requirePermission("content:delete") - Restricts access to roles granted `content:delete`.
  * @param {number} id - Scenario ID.
  * @returns {void} 204 - Successfully deleted.
  * @example
  * DELETE /scenarios/3
  */
-scenarioRoutes.delete("/:id", requireAuth, isAdmin, idParam, controller.delete);
+scenarioRoutes.delete("/:id", requireAuth, requirePermission("content:delete"), idParam, controller.delete);
@@ -1,18 +1,18 @@
 import { Router } from "express";
-import { ScenarioStepRepository } from "../domain/repositories/ScenarioStepRepository.js";
-import { ScenarioStepService } from "../services/ScenarioStepService.js";
+import { scenarioStepService } from "../config/services.js";
 import { ScenarioStepController } from "../Controllers/ScenarioStepController.js";
 import { idParam, upsertScenarioStep } from "../validators/scenarioStepValidator.js";
 import { requireAuth } from "../middlewares/requireAuth.js";
-import { isAdmin } from "../middlewares/isAdmin.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 
 /**
  * Express router module for managing scenario step operations.
  *
  * Provides routes for listing, retrieving, creating, updating, and deleting
  * scenario steps (individual multiple-choice questions within a scenario).
- * Public routes are available for reading data, while creation, modification,
- * and deletion require admin authorization.
+ * Raw steps carry their answer keys (`correct_action`, `feedback_message`),
+ * so every route here requires the `content:*` permissions. Learners get the
+ * answer-free player view through `GET /scenarios/:id` instead.
  *
  * @module scenarioStepRoutes
  *
@@ -23,9 +23,7 @@ import { isAdmin } from "../middlewares/isAdmin.js";
  * const app = express();
  * app.use("/scenario-steps", scenarioStepRoutes);
  */
-const repo = new ScenarioStepRepository();
-const service = new ScenarioStepService(repo);
-const controller = new ScenarioStepController(service);
+const controller = new ScenarioStepController(scenarioStepService);
 
 /**
  * Express Router instance for scenario step routes.
@@ -35,25 +33,29 @@ export const scenarioStepRoutes = Router();
 
 /*
 |--------------------------------------------------------------------------
-| PUBLIC ROUTES
+| PERMISSION-PROTECTED ROUTES
 |--------------------------------------------------------------------------
 */
 
 /**
  * @route GET /scenario-steps
- * @summary Retrieve a list of all scenario steps.
- * @access Public
+ * @summary Retrieve a list of all scenario steps (admins and instructors).
+ * @access Admin, Org admin, Instructor
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("content:read") - Restricts access to roles granted `content:read`.
  * @returns {ScenarioStep[]} 200 - List of all steps across scenarios.
  * @example
  * GET /scenario-steps
  * Response: [{ step_id: 1, scenario_id: 3, question_text: "What is the first action?" }]
  */
-scenarioStepRoutes.get("/", controller.list);
+scenarioStepRoutes.get("/", requireAuth, requirePermission("content:read"), controller.list);
 
 /**
  * @route GET /scenario-steps/:id
- * @summary Retrieve a single scenario step by its ID.
- * @access Public
+ * @summary Retrieve a single scenario step by its ID (admins and instructors).
+ * @access Admin, Org admin, Instructor
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("content:read") - Restricts access to roles granted `content:read`.
  * @param {number} id - The ID of the scenario step.
  * @returns {ScenarioStep} 200 - The step details.
  * @example
@@ -66,53 +68,83 @@ scenarioStepRoutes.get("/", controller.list);
  *   correct_action: "A"
  * }
  */
-scenarioStepRoutes.get("/:id", idParam, controller.get);
-
-/*
-|--------------------------------------------------------------------------
-| ADMIN-PROTECTED ROUTES
-|--------------------------------------------------------------------------
-*/
+scenarioStepRoutes.get("/:id", requireAuth, requirePermission("content:read"), idParam, controller.get);
 
 /**
  * @route POST /scenario-steps
  * @summary Create a new scenario step (admin-only).
  * @access Admin
  * @middleware requireAuth - Ensures the user is authenticated.
- * @middleware isAdmin - Restricts access to admin users.
+ * @middleware requirePermission("content:write") - Restricts access to roles granted `content:write`.
  * @middleware upsertScenarioStep - Validates the request body.
  * @bodyParam {number} scenario_id - ID of the associated scenario.
  * @bodyParam {number} step_order - The step order within the scenario.
  * @bodyParam {string} question_text - The question or prompt.
- * @bodyParam {string} option_a - Option A text.
- * @bodyParam {string} option_b - Option B text.
- * @bodyParam {string} option_c - Option C text.
- * @bodyParam {string} option_d - Option D text.
- * @bodyParam {string} correct_action - The correct answer ("A", "B", "C", or "D").
+ * @bodyParam {string} [step_type="single_choice"] - "single_choice", "true_false", "multi_select", "ordering", "numeric"
+ *   or "hotspot".
+ * @bodyParam {string} [image_url] - Image shown with the question; required by hotspot steps (the image tapped).
+ * @bodyParam {string} [image_alt] - Text alternative of the image (up to 255 characters), shown to screen readers;
+ *   required by hotspot steps, which ask about what is in the image.
+ * @bodyParam {object} [options] - Options keyed "A", "B", ... (2–6; choice, multi-select and ordering steps).
+ *   Single-choice steps may send `option_a`–`option_d` instead.
+ * @bodyParam {any} correct_action - The correct answer: an option key, true/false, the keys to select,
+ *   every key in order (never plain key order, A, B, ...), `{ min, max }` for numeric steps, or for hotspot
+ *   steps the regions to tap: polygons of `[x, y]` points, as fractions (0–1) of the image's width and height.
+ * @bodyParam {string} [unit] - Unit of a numeric answer (e.g. "cm").
+ * @bodyParam {object} [transitions] - Where the answer leads: keys are option keys (single choice),
+ *   "TRUE"/"FALSE" (true/false), "correct" or "incorrect"; values are the `step_id` of a later step of
+ *   the same scenario or `{ "outcome": "..." }` to end the scenario there.
+ * @bodyParam {object} [effects] - Change to the scenario's simulated casualty, keyed like `transitions`:
+ *   numeric vitals move by the given amount, the others take the given level.
  * @bodyParam {string} feedback_message - Feedback for the user.
  * @returns {ScenarioStep} 201 - The created step entity.
+ * @returns {object} 400 - Invalid body, or a transition leads outside the later steps of the scenario.
  * @example
  * POST /scenario-steps
  * Body: {
  *   "scenario_id": 2,
  *   "step_order": 1,
- *   "question_text": "What should you do first?",
- *   "option_a": "Evacuate",
- *   "option_b": "Hide",
- *   "option_c": "Call supervisor",
- *   "option_d": "Wait",
- *   "correct_action": "A",
- *   "feedback_message": "Always evacuate when safe."
+ *   "question_text": "Put the steps of CPR in order",
+ *   "step_type": "ordering",
+ *   "options": { "A": "Give 2 rescue breaths", "B": "Check for danger", "C": "30 chest compressions" },
+ *   "correct_action": ["B", "C", "A"],
+ *   "feedback_message": "Danger, compressions, then breaths."
+ * }
+ * Body: {
+ *   "scenario_id": 2,
+ *   "step_order": 2,
+ *   "question_text": "How many compressions per minute?",
+ *   "step_type": "numeric",
+ *   "correct_action": { "min": 100, "max": 120 },
+ *   "unit": "per minute"
+ * }
+ * Body: {
+ *   "scenario_id": 2,
+ *   "step_order": 3,
+ *   "question_text": "Tap where you'd apply pressure",
+ *   "step_type": "hotspot",
+ *   "image_url": "/assets/forearm-wound.png",
+ *   "image_alt": "Forearm with a bleeding cut between the wrist and the elbow",
+ *   "correct_action": [[[0.42, 0.35], [0.58, 0.35], [0.58, 0.52], [0.42, 0.52]]]
+ * }
+ * Body: {
+ *   "scenario_id": 3,
+ *   "step_order": 1,
+ *   "question_text": "The casualty is lying in the road. What do you do?",
+ *   "options": { "A": "Move them to the pavement", "B": "Stop traffic and assess them where they are" },
+ *   "correct_action": "B",
+ *   "transitions": { "A": { "outcome": "Moving them worsened a spinal injury." }, "B": 12 },
+ *   "effects": { "A": { "consciousness": "pain", "spo2": -4 } }
  * }
  */
-scenarioStepRoutes.post("/", requireAuth, isAdmin, upsertScenarioStep, controller.create);
+scenarioStepRoutes.post("/", requireAuth, requirePermission("content:write"), upsertScenarioStep, controller.create);
 
 /**
  * @route PUT /scenario-steps/:id
  * @summary Update an existing scenario step (admin-only).
  * @access Admin
  * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts to admin users.
+ * @middleware requirePermission("content:write") - Restricts access to roles granted `content:write`.
  * @middleware idParam - Validates step ID.
  * @middleware upsertScenarioStep - Validates the request body.
  * @param {number} id - Step ID.
@@ -127,7 +159,7 @@ scenarioStepRoutes.post("/", requireAuth, isAdmin, upsertScenarioStep, controlle
 scenarioStepRoutes.put(
   "/:id",
   requireAuth,
-  isAdmin,
+  requirePermission("content:write"),
   [...idParam, ...upsertScenarioStep],
   controller.update
 );
@@ -137,10 +169,10 @@ scenarioStepRoutes.put(
  * @summary Delete a scenario step by ID (admin-only).
  * @access Admin
  * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts to admins only.
+ * @middleware requirePermission("content:delete") - Restricts access to roles granted `content:delete`.
  * @param {number} id - Step ID.
  * @returns {void} 204 - Successfully deleted.
  * @example
  * DELETE /scenario-steps/6
  */
-scenarioStepRoutes.delete("/:id", requireAuth, isAdmin, idParam, controller.delete);
+scenarioStepRoutes.delete("/:id", requireAuth, requirePermission("content:delete"), idParam, controller.delete);
@@ -1,16 +1,18 @@
 import { Router } from 'express';
-import { StepAttemptRepository } from '../domain/repositories/StepAttemptRepository.js';
-import { StepAttemptService } from '../services/StepAttemptService.js';
-import { StepAttemptController } from '../Controllers/StepAttemptController.js';
-import { idParam, upsertStepAttempt } from '../validators/stepAttemptValidator.js';
+import { stepAttemptService } from '../config/services.js';
+import { StepAttemptController } from '../controllers/StepAttemptController.js';
+import { idParam, attemptIdParam, upsertStepAttempt } from '../validators/stepAttemptValidator.js';
+import { requireAuth } from '../middlewares/requireAuth.js';
+import { requirePermission } from '../middlewares/requirePermission.js';
 
 /**
  * Express router module for handling scenario step attempts.
  *
  * These routes manage user responses to individual scenario steps —
- * allowing admins or the app to list, fetch, create, and delete step-level attempts.
- * Typically, a "step attempt" is recorded automatically when a user answers a question
- * during a scenario simulation.
+ * allowing staff to list, fetch, create, and delete step-level attempts.
+ * Step attempts are recorded automatically by `POST /scenarios/:id/submit`;
+ * the create route here exists for backfills and corrections.
+ * Reading requires `reports:read`; writing requires `attempts:manage`.
  *
  * @module stepAttemptRoutes
  *
@@ -21,9 +23,7 @@ import { idParam, upsertStepAttempt } from '../validators/stepAttemptValidator.j
  * const app = express();
  * app.use("/step-attempts", stepAttemptRoutes);
  */
-const repo = new StepAttemptRepository();
-const service = new StepAttemptService(repo);
-const controller = new StepAttemptController(service);
+const controller = new StepAttemptController(stepAttemptService);
 
 /**
  * Express Router instance for step attempt routes.
@@ -33,27 +33,31 @@ export const stepAttemptRoutes = Router();
 
 /*
 |--------------------------------------------------------------------------
-| ROUTES
+| PERMISSION-PROTECTED ROUTES
 |--------------------------------------------------------------------------
 */
 
+stepAttemptRoutes.use(requireAuth);
+
 /**
  * @route GET /step-attempts
  * @summary Retrieve all step attempts.
- * @access Admin / Debug
+ * @access Admin, Org admin, Instructor
+ * @middleware requirePermission("reports:read") - Restricts access to roles granted `reports:read`.
  * @returns {StepAttempt[]} 200 - List of all recorded step attempts.
  * @example
  * GET /step-attempts
  * Response: [
- *   { step_attempt_id: 1, attempt_id: 12, step_id: 5, user_action: "A", is_correct: true }
+ *   { step_attempt_id: 1, attempt_id: 12, step_id: 5, user_action: "A", is_correct: true, timed_out: false, response_ms: 4210 }
  * ]
  */
-stepAttemptRoutes.get('/', controller.list);
+stepAttemptRoutes.get('/', requirePermission('reports:read'), controller.list);
 
 /**
  * @route GET /step-attempts/:id
  * @summary Retrieve a single step attempt by its ID.
- * @access Admin / Debug
+ * @access Admin, Org admin, Instructor
+ * @middleware requirePermission("reports:read") - Restricts access to roles granted `reports:read`.
  * @param {number} id - The unique ID of the step attempt.
  * @returns {StepAttempt} 200 - Step attempt details.
  * @example
@@ -66,12 +70,13 @@ stepAttemptRoutes.get('/', controller.list);
  *   is_correct: false
  * }
  */
-stepAttemptRoutes.get('/:id', idParam, controller.get);
+stepAttemptRoutes.get('/:id', requirePermission('reports:read'), idParam, controller.get);
 
 /**
  * @route GET /step-attempts/attempt/:attempt_id
  * @summary Retrieve all step attempts associated with a given scenario attempt.
- * @access Admin / Debug
+ * @access Admin, Org admin, Instructor
+ * @middleware requirePermission("reports:read") - Restricts access to roles granted `reports:read`.
  * @param {number} attempt_id - The ID of the parent scenario attempt.
  * @returns {StepAttempt[]} 200 - List of related step attempts.
  * @example
@@ -81,17 +86,21 @@ stepAttemptRoutes.get('/:id', idParam, controller.get);
  *   { step_attempt_id: 6, step_id: 3, user_action: "C", is_correct: false }
  * ]
  */
-stepAttemptRoutes.get('/attempt/:attempt_id', controller.getByAttempt);
+stepAttemptRoutes.get('/attempt/:attempt_id', requirePermission('reports:read'), attemptIdParam, controller.getByAttempt);
 
 /**
  * @route POST /step-attempts
- * @summary Create a new step attempt record (usually triggered automatically when a user answers a question).
- * @access Public / Application-level
+ * @summary Create a step attempt record manually (submissions record them automatically).
+ * @access Admin
+ * @middleware requirePermission("attempts:manage") - Restricts access to roles granted `attempts:manage`.
  * @middleware upsertStepAttempt - Validates request body parameters.
  * @bodyParam {number} attempt_id - ID of the associated scenario attempt.
+ * @bodyParam {number} [history_id] - ID of the attempt history entry (individual try).
  * @bodyParam {number} step_id - ID of the step being answered.
  * @bodyParam {string} user_action - The user’s selected answer (e.g., "A", "B", "C", or "D").
  * @bodyParam {boolean} is_correct - Whether the user’s action was correct.
+ * @bodyParam {boolean} [timed_out] - Whether the step timer expired before answering.
+ * @bodyParam {number} [response_ms] - Time taken to answer, in milliseconds.
  * @returns {StepAttempt} 201 - The newly created step attempt.
  * @example
  * POST /step-attempts
@@ -102,16 +111,17 @@ stepAttemptRoutes.get('/attempt/:attempt_id', controller.getByAttempt);
  *   "is_correct": false
  * }
  */
-stepAttemptRoutes.post('/', upsertStepAttempt, controller.create);
+stepAttemptRoutes.post('/', requirePermission('attempts:manage'), upsertStepAttempt, controller.create);
 
 /**
  * @route DELETE /step-attempts/:id
  * @summary Delete a specific step attempt by its ID.
- * @access Admin / Debug
+ * @access Admin
+ * @middleware requirePermission("attempts:manage") - Restricts access to roles granted `attempts:manage`.
  * @middleware idParam - Validates step attempt ID parameter.
  * @param {number} id - Step attempt ID.
  * @returns {void} 204 - Successfully deleted, no response body.
  * @example
  * DELETE /step-attempts/5
  */
-stepAttemptRoutes.delete('/:id', idParam, controller.delete);
+stepAttemptRoutes.delete('/:id', requirePermission('attempts:manage'), idParam, controller.delete);
@@ -1,16 +1,21 @@
 import { Router } from "express";
-import { UserBadgeRepository } from "../domain/repositories/UserBadgeRepository.js";
-import { UserBadgeService } from "../services/UserBadgeService.js";
+import { userBadgeService } from "../config/services.js";
 import { UserBadgeController } from "../Controllers/UserBadgeController.js";
 import { idParam, upsertUserBadge } from "../validators/userBadgeValidator.js";
+import { requireAuth } from "../middlewares/requireAuth.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { requireSelfOrPermission } from "../middlewares/requireSelfOrPermission.js";
 
 /**
  * Express router module for handling user-badge relationships.
  *
  * These routes manage which badges users have earned — allowing listing,
  * retrieval, creation, updating, and deletion of user badge records.
- * Typically, user badges are created automatically when users reach specific
- * milestones or achievements in the application.
+ * Badges are awarded by the server's BadgeRuleEngine after each submission;
+ * writing user-badge records by hand requires the `badges:award` permission.
+ * Every route requires authentication; users read their own badges, and
+ * reading anyone else's needs `reports:read` (organization staff: their
+ * members only).
  *
  * @module userBadgeRoutes
  *
@@ -21,9 +26,7 @@ import { idParam, upsertUserBadge } from "../validators/userBadgeValidator.js";
  * const app = express();
  * app.use("/user-badges", userBadgeRoutes);
  */
-const repo = new UserBadgeRepository();
-const service = new UserBadgeService(repo);
-const controller = new UserBadgeController(service);
+const controller = new UserBadgeController(userBadgeService);
 
 /**
  * Express Router instance for user badge routes.
@@ -39,21 +42,27 @@ export const userBadgeRoutes = Router();
 
 /**
  * @route GET /user-badges
- * @summary Retrieve all user badge records.
- * @access Admin / Debug
- * @returns {UserBadge[]} 200 - List of all user badges.
+ * @summary Retrieve the user badge records the caller may read, or one user's badges.
+ * @access Authenticated
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requireSelfOrPermission("reports:read") - Another user's `user_id` needs `reports:read`.
+ * Without `user_id`, callers without `reports:read` only get their own badges.
+ * @queryParam {number} [user_id] - Only this user's badges.
+ * @returns {UserBadge[]} 200 - List of user badges.
  * @example
  * GET /user-badges
  * Response: [
  *   { user_badge_id: 1, user_id: 4, badge_id: 2, earned_at: "2025-01-05T12:00:00Z" }
  * ]
  */
-userBadgeRoutes.get("/", controller.list);
+userBadgeRoutes.get("/", requireAuth, requireSelfOrPermission("reports:read"), controller.list);
 
 /**
  * @route GET /user-badges/:id
  * @summary Retrieve a single user badge record by its ID.
- * @access Admin / Debug
+ * @access Authenticated
+ * @middleware requireAuth - Ensures authentication.
+ * Records the caller may not read (see `GET /user-badges`) are reported as 404.
  * @param {number} id - The user badge record ID.
  * @returns {UserBadge} 200 - The user badge details.
  * @example
@@ -65,27 +74,32 @@ userBadgeRoutes.get("/", controller.list);
  *   earned_at: "2025-02-15T08:45:00Z"
  * }
  */
-userBadgeRoutes.get("/:id", idParam, controller.get);
+userBadgeRoutes.get("/:id", requireAuth, idParam, controller.get);
 
 /**
  * @route POST /user-badges
- * @summary Create a new user badge record.
- * @access Application / System
+ * @summary Manually award a badge to a user (admins and instructors).
+ * @access Admin, Org admin, Instructor
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("badges:award") - Restricts access to roles granted `badges:award`.
  * @middleware upsertUserBadge - Validates the request body.
  * @bodyParam {number} user_id - ID of the user earning the badge.
  * @bodyParam {number} badge_id - ID of the earned badge.
  * @bodyParam {string|Date} [earned_at] - Optional date/time when badge was earned.
  * @returns {UserBadge} 201 - Newly created user badge record.
+ * @returns {object} 404 - Unknown user, or a user outside the caller's organization.
  * @example
  * POST /user-badges
  * Body: { "user_id": 5, "badge_id": 3 }
  */
-userBadgeRoutes.post("/", upsertUserBadge, controller.create);
+userBadgeRoutes.post("/", requireAuth, requirePermission("badges:award"), upsertUserBadge, controller.create);
 
 /**
  * @route PUT /user-badges/:id
- * @summary Update an existing user badge record.
- * @access Admin / System
+ * @summary Update an existing user badge record (admins and instructors).
+ * @access Admin, Org admin, Instructor
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("badges:award") - Restricts access to roles granted `badges:award`.
  * @middleware idParam - Validates the user badge ID.
  * @middleware upsertUserBadge - Validates body fields.
  * @param {number} id - ID of the user badge record to update.
@@ -97,16 +111,24 @@ userBadgeRoutes.post("/", upsertUserBadge, controller.create);
  * PUT /user-badges/5
  * Body: { "earned_at": "2025-03-10T14:00:00Z" }
  */
-userBadgeRoutes.put("/:id", [...idParam, ...upsertUserBadge], controller.update);
+userBadgeRoutes.put(
+  "/:id",
+  requireAuth,
+  requirePermission("badges:award"),
+  [...idParam, ...upsertUserBadge],
+  controller.update
+);
 
 /**
  * @route DELETE /user-badges/:id
- * @summary Delete a user badge record by its ID.
- * @access Admin / Debug
+ * @summary Delete a user badge record by its ID (admins and instructors).
+ * @access Admin, Org admin, Instructor
+ * @middleware requireAuth - Ensures authentication.
+ * @middleware requirePermission("badges:award") - Restricts access to roles granted `badges:award`.
  * @middleware idParam - Validates the ID parameter.
  * @param {number} id - The ID of the user badge record to delete.
  * @returns {void} 204 - Successfully deleted, no content returned.
  * @example
  * DELETE /user-badges/7
  */
-userBadgeRoutes.delete("/:id", idParam, controller.delete);
+userBadgeRoutes.delete("/:id", requireAuth, requirePermission("badges:award"), idParam, controller.delete);
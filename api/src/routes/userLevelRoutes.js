@@ -1,8 +1,10 @@
 import { Router } from "express";
-import { UserLevelRepository } from "../domain/repositories/UserLevelRepository.js";
-import { UserLevelService } from "../services/UserLevelService.js";
+import { userLevelService } from "../config/services.js";
 import { UserLevelController } from "../Controllers/UserLevelController.js";
-import { idParam /*, upsertUserLevel*/ } from "../validators/userLevelValidator.js";
+import { idParam, upsertUserLevel } from "../validators/userLevelValidator.js";
+import { requireAuth } from "../middlewares/requireAuth.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { requireSelfOrPermission } from "../middlewares/requireSelfOrPermission.js";
 
 /**
  * Express router module for managing user-level relationships.
@@ -16,6 +18,11 @@ import { idParam /*, upsertUserLevel*/ } from "../validators/userLevelValidator.
  * - Fetching records by user, level, or ID
  * - Creating, updating, deleting, or upserting user-level progress
  *
+ * Every route requires authentication. Users read their own progress; reading
+ * anyone else's needs `reports:read` (organization staff: their members only).
+ * Progress is written by the game logic on scenario submission, so the write
+ * routes are reserved for corrections by holders of `attempts:manage`.
+ *
  * @module userLevelRoutes
  *
  * @example
@@ -25,9 +32,7 @@ import { idParam /*, upsertUserLevel*/ } from "../validators/userLevelValidator.
  * const app = express();
  * app.use("/user-levels", userLevelRoutes);
  */
-const repo = new UserLevelRepository();
-const service = new UserLevelService(repo);
-const controller = new UserLevelController(service);
+const controller = new UserLevelController(userLevelService);
 
 /**
  * Express Router instance for user-level routes.
@@ -37,14 +42,17 @@ export const userLevelRoutes = Router();
 
 /*
 |--------------------------------------------------------------------------
-| PUBLIC / ADMIN LISTING & QUERY ROUTES
+| LISTING & QUERY ROUTES
 |--------------------------------------------------------------------------
 */
 
 /**
  * @route GET /user-levels
  * @summary Retrieve all user-level records or filter by user and/or level.
- * @access Public / Admin
+ * @access Authenticated
+ * @middleware requireAuth - Ensures the user is logged in.
+ * @middleware requireSelfOrPermission("reports:read") - Another user's `user_id` needs `reports:read`.
+ * Without `user_id`, callers without `reports:read` only get their own records.
  * @queryParam {number} [user_id] - Filter by user ID.
  * @queryParam {number} [level_id] - Filter by level ID.
  * @returns {UserLevel[]} 200 - List of user-level relationships.
@@ -55,19 +63,21 @@ export const userLevelRoutes = Router();
  * GET /user-levels?user_id=3
  * Response: [{ level_id: 2, unlocked: true, completed: true }]
  */
-userLevelRoutes.get("/", controller.list);
+userLevelRoutes.get("/", requireAuth, requireSelfOrPermission("reports:read"), controller.list);
 
 /**
  * @route GET /user-levels/:id
  * @summary Retrieve a user-level record by its primary key (ID).
- * @access Admin / Debug
+ * @access Authenticated
+ * @middleware requireAuth - Ensures the user is logged in.
+ * Records the caller may not read (see `GET /user-levels`) are reported as 404.
  * @param {number} id - Unique user-level record ID.
  * @returns {UserLevel} 200 - A specific user-level record.
  * @example
  * GET /user-levels/5
  * Response: { user_level_id: 5, user_id: 1, level_id: 2, unlocked: true, completed: false }
  */
-userLevelRoutes.get("/:id", idParam, controller.getById);
+userLevelRoutes.get("/:id", requireAuth, idParam, controller.getById);
 
 /*
 |--------------------------------------------------------------------------
@@ -78,7 +88,9 @@ userLevelRoutes.get("/:id", idParam, controller.getById);
 /**
  * @route GET /user-levels/by-user/:user_id/levels
  * @summary Retrieve all level progress records for a specific user.
- * @access Public / Authenticated User
+ * @access Authenticated (self, or `reports:read`)
+ * @middleware requireAuth - Ensures the user is logged in.
+ * @middleware requireSelfOrPermission("reports:read") - Another user's progress needs `reports:read`.
  * @param {number} user_id - The ID of the user.
  * @returns {UserLevel[]} 200 - List of user-level progress records.
  * @example
@@ -88,12 +100,19 @@ userLevelRoutes.get("/:id", idParam, controller.getById);
  *   { level_id: 2, unlocked: true, completed: false }
  * ]
  */
-userLevelRoutes.get("/by-user/:user_id/levels", controller.listByUser);
+userLevelRoutes.get(
+  "/by-user/:user_id/levels",
+  requireAuth,
+  requireSelfOrPermission("reports:read"),
+  controller.listByUser
+);
 
 /**
  * @route GET /user-levels/by-user/:user_id/levels/:level_id
  * @summary Retrieve a specific level progress record for a user.
- * @access Public / Authenticated User
+ * @access Authenticated (self, or `reports:read`)
+ * @middleware requireAuth - Ensures the user is logged in.
+ * @middleware requireSelfOrPermission("reports:read") - Another user's progress needs `reports:read`.
  * @param {number} user_id - The ID of the user.
  * @param {number} level_id - The ID of the level.
  * @returns {UserLevel} 200 - Specific progress record for the user and level.
@@ -103,19 +122,23 @@ userLevelRoutes.get("/by-user/:user_id/levels", controller.listByUser);
  */
 userLevelRoutes.get(
   "/by-user/:user_id/levels/:level_id",
+  requireAuth,
+  requireSelfOrPermission("reports:read"),
   controller.getByUserAndLevel
 );
 
 /*
 |--------------------------------------------------------------------------
-| CRUD ROUTES
+| PERMISSION-PROTECTED CRUD ROUTES
 |--------------------------------------------------------------------------
 */
 
 /**
  * @route POST /user-levels
  * @summary Create a new user-level record.
- * @access Admin / System
+ * @access Admin
+ * @middleware requireAuth - Ensures the user is logged in.
+ * @middleware requirePermission("attempts:manage") - Restricts access to roles granted `attempts:manage`.
  * @bodyParam {number} user_id - ID of the user.
  * @bodyParam {number} level_id - ID of the level.
  * @bodyParam {boolean} [unlocked=false] - Whether the level is unlocked.
@@ -125,12 +148,20 @@ userLevelRoutes.get(
  * POST /user-levels
  * Body: { "user_id": 4, "level_id": 2, "unlocked": true, "completed": false }
  */
-userLevelRoutes.post("/", /* upsertUserLevel,*/ controller.create);
+userLevelRoutes.post(
+  "/",
+  requireAuth,
+  requirePermission("attempts:manage"),
+  upsertUserLevel,
+  controller.create
+);
 
 /**
  * @route PUT /user-levels/:id
  * @summary Update an existing user-level record.
- * @access Admin / System
+ * @access Admin
+ * @middleware requireAuth - Ensures the user is logged in.
+ * @middleware requirePermission("attempts:manage") - Restricts access to roles granted `attempts:manage`.
  * @param {number} id - The ID of the user-level record to update.
  * @bodyParam {boolean} [unlocked] - Updated unlocked status.
  * @bodyParam {boolean} [completed] - Updated completed status.
@@ -139,18 +170,32 @@ userLevelRoutes.post("/", /* upsertUserLevel,*/ controller.create);
  * PUT /user-levels/5
  * Body: { "completed": true }
  */
-userLevelRoutes.put("/:id", /* [...idParam, ...upsertUserLevel],*/ controller.update);
+userLevelRoutes.put(
+  "/:id",
+  requireAuth,
+  requirePermission("attempts:manage"),
+  idParam,
+  controller.update
+);
 
 /**
  * @route DELETE /user-levels/:id
  * @summary Delete a user-level record by its ID.
- * @access Admin / Debug
+ * @access Admin
+ * @middleware requireAuth - Ensures the user is logged in.
+ * @middleware requirePermission("attempts:manage") - Restricts access to roles granted `attempts:manage`.
  * @param {number} id - The ID of the record to delete.
  * @returns {void} 204 - Successfully deleted.
  * @example
  * DELETE /user-levels/8
  */
-userLevelRoutes.delete("/:id", idParam, controller.delete);
+userLevelRoutes.delete(
+  "/:id",
+  requireAuth,
+  requirePermission("attempts:manage"),
+  idParam,
+  controller.delete
+);
 
 /*
 |--------------------------------------------------------------------------
@@ -161,7 +206,9 @@ userLevelRoutes.delete("/:id", idParam, controller.delete);
 /**
  * @route POST /user-levels/upsert
  * @summary Create or update a user’s progress for a specific level (idempotent operation).
- * @access System / Application
+ * @access Admin
+ * @middleware requireAuth - Ensures the user is logged in.
+ * @middleware requirePermission("attempts:manage") - Restricts access to roles granted `attempts:manage`.
  * @bodyParam {number} user_id - ID of the user.
  * @bodyParam {number} level_id - ID of the level.
  * @bodyParam {boolean} [unlocked=false] - Unlock status.
@@ -171,4 +218,10 @@ userLevelRoutes.delete("/:id", idParam, controller.delete);
  * POST /user-levels/upsert
  * Body: { "user_id": 3, "level_id": 1, "unlocked": true, "completed": true }
  */
-userLevelRoutes.post("/upsert", /* upsertUserLevel,*/ controller.upsert);
+userLevelRoutes.post(
+  "/upsert",
+  requireAuth,
+  requirePermission("attempts:manage"),
+  upsertUserLevel,
+  controller.upsert
+);
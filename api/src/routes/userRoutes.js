@@ -1,16 +1,18 @@
 import { Router } from 'express';
-import { UserRepository } from '../domain/repositories/UserRepository.js';
-import { UserService } from '../services/UserService.js';
+import { authService, userService } from '../config/services.js';
 import { UserController } from '../Controllers/UserController.js';
 import { idParam, upsertUser } from '../validators/userValidator.js';
+import { registerBody, loginBody } from '../validators/authValidator.js';
 import { requireAuth } from "../middlewares/requireAuth.js"; 
-import { isAdmin } from "../middlewares/isAdmin.js";  
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { deprecated } from "../middlewares/deprecated.js";
 
 /**
  * Express router module for handling user management and authentication.
  *
- * Provides routes for user registration, login, and admin-level CRUD operations.
- * Authentication middleware (`requireAuth`) and authorization checks (`isAdmin`)
+ * Provides admin-level CRUD operations on users, plus the deprecated
+ * registration and login aliases (use `/auth/register` and `/auth/login`).
+ * Authentication middleware (`requireAuth`) and permission checks (`requirePermission`)
  * are applied to protect sensitive endpoints.
  *
  * @module userRoutes
@@ -22,9 +24,7 @@ import { isAdmin } from "../middlewares/isAdmin.js";
  * const app = express();
  * app.use("/users", userRoutes);
  */
-const repo = new UserRepository();
-const service = new UserService(repo);
-const controller = new UserController(service);
+const controller = new UserController(userService, authService);
 
 /**
  * Express Router instance for user-related routes.
@@ -35,7 +35,9 @@ export const userRoutes = Router();
 /**
  * @route POST /users/register
  * @summary Register a new user account.
+ * @deprecated Use `POST /auth/register`, which also logs the new user in.
  * @access Public
+ * @middleware deprecated - Adds `Deprecation` and `Link` headers pointing at the replacement.
  * @bodyParam {string} full_name - The user's full name.
  * @bodyParam {string} email - The user's email address.
  * @bodyParam {string} password - The user's chosen password.
@@ -44,55 +46,58 @@ export const userRoutes = Router();
  * POST /users/register
  * Body: { "full_name": "John Doe", "email": "john@example.com", "password": "secret123" }
  */
-userRoutes.post("/register", controller.register);
+userRoutes.post("/register", deprecated("/api/auth/register"), registerBody, controller.register);
 
 /**
  * @route POST /users/login
- * @summary Authenticate a user and return a JWT token.
+ * @summary Authenticate a user and open a session (access token + refresh token).
+ * @deprecated Use `POST /auth/login`.
  * @access Public
+ * @middleware deprecated - Adds `Deprecation` and `Link` headers pointing at the replacement.
  * @bodyParam {string} email - User's registered email.
  * @bodyParam {string} password - User's password.
- * @returns {object} 200 - Authentication token and user info.
+ * @returns {object} 200 - Access token, refresh token and user info, or a two-factor challenge as for `POST /auth/login`.
+ * @returns {object} 429|423 - Throttled or locked, as for `POST /auth/login`.
  * @example
  * POST /users/login
  * Body: { "email": "john@example.com", "password": "secret123" }
- * Response: { "token": "jwt_token_here", "user": {...} }
+ * Response: { "token": "jwt_token_here", "refreshToken": "opaque_token", "user": {...} }
  */
-userRoutes.post("/login", controller.login);
+userRoutes.post("/login", deprecated("/api/auth/login"), loginBody, controller.login);
 
 /**
  * @route GET /users
- * @summary Retrieve a list of all users (admin-only).
- * @access Admin
+ * @summary Retrieve a list of all users (admins and instructors).
+ * @access Admin, Org admin, Instructor
  * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts access to admin users.
+ * @middleware requirePermission("users:read") - Restricts access to roles granted `users:read`.
  * @returns {User[]} 200 - List of all registered users.
  * @example
  * GET /users
  * Response: [{ user_id: 1, full_name: "John Doe", email: "john@example.com", role: "user" }]
  */
-userRoutes.get("/", requireAuth, isAdmin, controller.list);
+userRoutes.get("/", requireAuth, requirePermission("users:read"), controller.list);
 
 /**
  * @route GET /users/:id
- * @summary Retrieve a user by their ID (admin-only).
- * @access Admin
+ * @summary Retrieve a user by their ID (admins and instructors).
+ * @access Admin, Org admin, Instructor
  * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts to admins.
+ * @middleware requirePermission("users:read") - Restricts access to roles granted `users:read`.
  * @param {number} id - User ID.
  * @returns {User} 200 - User details.
  * @example
  * GET /users/3
  * Response: { user_id: 3, full_name: "Alice Smith", email: "alice@example.com" }
  */
-userRoutes.get("/:id", requireAuth, isAdmin, idParam, controller.get);
+userRoutes.get("/:id", requireAuth, requirePermission("users:read"), idParam, controller.get);
 
 /**
  * @route POST /users
  * @summary Create a new user manually (admin-only).
- * @access Admin
+ * @access Admin, Org admin
  * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts access to admins.
+ * @middleware requirePermission("users:write") - Restricts access to roles granted `users:write`.
  * @middleware upsertUser - Validates body parameters.
  * @bodyParam {string} full_name - User’s full name.
  * @bodyParam {string} email - User’s email address.
@@ -103,37 +108,37 @@ userRoutes.get("/:id", requireAuth, isAdmin, idParam, controller.get);
  * POST /users
  * Body: { "full_name": "Admin User", "email": "admin@example.com", "password": "admin123", "role": "admin" }
  */
-userRoutes.post("/", requireAuth, isAdmin, upsertUser, controller.create);
+userRoutes.post("/", requireAuth, requirePermission("users:write"), upsertUser, controller.create);
 
 /**
  * @route PUT /users/:id
  * @summary Update an existing user (admin-only).
- * @access Admin
+ * @access Admin, Org admin
  * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts access to admins.
+ * @middleware requirePermission("users:write") - Restricts access to roles granted `users:write`.
  * @middleware idParam - Validates user ID parameter.
  * @middleware upsertUser - Validates update fields.
  * @param {number} id - User ID to update.
  * @bodyParam {string} [full_name] - Updated name.
  * @bodyParam {string} [email] - Updated email.
  * @bodyParam {string} [password] - Updated password.
- * @bodyParam {string} [role] - Updated role (e.g., "user" or "admin").
+ * @bodyParam {string} [role] - Updated role ("user", "instructor" or "admin").
  * @returns {User} 200 - Updated user details.
  * @example
  * PUT /users/5
  * Body: { "full_name": "Updated Name", "role": "admin" }
  */
-userRoutes.put("/:id", requireAuth, isAdmin, [...idParam, ...upsertUser], controller.update);
+userRoutes.put("/:id", requireAuth, requirePermission("users:write"), [...idParam, ...upsertUser], controller.update);
 
 /**
  * @route DELETE /users/:id
  * @summary Delete a user account by ID (admin-only).
- * @access Admin
+ * @access Admin, Org admin
  * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts access to admins.
+ * @middleware requirePermission("users:delete") - Restricts access to roles granted `users:delete`.
  * @param {number} id - The ID of the user to delete.
  * @returns {void} 204 - Successfully deleted, no content returned.
  * @example
  * DELETE /users/4
  */
-userRoutes.delete("/:id", requireAuth, isAdmin, idParam, controller.delete);
+userRoutes.delete("/:id", requireAuth, requirePermission("users:delete"), idParam, controller.delete);
@@ -1,4 +1,5 @@
 import { app } from './app.js';
+import { scheduleExpiryReminders } from './jobs/expiryReminderJob.js';
 import dotenv from 'dotenv';
 import 'dotenv/config'; 
 
@@ -14,6 +15,7 @@ dotenv.config();
  * @module server
  * @requires dotenv
  * @requires ./app.js
+ * @requires ./jobs/expiryReminderJob.js
  */
 
 // ✅ Load environment variables
@@ -30,3 +32,6 @@ const port = process.env.PORT || 4000;
  * API http://localhost:4000
  */
 app.listen(port, () => console.log(`API http://localhost:${port}`));
+
+// ⏰ Flag users whose levels or certificate are about to expire
+scheduleExpiryReminders();
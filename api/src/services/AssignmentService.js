@@ -0,0 +1,264 @@
+import { AppError } from '../utils/error.js';
+
+/**
+ * Where a learner stands on one assignment.
+ * @param {boolean} completed - Whether the minimum score was reached.
+ * @param {Date|string} due_at - Due date.
+ * @param {Date} now - Reference time.
+ * @returns {'completed'|'overdue'|'pending'}
+ */
+function assignmentStatus(completed, due_at, now) {
+  if (completed) return 'completed';
+  return new Date(due_at) < now ? 'overdue' : 'pending';
+}
+
+/**
+ * Best scores by learner and scenario, for in-memory lookups.
+ * @param {Array<{user_id: number, scenario_id: number, score: number}>} rows - Best score rows.
+ * @returns {Map<number, Map<number, number>>} user_id → scenario_id → best score.
+ */
+function indexBestScores(rows) {
+  const byUser = new Map();
+  for (const { user_id, scenario_id, score } of rows) {
+    if (!byUser.has(Number(user_id))) byUser.set(Number(user_id), new Map());
+    byUser.get(Number(user_id)).set(Number(scenario_id), Number(score));
+  }
+  return byUser;
+}
+
+/**
+ * Service layer for class assignments and the progress made on them.
+ *
+ * An assignment asks every member of a class to reach `min_score` on one
+ * scenario, or on every scenario of one level, by `due_at`. Progress is not
+ * stored: it is read from each learner's best scores in `attempts`, so
+ * attempts made before the assignment count too. The scores are loaded in
+ * one query (for the whole class when building a matrix) and matched in
+ * memory. A level assignment only counts the scenarios the learner can see
+ * (shared ones and their organization's); a level with none of them is never
+ * complete.
+ *
+ * @class AssignmentService
+ */
+export class AssignmentService {
+  /**
+   * Creates an instance of AssignmentService.
+   * @param {import('../domain/repositories/AssignmentRepository.js').AssignmentRepository} assignmentRepository - Assignments.
+   * @param {import('./ClassService.js').ClassService} classService - Classes (scope checks and members).
+   * @param {import('../domain/repositories/ScenarioRepository.js').ScenarioRepository} scenarioRepository - Scenario catalog.
+   * @param {import('../domain/repositories/LevelRepository.js').LevelRepository} levelRepository - Level catalog.
+   * @param {import('../domain/repositories/AttemptRepository.js').AttemptRepository} attemptRepository - Best score per user and scenario.
+   */
+  constructor(assignmentRepository, classService, scenarioRepository, levelRepository, attemptRepository) {
+    this.assignmentRepository = assignmentRepository;
+    this.classService = classService;
+    this.scenarioRepository = scenarioRepository;
+    this.levelRepository = levelRepository;
+    this.attemptRepository = attemptRepository;
+  }
+
+  /**
+   * List the assignments of a class.
+   * @async
+   * @param {number} class_id - The class ID.
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Caller's organization.
+   * @returns {Promise<import('../domain/entities/AssignmentEntity.js').default[]>}
+   * @throws {AppError} 404 if the class does not exist or is outside the caller's scope.
+   */
+  async listAssignments(class_id, scope = {}) {
+    await this.classService.getClass(class_id, scope);
+    return this.assignmentRepository.findByClass(class_id);
+  }
+
+  /**
+   * Assign a scenario or a whole level to a class. The scenario must be
+   * visible to the class (shared, or private to the class's organization).
+   * @async
+   * @param {number} class_id - The class ID.
+   * @param {object} data
+   * @param {number} [data.scenario_id] - Scenario to assign.
+   * @param {number} [data.level_id] - Level to assign (when no scenario is given).
+   * @param {Date} data.due_at - Due date.
+   * @param {number} data.min_score - Minimum score (0–100).
+   * @param {{id: number}} creator - `req.user`.
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Caller's organization.
+   * @returns {Promise<import('../domain/entities/AssignmentEntity.js').default>}
+   * @throws {AppError} 404 if the class, scenario or level is not found.
+   * @example
+   * const assignment = await assignmentService.createAssignment(
+   *   3, { level_id: 2, due_at: new Date("2026-11-01"), min_score: 80 }, req.user, { organization_id: 2 }
+   * );
+   */
+  async createAssignment(class_id, { scenario_id, level_id, due_at, min_score }, creator, scope = {}) {
+    const cls = await this.classService.getClass(class_id, scope);
+
+    if (scenario_id != null) {
+      const scenario = await this.scenarioRepository.findById(scenario_id, {
+        organization_id: cls.organization_id,
+      });
+      if (!scenario) throw new AppError('Scenario not found', 404);
+    } else if (!(await this.levelRepository.findById(level_id))) {
+      throw new AppError('Level not found', 404);
+    }
+
+    return this.assignmentRepository.create({
+      class_id: Number(class_id),
+      scenario_id: scenario_id ?? null,
+      level_id: scenario_id != null ? null : level_id,
+      due_at,
+      min_score,
+      created_by: creator.id,
+    });
+  }
+
+  /**
+   * Remove an assignment from a class.
+   * @async
+   * @param {number} class_id - The class ID.
+   * @param {number} assignment_id - The assignment ID.
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Caller's organization.
+   * @returns {Promise<void>}
+   * @throws {AppError} 404 if the class or the assignment (in that class) is not found.
+   */
+  async deleteAssignment(class_id, assignment_id, scope = {}) {
+    await this.classService.getClass(class_id, scope);
+    const assignment = await this.assignmentRepository.findById(assignment_id);
+    if (!assignment || Number(assignment.class_id) !== Number(class_id)) {
+      throw new AppError('Assignment not found', 404);
+    }
+    await this.assignmentRepository.delete(assignment_id);
+  }
+
+  /**
+   * Assignments of every class a learner is enrolled in, with their progress.
+   * @async
+   * @param {number} user_id - The learner.
+   * @param {object} [options]
+   * @param {Date} [options.now=new Date()] - Reference time for overdue checks.
+   * @returns {Promise<object[]>} Assignments, soonest due first, each with `status` and progress fields.
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const mine = await assignmentService.listForUser(14);
+   * // [{ assignment_id: 5, class_name: "Night shift", title: "Basics", due_at: ..., status: "pending", passed: 2, total: 4 }]
+   */
+  async listForUser(user_id, { now = new Date() } = {}) {
+    try {
+      const [assignments, attempts] = await Promise.all([
+        this.assignmentRepository.findByUser(user_id),
+        this.attemptRepository.findAll({ user_id }),
+      ]);
+      const scores = indexBestScores(attempts).get(Number(user_id)) ?? new Map();
+      const scenariosOf = (level_id) => this.scenarioRepository.listByLevel(level_id, { user_id });
+
+      return await Promise.all(
+        assignments.map(async (assignment) => ({
+          ...assignment,
+          ...(await this._progress(assignment, scores, scenariosOf, now)),
+        }))
+      );
+    } catch (error) {
+      throw new Error(`Failed to list assignments for user ${user_id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Completion matrix of a class: every member × every assignment.
+   * @async
+   * @param {number} class_id - The class ID.
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Caller's organization.
+   * @param {object} [options]
+   * @param {Date} [options.now=new Date()] - Reference time for overdue checks.
+   * @returns {Promise<{class: object, assignments: object[], members: object[]}>}
+   *   Assignments carry a `completed_count`; each member carries one `progress`
+   *   entry per assignment, in the same order.
+   * @throws {AppError} 404 if the class does not exist or is outside the caller's scope.
+   * @example
+   * const matrix = await assignmentService.getClassProgress(3, { organization_id: 2 });
+   * // { class: {...}, assignments: [{ assignment_id: 5, completed_count: 12, ... }],
+   * //   members: [{ user_id: 14, full_name: "...", progress: [{ assignment_id: 5, status: "completed", ... }] }] }
+   */
+  async getClassProgress(class_id, scope = {}, { now = new Date() } = {}) {
+    const cls = await this.classService.getClass(class_id, scope);
+    const [assignments, members, bestScores] = await Promise.all([
+      this.assignmentRepository.findByClass(class_id),
+      this.classService.listMembers(class_id, scope),
+      this.attemptRepository.findBestScoresByClass(class_id),
+    ]);
+    const scoresByUser = indexBestScores(bestScores);
+
+    // Members of one organization see the same scenarios: list each level once per organization
+    const levelScenarios = new Map();
+    const scenariosFor = (organization_id) => (level_id) => {
+      const key = `${level_id}:${organization_id ?? ''}`;
+      if (!levelScenarios.has(key)) {
+        levelScenarios.set(
+          key,
+          this.scenarioRepository.listByLevel(level_id, { organization_id: organization_id ?? null })
+        );
+      }
+      return levelScenarios.get(key);
+    };
+
+    const rows = await Promise.all(
+      members.map(async (member) => ({
+        ...member,
+        progress: await Promise.all(
+          assignments.map(async (assignment) => ({
+            assignment_id: assignment.assignment_id,
+            ...(await this._progress(
+              assignment,
+              scoresByUser.get(Number(member.user_id)) ?? new Map(),
+              scenariosFor(member.organization_id),
+              now
+            )),
+          }))
+        ),
+      }))
+    );
+
+    return {
+      class: cls,
+      assignments: assignments.map((assignment, i) => ({
+        ...assignment,
+        completed_count: rows.filter((row) => row.progress[i].status === 'completed').length,
+      })),
+      members: rows,
+    };
+  }
+
+  /**
+   * A learner's progress on one assignment.
+   * @private
+   * @param {import('../domain/entities/AssignmentEntity.js').default} assignment - The assignment.
+   * @param {Map<number, number>} scores - The learner's best score per scenario ID.
+   * @param {(level_id: number) => Promise<object[]>} scenariosOf - The level's scenarios visible to the learner.
+   * @param {Date} now - Reference time.
+   * @returns {Promise<{status: string, best_score?: number|null, passed?: number, total?: number}>}
+   */
+  async _progress(assignment, scores, scenariosOf, now) {
+    const minScore = Number(assignment.min_score);
+
+    if (assignment.scenario_id != null) {
+      const best_score = scores.get(Number(assignment.scenario_id)) ?? null;
+      return {
+        status: assignmentStatus(best_score != null && best_score >= minScore, assignment.due_at, now),
+        best_score,
+      };
+    }
+
+    const scenarios = await scenariosOf(assignment.level_id);
+    const passed = scenarios.filter(
+      (s) => scores.has(Number(s.scenario_id)) && scores.get(Number(s.scenario_id)) >= minScore
+    ).length;
+
+    return {
+      status: assignmentStatus(scenarios.length > 0 && passed === scenarios.length, assignment.due_at, now),
+      passed,
+      total: scenarios.length,
+    };
+  }
+}
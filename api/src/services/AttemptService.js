@@ -1,34 +1,45 @@
 import AttemptDTO from '../domain/dto/AttemptDTO.js';
+import AttemptHistoryDTO from '../domain/dto/AttemptHistoryDTO.js';
+
+/** Tries claiming to have started longer ago than this are stored without timing. */
+const MAX_ATTEMPT_AGE_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Service layer for managing user attempts within scenarios.
  *
  * Handles business logic such as retrieving, creating, and updating
- * user attempt data. This service converts raw repository entities
- * into DTOs (`AttemptDTO`) before returning them to the controller.
+ * user attempt data. Every try is appended to the attempt history and the
+ * per-scenario best score is derived from it. This service converts raw
+ * repository entities into DTOs (`AttemptDTO`, `AttemptHistoryDTO`) before
+ * returning them to the controller.
  *
  * @class AttemptService
  */
 export class AttemptService {
   /**
    * Creates an instance of AttemptService.
-   * @param {import('../domain/repositories/AttemptRepository.js').AttemptRepository} attemptRepository - The repository for attempt data.
+   * @param {import('../domain/repositories/AttemptRepository.js').AttemptRepository} attemptRepository - The repository for best-score attempt data.
+   * @param {import('../domain/repositories/AttemptHistoryRepository.js').AttemptHistoryRepository} attemptHistoryRepository - The repository for the append-only attempt history.
    */
-  constructor(attemptRepository) {
+  constructor(attemptRepository, attemptHistoryRepository) {
     this.attemptRepository = attemptRepository;
+    this.attemptHistoryRepository = attemptHistoryRepository;
   }
 
   /**
    * Retrieve all attempts from the repository.
    * @async
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Only attempts by this organization's members.
+   * @param {number} [scope.user_id] - Only attempts by this user.
    * @returns {Promise<AttemptDTO[]>} List of all user attempts.
    * @throws {Error} If database access fails.
    * @example
    * const attempts = await attemptService.listAttempts();
    */
-  async listAttempts() {
+  async listAttempts({ organization_id, user_id } = {}) {
     try {
-      const attempts = await this.attemptRepository.findAll();
+      const attempts = await this.attemptRepository.findAll({ organization_id, user_id });
       return attempts.map(AttemptDTO.fromEntity);
     } catch (error) {
       throw new Error('Failed to list attempts: ' + error.message);
@@ -39,14 +50,17 @@ export class AttemptService {
    * Retrieve a single attempt by its ID.
    * @async
    * @param {number} id - The unique ID of the attempt.
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Treat attempts outside this organization as not found.
+   * @param {number} [scope.user_id] - Treat attempts by other users as not found.
    * @returns {Promise<AttemptDTO|null>} The attempt DTO, or null if not found.
    * @throws {Error} If retrieval fails.
    * @example
    * const attempt = await attemptService.getAttempt(5);
    */
-  async getAttempt(id) {
+  async getAttempt(id, { organization_id, user_id } = {}) {
     try {
-      const attempt = await this.attemptRepository.findById(id);
+      const attempt = await this.attemptRepository.findById(id, { organization_id, user_id });
       return attempt ? AttemptDTO.fromEntity(attempt) : null;
     } catch (error) {
       throw new Error(`Failed to get attempt with id ${id}: ${error.message}`);
@@ -73,21 +87,98 @@ export class AttemptService {
   }
 
   /**
-   * Create or update the best score for a given user and scenario.
-   * If a previous score exists, only updates if the new score is higher.
+   * Record a new try at a scenario.
+   * Appends it to the attempt history, then re-derives the user's best score
+   * for that scenario from the full history.
    * @async
-   * @param {object} data - Attempt data (user_id, scenario_id, score).
-   * @returns {Promise<AttemptDTO>} The updated or newly created attempt.
+   * @param {object} data - Try data.
+   * @param {number} data.user_id - The user ID.
+   * @param {number} data.scenario_id - The scenario ID.
+   * @param {number} data.score - Score achieved in this try.
+   * @param {string|Date|null} [data.started_at] - When the try started; ignored if in the future or implausibly old.
+   * @returns {Promise<{attempt: AttemptHistoryDTO, best: AttemptDTO}>} The new history entry and the resulting best score.
    * @throws {Error} If saving fails.
    * @example
-   * await attemptService.saveBestScore({ user_id: 2, scenario_id: 4, score: 90 });
+   * const { attempt, best } = await attemptService.recordAttempt({ user_id: 2, scenario_id: 4, score: 90 });
+   */
+  async recordAttempt({ user_id, scenario_id, score, started_at = null }) {
+    try {
+      const finished_at = new Date();
+      const entry = await this.attemptHistoryRepository.create({
+        user_id,
+        scenario_id,
+        score,
+        started_at: this._parseStartedAt(started_at, finished_at),
+        finished_at,
+      });
+
+      const bestScore = await this.attemptHistoryRepository.findBestByUserAndScenario(
+        user_id,
+        scenario_id
+      );
+      const best = await this.attemptRepository.saveBestScore({
+        user_id,
+        scenario_id,
+        score: bestScore.score,
+        completed_at: bestScore.completed_at,
+      });
+
+      return {
+        attempt: AttemptHistoryDTO.fromEntity(entry),
+        best: AttemptDTO.fromEntity(best),
+      };
+    } catch (error) {
+      throw new Error('Failed to record attempt: ' + error.message);
+    }
+  }
+
+  /**
+   * Retrieve one page of a user's tries at a scenario, newest first.
+   * @async
+   * @param {number} user_id - The user ID.
+   * @param {number} scenario_id - The scenario ID.
+   * @param {{page?: number, limit?: number, organization_id?: number}} [options] - 1-based page and
+   * page size; with `organization_id`, users outside that organization have an empty history.
+   * @returns {Promise<{items: AttemptHistoryDTO[], page: number, limit: number, total: number, total_pages: number}>}
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const history = await attemptService.getScenarioHistory(3, 10, { page: 2, limit: 10 });
+   */
+  async getScenarioHistory(user_id, scenario_id, { page = 1, limit = 20, organization_id } = {}) {
+    try {
+      const { items, total } = await this.attemptHistoryRepository.findPageByUserAndScenario(
+        user_id,
+        scenario_id,
+        { limit, offset: (page - 1) * limit, organization_id }
+      );
+      return this._toPage(items, total, page, limit);
+    } catch (error) {
+      throw new Error(`Failed to get attempt history for scenario ${scenario_id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieve one page of a user's tries across a level, newest first.
+   * @async
+   * @param {number} user_id - The user ID.
+   * @param {number} level_id - The level ID.
+   * @param {{page?: number, limit?: number, organization_id?: number}} [options] - 1-based page and
+   * page size; with `organization_id`, users outside that organization have an empty history.
+   * @returns {Promise<{items: AttemptHistoryDTO[], page: number, limit: number, total: number, total_pages: number}>}
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const history = await attemptService.getLevelHistory(3, 2);
    */
-  async saveBestScore(data) {
+  async getLevelHistory(user_id, level_id, { page = 1, limit = 20, organization_id } = {}) {
     try {
-      const attempt = await this.attemptRepository.upsertBestScore(data);
-      return AttemptDTO.fromEntity(attempt);
+      const { items, total } = await this.attemptHistoryRepository.findPageByUserAndLevel(
+        user_id,
+        level_id,
+        { limit, offset: (page - 1) * limit, organization_id }
+      );
+      return this._toPage(items, total, page, limit);
     } catch (error) {
-      throw new Error('Failed to save best score: ' + error.message);
+      throw new Error(`Failed to get attempt history for level ${level_id}: ${error.message}`);
     }
   }
 
@@ -128,4 +219,38 @@ export class AttemptService {
   async getUserAttemptsByLevel(userId, levelId) {
     return this.attemptRepository.getUserAttemptsByLevel(userId, levelId);
   }
+
+  /**
+   * Accept a start time only if it is plausible.
+   * @private
+   * @param {string|Date|null} started_at - Start time (the run's, or given with a manual correction).
+   * @param {Date} finished_at - Server-side finish time.
+   * @returns {Date|null} The start time, or null if missing or implausible.
+   */
+  _parseStartedAt(started_at, finished_at) {
+    if (!started_at) return null;
+    const started = new Date(started_at);
+    const age = finished_at - started;
+    if (Number.isNaN(age) || age < 0 || age > MAX_ATTEMPT_AGE_MS) return null;
+    return started;
+  }
+
+  /**
+   * Wrap history entities in a pagination envelope.
+   * @private
+   * @param {import('../domain/entities/AttemptHistoryEntity.js').default[]} items - Entities on this page.
+   * @param {number} total - Total number of entries.
+   * @param {number} page - 1-based page number.
+   * @param {number} limit - Page size.
+   * @returns {{items: AttemptHistoryDTO[], page: number, limit: number, total: number, total_pages: number}}
+   */
+  _toPage(items, total, page, limit) {
+    return {
+      items: items.map(AttemptHistoryDTO.fromEntity),
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit),
+    };
+  }
 }
@@ -0,0 +1,401 @@
+import UserDTO from '../domain/dto/UserDTO.js';
+import { AppError } from '../utils/error.js';
+import { hashPassword, comparePassword } from '../utils/hash.js';
+import { generateOpaqueToken, hashOpaqueToken } from '../utils/opaqueToken.js';
+import { passwordResetEmail, emailVerificationEmail } from '../utils/emailTemplates.js';
+import { EMAIL_VERIFICATION_TTL_HOURS } from '../utils/emailVerification.js';
+import { twoFactorRequiredFor } from '../utils/twoFactor.js';
+
+const RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const RESET_BASE_URL = (
+  process.env.PASSWORD_RESET_URL || 'http://localhost:5173/reset-password'
+).replace(/\/+$/, '');
+const VERIFY_EMAIL_BASE_URL = (
+  process.env.EMAIL_VERIFY_URL || 'http://localhost:5173/verify-email'
+).replace(/\/+$/, '');
+
+/**
+ * Service layer for a user's own account: signing up, logging in (with a
+ * second TOTP step when 2FA is on), managing the signed-in profile and
+ * password, verifying the email address, and recovering a forgotten password
+ * through an emailed single-use link.
+ *
+ * Self-service accounts always get the `user` role; admins create other roles
+ * through `UserService`. Failures the client can act on are thrown as
+ * {@link AppError} with the matching HTTP status.
+ *
+ * @class AuthService
+ */
+export class AuthService {
+  /**
+   * Creates an instance of AuthService.
+   * @param {import('../domain/repositories/UserRepository.js').UserRepository} userRepository - Repository managing user data.
+   * @param {import('./SessionService.js').SessionService} sessionService - Opens and revokes login sessions.
+   * @param {import('../domain/repositories/PasswordResetRepository.js').PasswordResetRepository} passwordResetRepository - Hashed reset tokens.
+   * @param {import('../domain/repositories/EmailVerificationRepository.js').EmailVerificationRepository} emailVerificationRepository - Hashed verification tokens.
+   * @param {import('../utils/mailer.js').Mailer} mailer - Sends account emails.
+   * @param {import('./LoginThrottleService.js').LoginThrottleService} loginThrottleService - Failed-login delays, lockout and audit.
+   * @param {import('./TwoFactorService.js').TwoFactorService} twoFactorService - TOTP second factor.
+   */
+  constructor(
+    userRepository,
+    sessionService,
+    passwordResetRepository,
+    emailVerificationRepository,
+    mailer,
+    loginThrottleService,
+    twoFactorService
+  ) {
+    this.userRepository = userRepository;
+    this.sessionService = sessionService;
+    this.passwordResetRepository = passwordResetRepository;
+    this.emailVerificationRepository = emailVerificationRepository;
+    this.mailer = mailer;
+    this.loginThrottleService = loginThrottleService;
+    this.twoFactorService = twoFactorService;
+  }
+
+  /**
+   * Create a self-service account without opening a session. The account
+   * starts unverified and a verification link is emailed.
+   * @async
+   * @param {object} data - Registration data.
+   * @param {string} data.full_name - Full name of the user.
+   * @param {string} data.email - Email address.
+   * @param {string} data.password - Plain text password.
+   * @returns {Promise<UserDTO>} The new user.
+   * @throws {AppError} 409 if the email is already registered.
+   * @example
+   * const user = await authService.createAccount({ full_name: "Jane Doe", email: "jane@example.com", password: "secret123" });
+   */
+  async createAccount({ full_name, name, email, password }) {
+    const existing = await this.userRepository.findByEmail(email);
+    if (existing) throw new AppError('Email already in use', 409);
+
+    const user = await this.userRepository.create({
+      full_name: full_name ?? name,
+      email,
+      password: await hashPassword(password),
+      role: 'user',
+    });
+    await this._sendVerification(user);
+    return UserDTO.fromEntity(user);
+  }
+
+  /**
+   * Create an account and log it in.
+   * @async
+   * @param {object} data - Registration data (see {@link AuthService#createAccount}).
+   * @param {object} [options]
+   * @param {string} [options.user_agent] - Client description stored with the session.
+   * @returns {Promise<{user: UserDTO, token: string, refreshToken: string}>} The new user and session tokens.
+   * @throws {AppError} 409 if the email is already registered.
+   * @example
+   * const { user, token, refreshToken } = await authService.register(req.body, { user_agent: req.get("user-agent") });
+   */
+  async register(data, { user_agent } = {}) {
+    const user = await this.createAccount(data);
+    const tokens = await this.sessionService.start(
+      { user_id: user.id, role: user.role, organization_id: user.organization_id },
+      { user_agent }
+    );
+    return { user, ...tokens };
+  }
+
+  /**
+   * Check a user's credentials and open a login session. Every attempt is
+   * audited, and repeated failures are slowed down and eventually lock the
+   * account (see {@link LoginThrottleService}).
+   *
+   * Accounts with two-factor authentication get no session yet: the result
+   * is `{ two_factor_required: true, challengeToken, expires_in }`, to be
+   * completed with {@link AuthService#completeTwoFactorLogin}. Accounts whose
+   * role requires 2FA but have not set it up are flagged with
+   * `two_factor_setup_required`.
+   * @async
+   * @param {{email: string, password: string}} credentials - Login credentials.
+   * @param {object} [options]
+   * @param {string} [options.user_agent] - Client description stored with the session.
+   * @param {string} [options.ip] - Client IP address, for the per-IP limit and the audit trail.
+   * @returns {Promise<{user: UserDTO, token: string, refreshToken: string, two_factor_setup_required?: boolean}|{two_factor_required: true, challengeToken: string, expires_in: number}>}
+   * @throws {AppError} 401 if the email or password is wrong, 429 while the client must wait, 423 while the account is locked.
+   * @example
+   * const { user, token, refreshToken } = await authService.login({ email: "jane@example.com", password: "secret123" }, { ip: req.ip });
+   */
+  async login({ email, password }, { user_agent, ip } = {}) {
+    const user = await this.userRepository.findByEmail(email);
+    const attempt = { email, user, ip, user_agent };
+    await this.loginThrottleService.assertAllowed(attempt);
+
+    // Same message for both cases, so the response does not reveal registered emails
+    if (!user || !(await comparePassword(password, user.password))) {
+      await this.loginThrottleService.recordFailure(attempt);
+      throw new AppError('Invalid email or password', 401);
+    }
+
+    if (user.totp_enabled_at) {
+      return { two_factor_required: true, ...this.twoFactorService.issueChallenge(user) };
+    }
+
+    await this.loginThrottleService.recordSuccess(attempt);
+    const tokens = await this.sessionService.start(user, { user_agent });
+    return {
+      user: UserDTO.fromEntity(user),
+      ...tokens,
+      ...(twoFactorRequiredFor(user.role) ? { two_factor_setup_required: true } : {}),
+    };
+  }
+
+  /**
+   * Second login step: exchange the challenge token from {@link AuthService#login}
+   * and a TOTP code (or a recovery code) for a session. Wrong codes count
+   * as failed logins.
+   * @async
+   * @param {{challengeToken: string, code?: string, recovery_code?: string}} data
+   * @param {object} [options]
+   * @param {string} [options.user_agent] - Client description stored with the session.
+   * @param {string} [options.ip] - Client IP address.
+   * @returns {Promise<{user: UserDTO, token: string, refreshToken: string, recovery_codes_left?: number}>} The user and session tokens; `recovery_codes_left` when a recovery code was used.
+   * @throws {AppError} 401 if the challenge expired or the code is wrong, 429/423 as for {@link AuthService#login}.
+   * @example
+   * const session = await authService.completeTwoFactorLogin({ challengeToken, code: "492039" }, { ip: req.ip });
+   */
+  async completeTwoFactorLogin({ challengeToken, code, recovery_code }, { user_agent, ip } = {}) {
+    const user_id = this.twoFactorService.readChallenge(challengeToken);
+    const user = await this.userRepository.findById(user_id);
+    if (!user?.totp_enabled_at) throw new AppError('This sign-in has expired. Please log in again.', 401);
+
+    const attempt = { email: user.email, user, ip, user_agent };
+    await this.loginThrottleService.assertAllowed(attempt);
+
+    const factor = await this.twoFactorService.verifySecondFactor(user, { code, recovery_code });
+    if (!factor) {
+      await this.loginThrottleService.recordFailure(attempt, { reason: 'bad_code' });
+      throw new AppError('Invalid authentication code', 401);
+    }
+
+    await this.loginThrottleService.recordSuccess(attempt);
+    const tokens = await this.sessionService.start(user, { user_agent, two_factor: true });
+    return {
+      user: UserDTO.fromEntity(user),
+      ...tokens,
+      ...(factor === 'recovery_code'
+        ? { recovery_codes_left: await this.twoFactorService.recoveryCodesLeft(user.user_id) }
+        : {}),
+    };
+  }
+
+  /**
+   * Retrieve the signed-in user's profile.
+   * @async
+   * @param {number} user_id - The user ID from the access token.
+   * @returns {Promise<UserDTO>} The user.
+   * @throws {AppError} 404 if the user no longer exists.
+   */
+  async me(user_id) {
+    const user = await this.userRepository.findById(user_id);
+    if (!user) throw new AppError('User not found', 404);
+    return UserDTO.fromEntity(user);
+  }
+
+  /**
+   * Update the signed-in user's name and/or email. A new email starts
+   * unverified and gets its own verification link.
+   * @async
+   * @param {number} user_id - The user ID from the access token.
+   * @param {{full_name?: string, email?: string}} data - Fields to change.
+   * @returns {Promise<UserDTO>} The updated user.
+   * @throws {AppError} 404 if the user no longer exists, 409 if the email belongs to another account.
+   * @example
+   * const user = await authService.updateProfile(4, { full_name: "Jane Smith" });
+   */
+  async updateProfile(user_id, { full_name, email }) {
+    const current = await this.userRepository.findById(user_id);
+    if (!current) throw new AppError('User not found', 404);
+
+    const emailChanged = email !== undefined && email !== current.email;
+    if (emailChanged) {
+      const owner = await this.userRepository.findByEmail(email);
+      if (owner && Number(owner.user_id) !== Number(user_id)) {
+        throw new AppError('Email already in use', 409);
+      }
+    }
+
+    const user = await this.userRepository.update(user_id, {
+      full_name,
+      ...(emailChanged ? { email, email_verified_at: null } : {}),
+    });
+    if (!user) throw new AppError('User not found', 404);
+
+    if (emailChanged) await this._sendVerification(user);
+    return UserDTO.fromEntity(user);
+  }
+
+  /**
+   * Change the signed-in user's password. Every other session of the user is
+   * revoked, so a leaked password or token stops working; the current session
+   * stays logged in.
+   * @async
+   * @param {number} user_id - The user ID from the access token.
+   * @param {{current_password: string, new_password: string}} data - Old and new password.
+   * @param {object} [options]
+   * @param {string} [options.session_id] - The caller's session (`sid` claim), kept active.
+   * @returns {Promise<{revoked_sessions: number}>} How many other sessions were ended.
+   * @throws {AppError} 404 if the user no longer exists, 401 if the current password is wrong.
+   * @example
+   * await authService.changePassword(4, { current_password: "old", new_password: "newSecret1" }, { session_id: req.user.sid });
+   */
+  async changePassword(user_id, { current_password, new_password }, { session_id = null } = {}) {
+    const user = await this.userRepository.findById(user_id);
+    if (!user) throw new AppError('User not found', 404);
+
+    if (!(await comparePassword(current_password, user.password))) {
+      throw new AppError('Current password is incorrect', 401);
+    }
+
+    await this.userRepository.update(user_id, { password: await hashPassword(new_password) });
+    const revoked_sessions = await this.sessionService.revokeAllForUser(user_id, { except: session_id });
+    return { revoked_sessions };
+  }
+
+  // ---- 🔑 Forgotten password ----
+
+  /**
+   * Email a password reset link if the address belongs to an account.
+   *
+   * The outcome is the same whether or not the email is registered, so the
+   * endpoint cannot be used to discover accounts. Earlier links of the user
+   * stop working. Mail failures are logged, not thrown, for the same reason.
+   * @async
+   * @param {string} email - The address the user typed.
+   * @returns {Promise<void>}
+   * @example
+   * await authService.requestPasswordReset("jane@example.com");
+   */
+  async requestPasswordReset(email) {
+    const user = await this.userRepository.findByEmail(email);
+    if (!user) return;
+
+    const { token, hash } = generateOpaqueToken();
+    await this.passwordResetRepository.invalidateForUser(user.user_id);
+    await this.passwordResetRepository.create({
+      user_id: user.user_id,
+      token_hash: hash,
+      expires_at: new Date(Date.now() + RESET_TTL_MINUTES * 60 * 1000),
+    });
+
+    try {
+      await this.mailer.send({
+        to: user.email,
+        ...passwordResetEmail({
+          name: user.full_name,
+          url: `${RESET_BASE_URL}?token=${encodeURIComponent(token)}`,
+          expiresInMinutes: RESET_TTL_MINUTES,
+        }),
+      });
+    } catch (error) {
+      console.error(`Failed to send password reset email to user ${user.user_id}:`, error.message);
+    }
+  }
+
+  /**
+   * Set a new password with a reset token. The token (and any other
+   * outstanding link of the user) is used up, every session of the user
+   * is revoked so whoever had the old password is logged out, and a login
+   * lockout is lifted.
+   * @async
+   * @param {string} token - The token from the emailed link.
+   * @param {string} new_password - The new plain text password.
+   * @returns {Promise<{revoked_sessions: number}>} How many sessions were ended.
+   * @throws {AppError} 400 if the token is unknown, used or expired.
+   * @example
+   * await authService.resetPassword(req.body.token, req.body.new_password);
+   */
+  async resetPassword(token, new_password) {
+    const stored = await this.passwordResetRepository.findByHash(hashOpaqueToken(token));
+    const invalid = new AppError('This reset link is invalid or has expired', 400);
+
+    if (!stored || stored.used_at || new Date(stored.expires_at) <= new Date()) throw invalid;
+    if (!(await this.passwordResetRepository.markUsed(stored.reset_id))) throw invalid;
+
+    const user = await this.userRepository.update(stored.user_id, {
+      password: await hashPassword(new_password),
+    });
+    if (!user) throw invalid;
+
+    await this.passwordResetRepository.invalidateForUser(stored.user_id);
+    await this.userRepository.clearLoginFailures(stored.user_id);
+    const revoked_sessions = await this.sessionService.revokeAllForUser(stored.user_id);
+    return { revoked_sessions };
+  }
+
+  // ---- ✉️ Email verification ----
+
+  /**
+   * Verify an email address with the token from the emailed link.
+   * @async
+   * @param {string} token - The token from the link.
+   * @returns {Promise<UserDTO>} The now verified user.
+   * @throws {AppError} 400 if the token is unknown, used or expired.
+   * @example
+   * const user = await authService.verifyEmail(req.params.token);
+   */
+  async verifyEmail(token) {
+    const stored = await this.emailVerificationRepository.findByHash(hashOpaqueToken(token));
+    const invalid = new AppError('This verification link is invalid or has expired', 400);
+
+    if (!stored || stored.used_at || new Date(stored.expires_at) <= new Date()) throw invalid;
+    if (!(await this.emailVerificationRepository.markUsed(stored.verification_id))) throw invalid;
+
+    const user = await this.userRepository.update(stored.user_id, { email_verified_at: new Date() });
+    if (!user) throw invalid;
+
+    await this.emailVerificationRepository.invalidateForUser(stored.user_id);
+    return UserDTO.fromEntity(user);
+  }
+
+  /**
+   * Send a new verification link if the email belongs to an unverified
+   * account. Like {@link AuthService#requestPasswordReset}, the outcome does
+   * not reveal whether the account exists.
+   * @async
+   * @param {string} email - The address the user signed up with.
+   * @returns {Promise<void>}
+   */
+  async resendVerification(email) {
+    const user = await this.userRepository.findByEmail(email);
+    if (!user || user.email_verified_at) return;
+    await this._sendVerification(user);
+  }
+
+  /**
+   * Issue a verification token for the user's current email and mail the
+   * link. Earlier links stop working. Mail failures are logged, not thrown,
+   * so sign-up still succeeds and the user can ask for a new link.
+   * @private
+   * @param {{user_id: number, full_name: string, email: string}} user - The user to verify.
+   * @returns {Promise<void>}
+   */
+  async _sendVerification(user) {
+    const { token, hash } = generateOpaqueToken();
+    await this.emailVerificationRepository.invalidateForUser(user.user_id);
+    await this.emailVerificationRepository.create({
+      user_id: user.user_id,
+      token_hash: hash,
+      expires_at: new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000),
+    });
+
+    try {
+      await this.mailer.send({
+        to: user.email,
+        ...emailVerificationEmail({
+          name: user.full_name,
+          url: `${VERIFY_EMAIL_BASE_URL}/${encodeURIComponent(token)}`,
+          expiresInHours: EMAIL_VERIFICATION_TTL_HOURS,
+        }),
+      });
+    } catch (error) {
+      console.error(`Failed to send verification email to user ${user.user_id}:`, error.message);
+    }
+  }
+}
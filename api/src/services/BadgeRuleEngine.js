@@ -0,0 +1,181 @@
+import BadgesDTO from '../domain/dto/BadgesDTO.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calendar day (UTC) of a timestamp, e.g. "2025-01-12".
+ * @param {Date|string} value - The timestamp.
+ * @returns {string}
+ */
+const dayKey = (value) => new Date(value).toISOString().slice(0, 10);
+
+/**
+ * Rule evaluators keyed by criteria type (see `utils/badgeCriteria.js`).
+ * Each receives the badge criteria and the user's progress context and
+ * returns whether the badge is earned.
+ * @type {Record<string, (criteria: object, ctx: object) => boolean>}
+ */
+const RULES = {
+  perfect_level: ({ level_id }, ctx) => {
+    const scenarioIds = ctx.scenariosByLevel.get(Number(level_id)) || [];
+    return (
+      scenarioIds.length > 0 &&
+      scenarioIds.every((id) => ctx.bestByScenario.get(id) === 100)
+    );
+  },
+
+  perfect_streak: ({ count }, ctx) => {
+    const recent = ctx.history.slice(-Number(count));
+    return recent.length === Number(count) && recent.every((h) => h.score === 100);
+  },
+
+  daily_streak: ({ days }, ctx) => {
+    const practised = new Set(ctx.history.map((h) => dayKey(h.finished_at)));
+    for (let i = 0; i < Number(days); i++) {
+      if (!practised.has(dayKey(ctx.now.getTime() - i * DAY_MS))) return false;
+    }
+    return true;
+  },
+
+  time_budget: ({ max_ms, level_id }, ctx) => {
+    const scenarioIds =
+      level_id != null
+        ? ctx.scenariosByLevel.get(Number(level_id)) || []
+        : ctx.allScenarioIds;
+    if (!scenarioIds.length) return false;
+
+    let total = 0;
+    for (const id of scenarioIds) {
+      const fastest = ctx.fastestPerfectByScenario.get(id);
+      if (fastest == null) return false;
+      total += fastest;
+    }
+    return total <= Number(max_ms);
+  },
+
+  first_try_perfect: ({ count = 1 }, ctx) => {
+    let perfectFirstTries = 0;
+    for (const score of ctx.firstScoreByScenario.values()) {
+      if (score === 100) perfectFirstTries += 1;
+    }
+    return perfectFirstTries >= Number(count);
+  },
+};
+
+/**
+ * Server-side evaluator for badge criteria.
+ *
+ * After every submission the engine checks each badge that has `criteria`
+ * against the user's attempt history and awards the ones newly earned.
+ * Awarding is idempotent: a badge the user already holds is skipped, and the
+ * unique (user_id, badge_id) key guards against concurrent submissions.
+ *
+ * @class BadgeRuleEngine
+ */
+export class BadgeRuleEngine {
+  /**
+   * Creates an instance of BadgeRuleEngine.
+   * @param {import('../domain/repositories/BadgesRepository.js').BadgesRepository} badgesRepository - Badge definitions.
+   * @param {import('../domain/repositories/UserBadgeRepository.js').UserBadgeRepository} userBadgeRepository - Earned badges.
+   * @param {import('../domain/repositories/AttemptHistoryRepository.js').AttemptHistoryRepository} attemptHistoryRepository - Every try of every user.
+   * @param {import('../domain/repositories/ScenarioRepository.js').ScenarioRepository} scenarioRepository - Scenario catalog.
+   */
+  constructor(badgesRepository, userBadgeRepository, attemptHistoryRepository, scenarioRepository) {
+    this.badgesRepository = badgesRepository;
+    this.userBadgeRepository = userBadgeRepository;
+    this.attemptHistoryRepository = attemptHistoryRepository;
+    this.scenarioRepository = scenarioRepository;
+  }
+
+  /**
+   * Evaluate every badge rule for a user and award the badges newly earned.
+   * @async
+   * @param {number} user_id - The user ID.
+   * @param {object} [options]
+   * @param {Date} [options.now=new Date()] - Reference time for day-based rules.
+   * @returns {Promise<BadgesDTO[]>} Badges awarded by this call (empty if none).
+   * @throws {Error} If evaluation or awarding fails.
+   * @example
+   * const awarded = await badgeRuleEngine.evaluate(4);
+   * // [{ badge_id: 7, name: "On Fire", criteria: { type: "perfect_streak", count: 5 }, ... }]
+   */
+  async evaluate(user_id, { now = new Date() } = {}) {
+    try {
+      const [badges, held] = await Promise.all([
+        this.badgesRepository.findWithCriteria(),
+        this.userBadgeRepository.findByUser(user_id),
+      ]);
+
+      const heldIds = new Set(held.map((ub) => Number(ub.badge_id)));
+      const candidates = badges.filter(
+        (b) => !heldIds.has(Number(b.badge_id)) && RULES[b.criteria?.type]
+      );
+      if (!candidates.length) return [];
+
+      const ctx = await this._loadContext(user_id, now);
+      const awarded = [];
+
+      for (const badge of candidates) {
+        if (!RULES[badge.criteria.type](badge.criteria, ctx)) continue;
+
+        const created = await this.userBadgeRepository.award(user_id, badge.badge_id);
+        if (created) awarded.push(BadgesDTO.fromEntity(badge));
+      }
+
+      return awarded;
+    } catch (error) {
+      throw new Error(`Failed to evaluate badges for user ${user_id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load and index the user's history for the rule evaluators.
+   * @private
+   * @param {number} user_id - The user ID.
+   * @param {Date} now - Reference time.
+   * @returns {Promise<object>} Evaluation context.
+   */
+  async _loadContext(user_id, now) {
+    const [history, scenarios] = await Promise.all([
+      this.attemptHistoryRepository.findAllByUser(user_id),
+      this.scenarioRepository.findAll({ user_id }),
+    ]);
+
+    const scenariosByLevel = new Map();
+    for (const s of scenarios) {
+      const list = scenariosByLevel.get(Number(s.level_id)) || [];
+      list.push(Number(s.scenario_id));
+      scenariosByLevel.set(Number(s.level_id), list);
+    }
+
+    const bestByScenario = new Map();
+    const firstScoreByScenario = new Map();
+    const fastestPerfectByScenario = new Map();
+
+    // History is oldest first, so the first entry seen per scenario is the first try
+    for (const h of history) {
+      const id = Number(h.scenario_id);
+      const score = Number(h.score);
+
+      if (!firstScoreByScenario.has(id)) firstScoreByScenario.set(id, score);
+      bestByScenario.set(id, Math.max(bestByScenario.get(id) ?? 0, score));
+
+      if (score === 100 && h.duration_ms != null) {
+        const fastest = fastestPerfectByScenario.get(id);
+        if (fastest == null || h.duration_ms < fastest) {
+          fastestPerfectByScenario.set(id, Number(h.duration_ms));
+        }
+      }
+    }
+
+    return {
+      now,
+      history: history.map((h) => ({ ...h, score: Number(h.score) })),
+      scenariosByLevel,
+      allScenarioIds: scenarios.map((s) => Number(s.scenario_id)),
+      bestByScenario,
+      firstScoreByScenario,
+      fastestPerfectByScenario,
+    };
+  }
+}
@@ -75,17 +75,19 @@ export class BadgesService {
    * Create a new badge record.
    * @async
    * @param {object} data - The badge data to create.
-   * @param {number} data.level_id - The associated level ID.
+   * @param {number} [data.level_id] - The associated level ID.
    * @param {string} data.name - The badge name.
    * @param {string} data.description - Badge description.
    * @param {string} [data.icon_url] - Optional icon URL.
+   * @param {object} [data.criteria] - Award rule evaluated by the BadgeRuleEngine.
    * @returns {Promise<BadgesDTO>} The created badge DTO.
    * @throws {Error} If badge creation fails.
    * @example
    * const newBadge = await badgesService.createBadge({
    *   level_id: 3,
    *   name: "Expert",
-   *   description: "Completed all level 3 challenges"
+   *   description: "Completed all level 3 challenges",
+   *   criteria: { type: "perfect_level", level_id: 3 }
    * });
    */
   async createBadge(data) {
@@ -106,6 +108,7 @@ export class BadgesService {
    * @param {string} [data.name] - Updated name.
    * @param {string} [data.description] - Updated description.
    * @param {string} [data.icon_url] - Updated icon URL.
+   * @param {object} [data.criteria] - Updated award rule.
    * @returns {Promise<BadgesDTO|null>} Updated badge DTO, or null if not found.
    * @throws {Error} If update fails.
    * @example
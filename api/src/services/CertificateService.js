@@ -0,0 +1,290 @@
+import CertificateDTO from '../domain/dto/CertificateDTO.js';
+import { issueSerial, verifySerial } from '../utils/certificateSerial.js';
+import { renderCertificatePdf } from '../utils/certificatePdf.js';
+import { addDays } from '../utils/recertification.js';
+import { verificationRequiredFor } from '../utils/emailVerification.js';
+
+const CERTIFICATE_TITLE = 'First Aid Elite Responder Certificate';
+const VALID_DAYS = Number(process.env.CERTIFICATE_VALID_DAYS) || 730;
+const VERIFY_BASE_URL = (
+  process.env.CERTIFICATE_VERIFY_URL || 'http://localhost:5173/verify'
+).replace(/\/+$/, '');
+
+/**
+ * Service layer for issuing and verifying certificates.
+ *
+ * A user earns the certificate by holding a current (unexpired) completion of
+ * every level. The certificate expires with the earliest of those completions,
+ * so renewing levels through refreshers earns a new certificate. Certificates
+ * are only ever created here, with a signed serial, so anyone holding the
+ * serial can check it through the public verification endpoint. When
+ * `EMAIL_VERIFICATION_POLICY` requires it, the holder's email must be
+ * verified too.
+ *
+ * @class CertificateService
+ */
+export class CertificateService {
+  /**
+   * Creates an instance of CertificateService.
+   * @param {import('../domain/repositories/CertificateRepository.js').CertificateRepository} certificateRepository - Issued certificates.
+   * @param {import('../domain/repositories/LevelRepository.js').LevelRepository} levelRepository - Level catalog.
+   * @param {import('../domain/repositories/UserLevelRepository.js').UserLevelRepository} userLevelRepository - Per-user level completion.
+   * @param {import('../domain/repositories/UserRepository.js').UserRepository} userRepository - Users (email verification).
+   */
+  constructor(certificateRepository, levelRepository, userLevelRepository, userRepository) {
+    this.certificateRepository = certificateRepository;
+    this.levelRepository = levelRepository;
+    this.userLevelRepository = userLevelRepository;
+    this.userRepository = userRepository;
+  }
+
+  /**
+   * Public verification URL for a serial.
+   * @param {string} serial - The certificate serial.
+   * @returns {string}
+   */
+  verifyUrl(serial) {
+    return `${VERIFY_BASE_URL}/${encodeURIComponent(serial)}`;
+  }
+
+  /**
+   * Whether a user meets the completion criteria (every level completed and
+   * none of the completions expired).
+   * @async
+   * @param {number} user_id - The user ID.
+   * @returns {Promise<boolean>}
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const eligible = await certificateService.isEligible(4);
+   */
+  async isEligible(user_id) {
+    return (await this._eligibility(user_id, new Date())).eligible;
+  }
+
+  /**
+   * Issue the certificate to a user who meets the criteria (and has a
+   * verified email, when the verification policy requires it).
+   * The user's current certificate is returned instead of issuing a new one,
+   * unless their levels were renewed since and a new one would last longer.
+   * @async
+   * @param {number} user_id - The user ID.
+   * @returns {Promise<{certificate: CertificateDTO, created: boolean}|null>} The certificate, or null if the user is not eligible or not verified.
+   * @throws {Error} If issuing fails.
+   * @example
+   * const issued = await certificateService.issueIfEligible(4);
+   * if (issued?.created) console.log(issued.certificate.serial);
+   */
+  async issueIfEligible(user_id) {
+    const now = new Date();
+    const { eligible, levels_expire_at } = await this._eligibility(user_id, now);
+    if (!eligible || !(await this._emailCleared(user_id))) return null;
+
+    try {
+      const existing = (await this.certificateRepository.findByUser(user_id)).find(
+        (c) => !c.revoked_at && new Date(c.expires_at) > now
+      );
+      if (existing && (!levels_expire_at || new Date(existing.expires_at) >= levels_expire_at)) {
+        return { certificate: this._toDTO(existing), created: false };
+      }
+
+      // Whole seconds, so the signed dates survive the DATETIME round-trip
+      const issued_at = new Date(Math.floor(now.getTime() / 1000) * 1000);
+      const expires_at = levels_expire_at ?? addDays(issued_at, VALID_DAYS);
+      const fields = { user_id, title: CERTIFICATE_TITLE, issued_at, expires_at };
+
+      const { serial, signature } = issueSerial(fields);
+      const certificate = await this.certificateRepository.create({ ...fields, serial, signature });
+      return { certificate: this._toDTO(certificate), created: true };
+    } catch (error) {
+      throw new Error(`Failed to issue certificate for user ${user_id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * List a user's certificates, newest first.
+   * @async
+   * @param {number} user_id - The user ID.
+   * @returns {Promise<CertificateDTO[]>}
+   * @throws {Error} If retrieval fails.
+   */
+  async listByUser(user_id) {
+    try {
+      const certificates = await this.certificateRepository.findByUser(user_id);
+      return certificates.map((c) => this._toDTO(c));
+    } catch (error) {
+      throw new Error(`Failed to list certificates for user ${user_id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * List every certificate, newest first.
+   * @async
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Only certificates of this organization's members.
+   * @returns {Promise<CertificateDTO[]>}
+   * @throws {Error} If retrieval fails.
+   */
+  async listCertificates({ organization_id } = {}) {
+    try {
+      const certificates = await this.certificateRepository.findAll({ organization_id });
+      return certificates.map((c) => this._toDTO(c));
+    } catch (error) {
+      throw new Error('Failed to list certificates: ' + error.message);
+    }
+  }
+
+  /**
+   * Check a serial for authenticity and current validity.
+   *
+   * `status` is one of `valid`, `expired`, `revoked`, `not_found` or `invalid`
+   * (the stored row no longer matches its signature).
+   * @async
+   * @param {string} serial - The certificate serial.
+   * @returns {Promise<{valid: boolean, status: string, certificate?: {serial: string, holder_name: string, title: string, issued_at: Date, expires_at: Date, revoked_at: Date|null}}>}
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const { valid, status } = await certificateService.verify("SIM-7F3A9C21B04E-5D1E88A0");
+   */
+  async verify(serial) {
+    try {
+      const certificate = await this.certificateRepository.findBySerial(serial);
+      if (!certificate) return { valid: false, status: 'not_found' };
+      if (!verifySerial(certificate)) return { valid: false, status: 'invalid' };
+
+      let status = 'valid';
+      if (certificate.revoked_at) status = 'revoked';
+      else if (new Date(certificate.expires_at) <= new Date()) status = 'expired';
+
+      return {
+        valid: status === 'valid',
+        status,
+        certificate: {
+          serial: certificate.serial,
+          holder_name: certificate.holder_name,
+          title: certificate.title,
+          issued_at: certificate.issued_at,
+          expires_at: certificate.expires_at,
+          revoked_at: certificate.revoked_at,
+        },
+      };
+    } catch (error) {
+      throw new Error(`Failed to verify certificate ${serial}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Render a certificate as a vector PDF (holder, title, completed levels,
+   * serial and a QR code to the verification URL).
+   *
+   * Only authentic, unrevoked certificates are rendered; expired ones still
+   * render, since the PDF prints its validity dates.
+   * @async
+   * @param {string} serial - The certificate serial.
+   * @returns {Promise<{status: string, pdf?: Buffer, filename?: string}>} `status` as in {@link CertificateService#verify}; `pdf` is set unless it is `not_found`, `revoked` or `invalid`.
+   * @throws {Error} If retrieval or rendering fails.
+   * @example
+   * const { status, pdf, filename } = await certificateService.renderPdf("SIM-7F3A9C21B04E-5D1E88A0");
+   */
+  async renderPdf(serial) {
+    try {
+      const certificate = await this.certificateRepository.findBySerial(serial);
+      if (!certificate) return { status: 'not_found' };
+      if (!verifySerial(certificate)) return { status: 'invalid' };
+      if (certificate.revoked_at) return { status: 'revoked' };
+
+      const [levels, userLevels] = await Promise.all([
+        this.levelRepository.findAll(),
+        this.userLevelRepository.findByUser(certificate.user_id),
+      ]);
+      const completed = new Set(
+        userLevels.filter((ul) => ul.completed).map((ul) => Number(ul.level_id))
+      );
+
+      const pdf = await renderCertificatePdf({
+        ...certificate,
+        verify_url: this.verifyUrl(certificate.serial),
+        levels: levels.filter((l) => completed.has(Number(l.level_id))).map((l) => l.title),
+      });
+
+      return {
+        status: new Date(certificate.expires_at) <= new Date() ? 'expired' : 'valid',
+        pdf,
+        filename: `${certificate.serial}.pdf`,
+      };
+    } catch (error) {
+      throw new Error(`Failed to render certificate ${serial}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke a certificate.
+   * @async
+   * @param {string} serial - The certificate serial.
+   * @returns {Promise<CertificateDTO|null>} The revoked certificate, or null if unknown.
+   * @throws {Error} If the update fails.
+   */
+  async revoke(serial) {
+    try {
+      const certificate = await this.certificateRepository.revoke(serial);
+      return certificate ? this._toDTO(certificate) : null;
+    } catch (error) {
+      throw new Error(`Failed to revoke certificate ${serial}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check the completion criteria and find when the user's completions start
+   * expiring.
+   * @private
+   * @param {number} user_id - The user ID.
+   * @param {Date} now - Reference time.
+   * @returns {Promise<{eligible: boolean, levels_expire_at: Date|null}>} `levels_expire_at` is the earliest level expiry (null if none is dated).
+   */
+  async _eligibility(user_id, now) {
+    try {
+      const [levels, userLevels] = await Promise.all([
+        this.levelRepository.findAll(),
+        this.userLevelRepository.findByUser(user_id),
+      ]);
+      const completedByLevel = new Map(
+        userLevels.filter((ul) => ul.completed).map((ul) => [Number(ul.level_id), ul])
+      );
+
+      let levels_expire_at = null;
+      for (const level of levels) {
+        const completion = completedByLevel.get(Number(level.level_id));
+        if (!completion) return { eligible: false, levels_expire_at: null };
+        if (!completion.expires_at) continue;
+
+        const expires = new Date(completion.expires_at);
+        if (expires <= now) return { eligible: false, levels_expire_at: null };
+        if (!levels_expire_at || expires < levels_expire_at) levels_expire_at = expires;
+      }
+
+      return { eligible: levels.length > 0, levels_expire_at };
+    } catch (error) {
+      throw new Error(`Failed to check certificate eligibility for user ${user_id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether the verification policy lets this user receive the certificate.
+   * @private
+   * @param {number} user_id - The user ID.
+   * @returns {Promise<boolean>}
+   */
+  async _emailCleared(user_id) {
+    if (!verificationRequiredFor('certificate')) return true;
+    const user = await this.userRepository.findById(user_id);
+    return Boolean(user?.email_verified_at);
+  }
+
+  /**
+   * @private
+   * @param {object} entity - Certificate entity.
+   * @returns {CertificateDTO}
+   */
+  _toDTO(entity) {
+    return CertificateDTO.fromEntity(entity, this.verifyUrl(entity.serial));
+  }
+}
@@ -0,0 +1,163 @@
+import { AppError } from '../utils/error.js';
+
+/**
+ * Service layer for classes and their enrollment.
+ *
+ * Instructors group learners into classes to hand them assignments (see
+ * {@link AssignmentService}). A class created by a member of an organization
+ * belongs to that organization: only its staff can see or manage the class,
+ * and only its members can be enrolled. Classes created by platform staff
+ * have no organization and may enroll anyone.
+ *
+ * @class ClassService
+ */
+export class ClassService {
+  /**
+   * Creates an instance of ClassService.
+   * @param {import('../domain/repositories/ClassRepository.js').ClassRepository} classRepository - Classes and enrollments.
+   * @param {import('../domain/repositories/UserRepository.js').UserRepository} userRepository - Users (enrollment checks).
+   */
+  constructor(classRepository, userRepository) {
+    this.classRepository = classRepository;
+    this.userRepository = userRepository;
+  }
+
+  /**
+   * List classes with their member counts.
+   * @async
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Only this organization's classes.
+   * @returns {Promise<import('../domain/entities/ClassEntity.js').default[]>}
+   * @throws {Error} If retrieval fails.
+   */
+  async listClasses({ organization_id } = {}) {
+    try {
+      return await this.classRepository.findAll({ organization_id });
+    } catch (error) {
+      throw new Error('Failed to list classes: ' + error.message);
+    }
+  }
+
+  /**
+   * Get one class.
+   * @async
+   * @param {number} id - The class ID.
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Caller's organization; other classes are reported as not found.
+   * @returns {Promise<import('../domain/entities/ClassEntity.js').default>}
+   * @throws {AppError} 404 if the class does not exist or is outside the caller's scope.
+   * @example
+   * const cls = await classService.getClass(3, { organization_id: 2 });
+   */
+  async getClass(id, { organization_id } = {}) {
+    const cls = await this.classRepository.findById(id, { organization_id });
+    if (!cls) throw new AppError('Class not found', 404);
+    return cls;
+  }
+
+  /**
+   * Create a class owned by the caller's organization (none for platform staff).
+   * @async
+   * @param {{name: string}} data - Class name.
+   * @param {{id: number, organization_id?: number|null}} creator - `req.user`.
+   * @returns {Promise<import('../domain/entities/ClassEntity.js').default>}
+   * @throws {Error} If the insert fails.
+   * @example
+   * const cls = await classService.createClass({ name: "Night shift" }, req.user);
+   */
+  async createClass({ name }, creator) {
+    try {
+      return await this.classRepository.create({
+        name,
+        organization_id: creator.organization_id ?? null,
+        created_by: creator.id,
+      });
+    } catch (error) {
+      throw new Error('Failed to create class: ' + error.message);
+    }
+  }
+
+  /**
+   * Rename a class.
+   * @async
+   * @param {number} id - The class ID.
+   * @param {{name: string}} data - New name.
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Caller's organization.
+   * @returns {Promise<import('../domain/entities/ClassEntity.js').default>}
+   * @throws {AppError} 404 if the class does not exist or is outside the caller's scope.
+   */
+  async renameClass(id, { name }, scope = {}) {
+    await this.getClass(id, scope);
+    return this.classRepository.update(id, { name });
+  }
+
+  /**
+   * Delete a class with its enrollments and assignments. Attempts are kept.
+   * @async
+   * @param {number} id - The class ID.
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Caller's organization.
+   * @returns {Promise<void>}
+   * @throws {AppError} 404 if the class does not exist or is outside the caller's scope.
+   */
+  async deleteClass(id, scope = {}) {
+    await this.getClass(id, scope);
+    await this.classRepository.delete(id);
+  }
+
+  /**
+   * List the users enrolled in a class.
+   * @async
+   * @param {number} id - The class ID.
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Caller's organization.
+   * @returns {Promise<Array<{user_id: number, full_name: string, email: string, organization_id: number|null, enrolled_at: Date}>>}
+   * @throws {AppError} 404 if the class does not exist or is outside the caller's scope.
+   */
+  async listMembers(id, scope = {}) {
+    await this.getClass(id, scope);
+    return this.classRepository.findMembers(id);
+  }
+
+  /**
+   * Enroll a user in a class. A class of an organization only takes that
+   * organization's members. Enrolling twice is harmless.
+   * @async
+   * @param {number} id - The class ID.
+   * @param {number} user_id - The user to enroll.
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Caller's organization.
+   * @returns {Promise<object[]>} The class's members after enrolling.
+   * @throws {AppError} 404 if the class is not found, or the user is not found or not in the class's organization.
+   * @example
+   * const members = await classService.enroll(3, 14, { organization_id: 2 });
+   */
+  async enroll(id, user_id, scope = {}) {
+    const cls = await this.getClass(id, scope);
+    const user = await this.userRepository.findById(user_id, {
+      organization_id: cls.organization_id ?? undefined,
+    });
+    if (!user) throw new AppError('User not found', 404);
+
+    await this.classRepository.addMember(id, user_id);
+    return this.classRepository.findMembers(id);
+  }
+
+  /**
+   * Remove a user from a class.
+   * @async
+   * @param {number} id - The class ID.
+   * @param {number} user_id - The member to remove.
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Caller's organization.
+   * @returns {Promise<void>}
+   * @throws {AppError} 404 if the class is not found or the user is not enrolled.
+   */
+  async unenroll(id, user_id, scope = {}) {
+    await this.getClass(id, scope);
+    if (!(await this.classRepository.removeMember(id, user_id))) {
+      throw new AppError('User is not enrolled in this class', 404);
+    }
+  }
+}
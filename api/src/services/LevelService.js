@@ -1,11 +1,14 @@
 import LevelDTO from '../domain/dto/LevelDTO.js';
+import { AppError } from '../utils/error.js';
+import { createsCycle } from '../utils/evaluateUnlockRules.js';
 
 /**
  * Service layer for handling Level-related business logic.
  *
  * This class manages interactions between controllers and repositories for
- * Level entities. It retrieves, creates, updates, and deletes levels, while
- * converting entities to DTOs (`LevelDTO`) before returning results.
+ * Level entities. It retrieves, creates, updates, and deletes levels, manages
+ * each level's prerequisites (the level graph), and converts entities to DTOs
+ * (`LevelDTO`) before returning results.
  *
  * @class LevelService
  */
@@ -13,13 +16,16 @@ export class LevelService {
   /**
    * Creates an instance of LevelService.
    * @param {import('../domain/repositories/LevelRepository.js').LevelRepository} levelRepository - Repository for interacting with level data.
+   * @param {import('../domain/repositories/LevelPrerequisiteRepository.js').LevelPrerequisiteRepository} prerequisiteRepository - Repository for level prerequisites.
    */
-  constructor(levelRepository) {
+  constructor(levelRepository, prerequisiteRepository) {
     this.levelRepository = levelRepository;
+    this.prerequisiteRepository = prerequisiteRepository;
   }
 
   /**
-   * Retrieve all levels from the repository.
+   * Retrieve all levels from the repository, ordered by difficulty order,
+   * each with its prerequisites.
    * @async
    * @returns {Promise<LevelDTO[]>} List of all levels.
    * @throws {Error} If retrieval fails.
@@ -28,8 +34,16 @@ export class LevelService {
    */
   async listLevels() {
     try {
-      const levels = await this.levelRepository.findAll();
-      return levels.map(LevelDTO.fromEntity);
+      const [levels, edges] = await Promise.all([
+        this.levelRepository.findAll(),
+        this.prerequisiteRepository.findAll(),
+      ]);
+      return levels.map((level) =>
+        LevelDTO.fromEntity(
+          level,
+          edges.filter((e) => e.level_id === level.level_id)
+        )
+      );
     } catch (error) {
       throw new Error('Failed to list levels: ' + error.message);
     }
@@ -47,7 +61,9 @@ export class LevelService {
   async getLevel(id) {
     try {
       const level = await this.levelRepository.findById(id);
-      return level ? LevelDTO.fromEntity(level) : null;
+      if (!level) return null;
+      const prerequisites = await this.prerequisiteRepository.findByLevel(id);
+      return LevelDTO.fromEntity(level, prerequisites);
     } catch (error) {
       throw new Error(`Failed to get level with id ${id}: ${error.message}`);
     }
@@ -94,12 +110,63 @@ export class LevelService {
   async updateLevel(id, data) {
     try {
       const level = await this.levelRepository.update(id, data);
-      return level ? LevelDTO.fromEntity(level) : null;
+      if (!level) return null;
+      const prerequisites = await this.prerequisiteRepository.findByLevel(id);
+      return LevelDTO.fromEntity(level, prerequisites);
     } catch (error) {
       throw new Error(`Failed to update level with id ${id}: ${error.message}`);
     }
   }
 
+  /**
+   * Replace the prerequisites of a level.
+   * Rejects unknown or self-referencing levels and any change that would
+   * create a cycle in the level graph.
+   * @async
+   * @param {number} id - The ID of the level to configure.
+   * @param {Array<{required_level_id: number, min_score?: number|null}>} prerequisites - New unlock rules; empty makes the level an entry point.
+   * @returns {Promise<LevelDTO|null>} The updated level DTO, or null if the level does not exist.
+   * @throws {AppError} 400 if the rules are invalid.
+   * @throws {Error} If saving fails.
+   * @example
+   * await levelService.setPrerequisites(7, [{ required_level_id: 2 }, { required_level_id: 3, min_score: 80 }]);
+   */
+  async setPrerequisites(id, prerequisites) {
+    try {
+      const levelId = Number(id);
+      const [levels, edges] = await Promise.all([
+        this.levelRepository.findAll(),
+        this.prerequisiteRepository.findAll(),
+      ]);
+
+      const level = levels.find((l) => l.level_id === levelId);
+      if (!level) return null;
+
+      const knownIds = new Set(levels.map((l) => l.level_id));
+      const requiredIds = prerequisites.map((p) => Number(p.required_level_id));
+
+      if (requiredIds.includes(levelId)) {
+        throw new AppError('A level cannot require itself');
+      }
+      const unknown = requiredIds.filter((rid) => !knownIds.has(rid));
+      if (unknown.length) {
+        throw new AppError(`Unknown required level(s): ${unknown.join(', ')}`);
+      }
+      if (new Set(requiredIds).size !== requiredIds.length) {
+        throw new AppError('Each required level may only appear once');
+      }
+      if (createsCycle(levelId, requiredIds, edges)) {
+        throw new AppError('These prerequisites would create a cycle in the level graph');
+      }
+
+      const saved = await this.prerequisiteRepository.replaceForLevel(levelId, prerequisites);
+      return LevelDTO.fromEntity(level, saved);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new Error(`Failed to set prerequisites for level ${id}: ${error.message}`);
+    }
+  }
+
   /**
    * Delete a level by its ID.
    * @async
@@ -0,0 +1,152 @@
+import LevelDTO from '../domain/dto/LevelDTO.js';
+import { evaluateUnlockRules } from '../utils/evaluateUnlockRules.js';
+
+/**
+ * Service that evaluates the level graph for a user.
+ *
+ * Combines the level catalog, the prerequisites between levels, the user's
+ * stored level progress and their best scores to decide which levels are
+ * unlocked. Nothing here assumes a fixed number of levels or a linear path.
+ *
+ * @class LevelUnlockService
+ */
+export class LevelUnlockService {
+  /**
+   * Creates an instance of LevelUnlockService.
+   * @param {import('../domain/repositories/LevelRepository.js').LevelRepository} levelRepository - Level catalog.
+   * @param {import('../domain/repositories/LevelPrerequisiteRepository.js').LevelPrerequisiteRepository} prerequisiteRepository - Level graph edges.
+   * @param {import('../domain/repositories/UserLevelRepository.js').UserLevelRepository} userLevelRepository - Stored per-user level progress.
+   * @param {import('../domain/repositories/AttemptRepository.js').AttemptRepository} attemptRepository - Best scores per scenario.
+   */
+  constructor(levelRepository, prerequisiteRepository, userLevelRepository, attemptRepository) {
+    this.levelRepository = levelRepository;
+    this.prerequisiteRepository = prerequisiteRepository;
+    this.userLevelRepository = userLevelRepository;
+    this.attemptRepository = attemptRepository;
+  }
+
+  // ---- 🗺️ Level map for a user ----
+
+  /**
+   * Build the user's view of the level graph, ordered by difficulty order.
+   * A level counts as unlocked if it was unlocked before (stored progress)
+   * or its rules are met now.
+   * @async
+   * @param {number} user_id - The user ID.
+   * @returns {Promise<Array<LevelDTO & {unlocked: boolean, completed: boolean, avg_score: number, unmet: object[]}>>}
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const map = await levelUnlockService.getLevelMap(4);
+   * // [{ level_id: 1, title: "Basics", unlocked: true, completed: true, prerequisites: [], unmet: [] }, ...]
+   */
+  async getLevelMap(user_id) {
+    try {
+      const state = await this._loadState(user_id);
+      return state.levels.map((level) => {
+        const prerequisites = state.prerequisitesByLevel.get(level.level_id) || [];
+        const stored = state.storedByLevel.get(level.level_id);
+        const progress = state.progressByLevel.get(level.level_id);
+        const { unlocked, unmet } = evaluateUnlockRules(prerequisites, state.progressByLevel);
+
+        return {
+          ...LevelDTO.fromEntity(level, prerequisites),
+          unlocked: unlocked || Boolean(stored?.unlocked) || Boolean(stored?.completed),
+          completed: Boolean(stored?.completed),
+          avg_score: progress?.avg_score ?? 0,
+          unmet: unlocked ? [] : unmet,
+        };
+      });
+    } catch (error) {
+      throw new Error(`Failed to build level map for user ${user_id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether a single level is currently unlocked for a user.
+   * @async
+   * @param {number} user_id - The user ID.
+   * @param {number} level_id - The level ID.
+   * @returns {Promise<boolean>} True if the level is unlocked.
+   * @throws {Error} If retrieval fails.
+   * @example
+   * if (!(await levelUnlockService.isUnlocked(4, 3))) { ... }
+   */
+  async isUnlocked(user_id, level_id) {
+    const map = await this.getLevelMap(user_id);
+    return Boolean(map.find((l) => l.level_id === Number(level_id))?.unlocked);
+  }
+
+  // ---- 🔓 Persist newly met rules ----
+
+  /**
+   * Unlock every level whose rules the user now meets but which is not yet
+   * stored as unlocked. Call after anything that changes progress.
+   * @async
+   * @param {number} user_id - The user ID.
+   * @returns {Promise<number[]>} IDs of the levels unlocked by this call, in difficulty order.
+   * @throws {Error} If saving fails.
+   * @example
+   * const newlyUnlocked = await levelUnlockService.unlockEligibleLevels(4); // [3]
+   */
+  async unlockEligibleLevels(user_id) {
+    try {
+      const state = await this._loadState(user_id);
+      const newlyUnlocked = [];
+
+      for (const level of state.levels) {
+        const stored = state.storedByLevel.get(level.level_id);
+        if (stored?.unlocked || stored?.completed) continue;
+
+        const prerequisites = state.prerequisitesByLevel.get(level.level_id) || [];
+        // Entry levels are open to everyone; no need to store them
+        if (!prerequisites.length) continue;
+
+        if (evaluateUnlockRules(prerequisites, state.progressByLevel).unlocked) {
+          await this.userLevelRepository.unlock(user_id, level.level_id);
+          newlyUnlocked.push(level.level_id);
+        }
+      }
+
+      return newlyUnlocked;
+    } catch (error) {
+      throw new Error(`Failed to unlock levels for user ${user_id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load everything the evaluator needs for one user.
+   * @private
+   * @param {number} user_id - The user ID.
+   * @returns {Promise<{levels: object[], prerequisitesByLevel: Map<number, object[]>, storedByLevel: Map<number, object>, progressByLevel: Map<number, {completed: boolean, avg_score: number}>}>}
+   */
+  async _loadState(user_id) {
+    const [levels, edges, userLevels, scores] = await Promise.all([
+      this.levelRepository.findAll(),
+      this.prerequisiteRepository.findAll(),
+      this.userLevelRepository.findByUser(user_id),
+      this.attemptRepository.getLevelScoresByUser(user_id),
+    ]);
+
+    const prerequisitesByLevel = new Map();
+    for (const edge of edges) {
+      const list = prerequisitesByLevel.get(edge.level_id) || [];
+      list.push(edge);
+      prerequisitesByLevel.set(edge.level_id, list);
+    }
+
+    const storedByLevel = new Map(userLevels.map((ul) => [Number(ul.level_id), ul]));
+    const scoreByLevel = new Map(scores.map((s) => [s.level_id, s.avg_score]));
+
+    const progressByLevel = new Map(
+      levels.map((level) => [
+        level.level_id,
+        {
+          completed: Boolean(storedByLevel.get(level.level_id)?.completed),
+          avg_score: scoreByLevel.get(level.level_id) ?? 0,
+        },
+      ])
+    );
+
+    return { levels, prerequisitesByLevel, storedByLevel, progressByLevel };
+  }
+}
@@ -0,0 +1,230 @@
+import { AppError } from '../utils/error.js';
+import {
+  LOGIN_MAX_FAILURES,
+  LOGIN_LOCKOUT_MINUTES,
+  LOGIN_IP_MAX_FAILURES,
+  LOGIN_IP_WINDOW_MINUTES,
+  progressiveDelaySeconds,
+} from '../utils/loginThrottle.js';
+
+const secondsUntil = (at, now) => Math.max(1, Math.ceil((new Date(at).getTime() - now.getTime()) / 1000));
+
+/**
+ * Service that protects logins against password guessing.
+ *
+ * Failed logins are counted per account and per client IP. After a few
+ * consecutive failures an account has to wait a growing delay between
+ * attempts ({@link progressiveDelaySeconds}); at `LOGIN_MAX_FAILURES` it is
+ * locked for `LOGIN_LOCKOUT_MINUTES`. An IP address with more than
+ * `LOGIN_IP_MAX_FAILURES` failures in `LOGIN_IP_WINDOW_MINUTES` is refused
+ * whatever the account. Every attempt is written to the `login_attempts`
+ * audit trail; admins can read it and unlock accounts.
+ *
+ * Refusals are thrown as {@link AppError} with `code` and `retry_after`
+ * (seconds) in the details: 429 `TOO_MANY_ATTEMPTS` while a delay runs,
+ * 423 `ACCOUNT_LOCKED` (plus `locked_until`) while an account is locked.
+ *
+ * @class LoginThrottleService
+ */
+export class LoginThrottleService {
+  /**
+   * Creates an instance of LoginThrottleService.
+   * @param {import('../domain/repositories/UserRepository.js').UserRepository} userRepository - Users (failure count and lock).
+   * @param {import('../domain/repositories/LoginAttemptRepository.js').LoginAttemptRepository} loginAttemptRepository - Login audit trail.
+   */
+  constructor(userRepository, loginAttemptRepository) {
+    this.userRepository = userRepository;
+    this.loginAttemptRepository = loginAttemptRepository;
+  }
+
+  /**
+   * Refuse the attempt if its IP or account is throttled or locked. Call
+   * before checking the password, so a locked account cannot be probed.
+   * @async
+   * @param {object} attempt - The login attempt.
+   * @param {string} attempt.email - Email address that was typed.
+   * @param {import('../domain/entities/UserEntity.js').default|null} attempt.user - Matching account, if any.
+   * @param {string} [attempt.ip] - Client IP address.
+   * @param {string} [attempt.user_agent] - Client description.
+   * @param {object} [options]
+   * @param {Date} [options.now=new Date()] - Reference time.
+   * @returns {Promise<void>}
+   * @throws {AppError} 429 while the IP or account must wait, 423 while the account is locked.
+   * @example
+   * await loginThrottleService.assertAllowed({ email, user, ip: req.ip });
+   */
+  async assertAllowed(attempt, { now = new Date() } = {}) {
+    const { user, ip } = attempt;
+
+    if (ip) {
+      const windowMs = LOGIN_IP_WINDOW_MINUTES * 60 * 1000;
+      const { failures, first_at } = await this.loginAttemptRepository.countFailuresByIpSince(
+        ip,
+        new Date(now.getTime() - windowMs)
+      );
+      if (failures >= LOGIN_IP_MAX_FAILURES) {
+        await this._audit(attempt, 'ip_throttled', now);
+        throw new AppError('Too many failed logins from your network. Please try again later.', 429, {
+          code: 'TOO_MANY_ATTEMPTS',
+          retry_after: secondsUntil(new Date(first_at).getTime() + windowMs, now),
+        });
+      }
+    }
+
+    if (!user) return;
+
+    if (user.locked_until && new Date(user.locked_until) > now) {
+      await this._audit(attempt, 'locked', now);
+      throw this._lockedError(user.locked_until, now);
+    }
+
+    const delay = progressiveDelaySeconds(user.failed_login_count);
+    if (delay && user.last_failed_login_at) {
+      const nextAt = new Date(user.last_failed_login_at).getTime() + delay * 1000;
+      if (nextAt > now.getTime()) {
+        await this._audit(attempt, 'throttled', now);
+        const retry_after = secondsUntil(nextAt, now);
+        throw new AppError(`Too many failed logins. Please wait ${retry_after}s before trying again.`, 429, {
+          code: 'TOO_MANY_ATTEMPTS',
+          retry_after,
+        });
+      }
+    }
+  }
+
+  /**
+   * Record a wrong email, password or two-factor code. Locks the account
+   * once it reaches `LOGIN_MAX_FAILURES` consecutive failures.
+   * @async
+   * @param {object} attempt - The login attempt (see {@link LoginThrottleService#assertAllowed}).
+   * @param {object} [options]
+   * @param {string} [options.reason] - Audit reason; defaults to `bad_password` (or `unknown_email` without an account).
+   * @param {Date} [options.now=new Date()] - Reference time.
+   * @returns {Promise<void>}
+   * @throws {AppError} 423 if this failure locked the account.
+   */
+  async recordFailure(attempt, { reason, now = new Date() } = {}) {
+    const { user } = attempt;
+    await this._audit(attempt, reason ?? (user ? 'bad_password' : 'unknown_email'), now);
+    if (!user) return;
+
+    const updated = await this.userRepository.recordLoginFailure(user.user_id, now);
+    if (!updated || updated.failed_login_count < LOGIN_MAX_FAILURES) return;
+
+    const locked_until = new Date(now.getTime() + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+    await this.userRepository.lock(user.user_id, locked_until);
+    throw this._lockedError(locked_until, now);
+  }
+
+  /**
+   * Record a successful login and clear the account's failure count.
+   * @async
+   * @param {object} attempt - The login attempt (see {@link LoginThrottleService#assertAllowed}).
+   * @param {object} [options]
+   * @param {Date} [options.now=new Date()] - Reference time.
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(attempt, { now = new Date() } = {}) {
+    const { user } = attempt;
+    await this._audit(attempt, null, now);
+    if (user.failed_login_count || user.last_failed_login_at || user.locked_until) {
+      await this.userRepository.clearLoginFailures(user.user_id);
+    }
+  }
+
+  /**
+   * Lift a lock and reset the failure count of an account (admin action,
+   * also done by a password reset).
+   * @async
+   * @param {number} user_id - The user ID.
+   * @param {object} [options]
+   * @param {Date} [options.now=new Date()] - Reference time.
+   * @returns {Promise<{user_id: number, was_locked: boolean}>}
+   * @throws {AppError} 404 if the user does not exist.
+   * @example
+   * const { was_locked } = await loginThrottleService.unlock(4);
+   */
+  async unlock(user_id, { now = new Date() } = {}) {
+    const user = await this.userRepository.findById(user_id);
+    if (!user) throw new AppError('User not found', 404);
+
+    await this.userRepository.clearLoginFailures(user_id);
+    return {
+      user_id: Number(user_id),
+      was_locked: Boolean(user.locked_until && new Date(user.locked_until) > now),
+    };
+  }
+
+  /**
+   * Lock status of an account.
+   * @async
+   * @param {number} user_id - The user ID.
+   * @param {object} [options]
+   * @param {Date} [options.now=new Date()] - Reference time.
+   * @returns {Promise<{user_id: number, locked: boolean, locked_until: Date|null, failed_login_count: number, last_failed_login_at: Date|null}>}
+   * @throws {AppError} 404 if the user does not exist.
+   */
+  async getStatus(user_id, { now = new Date() } = {}) {
+    const user = await this.userRepository.findById(user_id);
+    if (!user) throw new AppError('User not found', 404);
+
+    const locked = Boolean(user.locked_until && new Date(user.locked_until) > now);
+    return {
+      user_id: Number(user_id),
+      locked,
+      locked_until: locked ? user.locked_until : null,
+      failed_login_count: user.failed_login_count,
+      last_failed_login_at: user.last_failed_login_at,
+    };
+  }
+
+  /**
+   * List recent login attempts, newest first (admin audit).
+   * @async
+   * @param {object} [filters] - See {@link LoginAttemptRepository#findRecent}.
+   * @returns {Promise<import('../domain/entities/LoginAttemptEntity.js').default[]>}
+   * @throws {Error} If retrieval fails.
+   */
+  async listAttempts(filters = {}) {
+    try {
+      return await this.loginAttemptRepository.findRecent(filters);
+    } catch (error) {
+      throw new Error('Failed to list login attempts: ' + error.message);
+    }
+  }
+
+  /**
+   * @private
+   * @param {object} attempt - The login attempt.
+   * @param {string|null} reason - Why it was refused (null on success).
+   * @param {Date} now - When it happened.
+   * @returns {Promise<void>}
+   */
+  async _audit({ email, user, ip = null, user_agent = null }, reason, now) {
+    await this.loginAttemptRepository.create({
+      email,
+      user_id: user?.user_id ?? null,
+      ip,
+      user_agent,
+      succeeded: reason == null,
+      reason,
+      attempted_at: now,
+    });
+  }
+
+  /**
+   * @private
+   * @param {Date|string} locked_until - End of the lock.
+   * @param {Date} now - Reference time.
+   * @returns {AppError} 423 with `locked_until` and `retry_after`.
+   */
+  _lockedError(locked_until, now) {
+    const retry_after = secondsUntil(locked_until, now);
+    const minutes = Math.ceil(retry_after / 60);
+    return new AppError(
+      `This account is locked after too many failed logins. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or reset your password.`,
+      423,
+      { code: 'ACCOUNT_LOCKED', locked_until: new Date(locked_until), retry_after }
+    );
+  }
+}
@@ -0,0 +1,176 @@
+import UserDTO from '../domain/dto/UserDTO.js';
+import { AppError } from '../utils/error.js';
+import { ORGANIZATION_ROLES } from '../utils/tenancy.js';
+
+/**
+ * Service layer for organizations (client companies) and their members.
+ *
+ * Platform admins create organizations and move users in and out of them.
+ * Members of an organization, organization admins included, can only look
+ * at their own organization. A user's new organization reaches their access
+ * token on its next refresh.
+ *
+ * @class OrganizationService
+ */
+export class OrganizationService {
+  /**
+   * Creates an instance of OrganizationService.
+   * @param {import('../domain/repositories/OrganizationRepository.js').OrganizationRepository} organizationRepository - Organizations.
+   * @param {import('../domain/repositories/UserRepository.js').UserRepository} userRepository - Users (membership).
+   */
+  constructor(organizationRepository, userRepository) {
+    this.organizationRepository = organizationRepository;
+    this.userRepository = userRepository;
+  }
+
+  /**
+   * List every organization with its member count.
+   * @async
+   * @returns {Promise<import('../domain/entities/OrganizationEntity.js').default[]>}
+   * @throws {Error} If retrieval fails.
+   */
+  async listOrganizations() {
+    try {
+      return await this.organizationRepository.findAll();
+    } catch (error) {
+      throw new Error('Failed to list organizations: ' + error.message);
+    }
+  }
+
+  /**
+   * Get one organization.
+   * @async
+   * @param {number} id - The organization ID.
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Caller's organization; others are reported as not found.
+   * @returns {Promise<import('../domain/entities/OrganizationEntity.js').default>}
+   * @throws {AppError} 404 if the organization does not exist or is outside the caller's scope.
+   * @example
+   * const organization = await organizationService.getOrganization(2, { organization_id: 2 });
+   */
+  async getOrganization(id, { organization_id } = {}) {
+    const organization =
+      organization_id === undefined || Number(id) === Number(organization_id)
+        ? await this.organizationRepository.findById(id)
+        : null;
+    if (!organization) throw new AppError('Organization not found', 404);
+    return organization;
+  }
+
+  /**
+   * Create an organization.
+   * @async
+   * @param {{name: string, slug: string}} data - Name and unique slug.
+   * @returns {Promise<import('../domain/entities/OrganizationEntity.js').default>}
+   * @throws {AppError} 409 if the slug is taken.
+   * @example
+   * const organization = await organizationService.createOrganization({ name: "Acme Logistics", slug: "acme" });
+   */
+  async createOrganization({ name, slug }) {
+    await this._assertSlugFree(slug);
+    return this.organizationRepository.create({ name, slug });
+  }
+
+  /**
+   * Rename an organization or change its slug.
+   * @async
+   * @param {number} id - The organization ID.
+   * @param {{name?: string, slug?: string}} data - Fields to change.
+   * @returns {Promise<import('../domain/entities/OrganizationEntity.js').default>}
+   * @throws {AppError} 404 if not found, 409 if the slug is taken.
+   */
+  async updateOrganization(id, { name, slug }) {
+    if (slug) await this._assertSlugFree(slug, id);
+    const organization = await this.organizationRepository.update(id, { name, slug });
+    if (!organization) throw new AppError('Organization not found', 404);
+    return organization;
+  }
+
+  /**
+   * Delete an organization that has no members and no private scenarios left.
+   * @async
+   * @param {number} id - The organization ID.
+   * @returns {Promise<void>}
+   * @throws {AppError} 404 if not found, 409 while it still has members or scenarios.
+   */
+  async deleteOrganization(id) {
+    const organization = await this.getOrganization(id);
+    if (organization.member_count > 0) {
+      throw new AppError('Move or delete the organization\'s members first', 409);
+    }
+    try {
+      await this.organizationRepository.delete(id);
+    } catch (error) {
+      if (error.code === 'ER_ROW_IS_REFERENCED_2') {
+        throw new AppError('The organization still has private scenarios', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List the members of an organization.
+   * @async
+   * @param {number} id - The organization ID.
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Caller's organization.
+   * @returns {Promise<UserDTO[]>}
+   * @throws {AppError} 404 if the organization does not exist or is outside the caller's scope.
+   */
+  async listMembers(id, scope = {}) {
+    await this.getOrganization(id, scope);
+    const users = await this.userRepository.findAll({ organization_id: Number(id) });
+    return users.map(UserDTO.fromEntity);
+  }
+
+  /**
+   * Move a user into an organization (out of any previous one).
+   * @async
+   * @param {number} id - The organization ID.
+   * @param {number} user_id - The user to add.
+   * @returns {Promise<UserDTO>} The updated user.
+   * @throws {AppError} 404 if the organization or user does not exist, 409 for platform admins.
+   */
+  async addMember(id, user_id) {
+    await this.getOrganization(id);
+    const user = await this.userRepository.findById(user_id);
+    if (!user) throw new AppError('User not found', 404);
+    if (!ORGANIZATION_ROLES.includes(user.role)) {
+      throw new AppError(`A user with the ${user.role} role cannot belong to an organization`, 409);
+    }
+    return UserDTO.fromEntity(
+      await this.userRepository.update(user_id, { organization_id: Number(id) })
+    );
+  }
+
+  /**
+   * Take a user out of an organization, making it a platform account.
+   * @async
+   * @param {number} id - The organization ID.
+   * @param {number} user_id - The member to remove.
+   * @returns {Promise<UserDTO>} The updated user.
+   * @throws {AppError} 404 if the user is not a member, 409 for organization admins.
+   */
+  async removeMember(id, user_id) {
+    const user = await this.userRepository.findById(user_id, { organization_id: Number(id) });
+    if (!user) throw new AppError('User is not a member of this organization', 404);
+    if (user.role === 'org_admin') {
+      throw new AppError('Change the organization admin\'s role before removing them', 409);
+    }
+    return UserDTO.fromEntity(await this.userRepository.update(user_id, { organization_id: null }));
+  }
+
+  /**
+   * @private
+   * @param {string} slug - Slug to check.
+   * @param {number} [exceptId] - Organization allowed to keep it.
+   * @returns {Promise<void>}
+   * @throws {AppError} 409 if another organization uses the slug.
+   */
+  async _assertSlugFree(slug, exceptId) {
+    const existing = await this.organizationRepository.findBySlug(slug);
+    if (existing && Number(existing.organization_id) !== Number(exceptId)) {
+      throw new AppError('Slug already in use', 409);
+    }
+  }
+}
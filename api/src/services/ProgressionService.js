@@ -0,0 +1,235 @@
+import { DOMAIN_EVENTS, publish } from '../domain/events/domainEvents.js';
+import { formatAnswer, isCorrectAnswer } from '../utils/stepTypes.js';
+import { walkPath } from '../utils/scenarioGraph.js';
+import { blendScore, simulatePatient } from '../utils/patientModel.js';
+
+/**
+ * Domain service for what a learner's play-through changes: grading and
+ * recording the try, level completion and validity, unlocking levels, the
+ * completion certificate and badges.
+ *
+ * Each step publishes domain events ({@link DOMAIN_EVENTS}) for the changes it
+ * made. Callers that run the steps in a transaction (`SubmissionService`)
+ * get the events only after commit. The REST and GraphQL submission
+ * endpoints, and any other integration, go through this service.
+ *
+ * @class ProgressionService
+ */
+export class ProgressionService {
+  /**
+   * Creates an instance of ProgressionService.
+   * @param {import('./ScenarioStepService.js').ScenarioStepService} scenarioStepService - Steps and their correct actions.
+   * @param {import('../domain/repositories/ScenarioRepository.js').ScenarioRepository} scenarioRepository - Scenario catalog (scenarios per level).
+   * @param {import('./AttemptService.js').AttemptService} attemptService - Attempt history and best scores.
+   * @param {import('./StepAttemptService.js').StepAttemptService} stepAttemptService - Per-step answers.
+   * @param {import('../domain/repositories/UserLevelRepository.js').UserLevelRepository} userLevelRepository - Level progress.
+   * @param {import('./LevelUnlockService.js').LevelUnlockService} levelUnlockService - Level prerequisites.
+   * @param {import('./RecertificationService.js').RecertificationService} recertificationService - Level validity.
+   * @param {import('./CertificateService.js').CertificateService} certificateService - Completion certificate.
+   * @param {import('./BadgeRuleEngine.js').BadgeRuleEngine} badgeRuleEngine - Badge criteria.
+   */
+  constructor(
+    scenarioStepService,
+    scenarioRepository,
+    attemptService,
+    stepAttemptService,
+    userLevelRepository,
+    levelUnlockService,
+    recertificationService,
+    certificateService,
+    badgeRuleEngine
+  ) {
+    this.scenarioStepService = scenarioStepService;
+    this.scenarioRepository = scenarioRepository;
+    this.attemptService = attemptService;
+    this.stepAttemptService = stepAttemptService;
+    this.userLevelRepository = userLevelRepository;
+    this.levelUnlockService = levelUnlockService;
+    this.recertificationService = recertificationService;
+    this.certificateService = certificateService;
+    this.badgeRuleEngine = badgeRuleEngine;
+  }
+
+  // ---- 📝 Grading ----
+
+  /**
+   * Grade a play-through against the scenario's steps, append it to the
+   * attempt history (re-deriving the best score) and record every answered
+   * step with its timing. Correctness is always graded here, per step type.
+   * In a branching scenario the answers
+   * are replayed through the step transitions and only the steps of the path
+   * taken count (see `utils/scenarioGraph.js`). When the scenario simulates a
+   * casualty, the path is played on it too, with the time taken on each step
+   * as measured by the server, and its final status makes up the scenario's
+   * `outcome_weight` share of the score (see `utils/patientModel.js`).
+   * Publishes `submission.graded`.
+   * @async
+   * @param {object} params
+   * @param {number} params.user_id - The learner.
+   * @param {{scenario_id: number, level_id: number, patient?: object|null}} params.scenario - The played scenario.
+   * @param {Array<string|boolean|number|string[]|null>} params.userAnswers - Answer per step played, in the order played (see `utils/stepTypes.js`).
+   * @param {Record<number, number>} [params.elapsedMs] - Time taken per step ID, from server timestamps
+   *   (steps without one take no time).
+   * @param {Array<{step_id: number, timed_out?: boolean, response_ms?: number}>} [params.stepResults] - Client-reported timing per step,
+   *   recorded with the step answers.
+   * @param {string|Date|null} [params.startedAt] - When the learner's run was opened (server time).
+   * @returns {Promise<{score: number, answer_score: number, all_correct: boolean, history_id: number, best_score: number, duration_ms: number|null, path: number[], outcome: string|null, patient: {vitals: object, status: string}|null}|null>}
+   *   The graded try with the step IDs of the path taken, its outcome and the casualty's final state,
+   *   or null if the scenario has no steps.
+   * @throws {Error} If recording fails.
+   * @example
+   * const graded = await progressionService.gradeSubmission({ user_id: 4, scenario, userAnswers: ["A", "C"] });
+   */
+  async gradeSubmission({ user_id, scenario, userAnswers, elapsedMs = {}, stepResults = [], startedAt = null }) {
+    const steps = await this.scenarioStepService.getStepsByScenario(scenario.scenario_id);
+    if (!steps || steps.length === 0) return null;
+
+    const timingByStep = new Map(
+      (Array.isArray(stepResults) ? stepResults : []).map((r) => [Number(r?.step_id), r])
+    );
+
+    const { path, outcome } = walkPath(steps, userAnswers);
+    const timingFor = (step) => timingByStep.get(Number(step.step_id)) || {};
+
+    let correctCount = 0;
+    const answeredSteps = path.map(({ step, answer }) => {
+      const isCorrect = isCorrectAnswer(step, answer);
+      if (isCorrect) correctCount += 1;
+
+      const timing = timingFor(step);
+      const responseMs = Number(timing.response_ms);
+      return {
+        step_id: step.step_id,
+        user_action: formatAnswer(step.step_type, answer),
+        is_correct: isCorrect,
+        timed_out: !!timing.timed_out,
+        response_ms: Number.isFinite(responseMs) && responseMs >= 0 ? Math.round(responseMs) : null,
+      };
+    });
+
+    const answer_score = Math.round((correctCount / path.length) * 100);
+    const patient = scenario.patient
+      ? simulatePatient(scenario.patient, path, (step) => elapsedMs[step.step_id] ?? 0)
+      : null;
+    const score = blendScore(answer_score, patient?.status, scenario.patient?.outcome_weight);
+    const all_correct = correctCount === path.length;
+
+    const { attempt, best } = await this.attemptService.recordAttempt({
+      user_id,
+      scenario_id: scenario.scenario_id,
+      score,
+      started_at: startedAt,
+    });
+    await this.stepAttemptService.recordSubmission(
+      { attempt_id: best.attempt_id, history_id: attempt.history_id },
+      answeredSteps
+    );
+
+    publish(DOMAIN_EVENTS.SUBMISSION_GRADED, {
+      user_id,
+      scenario_id: scenario.scenario_id,
+      level_id: scenario.level_id,
+      history_id: attempt.history_id,
+      score,
+      all_correct,
+    });
+
+    return {
+      score,
+      answer_score,
+      all_correct,
+      history_id: attempt.history_id,
+      best_score: best.score,
+      duration_ms: attempt.duration_ms,
+      path: answeredSteps.map((s) => s.step_id),
+      outcome,
+      patient,
+    };
+  }
+
+  // ---- 🏁 Level completion ----
+
+  /**
+   * Store the user's progress in a level: completed once every scenario they
+   * can see in it has a perfect best score. Starts the level's validity
+   * period, or renews it once the refresher is passed, and issues the
+   * completion certificate (or re-certifies) when the level is completed.
+   * Publishes `level.completed` (first completion only) and `certificate.issued`.
+   * @async
+   * @param {number} user_id - The learner.
+   * @param {number} level_id - The level of the played scenario.
+   * @returns {Promise<{completed: boolean, perfect_in_level: number, total_in_level: number, validity: object|null, certificate: object|null}>}
+   * @throws {Error} If saving fails.
+   * @example
+   * const { completed } = await progressionService.evaluateLevelCompletion(4, 2);
+   */
+  async evaluateLevelCompletion(user_id, level_id) {
+    const [previous, perfect_in_level, total_in_level] = await Promise.all([
+      this.userLevelRepository.findByUserAndLevel(user_id, level_id),
+      this.attemptService.countPerfectByUserInLevel(user_id, level_id),
+      this.scenarioRepository.countByLevel(level_id, { user_id }),
+    ]);
+    const completed = total_in_level > 0 && perfect_in_level === total_in_level;
+
+    await this.userLevelRepository.upsertProgress({ user_id, level_id, unlocked: true, completed });
+    if (completed && !previous?.completed) {
+      publish(DOMAIN_EVENTS.LEVEL_COMPLETED, { user_id, level_id: Number(level_id) });
+    }
+
+    const validity = await this.recertificationService.refreshValidity(user_id, level_id);
+
+    let certificate = null;
+    if (completed) {
+      const issued = await this.certificateService.issueIfEligible(user_id);
+      if (issued?.created) {
+        certificate = issued.certificate;
+        publish(DOMAIN_EVENTS.CERTIFICATE_ISSUED, {
+          user_id,
+          serial: certificate.serial,
+          expires_at: certificate.expires_at,
+        });
+      }
+    }
+
+    return { completed, perfect_in_level, total_in_level, validity, certificate };
+  }
+
+  // ---- 🔓 Unlocks ----
+
+  /**
+   * Unlock every level whose prerequisites the user now meets (score-based
+   * prerequisites can be met before a level is completed).
+   * Publishes `level.unlocked` for each.
+   * @async
+   * @param {number} user_id - The learner.
+   * @returns {Promise<number[]>} IDs of the newly unlocked levels, in difficulty order.
+   * @throws {Error} If saving fails.
+   * @example
+   * const unlocked = await progressionService.unlockNext(4); // [3]
+   */
+  async unlockNext(user_id) {
+    const unlocked = await this.levelUnlockService.unlockEligibleLevels(user_id);
+    unlocked.forEach((level_id) => publish(DOMAIN_EVENTS.LEVEL_UNLOCKED, { user_id, level_id }));
+    return unlocked;
+  }
+
+  // ---- 🏅 Badges ----
+
+  /**
+   * Award every badge whose criteria the user now meets.
+   * Publishes `badge.awarded` for each.
+   * @async
+   * @param {number} user_id - The learner.
+   * @returns {Promise<object[]>} Badges awarded by this call (empty if none).
+   * @throws {Error} If evaluation or awarding fails.
+   * @example
+   * const awarded = await progressionService.awardBadges(4);
+   */
+  async awardBadges(user_id) {
+    const awarded = await this.badgeRuleEngine.evaluate(user_id);
+    awarded.forEach((badge) =>
+      publish(DOMAIN_EVENTS.BADGE_AWARDED, { user_id, badge_id: badge.badge_id, name: badge.name })
+    );
+    return awarded;
+  }
+}
@@ -0,0 +1,245 @@
+import {
+  LEVEL_VALID_DAYS,
+  RENEWAL_WINDOW_DAYS,
+  REFRESHER_PASS_SCORE,
+  addDays,
+  renewalOpensAt,
+  validityStatus,
+} from '../utils/recertification.js';
+
+/**
+ * Service that tracks how long completed levels stay valid.
+ *
+ * Completing a level starts a validity period of `LEVEL_VALID_DAYS`. Once the
+ * renewal window opens (`RECERTIFICATION_WINDOW_DAYS` before expiry) the user
+ * renews the level by passing its refresher scenarios — the scenarios flagged
+ * `is_refresher`, or every scenario of the level when none is flagged — with
+ * at least {@link REFRESHER_PASS_SCORE}. Only scenarios the user can see
+ * (shared ones and their organization's) count. A scheduled job flags users
+ * whose levels or certificate are about to expire.
+ *
+ * @class RecertificationService
+ */
+export class RecertificationService {
+  /**
+   * Creates an instance of RecertificationService.
+   * @param {import('../domain/repositories/UserLevelRepository.js').UserLevelRepository} userLevelRepository - Per-user level completion.
+   * @param {import('../domain/repositories/LevelRepository.js').LevelRepository} levelRepository - Level catalog.
+   * @param {import('../domain/repositories/ScenarioRepository.js').ScenarioRepository} scenarioRepository - Scenario catalog (refresher flags).
+   * @param {import('../domain/repositories/AttemptHistoryRepository.js').AttemptHistoryRepository} attemptHistoryRepository - Every try of every user.
+   * @param {import('../domain/repositories/CertificateRepository.js').CertificateRepository} certificateRepository - Issued certificates.
+   * @param {import('../domain/repositories/ExpiryReminderRepository.js').ExpiryReminderRepository} expiryReminderRepository - Flagged expiries.
+   */
+  constructor(
+    userLevelRepository,
+    levelRepository,
+    scenarioRepository,
+    attemptHistoryRepository,
+    certificateRepository,
+    expiryReminderRepository
+  ) {
+    this.userLevelRepository = userLevelRepository;
+    this.levelRepository = levelRepository;
+    this.scenarioRepository = scenarioRepository;
+    this.attemptHistoryRepository = attemptHistoryRepository;
+    this.certificateRepository = certificateRepository;
+    this.expiryReminderRepository = expiryReminderRepository;
+  }
+
+  // ---- ⏳ Validity after a submission ----
+
+  /**
+   * Update a level's validity after the user submitted one of its scenarios.
+   *
+   * A first completion starts the validity period. An existing completion is
+   * renewed once the renewal window is open and every refresher scenario has
+   * been passed since it opened.
+   * @async
+   * @param {number} user_id - The user ID.
+   * @param {number} level_id - The level of the submitted scenario.
+   * @param {object} [options]
+   * @param {Date} [options.now=new Date()] - Reference time.
+   * @returns {Promise<{level_id: number, completed_at: Date, expires_at: Date, renewed: boolean}|null>} The new validity, or null if nothing changed.
+   * @throws {Error} If the update fails.
+   * @example
+   * const validity = await recertificationService.refreshValidity(4, 2);
+   * // { level_id: 2, completed_at: ..., expires_at: ..., renewed: true }
+   */
+  async refreshValidity(user_id, level_id, { now = new Date() } = {}) {
+    try {
+      const userLevel = await this.userLevelRepository.findByUserAndLevel(user_id, level_id);
+      if (!userLevel?.completed) return null;
+
+      const renewed = userLevel.completed_at != null;
+      if (renewed) {
+        if (!userLevel.expires_at || now < renewalOpensAt(userLevel.expires_at)) return null;
+
+        const [scenarios, history] = await Promise.all([
+          this.scenarioRepository.listByLevel(level_id, { user_id }),
+          this.attemptHistoryRepository.findAllByUser(user_id),
+        ]);
+        const refresher = this._refresherProgress(scenarios, history, userLevel.expires_at);
+        if (!refresher.length || !refresher.every((s) => s.passed)) return null;
+      }
+
+      // Whole seconds, so the dates survive the DATETIME round-trip
+      const completed_at = new Date(Math.floor(now.getTime() / 1000) * 1000);
+      const expires_at = addDays(completed_at, LEVEL_VALID_DAYS);
+      await this.userLevelRepository.setValidity(user_id, level_id, { completed_at, expires_at });
+
+      return { level_id: Number(level_id), completed_at, expires_at, renewed };
+    } catch (error) {
+      throw new Error(`Failed to update validity of level ${level_id} for user ${user_id}: ${error.message}`);
+    }
+  }
+
+  // ---- 🪪 Status for the profile page ----
+
+  /**
+   * Validity of every level and of the current certificate for a user, with
+   * the refresher path for each completed level.
+   * @async
+   * @param {number} user_id - The user ID.
+   * @param {object} [options]
+   * @param {Date} [options.now=new Date()] - Reference time.
+   * @returns {Promise<{levels: object[], certificate: object|null, reminders: object[], window_days: number}>}
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const status = await recertificationService.getStatus(4);
+   * // { levels: [{ level_id: 1, title: "Basics", status: "expiring", expires_at: ..., refresher: [...] }], certificate: {...}, ... }
+   */
+  async getStatus(user_id, { now = new Date() } = {}) {
+    try {
+      const [levels, userLevels, scenarios, history, certificates, reminders] = await Promise.all([
+        this.levelRepository.findAll(),
+        this.userLevelRepository.findByUser(user_id),
+        this.scenarioRepository.findAll({ user_id }),
+        this.attemptHistoryRepository.findAllByUser(user_id),
+        this.certificateRepository.findByUser(user_id),
+        this.expiryReminderRepository.findByUser(user_id),
+      ]);
+      const storedByLevel = new Map(userLevels.map((ul) => [Number(ul.level_id), ul]));
+
+      const levelStatus = levels.map((level) => {
+        const stored = storedByLevel.get(Number(level.level_id));
+        const base = { level_id: level.level_id, title: level.title };
+        if (!stored?.completed) return { ...base, status: 'not_completed' };
+
+        const levelScenarios = scenarios
+          .filter((s) => Number(s.level_id) === Number(level.level_id))
+          .sort((a, b) => a.scenario_id - b.scenario_id);
+
+        return {
+          ...base,
+          status: validityStatus(stored.expires_at, now),
+          completed_at: stored.completed_at,
+          expires_at: stored.expires_at,
+          renewal_opens_at: stored.expires_at ? renewalOpensAt(stored.expires_at) : null,
+          refresher: stored.expires_at
+            ? this._refresherProgress(levelScenarios, history, stored.expires_at)
+            : [],
+        };
+      });
+
+      const certificate = certificates.find((c) => !c.revoked_at);
+
+      return {
+        levels: levelStatus,
+        certificate: certificate
+          ? {
+              serial: certificate.serial,
+              issued_at: certificate.issued_at,
+              expires_at: certificate.expires_at,
+              status: validityStatus(certificate.expires_at, now),
+            }
+          : null,
+        reminders,
+        window_days: RENEWAL_WINDOW_DAYS,
+      };
+    } catch (error) {
+      throw new Error(`Failed to load recertification status for user ${user_id}: ${error.message}`);
+    }
+  }
+
+  // ---- 🔔 Scheduled reminders ----
+
+  /**
+   * Flag every level completion and certificate that expires within the
+   * renewal window (or already expired) and was not flagged for that expiry
+   * date yet. Run by the scheduled job; safe to run repeatedly.
+   * @async
+   * @param {object} [options]
+   * @param {Date} [options.now=new Date()] - Reference time.
+   * @returns {Promise<Array<{user_id: number, subject: string, subject_id: number, expires_at: Date}>>} Newly flagged expiries.
+   * @throws {Error} If the scan fails.
+   * @example
+   * const flagged = await recertificationService.flagExpiring();
+   */
+  async flagExpiring({ now = new Date() } = {}) {
+    try {
+      const cutoff = addDays(now, RENEWAL_WINDOW_DAYS);
+      const [levels, certificates] = await Promise.all([
+        this.expiryReminderRepository.findDueLevels(cutoff),
+        this.expiryReminderRepository.findDueCertificates(cutoff),
+      ]);
+
+      const due = [
+        ...levels.map((row) => ({ ...row, subject: 'level' })),
+        ...certificates.map((row) => ({ ...row, subject: 'certificate' })),
+      ];
+
+      const flagged = [];
+      for (const reminder of due) {
+        const created = await this.expiryReminderRepository.create({ ...reminder, flagged_at: now });
+        if (created) flagged.push(reminder);
+      }
+      return flagged;
+    } catch (error) {
+      throw new Error('Failed to flag expiring qualifications: ' + error.message);
+    }
+  }
+
+  /**
+   * List reminders flagged since a given time (admin follow-up).
+   * @async
+   * @param {Date} since - Only reminders flagged at or after this time.
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Only reminders of this organization's members.
+   * @returns {Promise<import('../domain/entities/ExpiryReminderEntity.js').default[]>}
+   * @throws {Error} If retrieval fails.
+   */
+  async listReminders(since, { organization_id } = {}) {
+    try {
+      return await this.expiryReminderRepository.findFlaggedSince(since, { organization_id });
+    } catch (error) {
+      throw new Error('Failed to list expiry reminders: ' + error.message);
+    }
+  }
+
+  /**
+   * The level's refresher scenarios and whether each was passed since the
+   * renewal window for `expires_at` opened.
+   * @private
+   * @param {object[]} scenarios - Every scenario of the level.
+   * @param {object[]} history - The user's attempt history.
+   * @param {Date|string} expires_at - Current expiry of the level.
+   * @returns {Array<{scenario_id: number, title: string, passed: boolean}>}
+   */
+  _refresherProgress(scenarios, history, expires_at) {
+    const flagged = scenarios.filter((s) => s.is_refresher);
+    const refresherSet = flagged.length ? flagged : scenarios;
+
+    const opensAt = renewalOpensAt(expires_at);
+    const passedIds = new Set(
+      history
+        .filter((h) => Number(h.score) >= REFRESHER_PASS_SCORE && new Date(h.finished_at) >= opensAt)
+        .map((h) => Number(h.scenario_id))
+    );
+
+    return refresherSet.map((s) => ({
+      scenario_id: s.scenario_id,
+      title: s.title,
+      passed: passedIds.has(Number(s.scenario_id)),
+    }));
+  }
+}
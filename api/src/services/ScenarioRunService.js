@@ -0,0 +1,230 @@
+import { withTransaction } from "../config/db.js";
+import { AppError } from "../utils/error.js";
+import { checkPermission } from "../middlewares/requirePermission.js";
+import { isCorrectAnswer, normalizeAnswer } from "../utils/stepTypes.js";
+import { nextStep } from "../utils/scenarioGraph.js";
+import { simulatePatient } from "../utils/patientModel.js";
+
+/**
+ * Service for a learner's runs (play-throughs) of a scenario.
+ *
+ * Checking a step's answer reveals its correct action, so the answer is
+ * stored in the learner's open run of the scenario (opened by {@link
+ * ScenarioRunService#start}, or by the first check) and is final: checking the same step again returns the stored
+ * result and ignores the new answer. Steps must be answered in the order
+ * they are reached, following the step transitions (see
+ * `utils/scenarioGraph.js`). Submitting grades the stored answers and
+ * closes the run (see `SubmissionService`). The time taken on each step is
+ * measured between the server's own timestamps (run opened, answers
+ * stored), never reported by the client.
+ *
+ * Checks run in a transaction that locks the learner's `users` row, like
+ * submissions, so concurrent checks cannot both store an answer. Like
+ * submitting, opening a run and checking answers need the scenario's level
+ * to be unlocked, or else the checks would reveal a locked level's answers.
+ * Staff granted `content:read` may play any level once they meet the
+ * `TWO_FACTOR_REQUIRED_ROLES` policy (see `checkPermission`).
+ *
+ * @class ScenarioRunService
+ */
+export class ScenarioRunService {
+  /**
+   * Creates an instance of ScenarioRunService.
+   * @param {import('../domain/repositories/ScenarioRunRepository.js').ScenarioRunRepository} scenarioRunRepository - Runs and their answers.
+   * @param {import('./ScenarioStepService.js').ScenarioStepService} scenarioStepService - Steps and their correct actions.
+   * @param {import('../domain/repositories/UserRepository.js').UserRepository} userRepository - Row lock on the learner.
+   * @param {import('./LevelUnlockService.js').LevelUnlockService} levelUnlockService - Whether the scenario's level is unlocked.
+   */
+  constructor(scenarioRunRepository, scenarioStepService, userRepository, levelUnlockService) {
+    this.scenarioRunRepository = scenarioRunRepository;
+    this.scenarioStepService = scenarioStepService;
+    this.userRepository = userRepository;
+    this.levelUnlockService = levelUnlockService;
+  }
+
+  /**
+   * Start playing a scenario: opens the learner's run, or restarts its clock
+   * if nothing was answered in it yet. A run with answers is kept as is, so
+   * the learner resumes it (starting over would let them replay the steps
+   * whose correct actions they have seen).
+   * @async
+   * @param {{id: number, role: string}} user - The learner (`req.user`).
+   * @param {{scenario_id: number, level_id: number}} scenario - The scenario played.
+   * @returns {Promise<{run_id: number, started_at: string|Date, answered: number}>} The run and how many steps
+   *   were answered in it.
+   * @throws {AppError} 403 if the scenario's level is locked for the learner.
+   * @throws {Error} If retrieval or saving fails.
+   * @example
+   * const { answered } = await scenarioRunService.start(req.user, scenario);
+   */
+  async start(user, scenario) {
+    const user_id = user.id;
+    try {
+      return await withTransaction(async () => {
+        await this.userRepository.lockForUpdate(user_id);
+        await this._assertUnlocked(user, scenario);
+
+        let run = await this.scenarioRunRepository.findOpen(user_id, scenario.scenario_id);
+        const answers = run ? await this.scenarioRunRepository.findAnswers(run.run_id) : [];
+        if (!run) {
+          run = await this.scenarioRunRepository.create({ user_id, scenario_id: scenario.scenario_id });
+        } else if (!answers.length) {
+          await this.scenarioRunRepository.restart(run.run_id);
+          run = await this.scenarioRunRepository.findOpen(user_id, scenario.scenario_id);
+        }
+        return { run_id: run.run_id, started_at: run.started_at, answered: answers.length };
+      });
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new Error(`Failed to start scenario ${scenario.scenario_id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check a learner's committed answer for a step of the scenario, store it
+   * in their run and reveal the correct action and feedback for that step
+   * only. Grading follows the step type (see `utils/stepTypes.js`); the
+   * result tells where the answer leads: `next_step_id`, or null with the
+   * `outcome` (if any) when the scenario ends there. When the scenario
+   * simulates a casualty, also returns its `vitals` and `patient_status`
+   * after the step: the run so far is played on the casualty with the time
+   * taken on each step (see `utils/patientModel.js`).
+   * A `null`/empty or malformed answer (e.g. the step timer ran out) is graded as incorrect.
+   * @async
+   * @param {{id: number, role: string}} user - The learner (`req.user`).
+   * @param {{scenario_id: number, level_id: number, patient?: object|null}} scenario - The scenario played.
+   * @param {number} step_id - The step being answered.
+   * @param {string|boolean|number|string[]|{x: number, y: number}|null} answer - The answer, shaped by the step type.
+   * @returns {Promise<{step_id: number, answer: any, is_correct: boolean, correct_action: any, feedback_message: string|null, next_step_id: number|null, outcome: string|null, already_answered: boolean, vitals?: object, patient_status?: string}|null>}
+   *   The check (`already_answered` when it is the stored result of an earlier check), or null when the
+   *   step does not exist or belongs to another scenario.
+   * @throws {AppError} 403 if the scenario's level is locked for the learner.
+   * @throws {AppError} 409 `STEP_OUT_OF_ORDER` when another step is due (`expected_step_id`), 409 `RUN_ENDED`
+   *   when the run has reached the end of the scenario and only needs submitting.
+   * @throws {Error} If retrieval or saving fails.
+   * @example
+   * const check = await scenarioRunService.answerStep(req.user, scenario, 7, "B");
+   * // { step_id: 7, answer: "B", is_correct: false, correct_action: "C", feedback_message: "...",
+   * //   next_step_id: 9, outcome: null, already_answered: false }
+   */
+  async answerStep(user, scenario, step_id, answer) {
+    const user_id = user.id;
+    try {
+      return await withTransaction(async () => {
+        await this.userRepository.lockForUpdate(user_id);
+        await this._assertUnlocked(user, scenario);
+
+        const steps = await this.scenarioStepService.getStepsByScenario(scenario.scenario_id);
+        const step = steps.find((s) => Number(s.step_id) === Number(step_id));
+        if (!step) return null;
+
+        const run =
+          (await this.scenarioRunRepository.findOpen(user_id, scenario.scenario_id)) ??
+          (await this.scenarioRunRepository.create({ user_id, scenario_id: scenario.scenario_id }));
+        const answers = await this.scenarioRunRepository.findAnswers(run.run_id);
+
+        if (answers.some((a) => Number(a.step_id) === Number(step.step_id))) {
+          return { ...this._check(steps, step, answers, scenario.patient), already_answered: true };
+        }
+
+        const due = this._dueStepId(steps, answers);
+        if (due == null) {
+          throw new AppError("This run has reached the end of the scenario; submit it", 409, { code: "RUN_ENDED" });
+        }
+        if (Number(due) !== Number(step.step_id)) {
+          throw new AppError("Answer the steps in the order they are reached", 409, {
+            code: "STEP_OUT_OF_ORDER",
+            expected_step_id: due,
+          });
+        }
+
+        await this.scenarioRunRepository.addAnswer({
+          run_id: run.run_id,
+          step_id: step.step_id,
+          position: answers.length,
+          answer: normalizeAnswer(step.step_type, answer),
+        });
+        const stored = await this.scenarioRunRepository.findAnswers(run.run_id);
+        return { ...this._check(steps, step, stored, scenario.patient), already_answered: false };
+      });
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new Error(`Failed to check answer for step ${step_id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Refuse learners whose level of the scenario is still locked (the same
+   * rule as submitting, see `SubmissionService`).
+   * @private
+   * @async
+   * @param {{id: number, role: string}} user - The learner.
+   * @param {{level_id: number}} scenario - The scenario played.
+   * @returns {Promise<void>}
+   * @throws {AppError} 403 if the level is locked.
+   */
+  async _assertUnlocked(user, scenario) {
+    if (
+      checkPermission(user, "content:read") &&
+      !(await this.levelUnlockService.isUnlocked(user.id, scenario.level_id))
+    ) {
+      throw new AppError("Level is locked", 403);
+    }
+  }
+
+  /**
+   * The step the run is due to answer next: the first step, or where the
+   * last stored answer leads.
+   * @private
+   * @param {object[]} steps - The scenario's steps.
+   * @param {import('../domain/entities/RunAnswerEntity.js').default[]} answers - The run's answers, in the order played.
+   * @returns {number|null} The step ID, or null when the run has reached the end.
+   */
+  _dueStepId(steps, answers) {
+    if (!answers.length) {
+      const [first] = [...steps].sort((a, b) => Number(a.step_order) - Number(b.step_order));
+      return first ? first.step_id : null;
+    }
+    const last = answers[answers.length - 1];
+    const step = steps.find((s) => Number(s.step_id) === Number(last.step_id));
+    return step ? nextStep(steps, step, last.answer).step_id : null;
+  }
+
+  /**
+   * Grade the stored answer to a step and reveal the step's correct action,
+   * feedback and where the answer leads, plus the casualty's state after it.
+   * @private
+   * @param {object[]} steps - The scenario's steps.
+   * @param {object} step - The answered step.
+   * @param {import('../domain/entities/RunAnswerEntity.js').default[]} answers - The run's answers, the step's included.
+   * @param {object|null} patient - The scenario's patient model.
+   * @returns {object}
+   */
+  _check(steps, step, answers, patient) {
+    const upTo = answers.findIndex((a) => Number(a.step_id) === Number(step.step_id));
+    const { answer } = answers[upTo];
+    const next = nextStep(steps, step, answer);
+    const result = {
+      step_id: step.step_id,
+      answer: normalizeAnswer(step.step_type, answer),
+      is_correct: isCorrectAnswer(step, answer),
+      correct_action: step.correct_action,
+      feedback_message: step.feedback_message ?? null,
+      next_step_id: next.step_id,
+      outcome: next.outcome,
+    };
+
+    if (patient) {
+      const byId = new Map(steps.map((s) => [Number(s.step_id), s]));
+      const played = answers.slice(0, upTo + 1);
+      const { vitals, status } = simulatePatient(
+        patient,
+        played.map((a) => ({ step: byId.get(Number(a.step_id)), answer: a.answer })),
+        (s) => played.find((a) => Number(a.step_id) === Number(s.step_id)).elapsed_ms
+      );
+      result.vitals = vitals;
+      result.patient_status = status;
+    }
+    return result;
+  }
+}
@@ -5,7 +5,8 @@ import ScenarioDTO from '../domain/dto/ScenarioDTO.js';
  *
  * Provides business logic for retrieving, creating, updating,
  * and deleting scenarios. Also supports fetching scenarios by level
- * and retrieving combined scenario-step data.
+ * and retrieving combined scenario-step data. Scenarios private to an
+ * organization are only returned to callers whose visibility includes it.
  *
  * @class ScenarioService
  */
@@ -25,14 +26,16 @@ export class ScenarioService {
   /**
    * Retrieve all scenarios.
    * @async
+   * @param {{organization_id?: number|null}} [visibility] - Private scenarios to include: this
+   * organization's (`null` for shared only); omit for every scenario (see `scenarioVisibility`).
    * @returns {Promise<ScenarioDTO[]>} List of all scenarios.
    * @throws {Error} If retrieval fails.
    * @example
    * const scenarios = await scenarioService.listScenarios();
    */
-  async listScenarios() {
+  async listScenarios(visibility = {}) {
     try {
-      const scenarios = await this.scenarioRepository.findAll();
+      const scenarios = await this.scenarioRepository.findAll(visibility);
       return scenarios.map(ScenarioDTO.fromEntity);
     } catch (error) {
       throw new Error('Failed to list scenarios: ' + error.message);
@@ -47,14 +50,16 @@ export class ScenarioService {
    * Retrieve a specific scenario by its unique ID.
    * @async
    * @param {number} id - The scenario ID.
-   * @returns {Promise<ScenarioDTO|null>} The scenario DTO, or null if not found.
+   * @param {{organization_id?: number|null}} [visibility] - Private scenarios to include: this
+   * organization's (`null` for shared only); omit for every scenario (see `scenarioVisibility`).
+   * @returns {Promise<ScenarioDTO|null>} The scenario DTO, or null if not found (or not visible).
    * @throws {Error} If retrieval fails.
    * @example
    * const scenario = await scenarioService.getScenario(5);
    */
-  async getScenario(id) {
+  async getScenario(id, visibility = {}) {
     try {
-      const scenario = await this.scenarioRepository.findById(id);
+      const scenario = await this.scenarioRepository.findById(id, visibility);
       return scenario ? ScenarioDTO.fromEntity(scenario) : null;
     } catch (error) {
       throw new Error(`Failed to get scenario with id ${id}: ${error.message}`);
@@ -66,17 +71,19 @@ export class ScenarioService {
    * (Wrapper around repository's listByLevel method.)
    * @async
    * @param {number} levelId - The level ID.
+   * @param {{organization_id?: number|null}} [visibility] - Private scenarios to include: this
+   * organization's (`null` for shared only); omit for every scenario (see `scenarioVisibility`).
    * @returns {Promise<ScenarioDTO[]>} List of scenarios for the given level.
    * @throws {Error} If repository is not initialized or retrieval fails.
    * @example
    * const scenarios = await scenarioService.listByLevel(2);
    */
-  async listByLevel(levelId) {
+  async listByLevel(levelId, visibility = {}) {
     if (!this.scenarioRepository || typeof this.scenarioRepository.listByLevel !== "function") {
       throw new Error("ScenarioRepository not initialized properly");
     }
 
-    return this.scenarioRepository.listByLevel(levelId);
+    return this.scenarioRepository.listByLevel(levelId, visibility);
   }
 
   // ------------------------------------------------------------
@@ -145,6 +152,8 @@ export class ScenarioService {
    * @param {string} data.title - Scenario title.
    * @param {string} data.description - Description of the scenario.
    * @param {string} [data.image_url] - Optional image URL.
+   * @param {number|null} [data.organization_id] - Organization the scenario is private to (omit for shared).
+   * @param {object|null} [data.patient] - Simulated casualty (see `utils/patientModel.js`).
    * @returns {Promise<ScenarioDTO>} The created scenario DTO.
    * @throws {Error} If creation fails.
    * @example
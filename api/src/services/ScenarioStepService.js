@@ -1,4 +1,6 @@
 import ScenarioStepDTO from "../domain/dto/ScenarioStepDTO.js";
+import { AppError } from "../utils/error.js";
+import { transitionTargets } from "../utils/scenarioGraph.js";
 
 /**
  * Service layer for managing scenario steps.
@@ -19,20 +21,49 @@ export class ScenarioStepService {
     this.scenarioStepRepository = scenarioStepRepository;
   }
 
+  /**
+   * Check that every step a step's transitions lead to is a later step of
+   * the same scenario, so that every path through the scenario ends.
+   * @private
+   * @async
+   * @param {{step_id?: number, scenario_id: number, step_order: number, transitions?: object|null}} step
+   * @returns {Promise<void>}
+   * @throws {AppError} 400 if a target is missing, in another scenario or not later.
+   */
+  async _checkTransitionTargets({ step_id, scenario_id, step_order, transitions }) {
+    const targets = transitionTargets(transitions);
+    if (!targets.length) return;
+
+    const steps = await this.scenarioStepRepository.findByScenario(scenario_id);
+    const later = new Set(
+      steps
+        .filter((s) => Number(s.step_id) !== Number(step_id) && Number(s.step_order) > Number(step_order))
+        .map((s) => Number(s.step_id))
+    );
+    const invalid = targets.filter((target) => !later.has(Number(target)));
+    if (invalid.length) {
+      throw new AppError("transitions must lead to later steps of the same scenario", 400, {
+        invalid_targets: invalid,
+      });
+    }
+  }
+
   // 📋 Get all steps (mainly admin/debug)
 
   /**
    * Retrieve all scenario steps.
    * Typically used by admins for debugging or management.
    * @async
+   * @param {{organization_id?: number|null}} [visibility] - Only steps of scenarios visible to this
+   * organization (see `scenarioVisibility`).
    * @returns {Promise<ScenarioStepDTO[]>} List of all scenario steps.
    * @throws {Error} If retrieval fails.
    * @example
    * const steps = await scenarioStepService.listScenarioSteps();
    */
-  async listScenarioSteps() {
+  async listScenarioSteps(visibility = {}) {
     try {
-      const steps = await this.scenarioStepRepository.findAll();
+      const steps = await this.scenarioStepRepository.findAll(visibility);
       return steps.map(ScenarioStepDTO.fromEntity);
     } catch (error) {
       throw new Error("Failed to list scenario steps: " + error.message);
@@ -45,14 +76,16 @@ export class ScenarioStepService {
    * Retrieve a single scenario step by its ID.
    * @async
    * @param {number} id - The ID of the step.
+   * @param {{organization_id?: number|null}} [visibility] - Only steps of scenarios visible to this
+   * organization (see `scenarioVisibility`).
    * @returns {Promise<ScenarioStepDTO|null>} The step DTO or null if not found.
    * @throws {Error} If retrieval fails.
    * @example
    * const step = await scenarioStepService.getScenarioStep(5);
    */
-  async getScenarioStep(id) {
+  async getScenarioStep(id, visibility = {}) {
     try {
-      const step = await this.scenarioStepRepository.findById(id);
+      const step = await this.scenarioStepRepository.findById(id, visibility);
       return step ? ScenarioStepDTO.fromEntity(step) : null;
     } catch (error) {
       throw new Error(`Failed to get scenario step with id ${id}: ${error.message}`);
@@ -79,19 +112,48 @@ export class ScenarioStepService {
     }
   }
 
-  // 🏗️ Create a new MCQ step
+  // 🙈 Player view of a scenario's steps (answers stripped)
 
   /**
-   * Create a new multiple-choice question (MCQ) step.
+   * Retrieve the steps of a scenario as learners should see them, ordered by
+   * step order and without `correct_action` / `feedback_message`.
+   * @async
+   * @param {number} scenario_id - The scenario ID.
+   * @returns {Promise<object[]>} Ordered, answer-free list of steps.
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const steps = await scenarioStepService.getPlayerStepsByScenario(2);
+   */
+  async getPlayerStepsByScenario(scenario_id) {
+    try {
+      const steps = await this.scenarioStepRepository.findByScenario(scenario_id);
+      return steps.map(ScenarioStepDTO.toPlayerView);
+    } catch (error) {
+      throw new Error(`Failed to get player steps for scenario ${scenario_id}: ${error.message}`);
+    }
+  }
+
+  // 🏗️ Create a new step
+
+  /**
+   * Create a new step of any step type (validated by `validateStep`), with
+   * optional transitions to later steps of its scenario.
    * @async
    * @param {object} data - Step creation data.
    * @param {number} data.scenario_id - ID of the associated scenario.
    * @param {number} data.step_order - Order of the step in the scenario.
    * @param {string} data.question_text - The question text.
-   * @param {object} data.options - Available answer choices.
-   * @param {string} data.correct_action - The correct answer (e.g., 'A', 'B', 'C', 'D').
+   * @param {string} [data.step_type='single_choice'] - One of `STEP_TYPES`.
+   * @param {object|null} [data.options] - Answer choices keyed 'A', 'B', ...
+   * @param {string|boolean|string[]|{min: number, max: number}} data.correct_action - The correct answer, shaped by the step type.
+   * @param {string|null} [data.unit] - Unit of a numeric answer.
+   * @param {string|null} [data.image_url] - Image shown with the question (required by hotspot steps).
+   * @param {string|null} [data.image_alt] - Text alternative of the image (required by hotspot steps).
+   * @param {object|null} [data.transitions] - Next step or outcome per answer (see `utils/scenarioGraph.js`).
+   * @param {object|null} [data.effects] - Change to the casualty's vitals per answer (see `utils/patientModel.js`).
    * @param {string} [data.feedback_message] - Optional feedback message.
    * @returns {Promise<ScenarioStepDTO>} The created step DTO.
+   * @throws {AppError} 400 if a transition leads outside the later steps of the scenario.
    * @throws {Error} If creation fails.
    * @example
    * const step = await scenarioStepService.createScenarioStep({
@@ -105,9 +167,11 @@ export class ScenarioStepService {
    */
   async createScenarioStep(data) {
     try {
+      await this._checkTransitionTargets(data);
       const step = await this.scenarioStepRepository.create(data);
       return ScenarioStepDTO.fromEntity(step);
     } catch (error) {
+      if (error instanceof AppError) throw error;
       throw new Error("Failed to create scenario step: " + error.message);
     }
   }
@@ -122,10 +186,17 @@ export class ScenarioStepService {
    * @param {object} data - Updated step fields.
    * @param {number} [data.step_order] - Updated order of the step.
    * @param {string} [data.question_text] - Updated question text.
-   * @param {object} [data.options] - Updated answer options.
-   * @param {string} [data.correct_action] - Updated correct answer.
+   * @param {string} [data.step_type] - Updated step type.
+   * @param {object|null} [data.options] - Updated answer options.
+   * @param {any} [data.correct_action] - Updated correct answer.
+   * @param {string|null} [data.unit] - Updated unit of a numeric answer.
+   * @param {string|null} [data.image_url] - Updated image.
+   * @param {string|null} [data.image_alt] - Updated text alternative of the image.
+   * @param {object|null} [data.transitions] - Updated next step or outcome per answer.
+   * @param {object|null} [data.effects] - Updated change to the casualty's vitals per answer.
    * @param {string} [data.feedback_message] - Updated feedback message.
    * @returns {Promise<ScenarioStepDTO|null>} The updated step DTO, or null if not found.
+   * @throws {AppError} 400 if a transition leads outside the later steps of the scenario.
    * @throws {Error} If update fails.
    * @example
    * const updated = await scenarioStepService.updateScenarioStep(3, {
@@ -136,9 +207,19 @@ export class ScenarioStepService {
    */
   async updateScenarioStep(id, data) {
     try {
+      const existing = await this.scenarioStepRepository.findById(id);
+      if (!existing) return null;
+
+      await this._checkTransitionTargets({
+        step_id: existing.step_id,
+        scenario_id: existing.scenario_id,
+        step_order: data.step_order ?? existing.step_order,
+        transitions: data.transitions,
+      });
       const step = await this.scenarioStepRepository.update(id, data);
       return step ? ScenarioStepDTO.fromEntity(step) : null;
     } catch (error) {
+      if (error instanceof AppError) throw error;
       throw new Error(`Failed to update scenario step with id ${id}: ${error.message}`);
     }
   }
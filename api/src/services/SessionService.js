@@ -0,0 +1,248 @@
+import { randomUUID } from 'crypto';
+import { withTransaction } from '../config/db.js';
+import { AppError } from '../utils/error.js';
+import { signAccess } from '../utils/jwt.js';
+import {
+  REFRESH_TOKEN_REUSE_GRACE_SECONDS,
+  REFRESH_TOKEN_TTL_DAYS,
+  generateRefreshToken,
+  hashRefreshToken,
+  successorRefreshToken,
+} from '../utils/refreshToken.js';
+
+const TTL_MS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+/**
+ * Service layer for login sessions.
+ *
+ * Each login opens a session and returns a short-lived access token plus a
+ * refresh token. Refreshing swaps the refresh token for a new one (rotation);
+ * presenting an already used refresh token revokes the whole session, since it
+ * means the token was copied, unless it comes back within a few seconds of
+ * its use (tabs sharing the token refreshed together: see {@link
+ * SessionService#refresh}). Revoked sessions stop their access tokens from
+ * being accepted by `requireAuth`. Sessions opened with a second factor keep
+ * the `mfa` claim on every access token they issue. Members of an
+ * organization get its ID in the `org` claim.
+ *
+ * @class SessionService
+ */
+export class SessionService {
+  /**
+   * Creates an instance of SessionService.
+   * @param {import('../domain/repositories/SessionRepository.js').SessionRepository} sessionRepository - Login sessions.
+   * @param {import('../domain/repositories/RefreshTokenRepository.js').RefreshTokenRepository} refreshTokenRepository - Hashed refresh tokens.
+   * @param {import('../domain/repositories/UserRepository.js').UserRepository} userRepository - Users (current role for new access tokens).
+   */
+  constructor(sessionRepository, refreshTokenRepository, userRepository) {
+    this.sessionRepository = sessionRepository;
+    this.refreshTokenRepository = refreshTokenRepository;
+    this.userRepository = userRepository;
+  }
+
+  /**
+   * Open a session for a user who just authenticated.
+   * @async
+   * @param {{user_id: number, role: string, organization_id?: number|null}} user - The authenticated user.
+   * @param {object} [options]
+   * @param {string} [options.user_agent] - Client description (User-Agent header).
+   * @param {boolean} [options.two_factor=false] - Whether the login passed a second factor.
+   * @returns {Promise<{token: string, refreshToken: string}>} Access token and refresh token.
+   * @throws {Error} If the session cannot be stored.
+   * @example
+   * const { token, refreshToken } = await sessionService.start(user, { user_agent: req.get("user-agent") });
+   */
+  async start(user, { user_agent = null, two_factor = false } = {}) {
+    try {
+      const session_id = randomUUID();
+      const expires_at = new Date(Date.now() + TTL_MS);
+
+      await this.sessionRepository.create({
+        session_id,
+        user_id: user.user_id,
+        user_agent: user_agent ? String(user_agent).slice(0, 255) : null,
+        two_factor_verified: two_factor,
+        expires_at,
+      });
+
+      const refreshToken = await this._issueRefreshToken(session_id, expires_at);
+      return { token: this._signAccess(user, session_id, two_factor), refreshToken };
+    } catch (error) {
+      throw new Error(`Failed to start session for user ${user.user_id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token.
+   *
+   * Runs in a transaction that locks the token's row, so concurrent refreshes
+   * with the same token run one after the other. A token already used less
+   * than `REFRESH_TOKEN_REUSE_GRACE_SECONDS` ago (another tab of the same
+   * browser refreshed with it first) gets the successor token that refresh
+   * issued, as long as that one is unused; any other reuse revokes the session.
+   * @async
+   * @param {string} refreshToken - The refresh token from the last login or refresh.
+   * @returns {Promise<{token: string, refreshToken: string}>} New access token and refresh token.
+   * @throws {AppError} 401 if the token is unknown, expired, already used, or its session was revoked.
+   * @example
+   * const { token, refreshToken } = await sessionService.refresh(req.body.refreshToken);
+   */
+  async refresh(refreshToken) {
+    const outcome = await withTransaction(async () => {
+      const stored = await this.refreshTokenRepository.findByHash(hashRefreshToken(refreshToken), {
+        forUpdate: true,
+      });
+      if (!stored) throw new AppError('Invalid refresh token', 401);
+
+      const session = await this.sessionRepository.findById(stored.session_id);
+      if (!session || session.revoked_at) throw new AppError('Session has been revoked', 401);
+
+      if (new Date(stored.expires_at) <= new Date() || new Date(session.expires_at) <= new Date()) {
+        throw new AppError('Session has expired', 401);
+      }
+
+      const expires_at = new Date(Date.now() + TTL_MS);
+      const successor = successorRefreshToken(refreshToken);
+      if (stored.used_at) {
+        const issued = this._withinReuseGrace(stored.used_at)
+          ? await this.refreshTokenRepository.findByHash(successor.hash)
+          : null;
+        // A used token coming back means it was copied: end the session for everyone
+        if (!issued || issued.used_at) return { revoke: session.session_id };
+      } else {
+        await this.refreshTokenRepository.markUsed(stored.token_id);
+        await this.refreshTokenRepository.create({
+          session_id: session.session_id,
+          token_hash: successor.hash,
+          expires_at,
+        });
+      }
+
+      const user = await this.userRepository.findById(session.user_id);
+      if (!user) return { revoke: session.session_id, message: 'Session has been revoked' };
+
+      await this.sessionRepository.touch(session.session_id, expires_at);
+      return {
+        tokens: {
+          token: this._signAccess(user, session.session_id, session.two_factor_verified),
+          refreshToken: successor.token,
+        },
+      };
+    });
+
+    // Revoke outside the transaction: throwing inside it would roll the revocation back
+    if (outcome.revoke) {
+      await this.sessionRepository.revoke(outcome.revoke);
+      throw new AppError(outcome.message ?? 'Refresh token already used; session revoked', 401);
+    }
+    return outcome.tokens;
+  }
+
+  /**
+   * End the session a refresh token belongs to (logout). Unknown tokens are
+   * ignored so logging out twice is harmless.
+   * @async
+   * @param {string} refreshToken - The session's current refresh token.
+   * @returns {Promise<boolean>} True if a session was ended.
+   * @throws {Error} If the update fails.
+   */
+  async end(refreshToken) {
+    try {
+      const stored = await this.refreshTokenRepository.findByHash(hashRefreshToken(refreshToken));
+      return stored ? await this.sessionRepository.revoke(stored.session_id) : false;
+    } catch (error) {
+      throw new Error('Failed to end session: ' + error.message);
+    }
+  }
+
+  /**
+   * End a session by ID (logout with only an access token).
+   * @async
+   * @param {string} session_id - The session UUID (`sid` claim).
+   * @returns {Promise<boolean>} True if a session was ended.
+   * @throws {Error} If the update fails.
+   */
+  async endById(session_id) {
+    try {
+      return await this.sessionRepository.revoke(session_id);
+    } catch (error) {
+      throw new Error(`Failed to end session ${session_id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark a session as having passed a second factor and return a new access
+   * token carrying the `mfa` claim (used right after enrolling 2FA).
+   * @async
+   * @param {{user_id: number, role: string}} user - The session's user.
+   * @param {string} session_id - The session UUID (`sid` claim).
+   * @returns {Promise<string>} New access token for the session.
+   * @throws {AppError} 401 if the session is no longer active.
+   */
+  async markTwoFactorVerified(user, session_id) {
+    if (!(await this.sessionRepository.markTwoFactorVerified(session_id))) {
+      throw new AppError('Session has been revoked', 401);
+    }
+    return this._signAccess(user, session_id, true);
+  }
+
+  /**
+   * Revoke every session of a user (admin action, or after a password change).
+   * @async
+   * @param {number} user_id - The user ID.
+   * @param {object} [options]
+   * @param {string|null} [options.except=null] - Session to keep (the caller's own).
+   * @returns {Promise<number>} How many sessions were revoked.
+   * @throws {Error} If the update fails.
+   * @example
+   * const revoked = await sessionService.revokeAllForUser(4);
+   */
+  async revokeAllForUser(user_id, { except = null } = {}) {
+    try {
+      return await this.sessionRepository.revokeAllForUser(user_id, { except });
+    } catch (error) {
+      throw new Error(`Failed to revoke sessions for user ${user_id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} session_id - The session UUID.
+   * @param {Date} expires_at - When the token stops being accepted.
+   * @returns {Promise<string>} The plain refresh token (only its hash is stored).
+   */
+  async _issueRefreshToken(session_id, expires_at) {
+    const { token, hash } = generateRefreshToken();
+    await this.refreshTokenRepository.create({ session_id, token_hash: hash, expires_at });
+    return token;
+  }
+
+  /**
+   * @private
+   * @param {string|Date} used_at - When the refresh token was exchanged.
+   * @returns {boolean} True if it was exchanged within the reuse grace window.
+   */
+  _withinReuseGrace(used_at) {
+    return (
+      REFRESH_TOKEN_REUSE_GRACE_SECONDS > 0 &&
+      Date.now() - new Date(used_at).getTime() <= REFRESH_TOKEN_REUSE_GRACE_SECONDS * 1000
+    );
+  }
+
+  /**
+   * @private
+   * @param {{user_id: number, role: string, organization_id?: number|null}} user - Token subject.
+   * @param {string} session_id - The session UUID.
+   * @param {boolean} [two_factor=false] - Whether the session passed a second factor.
+   * @returns {string} Signed access token.
+   */
+  _signAccess(user, session_id, two_factor = false) {
+    return signAccess({
+      sub: user.user_id,
+      role: user.role,
+      sid: session_id,
+      ...(user.organization_id != null ? { org: Number(user.organization_id) } : {}),
+      ...(two_factor ? { mfa: true } : {}),
+    });
+  }
+}
@@ -0,0 +1,137 @@
+import StepAttemptDTO from '../domain/dto/StepAttemptDTO.js';
+
+/**
+ * Service layer for managing step attempts.
+ *
+ * Records and retrieves users' answers to individual scenario steps,
+ * converting repository entities into DTOs (`StepAttemptDTO`).
+ *
+ * @class StepAttemptService
+ */
+export class StepAttemptService {
+  /**
+   * Creates an instance of StepAttemptService.
+   * @param {import('../domain/repositories/StepAttemptRepository.js').StepAttemptRepository} stepAttemptRepository - The repository for step attempt data.
+   */
+  constructor(stepAttemptRepository) {
+    this.stepAttemptRepository = stepAttemptRepository;
+  }
+
+  /**
+   * Retrieve all step attempts.
+   * @async
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Only answers by this organization's members.
+   * @returns {Promise<StepAttemptDTO[]>} List of all step attempts.
+   * @throws {Error} If database access fails.
+   * @example
+   * const stepAttempts = await stepAttemptService.listStepAttempts();
+   */
+  async listStepAttempts({ organization_id } = {}) {
+    try {
+      const stepAttempts = await this.stepAttemptRepository.findAll({ organization_id });
+      return stepAttempts.map(StepAttemptDTO.fromEntity);
+    } catch (error) {
+      throw new Error('Failed to list step attempts: ' + error.message);
+    }
+  }
+
+  /**
+   * Retrieve a single step attempt by its ID.
+   * @async
+   * @param {number} id - The step attempt ID.
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Treat answers outside this organization as not found.
+   * @returns {Promise<StepAttemptDTO|null>} The step attempt DTO, or null if not found.
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const stepAttempt = await stepAttemptService.getStepAttempt(3);
+   */
+  async getStepAttempt(id, { organization_id } = {}) {
+    try {
+      const stepAttempt = await this.stepAttemptRepository.findById(id, { organization_id });
+      return stepAttempt ? StepAttemptDTO.fromEntity(stepAttempt) : null;
+    } catch (error) {
+      throw new Error(`Failed to get step attempt with id ${id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieve all step attempts recorded for a scenario attempt.
+   * @async
+   * @param {number} attempt_id - The parent attempt ID.
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Empty unless the attempt belongs to a member of this organization.
+   * @returns {Promise<StepAttemptDTO[]>} Step attempts ordered by step order.
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const stepAttempts = await stepAttemptService.getByAttempt(10);
+   */
+  async getByAttempt(attempt_id, { organization_id } = {}) {
+    try {
+      const stepAttempts = await this.stepAttemptRepository.findByAttempt(attempt_id, {
+        organization_id,
+      });
+      return stepAttempts.map(StepAttemptDTO.fromEntity);
+    } catch (error) {
+      throw new Error(`Failed to get step attempts for attempt ${attempt_id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a single step attempt.
+   * @async
+   * @param {object} data - Step attempt data (attempt_id, history_id, step_id, user_action, is_correct, timed_out, response_ms).
+   * @returns {Promise<StepAttemptDTO>} The created step attempt.
+   * @throws {Error} If saving fails.
+   * @example
+   * await stepAttemptService.createStepAttempt({ attempt_id: 10, step_id: 4, user_action: "B", is_correct: true });
+   */
+  async createStepAttempt(data) {
+    try {
+      const stepAttempt = await this.stepAttemptRepository.create(data);
+      return StepAttemptDTO.fromEntity(stepAttempt);
+    } catch (error) {
+      throw new Error('Failed to create step attempt: ' + error.message);
+    }
+  }
+
+  /**
+   * Record every answered step of one scenario submission.
+   * @async
+   * @param {{attempt_id: number, history_id: number}} parent - The best-score attempt and the history entry of this try.
+   * @param {Array<{step_id: number, user_action: string|null, is_correct: boolean, timed_out?: boolean, response_ms?: number|null}>} steps - One entry per step.
+   * @returns {Promise<number>} The number of rows recorded.
+   * @throws {Error} If saving fails.
+   * @example
+   * await stepAttemptService.recordSubmission({ attempt_id: 10, history_id: 31 }, [
+   *   { step_id: 4, user_action: "B", is_correct: true, response_ms: 5400 },
+   * ]);
+   */
+  async recordSubmission({ attempt_id, history_id }, steps) {
+    try {
+      return await this.stepAttemptRepository.createMany(
+        steps.map((step) => ({ ...step, attempt_id, history_id }))
+      );
+    } catch (error) {
+      throw new Error(`Failed to record step attempts for attempt ${attempt_id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a step attempt by its ID.
+   * @async
+   * @param {number} id - The step attempt ID.
+   * @returns {Promise<boolean>} True if deleted, otherwise false.
+   * @throws {Error} If deletion fails.
+   * @example
+   * const ok = await stepAttemptService.deleteStepAttempt(5);
+   */
+  async deleteStepAttempt(id) {
+    try {
+      return await this.stepAttemptRepository.delete(id);
+    } catch (error) {
+      throw new Error(`Failed to delete step attempt with id ${id}: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,196 @@
+import { withTransaction } from '../config/db.js';
+import { AppError } from '../utils/error.js';
+import { IDEMPOTENCY_KEY_MAX_LENGTH, isIdempotencyKeyLive } from '../utils/idempotency.js';
+import { checkPermission } from '../middlewares/requirePermission.js';
+import { scenarioVisibility } from '../utils/tenancy.js';
+
+/**
+ * Service that handles a scenario submission end to end.
+ *
+ * Checks that the learner may play the scenario, then grades the answers
+ * stored in their open run of it (see `ScenarioRunService`) and closes the
+ * run. Answers sent with the submission are never graded: each one was
+ * stored when its step was checked, before the correct action was revealed.
+ * The try's duration (used by time-based badges) runs from the opening of
+ * the run, also server time.
+ * This and the {@link ProgressionService} steps — grading, level completion,
+ * unlocks, badges — run in one transaction, so a failure midway leaves
+ * nothing behind (and no domain event is published).
+ * The transaction first locks the submitter's `users` row: submissions of the
+ * same user run one after the other, so double-clicks cannot race.
+ *
+ * A submission may carry an idempotency key (`Idempotency-Key` header). Its
+ * result is stored with the key in the same transaction, and a retry with
+ * the same key returns that result instead of being graded again.
+ *
+ * @class SubmissionService
+ */
+export class SubmissionService {
+  /**
+   * Creates an instance of SubmissionService.
+   * @param {import('./ScenarioService.js').ScenarioService} scenarioService - Scenario catalog.
+   * @param {import('./LevelUnlockService.js').LevelUnlockService} levelUnlockService - Whether the scenario's level is unlocked.
+   * @param {import('./ProgressionService.js').ProgressionService} progressionService - Grading and progression steps.
+   * @param {import('../domain/repositories/UserRepository.js').UserRepository} userRepository - Row lock on the submitter.
+   * @param {import('../domain/repositories/SubmissionKeyRepository.js').SubmissionKeyRepository} submissionKeyRepository - Stored results by idempotency key.
+   * @param {import('../domain/repositories/ScenarioRunRepository.js').ScenarioRunRepository} scenarioRunRepository - The learner's run and its stored answers.
+   */
+  constructor(
+    scenarioService,
+    levelUnlockService,
+    progressionService,
+    userRepository,
+    submissionKeyRepository,
+    scenarioRunRepository
+  ) {
+    this.scenarioService = scenarioService;
+    this.levelUnlockService = levelUnlockService;
+    this.progressionService = progressionService;
+    this.userRepository = userRepository;
+    this.submissionKeyRepository = submissionKeyRepository;
+    this.scenarioRunRepository = scenarioRunRepository;
+  }
+
+  /**
+   * Grade the learner's run of a scenario and record it, atomically.
+   *
+   * @async
+   * @param {number|string} scenario_id - The submitted scenario.
+   * @param {object} [body]
+   * @param {Array<{step_id: number, timed_out?: boolean, response_ms?: number}>} [body.stepResults] - Client-reported timing per step.
+   * @param {object} context
+   * @param {{id: number, role: string, organization_id?: number|null}} context.user - The submitter (`req.user`).
+   * @param {string} [context.idempotencyKey] - The `Idempotency-Key` header, if sent.
+   * @returns {Promise<{result: object, replayed: boolean}>} The submission result; `replayed` when it was stored under the key already.
+   * @throws {AppError} 400 for a malformed key, 404 for an unknown scenario or one without steps,
+   *   403 when its level is locked, 409 `NO_ANSWERS` when no step of the scenario was checked since the
+   *   last submission, 422 when the key was used for another scenario.
+   * @example
+   * const { result } = await submissionService.submit(3, {}, { user: req.user });
+   */
+  async submit(scenario_id, { stepResults = [] } = {}, { user, idempotencyKey } = {}) {
+    if (idempotencyKey !== undefined && (!idempotencyKey || idempotencyKey.length > IDEMPOTENCY_KEY_MAX_LENGTH)) {
+      throw new AppError(`Idempotency-Key must be 1-${IDEMPOTENCY_KEY_MAX_LENGTH} characters`, 400, {
+        code: 'INVALID_IDEMPOTENCY_KEY',
+      });
+    }
+
+    const scenarioId = parseInt(scenario_id, 10);
+
+    return withTransaction(async () => {
+      await this.userRepository.lockForUpdate(user.id);
+
+      if (idempotencyKey) {
+        const stored = await this.submissionKeyRepository.find(user.id, idempotencyKey);
+        if (stored && isIdempotencyKeyLive(stored.created_at)) {
+          if (Number(stored.scenario_id) !== scenarioId) {
+            throw new AppError('This Idempotency-Key was already used for another scenario', 422, {
+              code: 'IDEMPOTENCY_KEY_REUSED',
+            });
+          }
+          return { result: stored.response, replayed: true };
+        }
+      }
+
+      const result = await this._gradeAndRecord(scenarioId, { stepResults }, user);
+
+      if (idempotencyKey) {
+        await this.submissionKeyRepository.save({
+          user_id: user.id,
+          idempotency_key: idempotencyKey,
+          scenario_id: scenarioId,
+          response: result,
+        });
+      }
+      return { result, replayed: false };
+    });
+  }
+
+  /**
+   * Check access to the scenario, then grade and record the run's answers,
+   * close the run, update level progress (certificate included), unlock
+   * levels and award badges.
+   *
+   * @private
+   * @async
+   * @param {number} scenarioId
+   * @param {{stepResults: object[]}} body
+   * @param {{id: number, role: string, organization_id?: number|null}} user
+   * @returns {Promise<object>} Score, flags, level progress, awarded badges and an updated scenario snapshot.
+   */
+  async _gradeAndRecord(scenarioId, { stepResults }, user) {
+    const userId = user.id;
+
+    const scenario = await this.scenarioService.getScenario(scenarioId, {
+      organization_id: scenarioVisibility(user),
+    });
+    if (!scenario) throw new AppError('Scenario not found', 404);
+
+    if (
+      checkPermission(user, 'content:read') &&
+      !(await this.levelUnlockService.isUnlocked(userId, scenario.level_id))
+    ) {
+      throw new AppError('Level is locked', 403);
+    }
+
+    const run = await this.scenarioRunRepository.findOpen(userId, scenarioId);
+    const answers = run ? await this.scenarioRunRepository.findAnswers(run.run_id) : [];
+    if (!answers.length) {
+      throw new AppError('Nothing to submit: answer the scenario\'s steps first', 409, { code: 'NO_ANSWERS' });
+    }
+
+    const graded = await this.progressionService.gradeSubmission({
+      user_id: userId,
+      scenario,
+      userAnswers: answers.map((a) => a.answer),
+      elapsedMs: Object.fromEntries(answers.map((a) => [a.step_id, a.elapsed_ms])),
+      stepResults,
+      startedAt: run.started_at,
+    });
+    if (!graded) throw new AppError('No steps found for this scenario.', 404);
+    await this.scenarioRunRepository.markSubmitted(run.run_id);
+
+    const result = {
+      score: graded.score,
+      answer_score: graded.answer_score,
+      all_correct: graded.all_correct,
+      level_id: scenario.level_id,
+      scenario_id: scenarioId,
+      history_id: graded.history_id,
+      best_score: graded.best_score,
+      duration_ms: graded.duration_ms,
+      path: graded.path,
+      outcome: graded.outcome,
+      patient: graded.patient,
+    };
+
+    const level = await this.progressionService.evaluateLevelCompletion(userId, scenario.level_id);
+    if (level.validity) result.level_validity = level.validity;
+
+    const unlockedLevels = await this.progressionService.unlockNext(userId);
+    result.unlocked_levels = unlockedLevels;
+
+    result.level_progress = level.completed
+      ? {
+          level_id: scenario.level_id,
+          completed: true,
+          next_level_unlocked: unlockedLevels[0] ?? null,
+        }
+      : {
+          level_id: scenario.level_id,
+          completed: false,
+          perfect_in_level: level.perfect_in_level,
+          total_in_level: level.total_in_level,
+        };
+    if (level.certificate) result.certificate = level.certificate;
+
+    const awardedBadges = await this.progressionService.awardBadges(userId);
+    result.awarded_badges = awardedBadges;
+    if (awardedBadges.length) result.awarded_badge = awardedBadges[0];
+
+    // Include updated scenario snapshot with any relevant progress flags
+    result.updated_scenario = await this.scenarioService.getScenario(scenarioId);
+
+    return result;
+  }
+}
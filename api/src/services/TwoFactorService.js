@@ -0,0 +1,264 @@
+import QRCode from 'qrcode';
+import { AppError } from '../utils/error.js';
+import { comparePassword } from '../utils/hash.js';
+import { signChallenge, verifyChallenge } from '../utils/jwt.js';
+import { generateTotpSecret, otpauthUrl, verifyTotp } from '../utils/totp.js';
+import {
+  TWO_FACTOR_ISSUER,
+  TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+  twoFactorRequiredFor,
+  encryptTotpSecret,
+  decryptTotpSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from '../utils/twoFactor.js';
+
+/**
+ * Service for TOTP two-factor authentication.
+ *
+ * Enrollment is two steps: `beginSetup` stores a pending secret and returns
+ * the provisioning URI (and a QR code of it) for an authenticator app;
+ * `enable` turns 2FA on once the user proves the app works by entering a
+ * code, and hands out single-use recovery codes. Each accepted code's time
+ * step is remembered, so a code cannot be replayed.
+ *
+ * At login, accounts with 2FA get a short-lived challenge token instead of a
+ * session; `AuthService.completeTwoFactorLogin` exchanges it, together with a
+ * code or a recovery code, for the real tokens.
+ *
+ * @class TwoFactorService
+ */
+export class TwoFactorService {
+  /**
+   * Creates an instance of TwoFactorService.
+   * @param {import('../domain/repositories/UserRepository.js').UserRepository} userRepository - Users (TOTP secret and state).
+   * @param {import('../domain/repositories/RecoveryCodeRepository.js').RecoveryCodeRepository} recoveryCodeRepository - Hashed recovery codes.
+   * @param {import('./SessionService.js').SessionService} sessionService - Marks the current session as verified after enrolling.
+   */
+  constructor(userRepository, recoveryCodeRepository, sessionService) {
+    this.userRepository = userRepository;
+    this.recoveryCodeRepository = recoveryCodeRepository;
+    this.sessionService = sessionService;
+  }
+
+  /**
+   * Two-factor state of a user.
+   * @async
+   * @param {number} user_id - The user ID.
+   * @returns {Promise<{enabled: boolean, pending: boolean, required: boolean, recovery_codes_left: number}>}
+   * @throws {AppError} 404 if the user does not exist.
+   * @example
+   * const status = await twoFactorService.getStatus(4);
+   * // { enabled: true, pending: false, required: true, recovery_codes_left: 8 }
+   */
+  async getStatus(user_id) {
+    const user = await this._findUser(user_id);
+    const enabled = user.totp_enabled_at != null;
+    return {
+      enabled,
+      pending: !enabled && user.totp_secret != null,
+      required: twoFactorRequiredFor(user.role),
+      recovery_codes_left: enabled ? await this.recoveryCodeRepository.countUnused(user_id) : 0,
+    };
+  }
+
+  /**
+   * Start enrollment: create a pending secret and return what the
+   * authenticator app needs. Starting again replaces the pending secret.
+   * @async
+   * @param {number} user_id - The user ID.
+   * @returns {Promise<{secret: string, otpauth_url: string, qr_code: string}>} Base32 secret (for manual entry), provisioning URI and a PNG data URL of its QR code.
+   * @throws {AppError} 404 if the user does not exist, 409 if 2FA is already on.
+   * @example
+   * const { otpauth_url, qr_code } = await twoFactorService.beginSetup(4);
+   */
+  async beginSetup(user_id) {
+    const user = await this._findUser(user_id);
+    if (user.totp_enabled_at) throw new AppError('Two-factor authentication is already enabled', 409);
+
+    const secret = generateTotpSecret();
+    await this.userRepository.setPendingTotpSecret(user_id, encryptTotpSecret(secret));
+
+    const url = otpauthUrl({ secret, account: user.email, issuer: TWO_FACTOR_ISSUER });
+    return {
+      secret,
+      otpauth_url: url,
+      qr_code: await QRCode.toDataURL(url, { errorCorrectionLevel: 'M', margin: 1 }),
+    };
+  }
+
+  /**
+   * Finish enrollment with a code from the app. The caller's session counts
+   * as verified from now on, so a new access token is returned.
+   * @async
+   * @param {number} user_id - The user ID.
+   * @param {string} code - Current 6-digit code.
+   * @param {object} [options]
+   * @param {string} [options.session_id] - The caller's session (`sid` claim).
+   * @returns {Promise<{recovery_codes: string[], token?: string}>} Recovery codes (shown once) and the upgraded access token.
+   * @throws {AppError} 409 if already on, 400 if setup was not started or the code is wrong.
+   * @example
+   * const { recovery_codes, token } = await twoFactorService.enable(4, "492039", { session_id: req.user.sid });
+   */
+  async enable(user_id, code, { session_id = null } = {}) {
+    const user = await this._findUser(user_id);
+    if (user.totp_enabled_at) throw new AppError('Two-factor authentication is already enabled', 409);
+    if (!user.totp_secret) throw new AppError('Start two-factor setup first', 400);
+
+    const step = verifyTotp(decryptTotpSecret(user.totp_secret), code);
+    if (step === null || !(await this.userRepository.enableTotp(user_id, step))) {
+      throw new AppError('Invalid authentication code', 400);
+    }
+
+    const recovery_codes = await this._issueRecoveryCodes(user_id);
+    const token = session_id ? await this.sessionService.markTwoFactorVerified(user, session_id) : undefined;
+    return { recovery_codes, ...(token ? { token } : {}) };
+  }
+
+  /**
+   * Turn 2FA off. Needs the password and a current code or recovery code.
+   * @async
+   * @param {number} user_id - The user ID.
+   * @param {{password: string, code?: string, recovery_code?: string}} proof
+   * @returns {Promise<void>}
+   * @throws {AppError} 403 if the user's role requires 2FA, 400 if it is not on, 401 if a proof is wrong.
+   */
+  async disable(user_id, { password, code, recovery_code }) {
+    const user = await this._findUser(user_id);
+    if (twoFactorRequiredFor(user.role)) {
+      throw new AppError('Two-factor authentication is required for your role', 403);
+    }
+    if (!user.totp_enabled_at) throw new AppError('Two-factor authentication is not enabled', 400);
+    if (!(await comparePassword(password, user.password))) {
+      throw new AppError('Password is incorrect', 401);
+    }
+    if (!(await this.verifySecondFactor(user, { code, recovery_code }))) {
+      throw new AppError('Invalid authentication code', 401);
+    }
+
+    await this._clear(user_id);
+  }
+
+  /**
+   * Replace the recovery codes (e.g., after using some). Needs a current code.
+   * @async
+   * @param {number} user_id - The user ID.
+   * @param {string} code - Current 6-digit code.
+   * @returns {Promise<{recovery_codes: string[]}>} The new codes (shown once).
+   * @throws {AppError} 400 if 2FA is not on, 401 if the code is wrong.
+   */
+  async regenerateRecoveryCodes(user_id, code) {
+    const user = await this._findUser(user_id);
+    if (!user.totp_enabled_at) throw new AppError('Two-factor authentication is not enabled', 400);
+    if (!(await this.verifySecondFactor(user, { code }))) {
+      throw new AppError('Invalid authentication code', 401);
+    }
+    return { recovery_codes: await this._issueRecoveryCodes(user_id) };
+  }
+
+  /**
+   * Turn 2FA off for a user who lost their device (admin action).
+   * @async
+   * @param {number} user_id - The user ID.
+   * @returns {Promise<{user_id: number, was_enabled: boolean}>}
+   * @throws {AppError} 404 if the user does not exist.
+   */
+  async reset(user_id) {
+    const user = await this._findUser(user_id);
+    await this._clear(user_id);
+    return { user_id: Number(user_id), was_enabled: user.totp_enabled_at != null };
+  }
+
+  // ---- 🔑 Login step ----
+
+  /**
+   * Token for the second login step of a user whose password was accepted.
+   * @param {{user_id: number}} user - The user.
+   * @returns {{challengeToken: string, expires_in: number}}
+   */
+  issueChallenge(user) {
+    return {
+      challengeToken: signChallenge({ sub: user.user_id }, TWO_FACTOR_CHALLENGE_TTL_SECONDS),
+      expires_in: TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+    };
+  }
+
+  /**
+   * User ID a challenge token was issued for.
+   * @param {string} challengeToken - Token from the password step.
+   * @returns {number}
+   * @throws {AppError} 401 if the token is invalid or expired.
+   */
+  readChallenge(challengeToken) {
+    try {
+      return Number(verifyChallenge(challengeToken).sub);
+    } catch {
+      throw new AppError('This sign-in has expired. Please log in again.', 401);
+    }
+  }
+
+  /**
+   * Check a TOTP code or a recovery code. Both work only once.
+   * @async
+   * @param {import('../domain/entities/UserEntity.js').default} user - User with 2FA on.
+   * @param {{code?: string, recovery_code?: string}} proof
+   * @returns {Promise<false|'totp'|'recovery_code'>} Which factor matched, or false.
+   */
+  async verifySecondFactor(user, { code, recovery_code }) {
+    if (!user.totp_enabled_at || !user.totp_secret) return false;
+
+    if (code) {
+      const step = verifyTotp(decryptTotpSecret(user.totp_secret), code);
+      return step !== null && (await this.userRepository.useTotpStep(user.user_id, step)) ? 'totp' : false;
+    }
+    if (recovery_code) {
+      return (await this.recoveryCodeRepository.markUsed(user.user_id, hashRecoveryCode(recovery_code)))
+        ? 'recovery_code'
+        : false;
+    }
+    return false;
+  }
+
+  /**
+   * Unused recovery codes of a user.
+   * @async
+   * @param {number} user_id - The user ID.
+   * @returns {Promise<number>}
+   */
+  async recoveryCodesLeft(user_id) {
+    return this.recoveryCodeRepository.countUnused(user_id);
+  }
+
+  /**
+   * @private
+   * @param {number} user_id - The user ID.
+   * @returns {Promise<import('../domain/entities/UserEntity.js').default>}
+   * @throws {AppError} 404 if the user does not exist.
+   */
+  async _findUser(user_id) {
+    const user = await this.userRepository.findById(user_id);
+    if (!user) throw new AppError('User not found', 404);
+    return user;
+  }
+
+  /**
+   * @private
+   * @param {number} user_id - The user ID.
+   * @returns {Promise<string[]>} The new plain codes.
+   */
+  async _issueRecoveryCodes(user_id) {
+    const { codes, hashes } = generateRecoveryCodes();
+    await this.recoveryCodeRepository.replaceForUser(user_id, hashes);
+    return codes;
+  }
+
+  /**
+   * @private
+   * @param {number} user_id - The user ID.
+   * @returns {Promise<void>}
+   */
+  async _clear(user_id) {
+    await this.userRepository.clearTotp(user_id);
+    await this.recoveryCodeRepository.deleteForUser(user_id);
+  }
+}
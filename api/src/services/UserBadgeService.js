@@ -1,10 +1,13 @@
 import UserBadgeDTO from '../domain/dto/UserBadgeDTO.js';
+import { AppError } from '../utils/error.js';
 
 /**
  * Service layer for managing user badges.
  *
  * Handles the logic for fetching, creating, and deleting user badge records.
  * Converts database entities into DTOs (`UserBadgeDTO`) before returning results.
+ * Staff of an organization (`scope.organization_id`) can only see and award
+ * badges of their own members.
  *
  * @class UserBadgeService
  */
@@ -12,29 +15,55 @@ export class UserBadgeService {
   /**
    * Creates an instance of UserBadgeService.
    * @param {import('../domain/repositories/UserBadgeRepository.js').UserBadgeRepository} userBadgeRepository - Repository for managing user badge data.
+   * @param {import('../domain/repositories/UserRepository.js').UserRepository} userRepository - Users (organization membership of the badge holder).
    */
-  constructor(userBadgeRepository) {
+  constructor(userBadgeRepository, userRepository) {
     this.userBadgeRepository = userBadgeRepository;
+    this.userRepository = userRepository;
   }
 
   /**
    * Retrieve all user badges.
    * Primarily used for administrative or debugging purposes.
    * @async
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Only badges of this organization's members.
+   * @param {number} [scope.user_id] - Only badges of this user.
    * @returns {Promise<UserBadgeDTO[]>} List of all user badges.
    * @throws {Error} If retrieval fails.
    * @example
    * const allUserBadges = await userBadgeService.listUserBadges();
    */
-  async listUserBadges() {
+  async listUserBadges({ organization_id, user_id } = {}) {
     try {
-      const badges = await this.userBadgeRepository.findAll();
+      const badges = await this.userBadgeRepository.findAll({ organization_id, user_id });
       return badges.map(UserBadgeDTO.fromEntity);
     } catch (error) {
       throw new Error('Failed to list user badges: ' + error.message);
     }
   }
 
+  /**
+   * Retrieve a user badge record by its ID.
+   * @async
+   * @param {number} user_badge_id - The user-badge record ID.
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Treat badges outside this organization as not found.
+   * @param {number} [scope.user_id] - Treat badges of other users as not found.
+   * @returns {Promise<UserBadgeDTO|null>} The user badge DTO, or null if not found.
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const badge = await userBadgeService.getUserBadgeById(7, { user_id: 5 });
+   */
+  async getUserBadgeById(user_badge_id, { organization_id, user_id } = {}) {
+    try {
+      const badge = await this.userBadgeRepository.findById(user_badge_id, { organization_id, user_id });
+      return badge ? UserBadgeDTO.fromEntity(badge) : null;
+    } catch (error) {
+      throw new Error(`Failed to get user badge ${user_badge_id}: ${error.message}`);
+    }
+  }
+
   /**
    * Retrieve badges for a specific user by their user ID.
    * ⚠️ NOTE: This method references `this.repo` which may need adjustment depending on your ORM or repository setup.
@@ -92,16 +121,23 @@ export class UserBadgeService {
    * @param {number} data.user_id - The user ID.
    * @param {number} data.badge_id - The badge ID.
    * @param {Date} [data.earned_at] - Optional timestamp for when the badge was earned.
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Only award badges to this organization's members.
    * @returns {Promise<UserBadgeDTO>} The created user badge DTO.
+   * @throws {AppError} 404 if the user does not exist (or is outside the caller's organization).
    * @throws {Error} If creation fails.
    * @example
    * const newBadge = await userBadgeService.createUserBadge({ user_id: 3, badge_id: 5 });
    */
-  async createUserBadge(data) {
+  async createUserBadge(data, { organization_id } = {}) {
     try {
+      const user = await this.userRepository.findById(data.user_id, { organization_id });
+      if (!user) throw new AppError('User not found', 404);
+
       const badge = await this.userBadgeRepository.create(data);
       return UserBadgeDTO.fromEntity(badge);
     } catch (error) {
+      if (error instanceof AppError) throw error;
       throw new Error('Failed to create user badge: ' + error.message);
     }
   }
@@ -110,14 +146,16 @@ export class UserBadgeService {
    * Delete a user badge record by its ID.
    * @async
    * @param {number} user_badge_id - The user badge ID.
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Only delete badges of this organization's members.
    * @returns {Promise<boolean>} True if deleted successfully, false otherwise.
    * @throws {Error} If deletion fails.
    * @example
    * const deleted = await userBadgeService.deleteUserBadge(7);
    */
-  async deleteUserBadge(user_badge_id) {
+  async deleteUserBadge(user_badge_id, { organization_id } = {}) {
     try {
-      return await this.userBadgeRepository.delete(user_badge_id);
+      return await this.userBadgeRepository.delete(user_badge_id, { organization_id });
     } catch (error) {
       throw new Error(`Failed to delete user badge with id ${user_badge_id}: ${error.message}`);
     }
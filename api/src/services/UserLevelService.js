@@ -22,12 +22,15 @@ export class UserLevelService {
   /**
    * Retrieve all user-level records (admin/debug use).
    * @async
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Only progress of this organization's members.
+   * @param {number} [scope.user_id] - Only progress of this user.
    * @returns {Promise<UserLevelDTO[]>} List of all user-level records.
    * @example
    * const allUserLevels = await userLevelService.listUserLevels();
    */
-  async listUserLevels() {
-    const records = await this.userLevelRepository.findAll();
+  async listUserLevels({ organization_id, user_id } = {}) {
+    const records = await this.userLevelRepository.findAll({ organization_id, user_id });
     return records.map(UserLevelDTO.fromEntity);
   }
 
@@ -62,12 +65,15 @@ export class UserLevelService {
    * Retrieve a single user-level record by its primary ID.
    * @async
    * @param {number} user_level_id - The user-level record ID.
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Treat records outside this organization as not found.
+   * @param {number} [scope.user_id] - Treat records of other users as not found.
    * @returns {Promise<UserLevelDTO|null>} The user-level DTO or null if not found.
    * @example
    * const record = await userLevelService.getById(12);
    */
-  async getById(user_level_id) {
-    const record = await this.userLevelRepository.findById(user_level_id);
+  async getById(user_level_id, { organization_id, user_id } = {}) {
+    const record = await this.userLevelRepository.findById(user_level_id, { organization_id, user_id });
     return record ? UserLevelDTO.fromEntity(record) : null;
   }
 
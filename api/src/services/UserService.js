@@ -1,13 +1,18 @@
 import bcrypt from "bcrypt";
 import UserDTO from "../domain/dto/UserDTO.js";
-import { signAccess } from "../utils/jwt.js";
+import { AppError } from "../utils/error.js";
+import { ORGANIZATION_ROLES } from "../utils/tenancy.js";
 
 /**
- * Service layer for user management and authentication.
+ * Service layer for user management.
  *
- * Handles registration, login, and administrative user management.
- * It performs password hashing, token generation, and converts
- * database entities into DTOs (`UserDTO`).
+ * Handles administrative user management. It performs password hashing
+ * and converts database entities into DTOs (`UserDTO`). Self-service
+ * registration and login live in `AuthService`.
+ *
+ * Methods take the caller's scope (`{ organization_id }`, see
+ * `organizationScope`). A scoped caller only reaches members of their own
+ * organization, creates users in it, and can only grant organization roles.
  *
  * @class UserService
  */
@@ -20,66 +25,6 @@ export class UserService {
     this.userRepository = userRepository;
   }
 
-  /**
-   * Register a new user.
-   * Hashes the password before saving and sets a default role (`user`).
-   * @async
-   * @param {object} data - User registration data.
-   * @param {string} data.full_name - Full name of the user.
-   * @param {string} data.email - Email address.
-   * @param {string} data.password - Plain text password.
-   * @param {string} [data.role="user"] - Optional role (e.g., "admin").
-   * @returns {Promise<UserDTO>} The newly registered user DTO.
-   * @throws {Error} If email already exists or creation fails.
-   * @example
-   * const user = await userService.register({
-   *   full_name: "Jane Doe",
-   *   email: "jane@example.com",
-   *   password: "securePass123"
-   * });
-   */
-  async register(data) {
-    const existing = await this.userRepository.findByEmail(data.email);
-    if (existing) throw new Error("Email already in use");
-
-    const hashedPassword = await bcrypt.hash(data.password, 10);
-
-    // Default role = 'user' unless explicitly set (e.g., admin creating another admin)
-    const user = await this.userRepository.create({
-      ...data,
-      password: hashedPassword,
-      role: data.role || "user",
-    });
-
-    return UserDTO.fromEntity(user);
-  }
-
-  /**
-   * Authenticate a user and generate an access token.
-   * Verifies email and password, then signs a JWT token with role information.
-   * @async
-   * @param {string} email - The user's email.
-   * @param {string} password - The user's plain text password.
-   * @returns {Promise<{user: UserDTO, token: string}>} Authenticated user data and access token.
-   * @throws {Error} If authentication fails.
-   * @example
-   * const { user, token } = await userService.login("jane@example.com", "securePass123");
-   */
-  async login(email, password) {
-    const user = await this.userRepository.findByEmail(email);
-    if (!user) throw new Error("Invalid email or password");
-
-    const match = await bcrypt.compare(password, user.password);
-    if (!match) throw new Error("Invalid email or password");
-
-    // Include role in token payload
-    const token = signAccess({ sub: user.user_id, role: user.role });
-    return {
-      user: UserDTO.fromEntity(user),
-      token,
-    };
-  }
-
   // -------------------------------------------------------------
   // 🔒 Admin-only methods
   // -------------------------------------------------------------
@@ -87,14 +32,16 @@ export class UserService {
   /**
    * Retrieve all users (admin only).
    * @async
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Only members of this organization.
    * @returns {Promise<UserDTO[]>} List of all registered users.
    * @throws {Error} If retrieval fails.
    * @example
    * const users = await userService.listUsers();
    */
-  async listUsers() {
+  async listUsers({ organization_id } = {}) {
     try {
-      const users = await this.userRepository.findAll();
+      const users = await this.userRepository.findAll({ organization_id });
       return users.map(UserDTO.fromEntity);
     } catch (error) {
       throw new Error("Failed to list users: " + error.message);
@@ -105,14 +52,16 @@ export class UserService {
    * Retrieve a single user by their ID.
    * @async
    * @param {number} id - The user ID.
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Only find members of this organization.
    * @returns {Promise<UserDTO|null>} The user DTO or null if not found.
    * @throws {Error} If retrieval fails.
    * @example
    * const user = await userService.getUser(3);
    */
-  async getUser(id) {
+  async getUser(id, { organization_id } = {}) {
     try {
-      const user = await this.userRepository.findById(id);
+      const user = await this.userRepository.findById(id, { organization_id });
       return user ? UserDTO.fromEntity(user) : null;
     } catch (error) {
       throw new Error(`Failed to get user with id ${id}: ${error.message}`);
@@ -139,14 +88,19 @@ export class UserService {
 
   /**
    * Create a new user (admin only).
-   * Automatically hashes the password before saving.
+   * Automatically hashes the password before saving. The email counts as
+   * verified, since an admin vouched for it.
    * @async
    * @param {object} data - User creation data.
    * @param {string} data.full_name - Full name.
    * @param {string} data.email - Email address.
    * @param {string} data.password - Plain text password.
    * @param {string} [data.role="user"] - Optional role.
+   * @param {number|null} [data.organization_id] - Organization (forced to the caller's when scoped).
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Caller's organization.
    * @returns {Promise<UserDTO>} The created user DTO.
+   * @throws {AppError} 403/400 if the role or organization is not allowed.
    * @throws {Error} If creation fails.
    * @example
    * const adminUser = await userService.createUser({
@@ -156,16 +110,23 @@ export class UserService {
    *   role: "admin"
    * });
    */
-  async createUser(data) {
+  async createUser(data, scope = {}) {
     try {
+      const role = data.role || "user";
+      const organization_id = this._assignOrganization(data.organization_id ?? null, scope);
+      this._checkMembership(role, organization_id, scope);
+
       const hashedPassword = await bcrypt.hash(data.password, 10);
       const user = await this.userRepository.create({
         ...data,
         password: hashedPassword,
-        role: data.role || "user",
+        role,
+        organization_id,
+        email_verified_at: new Date(),
       });
       return UserDTO.fromEntity(user);
     } catch (error) {
+      if (error instanceof AppError) throw error;
       throw new Error("Failed to create user: " + error.message);
     }
   }
@@ -180,20 +141,37 @@ export class UserService {
    * @param {string} [data.email] - Updated email.
    * @param {string} [data.password] - Updated password (will be hashed).
    * @param {string} [data.role] - Updated role.
+   * @param {number|null} [data.organization_id] - Updated organization (platform callers only).
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Caller's organization; other users are reported as not found.
    * @returns {Promise<UserDTO|null>} The updated user DTO, or null if not found.
+   * @throws {AppError} 403/400 if the role or organization is not allowed.
    * @throws {Error} If update fails.
    * @example
    * const updated = await userService.updateUser(5, { full_name: "Jane Updated" });
    */
-  async updateUser(id, data) {
+  async updateUser(id, data, scope = {}) {
     try {
+      const current = await this.userRepository.findById(id, scope);
+      if (!current) return null;
+
       let updatedData = { ...data };
+      if (data.organization_id !== undefined) {
+        updatedData.organization_id = this._assignOrganization(data.organization_id, scope);
+      }
+      this._checkMembership(
+        updatedData.role ?? current.role,
+        updatedData.organization_id !== undefined ? updatedData.organization_id : current.organization_id,
+        scope
+      );
+
       if (data.password) {
         updatedData.password = await bcrypt.hash(data.password, 10);
       }
       const user = await this.userRepository.update(id, updatedData);
       return user ? UserDTO.fromEntity(user) : null;
     } catch (error) {
+      if (error instanceof AppError) throw error;
       throw new Error(`Failed to update user with id ${id}: ${error.message}`);
     }
   }
@@ -202,16 +180,60 @@ export class UserService {
    * Delete a user record by ID.
    * @async
    * @param {number} id - The user ID.
+   * @param {object} [scope]
+   * @param {number} [scope.organization_id] - Caller's organization; other users are reported as not found.
    * @returns {Promise<boolean>} True if deleted successfully, false otherwise.
    * @throws {Error} If deletion fails.
    * @example
    * const deleted = await userService.deleteUser(4);
    */
-  async deleteUser(id) {
+  async deleteUser(id, scope = {}) {
     try {
+      if (scope.organization_id !== undefined && !(await this.userRepository.findById(id, scope))) {
+        return false;
+      }
       return await this.userRepository.delete(id);
     } catch (error) {
       throw new Error(`Failed to delete user with id ${id}: ${error.message}`);
     }
   }
+
+  /**
+   * The organization a user gets: scoped callers can only place users in
+   * their own organization.
+   * @private
+   * @param {number|null} requested - Organization asked for in the request.
+   * @param {{organization_id?: number}} scope - Caller's scope.
+   * @returns {number|null}
+   * @throws {AppError} 403 if a scoped caller asks for another organization.
+   */
+  _assignOrganization(requested, { organization_id }) {
+    if (organization_id === undefined) return requested;
+    if (requested != null && Number(requested) !== Number(organization_id)) {
+      throw new AppError("You can only manage users of your own organization", 403);
+    }
+    return organization_id;
+  }
+
+  /**
+   * Checks that a role fits the user's organization and that the caller may
+   * grant it.
+   * @private
+   * @param {string} role - The user's (new) role.
+   * @param {number|null} organization_id - The user's (new) organization.
+   * @param {{organization_id?: number}} scope - Caller's scope.
+   * @returns {void}
+   * @throws {AppError} 403 if a scoped caller grants a platform role; 400 if role and organization do not fit.
+   */
+  _checkMembership(role, organization_id, scope) {
+    if (scope.organization_id !== undefined && !ORGANIZATION_ROLES.includes(role)) {
+      throw new AppError(`You cannot grant the ${role} role`, 403);
+    }
+    if (organization_id != null && !ORGANIZATION_ROLES.includes(role)) {
+      throw new AppError(`A user with the ${role} role cannot belong to an organization`, 400);
+    }
+    if (organization_id == null && role === "org_admin") {
+      throw new AppError("An organization admin needs an organization", 400);
+    }
+  }
 }
@@ -0,0 +1,60 @@
+/**
+ * Supported badge criteria.
+ *
+ * A badge's `criteria` is a JSON object whose `type` selects one of these rules:
+ * - `perfect_level`      `{ level_id }` — best score of 100 in every scenario of the level.
+ * - `perfect_streak`     `{ count }` — the last `count` submissions were all perfect.
+ * - `daily_streak`       `{ days }` — practised on `days` consecutive calendar days, ending today.
+ * - `time_budget`        `{ max_ms, level_id? }` — every scenario (of the level, or of all
+ *                        levels) perfected, with the fastest perfect runs adding up to at most `max_ms`.
+ * - `first_try_perfect`  `{ count? = 1 }` — `count` scenarios perfected on the very first try.
+ *
+ * @type {Readonly<Record<string, {required: string[], optional: string[]}>>}
+ */
+export const BADGE_CRITERIA = Object.freeze({
+  perfect_level: { required: ['level_id'], optional: [] },
+  perfect_streak: { required: ['count'], optional: [] },
+  daily_streak: { required: ['days'], optional: [] },
+  time_budget: { required: ['max_ms'], optional: ['level_id'] },
+  first_try_perfect: { required: [], optional: ['count'] },
+});
+
+/**
+ * Check a badge criteria object against {@link BADGE_CRITERIA}.
+ *
+ * @function validateBadgeCriteria
+ * @param {any} criteria - The criteria to check.
+ * @returns {string|null} A description of the problem, or null if the criteria are valid.
+ *
+ * @example
+ * validateBadgeCriteria({ type: 'perfect_streak', count: 5 }); // null
+ * validateBadgeCriteria({ type: 'perfect_streak' });           // "perfect_streak requires count"
+ */
+export function validateBadgeCriteria(criteria) {
+  if (!criteria || typeof criteria !== 'object' || Array.isArray(criteria)) {
+    return 'criteria must be an object';
+  }
+
+  const rule = BADGE_CRITERIA[criteria.type];
+  if (!rule) {
+    return `criteria.type must be one of: ${Object.keys(BADGE_CRITERIA).join(', ')}`;
+  }
+
+  for (const key of rule.required) {
+    if (criteria[key] == null) return `${criteria.type} requires ${key}`;
+  }
+
+  for (const key of [...rule.required, ...rule.optional]) {
+    if (criteria[key] == null) continue;
+    const value = Number(criteria[key]);
+    if (!Number.isInteger(value) || value <= 0) {
+      return `criteria.${key} must be a positive integer`;
+    }
+  }
+
+  const allowed = new Set(['type', ...rule.required, ...rule.optional]);
+  const extra = Object.keys(criteria).filter((key) => !allowed.has(key));
+  if (extra.length) return `Unknown criteria field(s) for ${criteria.type}: ${extra.join(', ')}`;
+
+  return null;
+}
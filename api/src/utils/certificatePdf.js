@@ -0,0 +1,178 @@
+// src/utils/certificatePdf.js
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+
+const ACCENT = '#b91c1c';
+const INK = '#1f2937';
+const MUTED = '#6b7280';
+
+/**
+ * Long, locale-independent date, e.g. "12 January 2025".
+ * @param {Date|string} value - The date.
+ * @returns {string}
+ */
+const longDate = (value) =>
+  new Date(value).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+
+/**
+ * Draw a QR code as filled squares, so it stays sharp at any zoom level.
+ *
+ * @param {PDFKit.PDFDocument} doc - The document to draw on.
+ * @param {string} text - Content to encode.
+ * @param {number} x - Left edge.
+ * @param {number} y - Top edge.
+ * @param {number} size - Width and height of the code.
+ */
+function drawQrCode(doc, text, x, y, size) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const cell = size / modules.size;
+
+  doc.save().fillColor('#000000');
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) doc.rect(x + col * cell, y + row * cell, cell, cell);
+    }
+  }
+  doc.fill().restore();
+}
+
+/**
+ * Render a certificate as an A4 landscape, vector PDF.
+ *
+ * Everything (text, frame and QR code) is drawn as vectors; no screenshots or
+ * raster images are embedded.
+ *
+ * @function renderCertificatePdf
+ * @param {object} certificate
+ * @param {string} certificate.holder_name - Recipient name.
+ * @param {string} certificate.title - Certificate title.
+ * @param {string} certificate.serial - Signed serial.
+ * @param {Date|string} certificate.issued_at - Issue date.
+ * @param {Date|string} certificate.expires_at - Expiry date.
+ * @param {string} certificate.verify_url - Public verification URL, encoded in the QR code.
+ * @param {string[]} [certificate.levels=[]] - Titles of the completed levels.
+ * @returns {Promise<Buffer>} The PDF file.
+ *
+ * @example
+ * const pdf = await renderCertificatePdf({ holder_name: "Alex Johnson", serial: "SIM-...", ... });
+ * res.type("application/pdf").send(pdf);
+ */
+export function renderCertificatePdf({
+  holder_name,
+  title,
+  serial,
+  issued_at,
+  expires_at,
+  verify_url,
+  levels = [],
+}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout: 'landscape',
+      margin: 0,
+      info: { Title: title, Author: 'SimAid', Subject: `Certificate ${serial}` },
+    });
+
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { width, height } = doc.page;
+    const inset = 60;
+    const contentWidth = width - inset * 2;
+
+    // Frame
+    doc.lineWidth(4).strokeColor(ACCENT).rect(24, 24, width - 48, height - 48).stroke();
+    doc.lineWidth(1).rect(34, 34, width - 68, height - 68).stroke();
+
+    // Heading
+    doc
+      .fillColor(MUTED)
+      .font('Helvetica')
+      .fontSize(14)
+      .text('CERTIFICATE OF ACHIEVEMENT', inset, 70, { width: contentWidth, align: 'center', characterSpacing: 3 });
+
+    doc
+      .moveDown(0.6)
+      .fillColor(ACCENT)
+      .font('Helvetica-Bold')
+      .fontSize(28)
+      .text(title, { width: contentWidth, align: 'center' });
+
+    doc
+      .moveDown(0.8)
+      .fillColor(MUTED)
+      .font('Helvetica')
+      .fontSize(13)
+      .text('This certifies that', { width: contentWidth, align: 'center' });
+
+    doc
+      .moveDown(0.4)
+      .fillColor(INK)
+      .font('Helvetica-Bold')
+      .fontSize(32)
+      .text(holder_name || 'First Aid Learner', { width: contentWidth, align: 'center' });
+
+    if (levels.length) {
+      doc
+        .moveDown(0.6)
+        .fillColor(MUTED)
+        .font('Helvetica')
+        .fontSize(12)
+        .text('has completed every level of the SimAid first-aid programme:', {
+          width: contentWidth,
+          align: 'center',
+        })
+        .moveDown(0.3)
+        .fillColor(INK)
+        .fontSize(12)
+        .text(levels.join('  •  '), { width: contentWidth, align: 'center' });
+    }
+
+    // Footer: dates and serial on the left, QR code on the right
+    const qrSize = 96;
+    const footerY = height - inset - qrSize;
+
+    doc
+      .fillColor(INK)
+      .font('Helvetica-Bold')
+      .fontSize(11)
+      .text('Issued: ', inset, footerY + 8, { continued: true })
+      .font('Helvetica')
+      .text(longDate(issued_at))
+      .font('Helvetica-Bold')
+      .text('Valid until: ', { continued: true })
+      .font('Helvetica')
+      .text(longDate(expires_at))
+      .font('Helvetica-Bold')
+      .text('Serial: ', { continued: true })
+      .font('Courier')
+      .text(serial);
+
+    doc
+      .fillColor(MUTED)
+      .font('Helvetica')
+      .fontSize(9)
+      .text(`Verify at ${verify_url}`, inset, footerY + 68, { link: verify_url, underline: false });
+
+    // Signature line
+    const sigWidth = 200;
+    const sigX = (width - sigWidth) / 2;
+    doc.lineWidth(1).strokeColor(INK).moveTo(sigX, footerY + 60).lineTo(sigX + sigWidth, footerY + 60).stroke();
+    doc
+      .fillColor(MUTED)
+      .fontSize(10)
+      .text('Program Director', sigX, footerY + 66, { width: sigWidth, align: 'center' });
+
+    drawQrCode(doc, verify_url, width - inset - qrSize, footerY, qrSize);
+
+    doc.end();
+  });
+}
@@ -0,0 +1,89 @@
+// src/utils/emailTemplates.js
+
+/**
+ * Escape text for use inside HTML.
+ * @param {string} value - Raw text.
+ * @returns {string}
+ */
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+/**
+ * Wrap a call-to-action email in the shared layout.
+ * @param {object} parts
+ * @param {string} parts.greeting - Opening line.
+ * @param {string[]} parts.lines - Paragraphs before the button.
+ * @param {string} parts.action - Button label.
+ * @param {string} parts.url - Button target.
+ * @param {string} parts.footer - Closing note.
+ * @returns {{text: string, html: string}}
+ */
+function actionEmail({ greeting, lines, action, url, footer }) {
+  const text = [greeting, '', ...lines, '', `${action}: ${url}`, '', footer].join('\n');
+  const html = `
+    <div style="font-family:Arial,sans-serif;color:#1f2937;max-width:520px">
+      <p>${escapeHtml(greeting)}</p>
+      ${lines.map((line) => `<p>${escapeHtml(line)}</p>`).join('\n      ')}
+      <p><a href="${escapeHtml(url)}" style="display:inline-block;background:#b91c1c;color:#fff;padding:10px 18px;border-radius:8px;text-decoration:none">${escapeHtml(action)}</a></p>
+      <p style="color:#6b7280;font-size:13px">${escapeHtml(footer)}</p>
+    </div>`;
+  return { text, html };
+}
+
+/**
+ * Password reset email.
+ *
+ * @function passwordResetEmail
+ * @param {object} params
+ * @param {string} params.name - Recipient's name.
+ * @param {string} params.url - Reset link (contains the token).
+ * @param {number} params.expiresInMinutes - How long the link works.
+ * @returns {{subject: string, text: string, html: string}}
+ *
+ * @example
+ * await mailer.send({ to: user.email, ...passwordResetEmail({ name: "Jane", url, expiresInMinutes: 60 }) });
+ */
+export function passwordResetEmail({ name, url, expiresInMinutes }) {
+  return {
+    subject: 'Reset your SimAid password',
+    ...actionEmail({
+      greeting: `Hi ${name || 'there'},`,
+      lines: [
+        'We received a request to reset the password of your SimAid account.',
+        `The link below works once and expires in ${expiresInMinutes} minutes.`,
+      ],
+      action: 'Choose a new password',
+      url,
+      footer: "If you didn't ask for this, you can ignore this email; your password stays the same.",
+    }),
+  };
+}
+
+/**
+ * Email address verification email.
+ *
+ * @function emailVerificationEmail
+ * @param {object} params
+ * @param {string} params.name - Recipient's name.
+ * @param {string} params.url - Verification link (contains the token).
+ * @param {number} params.expiresInHours - How long the link works.
+ * @returns {{subject: string, text: string, html: string}}
+ *
+ * @example
+ * await mailer.send({ to: user.email, ...emailVerificationEmail({ name: "Jane", url, expiresInHours: 48 }) });
+ */
+export function emailVerificationEmail({ name, url, expiresInHours }) {
+  return {
+    subject: 'Confirm your email for SimAid',
+    ...actionEmail({
+      greeting: `Hi ${name || 'there'},`,
+      lines: [
+        'Please confirm that this is your email address so we can issue your certificate and keep your account safe.',
+        `The link below expires in ${expiresInHours} hours.`,
+      ],
+      action: 'Verify my email',
+      url,
+      footer: "If you didn't create a SimAid account, you can ignore this email.",
+    }),
+  };
+}
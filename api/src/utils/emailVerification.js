@@ -0,0 +1,38 @@
+// src/utils/emailVerification.js
+
+const POLICIES = ['none', 'certificate', 'submission'];
+
+/**
+ * What an account with an unverified email is blocked from
+ * (env `EMAIL_VERIFICATION_POLICY`):
+ * - `none`: nothing; verification is informational only.
+ * - `certificate`: receiving the completion certificate (default).
+ * - `submission`: submitting scenarios or answers, and so the certificate too.
+ * @type {'none'|'certificate'|'submission'}
+ */
+export const EMAIL_VERIFICATION_POLICY = POLICIES.includes(process.env.EMAIL_VERIFICATION_POLICY)
+  ? process.env.EMAIL_VERIFICATION_POLICY
+  : 'certificate';
+
+/**
+ * How long a verification link works, in hours (env `EMAIL_VERIFICATION_TTL_HOURS`).
+ * @type {number}
+ */
+export const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+
+/**
+ * Whether the policy requires a verified email for an action.
+ *
+ * @function verificationRequiredFor
+ * @param {'certificate'|'submission'} action - The gated action.
+ * @param {string} [policy=EMAIL_VERIFICATION_POLICY] - Policy to apply.
+ * @returns {boolean}
+ *
+ * @example
+ * verificationRequiredFor("certificate"); // true with the default policy
+ */
+export function verificationRequiredFor(action, policy = EMAIL_VERIFICATION_POLICY) {
+  if (policy === 'submission') return true;
+  if (policy === 'certificate') return action === 'certificate';
+  return false;
+}
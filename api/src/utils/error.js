@@ -9,15 +9,19 @@
  * @extends Error
  * @example
  * throw new AppError("User not found", 404);
+ * throw new AppError("Too many attempts", 429, { code: "TOO_MANY_ATTEMPTS", retry_after: 30 });
  */
 export class AppError extends Error {
   /**
    * Creates a new AppError instance.
    * @param {string} message - Error message to describe what went wrong.
    * @param {number} [status=400] - HTTP status code (default: 400 Bad Request).
+   * @param {object} [details] - Extra fields merged into the error response
+   *   (a `retry_after` in seconds also sets the `Retry-After` header).
    */
-  constructor(message, status = 400) {
+  constructor(message, status = 400, details = undefined) {
     super(message);
     this.status = status;
+    this.details = details;
   }
 }
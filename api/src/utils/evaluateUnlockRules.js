@@ -0,0 +1,84 @@
+/**
+ * Evaluate a level's unlock rules against a user's progress.
+ *
+ * A level is unlocked when **every** prerequisite is met; a level without
+ * prerequisites is an entry point and is always unlocked. Each prerequisite is:
+ * - `{ required_level_id, min_score: null }` — the required level must be completed.
+ * - `{ required_level_id, min_score: 80 }` — the user's average best score across
+ *   the required level's scenarios must be at least 80 (completion not needed).
+ *
+ * @function evaluateUnlockRules
+ * @param {Array<{required_level_id: number, min_score: number|null}>} prerequisites - The level's rules.
+ * @param {Map<number, {completed: boolean, avg_score: number}>} progressByLevel - The user's progress, keyed by level ID.
+ * @returns {{unlocked: boolean, unmet: Array<{required_level_id: number, min_score: number|null, avg_score: number}>}}
+ * Whether the level is unlocked, and which rules are still unmet.
+ *
+ * @example
+ * const progress = new Map([[1, { completed: true, avg_score: 100 }], [2, { completed: false, avg_score: 72 }]]);
+ * evaluateUnlockRules([{ required_level_id: 1, min_score: null }], progress);
+ * // { unlocked: true, unmet: [] }
+ * evaluateUnlockRules([{ required_level_id: 2, min_score: 80 }], progress);
+ * // { unlocked: false, unmet: [{ required_level_id: 2, min_score: 80, avg_score: 72 }] }
+ */
+export function evaluateUnlockRules(prerequisites, progressByLevel) {
+  const unmet = [];
+
+  for (const rule of prerequisites) {
+    const requiredId = Number(rule.required_level_id);
+    const progress = progressByLevel.get(requiredId) || { completed: false, avg_score: 0 };
+    const minScore = rule.min_score == null ? null : Number(rule.min_score);
+
+    const met =
+      minScore == null
+        ? Boolean(progress.completed)
+        : Number(progress.avg_score) >= minScore;
+
+    if (!met) {
+      unmet.push({
+        required_level_id: requiredId,
+        min_score: minScore,
+        avg_score: Number(progress.avg_score) || 0,
+      });
+    }
+  }
+
+  return { unlocked: unmet.length === 0, unmet };
+}
+
+/**
+ * Check whether adding `requiredIds` as prerequisites of `levelId` would create
+ * a cycle in the level graph (which would make those levels impossible to unlock).
+ *
+ * @function createsCycle
+ * @param {number} levelId - The level whose prerequisites are being set.
+ * @param {number[]} requiredIds - The proposed required level IDs.
+ * @param {Array<{level_id: number, required_level_id: number}>} edges - Every existing prerequisite.
+ * @returns {boolean} True if the new prerequisites would introduce a cycle.
+ *
+ * @example
+ * // 2 requires 1; making 1 require 2 would loop
+ * createsCycle(1, [2], [{ level_id: 2, required_level_id: 1 }]); // true
+ */
+export function createsCycle(levelId, requiredIds, edges) {
+  const target = Number(levelId);
+  const requires = new Map();
+  for (const e of edges) {
+    if (Number(e.level_id) === target) continue; // replaced by requiredIds
+    const list = requires.get(Number(e.level_id)) || [];
+    list.push(Number(e.required_level_id));
+    requires.set(Number(e.level_id), list);
+  }
+  requires.set(target, requiredIds.map(Number));
+
+  // Walk everything `target` depends on; reaching `target` again is a cycle
+  const seen = new Set();
+  const stack = [...requires.get(target)];
+  while (stack.length) {
+    const id = stack.pop();
+    if (id === target) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    stack.push(...(requires.get(id) || []));
+  }
+  return false;
+}
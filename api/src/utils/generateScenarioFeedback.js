@@ -1,22 +1,33 @@
+import { formatAnswer, isCorrectAnswer } from "./stepTypes.js";
+import { blendScore } from "./patientModel.js";
+
 /**
  * Generate detailed feedback and a summary score for a user's scenario attempt.
  *
  * Compares a user's answers to the correct answers for each step in a scenario,
  * calculates their total score, and returns both a step-by-step feedback breakdown
- * and an overall performance summary.
+ * and an overall performance summary. For a scenario with a simulated casualty,
+ * pass the patient's final state: the score then blends in its status by the
+ * scenario's `outcome_weight` and the summary reports it (see `utils/patientModel.js`).
  *
  * @function generateScenarioFeedback
- * @param {string[]} userAnswers - Array of user-selected answers (e.g. `["A", "C", "B", "D"]`).
+ * @param {Array<any>} userAnswers - Array of user answers (e.g. `["A", true, ["B", "D"]]`).
  * @param {Array<Object>} steps - Array of scenario step objects.  
  * Each step should contain:
- *   - `correct_action` {string} — The correct answer (e.g., `"A"`)
+ *   - `step_type` {string} — One of `STEP_TYPES` (single choice when omitted)
+ *   - `correct_action` {any} — The correct answer (e.g., `"A"`)
  *   - `feedback_message` {string} — Custom feedback for this step
  *   - `step_order` {number} — The step’s order in the scenario
  *   - `instruction` {string} — The question or instruction text
+ * @param {object} [options]
+ * @param {{status: string, vitals: object}|null} [options.patient] - The casualty's final state (`simulatePatient`).
+ * @param {number} [options.outcomeWeight=0] - Share of the score (0–100) that comes from the patient's status.
  * @returns {object} Feedback summary object containing:
  * - `total_questions` {number} — Total number of questions
  * - `correct_answers` {number} — Number of correct responses
- * - `score` {number} — Score percentage (0–100)
+ * - `answer_score` {number} — Percentage of correct responses (0–100)
+ * - `score` {number} — Score percentage (0–100), patient outcome included
+ * - `patient` {Object|null} — The casualty's final state, if any
  * - `summary` {string} — Overall performance message
  * - `steps_feedback` {Array<Object>} — Per-step feedback details
  *
@@ -33,8 +44,14 @@
  * const feedback = generateScenarioFeedback(userAnswers, steps);
  * console.log(feedback.score); // 67
  * console.log(feedback.summary); // "You're getting there — keep practicing!"
+ *
+ * const simulated = generateScenarioFeedback(userAnswers, steps, {
+ *   patient: { status: "critical", vitals },
+ *   outcomeWeight: 50,
+ * });
+ * console.log(simulated.score); // 44
  */
-export function generateScenarioFeedback(userAnswers, steps) {
+export function generateScenarioFeedback(userAnswers, steps, { patient = null, outcomeWeight = 0 } = {}) {
   if (!Array.isArray(userAnswers) || !Array.isArray(steps)) {
     throw new Error("Invalid input to generateScenarioFeedback");
   }
@@ -43,10 +60,11 @@ export function generateScenarioFeedback(userAnswers, steps) {
   let correctCount = 0;
 
   const detailedFeedback = steps.map((step, index) => {
-    const userAnswer = (userAnswers[index] || "").toUpperCase();
-    const correctAnswer = (step.correct_action || "").toUpperCase();
+    const stepType = step.step_type ?? "single_choice";
+    const userAnswer = formatAnswer(stepType, userAnswers[index]) ?? "";
+    const correctAnswer = formatAnswer(stepType, step.correct_action) ?? "";
 
-    const isCorrect = userAnswer === correctAnswer;
+    const isCorrect = isCorrectAnswer(step, userAnswers[index]);
     if (isCorrect) correctCount++;
 
     return {
@@ -63,7 +81,8 @@ export function generateScenarioFeedback(userAnswers, steps) {
     };
   });
 
-  const score = ((correctCount / totalSteps) * 100).toFixed(0);
+  const answerScore = Number(((correctCount / totalSteps) * 100).toFixed(0));
+  const score = blendScore(answerScore, patient?.status, outcomeWeight);
 
   // 🎯 Generate summary message
   let summary;
@@ -71,11 +90,14 @@ export function generateScenarioFeedback(userAnswers, steps) {
   else if (score >= 75) summary = "Great effort! You got most of them right.";
   else if (score >= 50) summary = "You're getting there — keep practicing!";
   else summary = "You need more review. Try the scenario again.";
+  if (patient) summary += ` Casualty status at the end: ${patient.status}.`;
 
   return {
     total_questions: totalSteps,
     correct_answers: correctCount,
-    score: Number(score),
+    answer_score: answerScore,
+    score,
+    patient,
     summary,
     steps_feedback: detailedFeedback,
   };
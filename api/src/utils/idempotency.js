@@ -0,0 +1,26 @@
+// src/utils/idempotency.js
+
+/**
+ * How long a submission's idempotency key is honoured, in hours
+ * (env `IDEMPOTENCY_KEY_TTL_HOURS`). A key reused after that is treated as new.
+ * @type {number}
+ */
+export const IDEMPOTENCY_KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+/**
+ * Longest accepted `Idempotency-Key` header value.
+ * @type {number}
+ */
+export const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+
+/**
+ * Whether a stored key is still within {@link IDEMPOTENCY_KEY_TTL_HOURS}.
+ *
+ * @function isIdempotencyKeyLive
+ * @param {string|Date} created_at - When the key was first used.
+ * @param {Date} [now=new Date()] - Reference time.
+ * @returns {boolean}
+ */
+export function isIdempotencyKeyLive(created_at, now = new Date()) {
+  return now.getTime() - new Date(created_at).getTime() < IDEMPOTENCY_KEY_TTL_HOURS * 3600 * 1000;
+}
@@ -2,7 +2,8 @@
 import jwt from 'jsonwebtoken';
 
 const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Access tokens are short-lived; sessions are kept alive with refresh tokens
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 
 /**
  * Generate a signed JSON Web Token (JWT) for authentication.
@@ -11,12 +12,12 @@ const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
  * the payload and optionally specify an expiration time.
  *
  * @function signAccess
- * @param {object} payload - The data to encode inside the token (e.g., `{ sub: userId, role: "admin" }`).
+ * @param {object} payload - The data to encode inside the token (e.g., `{ sub: userId, role: "admin", sid: sessionId }`).
  * @returns {string} Signed JWT string.
  * @throws {Error} If `JWT_SECRET` is missing.
  *
  * @example
- * const token = signAccess({ sub: 1, role: "user" });
+ * const token = signAccess({ sub: 1, role: "user", sid: "3f1c…" });
  * console.log(token); // "eyJhbGciOiJIUzI1NiIsInR5cCI6..."
  */
 export function signAccess(payload) {
@@ -47,3 +48,40 @@ export function verifyAccess(token) {
   }
   return jwt.verify(token, JWT_SECRET);
 }
+
+// Challenge tokens use a derived key, so they can never pass as access tokens
+const challengeSecret = () => `${JWT_SECRET}:2fa-challenge`;
+
+/**
+ * Sign the token handed out between the password and two-factor login steps.
+ *
+ * @function signChallenge
+ * @param {object} payload - Token contents (e.g., `{ sub: userId }`).
+ * @param {number} expiresInSeconds - Lifetime of the challenge.
+ * @returns {string} Signed JWT string.
+ * @throws {Error} If `JWT_SECRET` is missing.
+ *
+ * @example
+ * const challengeToken = signChallenge({ sub: 1 }, 300);
+ */
+export function signChallenge(payload, expiresInSeconds) {
+  if (!JWT_SECRET) {
+    throw new Error('JWT_SECRET env var is missing');
+  }
+  return jwt.sign(payload, challengeSecret(), { expiresIn: expiresInSeconds });
+}
+
+/**
+ * Verify and decode a two-factor challenge token.
+ *
+ * @function verifyChallenge
+ * @param {string} token - The challenge token from the password step.
+ * @returns {object} The decoded token payload.
+ * @throws {Error} If the token is invalid, expired, or if `JWT_SECRET` is missing.
+ */
+export function verifyChallenge(token) {
+  if (!JWT_SECRET) {
+    throw new Error('JWT_SECRET env var is missing');
+  }
+  return jwt.verify(token, challengeSecret());
+}
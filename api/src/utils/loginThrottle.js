@@ -0,0 +1,44 @@
+// src/utils/loginThrottle.js
+
+/**
+ * Consecutive failed logins after which an account is locked
+ * (env `LOGIN_MAX_FAILURES`).
+ * @type {number}
+ */
+export const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+
+/**
+ * How long a locked account stays locked, in minutes (env `LOGIN_LOCKOUT_MINUTES`).
+ * @type {number}
+ */
+export const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+/**
+ * Failed logins allowed from one IP address per window, across all accounts
+ * (env `LOGIN_IP_MAX_FAILURES`).
+ * @type {number}
+ */
+export const LOGIN_IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+
+/**
+ * Length of the per-IP window, in minutes (env `LOGIN_IP_WINDOW_MINUTES`).
+ * @type {number}
+ */
+export const LOGIN_IP_WINDOW_MINUTES = Number(process.env.LOGIN_IP_WINDOW_MINUTES) || 15;
+
+/**
+ * Wait imposed before the next attempt on an account, growing with each
+ * consecutive failure: none for the first two, then 1, 2, 4, 8… seconds,
+ * capped at 60.
+ *
+ * @function progressiveDelaySeconds
+ * @param {number} failures - Consecutive failed logins so far.
+ * @returns {number} Seconds to wait after the last failure.
+ *
+ * @example
+ * progressiveDelaySeconds(4); // 2
+ */
+export function progressiveDelaySeconds(failures) {
+  if (failures < 3) return 0;
+  return Math.min(2 ** (failures - 3), 60);
+}
@@ -0,0 +1,112 @@
+// src/utils/mailer.js
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+/**
+ * Sender address for outgoing mail (env `MAIL_FROM`).
+ * @type {string}
+ */
+export const MAIL_FROM = process.env.MAIL_FROM || 'SimAid <no-reply@simaid.local>';
+
+/**
+ * Build the nodemailer transport for a transport name.
+ *
+ * - `smtp`: real delivery through `SMTP_URL`, or `SMTP_HOST`/`SMTP_PORT`/
+ *   `SMTP_USER`/`SMTP_PASS` (`SMTP_SECURE=true` for implicit TLS).
+ * - `file`: renders each message as an `.eml` file in `MAIL_OUTBOX_DIR`.
+ * - `console`: logs each message (local development default).
+ *
+ * @param {'smtp'|'file'|'console'} name - Transport name.
+ * @returns {import('nodemailer').Transporter}
+ * @throws {Error} On an unknown transport name.
+ */
+function createTransport(name) {
+  switch (name) {
+    case 'smtp':
+      return nodemailer.createTransport(
+        process.env.SMTP_URL || {
+          host: process.env.SMTP_HOST,
+          port: Number(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined,
+        }
+      );
+    case 'file':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    case 'console':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected smtp, file or console)`);
+  }
+}
+
+/**
+ * Sends application email through a pluggable transport.
+ *
+ * The transport is picked with `MAIL_TRANSPORT` (`smtp`, `file` or
+ * `console`); services receive a `Mailer` and only call `send()`, so tests or
+ * other transports can be swapped in without touching them.
+ *
+ * @class Mailer
+ * @example
+ * const mailer = Mailer.fromEnv();
+ * await mailer.send({ to: "jane@example.com", subject: "Hi", text: "Hello" });
+ */
+export class Mailer {
+  /**
+   * @param {object} [options]
+   * @param {'smtp'|'file'|'console'} [options.transport='console'] - Transport name.
+   * @param {string} [options.from=MAIL_FROM] - Sender address.
+   * @param {string} [options.outboxDir='mail-outbox'] - Folder for the `file` transport.
+   */
+  constructor({ transport = 'console', from = MAIL_FROM, outboxDir = 'mail-outbox' } = {}) {
+    this.transportName = transport;
+    this.from = from;
+    this.outboxDir = path.resolve(outboxDir);
+    this.transporter = createTransport(transport);
+  }
+
+  /**
+   * Create a mailer configured from the environment.
+   * @static
+   * @returns {Mailer}
+   */
+  static fromEnv() {
+    return new Mailer({
+      transport: process.env.MAIL_TRANSPORT || 'console',
+      outboxDir: process.env.MAIL_OUTBOX_DIR || 'mail-outbox',
+    });
+  }
+
+  /**
+   * Send one email.
+   * @async
+   * @param {object} message
+   * @param {string} message.to - Recipient address.
+   * @param {string} message.subject - Subject line.
+   * @param {string} message.text - Plain-text body.
+   * @param {string} [message.html] - HTML body.
+   * @returns {Promise<{messageId: string, file?: string}>} Transport message ID (and the file for the `file` transport).
+   * @throws {Error} If the transport fails.
+   */
+  async send({ to, subject, text, html }) {
+    const info = await this.transporter.sendMail({ from: this.from, to, subject, text, html });
+
+    if (this.transportName === 'file') {
+      await fs.mkdir(this.outboxDir, { recursive: true });
+      const file = path.join(this.outboxDir, `${Date.now()}-${to.replace(/[^\w.@-]/g, '_')}.eml`);
+      await fs.writeFile(file, info.message);
+      console.log(`✉️  Mail to ${to} written to ${file}`);
+      return { messageId: info.messageId, file };
+    }
+
+    if (this.transportName === 'console') {
+      console.log(`✉️  Mail to ${to}: ${subject}\n${text}`);
+    }
+
+    return { messageId: info.messageId };
+  }
+}
@@ -0,0 +1,29 @@
+// src/utils/opaqueToken.js
+import crypto from 'crypto';
+
+/**
+ * SHA-256 of an opaque token. Only the hash is stored, so a leaked database
+ * does not hand out working tokens.
+ *
+ * @function hashOpaqueToken
+ * @param {string} token - The token given to the client.
+ * @returns {string} Hex digest (64 chars).
+ */
+export function hashOpaqueToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Create a new random, URL-safe opaque token.
+ *
+ * @function generateOpaqueToken
+ * @param {number} [bytes=32] - Random bytes before encoding.
+ * @returns {{token: string, hash: string}} The token to hand out and the hash to store.
+ *
+ * @example
+ * const { token, hash } = generateOpaqueToken();
+ */
+export function generateOpaqueToken(bytes = 32) {
+  const token = crypto.randomBytes(bytes).toString('base64url');
+  return { token, hash: hashOpaqueToken(token) };
+}
@@ -0,0 +1,261 @@
+import { answerKeys, forAnswer } from './scenarioGraph.js';
+
+/**
+ * Simulated casualty of a scenario.
+ *
+ * A scenario may carry a `patient`: the casualty's vitals when the scenario
+ * starts, how they drift while the learner decides, and how much the final
+ * state counts towards the score:
+ * - `initial`         every vital sign (see {@link VITALS}).
+ * - `trend`           change per minute of the numeric signs, e.g. `{ "spo2": -2 }`.
+ * - `outcome_weight`  0–100, the share of the score that comes from the
+ *                     patient's final status rather than from correct answers.
+ *
+ * Steps change the vitals through `effects`, keyed like `transitions` (see
+ * `utils/scenarioGraph.js`): numeric signs move by the given amount, the
+ * others are set to the given level.
+ *
+ * @example
+ * // "Apply direct pressure to the wound?" — effects
+ * { "A": { "bleeding": "controlled", "pulse": -15 }, "incorrect": { "spo2": -3 } }
+ *
+ * @type {Readonly<Record<string, {levels?: string[], min?: number, max?: number}>>}
+ */
+export const VITALS = Object.freeze({
+  // AVPU scale, best first
+  consciousness: { levels: ['alert', 'voice', 'pain', 'unresponsive'] },
+  breathing: { min: 0, max: 60 }, // breaths per minute
+  pulse: { min: 0, max: 250 }, // beats per minute
+  bleeding: { levels: ['none', 'controlled', 'moderate', 'severe'] },
+  spo2: { min: 0, max: 100 }, // %
+});
+
+/** Status of the patient, best first, with its score out of 100. */
+export const PATIENT_STATUSES = Object.freeze({
+  stable: 100,
+  serious: 60,
+  critical: 20,
+  arrest: 0,
+});
+
+/** Longest time one step can take in the simulation, so a stalled client cannot run the clock. */
+export const MAX_STEP_MS = 2 * 60 * 1000;
+
+const isNumeric = (name) => !VITALS[name].levels;
+const isObject = (value) => value != null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check a set of vital signs: every sign present, in range or one of its levels.
+ *
+ * @function validateVitals
+ * @param {any} vitals
+ * @returns {string|null} A description of the problem, or null if valid.
+ */
+export function validateVitals(vitals) {
+  if (!isObject(vitals)) return 'vitals must be an object';
+
+  for (const [name, spec] of Object.entries(VITALS)) {
+    const value = vitals[name];
+    if (spec.levels) {
+      if (!spec.levels.includes(value)) return `${name} must be one of: ${spec.levels.join(', ')}`;
+    } else if (!Number.isFinite(value) || value < spec.min || value > spec.max) {
+      return `${name} must be a number from ${spec.min} to ${spec.max}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a scenario's patient model.
+ *
+ * @function validatePatient
+ * @param {any} patient
+ * @returns {string|null} A description of the problem, or null if valid (or absent).
+ */
+export function validatePatient(patient) {
+  if (patient == null) return null;
+  if (!isObject(patient)) return 'patient must be an object';
+
+  const problem = validateVitals(patient.initial);
+  if (problem) return `patient.initial: ${problem}`;
+
+  if (patient.trend != null) {
+    if (!isObject(patient.trend)) return 'patient.trend must be an object';
+    for (const [name, change] of Object.entries(patient.trend)) {
+      if (!VITALS[name] || !isNumeric(name)) return 'patient.trend only applies to breathing, pulse and spo2';
+      if (!Number.isFinite(change)) return `patient.trend.${name} must be a number`;
+    }
+  }
+
+  const weight = patient.outcome_weight;
+  if (weight != null && (!Number.isInteger(weight) || weight < 0 || weight > 100)) {
+    return 'patient.outcome_weight must be an integer from 0 to 100';
+  }
+  return null;
+}
+
+/**
+ * Check a step's effects on the patient: keyed like its transitions, each a
+ * change to some vital signs.
+ *
+ * @function validateEffects
+ * @param {{step_type: string, options?: object|null, effects?: any}} step
+ * @returns {string|null} A description of the problem, or null if valid (or absent).
+ */
+export function validateEffects({ step_type, options = null, effects = null }) {
+  if (effects == null) return null;
+  if (!isObject(effects)) return 'effects must be an object';
+
+  const allowed = answerKeys({ step_type, options });
+  for (const [key, effect] of Object.entries(effects)) {
+    if (!allowed.includes(key)) return `effects keys must be among: ${allowed.join(', ')}`;
+    if (!isObject(effect)) return `effects.${key} must be an object`;
+
+    for (const [name, value] of Object.entries(effect)) {
+      const spec = VITALS[name];
+      if (!spec) return `effects.${key} may only change: ${Object.keys(VITALS).join(', ')}`;
+      if (spec.levels ? !spec.levels.includes(value) : !Number.isFinite(value)) {
+        return spec.levels
+          ? `effects.${key}.${name} must be one of: ${spec.levels.join(', ')}`
+          : `effects.${key}.${name} must be a number (the change)`;
+      }
+    }
+  }
+  return null;
+}
+
+/** Keep a numeric sign in range, to one decimal. */
+const clamp = (name, value) =>
+  Math.round(Math.min(VITALS[name].max, Math.max(VITALS[name].min, value)) * 10) / 10;
+
+/**
+ * Let time pass: move the numeric signs by the trend for the elapsed time
+ * (capped at {@link MAX_STEP_MS}).
+ *
+ * @function advanceVitals
+ * @param {object} vitals
+ * @param {Record<string, number>|null} trend - Change per minute.
+ * @param {number} elapsedMs
+ * @returns {object} The new vitals.
+ */
+export function advanceVitals(vitals, trend, elapsedMs) {
+  const minutes = Math.min(Math.max(Number(elapsedMs) || 0, 0), MAX_STEP_MS) / 60000;
+  const next = { ...vitals };
+  for (const [name, change] of Object.entries(trend ?? {})) {
+    next[name] = clamp(name, next[name] + change * minutes);
+  }
+  return next;
+}
+
+/**
+ * Apply the effect of an action: numeric signs move by the given amount, the
+ * others take the given level.
+ *
+ * @function applyEffect
+ * @param {object} vitals
+ * @param {Record<string, number|string>|null} effect
+ * @returns {object} The new vitals.
+ */
+export function applyEffect(vitals, effect) {
+  const next = { ...vitals };
+  for (const [name, value] of Object.entries(effect ?? {})) {
+    next[name] = isNumeric(name) ? clamp(name, next[name] + value) : value;
+  }
+  return next;
+}
+
+/**
+ * Classify the patient's state (see {@link PATIENT_STATUSES}):
+ * - `arrest`    no pulse or no breathing.
+ * - `critical`  unresponsive, severe bleeding, SpO2 under 85%, pulse under 40
+ *               or over 140, or breathing under 8 or over 30.
+ * - `serious`   not alert, moderate bleeding, SpO2 under 94%, pulse under 50
+ *               or over 120, or breathing under 10 or over 24.
+ * - `stable`    otherwise.
+ *
+ * @function patientStatus
+ * @param {object} vitals
+ * @returns {string}
+ */
+export function patientStatus({ consciousness, breathing, pulse, bleeding, spo2 }) {
+  if (pulse < 1 || breathing < 1) return 'arrest';
+  if (
+    consciousness === 'unresponsive' ||
+    bleeding === 'severe' ||
+    spo2 < 85 ||
+    pulse < 40 ||
+    pulse > 140 ||
+    breathing < 8 ||
+    breathing > 30
+  ) {
+    return 'critical';
+  }
+  if (
+    consciousness !== 'alert' ||
+    bleeding === 'moderate' ||
+    spo2 < 94 ||
+    pulse < 50 ||
+    pulse > 120 ||
+    breathing < 10 ||
+    breathing > 24
+  ) {
+    return 'serious';
+  }
+  return 'stable';
+}
+
+/**
+ * The vitals after one step: time passes while the learner decides, then
+ * the chosen action takes effect.
+ *
+ * @function stepVitals
+ * @param {{trend?: object|null}} patient - The scenario's patient model.
+ * @param {object} vitals - The vitals when the step was shown.
+ * @param {{step_type: string, correct_action: any, effects?: object|null}} step
+ * @param {any} answer - The learner's answer (null when timed out).
+ * @param {number} elapsedMs - Time taken to answer.
+ * @returns {object} The new vitals.
+ */
+export function stepVitals(patient, vitals, step, answer, elapsedMs) {
+  const advanced = advanceVitals(vitals, patient.trend, elapsedMs);
+  return applyEffect(advanced, forAnswer(step.effects, step, answer));
+}
+
+/**
+ * Play the patient through a path of answered steps.
+ *
+ * @function simulatePatient
+ * @param {{initial: object, trend?: object|null}} patient - The scenario's patient model.
+ * @param {Array<{step: object, answer: any}>} path - The steps played, in order (see `walkPath`).
+ * @param {(step: object) => number} elapsedMsFor - Time taken on a step.
+ * @returns {{vitals: object, status: string}} The final vitals and status.
+ *
+ * @example
+ * const { status } = simulatePatient(scenario.patient, path, () => 20000);
+ */
+export function simulatePatient(patient, path, elapsedMsFor) {
+  const vitals = path.reduce(
+    (current, { step, answer }) => stepVitals(patient, current, step, answer, elapsedMsFor(step)),
+    { ...patient.initial }
+  );
+  return { vitals, status: patientStatus(vitals) };
+}
+
+/**
+ * Blend the answer score with the patient's final status by the scenario's
+ * `outcome_weight` (no patient, or weight 0, keeps the answer score).
+ *
+ * @function blendScore
+ * @param {number} answerScore - Percentage of correct answers.
+ * @param {string|null} status - The patient's final status.
+ * @param {number} [outcomeWeight=0] - 0–100.
+ * @returns {number} Score out of 100.
+ *
+ * @example
+ * blendScore(100, 'critical', 50); // 60
+ */
+export function blendScore(answerScore, status, outcomeWeight = 0) {
+  if (!status || !outcomeWeight) return answerScore;
+  const weight = outcomeWeight / 100;
+  return Math.round(answerScore * (1 - weight) + PATIENT_STATUSES[status] * weight);
+}
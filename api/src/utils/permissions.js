@@ -0,0 +1,80 @@
+// src/utils/permissions.js
+
+/**
+ * Every permission a route can require, with what it allows.
+ * @type {Record<string, string>}
+ */
+export const PERMISSIONS = {
+  'content:read': 'See scenario answers and play any level without unlocking it',
+  'content:write': 'Create and edit levels, scenarios, steps and badges',
+  'content:delete': 'Delete levels, scenarios, steps and badges',
+  'users:read': 'List users and view their accounts',
+  'users:write': 'Create users and change their details or role',
+  'users:delete': 'Delete users',
+  'reports:read': "View other users' attempts, certificates and expiry reminders",
+  'badges:award': 'Award badges to users by hand and take them back',
+  'attempts:manage': 'Correct or delete recorded attempts, step answers and level progress',
+  'assignments:write': 'Assign scenarios to trainees',
+  'certificates:revoke': 'Revoke issued certificates',
+  'reminders:run': 'Run the expiry reminder job on demand',
+  'security:manage': 'Revoke sessions, unlock accounts, reset 2FA and read the login audit trail',
+  'organizations:manage': 'Create organizations and move users between them',
+};
+
+/**
+ * Roles a user can have, from least to most privileged.
+ * @type {string[]}
+ */
+export const ROLES = ['user', 'instructor', 'org_admin', 'admin'];
+
+/**
+ * Permissions granted to each role. Plain users need none: everything they
+ * do concerns their own data and is checked by ownership. Organization
+ * admins manage their organization's members; what they can reach is
+ * confined to that organization (see `utils/tenancy.js`).
+ * @type {Record<string, string[]>}
+ */
+export const ROLE_PERMISSIONS = {
+  user: [],
+  instructor: ['content:read', 'users:read', 'reports:read', 'badges:award', 'assignments:write'],
+  org_admin: [
+    'content:read',
+    'users:read',
+    'users:write',
+    'users:delete',
+    'reports:read',
+    'badges:award',
+    'assignments:write',
+  ],
+  admin: Object.keys(PERMISSIONS),
+};
+
+/**
+ * Permissions of a role (none for unknown roles).
+ *
+ * @function permissionsFor
+ * @param {string} role - The user's role.
+ * @returns {string[]}
+ *
+ * @example
+ * permissionsFor("instructor"); // ["content:read", "users:read", ...]
+ */
+export function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] ?? [];
+}
+
+/**
+ * Whether a user holds every one of the given permissions.
+ *
+ * @function hasPermission
+ * @param {{role?: string}|null|undefined} user - `req.user` or a user record.
+ * @param {...string} permissions - Required permissions.
+ * @returns {boolean}
+ *
+ * @example
+ * if (hasPermission(req.user, "reports:read")) { ... }
+ */
+export function hasPermission(user, ...permissions) {
+  const granted = permissionsFor(user?.role);
+  return permissions.every((permission) => granted.includes(permission));
+}
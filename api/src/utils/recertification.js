@@ -0,0 +1,55 @@
+// src/utils/recertification.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How long a completed level stays valid, in days (env `LEVEL_VALID_DAYS`).
+ * @type {number}
+ */
+export const LEVEL_VALID_DAYS = Number(process.env.LEVEL_VALID_DAYS) || 730;
+
+/**
+ * How many days before expiry the refresher opens and reminders go out
+ * (env `RECERTIFICATION_WINDOW_DAYS`).
+ * @type {number}
+ */
+export const RENEWAL_WINDOW_DAYS = Number(process.env.RECERTIFICATION_WINDOW_DAYS) || 60;
+
+/**
+ * Minimum score on each refresher scenario for the refresher to count.
+ * @type {number}
+ */
+export const REFRESHER_PASS_SCORE = 80;
+
+/**
+ * Add whole days to a date.
+ * @param {Date|string} value - Start date.
+ * @param {number} days - Days to add (may be negative).
+ * @returns {Date}
+ */
+export const addDays = (value, days) => new Date(new Date(value).getTime() + days * DAY_MS);
+
+/**
+ * When the renewal window for an expiry date opens.
+ * @param {Date|string} expires_at - The expiry date.
+ * @returns {Date}
+ */
+export const renewalOpensAt = (expires_at) => addDays(expires_at, -RENEWAL_WINDOW_DAYS);
+
+/**
+ * Where a dated qualification stands.
+ *
+ * @function validityStatus
+ * @param {Date|string|null} expires_at - The expiry date (null if it never expires).
+ * @param {Date} [now=new Date()] - Reference time.
+ * @returns {'current'|'expiring'|'expired'} `expiring` once the renewal window is open.
+ *
+ * @example
+ * validityStatus("2026-03-01", new Date("2026-02-10")); // "expiring"
+ */
+export function validityStatus(expires_at, now = new Date()) {
+  if (expires_at == null) return 'current';
+  if (new Date(expires_at) <= now) return 'expired';
+  if (renewalOpensAt(expires_at) <= now) return 'expiring';
+  return 'current';
+}
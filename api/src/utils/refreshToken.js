@@ -0,0 +1,71 @@
+// src/utils/refreshToken.js
+import crypto from 'crypto';
+import { generateOpaqueToken, hashOpaqueToken } from './opaqueToken.js';
+
+/**
+ * How long a session (and each refresh token in it) stays usable without
+ * logging in again, in days (env `REFRESH_TOKEN_TTL_DAYS`).
+ * @type {number}
+ */
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * How long a used refresh token may still be presented, in seconds (env
+ * `REFRESH_TOKEN_REUSE_GRACE_SECONDS`). Tabs of the same browser share the
+ * stored token and can refresh with it at the same time; within this window
+ * the later refresh gets the successor token already issued instead of
+ * revoking the session as a reuse. 0 disables the window.
+ * @type {number}
+ */
+export const REFRESH_TOKEN_REUSE_GRACE_SECONDS = Number(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS ?? 10) || 0;
+
+/**
+ * SHA-256 of a refresh token; only the hash is stored.
+ *
+ * @function hashRefreshToken
+ * @param {string} token - The opaque refresh token.
+ * @returns {string} Hex digest (64 chars).
+ */
+export function hashRefreshToken(token) {
+  return hashOpaqueToken(token);
+}
+
+/**
+ * Create a new opaque refresh token.
+ *
+ * @function generateRefreshToken
+ * @returns {{token: string, hash: string}} The token to hand to the client and the hash to store.
+ *
+ * @example
+ * const { token, hash } = generateRefreshToken();
+ * await refreshTokenRepo.create({ session_id, token_hash: hash, expires_at });
+ * res.json({ refreshToken: token });
+ */
+export function generateRefreshToken() {
+  return generateOpaqueToken(48);
+}
+
+/**
+ * The refresh token that replaces `token` when it is exchanged. Derived with
+ * an HMAC keyed by the server secret, so the successor can be handed out again
+ * during the reuse grace window without its plain value ever being stored, yet
+ * cannot be worked out from the token alone.
+ *
+ * @function successorRefreshToken
+ * @param {string} token - The refresh token being exchanged.
+ * @returns {{token: string, hash: string}} The successor token and the hash to store.
+ * @throws {Error} If `JWT_SECRET` is missing.
+ *
+ * @example
+ * const { token, hash } = successorRefreshToken(req.body.refreshToken);
+ */
+export function successorRefreshToken(token) {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET env var is missing');
+  }
+  const successor = crypto
+    .createHmac('sha256', `${process.env.JWT_SECRET}:refresh-rotation`)
+    .update(String(token))
+    .digest('base64url');
+  return { token: successor, hash: hashRefreshToken(successor) };
+}
@@ -0,0 +1,152 @@
+import { formatAnswer, isCorrectAnswer } from './stepTypes.js';
+
+/**
+ * Branching between the steps of a scenario.
+ *
+ * A step may declare `transitions`: where the scenario goes after it,
+ * depending on the answer. Keys are, in order of precedence:
+ * - an option key (`single_choice`) or `TRUE` / `FALSE` (`true_false`),
+ * - `correct` / `incorrect` (any step type; a timed-out step is incorrect).
+ * Values are the `step_id` of a later step (higher `step_order`) of the same
+ * scenario, or `{ outcome }` to end the scenario there with that message.
+ * Answers without a matching transition go on to the next step by
+ * `step_order`; the scenario ends after the last one. Transitions only lead
+ * forward, so every path ends.
+ *
+ * Learners are graded on the steps of the path they actually took.
+ *
+ * @example
+ * // "Move the casualty?" — moving them leads to the deterioration step
+ * { "A": 14, "B": 12, "incorrect": { "outcome": "The casualty's condition worsened." } }
+ */
+
+/** Transition keys every step type accepts. */
+export const RESULT_KEYS = ['correct', 'incorrect'];
+
+/** Longest accepted outcome message. */
+export const OUTCOME_MAX_LENGTH = 500;
+
+/**
+ * Keys a step can map answers by (in `transitions`, and in `effects`, see
+ * `utils/patientModel.js`): its option keys (`single_choice`) or `TRUE` /
+ * `FALSE` (`true_false`), then {@link RESULT_KEYS}.
+ *
+ * @function answerKeys
+ * @param {{step_type: string, options?: object|null}} step
+ * @returns {string[]}
+ */
+export function answerKeys({ step_type, options = null }) {
+  if (step_type === 'single_choice') return [...Object.keys(options ?? {}), ...RESULT_KEYS];
+  if (step_type === 'true_false') return ['TRUE', 'FALSE', ...RESULT_KEYS];
+  return [...RESULT_KEYS];
+}
+
+/**
+ * The entry of an answer-keyed map (see {@link answerKeys}) an answer selects:
+ * the answer's own key, else `correct` / `incorrect`.
+ *
+ * @function forAnswer
+ * @param {Record<string, any>|null} byAnswer - e.g. a step's `transitions`.
+ * @param {object} step - The answered step.
+ * @param {any} answer - The learner's answer (null when timed out).
+ * @returns {any} The entry, or undefined when none applies.
+ */
+export function forAnswer(byAnswer, step, answer) {
+  if (!byAnswer) return undefined;
+  const resultKey = isCorrectAnswer(step, answer) ? 'correct' : 'incorrect';
+  return byAnswer[formatAnswer(step.step_type, answer)] ?? byAnswer[resultKey];
+}
+
+/**
+ * Check a step's transitions (shape only; targets are checked against the
+ * scenario's steps when the step is saved).
+ *
+ * @function validateTransitions
+ * @param {{step_type: string, options?: object|null, transitions?: any}} step
+ * @returns {string|null} A description of the problem, or null if valid.
+ *
+ * @example
+ * validateTransitions({ step_type: 'true_false', transitions: { FALSE: { outcome: 'Airway blocked.' } } }); // null
+ */
+export function validateTransitions({ step_type, options = null, transitions = null }) {
+  if (transitions == null) return null;
+  if (typeof transitions !== 'object' || Array.isArray(transitions)) return 'transitions must be an object';
+
+  const allowed = answerKeys({ step_type, options });
+
+  for (const [key, target] of Object.entries(transitions)) {
+    if (!allowed.includes(key)) return `transitions keys must be among: ${allowed.join(', ')}`;
+
+    if (target && typeof target === 'object' && !Array.isArray(target)) {
+      const { outcome } = target;
+      if (typeof outcome !== 'string' || !outcome.trim() || outcome.length > OUTCOME_MAX_LENGTH) {
+        return `transitions.${key}.outcome must be a non-empty string of at most ${OUTCOME_MAX_LENGTH} characters`;
+      }
+    } else if (!Number.isInteger(target) || target <= 0) {
+      return `transitions.${key} must be a step_id or { outcome }`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Step IDs a step's transitions lead to.
+ * @function transitionTargets
+ * @param {object|null} transitions
+ * @returns {number[]}
+ */
+export function transitionTargets(transitions) {
+  return Object.values(transitions ?? {}).filter((target) => Number.isInteger(target));
+}
+
+/**
+ * Where the scenario goes after a step, given the learner's answer.
+ * Targets that are missing or not later in the scenario fall back to the
+ * next step by order.
+ *
+ * @function nextStep
+ * @param {object[]} steps - Every step of the scenario, sorted by `step_order`.
+ * @param {object} step - The answered step (one of `steps`).
+ * @param {any} answer - The learner's answer (null when timed out).
+ * @returns {{step_id: number|null, outcome: string|null}} The next step, or `step_id: null` when the scenario ends.
+ */
+export function nextStep(steps, step, answer) {
+  const target = forAnswer(step.transitions, step, answer);
+
+  if (target && typeof target === 'object') return { step_id: null, outcome: target.outcome };
+
+  const later = steps.filter((s) => Number(s.step_order) > Number(step.step_order));
+  const jump = target != null && later.find((s) => Number(s.step_id) === Number(target));
+  const next = jump || later[0];
+  return { step_id: next ? next.step_id : null, outcome: null };
+}
+
+/**
+ * Follow a play-through: start at the first step and, for each answer in
+ * turn, take the transition it selects. Steps reached after the answers run
+ * out count as unanswered; answers left over once the scenario ends are ignored.
+ *
+ * @function walkPath
+ * @param {object[]} steps - Every step of the scenario (any order).
+ * @param {any[]} answers - The learner's answers, in the order the steps were played.
+ * @returns {{path: Array<{step: object, answer: any}>, outcome: string|null}}
+ *
+ * @example
+ * const { path, outcome } = walkPath(steps, ["B", true, 110]);
+ */
+export function walkPath(steps, answers) {
+  const sorted = [...steps].sort((a, b) => Number(a.step_order) - Number(b.step_order));
+  const byId = new Map(sorted.map((s) => [Number(s.step_id), s]));
+
+  const path = [];
+  let step = sorted[0];
+  let outcome = null;
+  while (step) {
+    const answer = answers[path.length] ?? null;
+    path.push({ step, answer });
+    const next = nextStep(sorted, step, answer);
+    outcome = next.outcome;
+    step = next.step_id == null ? null : byId.get(Number(next.step_id));
+  }
+  return { path, outcome };
+}
@@ -0,0 +1,357 @@
+/**
+ * Supported scenario step types.
+ *
+ * A step's `step_type` selects how it is asked and graded, and the shape of
+ * its `options` and `correct_action`:
+ * - `single_choice`  options `{ A, B, ... }` — correct_action one key, e.g. `"B"`.
+ * - `true_false`     no options — correct_action `true` or `false`.
+ * - `multi_select`   options `{ A, B, ... }` — correct_action every key to select
+ *                    ("select all that apply"), e.g. `["A", "C"]`.
+ * - `ordering`       options `{ A, B, ... }` are the items — correct_action every
+ *                    key once, in the right order, e.g. `["C", "A", "B"]`; never in key
+ *                    order (`["A", "B", "C"]`), which learners could read off the keys.
+ * - `numeric`        no options, optional `unit` (e.g. "cm") — correct_action the
+ *                    accepted range `{ min, max }` (inclusive; `min = max` for an exact value).
+ * - `hotspot`        no options, an `image_url` and its `image_alt` description —
+ *                    correct_action the regions to tap,
+ *                    polygons of `[x, y]` points, e.g. `[[[0.4, 0.3], [0.6, 0.3], [0.5, 0.5]]]`.
+ *                    Coordinates are fractions of the image's width and height (0–1).
+ *
+ * Options are keyed `A`, `B`, ... without gaps, 2 to {@link OPTION_KEYS}.length of them.
+ * A learner's answer takes the same shape as `correct_action` (a hotspot answer
+ * is the point tapped, `{ x, y }`), or its text form ("B", "TRUE", "A,C",
+ * "C,A,B", "110", "0.512,0.334"), which is what `step_attempts` stores.
+ *
+ * @type {Readonly<Record<string, {options: boolean}>>}
+ */
+export const STEP_TYPES = Object.freeze({
+  single_choice: { options: true },
+  true_false: { options: false },
+  multi_select: { options: true },
+  ordering: { options: true },
+  numeric: { options: false },
+  hotspot: { options: false },
+});
+
+/** Option keys, in order. @type {string[]} */
+export const OPTION_KEYS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+/** Longest accepted `unit` of a numeric step. */
+export const UNIT_MAX_LENGTH = 30;
+
+/** Longest accepted `image_url` of a step. */
+export const IMAGE_URL_MAX_LENGTH = 255;
+
+/** Longest accepted `image_alt` (text alternative of the image) of a step. */
+export const IMAGE_ALT_MAX_LENGTH = 255;
+
+/** Most regions, and points per region, of a hotspot step. */
+export const HOTSPOT_LIMITS = Object.freeze({ regions: 10, points: 50 });
+
+/** Whether a value is a fraction of the image size (0–1). */
+const isFraction = (value) => Number.isFinite(value) && value >= 0 && value <= 1;
+
+/**
+ * Check a step's options.
+ * @param {any} options
+ * @returns {string|null} A description of the problem, or null if valid.
+ */
+function validateOptions(options) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return 'options must be an object';
+  }
+
+  const keys = Object.keys(options);
+  if (keys.length < 2 || keys.length > OPTION_KEYS.length) {
+    return `options must have 2 to ${OPTION_KEYS.length} entries`;
+  }
+  const expected = OPTION_KEYS.slice(0, keys.length);
+  if (!expected.every((key) => keys.includes(key))) {
+    return `options must be keyed ${expected.join(', ')}`;
+  }
+
+  const empty = expected.find((key) => typeof options[key] !== 'string' || !options[key].trim());
+  return empty ? `options.${empty} must be a non-empty string` : null;
+}
+
+/**
+ * Check a hotspot step's regions.
+ * @param {any} regions
+ * @returns {string|null} A description of the problem, or null if valid.
+ */
+function validateRegions(regions) {
+  const { regions: maxRegions, points: maxPoints } = HOTSPOT_LIMITS;
+  if (!Array.isArray(regions) || regions.length < 1 || regions.length > maxRegions) {
+    return `correct_action must be a list of 1 to ${maxRegions} regions`;
+  }
+
+  const valid = regions.every(
+    (polygon) =>
+      Array.isArray(polygon) &&
+      polygon.length >= 3 &&
+      polygon.length <= maxPoints &&
+      polygon.every((point) => Array.isArray(point) && point.length === 2 && point.every(isFraction))
+  );
+  return valid
+    ? null
+    : `each region must be a polygon of 3 to ${maxPoints} [x, y] points, with x and y from 0 to 1`;
+}
+
+/**
+ * Whether a point lies inside a polygon (ray casting; points on an edge may
+ * fall either side).
+ * @param {{x: number, y: number}} point
+ * @param {Array<[number, number]>} polygon
+ * @returns {boolean}
+ */
+function insidePolygon({ x, y }, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Check a step's type, options, correct action and unit against {@link STEP_TYPES}.
+ *
+ * @function validateStep
+ * @param {{step_type: string, options?: object|null, correct_action: any, unit?: string|null, image_url?: string|null, image_alt?: string|null}} step
+ * @returns {string|null} A description of the problem, or null if the step is valid.
+ *
+ * @example
+ * validateStep({ step_type: 'numeric', correct_action: { min: 100, max: 120 }, unit: 'per minute' }); // null
+ * validateStep({ step_type: 'ordering', options: { A: 'x', B: 'y' }, correct_action: ['A'] });
+ * // "correct_action must list every key (A, B) once, in order"
+ */
+export function validateStep({
+  step_type,
+  options = null,
+  correct_action,
+  unit = null,
+  image_url = null,
+  image_alt = null,
+}) {
+  const type = STEP_TYPES[step_type];
+  if (!type) return `step_type must be one of: ${Object.keys(STEP_TYPES).join(', ')}`;
+
+  if (type.options) {
+    const problem = validateOptions(options);
+    if (problem) return problem;
+  } else if (options != null) {
+    return `${step_type} steps take no options`;
+  }
+
+  if (unit != null) {
+    if (step_type !== 'numeric') return 'unit only applies to numeric steps';
+    if (typeof unit !== 'string' || unit.length > UNIT_MAX_LENGTH) {
+      return `unit must be a string of at most ${UNIT_MAX_LENGTH} characters`;
+    }
+  }
+
+  if (image_url != null && (typeof image_url !== 'string' || image_url.length > IMAGE_URL_MAX_LENGTH)) {
+    return `image_url must be a string of at most ${IMAGE_URL_MAX_LENGTH} characters`;
+  }
+
+  if (image_alt != null) {
+    if (image_url == null) return 'image_alt describes the image: set image_url too';
+    if (typeof image_alt !== 'string' || !image_alt.trim() || image_alt.length > IMAGE_ALT_MAX_LENGTH) {
+      return `image_alt must be a non-empty string of at most ${IMAGE_ALT_MAX_LENGTH} characters`;
+    }
+  }
+
+  const keys = type.options ? Object.keys(options) : [];
+  const distinctKeys = (value) =>
+    Array.isArray(value) && new Set(value).size === value.length && value.every((key) => keys.includes(key));
+
+  switch (step_type) {
+    case 'single_choice':
+      return keys.includes(correct_action) ? null : `correct_action must be one of ${keys.join(', ')}`;
+    case 'true_false':
+      return typeof correct_action === 'boolean' ? null : 'correct_action must be true or false';
+    case 'multi_select':
+      return distinctKeys(correct_action) && correct_action.length > 0
+        ? null
+        : `correct_action must list the keys to select, among ${keys.join(', ')}`;
+    case 'ordering': {
+      if (!distinctKeys(correct_action) || correct_action.length !== keys.length) {
+        return `correct_action must list every key (${keys.join(', ')}) once, in order`;
+      }
+      // The player view shuffles the items but keeps their keys: sorting by key must not solve the step
+      const inKeyOrder = [...keys].sort().every((key, i) => key === correct_action[i]);
+      return inKeyOrder ? 'correct_action must not be in key order (A, B, ...): key the items out of order' : null;
+    }
+    case 'hotspot':
+      if (!image_url) return 'hotspot steps need an image_url';
+      // The image is the question: screen reader users need it described
+      return image_alt ? validateRegions(correct_action) : 'hotspot steps need an image_alt describing the image';
+    default: {
+      const { min, max } = correct_action ?? {};
+      return Number.isFinite(min) && Number.isFinite(max) && min <= max
+        ? null
+        : 'correct_action must be { min, max } numbers with min <= max';
+    }
+  }
+}
+
+/**
+ * Bring a learner's answer into the shape of the step type's `correct_action`
+ * (keys upper-cased; multi-select keys sorted; a hotspot answer is the `{ x, y }` point).
+ *
+ * @function normalizeAnswer
+ * @param {string} step_type - One of {@link STEP_TYPES}.
+ * @param {any} answer - The answer, or its text form.
+ * @returns {string|boolean|number|string[]|{x: number, y: number}|null} The answer, or null when missing or malformed.
+ *
+ * @example
+ * normalizeAnswer('multi_select', 'c,a'); // ["A", "C"]
+ * normalizeAnswer('numeric', '110');      // 110
+ */
+export function normalizeAnswer(step_type, answer) {
+  if (answer == null || answer === '') return null;
+
+  switch (step_type) {
+    case 'single_choice':
+      return typeof answer === 'string' ? answer.trim().toUpperCase() : null;
+    case 'true_false':
+      if (typeof answer === 'boolean') return answer;
+      if (typeof answer === 'string' && /^(true|false)$/i.test(answer.trim())) {
+        return answer.trim().toLowerCase() === 'true';
+      }
+      return null;
+    case 'multi_select':
+    case 'ordering': {
+      const keys = typeof answer === 'string' ? answer.split(',') : answer;
+      if (!Array.isArray(keys) || !keys.every((key) => typeof key === 'string')) return null;
+      const upper = keys.map((key) => key.trim().toUpperCase()).filter(Boolean);
+      if (!upper.length) return null;
+      return step_type === 'multi_select' ? [...new Set(upper)].sort() : upper;
+    }
+    case 'numeric': {
+      const value = typeof answer === 'string' && answer.trim() ? Number(answer) : answer;
+      return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+    case 'hotspot': {
+      const point = typeof answer === 'string' ? answer.split(',') : [answer.x, answer.y];
+      const [x, y] = point.map((value) => (typeof value === 'string' && value.trim() ? Number(value) : value));
+      return point.length === 2 && isFraction(x) && isFraction(y) ? { x, y } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Grade a learner's answer to a step. Missing or malformed answers are wrong.
+ *
+ * @function isCorrectAnswer
+ * @param {{step_type?: string, correct_action: any}} step - The step (`single_choice` when untyped).
+ * @param {any} answer - The answer, or its text form.
+ * @returns {boolean}
+ *
+ * @example
+ * isCorrectAnswer({ step_type: 'numeric', correct_action: { min: 5, max: 6 } }, 5.5); // true
+ */
+export function isCorrectAnswer(step, answer) {
+  const step_type = step.step_type ?? 'single_choice';
+  const picked = normalizeAnswer(step_type, answer);
+  const correct = step.correct_action;
+  if (picked == null || correct == null) return false;
+
+  switch (step_type) {
+    case 'single_choice':
+      return picked === String(correct).toUpperCase();
+    case 'multi_select': {
+      const expected = [...correct].sort();
+      return picked.length === expected.length && picked.every((key, i) => key === expected[i]);
+    }
+    case 'ordering':
+      return picked.length === correct.length && picked.every((key, i) => key === correct[i]);
+    case 'numeric':
+      return picked >= correct.min && picked <= correct.max;
+    case 'hotspot':
+      return correct.some((polygon) => insidePolygon(picked, polygon));
+    default:
+      return picked === correct;
+  }
+}
+
+/**
+ * Text form of an answer or correct action, as stored in `step_attempts`
+ * ("B", "TRUE", "A,C", "C,A,B", "110", "0.512,0.334"; a numeric range reads
+ * "100-120" and hotspot regions their JSON).
+ *
+ * @function formatAnswer
+ * @param {string} step_type - One of {@link STEP_TYPES}.
+ * @param {any} answer - An answer, or the step's `correct_action`.
+ * @returns {string|null} The text, or null when missing or malformed.
+ */
+export function formatAnswer(step_type, answer) {
+  if (step_type === 'numeric' && answer && typeof answer === 'object' && !Array.isArray(answer)) {
+    return answer.min === answer.max ? String(answer.min) : `${answer.min}-${answer.max}`;
+  }
+  if (step_type === 'hotspot' && Array.isArray(answer)) return JSON.stringify(answer);
+
+  const value = normalizeAnswer(step_type, answer);
+  if (value == null) return null;
+  if (Array.isArray(value)) return value.join(',');
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (step_type === 'hotspot') return `${+value.x.toFixed(3)},${+value.y.toFixed(3)}`;
+  return String(value);
+}
+
+/**
+ * The options of an ordering step in random order, so the order they are
+ * shown in does not give the answer away. The keys are kept, which is why
+ * {@link validateStep} refuses an ordering whose answer is in key order.
+ *
+ * @function shuffleOptions
+ * @param {Record<string, string>} options
+ * @returns {Record<string, string>} The same options, re-ordered.
+ */
+export function shuffleOptions(options) {
+  const entries = Object.entries(options);
+  for (let i = entries.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [entries[i], entries[j]] = [entries[j], entries[i]];
+  }
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Read a step's content from a create/update request body. Bodies without
+ * `options` may still send a single-choice step's options as the legacy
+ * `option_a`–`option_d` fields.
+ *
+ * @function stepFromBody
+ * @param {object} body - `req.body`.
+ * @returns {{step_type: string, options: object|null, correct_action: any, unit: string|null, image_url: string|null, image_alt: string|null, transitions: object|null, effects: object|null}}
+ */
+export function stepFromBody({
+  step_type = 'single_choice',
+  options,
+  option_a,
+  option_b,
+  option_c,
+  option_d,
+  correct_action,
+  unit = null,
+  image_url = null,
+  image_alt = null,
+  transitions = null,
+  effects = null,
+}) {
+  const legacy = options === undefined && step_type === 'single_choice';
+  return {
+    step_type,
+    options: legacy ? { A: option_a, B: option_b, C: option_c, D: option_d } : options ?? null,
+    correct_action,
+    unit,
+    image_url,
+    image_alt,
+    transitions,
+    effects,
+  };
+}
@@ -0,0 +1,73 @@
+// src/utils/tenancy.js
+import { hasPermission } from './permissions.js';
+import { twoFactorRequiredFor } from './twoFactor.js';
+
+/**
+ * Roles that belong to an organization: users with these roles may be
+ * members of one, and organization admins can only hand out these roles.
+ * `admin` is a platform role and never belongs to an organization.
+ * @type {string[]}
+ */
+export const ORGANIZATION_ROLES = ['user', 'instructor', 'org_admin'];
+
+/**
+ * Organization a caller's reads and writes are confined to.
+ *
+ * Members of an organization only ever see their own organization's users
+ * and progress. Callers without an organization (platform staff) are not
+ * confined: the result is then `undefined`, which repositories read as
+ * "no tenant filter".
+ *
+ * @function organizationScope
+ * @param {{organization_id?: number|null}|null|undefined} user - `req.user`.
+ * @returns {number|undefined}
+ *
+ * @example
+ * const users = await userRepo.findAll({ organization_id: organizationScope(req.user) });
+ */
+export function organizationScope(user) {
+  return user?.organization_id ?? undefined;
+}
+
+/**
+ * Which scenarios a caller may see.
+ *
+ * Shared scenarios (no organization) are visible to everyone; private ones
+ * only to members of their organization. Platform staff with `content:read`
+ * see every scenario (`undefined`). Everyone else gets their organization ID,
+ * or `null` for shared scenarios only.
+ *
+ * @function scenarioVisibility
+ * @param {{role?: string, organization_id?: number|null}|null|undefined} user - `req.user` (absent for anonymous callers).
+ * @returns {number|null|undefined}
+ *
+ * @example
+ * const scenarios = await scenarioRepo.findAll({ organization_id: scenarioVisibility(req.user) });
+ */
+export function scenarioVisibility(user) {
+  const organization_id = user?.organization_id ?? null;
+  if (organization_id == null && hasPermission(user, 'content:read')) return undefined;
+  return organization_id;
+}
+
+/**
+ * Whose progress (attempts, level progress, badges) a caller may read.
+ *
+ * Holders of `reports:read` see their organization's members (everyone, for
+ * platform staff) once they satisfy the two-factor policy of their role;
+ * everyone else only sees their own records.
+ *
+ * @function progressScope
+ * @param {{id: number, role?: string, organization_id?: number|null, mfa?: boolean}} user - `req.user`.
+ * @returns {{organization_id?: number, user_id?: number}} Options for the progress repositories.
+ *
+ * @example
+ * const attempts = await attemptRepo.findAll(progressScope(req.user));
+ */
+export function progressScope(user) {
+  const mfaSatisfied = !(twoFactorRequiredFor(user?.role) && !user?.mfa);
+  if (hasPermission(user, 'reports:read') && mfaSatisfied) {
+    return { organization_id: organizationScope(user) };
+  }
+  return { user_id: Number(user.id) };
+}
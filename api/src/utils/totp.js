@@ -0,0 +1,139 @@
+// src/utils/totp.js
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/** Seconds per time step, as expected by authenticator apps. */
+const PERIOD = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding (the format authenticator
+ * apps expect for the shared secret).
+ * @param {Buffer} buffer - Raw bytes.
+ * @returns {string}
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+/**
+ * Decode RFC 4648 base32 (case-insensitive; spaces and padding ignored).
+ * @param {string} input - Base32 text.
+ * @returns {Buffer}
+ * @throws {Error} On characters outside the base32 alphabet.
+ */
+export function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Create a new random TOTP shared secret (160 bits, base32).
+ * @returns {string}
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step a moment falls in.
+ * @param {Date} [now=new Date()] - Reference time.
+ * @returns {number}
+ */
+export const timeStep = (now = new Date()) => Math.floor(now.getTime() / 1000 / PERIOD);
+
+/**
+ * The code for one time step (HOTP over the step counter, RFC 4226).
+ *
+ * @function totpCode
+ * @param {string} secret - Base32 shared secret.
+ * @param {number} step - Time step (see {@link timeStep}).
+ * @returns {string} Zero-padded 6-digit code.
+ */
+export function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against the current time step and its neighbours, which
+ * absorbs small clock drift between server and phone.
+ *
+ * @function verifyTotp
+ * @param {string} secret - Base32 shared secret.
+ * @param {string} code - The code the user typed (spaces are ignored).
+ * @param {object} [options]
+ * @param {number} [options.window=1] - Steps accepted before and after the current one.
+ * @param {Date} [options.now=new Date()] - Reference time.
+ * @returns {number|null} The matching time step, or null if the code is wrong.
+ *
+ * @example
+ * const step = verifyTotp(secret, "492 039");
+ * if (step !== null) { ... }
+ */
+export function verifyTotp(secret, code, { window = 1, now = new Date() } = {}) {
+  const clean = String(code).replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(clean)) return null;
+
+  const current = timeStep(now);
+  for (let step = current - window; step <= current + window; step += 1) {
+    const expected = totpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) return step;
+  }
+  return null;
+}
+
+/**
+ * Provisioning URI understood by authenticator apps (usually shown as a QR code).
+ *
+ * @function otpauthUrl
+ * @param {object} params
+ * @param {string} params.secret - Base32 shared secret.
+ * @param {string} params.account - Account label, typically the email.
+ * @param {string} params.issuer - Service name shown in the app.
+ * @returns {string}
+ *
+ * @example
+ * otpauthUrl({ secret, account: "jane@example.com", issuer: "SimAid" });
+ * // "otpauth://totp/SimAid:jane%40example.com?secret=...&issuer=SimAid&..."
+ */
+export function otpauthUrl({ secret, account, issuer }) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
@@ -0,0 +1,114 @@
+// src/utils/twoFactor.js
+import crypto from 'crypto';
+import { hashOpaqueToken } from './opaqueToken.js';
+
+/**
+ * Roles that must use two-factor authentication for permission-protected routes
+ * (env `TWO_FACTOR_REQUIRED_ROLES`, comma-separated, e.g. `admin`).
+ * Empty by default: 2FA is then optional for everyone.
+ * @type {string[]}
+ */
+export const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map((role) => role.trim())
+  .filter(Boolean);
+
+/**
+ * Service name shown in authenticator apps (env `TWO_FACTOR_ISSUER`).
+ * @type {string}
+ */
+export const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'SimAid';
+
+/**
+ * How long the second login step may take, in seconds
+ * (env `TWO_FACTOR_CHALLENGE_TTL_SECONDS`).
+ * @type {number}
+ */
+export const TWO_FACTOR_CHALLENGE_TTL_SECONDS =
+  Number(process.env.TWO_FACTOR_CHALLENGE_TTL_SECONDS) || 300;
+
+/**
+ * How many recovery codes are issued at a time.
+ * @type {number}
+ */
+export const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Whether the policy requires two-factor authentication for a role.
+ *
+ * @function twoFactorRequiredFor
+ * @param {string} role - The user's role.
+ * @param {string[]} [roles=TWO_FACTOR_REQUIRED_ROLES] - Roles under the policy.
+ * @returns {boolean}
+ *
+ * @example
+ * twoFactorRequiredFor("admin"); // true with TWO_FACTOR_REQUIRED_ROLES=admin
+ */
+export function twoFactorRequiredFor(role, roles = TWO_FACTOR_REQUIRED_ROLES) {
+  return roles.includes(role);
+}
+
+// ---- 🔐 Secret at rest ----
+
+// AES-256-GCM key; a dedicated key can be rotated independently of JWT_SECRET
+const encryptionKey = () => {
+  const source = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!source) throw new Error('TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET env var is missing');
+  return crypto.createHash('sha256').update(source).digest();
+};
+
+/**
+ * Encrypt a TOTP secret for storage.
+ * @param {string} secret - Base32 shared secret.
+ * @returns {string} `iv.tag.ciphertext`, each base64url.
+ */
+export function encryptTotpSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64url')).join('.');
+}
+
+/**
+ * Decrypt a stored TOTP secret.
+ * @param {string} stored - Value produced by {@link encryptTotpSecret}.
+ * @returns {string} Base32 shared secret.
+ * @throws {Error} If the value was tampered with or the key changed.
+ */
+export function decryptTotpSecret(stored) {
+  const [iv, tag, ciphertext] = String(stored).split('.').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+// ---- 🧾 Recovery codes ----
+
+/**
+ * Normalize a typed recovery code so dashes, spaces and case do not matter.
+ * @param {string} code
+ * @returns {string}
+ */
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Hash of a recovery code as stored in `two_factor_recovery_codes`.
+ * @param {string} code - The code as typed or as issued.
+ * @returns {string} Hex digest (64 chars).
+ */
+export const hashRecoveryCode = (code) => hashOpaqueToken(normalizeRecoveryCode(code));
+
+/**
+ * Create a fresh set of recovery codes, formatted `xxxxx-xxxxx`.
+ *
+ * @function generateRecoveryCodes
+ * @param {number} [count=RECOVERY_CODE_COUNT]
+ * @returns {{codes: string[], hashes: string[]}} Codes to show once and hashes to store.
+ */
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
@@ -0,0 +1,190 @@
+import { param, body, query } from "express-validator";
+
+export const registerBody = [
+  body("full_name")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("full_name must be a string between 1–100 characters"),
+
+  body("email")
+    .isEmail()
+    .withMessage("email must be a valid email address"),
+
+  body("password")
+    .isString()
+    .isLength({ min: 6 })
+    .withMessage("password must be at least 6 characters long"),
+];
+
+export const loginBody = [
+  body("email")
+    .isEmail()
+    .withMessage("email must be a valid email address"),
+
+  body("password")
+    .isString()
+    .isLength({ min: 1 })
+    .withMessage("password is required"),
+];
+
+export const updateProfileBody = [
+  body("full_name")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("full_name must be a string between 1–100 characters"),
+
+  body("email")
+    .optional()
+    .isEmail()
+    .withMessage("email must be a valid email address"),
+
+  body()
+    .custom((value) => value && (value.full_name !== undefined || value.email !== undefined))
+    .withMessage("Provide full_name and/or email"),
+];
+
+export const changePasswordBody = [
+  body("current_password")
+    .isString()
+    .isLength({ min: 1 })
+    .withMessage("current_password is required"),
+
+  body("new_password")
+    .isString()
+    .isLength({ min: 6 })
+    .withMessage("new_password must be at least 6 characters long")
+    .custom((value, { req }) => value !== req.body.current_password)
+    .withMessage("new_password must differ from current_password"),
+];
+
+export const forgotPasswordBody = [
+  body("email")
+    .isEmail()
+    .withMessage("email must be a valid email address"),
+];
+
+export const resetPasswordBody = [
+  body("token")
+    .isString()
+    .isLength({ min: 1 })
+    .withMessage("token is required"),
+
+  body("new_password")
+    .isString()
+    .isLength({ min: 6 })
+    .withMessage("new_password must be at least 6 characters long"),
+];
+
+export const verifyTokenParam = [
+  param("token")
+    .isString()
+    .isLength({ min: 1, max: 128 })
+    .withMessage("token is required"),
+];
+
+export const resendVerificationBody = [
+  body("email")
+    .isEmail()
+    .withMessage("email must be a valid email address"),
+];
+
+export const refreshBody = [
+  body("refreshToken")
+    .isString()
+    .isLength({ min: 1 })
+    .withMessage("refreshToken is required"),
+];
+
+export const logoutBody = [
+  body("refreshToken")
+    .optional()
+    .isString()
+    .withMessage("refreshToken must be a string"),
+];
+
+export const userIdParam = [
+  param("id")
+    .isInt({ gt: 0 })
+    .withMessage("id must be a positive integer"),
+];
+
+export const loginAttemptsQuery = [
+  query("email")
+    .optional()
+    .isEmail()
+    .withMessage("email must be a valid email address"),
+
+  query("user_id")
+    .optional()
+    .isInt({ gt: 0 })
+    .withMessage("user_id must be a positive integer"),
+
+  query("ip")
+    .optional()
+    .isIP()
+    .withMessage("ip must be a valid IP address"),
+
+  query("since")
+    .optional()
+    .isISO8601()
+    .withMessage("since must be a valid ISO 8601 date"),
+
+  query("all")
+    .optional()
+    .isBoolean()
+    .withMessage("all must be true or false"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage("limit must be between 1 and 500"),
+];
+
+const totpCode = (field) =>
+  body(field)
+    .isString()
+    .matches(/^\s*\d{3}\s?\d{3}\s*$/)
+    .withMessage(`${field} must be a 6-digit code`);
+
+export const twoFactorCodeBody = [totpCode("code")];
+
+export const twoFactorVerifyBody = [
+  body("challengeToken")
+    .isString()
+    .isLength({ min: 1 })
+    .withMessage("challengeToken is required"),
+
+  totpCode("code").optional(),
+
+  body("recovery_code")
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 32 })
+    .withMessage("recovery_code must be a string"),
+
+  body()
+    .custom((value) => value && (value.code || value.recovery_code))
+    .withMessage("Provide code or recovery_code"),
+];
+
+export const twoFactorDisableBody = [
+  body("password")
+    .isString()
+    .isLength({ min: 1 })
+    .withMessage("password is required"),
+
+  totpCode("code").optional(),
+
+  body("recovery_code")
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 32 })
+    .withMessage("recovery_code must be a string"),
+
+  body()
+    .custom((value) => value && (value.code || value.recovery_code))
+    .withMessage("Provide code or recovery_code"),
+];
@@ -1,4 +1,5 @@
 import { param, body } from 'express-validator';
+import { validateBadgeCriteria } from '../utils/badgeCriteria.js';
 
 export const idParam = [
   param('id')
@@ -8,6 +9,7 @@ export const idParam = [
 
 export const upsertBadge = [
   body('level_id')
+    .optional({ nullable: true })
     .isInt({ gt: 0 })
     .withMessage('level_id must be a positive integer'),
 
@@ -25,4 +27,12 @@ export const upsertBadge = [
     .optional()
     .isURL()
     .withMessage('icon_url must be a valid URL'),
+
+  body('criteria')
+    .optional({ nullable: true })
+    .custom((criteria) => {
+      const problem = validateBadgeCriteria(criteria);
+      if (problem) throw new Error(problem);
+      return true;
+    }),
 ];
@@ -0,0 +1,8 @@
+import { param } from "express-validator";
+
+export const serialParam = [
+  param("serial")
+    .customSanitizer((value) => String(value || "").trim().toUpperCase())
+    .matches(/^SIM-[0-9A-F]{12}-[0-9A-F]{8}$/)
+    .withMessage("serial must look like SIM-XXXXXXXXXXXX-XXXXXXXX"),
+];
@@ -0,0 +1,65 @@
+import { param, body } from "express-validator";
+
+export const idParam = [
+  param("id")
+    .isInt({ gt: 0 })
+    .withMessage("id must be a positive integer"),
+];
+
+export const memberParams = [
+  ...idParam,
+  param("user_id")
+    .isInt({ gt: 0 })
+    .withMessage("user_id must be a positive integer"),
+];
+
+export const assignmentParams = [
+  ...idParam,
+  param("assignment_id")
+    .isInt({ gt: 0 })
+    .withMessage("assignment_id must be a positive integer"),
+];
+
+export const createClass = [
+  body("name")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 150 })
+    .withMessage("name must be a string between 1–150 characters"),
+];
+
+export const updateClass = [
+  ...idParam,
+  ...createClass,
+];
+
+// An assignment targets exactly one scenario or one level
+export const createAssignment = [
+  ...idParam,
+
+  body("scenario_id")
+    .optional({ nullable: true })
+    .isInt({ gt: 0 })
+    .withMessage("scenario_id must be a positive integer")
+    .toInt(),
+
+  body("level_id")
+    .optional({ nullable: true })
+    .isInt({ gt: 0 })
+    .withMessage("level_id must be a positive integer")
+    .toInt(),
+
+  body()
+    .custom((value) => value && (value.scenario_id == null) !== (value.level_id == null))
+    .withMessage("Provide either scenario_id or level_id"),
+
+  body("due_at")
+    .isISO8601()
+    .withMessage("due_at must be a valid ISO 8601 date")
+    .toDate(),
+
+  body("min_score")
+    .isInt({ min: 0, max: 100 })
+    .withMessage("min_score must be an integer between 0 and 100")
+    .toInt(),
+];
@@ -21,3 +21,18 @@ export const upsertLevel = [
     .isInt({ gt: 0 })
     .withMessage("difficulty_order must be a positive integer"),
 ];
+
+export const setPrerequisites = [
+  body("prerequisites")
+    .isArray()
+    .withMessage("prerequisites must be an array"),
+
+  body("prerequisites.*.required_level_id")
+    .isInt({ gt: 0 })
+    .withMessage("required_level_id must be a positive integer"),
+
+  body("prerequisites.*.min_score")
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 100 })
+    .withMessage("min_score must be an integer between 0–100"),
+];
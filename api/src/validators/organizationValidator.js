@@ -0,0 +1,46 @@
+import { param, body } from "express-validator";
+
+export const idParam = [
+  param("id")
+    .isInt({ gt: 0 })
+    .withMessage("id must be a positive integer"),
+];
+
+export const memberParams = [
+  ...idParam,
+  param("user_id")
+    .isInt({ gt: 0 })
+    .withMessage("user_id must be a positive integer"),
+];
+
+export const createOrganization = [
+  body("name")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 150 })
+    .withMessage("name must be a string between 1–150 characters"),
+
+  body("slug")
+    .isString()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .isLength({ max: 64 })
+    .withMessage("slug must be lowercase letters, digits and single dashes (max 64)"),
+];
+
+export const updateOrganization = [
+  ...idParam,
+
+  body("name")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 150 })
+    .withMessage("name must be a string between 1–150 characters"),
+
+  body("slug")
+    .optional()
+    .isString()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .isLength({ max: 64 })
+    .withMessage("slug must be lowercase letters, digits and single dashes (max 64)"),
+];
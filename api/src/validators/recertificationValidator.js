@@ -0,0 +1,8 @@
+import { query } from "express-validator";
+
+export const remindersQuery = [
+  query("since")
+    .optional()
+    .isISO8601()
+    .withMessage("since must be a valid ISO 8601 date"),
+];
@@ -1,4 +1,7 @@
 import { param, body } from "express-validator";
+import { stepFromBody, validateStep } from "../utils/stepTypes.js";
+import { validateTransitions } from "../utils/scenarioGraph.js";
+import { validateEffects } from "../utils/patientModel.js";
 
 export const idParam = [
   param("id").isInt({ gt: 0 }).withMessage("id must be a positive integer"),
@@ -18,14 +21,14 @@ export const upsertScenarioStep = [
     .isLength({ min: 5 })
     .withMessage("question_text must be at least 5 characters long"),
 
-  body("option_a").isString().notEmpty().withMessage("option_a is required"),
-  body("option_b").isString().notEmpty().withMessage("option_b is required"),
-  body("option_c").isString().notEmpty().withMessage("option_c is required"),
-  body("option_d").isString().notEmpty().withMessage("option_d is required"),
-
-  body("correct_action")
-    .isIn(["A", "B", "C", "D"])
-    .withMessage("correct_action must be one of 'A', 'B', 'C', or 'D'"),
+  // Options, correct_action, transitions and effects are checked against the
+  // step type (legacy single-choice bodies may send option_a–option_d)
+  body().custom((value) => {
+    const step = stepFromBody(value ?? {});
+    const problem = validateStep(step) ?? validateTransitions(step) ?? validateEffects(step);
+    if (problem) throw new Error(problem);
+    return true;
+  }),
 
   body("feedback_message")
     .optional()
@@ -1,4 +1,5 @@
 import { param, body } from "express-validator";
+import { validatePatient } from "../utils/patientModel.js";
 
 export const idParam = [
   param("id")
@@ -6,6 +7,24 @@ export const idParam = [
     .withMessage("id must be a positive integer"),
 ];
 
+// Validate a learner's answer to a single step (null = timed out)
+export const answerStep = [
+  param("stepId")
+    .isInt({ gt: 0 })
+    .withMessage("stepId must be a positive integer"),
+
+  // Shape per step type is checked when grading (malformed answers are wrong)
+  body("answer")
+    .optional({ nullable: true })
+    .custom(
+      (answer) =>
+        ["string", "boolean", "number"].includes(typeof answer) ||
+        (Array.isArray(answer) && answer.every((key) => typeof key === "string")) ||
+        (typeof answer === "object" && typeof answer.x === "number" && typeof answer.y === "number")
+    )
+    .withMessage("answer must be an option key, true/false, a number, a list of option keys, an { x, y } point or null"),
+];
+
 // Validate scenario creation and update body
 export const upsertScenario = [
   body("level_id")
@@ -26,4 +45,26 @@ export const upsertScenario = [
     .optional()
     .isString()
     .withMessage("image_url must be a string"),
+
+  body("is_refresher")
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage("is_refresher must be a boolean"),
+
+  // Private to one organization; null (or omitted on create) means shared
+  body("organization_id")
+    .optional({ nullable: true })
+    .isInt({ gt: 0 })
+    .toInt()
+    .withMessage("organization_id must be a positive integer or null"),
+
+  // Simulated casualty (null removes it)
+  body("patient")
+    .optional({ nullable: true })
+    .custom((patient) => {
+      const problem = validatePatient(patient);
+      if (problem) throw new Error(problem);
+      return true;
+    }),
 ];
@@ -0,0 +1,49 @@
+import { param, body } from "express-validator";
+
+export const idParam = [
+  param("id")
+    .isInt({ gt: 0 })
+    .withMessage("id must be a positive integer"),
+];
+
+export const attemptIdParam = [
+  param("attempt_id")
+    .isInt({ gt: 0 })
+    .withMessage("attempt_id must be a positive integer"),
+];
+
+export const upsertStepAttempt = [
+  body("attempt_id")
+    .isInt({ gt: 0 })
+    .withMessage("attempt_id must be a positive integer"),
+
+  body("history_id")
+    .optional({ nullable: true })
+    .isInt({ gt: 0 })
+    .withMessage("history_id must be a positive integer"),
+
+  body("step_id")
+    .isInt({ gt: 0 })
+    .withMessage("step_id must be a positive integer"),
+
+  // Text form of the answer ("B", "TRUE", "A,C", "C,A,B", "110")
+  body("user_action")
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage("user_action must be a string of at most 100 characters or null"),
+
+  body("is_correct")
+    .isBoolean()
+    .withMessage("is_correct must be a boolean"),
+
+  body("timed_out")
+    .optional()
+    .isBoolean()
+    .withMessage("timed_out must be a boolean"),
+
+  body("response_ms")
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage("response_ms must be a non-negative integer"),
+];
@@ -1,4 +1,5 @@
 import { param, body } from "express-validator";
+import { ROLES } from "../utils/permissions.js";
 
 export const idParam = [
   param("id")
@@ -24,6 +25,11 @@ export const upsertUser = [
 
   body("role")
     .optional()
-    .isIn(["user", "admin"])
-    .withMessage('role must be either "user" or "admin"'),
+    .isIn(ROLES)
+    .withMessage(`role must be one of: ${ROLES.join(", ")}`),
+
+  body("organization_id")
+    .optional({ nullable: true })
+    .isInt({ gt: 0 })
+    .withMessage("organization_id must be a positive integer or null"),
 ];
@@ -5,7 +5,9 @@
  * -----------------------------------------------------------------------------
  * Top-level router and layout for SimAid.
  * - Renders a global header (brand + scroll-to-top), routed page content, and footer.
- * - Uses `Routes` to map all public pages: landing, auth, profile, home, levels, scenarios, legal.
+ * - Uses `Routes` to map all public pages: landing, auth (incl. password recovery, email
+ *   verification and two-factor login/setup), profile, home, levels, scenarios, legal, certificate verification,
+ *   and the staff classes page.
  * - Applies `100svh` handling for the landing page to fill safe viewport height on mobile.
  *
  * Accessibility
@@ -19,11 +21,18 @@ import LandingPage from "./pages/landingPage";
 import SignUpPage from "./pages/signUpPage";
 import ProfilePage from "./pages/profilePage";
 import LoginPage from "./pages/logInPage";
+import ForgotPasswordPage from "./pages/forgotPasswordPage";
+import ResetPasswordPage from "./pages/resetPasswordPage";
+import VerifyEmailPage from "./pages/verifyEmailPage";
+import TwoFactorChallengePage from "./pages/twoFactorChallengePage";
+import TwoFactorSetupPage from "./pages/twoFactorSetupPage";
 import HomePage from "./pages/homePage";
 import LevelPage from "./pages/levelPage";
 import ScenarioPage from "./pages/scenarioPage";
 import PrivacyPage from "./pages/privacyPage";
 import TermsPage from "./pages/termsPage";
+import VerifyCertificatePage from "./pages/verifyCertificatePage";
+import ClassesPage from "./pages/classesPage";
 import "./App.css";
 
 export default function App() {
@@ -56,13 +65,20 @@ export default function App() {
           <Route path="/" element={<LandingPage />} />
           <Route path="/signup" element={<SignUpPage />} />
           <Route path="/login" element={<LoginPage />} />
+          <Route path="/login/2fa" element={<TwoFactorChallengePage />} />
+          <Route path="/security/2fa" element={<TwoFactorSetupPage />} />
+          <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+          <Route path="/reset-password" element={<ResetPasswordPage />} />
+          <Route path="/verify-email/:token" element={<VerifyEmailPage />} />
           <Route path="/home" element={<HomePage/>} />
           <Route path="/profile" element={<ProfilePage/>} />
+          <Route path="/classes" element={<ClassesPage/>} />
           {/* key forces re-mount when navigating between different levelId routes */}
           <Route path="/level/:levelId" element={<LevelPage key={location.pathname} />} />
           <Route path="/level/:levelId/scenario/:scenarioId" element={<ScenarioPage />} />
           <Route path="/privacy" element={<PrivacyPage/>} />
           <Route path="/terms" element={<TermsPage/>} />
+          <Route path="/verify/:serial" element={<VerifyCertificatePage/>} />
         </Routes>
       </main>
 
@@ -1,14 +1,16 @@
-import React, { useRef } from "react";
-import html2canvas from "html2canvas";
-import jsPDF from "jspdf";
+import React, { useEffect, useState } from "react";
+import QRCode from "qrcode";
+import { certificateService } from "../services/certificateService";
 import "../styles/certificate.css";
 
 /**
  * 🏅 CertificateModal
  *
- * Renders a printable/downloadable certificate inside a modal.
- * - Captures the certificate DOM node to a high-DPI canvas via `html2canvas`
- * - Exports to an **A4 landscape** PDF using `jsPDF`
+ * Renders a server-issued certificate inside a modal.
+ * - Shows the signed serial, issue/expiry dates and a QR code that points to
+ *   the public verification URL (the browser never invents certificate data)
+ * - Downloads the **A4 landscape** vector PDF rendered by the API
+ *   (`GET /certificates/:serial/pdf`) instead of screenshotting the DOM
  * - Provides actions to **Close**, **Print**, or **Download PDF**
  *
  * Accessibility:
@@ -20,96 +22,86 @@ import "../styles/certificate.css";
  * @param {boolean} props.open - Controls visibility of the modal. If false, renders `null`.
  * @param {Function} props.onClose - Called when backdrop or Close is clicked.
  * @param {Function} [props.onGoToLevel] - (Unused here) optional navigation callback kept for parity with other modals.
- * @param {string} [props.userName="First Aid Learner"] - Recipient name printed on the certificate and used for the PDF filename.
- * @param {string} [props.title="First Aid Elite Responder Certificate"] - Certificate title.
+ * @param {Object} props.certificate - Certificate issued by the API (`certificateService.issue()`).
+ * @param {string} props.certificate.serial - Signed serial, e.g. "SIM-7F3A9C21B04E-5D1E88A0".
+ * @param {string} props.certificate.title - Certificate title.
+ * @param {string} props.certificate.holder_name - Recipient name.
+ * @param {string} props.certificate.issued_at - Issue date.
+ * @param {string} props.certificate.expires_at - Expiry date.
+ * @param {string} props.certificate.verify_url - Public verification URL encoded in the QR code.
  * @param {string} [props.subtitle="Awarded for perfect completion of all Elite Level scenarios."] - Optional subtitle/description.
- * @param {Date|string|number} [props.issuedAt=new Date()] - Issue date; formatted via `toLocaleDateString`.
- * @param {string} [props.certificateId] - Unique ID shown on the certificate; defaults to `CER-XXXXXX`.
- * @param {string} [props.imageUrl="/assets/mock_certificate_frame.png"] - Optional background frame (same-origin for CORS).
+ * @param {string} [props.imageUrl="/assets/mock_certificate_frame.png"] - Optional background frame.
  *
  * @example
- * <CertificateModal
- *   open={show}
- *   onClose={() => setShow(false)}
- *   userName="Alex Johnson"
- *   title="Elite Responder Certificate"
- *   subtitle="Awarded for completing all Elite scenarios."
- *   issuedAt={new Date()}
- *   certificateId="CER-123456"
- *   imageUrl="/assets/cert_frame.png"
- * />
+ * const certificate = await certificateService.issue();
+ * <CertificateModal open={show} onClose={() => setShow(false)} certificate={certificate} />
  */
 export default function CertificateModal({
   open,
   onClose,
-  userName = "First Aid Learner",
-  title = "First Aid Elite Responder Certificate",
+  certificate,
   subtitle = "Awarded for perfect completion of all Elite Level scenarios.",
-  issuedAt = new Date(),
-  certificateId = "CER-" + String(Date.now()).slice(-6),
   imageUrl = "/assets/mock_certificate_frame.png", // optional bg frame (same-origin)
 }) {
-  /** @type {React.MutableRefObject<HTMLDivElement|null>} */
-  const certRef = useRef(null);
-  if (!open) return null;
+  const [qrDataUrl, setQrDataUrl] = useState("");
+  const [downloading, setDownloading] = useState(false);
+  const [downloadError, setDownloadError] = useState("");
+
+  const verifyUrl = certificate?.verify_url;
+
+  // Render the verification URL as a QR code for the on-screen certificate
+  useEffect(() => {
+    if (!open || !verifyUrl) return;
+    let cancelled = false;
+    QRCode.toDataURL(verifyUrl, { margin: 1, width: 160 })
+      .then((url) => !cancelled && setQrDataUrl(url))
+      .catch(() => !cancelled && setQrDataUrl(""));
+    return () => {
+      cancelled = true;
+    };
+  }, [open, verifyUrl]);
+
+  if (!open || !certificate) return null;
+
+  const userName = certificate.holder_name || "First Aid Learner";
 
   /** Print the current view (relies on print CSS to hide controls) */
   const onPrint = () => {
     window.print();
   };
 
-  /**
-   * Capture the certificate canvas and download as PDF.
-   * - Uses `html2canvas` with devicePixelRatio scaling for sharp output
-   * - Centers the image on an A4 landscape PDF while preserving aspect ratio
-   */
+  /** Download the server-rendered PDF for this certificate */
   const onDownloadPDF = async () => {
-    const el = certRef.current;
-    if (!el) return;
-
-    // Make sure the canvas looks sharp on retina displays
-    const canvas = await html2canvas(el, {
-      backgroundColor: "#ffffff",
-      scale: Math.min(2, window.devicePixelRatio || 1.5),
-      useCORS: true,           // allow same-origin images
-      logging: false,
-    });
-
-    const imgData = canvas.toDataURL("image/png");
-
-    // Create A4 landscape PDF
-    const pdf = new jsPDF({ orientation: "landscape", unit: "mm", format: "a4" });
-    const pageW = pdf.internal.pageSize.getWidth();
-    const pageH = pdf.internal.pageSize.getHeight();
-
-    // Fit image preserving aspect ratio
-    const imgW = pageW;
-    const imgH = (canvas.height * imgW) / canvas.width;
-    const offsetY = (pageH - imgH) / 2; // center vertically
-
-    pdf.addImage(imgData, "PNG", 0, offsetY, imgW, imgH, undefined, "FAST");
-    pdf.save(`${userName.replace(/\s+/g, "_")}_certificate.pdf`);
+    setDownloading(true);
+    setDownloadError("");
+    try {
+      await certificateService.downloadPdf(certificate.serial);
+    } catch (err) {
+      setDownloadError(err.message || "Could not download the certificate.");
+    } finally {
+      setDownloading(false);
+    }
   };
 
-  /** Human-readable issue date string */
-  const prettyDate = new Date(issuedAt).toLocaleDateString(undefined, {
-    year: "numeric",
-    month: "long",
-    day: "numeric",
-  });
+  /** Human-readable date string */
+  const prettyDate = (value) =>
+    new Date(value).toLocaleDateString(undefined, {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+    });
 
   return (
     <div className="cert-backdrop" onClick={onClose}>
       <div className="cert-card" onClick={(e) => e.stopPropagation()}>
-        {/* ====== Certificate Canvas (captured to PDF) ====== */}
+        {/* ====== Certificate Canvas ====== */}
         <div
-          ref={certRef}
           className="cert-canvas"
           style={imageUrl ? { backgroundImage: `url(${imageUrl})` } : undefined}
         >
           <div className="cert-heading">Certificate of Achievement</div>
 
-          <div className="cert-title">{title}</div>
+          <div className="cert-title">{certificate.title}</div>
 
           <div className="cert-sub">This certifies that</div>
           <div className="cert-name">{userName}</div>
@@ -117,10 +109,18 @@ export default function CertificateModal({
           {subtitle && <div className="cert-desc">{subtitle}</div>}
 
           <div className="cert-meta">
-            <div><strong>Issued:</strong> {prettyDate}</div>
-            <div><strong>ID:</strong> {certificateId}</div>
+            <div><strong>Issued:</strong> {prettyDate(certificate.issued_at)}</div>
+            <div><strong>Valid until:</strong> {prettyDate(certificate.expires_at)}</div>
+            <div><strong>Serial:</strong> {certificate.serial}</div>
           </div>
 
+          {qrDataUrl && (
+            <div className="cert-verify">
+              <img src={qrDataUrl} alt="QR code to verify this certificate" />
+              <div className="cert-verify-url">Verify at {verifyUrl}</div>
+            </div>
+          )}
+
           <div className="cert-signature">
             <div className="sig-line" />
             <div className="sig-label">Program Director</div>
@@ -131,8 +131,11 @@ export default function CertificateModal({
         <div className="cert-actions print-hidden">
           <button className="btn outline" onClick={onClose}>Close</button>
           <button className="btn outline" onClick={onPrint}>Print</button>
-          <button className="btn solid" onClick={onDownloadPDF}>Download PDF</button>
+          <button className="btn solid" onClick={onDownloadPDF} disabled={downloading}>
+            {downloading ? "Preparing PDF…" : "Download PDF"}
+          </button>
         </div>
+        {downloadError && <div className="cert-error print-hidden">{downloadError}</div>}
       </div>
     </div>
   );
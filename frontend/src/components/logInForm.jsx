@@ -1,4 +1,5 @@
 import React, { useState } from "react";
+import { Link } from "react-router-dom";
 
 /**
  * 🔐 LoginForm Component
@@ -97,7 +98,7 @@ export default function LoginForm({ onSubmit, disabled }) {
           />
           Remember me
         </label>
-        <a className="text-link" href="/forgot-password">Forgot password?</a>
+        <Link className="text-link" to="/forgot-password">Forgot password?</Link>
       </div>
 
       {localError && <p className="error-text">{localError}</p>}
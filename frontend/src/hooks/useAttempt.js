@@ -34,6 +34,8 @@ import { attemptService } from '../services/attemptService';
  *   - `refreshCounts(userId, levelId)` → Promise<[number, number]>
  *   - `clearError()` → void
  *   - `fetchAttemptsByUserAndLevel(userId, levelId)` → Promise<void>
+ *   - `fetchHistory({ userId, scenarioId?, levelId?, page?, limit? })` → Promise<object>
+ * - `history` {{items:Array,page:number,limit:number,total:number,total_pages:number}|null} — last fetched history page
  *
  * @returns {object} Hook state and action methods.
  */
@@ -41,6 +43,7 @@ export function useAttempts() {
     const [attempts, setAttempts] = useState([]);
     const [currentAttempt, setCurrentAttempt] = useState(null);
     const [stats, setStats] = useState({ perfect: 0, total: 0 });
+    const [history, setHistory] = useState(null);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
 
@@ -215,6 +218,28 @@ export function useAttempts() {
       }
     }, []);
 
+    /**
+     * Fetch one page of a user's attempt history, for a scenario or a whole level.
+     * @param {{userId:number|string, scenarioId?:number|string, levelId?:number|string, page?:number, limit?:number}} params
+     * @returns {Promise<object|null>} The history page.
+     */
+    const fetchHistory = useCallback(async ({ userId, scenarioId, levelId, page = 1, limit = 20 }) => {
+      setLoading(true);
+      setError(null);
+      try {
+        const data = scenarioId
+          ? await attemptService.getScenarioHistory(userId, scenarioId, { page, limit })
+          : await attemptService.getLevelHistory(userId, levelId, { page, limit });
+        setHistory(data);
+        return data;
+      } catch (err) {
+        setError(err.message);
+        return null;
+      } finally {
+        setLoading(false);
+      }
+    }, []);
+
     /**
      * Convenience helper to refresh both perfect & total counts together.
      * @param {number|string} userId
@@ -242,6 +267,7 @@ export function useAttempts() {
         attempts,
         currentAttempt,
         stats,
+        history,
         loading,
         error,
         fetchAttempts,
@@ -252,6 +278,7 @@ export function useAttempts() {
         countScenariosInLevel,
         refreshCounts,
         clearError,
-        fetchAttemptsByUserAndLevel
+        fetchAttemptsByUserAndLevel,
+        fetchHistory
     };
 }
@@ -10,6 +10,7 @@
 
 import { useState, useCallback } from 'react';
 import { authService } from '../services/authService';
+import { clearStoredSession, refreshSession } from '../services/authFetch';
 
 /**
  * Provides authentication utilities and session persistence for React apps.
@@ -17,7 +18,7 @@ import { authService } from '../services/authService';
  * Handles:
  * - User registration and login via `authService`
  * - Automatic session persistence using `localStorage`
- * - Current user loading and logout handling
+ * - Current user loading and logout handling (logout also ends the server session)
  * - State tracking (`loading`, `error`, `token`, and `user`)
  *
  * @returns {object} Authentication state and action handlers
@@ -27,9 +28,14 @@ import { authService } from '../services/authService';
  * @property {string|null} error - Error message from the latest failed auth operation
  * @property {boolean} isAuthed - Computed flag indicating whether the user is logged in
  * @property {Function} registerUser - Registers a new user and stores session data
- * @property {Function} login - Logs in a user and persists the session
+ * @property {Function} login - Logs in a user and persists the session (or returns a two-factor challenge)
+ * @property {Function} verifyTwoFactor - Completes a two-factor login and persists the session
+ * @property {Function} enableTwoFactor - Confirms two-factor setup and stores the upgraded token
+ * @property {Function} disableTwoFactor - Turns two-factor authentication off
  * @property {Function} loadMe - Loads the current user from the API using stored token
- * @property {Function} logout - Clears stored session and resets user/token
+ * @property {Function} updateProfile - Updates the current user's name/email and stored user
+ * @property {Function} changePassword - Changes the password (other sessions are logged out)
+ * @property {Function} logout - Ends the server session, clears stored session and resets user/token
  * @property {Function} clearError - Resets any error state
  *
  * @example
@@ -53,14 +59,17 @@ export function useAuth() {
     const [error, setError] = useState(null);
 
     /**
-     * Helper to persist user and token in localStorage.
-     * @param {{ token?: string, user?: object }} session
+     * Helper to persist user, token and refresh token in localStorage.
+     * @param {{ token?: string, refreshToken?: string, user?: object }} session
      */
-    const storeSession = useCallback(({ token, user }) => {
+    const storeSession = useCallback(({ token, refreshToken, user }) => {
         if (token) {
             localStorage.setItem('token', token);
             setToken(token);
         }
+        if (refreshToken) {
+            localStorage.setItem('refreshToken', refreshToken);
+        }
         if (user) {
             localStorage.setItem('user', JSON.stringify(user));
             setUser(user);
@@ -79,7 +88,7 @@ export function useAuth() {
         setError(null);
 
         try {
-            const data = await authService.register(formData); // { token, user }
+            const data = await authService.register(formData); // { token, refreshToken, user }
             storeSession(data);
             return data.user;
         } catch (err) {
@@ -92,9 +101,12 @@ export function useAuth() {
 
     /**
      * Log in a user.
-     * Persists session to localStorage.
+     * Persists session to localStorage. Accounts with two-factor
+     * authentication get no session yet: the challenge is returned instead,
+     * to be completed with verifyTwoFactor().
      * @param {{ email: string, password: string }} credentials
-     * @returns {Promise<object>} Authenticated user object
+     * @returns {Promise<object>} Authenticated user object (with `two_factor_setup_required`
+     *   when the role requires 2FA), or `{ two_factor_required, challengeToken, expires_in }`
      * @throws {Error} if login fails
      */
     const login = useCallback(async (credentials) => {
@@ -102,9 +114,36 @@ export function useAuth() {
         setError(null);
 
         try {
-            const data = await authService.login(credentials); // { token, user }
+            const data = await authService.login(credentials); // { token, refreshToken, user } or a 2FA challenge
+            if (data.two_factor_required) return data;
+
             storeSession(data);
-            return data.user;
+            return data.two_factor_setup_required
+                ? { ...data.user, two_factor_setup_required: true }
+                : data.user;
+        } catch (err) {
+            setError(err.message);
+            throw err;
+        } finally {
+            setLoading(false);
+        }
+    }, [storeSession]);
+
+    /**
+     * Finish a two-factor login.
+     * Persists session to localStorage.
+     * @param {{ challengeToken: string, code?: string, recovery_code?: string }} payload
+     * @returns {Promise<{ user: object, recovery_codes_left?: number }>}
+     * @throws {Error} if the code is wrong or the challenge expired
+     */
+    const verifyTwoFactor = useCallback(async (payload) => {
+        setLoading(true);
+        setError(null);
+
+        try {
+            const data = await authService.verifyTwoFactor(payload);
+            storeSession(data);
+            return { user: data.user, recovery_codes_left: data.recovery_codes_left };
         } catch (err) {
             setError(err.message);
             throw err;
@@ -115,7 +154,8 @@ export function useAuth() {
 
     /**
      * Load the current user using a stored token.
-     * If token is invalid, clears the session.
+     * An expired access token is refreshed once; if the session cannot be
+     * refreshed, clears it.
      * @returns {Promise<object|null>} The current user or null if not authenticated
      */
     const loadMe = useCallback(async () => {
@@ -124,14 +164,22 @@ export function useAuth() {
         setError(null);
 
         try {
-            const me = await authService.me(); // user
+            let me;
+            try {
+                me = await authService.me(); // user
+            } catch (err) {
+                // access token expired → refresh once and retry
+                const refreshed = await refreshSession();
+                if (!refreshed) throw err;
+                setToken(refreshed);
+                me = await authService.me();
+            }
             localStorage.setItem('user', JSON.stringify(me));
             setUser(me);
             return me;
         } catch (err) {
-            // token invalid → clear session
-            localStorage.removeItem('token');
-            localStorage.removeItem('user');
+            // session invalid → clear it
+            clearStoredSession();
             setToken(null);
             setUser(null);
             setError(err.message);
@@ -141,15 +189,113 @@ export function useAuth() {
         }
     }, [token]);
 
+    /**
+     * Update the current user's name and/or email.
+     * @param {{ full_name?: string, email?: string }} changes
+     * @returns {Promise<object>} The updated user object
+     * @throws {Error} if the update fails (e.g. email already in use)
+     */
+    const updateProfile = useCallback(async (changes) => {
+        setLoading(true);
+        setError(null);
+
+        try {
+            const updated = await authService.updateProfile(changes);
+            storeSession({ user: updated });
+            return updated;
+        } catch (err) {
+            setError(err.message);
+            throw err;
+        } finally {
+            setLoading(false);
+        }
+    }, [storeSession]);
+
+    /**
+     * Change the current user's password.
+     * @param {{ current_password: string, new_password: string }} passwords
+     * @returns {Promise<{ revoked_sessions: number }>} How many other sessions were logged out
+     * @throws {Error} if the current password is wrong
+     */
+    const changePassword = useCallback(async (passwords) => {
+        setLoading(true);
+        setError(null);
+
+        try {
+            return await authService.changePassword(passwords);
+        } catch (err) {
+            setError(err.message);
+            throw err;
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    /**
+     * Confirm two-factor setup with a first code. The current session now
+     * counts as verified, so the returned access token replaces the stored one.
+     * @param {string} code
+     * @returns {Promise<string[]>} Recovery codes (show them once)
+     * @throws {Error} if the code is wrong
+     */
+    const enableTwoFactor = useCallback(async (code) => {
+        setLoading(true);
+        setError(null);
+
+        try {
+            const { recovery_codes, token: upgraded } = await authService.enableTwoFactor(code);
+            const stored = JSON.parse(localStorage.getItem('user') || 'null');
+            storeSession({
+                token: upgraded,
+                user: stored ? { ...stored, two_factor_enabled: true } : undefined,
+            });
+            return recovery_codes;
+        } catch (err) {
+            setError(err.message);
+            throw err;
+        } finally {
+            setLoading(false);
+        }
+    }, [storeSession]);
+
+    /**
+     * Turn two-factor authentication off.
+     * @param {{ password: string, code?: string, recovery_code?: string }} proof
+     * @returns {Promise<void>}
+     * @throws {Error} if the password or code is wrong, or the role requires 2FA
+     */
+    const disableTwoFactor = useCallback(async (proof) => {
+        setLoading(true);
+        setError(null);
+
+        try {
+            await authService.disableTwoFactor(proof);
+            const stored = JSON.parse(localStorage.getItem('user') || 'null');
+            if (stored) storeSession({ user: { ...stored, two_factor_enabled: false } });
+        } catch (err) {
+            setError(err.message);
+            throw err;
+        } finally {
+            setLoading(false);
+        }
+    }, [storeSession]);
+
     /**
      * Log out the current user.
-     * Clears token and user data from localStorage.
+     * Ends the session on the server (best effort), then clears token,
+     * refresh token and user data from localStorage.
+     * @returns {Promise<void>}
      */
-    const logout = useCallback(() => {
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
-        setToken(null);
-        setUser(null);
+    const logout = useCallback(async () => {
+        try {
+            await authService.logout(localStorage.getItem('refreshToken'));
+        } catch {
+            // already expired or offline: clearing locally is enough
+        } finally {
+            clearStoredSession();
+            setToken(null);
+            setUser(null);
+        }
     }, []);
 
     /** Clear the latest error message (if any). */
@@ -164,7 +310,12 @@ export function useAuth() {
         error,
         registerUser,
         login,
+        verifyTwoFactor,
+        enableTwoFactor,
+        disableTwoFactor,
         loadMe,
+        updateProfile,
+        changePassword,
         logout,
         clearError,
         isAuthed: !!token
@@ -81,7 +81,7 @@ const extractList = (payload) => {
  * @property {boolean} loading - Whether a badge operation is in progress
  * @property {string|null} error - Last error message, if any
  * @property {Function} fetchBadges - Fetch all badges from the API
- * @property {Function} createBadge - Create a new badge
+ * @property {Function} createBadge - Create a new badge definition (admin-only; users earn badges on the server)
  * @property {Function} updateBadge - Update an existing badge
  * @property {Function} deleteBadge - Delete a badge
  * @property {Function} clearError - Reset the current error state
@@ -120,7 +120,7 @@ export function useBadges() {
   }, []);
 
   /**
-   * Create a new badge and prepend it to the local list.
+   * Create a new badge definition (admin-only) and prepend it to the local list.
    * @param {object} badgeData - Badge creation payload
    * @returns {Promise<object>} Created badge
    * @throws {Error} if creation fails
@@ -24,15 +24,19 @@ function normalizeLevel(raw) {
  *
  * Handles:
  * - Fetching and normalizing all levels
+ * - Fetching the current user's level map (unlock/completion per level)
  * - CRUD operations via `levelService`
  * - Local state management (levels, loading, error)
  *
  * @returns {object} Hook API
  * @property {Array<object>} levels - Current list of levels (sorted ascending by order)
+ * @property {Array<object>} progress - The user's level map: levels in order with unlocked/completed/unmet
  * @property {boolean} loading - Indicates if an API request is in progress
  * @property {string|null} error - Error message, if any
  * @property {Function} fetchLevels - Fetch all levels and normalize them
  * @property {Function} fetchLevel - Fetch one level by ID and merge into state
+ * @property {Function} fetchProgress - Fetch the user's level map into `progress`
+ * @property {Function} setPrerequisites - Replace a level's unlock rules (admin)
  * @property {Function} createLevel - Create a new level
  * @property {Function} updateLevel - Update an existing level
  * @property {Function} deleteLevel - Delete a level
@@ -46,6 +50,7 @@ function normalizeLevel(raw) {
  */
 export function useLevels() {
   const [levels, setLevels] = useState([]);
+  const [progress, setProgress] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
@@ -69,6 +74,28 @@ export function useLevels() {
     }
   }, []);
 
+  /**
+   * Fetch the signed-in user's level map and store it as `progress`.
+   * Each level additionally carries `unlocked`, `completed`, `avg_score`
+   * and the `unmet` prerequisites that keep it locked.
+   * @returns {Promise<void>}
+   */
+  const fetchProgress = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await levelService.getProgress();
+      const normalized = Array.isArray(data) ? data.map(normalizeLevel) : [];
+      normalized.sort((a, b) => a.order - b.order);
+      setProgress(normalized);
+    } catch (err) {
+      setError(err.message);
+      setProgress([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
   /**
    * Fetch a single level by ID and merge it into local state.
    * @param {number|string} id - Level ID
@@ -142,6 +169,31 @@ export function useLevels() {
     }
   }, []);
 
+  /**
+   * Replace a level's prerequisites and merge the result into state.
+   * @param {number|string} id - Level ID
+   * @param {Array<{required_level_id: number, min_score?: number|null}>} prerequisites - New unlock rules
+   * @returns {Promise<object>} The updated level
+   * @throws {Error} if the rules are rejected
+   */
+  const setPrerequisites = useCallback(async (id, prerequisites) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const updated = await levelService.setPrerequisites(id, prerequisites);
+      const lvl = normalizeLevel(updated);
+      setLevels(prev =>
+        prev.map(x => (x.id === lvl.id ? { ...x, ...lvl } : x)).sort((a, b) => a.order - b.order)
+      );
+      return lvl;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
   /**
    * Delete a level by ID and remove it from state.
    * @param {number|string} id - Level ID
@@ -172,13 +224,16 @@ export function useLevels() {
 
   return {
     levels,
+    progress,
     loading,
     error,
     fetchLevels,
     fetchLevel,
+    fetchProgress,
     createLevel,
     updateLevel,
     deleteLevel,
+    setPrerequisites,
     clearError,
     setLevels, // optional, handy for local tweaks
   };
@@ -1,11 +1,13 @@
 import { useState, useCallback } from 'react';
 import { userService } from '../services/userService'; // ✅ add this
+import { authService } from '../services/authService';
 
 /**
  * Custom React hook for handling user registration.
  *
  * Handles:
  * - Submitting signup data to the API
+ * - Resending the email verification link
  * - Managing loading and error states
  * - Exposing a clean API for UI components
  *
@@ -13,6 +15,7 @@ import { userService } from '../services/userService'; // ✅ add this
  * @property {boolean} loading - Indicates if the signup process is in progress
  * @property {string} error - Error message from the signup process, if any
  * @property {Function} signup - Function to create a new user account
+ * @property {Function} resendVerification - Function to email a new verification link
  * @property {Function} clearError - Function to reset the error state
  *
  * @example
@@ -55,8 +58,28 @@ export function useSignUp() {
     }
   }, []);
 
+  /**
+   * Email a new verification link to a freshly registered address.
+   *
+   * @param {string} email - The address used to sign up
+   * @returns {Promise<{ message: string }>}
+   * @throws {Error} If the request fails
+   */
+  const resendVerification = useCallback(async (email) => {
+    setLoading(true);
+    setError('');
+    try {
+      return await authService.resendVerification(email);
+    } catch (e) {
+      setError(e.message || 'Could not resend the email.');
+      throw e;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
   /** Clear any existing error message. */
   const clearError = () => setError('');
 
-  return { loading, error, signup, clearError };
+  return { loading, error, signup, resendVerification, clearError };
 }
@@ -6,10 +6,10 @@ import { userLevelService } from "../services/userLevelService";
  * React hook for managing user level progress.
  *
  * Handles:
- * - Fetching user levels from the backend
- * - Marking levels as completed or unlocked
- * - Automatically unlocking the next level
- * - CRUD operations for user-level relations
+ * - Fetching user levels from the backend. Progress is written by the server
+ *   when a scenario is submitted (which levels unlock next is decided from
+ *   each level's prerequisites): fetch again after a submission to pick it up
+ * - CRUD operations for user-level relations (admins, `attempts:manage`)
  * - Error and loading state management
  *
  * @returns {object} Hook API
@@ -18,15 +18,12 @@ import { userLevelService } from "../services/userLevelService";
  * @property {string|null} error - Error message, if any
  * @property {Function} fetchUserLevels - Fetch all user levels for a given user
  * @property {Function} clearError - Clear the current error message
- * @property {Function} markLevelCompleted - Mark a level as completed (and unlocked)
- * @property {Function} unlockLevel - Unlock a level without marking it completed
- * @property {Function} unlockNextLevel - Unlock the next level based on order or ID
  * @property {Function} createUserLevel - (Optional) Create a new user-level record
  * @property {Function} updateUserLevel - (Optional) Update a user-level record
  * @property {Function} deleteUserLevel - (Optional) Delete a user-level record
  *
  * @example
- * const { userLevels, fetchUserLevels, markLevelCompleted, unlockNextLevel } = useUserLevels();
+ * const { userLevels, fetchUserLevels } = useUserLevels();
  *
  * useEffect(() => {
  *   fetchUserLevels(currentUser.id);
@@ -62,118 +59,6 @@ export function useUserLevels() {
   /** Clear any existing error message. */
   const clearError = useCallback(() => setError(null), []);
 
-  /**
-   * Mark a level as completed (and unlocked) for a user.
-   *
-   * @param {number|string} userId - The user's ID
-   * @param {number|string} levelId - The level's ID
-   * @returns {Promise<object|null>} The updated user-level record
-   */
-  const markLevelCompleted = useCallback(async (userId, levelId) => {
-    if (!userId || !levelId) return null;
-    const updated = await userLevelService.upsertUserLevel({
-      user_id: userId,
-      level_id: levelId,
-      unlocked: true,
-      completed: true,
-    });
-
-    setUserLevels((prev) => {
-      const lid = Number(levelId);
-      const idx = prev.findIndex(
-        (x) => Number(x.level_id ?? x.levelId ?? x.id) === lid
-      );
-      if (idx >= 0) {
-        const copy = [...prev];
-        copy[idx] = { ...copy[idx], ...updated };
-        return copy;
-      }
-      return [updated, ...prev];
-    });
-
-    return updated;
-  }, []);
-
-  /**
-   * Unlock a level for a user without marking it as completed.
-   *
-   * @param {number|string} userId - The user's ID
-   * @param {number|string} levelId - The level's ID
-   * @returns {Promise<object|null>} The updated user-level record
-   */
-  const unlockLevel = useCallback(async (userId, levelId) => {
-    if (!userId || !levelId) return null;
-    const updated = await userLevelService.upsertUserLevel({
-      user_id: userId,
-      level_id: levelId,
-      unlocked: true,
-      completed: false,
-    });
-
-    setUserLevels((prev) => {
-      const lid = Number(levelId);
-      const idx = prev.findIndex(
-        (x) => Number(x.level_id ?? x.levelId ?? x.id) === lid
-      );
-      if (idx >= 0) {
-        const copy = [...prev];
-        copy[idx] = { ...copy[idx], ...updated };
-        return copy;
-      }
-      return [updated, ...prev];
-    });
-
-    return updated;
-  }, []);
-
-  /**
-   * Unlock the next level in sequence after completing the current one.
-   *
-   * Uses:
-   * - `order` field from the catalog if available
-   * - Fallback: numeric `levelId + 1`
-   *
-   * @param {number|string} userId - The user's ID
-   * @param {number|string} currentLevelId - The current level's ID
-   * @param {Array<object>} [levelsCatalog=[]] - Optional array of level metadata
-   * @returns {Promise<void>}
-   */
-  const unlockNextLevel = useCallback(
-    async (userId, currentLevelId, levelsCatalog = []) => {
-      if (!userId || !currentLevelId) return;
-
-      let nextId = null;
-
-      // Determine next level ID based on ordering
-      if (Array.isArray(levelsCatalog) && levelsCatalog.length > 0) {
-        const ordered = [...levelsCatalog].sort(
-          (a, b) => Number(a.order ?? a.id) - Number(b.order ?? b.id)
-        );
-        const idx = ordered.findIndex(
-          (l) => Number(l.id ?? l.level_id) === Number(currentLevelId)
-        );
-        if (idx >= 0 && ordered[idx + 1]) {
-          nextId = Number(ordered[idx + 1].id ?? ordered[idx + 1].level_id);
-        }
-      }
-
-      // Fallback: sequential unlock
-      if (!nextId) nextId = Number(currentLevelId) + 1;
-
-      // Skip if already unlocked or completed
-      const already = userLevels.some(
-        (ul) =>
-          Number(ul.level_id ?? ul.levelId ?? ul.id) === nextId &&
-          (ul.unlocked === true || ul.completed === true)
-      );
-      if (already) return;
-
-      await unlockLevel(userId, nextId);
-      await fetchUserLevels(userId); // Refresh state
-    },
-    [unlockLevel, fetchUserLevels, userLevels]
-  );
-
   /**
    * (Optional) Create a new user-level record.
    *
@@ -252,10 +137,6 @@ export function useUserLevels() {
     error,
     fetchUserLevels,
     clearError,
-    // unlocking helpers
-    markLevelCompleted,
-    unlockLevel,
-    unlockNextLevel,
     // optional CRUD methods
     createUserLevel,
     updateUserLevel,
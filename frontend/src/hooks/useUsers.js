@@ -12,7 +12,7 @@ import { useState, useEffect, useCallback } from 'react';
 import { userService } from '../services/userService';
 
 /**
- * React hook for managing user data (Admin only).
+ * React hook for managing user data (staff only: reading needs `users:read`, changes need `users:write` or `users:delete`).
  *
  * Handles:
  * - Fetching all users from the backend
@@ -46,7 +46,7 @@ export function useUsers() {
   const [error, setError] = useState(null);
 
   /**
-   * Fetch all users from the server (admin only).
+   * Fetch all users from the server (admins and instructors).
    *
    * @returns {Promise<void>}
    */
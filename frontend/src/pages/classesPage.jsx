@@ -0,0 +1,311 @@
+// src/pages/ClassesPage.jsx
+
+/**
+ * ClassesPage
+ * -----------------------------------------------------------------------------
+ * Staff view of classes and their assignments (roles granted `reports:read`).
+ * - Lists the classes the user can see (their organization's only, for
+ *   organization staff) with member counts.
+ * - Shows the selected class's completion matrix: one row per member, one
+ *   column per assignment, each cell "completed", "pending" or "overdue".
+ * - With `assignments:write`: create a class, enroll a user by ID, and assign
+ *   a scenario or a level with a due date and minimum score.
+ *
+ * Data sources
+ * - useAuth(): user identity and permissions
+ * - assignmentService: listClasses(), getProgress(), createClass(), enroll(), createAssignment()
+ */
+
+import React, { useCallback, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "../hooks/useAuth";
+import { assignmentService } from "../services/assignmentService";
+import "../styles/profile.css";
+import "../styles/classes.css";
+
+/** Chip style per assignment status (matches profile.css chips). */
+const STATUS_CHIP = {
+  completed: { label: "Done", className: "ok" },
+  pending: { label: "To do", className: "muted" },
+  overdue: { label: "Overdue", className: "expired" },
+};
+
+const EMPTY_ASSIGNMENT = { target: "level", id: "", due_at: "", min_score: "80" };
+
+/** Short date, e.g. "1 Nov 2026" */
+const shortDate = (value) =>
+  new Date(value).toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" });
+
+/**
+ * Text inside a matrix cell.
+ * @param {{best_score?: number|null, passed?: number, total?: number}} cell
+ * @returns {string}
+ */
+const cellDetail = (cell) => {
+  if (cell.total != null) return `${cell.passed}/${cell.total}`;
+  return cell.best_score == null ? "—" : `${cell.best_score}%`;
+};
+
+export default function ClassesPage() {
+  const navigate = useNavigate();
+  const { user, loadMe } = useAuth();
+  const canRead = user?.permissions?.includes("reports:read");
+  const canWrite = user?.permissions?.includes("assignments:write");
+
+  const [classes, setClasses] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [matrix, setMatrix] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const [newClassName, setNewClassName] = useState("");
+  const [enrollUserId, setEnrollUserId] = useState("");
+  const [assignment, setAssignment] = useState(EMPTY_ASSIGNMENT);
+
+  useEffect(() => {
+    if (!user?.id) loadMe?.();
+  }, [user?.id, loadMe]);
+
+  /** Fetch the class list. */
+  const loadClasses = useCallback(async () => {
+    try {
+      setClasses(await assignmentService.listClasses());
+    } catch (err) {
+      setError(err?.message || "Could not load classes.");
+    }
+  }, []);
+
+  /** Fetch the completion matrix of a class. */
+  const loadMatrix = useCallback(async (classId) => {
+    setLoading(true);
+    setError("");
+    try {
+      setMatrix(await assignmentService.getProgress(classId));
+    } catch (err) {
+      setMatrix(null);
+      setError(err?.message || "Could not load class progress.");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (canRead) loadClasses();
+  }, [canRead, loadClasses]);
+
+  useEffect(() => {
+    if (selectedId) loadMatrix(selectedId);
+  }, [selectedId, loadMatrix]);
+
+  /**
+   * Run a write action, then refresh the list and the open matrix.
+   * @param {() => Promise<void>} action
+   */
+  const run = async (action) => {
+    setError("");
+    try {
+      await action();
+      await loadClasses();
+      if (selectedId) await loadMatrix(selectedId);
+    } catch (err) {
+      setError(err?.message || "Something went wrong. Please try again.");
+    }
+  };
+
+  /** @param {React.FormEvent<HTMLFormElement>} e */
+  const handleCreateClass = (e) => {
+    e.preventDefault();
+    if (!newClassName.trim()) return;
+    run(async () => {
+      const created = await assignmentService.createClass(newClassName.trim());
+      setNewClassName("");
+      setSelectedId(created.class_id);
+    });
+  };
+
+  /** @param {React.FormEvent<HTMLFormElement>} e */
+  const handleEnroll = (e) => {
+    e.preventDefault();
+    if (!enrollUserId) return;
+    run(async () => {
+      await assignmentService.enroll(selectedId, enrollUserId);
+      setEnrollUserId("");
+    });
+  };
+
+  /** @param {React.FormEvent<HTMLFormElement>} e */
+  const handleAssign = (e) => {
+    e.preventDefault();
+    if (!assignment.id || !assignment.due_at) return;
+    run(async () => {
+      await assignmentService.createAssignment(selectedId, {
+        [assignment.target === "level" ? "level_id" : "scenario_id"]: Number(assignment.id),
+        due_at: new Date(`${assignment.due_at}T23:59:59`).toISOString(),
+        min_score: Number(assignment.min_score),
+      });
+      setAssignment(EMPTY_ASSIGNMENT);
+    });
+  };
+
+  if (user && !canRead) {
+    return (
+      <div className="profile-page">
+        <header className="profile-topbar">
+          <button className="btn small ghost" onClick={() => navigate(-1)}>
+            ← Back
+          </button>
+          <h1>Classes</h1>
+          <span />
+        </header>
+        <p className="muted">Classes are only available to instructors and administrators.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="profile-page">
+      <header className="profile-topbar">
+        <button className="btn small ghost" onClick={() => navigate(-1)}>
+          ← Back
+        </button>
+        <h1>Classes</h1>
+        <span />
+      </header>
+
+      {error && <p className="classes-error">{error}</p>}
+
+      <div className="classes-layout">
+        {/* Class list ---------------------------------------------------------- */}
+        <aside className="classes-list">
+          {classes.length === 0 && <p className="muted">No classes yet.</p>}
+          {classes.map((c) => (
+            <button
+              key={c.class_id}
+              className={`class-item ${c.class_id === selectedId ? "active" : ""}`}
+              onClick={() => setSelectedId(c.class_id)}
+            >
+              <span>{c.name}</span>
+              <span className="chip muted">{c.member_count} members</span>
+            </button>
+          ))}
+
+          {canWrite && (
+            <form onSubmit={handleCreateClass} className="classes-form">
+              <input
+                value={newClassName}
+                onChange={(e) => setNewClassName(e.target.value)}
+                placeholder="New class name"
+                maxLength={150}
+              />
+              <button type="submit" className="btn small primary">Create</button>
+            </form>
+          )}
+        </aside>
+
+        {/* Completion matrix --------------------------------------------------- */}
+        <section className="classes-matrix">
+          {!selectedId && <p className="muted">Select a class to see its progress.</p>}
+          {selectedId && loading && !matrix && <p className="muted">Loading…</p>}
+
+          {matrix && (
+            <>
+              <h2>{matrix.class.name}</h2>
+
+              {matrix.assignments.length === 0 || matrix.members.length === 0 ? (
+                <p className="muted">
+                  {matrix.members.length === 0
+                    ? "Nobody is enrolled in this class yet."
+                    : "This class has no assignments yet."}
+                </p>
+              ) : (
+                <div className="matrix-scroll">
+                  <table className="matrix-table">
+                    <thead>
+                      <tr>
+                        <th>Member</th>
+                        {matrix.assignments.map((a) => (
+                          <th key={a.assignment_id}>
+                            <span className="matrix-title">{a.title}</span>
+                            <span className="matrix-sub">
+                              Due {shortDate(a.due_at)} · {a.min_score}%+ ·{" "}
+                              {a.completed_count}/{matrix.members.length} done
+                            </span>
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {matrix.members.map((m) => (
+                        <tr key={m.user_id}>
+                          <td>
+                            <span className="matrix-title">{m.full_name}</span>
+                            <span className="matrix-sub">{m.email}</span>
+                          </td>
+                          {m.progress.map((cell) => {
+                            const chip = STATUS_CHIP[cell.status] ?? STATUS_CHIP.pending;
+                            return (
+                              <td key={cell.assignment_id}>
+                                <span className={`chip ${chip.className}`}>{chip.label}</span>
+                                <span className="matrix-sub">{cellDetail(cell)}</span>
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {canWrite && (
+                <div className="classes-actions">
+                  <form onSubmit={handleEnroll} className="classes-form">
+                    <input
+                      type="number"
+                      min="1"
+                      value={enrollUserId}
+                      onChange={(e) => setEnrollUserId(e.target.value)}
+                      placeholder="User ID"
+                    />
+                    <button type="submit" className="btn small primary">Enroll</button>
+                  </form>
+
+                  <form onSubmit={handleAssign} className="classes-form">
+                    <select
+                      value={assignment.target}
+                      onChange={(e) => setAssignment({ ...assignment, target: e.target.value })}
+                    >
+                      <option value="level">Level</option>
+                      <option value="scenario">Scenario</option>
+                    </select>
+                    <input
+                      type="number"
+                      min="1"
+                      value={assignment.id}
+                      onChange={(e) => setAssignment({ ...assignment, id: e.target.value })}
+                      placeholder={assignment.target === "level" ? "Level ID" : "Scenario ID"}
+                    />
+                    <input
+                      type="date"
+                      value={assignment.due_at}
+                      onChange={(e) => setAssignment({ ...assignment, due_at: e.target.value })}
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={assignment.min_score}
+                      onChange={(e) => setAssignment({ ...assignment, min_score: e.target.value })}
+                      title="Minimum score (%)"
+                    />
+                    <button type="submit" className="btn small primary">Assign</button>
+                  </form>
+                </div>
+              )}
+            </>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+/**
+ * ForgotPasswordPage
+ * -----------------------------------------------------------------------------
+ * Lets a user request a password reset link by email.
+ * - Always shows the same confirmation after submitting, since the API does not
+ *   reveal whether an email is registered.
+ *
+ * Key flows
+ * - handleSubmit: validates the email, calls authService.forgotPassword(), and
+ *   switches to the confirmation message.
+ */
+
+import React, { useState } from "react";
+import { useNavigate, Link } from "react-router-dom";
+import { authService } from "../services/authService";
+import "../styles/logIn.css";
+
+export default function ForgotPasswordPage() {
+  const navigate = useNavigate();
+  const [email, setEmail] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [sent, setSent] = useState("");
+  const [error, setError] = useState("");
+
+  /**
+   * Request a reset link for the typed email.
+   * @param {React.FormEvent<HTMLFormElement>} e
+   * @returns {Promise<void>}
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    if (!/^\S+@\S+\.\S+$/.test(email)) return setError("Please enter a valid email.");
+
+    setSubmitting(true);
+    try {
+      const res = await authService.forgotPassword(email.trim());
+      setSent(res?.message || "If an account exists for that email, a reset link is on its way.");
+    } catch (err) {
+      setError(err?.message || "Could not send the reset link. Please try again.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-root">
+      <div className="auth-stage">
+        <div className="auth-card">
+          <button className="back-btn" onClick={() => navigate("/login")}>
+            ← Back
+          </button>
+
+          <h1>Forgot your password?</h1>
+          <p className="lead">Enter your email and we'll send you a link to choose a new one.</p>
+
+          {sent ? (
+            <p className="success-text">{sent}</p>
+          ) : (
+            <form onSubmit={handleSubmit} className="auth-form">
+              <div className="field">
+                <label>Email</label>
+                <input
+                  type="email"
+                  name="email"
+                  value={email}
+                  onChange={(e) => { setError(""); setEmail(e.target.value); }}
+                  placeholder="you@example.com"
+                  disabled={submitting}
+                />
+              </div>
+
+              <button type="submit" disabled={submitting} className="btn-primary">
+                {submitting ? "Sending…" : "Send reset link"}
+              </button>
+            </form>
+          )}
+
+          {error && <p className="error-text">{error}</p>}
+
+          <p className="auth-switch">
+            Remembered it? <Link to="/login">Back to log in</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
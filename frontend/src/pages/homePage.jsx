@@ -7,31 +7,73 @@
  *
  * Responsibilities:
  * - Ensures an authenticated user is available (via `useAuth().loadMe()`).
- * - Fetches the list of levels (`useLevels`) and the user's level progress
- *   (`useUserLevels`) on mount and whenever the window regains focus.
- * - Derives which levels are unlocked for the current user.
- * - Renders up to six level cards (locked/unlocked), with friendly fallbacks
- *   when the API provides fewer than six levels.
+ * - Fetches the user's level map (`useLevels().fetchProgress`) on mount and
+ *   whenever the window regains focus.
+ * - Renders one card per level in difficulty order (locked/unlocked); the
+ *   number of levels comes entirely from the API.
+ * - Lists "Assigned to you": assignments from the user's classes with their
+ *   due date, minimum score and status (hidden when there are none).
  *
  * Data flow summary:
- *   useAuth()        -> { user, loadMe }
- *   useLevels()      -> { levels, loading: levelsLoading, error: levelsError, fetchLevels }
- *   useUserLevels()  -> { userLevels, loading: ulLoading, error: ulError, fetchUserLevels }
+ *   useAuth()    -> { user, loadMe }
+ *   useLevels()  -> { progress, loading, error, fetchProgress }
+ *   assignmentService.getMine() -> assignments with status and progress
  *
  * UX notes:
  * - Shows skeletons while loading, and a retry UI on error.
  * - Uses <Link /> to navigate to an unlocked level.
- * - Unlock state is derived from userLevels (unlocked || completed) and
- *   Level 1 is always unlocked by default for first-time users.
+ * - Unlock state is decided by the server from each level's prerequisites;
+ *   locked cards list what is still needed to unlock them.
  */
 
-import React, { useMemo, useEffect } from "react";
+import React, { useMemo, useEffect, useState, useCallback } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import { useLevels } from "../hooks/useLevels";
-import { useUserLevels } from "../hooks/useUserLevels";
 import { useAuth } from "../hooks/useAuth";
+import { assignmentService } from "../services/assignmentService";
 import "../styles/home.css";
 
+/** Decorative emojis for level cards, assigned by position. */
+const LEVEL_EMOJIS = ["🩹", "🫁", "🩸", "🔥", "🚑", "🧯", "🫀", "🧠"];
+
+/** Number of skeleton cards shown while the level map loads. */
+const SKELETON_COUNT = 6;
+
+/**
+ * Describe an unmet prerequisite for a locked card.
+ *
+ * @param {{required_level_id: number, min_score: number|null, avg_score: number}} rule - Unmet rule from the API
+ * @param {string} [title] - Title of the required level
+ * @returns {string} e.g. "Complete Airway" or "Score 80% in Airway (now 65%)"
+ */
+function describeRule(rule, title) {
+  const name = title || `Level ${rule.required_level_id}`;
+  if (rule.min_score == null) return `Complete ${name}`;
+  return `Score ${rule.min_score}% in ${name} (now ${Math.round(rule.avg_score)}%)`;
+}
+
+/** Status chip labels for assignments. */
+const ASSIGNMENT_STATUS = {
+  completed: "Done",
+  pending: "To do",
+  overdue: "Overdue",
+};
+
+/**
+ * Progress line for an assignment card.
+ *
+ * @param {{scenario_id: number|null, min_score: number, best_score?: number|null, passed?: number, total?: number}} a
+ * @returns {string} e.g. "Best 65% · need 80%" or "2 of 4 scenarios at 80%+"
+ */
+function describeProgress(a) {
+  if (a.scenario_id != null) {
+    return a.best_score == null
+      ? `Not attempted · need ${a.min_score}%`
+      : `Best ${a.best_score}% · need ${a.min_score}%`;
+  }
+  return `${a.passed} of ${a.total} scenarios at ${a.min_score}%+`;
+}
+
 export default function HomePage() {
   const navigate = useNavigate();
 
@@ -39,107 +81,65 @@ export default function HomePage() {
   // If user is not loaded yet, we call loadMe() to fetch it using the stored token.
   const { user, loadMe } = useAuth();
 
-  // Levels catalog (title/description/order) ----------------------------------
-  const {
-    levels,
-    loading: levelsLoading,
-    error: levelsError,
-    fetchLevels,
-  } = useLevels();
-
-  // User-specific progress across levels --------------------------------------
-  const {
-    userLevels,
-    loading: ulLoading,
-    error: ulError,
-    fetchUserLevels,
-  } = useUserLevels();
+  // The user's level map (catalog + unlock/completion per level) -------------
+  const { progress, loading, error, fetchProgress } = useLevels();
 
   // Ensure we have user & data -------------------------------------------------
   // 1) If no user -> attempt to load it
-  // 2) Once user exists -> fetch levels + user's level progress
+  // 2) Once user exists -> fetch the user's level map
   useEffect(() => {
     if (!user?.id) {
       loadMe?.();
       return;
     }
-    fetchLevels?.();
-    fetchUserLevels?.(user.id);
-  }, [user?.id, loadMe, fetchLevels, fetchUserLevels]);
+    fetchProgress?.();
+  }, [user?.id, loadMe, fetchProgress]);
+
+  // Assignments from the user's classes ---------------------------------------
+  // Not critical to the page: failures just hide the section.
+  const [assignments, setAssignments] = useState([]);
+
+  const fetchAssignments = useCallback(async () => {
+    try {
+      setAssignments(await assignmentService.getMine());
+    } catch {
+      setAssignments([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user?.id) fetchAssignments();
+  }, [user?.id, fetchAssignments]);
 
   // Optional: refetch when the window regains focus so progress is up-to-date --
   useEffect(() => {
     const onFocus = () => {
-      if (user?.id) {
-        fetchLevels?.();
-        fetchUserLevels?.(user.id);
-      }
+      if (!user?.id) return;
+      fetchProgress?.();
+      fetchAssignments();
     };
     window.addEventListener("focus", onFocus);
     return () => window.removeEventListener("focus", onFocus);
-  }, [user?.id, fetchLevels, fetchUserLevels]);
-
-  // Build a set of unlocked level IDs -----------------------------------------
-  // A level is considered unlocked if the user has it marked as unlocked or completed.
-  // We also force Level 1 to be unlocked by default to start the journey.
-  const unlockedIds = useMemo(() => {
-    const set = new Set();
+  }, [user?.id, fetchProgress, fetchAssignments]);
 
-    (userLevels ?? []).forEach((ul) => {
-      const id = Number(ul.level_id ?? ul.levelId ?? ul.id);
-      const isUnlocked = Boolean(ul.unlocked) || Boolean(ul.completed);
-      if (id && isUnlocked) set.add(id);
-    });
-
-    // Always unlock level 1 by default
-    set.add(1);
-
-    return set;
-  }, [userLevels]);
-
-  // Prepare up to six level tiles for display ---------------------------------
-  // Uses emoji/title fallbacks if API provides fewer than six.
+  // Prepare level tiles for display ------------------------------------------
+  // Emojis are decorative only and cycle by position.
   const displayLevels = useMemo(() => {
-    const fallback = {
-      1: { title: "Level 1 · Basics", emoji: "🩹" },
-      2: { title: "Level 2 · Airway", emoji: "🫁" },
-      3: { title: "Level 3 · Bleeding", emoji: "🩸" },
-      4: { title: "Level 4 · Burns", emoji: "🔥" },
-      5: { title: "Level 5 · Shock", emoji: "🚑" },
-      6: { title: "Level 6 · Multi-Trauma", emoji: "🧯" },
-    };
+    const titleById = new Map(
+      (progress ?? []).map((lv) => [Number(lv.id), lv.title || `Level ${lv.id}`])
+    );
 
-    const six =
-      levels
-        ?.slice()
-        ?.sort((a, b) => Number(a.order ?? a.id) - Number(b.order ?? b.id))
-        ?.slice(0, 6)
-        ?.map((lv) => {
-          const id = Number(lv.id ?? lv.level_id);
-          return {
-            id,
-            title: lv.title || fallback[id]?.title || `Level ${id}`,
-            emoji: lv.emoji || fallback[id]?.emoji || "🎮",
-            unlocked: unlockedIds.has(id),
-          };
-        }) || [];
-
-    // Fill placeholders if fewer than six come from the API
-    for (let i = six.length + 1; i <= 6; i++) {
-      six.push({
-        id: i,
-        title: fallback[i]?.title || `Level ${i}`,
-        emoji: fallback[i]?.emoji || "🎮",
-        unlocked: unlockedIds.has(i),
-      });
-    }
-
-    return six.slice(0, 6);
-  }, [levels, unlockedIds]);
-
-  // Aggregate load/error states ------------------------------------------------
-  const loading = levelsLoading || ulLoading;
-  const error = levelsError || ulError;
+    return (progress ?? []).map((lv, i) => ({
+      id: Number(lv.id),
+      title: lv.title || `Level ${lv.id}`,
+      emoji: lv.emoji || LEVEL_EMOJIS[i % LEVEL_EMOJIS.length],
+      unlocked: Boolean(lv.unlocked),
+      completed: Boolean(lv.completed),
+      requirements: (lv.unmet ?? []).map((rule) =>
+        describeRule(rule, titleById.get(Number(rule.required_level_id)))
+      ),
+    }));
+  }, [progress]);
 
   return (
     <div className="home-root">
@@ -162,10 +162,44 @@ export default function HomePage() {
         <p className="lead">Advance through each level and ace it to earn your next badge!</p>
       </div>
 
+      {/* Assigned to you (classes) ------------------------------------------- */}
+      {assignments.length > 0 && (
+        <section className="assigned-section">
+          <h2>Assigned to you</h2>
+          <ul className="assigned-list">
+            {assignments.map((a) => {
+              const levelId = a.level_id ?? a.scenario_level_id;
+              const target = a.scenario_id != null
+                ? `/level/${levelId}/scenario/${a.scenario_id}`
+                : `/level/${levelId}`;
+              return (
+                <li key={a.assignment_id} className={`assigned-item ${a.status}`}>
+                  <Link to={target} className="assigned-link">
+                    <span className="assigned-title">{a.title}</span>
+                    <span className="muted">
+                      {a.class_name} · due{" "}
+                      {new Date(a.due_at).toLocaleDateString(undefined, {
+                        year: "numeric",
+                        month: "short",
+                        day: "numeric",
+                      })}
+                    </span>
+                    <span className="muted">{describeProgress(a)}</span>
+                  </Link>
+                  <span className={`badge assigned-badge ${a.status}`}>
+                    {ASSIGNMENT_STATUS[a.status] ?? a.status}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+      )}
+
       {/* Loading skeletons ----------------------------------------------------- */}
       {loading && (
         <section className="home-grid">
-          {Array.from({ length: 6 }).map((_, i) => (
+          {Array.from({ length: progress?.length || SKELETON_COUNT }).map((_, i) => (
             <div className="level-card skeleton" key={`sk-${i}`} />
           ))}
         </section>
@@ -176,27 +210,23 @@ export default function HomePage() {
         <div className="home-error">
           <p>Couldn’t load levels: {error}</p>
           <div style={{ display: "flex", gap: 8, justifyContent: "center" }}>
-            <button
-              className="btn small ghost"
-              onClick={() => user?.id && fetchUserLevels?.(user.id)}
-            >
-              Retry user levels
-            </button>
-            <button className="btn small flow" onClick={fetchLevels}>
+            <button className="btn small flow" onClick={fetchProgress}>
               Retry levels
             </button>
           </div>
         </div>
       )}
 
-      {/* Normal display: six cards (locked/unlocked) -------------------------- */}
+      {/* Normal display: one card per level (locked/unlocked) ----------------- */}
       {!loading && !error && (
         <section className="home-grid">
           {displayLevels.map((lv) =>
             lv.unlocked ? (
               <Link to={`/level/${lv.id}`} className="level-card unlocked" key={lv.id}>
                 <div className="card-top">
-                  <span className="badge unlocked-badge">Unlocked</span>
+                  <span className="badge unlocked-badge">
+                    {lv.completed ? "Completed" : "Unlocked"}
+                  </span>
                   <span className="emoji">{lv.emoji}</span>
                 </div>
                 <h3>{lv.title}</h3>
@@ -212,7 +242,11 @@ export default function HomePage() {
                   <span className="emoji">{lv.emoji}</span>
                 </div>
                 <h3>{lv.title}</h3>
-                <p className="muted">Complete earlier levels to unlock.</p>
+                <p className="muted">
+                  {lv.requirements.length
+                    ? `To unlock: ${lv.requirements.join(" · ")}`
+                    : "Complete earlier levels to unlock."}
+                </p>
                 <div className="card-actions">
                   <span className="btn small ghost">Locked</span>
                 </div>
@@ -3,13 +3,13 @@
  * -----------------------------------------------------------------------------
  * Displays a level's overview: title/description, progress across scenarios,
  * and the list of scenarios for navigation. Tracks attempts for the current user,
- * computes progress, and awards a one-time completion badge when all scenarios
- * are finished.
+ * computes progress, and shows the level's badge once when all scenarios
+ * are finished (badges themselves are awarded by the server on submit).
  *
  * Notes
  * - Data sources: useAuth, useLevels, useScenarios, useAttempts, useBadges.
  * - Progress: best score per scenario is normalized to a 0–100% scale.
- * - Badge: shown/created once per (user, level), guarded via localStorage.
+ * - Badge: shown once per (user, level), guarded via localStorage; never created here.
  * - Icon URLs: normalized to a safe, resolvable path with a fallback image.
  */
 
@@ -61,7 +61,7 @@ export default function LevelPage() {
     fetchAttemptsByUserAndLevel,
     loading: attemptsLoading,
   } = useAttempts();
-  const { badges, createBadge } = useBadges();
+  const { badges } = useBadges();
 
   // Modal: holds a newly earned badge, if any
   const [earnedBadge, setEarnedBadge] = useState(null);
@@ -165,30 +165,16 @@ export default function LevelPage() {
     const justCompleted = allDoneNow && prev < totalScenarios;
 
     if (justCompleted && !alreadyShown && user?.id) {
-      const existing = badges.find(
-        (b) => Number(b.level_id) === id && Number(b.user_id) === Number(user.id)
+      // The server awards badges on submit; here we only celebrate the level's badge
+      const levelBadge = badges.find(
+        (b) =>
+          (b.criteria?.type === "perfect_level" && Number(b.criteria.level_id) === id) ||
+          Number(b.level_id) === id
       );
 
-      if (existing) {
-        setEarnedBadge(existing);
+      if (levelBadge) {
+        setEarnedBadge(levelBadge);
         localStorage.setItem(storageKey, "1");
-      } else {
-        const badgeData = {
-          user_id: user.id,
-          level_id: id,
-          name: `${level.title} Master`,
-          description: `Completed all scenarios in ${level.title}`,
-          icon_url: "trophy",
-        };
-
-        createBadge(badgeData)
-          .then((newBadge) => {
-            setEarnedBadge(newBadge);
-            localStorage.setItem(storageKey, "1");
-          })
-          .catch((err) => {
-            console.error("Failed to create badge:", err);
-          });
       }
     }
 
@@ -199,8 +185,6 @@ export default function LevelPage() {
     id,
     user?.id,
     badges,
-    createBadge,
-    level.title,
   ]);
 
   // ── Render ────────────────────────────────────────────────────────────────
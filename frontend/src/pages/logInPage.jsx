@@ -2,8 +2,12 @@
  * LoginPage
  * -----------------------------------------------------------------------------
  * Renders the login screen and wires up authentication via useAuth().
- * - Submits credentials from <LoginForm /> and navigates to /home on success.
+ * - Submits credentials from <LoginForm /> and navigates to /home on success,
+ *   to /login/2fa when the account uses two-factor authentication, or to
+ *   /security/2fa when the account's role requires 2FA that is not set up yet.
  * - Shows loading and error states from both the auth hook and local submission.
+ * - Shows a countdown while the API throttles or locks the account after
+ *   repeated failed logins; the form stays disabled until it runs out.
  * - Applies a mobile viewport height workaround using the --vh CSS variable.
  *
  * Key flows
@@ -17,11 +21,45 @@ import { useAuth } from "../hooks/useAuth";
 import LoginForm from "../components/LoginForm";
 import "../styles/Login.css";
 
+/** Lockout codes returned by the API with a `retry_after` (seconds). */
+const LOCKOUT_CODES = ["TOO_MANY_ATTEMPTS", "ACCOUNT_LOCKED"];
+
+/**
+ * Format a number of seconds as "m:ss" (or "Ns" under a minute).
+ * @param {number} seconds
+ * @returns {string}
+ */
+const formatWait = (seconds) =>
+  seconds < 60
+    ? `${seconds}s`
+    : `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+
 export default function LoginPage() {
   const navigate = useNavigate();
   const { login, error, clearError, loading } = useAuth();
   const [submitting, setSubmitting] = useState(false);
   const [localError, setLocalError] = useState("");
+  // { code, message, until } while the API refuses logins
+  const [lockout, setLockout] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  /**
+   * Count down the lockout once per second and lift it when it runs out.
+   */
+  useEffect(() => {
+    if (!lockout) return undefined;
+    const tick = () => {
+      const left = Math.ceil((lockout.until - Date.now()) / 1000);
+      if (left <= 0) {
+        setLockout(null);
+        clearError?.();
+      }
+      setSecondsLeft(Math.max(left, 0));
+    };
+    tick();
+    const id = setInterval(tick, 1000);
+    return () => clearInterval(id);
+  }, [lockout, clearError]);
 
   /**
    * Mobile viewport height workaround:
@@ -57,9 +95,24 @@ export default function LoginPage() {
     clearError?.();
     setSubmitting(true);
     try {
-      await login({ email: data.email, password: data.password });
-      navigate("/home"); // redirect after successful auth
+      const result = await login({ email: data.email, password: data.password });
+      if (result?.two_factor_required) {
+        navigate("/login/2fa", {
+          state: { challengeToken: result.challengeToken, expiresIn: result.expires_in },
+        });
+        return;
+      }
+      // redirect after successful auth
+      navigate(result?.two_factor_setup_required ? "/security/2fa" : "/home");
     } catch (e) {
+      if (LOCKOUT_CODES.includes(e?.data?.code) && e.data.retry_after) {
+        setLockout({
+          code: e.data.code,
+          message: e.message,
+          until: Date.now() + e.data.retry_after * 1000,
+        });
+        return;
+      }
       setLocalError(e?.message || "Login failed. Please try again.");
     } finally {
       setSubmitting(false);
@@ -77,13 +130,30 @@ export default function LoginPage() {
           <h1>Welcome back</h1>
           <p className="lead">Log in to continue your SimAid journey.</p>
 
-          <LoginForm onSubmit={handleLogin} disabled={loading || submitting} />
+          <LoginForm onSubmit={handleLogin} disabled={loading || submitting || !!lockout} />
 
           {(loading || submitting) && (
             <p className="subtle-status">Signing you in…</p>
           )}
-          {(error || localError) && (
-            <p className="error-text">{error || localError}</p>
+          {lockout ? (
+            <div className="lockout-notice" role="alert">
+              <strong>
+                {lockout.code === "ACCOUNT_LOCKED"
+                  ? "🔒 Account temporarily locked"
+                  : "⏳ Too many attempts"}
+              </strong>
+              <p>{lockout.message}</p>
+              <p className="lockout-timer">
+                You can try again in {formatWait(secondsLeft)}.
+              </p>
+              {lockout.code === "ACCOUNT_LOCKED" && (
+                <Link to="/forgot-password">Reset your password</Link>
+              )}
+            </div>
+          ) : (
+            (error || localError) && (
+              <p className="error-text">{error || localError}</p>
+            )
           )}
 
           <p className="auth-switch">
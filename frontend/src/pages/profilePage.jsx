@@ -7,7 +7,9 @@
  * - Account info (name, email, joined date)
  * - Overall level progress (computed from user-levels)
  * - Badge collection (locked vs unlocked)
- * - Certificate download when all 6 levels are completed
+ * - Qualification status: "valid until" per completed level, with the refresher
+ *   scenarios to pass once a level is expiring or expired
+ * - Server-issued certificate (serial, QR verification) when every level is completed
  *
  * Data sources
  * - useAuth(): user identity, loadMe(), logout()
@@ -15,21 +17,27 @@
  * - useLevels(): catalog of all levels
  * - useUserBadges(): user_badges rows (per-user badge unlocks)
  * - useUserLevels(): user-level completion/unlock states
+ * - recertificationService.getMine(): level/certificate expiry and refresher progress
  *
  * Behavior
  * - Fetch sequencing runs once per user session (guarded by ref).
  * - Icon URLs are normalized and made robust via resolveIconUrl().
  * - Level progress = completedLevels / totalLevels (percentage).
- * - Certificate is shown only when totalLevels === 6 AND completedLevels === 6.
+ * - Current level = first level (by difficulty order) not yet completed.
+ * - Certificate is shown only when there are levels AND all of them are completed;
+ *   it is then issued (or re-fetched) from the API via certificateService.issue().
  */
 
-import React, { useEffect, useMemo, useRef } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../hooks/useAuth";
 import { useBadges } from "../hooks/useBadges";
 import { useUserBadges } from "../hooks/useUserBadges";
 import { useUserLevels } from "../hooks/useUserLevels";
 import { useLevels } from "../hooks/useLevels";
+import { certificateService } from "../services/certificateService";
+import { recertificationService } from "../services/recertificationService";
+import CertificateModal from "../components/CertificateModal";
 import "../styles/profile.css";
 
 export default function ProfilePage() {
@@ -166,7 +174,7 @@ export default function ProfilePage() {
       .map((lvl) => ({
         id: normNum(lvl.level_id ?? lvl.id),
         title: lvl.title || `Level ${lvl.level_id ?? lvl.id}`,
-        order: normNum(lvl.order ?? lvl.sort_order) ?? null,
+        order: normNum(lvl.order ?? lvl.difficulty_order) ?? null,
       }))
       .filter((x) => x.id != null);
 
@@ -205,27 +213,100 @@ export default function ProfilePage() {
     return set;
   }, [orderedLevels, userLevelStateById]);
 
+  // First level in difficulty order that is not completed yet (or the last one)
   const currentLevelMeta = useMemo(() => {
-    const ids = orderedLevels.map((l) => l.id);
-    const completed = Array.from(completedLevelIds);
-    if (completed.length) {
-      const next = ids.find((id) => id > Math.max(...completed));
-      const nextMeta = orderedLevels.find((l) => l.id === (next ?? completed.at(-1)));
-      return { id: nextMeta?.id ?? 1, title: nextMeta?.title ?? `Level ${nextMeta?.id ?? 1}` };
-    }
-    const first = orderedLevels[0];
-    return { id: first?.id ?? 1, title: first?.title ?? "Level 1" };
+    const idx = orderedLevels.findIndex((l) => !completedLevelIds.has(l.id));
+    const position = idx === -1 ? orderedLevels.length : idx + 1;
+    const current = orderedLevels[position - 1];
+    if (!current) return { id: null, position: "—", title: "—" };
+    return { id: current.id, position, title: current.title };
   }, [orderedLevels, completedLevelIds]);
 
-  const totalLevels = orderedLevels.length || 1;
+  const totalLevels = orderedLevels.length;
   const completedLevels = completedLevelIds.size;
-  const levelProgress = Math.round((completedLevels / totalLevels) * 100);
+  const levelProgress = totalLevels
+    ? Math.round((completedLevels / totalLevels) * 100)
+    : 0;
 
   const loading =
     meLoading || badgesLoading || userBadgesLoading || levelsLoading || levelsAllLoading;
 
-  // Condition for certificate: exactly 6 levels and all completed
-  const showCertificate = totalLevels === 6 && completedLevels === 6;
+  // Condition for certificate: every level (however many exist) completed
+  const showCertificate = totalLevels > 0 && completedLevels === totalLevels;
+
+  // Server-issued certificate (the API re-checks completion before issuing)
+  const [certificate, setCertificate] = useState(null);
+  const [certificateError, setCertificateError] = useState("");
+  const [showCertificateModal, setShowCertificateModal] = useState(false);
+
+  useEffect(() => {
+    if (!showCertificate || !user?.id) return;
+    let cancelled = false;
+    certificateService
+      .issue()
+      .then((cert) => !cancelled && setCertificate(cert))
+      .catch((e) => !cancelled && setCertificateError(e?.message || "Could not load certificate"));
+    return () => {
+      cancelled = true;
+    };
+  }, [showCertificate, user?.id]);
+
+  // ---------- RECERTIFICATION ----------
+  const [recert, setRecert] = useState(null);
+
+  useEffect(() => {
+    if (!user?.id) return;
+    let cancelled = false;
+    recertificationService
+      .getMine()
+      .then((status) => !cancelled && setRecert(status))
+      .catch(() => !cancelled && setRecert(null));
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.id]);
+
+  const certifiedLevels = useMemo(
+    () => (recert?.levels ?? []).filter((l) => l.status !== "not_completed"),
+    [recert]
+  );
+
+  const levelsDueRefresher = certifiedLevels.filter(
+    (l) => l.status === "expiring" || l.status === "expired"
+  ).length;
+
+  /** Long date, e.g. "12 January 2027" */
+  const longDate = (value) =>
+    value
+      ? new Date(value).toLocaleDateString(undefined, {
+          year: "numeric",
+          month: "long",
+          day: "numeric",
+        })
+      : "—";
+
+  /**
+   * Chip label and style for a validity status.
+   * @param {{status: string, expires_at: string|null}} item
+   * @returns {{label: string, className: string}}
+   */
+  const validityChip = ({ status, expires_at }) => {
+    if (!expires_at) return { label: "No expiry", className: "ok" };
+    if (status === "expired") return { label: `Expired ${longDate(expires_at)}`, className: "expired" };
+    if (status === "expiring") return { label: `Renew by ${longDate(expires_at)}`, className: "warn" };
+    return { label: `Valid until ${longDate(expires_at)}`, className: "ok" };
+  };
+
+  // The API reports the certificate's status; a just-issued one is current
+  const certificateChip = certificate
+    ? validityChip({
+        status:
+          recert?.certificate?.serial === certificate.serial
+            ? recert.certificate.status
+            : "current",
+        expires_at: certificate.expires_at,
+      })
+    : null;
 
   // ---------- Render ----------
   return (
@@ -235,6 +316,14 @@ export default function ProfilePage() {
           ← Back
         </button>
         <h1>Your Profile</h1>
+        {user?.permissions?.includes("reports:read") && (
+          <button className="btn small ghost" onClick={() => navigate("/classes")}>
+            📋 Classes
+          </button>
+        )}
+        <button className="btn small ghost" onClick={() => navigate("/security/2fa")}>
+          🔐 {user?.two_factor_enabled ? "2FA on" : "Set up 2FA"}
+        </button>
         <button
           className="btn small danger"
           onClick={async () => {
@@ -279,7 +368,7 @@ export default function ProfilePage() {
 
         <div className="stat-box red">
           <div className="stat-icon">🎮</div>
-          <div className="stat-value">{currentLevelMeta.id}</div>
+          <div className="stat-value">{currentLevelMeta.position}</div>
           <div className="stat-label">
             Current Level — {currentLevelMeta.title}
           </div>
@@ -335,7 +424,54 @@ export default function ProfilePage() {
         )}
       </section>
 
-      {/* Certificate (only when 6/6 levels completed) */}
+      {/* Qualification status (expiry + refresher path) */}
+      {certifiedLevels.length > 0 && (
+        <section className="validity-section">
+          <h3>Qualification Status 🩺</h3>
+
+          {levelsDueRefresher > 0 && (
+            <p className="validity-alert">
+              {levelsDueRefresher === 1 ? "1 level needs" : `${levelsDueRefresher} levels need`} a
+              refresher. Pass each refresher scenario with 80% or more to renew it.
+            </p>
+          )}
+
+          <div className="validity-list">
+            {certifiedLevels.map((lvl) => {
+              const chip = validityChip(lvl);
+              const due = lvl.status === "expiring" || lvl.status === "expired";
+              return (
+                <div key={lvl.level_id} className="validity-row">
+                  <div className="validity-head">
+                    <strong>{lvl.title}</strong>
+                    <span className={`chip ${chip.className}`}>{chip.label}</span>
+                  </div>
+
+                  {due && lvl.refresher?.length > 0 && (
+                    <ul className="refresher-list">
+                      {lvl.refresher.map((sc) => (
+                        <li key={sc.scenario_id}>
+                          <span>{sc.passed ? "✅" : "⬜"}</span>
+                          <button
+                            className="link-btn"
+                            onClick={() =>
+                              navigate(`/level/${lvl.level_id}/scenario/${sc.scenario_id}`)
+                            }
+                          >
+                            {sc.title}
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </section>
+      )}
+
+      {/* Certificate (only when every level is completed) */}
       {showCertificate && (
         <section className="certificate-section">
           <h3>🎉 Certificate of Completion</h3>
@@ -350,18 +486,32 @@ export default function ProfilePage() {
             />
           </div>
 
-          {/* Download link button */}
-          <a
-            className="btn primary"
-            href="/assets/certificate.png"
-            download={`certificate-${(displayName || "learner")
-              .replace(/\s+/g, "-")
-              .toLowerCase()}.png`}
-          >
-            ⬇️ Download Certificate
-          </a>
+          {certificate ? (
+            <>
+              <p>
+                <span className={`chip ${certificateChip.className}`}>{certificateChip.label}</span>
+              </p>
+              <p className="muted">
+                Serial {certificate.serial} ·{" "}
+                <a href={certificate.verify_url} target="_blank" rel="noreferrer">
+                  Verify
+                </a>
+              </p>
+              <button className="btn primary" onClick={() => setShowCertificateModal(true)}>
+                📜 View &amp; Download Certificate
+              </button>
+            </>
+          ) : (
+            <p className="muted">{certificateError || "Issuing your certificate…"}</p>
+          )}
         </section>
       )}
+
+      <CertificateModal
+        open={showCertificateModal}
+        onClose={() => setShowCertificateModal(false)}
+        certificate={certificate}
+      />
     </div>
   );
 }
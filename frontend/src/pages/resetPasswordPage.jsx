@@ -0,0 +1,118 @@
+/**
+ * ResetPasswordPage
+ * -----------------------------------------------------------------------------
+ * Landing page of the emailed reset link (`/reset-password?token=...`).
+ * - Asks for the new password twice and submits it with the token.
+ * - On success, every session is logged out; the user is sent to /login.
+ *
+ * Key flows
+ * - handleSubmit: validates both fields, calls authService.resetPassword(), and
+ *   shows the result (or the API's "invalid or expired" message).
+ */
+
+import React, { useState } from "react";
+import { useNavigate, useSearchParams, Link } from "react-router-dom";
+import { authService } from "../services/authService";
+import "../styles/logIn.css";
+
+export default function ResetPasswordPage() {
+  const navigate = useNavigate();
+  const [params] = useSearchParams();
+  const token = params.get("token") || "";
+
+  const [form, setForm] = useState({ password: "", confirm: "" });
+  const [submitting, setSubmitting] = useState(false);
+  const [done, setDone] = useState(false);
+  const [error, setError] = useState("");
+
+  /** @param {React.ChangeEvent<HTMLInputElement>} e */
+  const onChange = (e) => {
+    setError("");
+    setForm((f) => ({ ...f, [e.target.name]: e.target.value }));
+  };
+
+  /**
+   * Submit the new password with the token from the link.
+   * @param {React.FormEvent<HTMLFormElement>} e
+   * @returns {Promise<void>}
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (form.password.length < 6) return setError("Password must be at least 6 characters.");
+    if (form.password !== form.confirm) return setError("Passwords do not match.");
+
+    setSubmitting(true);
+    try {
+      await authService.resetPassword({ token, new_password: form.password });
+      setDone(true);
+    } catch (err) {
+      setError(err?.message || "Could not reset the password. Please try again.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-root">
+      <div className="auth-stage">
+        <div className="auth-card">
+          <button className="back-btn" onClick={() => navigate("/login")}>
+            ← Back
+          </button>
+
+          <h1>Choose a new password</h1>
+
+          {!token ? (
+            <p className="error-text">
+              This reset link is incomplete. <Link to="/forgot-password">Request a new one</Link>.
+            </p>
+          ) : done ? (
+            <>
+              <p className="success-text">Your password has been reset. Please log in with your new password.</p>
+              <button className="btn-primary" onClick={() => navigate("/login")}>
+                Go to log in
+              </button>
+            </>
+          ) : (
+            <form onSubmit={handleSubmit} className="auth-form">
+              <div className="field">
+                <label>New password</label>
+                <input
+                  type="password"
+                  name="password"
+                  value={form.password}
+                  onChange={onChange}
+                  placeholder="••••••••"
+                  disabled={submitting}
+                />
+              </div>
+
+              <div className="field">
+                <label>Confirm new password</label>
+                <input
+                  type="password"
+                  name="confirm"
+                  value={form.confirm}
+                  onChange={onChange}
+                  placeholder="••••••••"
+                  disabled={submitting}
+                />
+              </div>
+
+              <button type="submit" disabled={submitting} className="btn-primary">
+                {submitting ? "Saving…" : "Reset password"}
+              </button>
+            </form>
+          )}
+
+          {error && token && (
+            <p className="error-text">
+              {error}{" "}
+              {/expired|invalid/i.test(error) && <Link to="/forgot-password">Request a new link</Link>}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -6,64 +6,454 @@
  * Plays a multi-step scenario quiz for a given level/scenario ID:
  * - Loads scenario metadata and steps from scenarioService.
  * - Shows a per-step timer; auto-reveals when time runs out.
- * - Tracks answers and per-step correctness, then submits for a final score.
- * - Refreshes scenario progress in the level context after submit.
- * - Shows a level-completion badge modal when appropriate.
+ * - Renders each step by its type: single choice, true/false, multi-select
+ *   ("select all that apply"), ordering, numeric and image hotspot (see
+ *   <StepAnswer>); a step's image is shown above its answers.
+ *   Single-choice and true/false answers commit on click; the others are
+ *   drafted, then committed with "Check".
+ * - Checks each committed answer server-side (scenarioService.answerStep);
+ *   the player view of a scenario never contains the correct answers. The
+ *   server stores the answer in the learner's run and the first answer to a
+ *   step is final: checking it again (e.g. after a reload) returns the
+ *   stored result.
+ * - Follows branching scenarios: the answer check says which step comes next
+ *   (or that the scenario ends, with its outcome); the steps played form the path.
+ * - Tracks answers and per-step correctness; submitting has the server grade
+ *   the answers it stored for a final score.
+ * - Opens the learner's run on the server when the scenario loads
+ *   (scenarioService.start), so the server times each step; a run with
+ *   answers already is resumed.
+ * - Scenarios with a simulated casualty show a live vitals panel (<VitalsPanel>):
+ *   vitals drift while the learner decides, and each answer check returns
+ *   them after the action. The casualty's final status is part of the score.
+ * - Reloads the learner's scenario and level progress from the server after
+ *   submit (the server records progress on submission; the page never writes it).
+ * - Shows a modal for any badge the server awarded for this submission.
  *
  * Data & hooks
- * - useAuth(): current user (for badge persistence)
- * - useBadges(): find/persist level-completion badges
- * - useScenarios(): refreshScenarioProgress()
- * - useLevels(): catalog of levels, used to validate/unlock next level
+ * - useScenarios(): fetchScenariosByLevel(), reloads scenario progress after submit
+ * - useLevels(): catalog of levels, used to validate/unlock next level;
+ *   fetchProgress() reloads the level map after submit
  *
  * Notes
  * - Icon URLs are normalized via resolveIconUrl() with a defensive fallback.
  * - Next-level unlock is sanitized against the known catalog to prevent bad IDs.
- * - Submission includes a harmless { suppressUnlock } hint if on the last level.
+ * - Which levels unlock after a submission is decided by the API.
  */
 
 import React, { useEffect, useRef, useState, useMemo } from "react";
 import { Link, useLocation, useNavigate, useParams } from "react-router-dom";
 import { scenarioService } from "../services/scenarioService";
 import { useScenarios } from "../hooks/useScenarios";
-import { useAuth } from "../hooks/useAuth";
-import { useBadges } from "../hooks/useBadges";
 import { useLevels } from "../hooks/useLevels"; // uses catalog to validate unlocks
 import BadgeEarnedModal from "../components/BadgeEarnedModal";
 
 import "../styles/level.css";
 import "../styles/scenario.css";
 
+/** Vital signs in the panel: [key, label, unit]. Ranges match the API's patient model. */
+const VITALS = [
+  ["consciousness", "AVPU", ""],
+  ["breathing", "Resp", "/min"],
+  ["pulse", "Pulse", "bpm"],
+  ["bleeding", "Bleeding", ""],
+  ["spo2", "SpO₂", "%"],
+];
+const VITAL_MAX = { breathing: 60, pulse: 250, spo2: 100 };
+
+/**
+ * Vitals after time passes, by the scenario's trend (change per minute).
+ * @param {Object} vitals
+ * @param {Object|null} trend
+ * @param {number} ms
+ * @returns {Object}
+ */
+function driftVitals(vitals, trend, ms) {
+  const next = { ...vitals };
+  for (const [key, change] of Object.entries(trend ?? {})) {
+    next[key] = Math.min(VITAL_MAX[key], Math.max(0, next[key] + (change * ms) / 60000));
+  }
+  return next;
+}
+
+/** True/false choices: [answer, key chip, label]. */
+const TRUE_FALSE = [
+  [true, "T", "True"],
+  [false, "F", "False"],
+];
+
+/** Class list of a choice button, before and after the answer is revealed. */
+const choiceClass = (isPicked, isCorrect, shown) =>
+  "choice" +
+  (isPicked ? " active" : "") +
+  (shown && isCorrect ? " correct" : "") +
+  (shown && isPicked && !isCorrect ? " wrong" : "");
+
+/**
+ * Readable form of a step's correct answer for the reveal panel.
+ * @param {{type: string, options: Object|null, unit: string}} step
+ * @param {any} value - `correct_action` returned by the API.
+ * @returns {string}
+ */
+function describeAnswer(step, value) {
+  if (value == null) return "";
+  switch (step.type) {
+    case "true_false":
+      return value ? "True" : "False";
+    case "multi_select":
+      return value.join(", ");
+    case "ordering":
+      return value.map((key) => step.options?.[key] ?? key).join(" → ");
+    case "numeric": {
+      const range = value.min === value.max ? `${value.min}` : `${value.min}–${value.max}`;
+      return step.unit ? `${range} ${step.unit}` : range;
+    }
+    case "hotspot":
+      return "the highlighted area";
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Answer input for one step, by step type.
+ * @param {Object} props
+ * @param {{id: number, type: string, options: Object|null, unit: string, image: string|null, imageAlt: string}} props.step
+ * @param {any} props.picked - The committed answer (null until committed).
+ * @param {any} props.correct - The correct answer, once revealed (undefined before).
+ * @param {boolean} props.disabled - Locks the input (revealed or being checked).
+ * @param {(answer: any) => void} props.onCommit - Commits an answer for grading.
+ */
+function StepAnswer(props) {
+  switch (props.step.type) {
+    case "true_false":
+      return <TrueFalseAnswer {...props} />;
+    case "multi_select":
+      return <MultiSelectAnswer {...props} />;
+    case "ordering":
+      return <OrderingAnswer {...props} />;
+    case "numeric":
+      return <NumericAnswer {...props} />;
+    case "hotspot":
+      return <HotspotAnswer {...props} />;
+    default:
+      return <ChoiceAnswer {...props} />;
+  }
+}
+
+/** Single choice: one option key, committed on click. */
+function ChoiceAnswer({ step, picked, correct, disabled, onCommit }) {
+  const shown = correct !== undefined;
+  return (
+    <div className="choice-list">
+      {Object.entries(step.options || {}).map(([key, text]) =>
+        text ? (
+          <button
+            key={key}
+            className={choiceClass(picked === key, correct === key, shown)}
+            onClick={() => onCommit(key)}
+            disabled={disabled}
+          >
+            <span className="chip">{key}</span>
+            <span className="text">{text}</span>
+          </button>
+        ) : null
+      )}
+    </div>
+  );
+}
+
+/** True/false: committed on click. */
+function TrueFalseAnswer({ picked, correct, disabled, onCommit }) {
+  const shown = correct !== undefined;
+  return (
+    <div className="choice-list">
+      {TRUE_FALSE.map(([value, chip, label]) => (
+        <button
+          key={chip}
+          className={choiceClass(picked === value, correct === value, shown)}
+          onClick={() => onCommit(value)}
+          disabled={disabled}
+        >
+          <span className="chip">{chip}</span>
+          <span className="text">{label}</span>
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/** Multi-select: toggle any number of options, then check them together. */
+function MultiSelectAnswer({ step, picked, correct, disabled, onCommit }) {
+  const [draft, setDraft] = useState(picked ?? []);
+  const shown = correct !== undefined;
+  const selected = shown ? picked ?? [] : draft;
+
+  const toggle = (key) =>
+    setDraft((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]));
+
+  return (
+    <>
+      <p className="muted answer-hint">Select all that apply.</p>
+      <div className="choice-list">
+        {Object.entries(step.options || {}).map(([key, text]) => (
+          <button
+            key={key}
+            className={choiceClass(selected.includes(key), !!correct?.includes(key), shown)}
+            onClick={() => toggle(key)}
+            disabled={disabled}
+          >
+            <span className="chip">{key}</span>
+            <span className="text">{text}</span>
+          </button>
+        ))}
+      </div>
+      {!shown && (
+        <div className="nav-row">
+          <button
+            className="btn flow"
+            onClick={() => onCommit([...draft].sort())}
+            disabled={disabled || draft.length === 0}
+          >
+            Check
+          </button>
+        </div>
+      )}
+    </>
+  );
+}
+
+/** Ordering: move the items into place, then check the order. */
+function OrderingAnswer({ step, picked, correct, disabled, onCommit }) {
+  const [order, setOrder] = useState(picked ?? Object.keys(step.options || {}));
+  const shown = correct !== undefined;
+
+  /** Swap item `i` with its neighbour above (-1) or below (+1). */
+  const move = (i, delta) =>
+    setOrder((prev) => {
+      const copy = prev.slice();
+      [copy[i], copy[i + delta]] = [copy[i + delta], copy[i]];
+      return copy;
+    });
+
+  return (
+    <>
+      <p className="muted answer-hint">Put these in the right order.</p>
+      <ol className="choice-list order-list">
+        {order.map((key, i) => (
+          <li
+            key={key}
+            className={"choice" + (shown ? (correct?.[i] === key ? " correct" : " wrong") : "")}
+          >
+            <span className="chip">{i + 1}</span>
+            <span className="text">{step.options?.[key]}</span>
+            {!shown && (
+              <span className="order-moves">
+                <button className="icon-btn" onClick={() => move(i, -1)} disabled={disabled || i === 0} aria-label="Move up">
+                  ↑
+                </button>
+                <button
+                  className="icon-btn"
+                  onClick={() => move(i, 1)}
+                  disabled={disabled || i === order.length - 1}
+                  aria-label="Move down"
+                >
+                  ↓
+                </button>
+              </span>
+            )}
+          </li>
+        ))}
+      </ol>
+      {!shown && (
+        <div className="nav-row">
+          <button className="btn flow" onClick={() => onCommit(order)} disabled={disabled}>
+            Check
+          </button>
+        </div>
+      )}
+    </>
+  );
+}
+
+/** Numeric: type a number (in the step's unit), then check it. */
+function NumericAnswer({ step, picked, correct, disabled, onCommit }) {
+  const [draft, setDraft] = useState(picked != null ? String(picked) : "");
+  const shown = correct !== undefined;
+  const value = draft.trim() === "" ? NaN : Number(draft);
+
+  return (
+    <>
+      <div
+        className={
+          "choice numeric-answer" +
+          (shown && picked != null ? (picked >= correct?.min && picked <= correct?.max ? " correct" : " wrong") : "")
+        }
+      >
+        <input
+          type="number"
+          step="any"
+          inputMode="decimal"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" && Number.isFinite(value) && !disabled) onCommit(value);
+          }}
+          disabled={disabled}
+          aria-label="Your answer"
+        />
+        {step.unit && <span className="text">{step.unit}</span>}
+      </div>
+      {!shown && (
+        <div className="nav-row">
+          <button className="btn flow" onClick={() => onCommit(value)} disabled={disabled || !Number.isFinite(value)}>
+            Check
+          </button>
+        </div>
+      )}
+    </>
+  );
+}
+
+/**
+ * Live vitals of the simulated casualty.
+ * @param {Object} props
+ * @param {Object} props.vitals - Current vital signs.
+ * @param {string|null} props.status - Status after the last action ("stable", "serious", "critical", "arrest").
+ */
+function VitalsPanel({ vitals, status }) {
+  return (
+    <div className="vitals-panel" aria-live="polite">
+      {VITALS.map(([key, label, unit]) => (
+        <div key={key} className="vital">
+          <span className="label">{label}</span>
+          <span className="value">
+            {typeof vitals[key] === "number" ? Math.round(vitals[key]) : vitals[key]}
+            {unit && <small> {unit}</small>}
+          </span>
+        </div>
+      ))}
+      {status && <div className={`vital-status ${status}`}>{status}</div>}
+    </div>
+  );
+}
+
+/** Keep a hotspot coordinate on the image (0–1). */
+const clampUnit = (v) => Math.min(1, Math.max(0, v));
+
+/**
+ * Hotspot: tap a point on the image, or move the marker with the arrow keys
+ * (Shift for bigger moves), then check it. The regions are drawn once revealed.
+ */
+function HotspotAnswer({ step, picked, correct, disabled, onCommit }) {
+  const [draft, setDraft] = useState(picked ?? null);
+  const shown = correct !== undefined;
+  const point = shown ? picked : draft;
+
+  function pickAt(e) {
+    if (disabled) return;
+    const box = e.currentTarget.getBoundingClientRect();
+    setDraft({
+      x: clampUnit((e.clientX - box.left) / box.width),
+      y: clampUnit((e.clientY - box.top) / box.height),
+    });
+  }
+
+  function onKeyDown(e) {
+    if (disabled) return;
+    const d = e.shiftKey ? 0.1 : 0.02;
+    const moves = { ArrowLeft: [-d, 0], ArrowRight: [d, 0], ArrowUp: [0, -d], ArrowDown: [0, d] };
+    if (moves[e.key]) {
+      e.preventDefault();
+      const from = draft ?? { x: 0.5, y: 0.5 };
+      setDraft({ x: clampUnit(from.x + moves[e.key][0]), y: clampUnit(from.y + moves[e.key][1]) });
+    } else if ((e.key === "Enter" || e.key === " ") && draft) {
+      e.preventDefault();
+      onCommit(draft);
+    }
+  }
+
+  return (
+    <>
+      <div
+        className={"hotspot" + (disabled ? " disabled" : "")}
+        role="application"
+        tabIndex={disabled ? -1 : 0}
+        aria-label={
+          (step.imageAlt ? `Image: ${step.imageAlt}. ` : "Image: ") +
+          "Tap a point, or use the arrow keys to move the marker and Enter to check"
+        }
+        onClick={pickAt}
+        onKeyDown={onKeyDown}
+      >
+        <img src={step.image} alt={step.imageAlt} draggable={false} />
+        {shown && Array.isArray(correct) && (
+          <svg viewBox="0 0 1 1" preserveAspectRatio="none" aria-hidden="true">
+            {correct.map((polygon, i) => (
+              <polygon key={i} points={polygon.map(([x, y]) => `${x},${y}`).join(" ")} />
+            ))}
+          </svg>
+        )}
+        {point && (
+          <span className="marker" style={{ left: `${point.x * 100}%`, top: `${point.y * 100}%` }} aria-hidden="true" />
+        )}
+      </div>
+      <p className="answer-hint" aria-live="polite">
+        {point
+          ? `Marker at ${Math.round(point.x * 100)}% across, ${Math.round(point.y * 100)}% down.`
+          : "Tap the image, or focus it and use the arrow keys."}
+      </p>
+      {!shown && (
+        <div className="nav-row">
+          <button className="btn flow" onClick={() => onCommit(draft)} disabled={disabled || !draft}>
+            Check
+          </button>
+        </div>
+      )}
+    </>
+  );
+}
+
 export default function ScenarioPage() {
   const { levelId, scenarioId } = useParams();
   const navigate = useNavigate();
   const location = useLocation();
   const id = Number(scenarioId);
 
-  const { user } = useAuth();
-  const { badges, createBadge } = useBadges();
-  const { refreshScenarioProgress } = useScenarios();
-  const { levels = [], fetchLevels } = useLevels();  // load catalog for validation
+  const { fetchScenariosByLevel } = useScenarios();
+  const { levels = [], fetchLevels, fetchProgress } = useLevels();  // load catalog for validation
 
   const [scenario, setScenario] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
 
-  // Step & answer state
+  // Step & answer state (answers/stepResults by step index; path = step indexes played)
   const [idx, setIdx] = useState(0);
+  const [path, setPath] = useState([0]);
   const [answers, setAnswers] = useState([]);
-  const [_stepResults, setStepResults] = useState([]);
+  const [stepResults, setStepResults] = useState([]);
   const [revealed, setRevealed] = useState(null);
+  const [checking, setChecking] = useState(false);
   const [submitting, setSubmitting] = useState(false);
   const [result, setResult] = useState(null);
 
-  // Level-completion badge (modal)
+  // Steps answered in the server-side run before this page opened (resumed run)
+  const [resumed, setResumed] = useState(0);
+
+  // Simulated casualty: vitals after the last action, and their status
+  const [vitals, setVitals] = useState(null);
+  const [patientStatus, setPatientStatus] = useState(null);
+
+  // Badge awarded by the last submission (modal)
   const [levelBadge, setLevelBadge] = useState(null);
 
   // Per-step timer
   const SECS_PER_STEP = 30;
   const [secsLeft, setSecsLeft] = useState(SECS_PER_STEP);
   const timerRef = useRef(null);
+  const stepStartedAt = useRef(Date.now());
+  // One idempotency key per play-through: retried submits are not graded twice
+  const submissionKey = useRef(null);
 
   /**
    * Normalize raw icon paths/URLs from navigation state or API into a safe URL.
@@ -82,12 +472,12 @@ export default function ScenarioPage() {
     []
   );
 
-  // Load levels once (needed to know valid/max IDs)
+  // Load levels once (needed to know valid IDs)
   useEffect(() => {
     if (!levels.length) fetchLevels?.();
   }, [levels.length, fetchLevels]);
 
-  // Valid level IDs + max (last) level ID from catalog
+  // Valid level IDs from catalog
   const validLevelIds = useMemo(
     () =>
       new Set(
@@ -97,10 +487,6 @@ export default function ScenarioPage() {
       ),
     [levels]
   );
-  const maxLevelId = useMemo(
-    () => (validLevelIds.size ? Math.max(...validLevelIds) : null),
-    [validLevelIds]
-  );
 
   // Load scenario and steps; reset local state
   useEffect(() => {
@@ -111,20 +497,24 @@ export default function ScenarioPage() {
 
         const passedUrl = location.state?.icon_url || null;
         const data = await scenarioService.getById(id);
+        const run = await scenarioService.start(id);
 
         const steps = (data?.steps || [])
           .map((s) => ({
             id: Number(s.step_id ?? s.id ?? 0),
             order: Number(s.step_order ?? s.order ?? 0),
             q: s.question_text || s.question || "",
+            type: s.step_type || "single_choice",
+            unit: s.unit || "",
+            image: s.image_url ? resolveIconUrl(s.image_url) : null,
+            imageAlt: s.image_alt || "",
+            branching: !!(s.branching ?? s.transitions),
             options: s.options || {
               A: s.option_a,
               B: s.option_b,
               C: s.option_c,
               D: s.option_d,
             },
-            correct: String(s.correct_action || s.correct_option || "").toUpperCase(),
-            feedback: s.feedback_message || "",
           }))
           .sort((a, b) => a.order - b.order);
 
@@ -136,15 +526,22 @@ export default function ScenarioPage() {
           title: data.title || "Scenario",
           description: data.description || "",
           icon_url: resolveIconUrl(passedUrl || apiIcon),
+          patient: data.patient ?? null,
           steps,
         });
 
         setAnswers(new Array(steps.length).fill(null));
         setStepResults(new Array(steps.length).fill(null));
         setIdx(0);
+        setPath([0]);
+        setVitals(data.patient?.initial ?? null);
+        setPatientStatus(null);
         setRevealed(null);
+        setChecking(false);
         setResult(null);
+        setResumed(run?.answered ?? 0);
         setSecsLeft(SECS_PER_STEP);
+        submissionKey.current = null;
       } catch (e) {
         setError(e?.message || "Failed to load scenario");
       } finally {
@@ -153,7 +550,6 @@ export default function ScenarioPage() {
     })();
   }, [id, levelId, location.state, resolveIconUrl]);
 
-  const total = scenario?.steps?.length ?? 0;
   const current = scenario?.steps?.[idx];
 
   /**
@@ -164,6 +560,7 @@ export default function ScenarioPage() {
     if (!current || result) return;
     clearInterval(timerRef.current);
     setSecsLeft(SECS_PER_STEP);
+    stepStartedAt.current = Date.now();
 
     timerRef.current = setInterval(() => {
       setSecsLeft((prev) => {
@@ -181,57 +578,100 @@ export default function ScenarioPage() {
   }, [idx, current, result]);
 
   /**
-   * Reveal the correct option for the current step and record the attempt.
-   * @param {"A"|"B"|"C"|"D"|null} pickedLetter User's selected option (or null if timeout)
+   * Commit the answer for the current step, have the API grade it, then
+   * reveal the correct answer and feedback it returns.
+   * @param {any} picked User's answer, shaped by the step type (or null if timeout)
    * @param {boolean} timedOut Whether the timer ended the step
    */
-  function handleReveal(pickedLetter, timedOut = false) {
-    if (!current) return;
-    const correctLetter = current.correct;
-    const wasCorrect = !!pickedLetter && pickedLetter === correctLetter;
-
-    setRevealed({ correctLetter, wasCorrect, timedOut });
+  async function handleReveal(picked, timedOut = false) {
+    if (!current || checking) return;
+    const responseMs = Date.now() - stepStartedAt.current;
 
     setAnswers((prev) => {
       const copy = prev.slice();
-      copy[idx] = pickedLetter;
+      copy[idx] = picked;
       return copy;
     });
 
+    setChecking(true);
+    let check;
+    try {
+      check = await scenarioService.answerStep(scenario.id, current.id, picked);
+    } catch (e) {
+      setError(e?.message || "Failed to check answer");
+      return;
+    } finally {
+      setChecking(false);
+    }
+
+    // A step answered before in this run keeps its first answer
+    if (check?.already_answered) {
+      setAnswers((prev) => {
+        const copy = prev.slice();
+        copy[idx] = check.answer;
+        return copy;
+      });
+    }
+
+    const wasCorrect = !!check?.is_correct;
+    const nextIdx = scenario.steps.findIndex((s) => s.id === Number(check?.next_step_id));
+    const next = check?.next_step_id != null && nextIdx >= 0 ? nextIdx : null;
+    const outcome = check?.outcome || "";
+    if (check?.vitals) {
+      setVitals(check.vitals);
+      setPatientStatus(check.patient_status ?? null);
+    }
+
+    setRevealed({
+      correct: check?.correct_action ?? null,
+      correctText: describeAnswer(current, check?.correct_action),
+      wasCorrect,
+      timedOut,
+      feedback: check?.feedback_message || "",
+      next,
+      outcome,
+    });
+
     setStepResults((prev) => {
       const copy = prev.slice();
       copy[idx] = {
         stepId: current.id,
-        picked: pickedLetter,
+        picked,
         correct: !!wasCorrect,
         timedOut: !!timedOut,
+        responseMs,
       };
       return copy;
     });
   }
 
   /**
-   * Handle picking an option; stops the timer and reveals correctness.
-   * @param {"A"|"B"|"C"|"D"} letter
+   * Handle committing an answer; stops the timer and reveals correctness.
+   * @param {any} answer Option key, true/false, list of keys, or number
    */
-  function onPick(letter) {
-    if (revealed) return;
+  function onPick(answer) {
+    if (revealed || checking) return;
     clearInterval(timerRef.current);
-    handleReveal(letter, false);
+    handleReveal(answer, false);
   }
 
-  /** Advance to the next step (keeps current results intact). */
-  function goNext() {
+  /**
+   * Advance to the step the answer led to (keeps current results intact).
+   * @param {number} next Index of the next step in scenario.steps
+   */
+  function goTo(next) {
     setRevealed(null);
-    if (idx < total - 1) setIdx((i) => i + 1);
+    setPath((p) => [...p, next]);
+    setIdx(next);
   }
 
   /**
    * Submit the scenario:
-   * - Sends answer letters to scenarioService.submit().
-   * - When on the last level, hints API not to unlock a next level.
+   * - Has the server grade the answers it stored, sending the per-step timing
+   *   along the path played to scenarioService.submit() with the
+   *   play-through's idempotency key (kept when the submit fails).
    * - Sanitizes any next_level_unlocked against the catalog.
-   * - Stores result, refreshes scenario progress, and triggers badge modal.
+   * - Stores result, reloads progress from the server, and triggers badge modal.
    */
   async function submit() {
     if (submitting || !scenario) return;
@@ -239,16 +679,16 @@ export default function ScenarioPage() {
     clearInterval(timerRef.current);
 
     try {
-      const letters = answers;
-
-      // Frontend guard: if at last level, ask API not to unlock next
-      const isAtLastLevel = maxLevelId != null && Number(levelId) === maxLevelId;
-
-      const res = await scenarioService.submit(
-        scenario.id,
-        letters,
-        { suppressUnlock: isAtLastLevel } // harmless if API ignores it
-      );
+      submissionKey.current ??= crypto.randomUUID();
+
+      const res = await scenarioService.submit(scenario.id, {
+        idempotencyKey: submissionKey.current,
+        stepResults: path.map((i) => stepResults[i]).filter(Boolean).map((r) => ({
+          step_id: r.stepId,
+          timed_out: r.timedOut,
+          response_ms: r.responseMs,
+        })),
+      });
 
       // Sanitize next_level_unlocked against known catalog
       const lp = res?.level_progress;
@@ -267,50 +707,17 @@ export default function ScenarioPage() {
       setResult(safeRes);
       window.scrollTo({ top: 0, behavior: "smooth" });
 
-      if (safeRes.score !== undefined) {
-        refreshScenarioProgress({ id: scenario.id, progress: safeRes.score });
-      }
+      // The server recorded the progress: reload it rather than patch it here
+      fetchProgress?.();
+      if (levelId) fetchScenariosByLevel(levelId);
 
-      // Badge modal logic (uses sanitized progress)
-      const lp2 = safeRes?.level_progress;
-      if (lp2?.completed) {
-        const levelKey = Number(lp2.level_id);
-        const unlockedText = lp2.next_level_unlocked
-          ? ` and unlocked Level ${lp2.next_level_unlocked}`
-          : "";
-
-        const guardKey = `level_badge_shown_u${user?.id}_l${levelKey}`;
-        const alreadyShown = localStorage.getItem(guardKey) === "1";
-
-        if (!alreadyShown) {
-          const existingBadge =
-            (badges || []).find((b) => Number(b.level_id) === levelKey) || null;
-
-          const badgeToShow = existingBadge || {
-            id: `temp-level-${levelKey}`,
-            level_id: levelKey,
-            name: `Level ${levelKey} Completed!`,
-            description: `Great job — you completed all scenarios${unlockedText}.`,
-            icon_url: scenario.icon_url || "/assets/trophy.png",
-          };
-
-          setLevelBadge(badgeToShow);
-          localStorage.setItem(guardKey, "1");
-
-          if (user?.id && typeof createBadge === "function" && !existingBadge) {
-            try {
-              await createBadge({
-                user_id: user.id,
-                level_id: levelKey,
-                name: `Completed Level ${levelKey}`,
-                description: `Completed all scenarios${unlockedText}.`,
-                icon_url: "trophy",
-              });
-            } catch (e) {
-              console.error("Failed to persist level badge:", e);
-            }
-          }
-        }
+      // Badges are awarded by the server; celebrate the first one earned now
+      const awarded = safeRes?.awarded_badges?.[0] ?? safeRes?.awarded_badge;
+      if (awarded) {
+        setLevelBadge({
+          ...awarded,
+          icon_url: awarded.icon_url || scenario.icon_url || "/assets/trophy.png",
+        });
       }
     } catch (e) {
       setError(e?.message || "Submit failed");
@@ -325,6 +732,13 @@ export default function ScenarioPage() {
 
   const totalSteps = scenario?.steps?.length ?? 0;
   const currentStep = scenario?.steps?.[idx];
+  // Branching scenarios have no fixed length: count the steps played instead
+  const branching = scenario.steps.some((s) => s.branching);
+  const position = path.length - 1;
+  const dotCount = branching ? path.length : totalSteps;
+  // Vitals drift with the step timer until the answer is committed
+  const shownVitals =
+    vitals && (revealed || result ? vitals : driftVitals(vitals, scenario.patient?.trend, (SECS_PER_STEP - secsLeft) * 1000));
 
   return (
     <div className="scenario-shell">
@@ -333,7 +747,9 @@ export default function ScenarioPage() {
         <button className="icon-btn" onClick={() => navigate(-1)}>←</button>
         <div className="scn-title">
           <div className="title">{scenario.title}</div>
-          <div className="sub">Step {idx + 1} of {totalSteps}</div>
+          <div className="sub">
+            {branching ? `Step ${position + 1}` : `Step ${position + 1} of ${totalSteps}`}
+          </div>
         </div>
         <div />
       </header>
@@ -359,13 +775,16 @@ export default function ScenarioPage() {
         </div>
 
         <div className="step-dots">
-          {Array.from({ length: totalSteps }).map((_, i) => (
-            <span key={i} className={i < idx ? "dot done" : i === idx ? "dot current" : "dot"} />
+          {Array.from({ length: dotCount }).map((_, i) => (
+            <span key={i} className={i < position ? "dot done" : i === position ? "dot current" : "dot"} />
           ))}
         </div>
         {!revealed && !result && <div className="timer">{secsLeft}s</div>}
       </div>
 
+      {/* Simulated casualty */}
+      {shownVitals && <VitalsPanel vitals={shownVitals} status={result?.patient?.status ?? patientStatus} />}
+
       {/* Result banner */}
       {result && (
         <div className="result-banner">
@@ -385,6 +804,12 @@ export default function ScenarioPage() {
               "Review and try to improve your score."
             )}
           </div>
+          {result.outcome && <p className="outcome">{result.outcome}</p>}
+          {result.patient && result.answer_score !== result.score && (
+            <p className="muted">
+              Answers {result.answer_score}% • casualty {result.patient.status}
+            </p>
+          )}
 
           <div className="row">
             <Link className="btn back" to={`/level/${scenario.level_id}`}>
@@ -393,10 +818,24 @@ export default function ScenarioPage() {
 
             <button
               className="btn review"
-              onClick={() => {
+              onClick={async () => {
+                // A new run: every step is answered again
+                try {
+                  await scenarioService.start(scenario.id);
+                } catch (e) {
+                  setError(e?.message || "Failed to restart scenario");
+                  return;
+                }
                 setResult(null);
+                setResumed(0);
+                setAnswers(new Array(totalSteps).fill(null));
+                setStepResults(new Array(totalSteps).fill(null));
                 setIdx(0);
+                setPath([0]);
+                setVitals(scenario.patient?.initial ?? null);
+                setPatientStatus(null);
                 setRevealed(null);
+                submissionKey.current = null;
               }}
             >
               Review 🔁
@@ -408,35 +847,24 @@ export default function ScenarioPage() {
       {/* Current question flow */}
       {!result && currentStep && (
         <>
+          {resumed > 0 && position === 0 && !revealed && (
+            <p className="muted">
+              You already answered {resumed} step{resumed === 1 ? "" : "s"} of this run; those answers stand.
+            </p>
+          )}
           <div className="question-card">{currentStep.q}</div>
+          {currentStep.image && currentStep.type !== "hotspot" && (
+            <img className="step-image" src={currentStep.image} alt={currentStep.imageAlt} />
+          )}
 
-          <div className="choice-list">
-            {["A", "B", "C", "D"].map((L) => {
-              const text = currentStep.options?.[L];
-              if (!text) return null;
-
-              const isPicked = answers[idx] === L;
-              const isCorrect = revealed?.correctLetter === L;
-              const showState = !!revealed;
-
-              return (
-                <button
-                  key={L}
-                  className={
-                    "choice" +
-                    (isPicked ? " active" : "") +
-                    (showState && isCorrect ? " correct" : "") +
-                    (showState && isPicked && !isCorrect ? " wrong" : "")
-                  }
-                  onClick={() => onPick(L)}
-                  disabled={!!revealed}
-                >
-                  <span className="chip">{L}</span>
-                  <span className="text">{text}</span>
-                </button>
-              );
-            })}
-          </div>
+          <StepAnswer
+            key={currentStep.id}
+            step={currentStep}
+            picked={answers[idx]}
+            correct={revealed ? revealed.correct : undefined}
+            disabled={!!revealed || checking}
+            onCommit={onPick}
+          />
 
           {/* Reveal footer */}
           {revealed && (
@@ -444,15 +872,16 @@ export default function ScenarioPage() {
               {revealed.wasCorrect ? (
                 <p className="ok">Correct!</p>
               ) : revealed.timedOut ? (
-                <p className="warn">Time’s up. Correct answer: <strong>{revealed.correctLetter}</strong></p>
+                <p className="warn">Time’s up. Correct answer: <strong>{revealed.correctText}</strong></p>
               ) : (
-                <p className="warn">Not quite. Correct answer: <strong>{revealed.correctLetter}</strong></p>
+                <p className="warn">Not quite. Correct answer: <strong>{revealed.correctText}</strong></p>
               )}
-              {currentStep.feedback && <p className="muted">{currentStep.feedback}</p>}
+              {revealed.feedback && <p className="muted">{revealed.feedback}</p>}
+              {revealed.next == null && revealed.outcome && <p className="outcome">{revealed.outcome}</p>}
 
               <div className="nav-row">
-                {idx < totalSteps - 1 ? (
-                  <button className="btn flow" onClick={goNext}>Next</button>
+                {revealed.next != null ? (
+                  <button className="btn flow" onClick={() => goTo(revealed.next)}>Next</button>
                 ) : (
                   <button className="btn flow" onClick={submit} disabled={submitting}>
                     {submitting ? "Submitting…" : "Finish Scenario"}
@@ -462,22 +891,16 @@ export default function ScenarioPage() {
             </div>
           )}
 
-          {/* Normal nav row (before reveal) */}
+          {/* Normal nav row (before reveal: answer the step to go on) */}
           {!revealed && (
             <div className="nav-row">
-              {idx < totalSteps - 1 ? (
-                <button className="btn flow" onClick={goNext} disabled={answers[idx] == null}>Next</button>
-              ) : (
-                <button className="btn flow" onClick={submit} disabled={answers.some((a) => a === null) || submitting}>
-                  {submitting ? "Submitting…" : "Finish Scenario"}
-                </button>
-              )}
+              <button className="btn flow" disabled>Next</button>
             </div>
           )}
         </>
       )}
 
-      {/* Level-completion badge modal */}
+      {/* Awarded badge modal */}
       {levelBadge && (
         <BadgeEarnedModal
           badge={levelBadge}
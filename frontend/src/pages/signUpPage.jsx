@@ -2,26 +2,30 @@
  * SignUpPage
  * -----------------------------------------------------------------------------
  * Renders the account creation screen and wires it to the useSignUp() hook.
- * - Submits data from <SignUpForm /> and navigates to /login on success.
+ * - Submits data from <SignUpForm /> and then shows a "check your inbox" state,
+ *   since new accounts must verify their email (with a resend button).
  * - Shows loading and error states (both hook-level and local).
  * - Applies a mobile viewport height workaround via the --vh CSS variable.
  *
  * Key flows
- * - handleCreateUser: calls signup(), manages UX state, and redirects.
+ * - handleCreateUser: calls signup(), manages UX state, and shows the inbox step.
+ * - handleResend: asks the API for a new verification link.
  * - handleCancel: returns the user to the login page.
  */
 
 import React, { useEffect, useState } from "react";
-import { useNavigate, Link } from "react-router-dom";
+import { useNavigate } from "react-router-dom";
 import { useSignUp } from "../hooks/useSignUp";
 import SignUpForm from "../components/signUpForm";
 import "../styles/signUp.css"; // ensure this is imported so the signup styles below apply
 
 export default function SignUpPage() {
   const navigate = useNavigate();
-  const { loading, error, signup, clearError } = useSignUp();
+  const { loading, error, signup, resendVerification, clearError } = useSignUp();
   const [submitting, setSubmitting] = useState(false);
   const [localError, setLocalError] = useState("");
+  const [registeredEmail, setRegisteredEmail] = useState("");
+  const [resent, setResent] = useState(false);
 
   /**
    * Mobile viewport height workaround:
@@ -45,7 +49,7 @@ export default function SignUpPage() {
    * - clears previous errors
    * - sets submitting state
    * - calls signup(userData)
-   * - navigates to /login on success
+   * - switches to the "check your inbox" step on success
    * - surfaces any thrown error as a user-friendly message
    *
    * @param {Record<string, any>} userData
@@ -56,8 +60,8 @@ export default function SignUpPage() {
     clearError();
     setSubmitting(true);
     try {
-      await signup(userData);
-      navigate("/login");
+      const result = await signup(userData);
+      setRegisteredEmail(result?.user?.email || userData.email);
     } catch (e) {
       setLocalError(e?.message || "Sign up failed.");
     } finally {
@@ -65,6 +69,21 @@ export default function SignUpPage() {
     }
   };
 
+  /**
+   * Request another verification email for the address just registered.
+   * @returns {Promise<void>}
+   */
+  const handleResend = async () => {
+    setLocalError("");
+    setResent(false);
+    try {
+      await resendVerification(registeredEmail);
+      setResent(true);
+    } catch (e) {
+      setLocalError(e?.message || "Could not resend the email.");
+    }
+  };
+
   /** Cancel out of sign up and return to login. */
   const handleCancel = () => navigate("/login");
   const isBusy = loading || submitting;
@@ -79,21 +98,45 @@ export default function SignUpPage() {
       {/* Centered glass card */}
       <main className="signup-stage">
         <section className="signup-card">
-          <div className="signup-head">
-            <h1>Create your account</h1>
-            <p className="lead">
-            </p>
-          </div>
+          {registeredEmail ? (
+            <div className="signup-head">
+              <h1>Check your inbox 📬</h1>
+              <p className="lead">
+                We sent a verification link to <strong>{registeredEmail}</strong>. Open it to
+                confirm your email, then log in.
+              </p>
 
-          <p className="auth-switch">
-            Already have an account? <a className="btn flow big" href="/login">Log In</a>
-          </p>
+              <div className="su-actions">
+                <button type="button" className="btn btn--secondary" onClick={handleResend} disabled={isBusy}>
+                  {isBusy ? "Sending…" : "Resend email"}
+                </button>
+                <button type="button" className="btn btn--primary" onClick={() => navigate("/login")}>
+                  Continue to log in
+                </button>
+              </div>
+
+              {resent && <p className="subtle-status">A new link is on its way.</p>}
+              {(error || localError) && <p className="error-text">{error || localError}</p>}
+            </div>
+          ) : (
+            <>
+              <div className="signup-head">
+                <h1>Create your account</h1>
+                <p className="lead">
+                </p>
+              </div>
+
+              <p className="auth-switch">
+                Already have an account? <a className="btn flow big" href="/login">Log In</a>
+              </p>
 
-          {/* Controlled form component */}
-          <SignUpForm onSave={handleCreateUser} onCancel={handleCancel} disabled={isBusy} />
+              {/* Controlled form component */}
+              <SignUpForm onSave={handleCreateUser} onCancel={handleCancel} disabled={isBusy} />
 
-          {isBusy && <p className="subtle-status">Creating your account…</p>}
-          {(error || localError) && <p className="error-text">{error || localError}</p>}
+              {isBusy && <p className="subtle-status">Creating your account…</p>}
+              {(error || localError) && <p className="error-text">{error || localError}</p>}
+            </>
+          )}
 
           <p className="fineprint">
             By creating an account, you agree to our&nbsp;
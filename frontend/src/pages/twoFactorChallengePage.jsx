@@ -0,0 +1,126 @@
+/**
+ * TwoFactorChallengePage
+ * -----------------------------------------------------------------------------
+ * Second login step for accounts with two-factor authentication.
+ * - Receives the challenge token from the login page (router state).
+ * - Accepts the 6-digit code from the authenticator app, or a recovery code.
+ * - Stores the session via useAuth().verifyTwoFactor() and navigates to /home
+ *   (or to /security/2fa when few recovery codes are left).
+ *
+ * Key flows
+ * - handleSubmit: validates the code format, completes the login, redirects.
+ * - Missing or expired challenge: sends the user back to log in.
+ */
+
+import React, { useState } from "react";
+import { useLocation, useNavigate, Link } from "react-router-dom";
+import { useAuth } from "../hooks/useAuth";
+import "../styles/logIn.css";
+
+/** Below this many recovery codes, the user is sent to generate new ones. */
+const LOW_RECOVERY_CODES = 3;
+
+export default function TwoFactorChallengePage() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { verifyTwoFactor } = useAuth();
+  const challengeToken = location.state?.challengeToken;
+
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [code, setCode] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  /**
+   * Complete the login with the typed code.
+   * @param {React.FormEvent<HTMLFormElement>} e
+   * @returns {Promise<void>}
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    const value = code.trim();
+    if (!useRecovery && !/^\d{3}\s?\d{3}$/.test(value)) {
+      return setError("Enter the 6-digit code from your authenticator app.");
+    }
+    if (useRecovery && !value) return setError("Enter one of your recovery codes.");
+
+    setSubmitting(true);
+    try {
+      const { recovery_codes_left } = await verifyTwoFactor({
+        challengeToken,
+        ...(useRecovery ? { recovery_code: value } : { code: value }),
+      });
+      const lowOnCodes = recovery_codes_left != null && recovery_codes_left <= LOW_RECOVERY_CODES;
+      navigate(lowOnCodes ? "/security/2fa" : "/home");
+    } catch (err) {
+      setError(err?.message || "Could not verify the code. Please try again.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-root">
+      <div className="auth-stage">
+        <div className="auth-card">
+          <button className="back-btn" onClick={() => navigate("/login")}>
+            ← Back
+          </button>
+
+          <h1>Two-factor check 🔐</h1>
+
+          {!challengeToken ? (
+            <>
+              <p className="error-text">This sign-in has expired. Please log in again.</p>
+              <p className="auth-switch">
+                <Link to="/login">Back to log in</Link>
+              </p>
+            </>
+          ) : (
+            <>
+              <p className="lead">
+                {useRecovery
+                  ? "Enter one of the recovery codes you saved when setting up two-factor authentication."
+                  : "Open your authenticator app and enter the 6-digit code for SimAid."}
+              </p>
+
+              <form onSubmit={handleSubmit} className="auth-form">
+                <div className="field">
+                  <label>{useRecovery ? "Recovery code" : "Authentication code"}</label>
+                  <input
+                    type="text"
+                    name="code"
+                    value={code}
+                    onChange={(e) => { setError(""); setCode(e.target.value); }}
+                    placeholder={useRecovery ? "xxxxx-xxxxx" : "123456"}
+                    inputMode={useRecovery ? "text" : "numeric"}
+                    autoComplete="one-time-code"
+                    autoFocus
+                    disabled={submitting}
+                  />
+                </div>
+
+                <button type="submit" disabled={submitting} className="btn-primary">
+                  {submitting ? "Verifying…" : "Verify"}
+                </button>
+              </form>
+
+              {error && <p className="error-text">{error}</p>}
+
+              <p className="auth-switch">
+                <button
+                  type="button"
+                  className="link-button"
+                  onClick={() => { setUseRecovery((v) => !v); setCode(""); setError(""); }}
+                >
+                  {useRecovery ? "Use your authenticator app" : "Lost your device? Use a recovery code"}
+                </button>
+              </p>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,262 @@
+/**
+ * TwoFactorSetupPage
+ * -----------------------------------------------------------------------------
+ * Lets the signed-in user manage two-factor authentication (TOTP).
+ * - Off: "Set up" shows a QR code (and the secret for manual entry) for an
+ *   authenticator app; the first code confirms it and reveals recovery codes.
+ * - On: shows how many recovery codes are left, generates a new set, and turns
+ *   2FA off (not offered when the user's role requires it).
+ * - When the role requires 2FA, a notice explains that staff features stay
+ *   locked until it is set up.
+ *
+ * Key flows
+ * - loadStatus: fetches { enabled, required, recovery_codes_left } on mount.
+ * - handleEnable / handleRegenerate / handleDisable: call the API and update the view.
+ */
+
+import React, { useCallback, useEffect, useState } from "react";
+import { useNavigate, Link } from "react-router-dom";
+import { useAuth } from "../hooks/useAuth";
+import { authService } from "../services/authService";
+import "../styles/logIn.css";
+
+const CODE_PATTERN = /^\d{3}\s?\d{3}$/;
+
+export default function TwoFactorSetupPage() {
+  const navigate = useNavigate();
+  const { isAuthed, enableTwoFactor, disableTwoFactor } = useAuth();
+
+  const [status, setStatus] = useState(null);
+  const [provisioning, setProvisioning] = useState(null); // { secret, qr_code }
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [disableCode, setDisableCode] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  /** Fetch the current two-factor status. */
+  const loadStatus = useCallback(async () => {
+    try {
+      setStatus(await authService.twoFactorStatus());
+    } catch (err) {
+      setError(err?.message || "Could not load two-factor settings.");
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAuthed) loadStatus();
+  }, [isAuthed, loadStatus]);
+
+  /**
+   * Run an action with shared busy/error handling.
+   * @param {() => Promise<void>} action
+   */
+  const run = async (action) => {
+    setError("");
+    setNotice("");
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      setError(err?.message || "Something went wrong. Please try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStart = () =>
+    run(async () => {
+      setProvisioning(await authService.setupTwoFactor());
+      setCode("");
+    });
+
+  /** @param {React.FormEvent<HTMLFormElement>} e */
+  const handleEnable = (e) => {
+    e.preventDefault();
+    if (!CODE_PATTERN.test(code.trim())) return setError("Enter the 6-digit code from your app.");
+    run(async () => {
+      setRecoveryCodes(await enableTwoFactor(code.trim()));
+      setProvisioning(null);
+      setCode("");
+      await loadStatus();
+    });
+  };
+
+  /** @param {React.FormEvent<HTMLFormElement>} e */
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    if (!CODE_PATTERN.test(code.trim())) return setError("Enter the 6-digit code from your app.");
+    run(async () => {
+      const { recovery_codes } = await authService.regenerateRecoveryCodes(code.trim());
+      setRecoveryCodes(recovery_codes);
+      setCode("");
+      await loadStatus();
+    });
+  };
+
+  /** @param {React.FormEvent<HTMLFormElement>} e */
+  const handleDisable = (e) => {
+    e.preventDefault();
+    if (!password) return setError("Enter your password.");
+    if (!CODE_PATTERN.test(disableCode.trim())) return setError("Enter the 6-digit code from your app.");
+    run(async () => {
+      await disableTwoFactor({ password, code: disableCode.trim() });
+      setPassword("");
+      setDisableCode("");
+      setNotice("Two-factor authentication is off.");
+      await loadStatus();
+    });
+  };
+
+  /**
+   * 6-digit code input.
+   * @param {string} value
+   * @param {(value: string) => void} onChange
+   */
+  const renderCodeField = (value, onChange) => (
+    <div className="field">
+      <label>Authentication code</label>
+      <input
+        type="text"
+        name="code"
+        value={value}
+        onChange={(e) => { setError(""); onChange(e.target.value); }}
+        placeholder="123456"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        disabled={busy}
+      />
+    </div>
+  );
+
+  const renderBody = () => {
+    if (!isAuthed) {
+      return (
+        <p className="auth-switch">
+          Please <Link to="/login">log in</Link> to manage two-factor authentication.
+        </p>
+      );
+    }
+    if (!status) return <p className="subtle-status">Loading…</p>;
+
+    // Fresh recovery codes: shown once, right after enabling or regenerating
+    if (recoveryCodes) {
+      return (
+        <>
+          <p className="success-text">
+            Save these recovery codes somewhere safe. Each one works once if you lose your device.
+          </p>
+          <ul className="recovery-codes">
+            {recoveryCodes.map((c) => <li key={c}>{c}</li>)}
+          </ul>
+          <button
+            type="button"
+            className="btn-primary"
+            onClick={() => navigator.clipboard?.writeText(recoveryCodes.join("\n"))}
+          >
+            Copy codes
+          </button>
+          <button type="button" className="link-button" onClick={() => setRecoveryCodes(null)}>
+            I saved them
+          </button>
+        </>
+      );
+    }
+
+    if (!status.enabled) {
+      if (provisioning) {
+        return (
+          <form onSubmit={handleEnable} className="auth-form">
+            <p className="lead">
+              Scan this QR code with an authenticator app (Google Authenticator, Authy, 1Password…),
+              then enter the code it shows.
+            </p>
+            <div className="qr-box">
+              <img src={provisioning.qr_code} alt="QR code for your authenticator app" />
+            </div>
+            <p className="secret-text">
+              Can't scan it? Enter this key: <code>{provisioning.secret}</code>
+            </p>
+            {renderCodeField(code, setCode)}
+            <button type="submit" disabled={busy} className="btn-primary">
+              {busy ? "Checking…" : "Turn on two-factor authentication"}
+            </button>
+          </form>
+        );
+      }
+      return (
+        <>
+          <p className="lead">
+            Add a second step to logging in: a 6-digit code from an app on your phone.
+          </p>
+          <button type="button" disabled={busy} className="btn-primary" onClick={handleStart}>
+            {busy ? "Preparing…" : "Set up two-factor authentication"}
+          </button>
+        </>
+      );
+    }
+
+    return (
+      <>
+        <p className="success-text">✅ Two-factor authentication is on.</p>
+        <p className="lead">
+          Recovery codes left: <strong>{status.recovery_codes_left}</strong>
+        </p>
+
+        <form onSubmit={handleRegenerate} className="auth-form">
+          {renderCodeField(code, setCode)}
+          <button type="submit" disabled={busy} className="btn-primary">
+            Generate new recovery codes
+          </button>
+        </form>
+
+        {!status.required && (
+          <form onSubmit={handleDisable} className="auth-form two-factor-disable">
+            <div className="field">
+              <label>Password</label>
+              <input
+                type="password"
+                name="password"
+                value={password}
+                onChange={(e) => { setError(""); setPassword(e.target.value); }}
+                placeholder="••••••••"
+                disabled={busy}
+              />
+            </div>
+            {renderCodeField(disableCode, setDisableCode)}
+            <button type="submit" disabled={busy} className="btn-primary">
+              Turn off two-factor authentication
+            </button>
+          </form>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="auth-root">
+      <div className="auth-stage">
+        <div className="auth-card">
+          <button className="back-btn" onClick={() => navigate(-1)}>
+            ← Back
+          </button>
+
+          <h1>Two-factor authentication</h1>
+
+          {status?.required && !status.enabled && (
+            <p className="error-text">
+              Your role requires two-factor authentication. Staff features stay locked until it is set up.
+            </p>
+          )}
+
+          {renderBody()}
+
+          {notice && <p className="success-text">{notice}</p>}
+          {error && <p className="error-text">{error}</p>}
+        </div>
+      </div>
+    </div>
+  );
+}
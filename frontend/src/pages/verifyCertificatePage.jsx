@@ -0,0 +1,83 @@
+/**
+ * VerifyCertificatePage
+ * -----------------------------------------------------------------------------
+ * Public page opened from a certificate's QR code (`/verify/:serial`).
+ * Asks the API whether the serial belongs to a genuine, current certificate
+ * and shows the holder, title and dates.
+ *
+ * Notes:
+ * - No sign-in required; the API only returns what is printed on the certificate.
+ * - Styles are shared with the legal pages ("../styles/legal.css").
+ */
+
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { certificateService } from "../services/certificateService";
+import "../styles/legal.css";
+
+/** Headline per verification status returned by the API. */
+const STATUS_TEXT = {
+  valid: "✅ Valid certificate",
+  expired: "⌛ This certificate has expired",
+  revoked: "⛔ This certificate has been revoked",
+  invalid: "⚠️ This certificate could not be authenticated",
+  not_found: "❓ No certificate with this serial exists",
+};
+
+export default function VerifyCertificatePage() {
+  const { serial } = useParams();
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    setResult(null);
+    setError("");
+    certificateService
+      .verify(serial)
+      .then((res) => !cancelled && setResult(res))
+      .catch((e) => !cancelled && setError(e?.message || "Verification failed"));
+    return () => {
+      cancelled = true;
+    };
+  }, [serial]);
+
+  const cert = result?.certificate;
+  const prettyDate = (value) =>
+    new Date(value).toLocaleDateString(undefined, {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+    });
+
+  return (
+    <div className="legal-page">
+      <header className="legal-header">
+        <h1>📜 Certificate Verification</h1>
+        <p>Serial: {serial}</p>
+      </header>
+
+      <section className="legal-content">
+        {!result && !error && <p>Checking…</p>}
+        {error && <p>{error}</p>}
+
+        {result && (
+          <>
+            <h2>{STATUS_TEXT[result.status] || result.status}</h2>
+            {cert && (
+              <p>
+                <strong>{cert.holder_name}</strong> was awarded the{" "}
+                <strong>{cert.title}</strong> on {prettyDate(cert.issued_at)}
+                {result.status === "expired"
+                  ? `; it expired on ${prettyDate(cert.expires_at)}.`
+                  : `, valid until ${prettyDate(cert.expires_at)}.`}
+              </p>
+            )}
+          </>
+        )}
+
+        <Link to="/">← Back to SimAid</Link>
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+/**
+ * VerifyEmailPage
+ * -----------------------------------------------------------------------------
+ * Landing page of the emailed verification link (`/verify-email/:token`).
+ * - Confirms the token with the API as soon as the page opens.
+ * - On failure (used or expired link) offers to send a new link.
+ * - Updates the stored user, if signed in, so `email_verified` is current.
+ */
+
+import React, { useEffect, useState } from "react";
+import { useNavigate, useParams, Link } from "react-router-dom";
+import { authService } from "../services/authService";
+import "../styles/logIn.css";
+
+export default function VerifyEmailPage() {
+  const navigate = useNavigate();
+  const { token } = useParams();
+  const [status, setStatus] = useState("checking"); // checking | verified | failed
+  const [error, setError] = useState("");
+  const [email, setEmail] = useState("");
+  const [resent, setResent] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    authService
+      .verifyEmail(token)
+      .then(({ user }) => {
+        if (cancelled) return;
+        const stored = JSON.parse(localStorage.getItem("user") || "null");
+        if (stored?.id === user.id) localStorage.setItem("user", JSON.stringify(user));
+        setStatus("verified");
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setError(err?.message || "This verification link is invalid or has expired.");
+        setStatus("failed");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  /**
+   * Request a new verification link.
+   * @param {React.FormEvent<HTMLFormElement>} e
+   * @returns {Promise<void>}
+   */
+  const handleResend = async (e) => {
+    e.preventDefault();
+    if (!/^\S+@\S+\.\S+$/.test(email)) return setError("Please enter a valid email.");
+    try {
+      const res = await authService.resendVerification(email.trim());
+      setResent(res?.message || "A new link is on its way.");
+      setError("");
+    } catch (err) {
+      setError(err?.message || "Could not resend the email.");
+    }
+  };
+
+  return (
+    <div className="auth-root">
+      <div className="auth-stage">
+        <div className="auth-card">
+          <h1>Email verification</h1>
+
+          {status === "checking" && <p className="subtle-status">Checking your link…</p>}
+
+          {status === "verified" && (
+            <>
+              <p className="success-text">Your email address is verified. 🎉</p>
+              <button className="btn-primary" onClick={() => navigate("/login")}>
+                Continue to log in
+              </button>
+            </>
+          )}
+
+          {status === "failed" && (
+            resent ? (
+              <p className="success-text">{resent}</p>
+            ) : (
+              <form onSubmit={handleResend} className="auth-form">
+                <p className="lead">Enter your email and we'll send you a new link.</p>
+                <div className="field">
+                  <label>Email</label>
+                  <input
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="you@example.com"
+                  />
+                </div>
+                <button type="submit" className="btn-primary">Send a new link</button>
+              </form>
+            )
+          )}
+
+          {error && <p className="error-text">{error}</p>}
+
+          <p className="auth-switch">
+            <Link to="/login">Back to log in</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
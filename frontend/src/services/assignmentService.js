@@ -0,0 +1,131 @@
+// src/services/assignmentService.js
+
+import { authFetch } from "./authFetch";
+
+/**
+ * AssignmentService
+ * -----------------------------------------------------------------------------
+ * Talks to the `/assignments` and `/classes` API endpoints.
+ *
+ * Features:
+ * - Learners: load the assignments of every class they are enrolled in, with
+ *   due dates and progress ("assigned to you").
+ * - Staff (`reports:read`): list classes and load a class's completion matrix
+ *   (member × assignment); with `assignments:write`, create classes, enroll
+ *   users and assign scenarios or levels.
+ *
+ * Notes:
+ * - Progress comes from each learner's best scores; an assignment's `status`
+ *   is "completed", "pending" or "overdue".
+ * - Defaults to localhost if no `REACT_APP_API_URL` environment variable is set.
+ */
+
+// const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000/api';
+const API_BASE_URL = 'http://localhost:4000/api';
+
+class AssignmentService {
+  /**
+   * Make an HTTP request to the backend API.
+   *
+   * @param {string} url - Request path (relative to API base).
+   * @param {RequestInit} [options={}] - Fetch options (method, headers, body, etc.).
+   * @returns {Promise<any>} Parsed JSON response data.
+   * @throws {Error} On network or HTTP failure (with `status` set for HTTP errors).
+   */
+  async request(url, options = {}) {
+    const token = localStorage.getItem("token");
+    const config = {
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...options.headers,
+      },
+      ...options,
+    };
+
+    try {
+      const response = await authFetch(`${API_BASE_URL}${url}`, config);
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        const error = new Error(
+          data.message || `HTTP error! status: ${response.status}`
+        );
+        error.status = response.status;
+        error.data = data;
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      if (error.name === "TypeError" && error.message.includes("fetch")) {
+        throw new Error("Network error. Please check your connection.");
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Assignments of the signed-in user, soonest due first.
+   * @returns {Promise<Array>} `[{ assignment_id, class_name, title, scenario_id, level_id, due_at, min_score, status, best_score | passed, total }]`
+   */
+  async getMine() {
+    return this.request("/assignments/me");
+  }
+
+  /**
+   * Classes the signed-in staff member can see.
+   * @returns {Promise<Array>} `[{ class_id, name, organization_id, member_count, created_at }]`
+   */
+  async listClasses() {
+    return this.request("/classes");
+  }
+
+  /**
+   * Completion matrix of a class.
+   * @param {number|string} classId
+   * @returns {Promise<{class: Object, assignments: Array, members: Array}>}
+   *   Each member has one `progress` entry per assignment, in the same order.
+   */
+  async getProgress(classId) {
+    return this.request(`/classes/${classId}/progress`);
+  }
+
+  /**
+   * Create a class in the signed-in user's organization.
+   * @param {string} name
+   * @returns {Promise<Object>} The new class.
+   */
+  async createClass(name) {
+    return this.request("/classes", {
+      method: "POST",
+      body: JSON.stringify({ name }),
+    });
+  }
+
+  /**
+   * Enroll a user in a class.
+   * @param {number|string} classId
+   * @param {number|string} userId
+   * @returns {Promise<Array>} The class's members.
+   */
+  async enroll(classId, userId) {
+    return this.request(`/classes/${classId}/members/${userId}`, { method: "PUT" });
+  }
+
+  /**
+   * Assign a scenario or a level to a class.
+   * @param {number|string} classId
+   * @param {{scenario_id?: number, level_id?: number, due_at: string, min_score: number}} assignment
+   * @returns {Promise<Object>} The new assignment.
+   */
+  async createAssignment(classId, assignment) {
+    return this.request(`/classes/${classId}/assignments`, {
+      method: "POST",
+      body: JSON.stringify(assignment),
+    });
+  }
+}
+
+// Export singleton instance
+export const assignmentService = new AssignmentService();
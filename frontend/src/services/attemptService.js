@@ -1,5 +1,7 @@
 // src/services/attemptService.js
 
+import { authFetch } from "./authFetch";
+
 /**
  * AttemptService
  * -----------------------------------------------------------------------------
@@ -25,16 +27,18 @@ class AttemptService {
    * @throws {Error} On network or HTTP failure.
    */
   async request(url, options = {}) {
+    const token = localStorage.getItem("token");
     const config = {
       headers: {
         "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
         ...options.headers,
       },
       ...options,
     };
 
     try {
-      const response = await fetch(`${API_BASE_URL}${url}`, config);
+      const response = await authFetch(`${API_BASE_URL}${url}`, config);
 
       // Throw for bad responses
       if (!response.ok) {
@@ -84,8 +88,36 @@ class AttemptService {
     return this.request(`/attempts/user/${userId}/scenario/${scenarioId}`);
   }
 
+  /**
+   * Retrieve one page of a user's attempt history for a scenario (newest first).
+   * @param {number|string} userId
+   * @param {number|string} scenarioId
+   * @param {{page?: number, limit?: number}} [pagination]
+   * @returns {Promise<{items: Array, page: number, limit: number, total: number, total_pages: number}>}
+   */
+  async getScenarioHistory(userId, scenarioId, { page = 1, limit = 20 } = {}) {
+    return this.request(
+      `/attempts/user/${userId}/scenario/${scenarioId}/history?page=${page}&limit=${limit}`
+    );
+  }
+
+  /**
+   * Retrieve one page of a user's attempt history across a level (newest first).
+   * @param {number|string} userId
+   * @param {number|string} levelId
+   * @param {{page?: number, limit?: number}} [pagination]
+   * @returns {Promise<{items: Array, page: number, limit: number, total: number, total_pages: number}>}
+   */
+  async getLevelHistory(userId, levelId, { page = 1, limit = 20 } = {}) {
+    return this.request(
+      `/attempts/user/${userId}/level/${levelId}/history?page=${page}&limit=${limit}`
+    );
+  }
+
   /**
    * Save or update a user's best score for a scenario.
+   * Scores are recorded by the server on scenario submission; writing them
+   * by hand needs `attempts:manage`.
    * @param {Object} data - Attempt payload.
    * @returns {Promise<Object>} Updated or created attempt record.
    */
@@ -0,0 +1,118 @@
+// src/services/authFetch.js
+
+/**
+ * authFetch
+ * -----------------------------------------------------------------------------
+ * Drop-in `fetch()` replacement for authenticated API calls.
+ *
+ * Access tokens are short-lived. When a request comes back 401 and a refresh
+ * token is stored, the session is refreshed once (POST /auth/refresh) and the
+ * request is retried with the new access token. Concurrent 401s share the same
+ * refresh, since each refresh token can only be used once; tabs take turns
+ * through a Web Lock so they do not refresh with the same stored token.
+ *
+ * Notes:
+ * - Stores the rotated `token` and `refreshToken` in localStorage.
+ * - Clears the stored session when the refresh is rejected.
+ */
+
+// const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000/api';
+const API_BASE_URL = 'http://localhost:4000/api';
+
+let pendingRefresh = null;
+
+/**
+ * Remove every stored session value.
+ */
+export function clearStoredSession() {
+  localStorage.removeItem("token");
+  localStorage.removeItem("refreshToken");
+  localStorage.removeItem("user");
+}
+
+/**
+ * Run `work` while holding the session refresh lock, shared by every tab of
+ * the app (Web Locks API). Browsers without it run `work` straight away; the
+ * server then accepts the same token twice for a few seconds.
+ *
+ * @param {() => Promise<T>} work - The refresh to run.
+ * @returns {Promise<T>} What `work` resolved with.
+ * @template T
+ */
+function withRefreshLock(work) {
+  if (typeof navigator !== "undefined" && navigator.locks) {
+    return navigator.locks.request("simaid-session-refresh", work);
+  }
+  return work();
+}
+
+/**
+ * Exchange the stored refresh token for a new token pair.
+ * Only one refresh runs at a time, across tabs: concurrent callers in a tab
+ * await the same one, and a tab that waited for another tab's refresh uses
+ * the tokens it stored instead of refreshing again.
+ *
+ * @returns {Promise<string|null>} The new access token, or null if the session could not be refreshed.
+ */
+export function refreshSession() {
+  if (pendingRefresh) return pendingRefresh;
+
+  const refreshToken = localStorage.getItem("refreshToken");
+  if (!refreshToken) return Promise.resolve(null);
+
+  pendingRefresh = withRefreshLock(async () => {
+    // Tokens live in shared localStorage: another tab may have rotated them while we waited
+    const current = localStorage.getItem("refreshToken");
+    if (current !== refreshToken) return current ? localStorage.getItem("token") : null;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken }),
+      });
+
+      if (!response.ok) {
+        // Only drop the session when the server rejected the token
+        if (response.status === 401) clearStoredSession();
+        return null;
+      }
+
+      const data = await response.json();
+      localStorage.setItem("token", data.token);
+      localStorage.setItem("refreshToken", data.refreshToken);
+      return data.token;
+    } catch {
+      return null;
+    }
+  }).finally(() => {
+    pendingRefresh = null;
+  });
+
+  return pendingRefresh;
+}
+
+/**
+ * Fetch that refreshes the session and retries once when a request sent with
+ * an access token is rejected with 401.
+ *
+ * @param {string} url - Absolute request URL.
+ * @param {RequestInit} [config={}] - Fetch configuration.
+ * @returns {Promise<Response>} The (possibly retried) response.
+ *
+ * @example
+ * const response = await authFetch(`${API_BASE_URL}/levels/progress`, config);
+ */
+export async function authFetch(url, config = {}) {
+  const response = await fetch(url, config);
+  // Only token-bearing requests can be fixed by a refresh (not e.g. a failed login)
+  if (response.status !== 401 || !config.headers?.Authorization) return response;
+
+  const token = await refreshSession();
+  if (!token) return response;
+
+  return fetch(url, {
+    ...config,
+    headers: { ...config.headers, Authorization: `Bearer ${token}` },
+  });
+}
@@ -5,8 +5,13 @@
  * -----------------------------------------------------------------------------
  * Handles user authentication and account-related API calls:
  *  - Registering new users
- *  - Logging in existing users
+ *  - Logging in existing users (with a second step when two-factor authentication is on)
  *  - Fetching the current authenticated user (via token)
+ *  - Updating the current user's profile and password
+ *  - Setting up, managing and turning off two-factor authentication
+ *  - Verifying the email address and resending the verification link
+ *  - Requesting a password reset link and resetting the password
+ *  - Refreshing the session and logging out
  *
  * Notes:
  * - All requests go through a unified request() wrapper with consistent error handling.
@@ -25,7 +30,8 @@ class AuthService {
    * @param {string} url - API endpoint (relative to base).
    * @param {RequestInit} [options={}] - Fetch configuration (method, headers, body, etc.)
    * @returns {Promise<any>} Parsed JSON data or `null` for 204 responses.
-   * @throws {Error} Network or HTTP error (with parsed message where available).
+   * @throws {Error} Network or HTTP error (with parsed message where available);
+   *   HTTP errors carry `status` and the parsed body as `data`.
    */
   async request(url, options = {}) {
     const config = {
@@ -48,7 +54,10 @@ class AuthService {
           errorData.message ||
           firstValidatorMsg ||
           `HTTP error! status: ${response.status}`;
-        throw new Error(msg);
+        const error = new Error(msg);
+        error.status = response.status;
+        error.data = errorData;
+        throw error;
       }
 
       // Handle empty (204) responses
@@ -65,14 +74,14 @@ class AuthService {
   }
 
   /**
-   * Register a new user.
-   * Expected response: `{ token, user }`
+   * Register a new user; the new account is logged in right away.
+   * Expected response: `{ token, refreshToken, user }`
    *
-   * @param {Object} payload - Registration data (e.g. { name, email, password })
-   * @returns {Promise<{ token: string, user: Object }>}
+   * @param {Object} payload - Registration data (e.g. { full_name, email, password })
+   * @returns {Promise<{ token: string, refreshToken: string, user: Object }>}
    */
   async register(payload) {
-    return this.request("/users/register", {
+    return this.request("/auth/register", {
       method: "POST",
       body: JSON.stringify(payload),
     });
@@ -80,18 +89,212 @@ class AuthService {
 
   /**
    * Log in an existing user.
-   * Expected response: `{ token, user }`
+   * Expected response: `{ token, refreshToken, user }`, or
+   * `{ two_factor_required: true, challengeToken, expires_in }` when the
+   * account uses two-factor authentication (finish with verifyTwoFactor).
+   *
+   * After repeated failures the API refuses logins for a while: 429 with
+   * `data.code === "TOO_MANY_ATTEMPTS"`, or 423 with
+   * `data.code === "ACCOUNT_LOCKED"` and `data.locked_until`. Both carry
+   * `data.retry_after` in seconds.
    *
    * @param {{ email: string, password: string }} credentials
-   * @returns {Promise<{ token: string, user: Object }>}
+   * @returns {Promise<{ token: string, refreshToken: string, user: Object }>}
    */
   async login({ email, password }) {
-    return this.request("/users/login", {
+    return this.request("/auth/login", {
       method: "POST",
       body: JSON.stringify({ email, password }),
     });
   }
 
+  /**
+   * Second login step: exchange the challenge token and a code from the
+   * authenticator app (or a recovery code) for a session.
+   * Expected response: `{ token, refreshToken, user, recovery_codes_left? }`
+   *
+   * @param {{ challengeToken: string, code?: string, recovery_code?: string }} payload
+   * @returns {Promise<{ token: string, refreshToken: string, user: Object, recovery_codes_left?: number }>}
+   */
+  async verifyTwoFactor(payload) {
+    return this.request("/auth/2fa/verify", {
+      method: "POST",
+      body: JSON.stringify(payload),
+    });
+  }
+
+  /**
+   * Two-factor status of the current user.
+   *
+   * @returns {Promise<{ enabled: boolean, pending: boolean, required: boolean, recovery_codes_left: number }>}
+   */
+  async twoFactorStatus() {
+    return this.request("/auth/2fa", { headers: this._authHeaders() });
+  }
+
+  /**
+   * Start two-factor setup.
+   *
+   * @returns {Promise<{ secret: string, otpauth_url: string, qr_code: string }>} `qr_code` is an image data URL.
+   */
+  async setupTwoFactor() {
+    return this.request("/auth/2fa/setup", {
+      method: "POST",
+      headers: this._authHeaders(),
+    });
+  }
+
+  /**
+   * Finish two-factor setup with a first code from the app.
+   *
+   * @param {string} code
+   * @returns {Promise<{ recovery_codes: string[], token?: string }>} `token` replaces the stored access token.
+   */
+  async enableTwoFactor(code) {
+    return this.request("/auth/2fa/enable", {
+      method: "POST",
+      headers: this._authHeaders(),
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  /**
+   * Turn two-factor authentication off.
+   *
+   * @param {{ password: string, code?: string, recovery_code?: string }} proof
+   * @returns {Promise<null>}
+   */
+  async disableTwoFactor(proof) {
+    return this.request("/auth/2fa/disable", {
+      method: "POST",
+      headers: this._authHeaders(),
+      body: JSON.stringify(proof),
+    });
+  }
+
+  /**
+   * Replace the recovery codes.
+   *
+   * @param {string} code - Current code from the app.
+   * @returns {Promise<{ recovery_codes: string[] }>}
+   */
+  async regenerateRecoveryCodes(code) {
+    return this.request("/auth/2fa/recovery-codes", {
+      method: "POST",
+      headers: this._authHeaders(),
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  /**
+   * Update the current user's name and/or email.
+   *
+   * @param {{ full_name?: string, email?: string }} changes
+   * @returns {Promise<Object>} The updated user.
+   */
+  async updateProfile(changes) {
+    return this.request("/auth/me", {
+      method: "PATCH",
+      headers: this._authHeaders(),
+      body: JSON.stringify(changes),
+    });
+  }
+
+  /**
+   * Change the current user's password. Other sessions are logged out;
+   * this one stays signed in.
+   *
+   * @param {{ current_password: string, new_password: string }} passwords
+   * @returns {Promise<{ revoked_sessions: number }>}
+   */
+  async changePassword(passwords) {
+    return this.request("/auth/change-password", {
+      method: "POST",
+      headers: this._authHeaders(),
+      body: JSON.stringify(passwords),
+    });
+  }
+
+  /**
+   * Verify the account's email with the token from the emailed link.
+   *
+   * @param {string} token
+   * @returns {Promise<{ message: string, user: Object }>}
+   */
+  async verifyEmail(token) {
+    return this.request(`/auth/verify/${encodeURIComponent(token)}`);
+  }
+
+  /**
+   * Email a new verification link.
+   * The response is the same whether or not the account exists.
+   *
+   * @param {string} email
+   * @returns {Promise<{ message: string }>}
+   */
+  async resendVerification(email) {
+    return this.request("/auth/verify/resend", {
+      method: "POST",
+      body: JSON.stringify({ email }),
+    });
+  }
+
+  /**
+   * Request a password reset link by email.
+   * The response is the same whether or not the email is registered.
+   *
+   * @param {string} email
+   * @returns {Promise<{ message: string }>}
+   */
+  async forgotPassword(email) {
+    return this.request("/auth/forgot-password", {
+      method: "POST",
+      body: JSON.stringify({ email }),
+    });
+  }
+
+  /**
+   * Set a new password with the token from a reset link.
+   * Every session of the account is logged out.
+   *
+   * @param {{ token: string, new_password: string }} payload
+   * @returns {Promise<{ message: string, revoked_sessions: number }>}
+   */
+  async resetPassword({ token, new_password }) {
+    return this.request("/auth/reset-password", {
+      method: "POST",
+      body: JSON.stringify({ token, new_password }),
+    });
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token.
+   * The refresh token passed in can no longer be used afterwards.
+   *
+   * @param {string} refreshToken
+   * @returns {Promise<{ token: string, refreshToken: string }>}
+   */
+  async refresh(refreshToken) {
+    return this.request("/auth/refresh", {
+      method: "POST",
+      body: JSON.stringify({ refreshToken }),
+    });
+  }
+
+  /**
+   * End the current session on the server so its tokens stop working.
+   *
+   * @param {string|null} refreshToken - The session's refresh token (falls back to the stored access token).
+   * @returns {Promise<null>}
+   */
+  async logout(refreshToken) {
+    return this.request("/auth/logout", {
+      method: "POST",
+      headers: this._authHeaders(),
+      body: JSON.stringify(refreshToken ? { refreshToken } : {}),
+    });
+  }
+
   /**
    * Get the currently authenticated user.
    * Requires a valid JWT stored in localStorage as `token`.
@@ -99,10 +302,20 @@ class AuthService {
    * @returns {Promise<Object>} Authenticated user data.
    */
   async me() {
+    return this.request("/auth/me", { headers: this._authHeaders() });
+  }
+
+  /**
+   * Build JSON headers with the stored access token, if any.
+   * @private
+   * @returns {Object} Request headers.
+   */
+  _authHeaders() {
     const token = localStorage.getItem("token");
-    return this.request("/auth/me", {
-      headers: token ? { Authorization: `Bearer ${token}` } : {},
-    });
+    return {
+      "Content-Type": "application/json",
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    };
   }
 }
 
@@ -0,0 +1,140 @@
+// src/services/certificateService.js
+
+import { authFetch } from "./authFetch";
+
+/**
+ * CertificateService
+ * -----------------------------------------------------------------------------
+ * Talks to the `/certificates` API endpoints.
+ *
+ * Features:
+ * - Issue (or re-fetch) the signed-in user's completion certificate.
+ * - List the signed-in user's certificates.
+ * - Verify any certificate serial (public, no token needed).
+ * - Download the server-rendered PDF of a certificate.
+ *
+ * Notes:
+ * - Certificates are only ever created by the server; the browser never
+ *   invents serial numbers.
+ * - Defaults to localhost if no `REACT_APP_API_URL` environment variable is set.
+ */
+
+// const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000/api';
+const API_BASE_URL = 'http://localhost:4000/api';
+
+class CertificateService {
+  /**
+   * Make an HTTP request to the backend API.
+   *
+   * @param {string} url - Request path (relative to API base).
+   * @param {RequestInit} [options={}] - Fetch options (method, headers, body, etc.).
+   * @returns {Promise<any>} Parsed JSON response data.
+   * @throws {Error} On network or HTTP failure (with `status` set for HTTP errors).
+   */
+  async request(url, options = {}) {
+    const token = localStorage.getItem("token");
+    const config = {
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...options.headers,
+      },
+      ...options,
+    };
+
+    try {
+      const response = await authFetch(`${API_BASE_URL}${url}`, config);
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        const error = new Error(
+          data.message || `HTTP error! status: ${response.status}`
+        );
+        error.status = response.status;
+        error.data = data;
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      if (error.name === "TypeError" && error.message.includes("fetch")) {
+        throw new Error("Network error. Please check your connection.");
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Issue the completion certificate to the signed-in user, or return the
+   * current one if it was already issued.
+   * @returns {Promise<Object>} Certificate `{ serial, title, holder_name, issued_at, expires_at, verify_url }`.
+   * @throws {Error} With `status` 403 if not every level is completed yet.
+   */
+  async issue() {
+    return this.request("/certificates", { method: "POST" });
+  }
+
+  /**
+   * List the signed-in user's certificates, newest first.
+   * @returns {Promise<Array>} Certificates.
+   */
+  async getMine() {
+    return this.request("/certificates/me");
+  }
+
+  /**
+   * Verify a certificate serial.
+   * Unknown serials resolve to `{ valid: false, status: "not_found" }` instead of throwing.
+   * @param {string} serial - Certificate serial.
+   * @returns {Promise<{valid: boolean, status: string, certificate?: Object}>}
+   */
+  async verify(serial) {
+    try {
+      return await this.request(`/certificates/verify/${encodeURIComponent(serial)}`);
+    } catch (error) {
+      if (error.status === 404 && error.data?.status) return error.data;
+      throw error;
+    }
+  }
+
+  /**
+   * Download the server-rendered PDF of a certificate and save it in the browser.
+   * @param {string} serial - Certificate serial.
+   * @returns {Promise<void>}
+   * @throws {Error} With `status` 404 (unknown) or 410 (revoked) from the API.
+   */
+  async downloadPdf(serial) {
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/certificates/${encodeURIComponent(serial)}/pdf`
+      );
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        const error = new Error(
+          data.message || `HTTP error! status: ${response.status}`
+        );
+        error.status = response.status;
+        error.data = data;
+        throw error;
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${serial}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      if (error.name === "TypeError" && error.message.includes("fetch")) {
+        throw new Error("Network error. Please check your connection.");
+      }
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export const certificateService = new CertificateService();
@@ -1,5 +1,7 @@
 // src/services/levelService.js
 
+import { authFetch } from "./authFetch";
+
 /**
  * LevelService
  * -----------------------------------------------------------------------------
@@ -8,6 +10,7 @@
  * Features:
  * - Common request() wrapper for all HTTP calls.
  * - Handles create, read, update, delete, and list operations.
+ * - Fetches the signed-in user's level map (unlock state per level).
  * - Automatic JSON parsing and consistent error handling.
  *
  * Notes:
@@ -29,16 +32,18 @@ class LevelService {
    * @throws {Error} Descriptive network or HTTP error.
    */
   async request(url, options = {}) {
+    const token = localStorage.getItem("token");
     const config = {
       headers: {
         "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
         ...options.headers,
       },
       ...options,
     };
 
     try {
-      const response = await fetch(`${API_BASE_URL}${url}`, config);
+      const response = await authFetch(`${API_BASE_URL}${url}`, config);
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
@@ -67,6 +72,28 @@ class LevelService {
     return this.request("/levels");
   }
 
+  /**
+   * Retrieve the signed-in user's level map: every level in difficulty order
+   * with `unlocked`, `completed`, `avg_score`, `prerequisites` and `unmet` rules.
+   * @returns {Promise<Array>} Array of level records with progress.
+   */
+  async getProgress() {
+    return this.request("/levels/progress");
+  }
+
+  /**
+   * Replace a level's unlock rules (admin-only).
+   * @param {number|string} id - Level ID.
+   * @param {Array<{required_level_id: number, min_score?: number|null}>} prerequisites - New rules.
+   * @returns {Promise<Object>} Level record with its new prerequisites.
+   */
+  async setPrerequisites(id, prerequisites) {
+    return this.request(`/levels/${id}/prerequisites`, {
+      method: "PUT",
+      body: JSON.stringify({ prerequisites }),
+    });
+  }
+
   /**
    * Retrieve a specific level by ID.
    * @param {number|string} id - Level ID.
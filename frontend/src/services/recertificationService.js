@@ -0,0 +1,77 @@
+// src/services/recertificationService.js
+
+import { authFetch } from "./authFetch";
+
+/**
+ * RecertificationService
+ * -----------------------------------------------------------------------------
+ * Talks to the `/recertification` API endpoints.
+ *
+ * Features:
+ * - Load the signed-in user's level and certificate validity ("valid until"),
+ *   the refresher scenarios for each level, and any expiry reminders.
+ *
+ * Notes:
+ * - Levels expire some time after completion; passing the level's refresher
+ *   scenarios once the renewal window opens renews them.
+ * - Defaults to localhost if no `REACT_APP_API_URL` environment variable is set.
+ */
+
+// const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000/api';
+const API_BASE_URL = 'http://localhost:4000/api';
+
+class RecertificationService {
+  /**
+   * Make an HTTP request to the backend API.
+   *
+   * @param {string} url - Request path (relative to API base).
+   * @param {RequestInit} [options={}] - Fetch options (method, headers, body, etc.).
+   * @returns {Promise<any>} Parsed JSON response data.
+   * @throws {Error} On network or HTTP failure (with `status` set for HTTP errors).
+   */
+  async request(url, options = {}) {
+    const token = localStorage.getItem("token");
+    const config = {
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...options.headers,
+      },
+      ...options,
+    };
+
+    try {
+      const response = await authFetch(`${API_BASE_URL}${url}`, config);
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        const error = new Error(
+          data.message || `HTTP error! status: ${response.status}`
+        );
+        error.status = response.status;
+        error.data = data;
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      if (error.name === "TypeError" && error.message.includes("fetch")) {
+        throw new Error("Network error. Please check your connection.");
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Validity status of the signed-in user's levels and certificate.
+   * @returns {Promise<{levels: Array, certificate: Object|null, reminders: Array, window_days: number}>}
+   *   Each level has `status` ("not_completed" | "current" | "expiring" | "expired"),
+   *   `expires_at`, `renewal_opens_at` and `refresher` (`[{ scenario_id, title, passed }]`).
+   */
+  async getMine() {
+    return this.request("/recertification/me");
+  }
+}
+
+// Export singleton instance
+export const recertificationService = new RecertificationService();
@@ -1,5 +1,7 @@
 // src/services/scenarioService.js
 
+import { authFetch } from './authFetch';
+
 /**
  * ScenarioService
  * -----------------------------------------------------------------------------
@@ -33,15 +35,15 @@ class ScenarioService {
   async request(url, options = {}) {
     const token = localStorage.getItem('token');
     const config = {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
         ...(token ? { Authorization: `Bearer ${token}` } : {}),
         ...options.headers,
       },
-      ...options,
     };
 
-    const res = await fetch(`${API_BASE_URL}${url}`, config);
+    const res = await authFetch(`${API_BASE_URL}${url}`, config);
     const text = await res.text();
     const data = text ? JSON.parse(text) : null;
 
@@ -57,6 +59,7 @@ class ScenarioService {
 
   /**
    * Retrieve a single scenario by ID (includes its steps).
+   * Non-admin callers receive the player view (no correct answers/feedback).
    * @param {number|string} id - Scenario ID.
    * @returns {Promise<Object>} Scenario data.
    */
@@ -65,17 +68,57 @@ class ScenarioService {
   }
 
   /**
-   * Submit answers for a given scenario.
-   * Expected payload: `{ userAnswers: string[] }`
+   * Start playing a scenario: opens the learner's run on the server, so the
+   * time taken on the first step is measured from now. A run with answers
+   * is resumed instead.
+   *
+   * @param {number|string} id - Scenario ID.
+   * @returns {Promise<Object>} `{ run_id, started_at, answered }` (`answered` steps already answered in the run).
+   */
+  async start(id) {
+    return this.request(`/scenarios/${id}/start`, { method: 'POST' });
+  }
+
+  /**
+   * Check a committed answer for one step of a scenario.
+   * The server grades it, stores it in the learner's run (the first answer to
+   * a step is final) and only then reveals the correct action and feedback.
+   *
+   * @param {number|string} id - Scenario ID.
+   * @param {number|string} stepId - Step ID.
+   * @param {string|boolean|number|string[]|{x: number, y: number}|null} answer - The answer, shaped by the step type:
+   *   an option key, true/false, the keys selected (multi-select) or in order (ordering), a number, or the point
+   *   tapped on a hotspot image (fractions of its width and height); null if the step timed out.
+   * @returns {Promise<Object>} `{ step_id, answer, is_correct, correct_action, feedback_message, next_step_id, outcome,
+   *   already_answered }` (`next_step_id` is null when the scenario ends there, with its `outcome` if any;
+   *   `already_answered` when this is the stored result of an earlier answer), plus
+   *   `vitals` and `patient_status` after the action when the scenario simulates a casualty (the server
+   *   measures the time taken).
+   */
+  async answerStep(id, stepId, answer) {
+    return this.request(`/scenarios/${id}/steps/${stepId}/answer`, {
+      method: 'POST',
+      body: JSON.stringify({ answer }),
+    });
+  }
+
+  /**
+   * Submit the learner's run of a scenario: the server grades the answers
+   * stored by `answerStep`.
+   * Expected payload: `{ stepResults?: Object[] }`
    *
    * @param {number|string} id - Scenario ID.
-   * @param {string[]} answers - Array of user-selected answers (A–D).
+   * @param {Object} [options]
+   * @param {Array<{step_id: number, timed_out: boolean, response_ms: number}>} [options.stepResults] - Per-step timing.
+   * @param {string} [options.idempotencyKey] - Same key for retries of one play-through, so the
+   *   server returns the original result instead of grading (and recording) it twice.
    * @returns {Promise<Object>} Submission result (score, progress, etc.).
    */
-  async submit(id, answers) {
+  async submit(id, { stepResults = [], idempotencyKey } = {}) {
     return this.request(`/scenarios/${id}/submit`, {
       method: 'POST',
-      body: JSON.stringify({ userAnswers: answers }),
+      headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+      body: JSON.stringify({ stepResults }),
     });
   }
 
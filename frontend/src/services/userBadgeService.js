@@ -1,5 +1,7 @@
 // src/services/userBadgeService.js
 
+import { authFetch } from "./authFetch";
+
 /**
  * UserBadgeService
  * -----------------------------------------------------------------------------
@@ -12,7 +14,7 @@
  * - Handles express-validator style errors gracefully.
  *
  * Notes:
- * - Uses Fetch API.
+ * - Uses authFetch (sends the stored token; every endpoint requires login).
  * - Returns parsed JSON data or `null` for 204 (no-content) responses.
  * - Defaults to localhost if no `REACT_APP_API_URL` environment variable is set.
  */
@@ -30,16 +32,18 @@ class UserBadgeService {
    * @throws {Error} On network or HTTP errors.
    */
   async request(url, options = {}) {
+    const token = localStorage.getItem("token");
     const config = {
       headers: {
         "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
         ...options.headers,
       },
       ...options,
     };
 
     try {
-      const response = await fetch(`${API_BASE_URL}${url}`, config);
+      const response = await authFetch(`${API_BASE_URL}${url}`, config);
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
@@ -66,7 +70,7 @@ class UserBadgeService {
   // ────────────────────────────── Standard Endpoints ──────────────────────────────
 
   /**
-   * Retrieve all user-badge associations.
+   * Retrieve the user-badge associations the caller may read (own, or all with `reports:read`).
    * @returns {Promise<Array>} Array of user_badge objects.
    */
   async getAll() {
@@ -83,7 +87,7 @@ class UserBadgeService {
   }
 
   /**
-   * Create a new user-badge link.
+   * Create a new user-badge link (`badges:award`).
    * Example body: `{ user_id, badge_id, earned_at }`
    *
    * @param {Object} data - UserBadge payload.
@@ -1,11 +1,15 @@
 // src/services/userLevelService.js
 
+import { authFetch } from "./authFetch";
+
 /**
  * UserLevelService
  * -----------------------------------------------------------------------------
  * Provides CRUD and utility operations for managing user-level progress.
  * Tracks which levels a user has unlocked or completed and supports
- * both admin and user-facing endpoints.
+ * both admin and user-facing endpoints. Reads return the caller's own
+ * progress unless they hold `reports:read`; writes need `attempts:manage`
+ * (progress is normally written by the server on scenario submission).
  *
  * Features:
  * - Unified request() wrapper for consistent error handling and JSON parsing.
@@ -13,7 +17,7 @@
  * - Handles both standard REST and query parameter APIs.
  *
  * Notes:
- * - Uses Fetch API.
+ * - Uses authFetch (sends the stored token; every endpoint requires login).
  * - Returns parsed JSON or `null` for 204 (no-content) responses.
  * - Defaults to localhost if no `REACT_APP_API_URL` environment variable is set.
  */
@@ -31,16 +35,18 @@ class UserLevelService {
    * @throws {Error} Descriptive network or HTTP error.
    */
   async request(url, options = {}) {
+    const token = localStorage.getItem("token");
     const config = {
       headers: {
         "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
         ...options.headers,
       },
       ...options,
     };
 
     try {
-      const response = await fetch(`${API_BASE_URL}${url}`, config);
+      const response = await authFetch(`${API_BASE_URL}${url}`, config);
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
@@ -114,7 +120,7 @@ class UserLevelService {
   // ────────────────────────────── Write Operations ──────────────────────────────
 
   /**
-   * Create a new user-level record.
+   * Create a new user-level record (admins, `attempts:manage`).
    * @param {Object} data - Payload (e.g., { user_id, level_id, unlocked, completed }).
    * @returns {Promise<Object>} Created record.
    */
@@ -126,7 +132,7 @@ class UserLevelService {
   }
 
   /**
-   * Update an existing user-level record by primary key.
+   * Update an existing user-level record by primary key (admins, `attempts:manage`).
    * @param {number|string} id - Record ID.
    * @param {Object} data - Updated fields.
    * @returns {Promise<Object>} Updated record.
@@ -139,7 +145,7 @@ class UserLevelService {
   }
 
   /**
-   * Delete a user-level record by primary key.
+   * Delete a user-level record by primary key (admins, `attempts:manage`).
    * @param {number|string} id - Record ID.
    * @returns {Promise<null>} Returns null on success.
    */
@@ -149,7 +155,7 @@ class UserLevelService {
 
   /**
    * Upsert (insert or update) a user-level record based on (user_id, level_id).
-   * Ensures idempotency for user-level progress tracking.
+   * Ensures idempotency for user-level progress tracking (admins, `attempts:manage`).
    *
    * Example payload: `{ user_id, level_id, unlocked, completed }`
    *
@@ -1,5 +1,7 @@
 // src/services/userService.js
 
+import { authFetch } from "./authFetch";
+
 /**
  * UserService
  * -----------------------------------------------------------------------------
@@ -39,7 +41,7 @@ class UserService {
     };
 
     try {
-      const response = await fetch(`${API_BASE_URL}${url}`, config);
+      const response = await authFetch(`${API_BASE_URL}${url}`, config);
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
@@ -67,10 +69,10 @@ class UserService {
   /**
    * Register a new user.
    * @param {Object} data - User registration payload.
-   * @returns {Promise<Object>} Created user record.
+   * @returns {Promise<{ user: Object, token: string, refreshToken: string }>} Created user and its session tokens.
    */
   async register(data) {
-    return this.request("/users/register", {
+    return this.request("/auth/register", {
       method: "POST",
       body: JSON.stringify(data),
     });
@@ -79,10 +81,10 @@ class UserService {
   /**
    * Authenticate a user and return credentials.
    * @param {{ email: string, password: string }} param0
-   * @returns {Promise<{ user: Object, token: string }>} Login response.
+   * @returns {Promise<{ user: Object, token: string, refreshToken: string }>} Login response.
    */
   async login({ email, password }) {
-    return this.request("/users/login", {
+    return this.request("/auth/login", {
       method: "POST",
       body: JSON.stringify({ email, password }),
     });